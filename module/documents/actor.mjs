@@ -1,14 +1,28 @@
 import { anatomyManager, resolveBodyPartDisplayName } from '../anatomy-manager.mjs';
-import { getMaxApFromAbilities } from '../helpers/actions/transaction-ledger.mjs';
+import { getMaxApFromAbilities, recomputeApMaxForActor } from '../helpers/actions/transaction-ledger.mjs';
 import { resolveCoverageEntryToActorSlots } from '../helpers/body-part-coverage.mjs';
 import { ensureActorPartRelationsSynced } from '../helpers/anatomy-relations.mjs';
 import { normalizeApplications } from '../helpers/damage/damage-resolver.mjs';
 import { resolveBodyTraversal } from '../helpers/damage/body-traversal-resolver.mjs';
-import { ensureActorPartBodyLayersSynced } from '../helpers/damage/body-layers-defaults.mjs';
+import { ensureActorPartBodyLayersSynced, isBodyLayerDamaged, sanitizeBodyLayers } from '../helpers/damage/body-layers-defaults.mjs';
 import { materialsManager, ensureLayerDefaults } from '../helpers/damage/materials-manager.mjs';
 import { describeInjury } from '../helpers/damage/injury-description.mjs';
+import { buildOrganInjuryFields, collectOrganModifiers, resolveOrganHits } from '../helpers/damage/organ-resolver.mjs';
+import {
+  advanceLingeringEffects,
+  createLingeringEffects,
+  mergeLingeringEffects,
+  resolveLingeringTicks
+} from '../helpers/damage/lingering-effects.mjs';
+import { normalizeShield, rechargeShield } from '../helpers/damage/shield-resolver.mjs';
 import { buildProjectileApplications, composeProjectileApplications } from './item.mjs';
 
+const MODULE_NS = 'spaceholder';
+const LINGERING_FLAG = 'lingeringEffects';
+
+/** Глагол источника для травм от длительного урона (`SPACEHOLDER.Injuries.SourceVerbs`). */
+const LINGERING_VERBS = Object.freeze({ burn: 'burn', corrode: 'corrode', dose: 'expose' });
+
 function _sanitizeAimingArcSystemData(systemData) {
   if (!systemData || typeof systemData !== 'object') return;
   const cfg = CONFIG?.SPACEHOLDER?.aimingArc ?? {};
@@ -151,6 +165,9 @@ export class SpaceHolderActor extends Actor {
     const intV = val('int');
     const lucM = mod('luc');
 
+    // Открытые раны органов (глаза и т.п.) — см. helpers/damage/organ-resolver.mjs
+    const organMods = collectOrganModifiers(systemData.health?.injuries);
+
     // Прыжки (м): грубая линейная связь от STR+DEX
     const jumpHigh = Math.max(0, 0.25 + (strV + dexV - 20) * 0.04);
     const jumpLong = Math.max(0, 1.8 + (strV + dexV - 20) * 0.15);
@@ -178,7 +195,7 @@ export class SpaceHolderActor extends Actor {
       agilityScore: 10 + dexM + corM,
       actionSpeed: Math.max(0, 8 + corM * 2),
       reactionScore: 10 + dexM + perM,
-      accuracyScore: 10 + corM + perM,
+      accuracyScore: 10 + corM + perM + Math.round(organMods.accuracy),
       awarenessScore: 10 + perM * 2,
       learnRateScore: 10 + perM + intM,
       willScore: 10 + intM * 2,
@@ -339,8 +356,11 @@ export class SpaceHolderActor extends Actor {
    * @param {string|Object} [opts.source] либо строка-легаси, либо структурированный
    *   объект `{ attackerUuid, attackerName, weaponUuid, weaponName, ammoUuid,
    *   ammoName, verbKey, shotUid }` (любое поле опционально).
+   * @param {Object|null} [opts.organ] попадание в орган из `resolveOrganHits`
+   *   (`{ slotKey, name, effect, params }`); сохраняется в `injury.organ`
+   *   вместе с полями, которые добавляет эффект органа.
    */
-  async addInjury({ partId, partUuid, amount, initialAmount, type = 'unknown', status = 'raw', source = '' } = {}) {
+  async addInjury({ partId, partUuid, amount, initialAmount, type = 'unknown', status = 'raw', source = '', organ = null } = {}) {
     const bodyParts = this.system.health?.bodyParts || {};
     if (!bodyParts || !Object.keys(bodyParts).length) return false;
 
@@ -384,7 +404,8 @@ export class SpaceHolderActor extends Actor {
       type,
       status: normalizedStatus,
       source: normalizedSource,
-      createdAt: Date.now()
+      createdAt: Date.now(),
+      ...buildOrganInjuryFields(organ)
     };
 
     const injuries = Array.isArray(this.system.health?.injuries) ? foundry.utils.deepClone(this.system.health.injuries) : [];
@@ -514,8 +535,13 @@ export class SpaceHolderActor extends Actor {
    * projectile through the hit body part — and potentially onward via
    * `relations.behind` — delegating to
    * {@link resolveBodyTraversal}. Each traversed part's armour layers
-   * are persisted; each part that actually absorbed damage gets its own
-   * `injury` record.
+   * are persisted (and, with `CONFIG.SPACEHOLDER.persistentBodyLayers`, so
+   * is the wear of its body layers); each part that actually absorbed damage gets its own
+   * `injury` record. Equipped shields (`itemTags.isShield`) soak the hit
+   * before any armour; their drained pools are written back to the items.
+   * After the traversal {@link resolveOrganHits} rolls
+   * which organ of each damaged part took the centre damage; the hit is
+   * stored on that part's injury (`injury.organ`).
    *
    * Layer ordering within a single slot: outer → inner mirrors the
    * iteration order of {@link _collectLayerSourcesForSlot}. Within a
@@ -542,21 +568,30 @@ export class SpaceHolderActor extends Actor {
    *   object with `attackerName`/`weaponName`/`ammoName`/uuids/etc. See
    *   `addInjury` docstring for the accepted shape.
    * @param {string} [options.hitDirection='front'] - side of the body the
-   *   projectile enters from. The v1 runtime does not yet read a real
-   *   direction from the shot pipeline, but callers (and tests) may
-   *   override it to exercise through-and-through behaviour.
+   *   projectile enters from. Shots pass the side from the angle between
+   *   the shot and the token's rotation (`damage/hit-location.mjs`).
+   * @param {Array<{id:string, layers:Array}>} [options.obstacles] -
+   *   destructible cover the shot went through first (`damage/cover.mjs`);
+   *   the worn stacks come back in `obstacleUpdates` for the caller to store.
    * @param {() => number} [options.random]    - injectable RNG.
+   * @param {boolean} [options.lingering=true] - seed damage-over-time
+   *   effects (burning, acid, dose) declared by the damage types; see
+   *   `lingering-effects.mjs`. Lingering ticks themselves pass `false`.
    * @returns {Promise<{
    *   bodyDamage: Array<{type:string, amount:number}>,
    *   bodyDamageBySlot: Object<string, Array<{type:string, amount:number}>>,
    *   path: Array<Object>,
    *   trace: Array<Object>,
+   *   organHits: Object<string, Object>,
+   *   lingering: Array<Object>,
+   *   obstacleUpdates: Array<{id:string, layers:Array}>,
    *   slotRef: string|null
    * }>}
    *   `bodyDamage` is the merged damage for the **entry** slot (for
    *   backward compatibility with legacy callers that cared about one
    *   part only). `bodyDamageBySlot` is the full per-part breakdown,
-   *   and `path` lists every visited slot with its entry/exit details.
+   *   `path` lists every visited slot with its entry/exit details and
+   *   `organHits` maps slotRef → organ hit for parts whose organ was struck.
    */
   async applyDamagePackage({
     partId,
@@ -567,17 +602,19 @@ export class SpaceHolderActor extends Actor {
     builderContext,
     source = '',
     hitDirection = 'front',
-    random
+    obstacles = [],
+    random,
+    lingering = true
   } = {}) {
     const bodyParts = this.system?.health?.bodyParts || {};
     const slotRef = this._resolveSlotRef({ partId, partUuid, bodyParts });
     if (!slotRef) {
-      return { bodyDamage: [], bodyDamageBySlot: {}, path: [], trace: [], slotRef: null };
+      return { bodyDamage: [], bodyDamageBySlot: {}, path: [], trace: [], organHits: {}, lingering: [], obstacleUpdates: [], slotRef: null };
     }
 
     const package_ = this._composeApplicationPackage({ applications, projectile, builderId, builderContext });
     if (!package_.length) {
-      return { bodyDamage: [], bodyDamageBySlot: {}, path: [], trace: [], slotRef };
+      return { bodyDamage: [], bodyDamageBySlot: {}, path: [], trace: [], organHits: {}, lingering: [], obstacleUpdates: [], slotRef };
     }
 
     const armorBySlot = this._collectArmorBySlot(bodyParts);
@@ -588,10 +625,20 @@ export class SpaceHolderActor extends Actor {
       applications: package_,
       armorBySlot,
       resolveMaterial: (id) => materialsManager.getMaterial(id),
-      random
+      random,
+      shields: this._collectShields(),
+      obstacles
     });
 
+    await this._persistShieldUpdates(traversal.shieldUpdates);
     await this._persistTraversalArmorUpdates(traversal.armorUpdatesBySlot);
+    await this._persistTraversalBodyLayerUpdates(traversal.bodyLayerUpdatesBySlot);
+
+    const organHits = resolveOrganHits({
+      bodyParts,
+      bodyDamageBySlot: traversal.bodyDamageBySlot,
+      random
+    });
 
     for (const [partSlot, hits] of Object.entries(traversal.bodyDamageBySlot)) {
       if (!Array.isArray(hits) || !hits.length) continue;
@@ -604,19 +651,96 @@ export class SpaceHolderActor extends Actor {
         initialAmount: totalAmount,
         type: dominant?.type ?? 'unknown',
         status: 'raw',
-        source: source || 'damage-package'
+        source: source || 'damage-package',
+        organ: organHits[partSlot] ?? null
       });
     }
 
+    // Organ effects may shrink the AP pool; keep the stored max in sync.
+    if (Object.keys(organHits).length) await recomputeApMaxForActor(this);
+
+    const seeded = lingering && CONFIG.SPACEHOLDER?.lingeringEffects?.enabled !== false
+      ? createLingeringEffects({
+        slotRef,
+        applications: package_,
+        bodyDamageBySlot: traversal.bodyDamageBySlot,
+        source: this._normalizeInjurySource(source),
+        types: CONFIG.SPACEHOLDER?.damageTypes
+      })
+      : [];
+    if (seeded.length) {
+      await this.setFlag(MODULE_NS, LINGERING_FLAG, mergeLingeringEffects(this.getLingeringEffects(), seeded));
+    }
+
     return {
       bodyDamage: traversal.bodyDamageBySlot[slotRef] ?? [],
       bodyDamageBySlot: traversal.bodyDamageBySlot,
       path: traversal.path,
       trace: traversal.trace,
+      organHits,
+      lingering: seeded,
+      obstacleUpdates: traversal.obstacleUpdates,
       slotRef
     };
   }
 
+  /**
+   * Active damage-over-time effects (flag `lingeringEffects`).
+   * @returns {Array<Object>}
+   */
+  getLingeringEffects() {
+    const stored = this.getFlag(MODULE_NS, LINGERING_FLAG) ?? this.flags?.[MODULE_NS]?.[LINGERING_FLAG];
+    return Array.isArray(stored) ? stored : [];
+  }
+
+  /**
+   * Advance lingering effects by `seconds` of personal time. Every tick is
+   * resolved against the current armor stack (surface effects) or the body
+   * layers only (dose); wear is persisted once and each effect leaves at
+   * most one injury per part per call.
+   *
+   * @param {number} seconds
+   * @param {Object} [options]
+   * @param {() => number} [options.random]
+   * @returns {Promise<Array<{effectId:string, slotRef:string, type:string, amount:number}>>}
+   */
+  async advanceLingeringEffects(seconds, { random } = {}) {
+    const stored = this.getLingeringEffects();
+    if (!stored.length) return [];
+    const { effects, ticks, changed } = advanceLingeringEffects(stored, { seconds });
+    if (!changed) return [];
+
+    const bodyParts = this.system?.health?.bodyParts || {};
+    const resolved = resolveLingeringTicks({
+      anatomy: { bodyParts },
+      armorBySlot: ticks.some((t) => t.surface) ? this._collectArmorBySlot(bodyParts) : {},
+      ticks,
+      resolveMaterial: (id) => materialsManager.getMaterial(id),
+      random
+    });
+
+    await this._persistTraversalArmorUpdates(resolved.armorUpdatesBySlot);
+    await this._persistTraversalBodyLayerUpdates(resolved.bodyLayerUpdatesBySlot);
+
+    const byId = new Map(stored.map((e) => [e.id, e]));
+    for (const row of resolved.damage) {
+      const amount = Math.round(row.amount * 100);
+      if (amount <= 0) continue;
+      const effect = byId.get(row.effectId);
+      await this.addInjury({
+        partId: row.slotRef,
+        amount,
+        initialAmount: amount,
+        type: row.type,
+        status: 'raw',
+        source: { ...(effect?.source ?? {}), verbKey: LINGERING_VERBS[effect?.kind] ?? effect?.source?.verbKey }
+      });
+    }
+
+    await this.setFlag(MODULE_NS, LINGERING_FLAG, effects);
+    return resolved.damage;
+  }
+
   /**
    * @param {Object} args
    * @returns {string|null}
@@ -770,6 +894,78 @@ export class SpaceHolderActor extends Actor {
     }
   }
 
+  /**
+   * Активные щиты: надетые предметы с тегом `isShield` и ненулевой ёмкостью,
+   * в порядке инвентаря (первый — внешний).
+   *
+   * @returns {Array<Object>} `system.shield` + `itemId` / `name`
+   */
+  _collectShields() {
+    const items = this.items?.filter?.((i) => i.type === 'item' && i.system?.equipped && i.system?.itemTags?.isShield) ?? [];
+    return items
+      .filter((item) => Number(item.system?.shield?.capacity) > 0)
+      .map((item) => ({ ...(item.system.shield ?? {}), itemId: item.id, name: item.name }));
+  }
+
+  /**
+   * Записать заряд щитов после попадания / подзарядки.
+   *
+   * @param {Array<{itemId:string, value:number, collapsed:boolean}>} shieldUpdates
+   */
+  async _persistShieldUpdates(shieldUpdates) {
+    if (!Array.isArray(shieldUpdates)) return;
+    for (const next of shieldUpdates) {
+      const item = this.items.get(String(next?.itemId ?? ''));
+      if (!item) continue;
+      const prev = item.system?.shield ?? {};
+      const value = Math.round(Number(next.value) * 100) / 100;
+      const collapsed = next.collapsed === true;
+      if (Number(prev.value) === value && (prev.collapsed === true) === collapsed) continue;
+      try { await item.update({ 'system.shield.value': value, 'system.shield.collapsed': collapsed }); }
+      catch (e) { console.error(`SpaceHolder | Failed to persist shield on ${item.name}:`, e); }
+    }
+  }
+
+  /**
+   * Подзарядка надетых щитов за `seconds` личного времени.
+   *
+   * @param {number} seconds
+   * @returns {Promise<boolean>} `true`, если хоть один щит изменился
+   */
+  async rechargeShields(seconds) {
+    const updates = [];
+    for (const shield of this._collectShields()) {
+      const { shield: next, changed } = rechargeShield(normalizeShield(shield), seconds);
+      if (changed) updates.push(next);
+    }
+    await this._persistShieldUpdates(updates);
+    return updates.length > 0;
+  }
+
+  /**
+   * Persist body-layer wear returned by {@link resolveBodyTraversal} when
+   * `persistentBodyLayers` is on. One actor update for every visited part;
+   * layers that came out pristine are stored without wear fields.
+   *
+   * @param {Object<string, Array<Object>>} bodyLayerUpdatesBySlot
+   */
+  async _persistTraversalBodyLayerUpdates(bodyLayerUpdatesBySlot) {
+    if (!bodyLayerUpdatesBySlot || typeof bodyLayerUpdatesBySlot !== 'object') return;
+    const bodyParts = this.system?.health?.bodyParts || {};
+    const update = {};
+    for (const [slotRef, layers] of Object.entries(bodyLayerUpdatesBySlot)) {
+      if (!bodyParts[slotRef] || !Array.isArray(layers)) continue;
+      const sanitized = sanitizeBodyLayers(layers) ?? [];
+      update[`system.health.bodyParts.${slotRef}.bodyLayers`] = sanitized.map((layer) => (
+        isBodyLayerDamaged(layer) ? layer : { material: layer.material, thickness: layer.thickness }
+      ));
+    }
+    if (!Object.keys(update).length) return;
+    try { await this.update(update); }
+    catch (e) { console.error(`SpaceHolder | Failed to persist body layers on ${this.name}:`, e); }
+  }
+
+
   /**
    * Get status description for body part
    */
@@ -12,6 +12,7 @@
 import { normalizeNestedStorage } from '../helpers/item-nested-storage.mjs';
 import { migratePersistedContainerContents, releaseDirectContainerChildrenToRoot } from '../helpers/item-container.mjs';
 import { normalizeWeaponV3 } from '../helpers/weapon/weapon-model.mjs';
+import { normalizeAmmoComponent } from '../helpers/weapon/ammo-crafting.mjs';
 
 function _shPositiveHardness(v) {
   const n = Number(v);
@@ -261,6 +262,7 @@ export class SpaceHolderItem extends Item {
           hold: { showInCombat: false, showInQuickbar: true },
           stow: { showInCombat: false, showInQuickbar: true },
           drop: { showInCombat: false, showInQuickbar: false },
+          throw: { showInCombat: true, showInQuickbar: false },
           wear: { showInCombat: false, showInQuickbar: false },
           show: { showInCombat: false, showInQuickbar: false },
         };
@@ -270,6 +272,7 @@ export class SpaceHolderItem extends Item {
         s.defaultActions.hold = s.defaultActions.hold || { showInCombat: false, showInQuickbar: true };
         s.defaultActions.stow = s.defaultActions.stow || { showInCombat: false, showInQuickbar: true };
         s.defaultActions.drop = s.defaultActions.drop || { showInCombat: false, showInQuickbar: false };
+        s.defaultActions.throw = s.defaultActions.throw || { showInCombat: true, showInQuickbar: false };
         s.defaultActions.wear = s.defaultActions.wear || { showInCombat: false, showInQuickbar: false };
         s.defaultActions.show = s.defaultActions.show || { showInCombat: false, showInQuickbar: false };
       }
@@ -303,6 +306,11 @@ export class SpaceHolderItem extends Item {
           isWeapon: false,
           isAmmo: false,
           isContainer: false,
+          isRepairKit: false,
+          isShield: false,
+          isMeleeShield: false,
+          isAttachment: false,
+          isAmmoComponent: false,
         };
       } else {
         const t = s.itemTags;
@@ -311,6 +319,11 @@ export class SpaceHolderItem extends Item {
         t.isModifiers = !!t.isModifiers;
         t.isAmmo = !!t.isAmmo;
         t.isContainer = !!t.isContainer;
+        t.isRepairKit = !!t.isRepairKit;
+        t.isShield = !!t.isShield;
+        t.isMeleeShield = !!t.isMeleeShield;
+        t.isAttachment = !!t.isAttachment;
+        t.isAmmoComponent = !!t.isAmmoComponent;
         // Legacy melee/ranged/thrown kinds collapse into the unified weapon tag.
         t.isWeapon = !!(t.isWeapon || t.isMelee || t.isRanged || t.isThrown);
         delete t.isMelee;
@@ -318,6 +331,29 @@ export class SpaceHolderItem extends Item {
         delete t.isThrown;
       }
 
+      if (!s.repairKit || typeof s.repairKit !== 'object') {
+        s.repairKit = { efficiency: 1, materialId: '' };
+      } else {
+        const efficiency = Number(s.repairKit.efficiency);
+        s.repairKit.efficiency = Number.isFinite(efficiency) ? Math.max(0, efficiency) : 1;
+        s.repairKit.materialId = String(s.repairKit.materialId ?? '').trim();
+      }
+
+      s.ammoComponent = normalizeAmmoComponent(s.ammoComponent);
+
+      if (!s.shield || typeof s.shield !== 'object') {
+        s.shield = { capacity: 0, value: 0, rechargePerSecond: 0, collapseThreshold: 0, collapsed: false, absorption: {} };
+      } else {
+        const sh = s.shield;
+        const num = (v) => (Number.isFinite(Number(v)) ? Math.max(0, Number(v)) : 0);
+        sh.capacity = num(sh.capacity);
+        sh.value = Math.min(sh.capacity, num(sh.value));
+        sh.rechargePerSecond = num(sh.rechargePerSecond);
+        sh.collapseThreshold = Math.min(100, num(sh.collapseThreshold));
+        sh.collapsed = !!sh.collapsed;
+        if (!sh.absorption || typeof sh.absorption !== 'object') sh.absorption = {};
+      }
+
       s.weapon = migrateItemWeaponData(s.weapon, s.itemTags);
     }
 
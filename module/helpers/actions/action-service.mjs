@@ -33,6 +33,7 @@
  * @property {(ctx: ActionContext)=>string|null} [disabledReason]
  * @property {(ctx: ActionContext)=>Promise<boolean|void>|boolean|void} run
  * @property {boolean} [skipPostCombatLog] - if true, `executeActorAction` skips AP log + combat journal after `run` (run handles it)
+ * @property {boolean} [runSpendsAp] - if true, `apCost` is display-only: `executeActorAction` does not spend it, `run` does (e.g. in one ledger transaction with its own changes)
  */
  
 /**
@@ -73,9 +74,9 @@ function _normalizeAimingType(v) {
   return raw === "standard" ? "standard" : "simple";
 }
  
-import { ensureCharacterApSynced, getStoredActionPoints, spendAp } from './transaction-ledger.mjs';
+import { commitTransaction, ensureCharacterApSynced, getStoredActionPoints, spendAp } from './transaction-ledger.mjs';
 import { appendCombatActionJournalLine } from './action-chat-journal.mjs';
-import { listWeaponAttacks, AMMO_BLOCK_TYPES } from '../weapon/weapon-model.mjs';
+import { listWeaponAttacks, isMeleeLine, AMMO_BLOCK_TYPES } from '../weapon/weapon-model.mjs';
 import {
   getWeaponData,
   persistWeaponData,
@@ -90,6 +91,9 @@ import {
   canLoadX,
   canReloadBlock,
   canBoltBlock,
+  canClearMalfunction,
+  clearMalfunction,
+  blockMalfunction,
   canEmptyBlock,
   canDetachMagazine,
   findChargeCandidatesForBlock,
@@ -106,8 +110,31 @@ import {
   getOrderedDirectChildItemIds,
   removeActorItemFromContainer,
 } from '../item-container.mjs';
-import { runWeaponAttack } from '../weapon/attack-chain.mjs';
+import { runWeaponAttack, runWeaponOverwatch } from '../weapon/attack-chain.mjs';
+import { canOverwatchWithMode } from '../weapon/overwatch.mjs';
+import { malfunctionClearAction } from '../weapon/malfunctions.mjs';
+import { planWeaponMaintenance } from '../weapon/wear.mjs';
+import { describeThrow, landThrownItem, planItemThrow } from '../weapon/throw-runtime.mjs';
+import { slotMountCost, slotUnmountCost } from '../weapon/attachments.mjs';
+import { normalizeAmmoCraftingConfig } from '../weapon/ammo-crafting.mjs';
+import {
+  buildCraftedAmmoData,
+  findCraftedStack,
+  getAmmoComponent,
+  planCraftFromItems,
+  rollCraftQuality,
+} from '../weapon/ammo-crafting-runtime.mjs';
+import { pickAmmoRecipe } from '../weapon/ammo-crafting-app.mjs';
+import {
+  findAttachmentCandidates,
+  getAttachmentHost,
+  getSlotAttachment,
+  mountAttachment,
+  unmountAttachment,
+} from '../weapon/attachment-runtime.mjs';
 import { findNearestPileDropPointWithinCells } from '../item-piles-sh/held-drop-resolve.mjs';
+import { hasWornArmorLayers, planArmorRepair } from '../damage/armor-repair.mjs';
+import { materialsManager } from '../damage/materials-manager.mjs';
 
 async function _ensureAimingManager() {
   let mgr = game.spaceholder?.aimingManager || null;
@@ -585,6 +612,7 @@ function _collectWearableToggleActions(actor, ctx) {
     const unequipDefaults = defaults?.unequip ?? {};
     const stowDefaults = defaults?.stow ?? {};
     const dropDefaults = defaults?.drop ?? {};
+    const throwDefaults = defaults?.throw ?? {};
     const showDefaults = defaults?.show ?? {};
     const standardGroup = _t(ITEM_STANDARD_GROUP_KEY);
     const pushCommonItemActions = () => {
@@ -683,6 +711,24 @@ function _collectWearableToggleActions(actor, ctx) {
           await item.update({ 'system.equipped': false, 'system.held': false });
         }
       });
+      actions.push({
+        id: `item.${item.uuid}.throw`,
+        source: 'item',
+        sourceItemName: item.name,
+        label: _t('SPACEHOLDER.ActionsSystem.Throw.Label', { item: item.name }),
+        menuGroup: standardGroup,
+        menuLabel: _t('SPACEHOLDER.ActionsSystem.Throw.Short'),
+        icon: 'fa-solid fa-hand-back-fist',
+        apCost: Math.round(_num(CONFIG.SPACEHOLDER?.throwing?.apCost, 0)),
+        showInCombat: throwDefaults.showInCombat ?? true,
+        showInQuickbar: throwDefaults.showInQuickbar ?? false,
+        skipPostCombatLog: true,
+        runSpendsAp: true,
+        visible: () => CONFIG.SPACEHOLDER?.throwing?.enabled !== false,
+        enabled: () => !!ctx.editable,
+        disabledReason: () => (ctx.editable ? null : _t('SPACEHOLDER.ActionsSystem.Common.NotEditable')),
+        run: async (runCtx) => _runThrowItem(actor, item, runCtx),
+      });
       pushCommonItemActions();
       continue;
     }
@@ -1517,10 +1563,459 @@ function _collectAmmoChargeIntoActions(actor, item, ctx) {
   }];
 }
 
+/**
+ * Repair kits on the actor (`itemTags.isRepairKit`): the best toolkit efficiency and supply units by
+ * material slug, see helpers/damage/armor-repair.mjs.
+ * @param {Actor} actor
+ * @returns {{ toolEfficiency: number, supply: Record<string, number>, stock: Record<string, Item[]> }}
+ */
+function _collectRepairKits(actor) {
+  let toolEfficiency = 0;
+  const supply = {};
+  const stock = {};
+  for (const it of actor?.items ?? []) {
+    if (it?.type !== 'item' || !it.system?.itemTags?.isRepairKit) continue;
+    const kit = it.system.repairKit ?? {};
+    const slug = String(kit.materialId ?? '').trim();
+    if (!slug) {
+      toolEfficiency = Math.max(toolEfficiency, Math.max(0, _num(kit.efficiency, 1)));
+      continue;
+    }
+    const qty = Math.max(0, Math.floor(_num(it.system.quantity, 0)));
+    if (qty <= 0) continue;
+    supply[slug] = (supply[slug] ?? 0) + qty;
+    if (!stock[slug]) stock[slug] = [];
+    stock[slug].push(it);
+  }
+  return { toolEfficiency, supply, stock };
+}
+
+function _planItemRepair(item, kits) {
+  return planArmorRepair({
+    coveredParts: item?.system?.coveredParts,
+    supply: kits.supply,
+    toolEfficiency: kits.toolEfficiency,
+    getMaterial: (id) => materialsManager.getMaterial(id),
+  });
+}
+
+function _materialNames(slugs) {
+  return slugs.map((slug) => {
+    const md = materialsManager.getMaterial(slug);
+    const localized = md?.nameLocalized ? _t(md.nameLocalized) : '';
+    return (localized && localized !== md?.nameLocalized) ? localized : (md?.name || slug);
+  }).join(', ');
+}
+
+function _armorRepairDescription(plan) {
+  return _t('SPACEHOLDER.ActionsSystem.Repair.Description', {
+    layers: plan.layers,
+    units: plan.units,
+    restored: Math.round(plan.restored),
+  });
+}
+
+/**
+ * Repair the worn layers of an armor item: supply quantity, `system.coveredParts` and AP go into one
+ * ledger transaction, so undo restores all of them together.
+ * @param {Actor} actor
+ * @param {Item} item
+ * @param {ActionContext} runCtx
+ */
+async function _runArmorRepair(actor, item, runCtx) {
+  // Re-plan from current data: the menu may have been open while inventory changed.
+  const kits = _collectRepairKits(actor);
+  const plan = _planItemRepair(item, kits);
+  if (plan.units <= 0) {
+    ui.notifications?.warn?.(kits.toolEfficiency > 0
+      ? _t('SPACEHOLDER.ActionsSystem.Repair.NoSupply', { materials: _materialNames(Object.keys(plan.shortfall)) })
+      : _t('SPACEHOLDER.ActionsSystem.Repair.NoToolkit'));
+    return false;
+  }
+
+  const operations = [{ documentUuid: item.uuid, path: 'system.coveredParts', after: plan.coveredParts }];
+  for (const [slug, units] of Object.entries(plan.consumed)) {
+    let left = units;
+    for (const kit of kits.stock[slug] ?? []) {
+      if (left <= 0) break;
+      const qty = Math.max(0, Math.floor(_num(kit.system?.quantity, 0)));
+      const take = Math.min(qty, left);
+      left -= take;
+      // Empty supply stays in the inventory at quantity 0 so undo has a document to restore.
+      operations.push({ documentUuid: kit.uuid, path: 'system.quantity', after: qty - take });
+    }
+  }
+
+  const description = _armorRepairDescription(plan);
+  const ok = await _commitItemWork(actor, runCtx, {
+    operations,
+    baseCost: plan.apCost,
+    seconds: plan.seconds,
+    kind: 'armorRepair',
+    actionId: `item.${item.uuid}.repair`,
+    label: _t('SPACEHOLDER.ActionsSystem.Repair.Label', { item: item.name }),
+    description,
+    chatSummary: _t('SPACEHOLDER.ActionsSystem.Repair.ChatSummary', {
+      actor: actor.name,
+      item: item.name,
+      description,
+    }),
+  });
+  if (!ok) return false;
+
+  const shortfall = Object.keys(plan.shortfall);
+  if (shortfall.length) {
+    ui.notifications?.info?.(_t('SPACEHOLDER.ActionsSystem.Repair.Partial', { materials: _materialNames(shortfall) }));
+  }
+  return true;
+}
+
+/**
+ * Commit item work (armor repair, weapon maintenance): document operations,
+ * AP and extra personal time go into one ledger transaction so undo restores
+ * all of them together; then log to the combat journal or to chat.
+ * @param {Actor} actor
+ * @param {ActionContext} runCtx
+ * @param {object} work
+ * @param {Array<object>} work.operations ledger operations
+ * @param {number} work.baseCost AP before effective-cost modifiers
+ * @param {number} work.seconds personal time on top of the spent AP
+ * @param {string} work.kind transaction kind
+ * @param {string} work.actionId
+ * @param {string} work.label
+ * @param {string} work.description
+ * @param {string} work.chatSummary out-of-combat chat line
+ * @param {string[]} [work.createdDocumentUuids] documents created for the work; undo deletes them
+ * @returns {Promise<boolean>}
+ */
+async function _commitItemWork(actor, runCtx, {
+  operations, baseCost, seconds, kind, actionId, label, description, chatSummary, createdDocumentUuids = [],
+}) {
+  const cost = getEffectiveActionCost(actor, baseCost);
+  await ensureCharacterApSynced(actor);
+
+  let combat = _activeCombat();
+  let combatant = _getCombatantForActor(actor, runCtx.tokenDoc ?? null, combat);
+  const mgr = game.spaceholder?.combatSessionManager;
+  if (combat && combatant && !combat.getFlag?.("spaceholder", "combatState")?.activeTurn?.combatantId && mgr?.pickTurn) {
+    await mgr.pickTurn({ combatId: combat.id, combatantId: combatant.id });
+    combat = _activeCombat();
+    combatant = _getCombatantForActor(actor, runCtx.tokenDoc ?? null, combat);
+  }
+
+  const meta = {
+    combatantId: combatant?.id ?? null,
+    source: { type: 'action', actionId, label },
+    createdDocumentUuids,
+  };
+  let res = null;
+  try {
+    res = actor.type === 'character'
+      ? await spendAp(actor, cost, meta, { operations, seconds, kind })
+      : await commitTransaction({
+        operations,
+        meta: {
+          ...meta,
+          kind,
+          combatId: combat?.id ?? null,
+          personalTimeSeconds: seconds,
+          personalTimeActorUuid: actor.uuid,
+          personalTimeSource: kind,
+        },
+      });
+  } catch (e) {
+    ui.notifications?.warn?.(String(e?.message || e) || _t('SPACEHOLDER.ActionsSystem.Errors.ApSpendFailed'));
+    return false;
+  }
+  if (!res?.ok) {
+    ui.notifications?.warn?.(res?.error || _t('SPACEHOLDER.ActionsSystem.Errors.ApSpendFailed'));
+    return false;
+  }
+
+  if (combat && combatant) {
+    await _postRunCombatActionLogging({
+      actor,
+      ctx: runCtx,
+      actionId,
+      label,
+      description,
+      baseCost,
+      cost,
+      transactionId: res.transactionId ?? null,
+      combatantHint: combatant,
+    });
+  } else if (!combat) {
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: `<div>${_escapeHTML(chatSummary)}</div>`,
+    });
+  }
+  return true;
+}
+
+/**
+ * Repair action for an armor item with worn layers (item interact menu only).
+ * @returns {ActionDescriptor[]}
+ */
+function _collectArmorRepairActions(actor, item, ctx) {
+  if (!item?.system?.itemTags?.isArmor || !hasWornArmorLayers(item.system?.coveredParts)) return [];
+  const kits = _collectRepairKits(actor);
+  const plan = _planItemRepair(item, kits);
+  return [{
+    id: `item.${item.uuid}.repair`,
+    source: 'item',
+    sourceItemName: item.name,
+    label: _t('SPACEHOLDER.ActionsSystem.Repair.Label', { item: item.name }),
+    menuGroup: _t(ITEM_STANDARD_GROUP_KEY),
+    menuLabel: _t('SPACEHOLDER.ActionsSystem.Repair.Short'),
+    icon: 'fa-solid fa-screwdriver-wrench',
+    apCost: plan.apCost,
+    description: plan.units > 0 ? _armorRepairDescription(plan) : '',
+    showInCombat: false,
+    showInQuickbar: false,
+    interactMenuOnly: true,
+    skipPostCombatLog: true,
+    runSpendsAp: true,
+    visible: () => true,
+    enabled: () => !!ctx.editable && plan.units > 0,
+    disabledReason: () => {
+      if (!ctx.editable) return _t('SPACEHOLDER.ActionsSystem.Common.NotEditable');
+      if (kits.toolEfficiency <= 0) return _t('SPACEHOLDER.ActionsSystem.Repair.NoToolkit');
+      return _t('SPACEHOLDER.ActionsSystem.Repair.NoSupply', { materials: _materialNames(Object.keys(plan.shortfall)) });
+    },
+    run: async (runCtx) => _runArmorRepair(actor, item, runCtx),
+  }];
+}
+
+function _weaponMaintenanceDescription(plan) {
+  return _t('SPACEHOLDER.ActionsSystem.Maintenance.Description', {
+    restored: Math.round(plan.restored),
+    current: Math.round(plan.condition.current),
+    max: Math.round(plan.condition.max),
+  });
+}
+
+/**
+ * Weapon maintenance: one toolkit action restores part of `weapon.condition`.
+ * @param {Actor} actor
+ * @param {Item} item
+ * @param {ActionContext} runCtx
+ */
+async function _runWeaponMaintenance(actor, item, runCtx) {
+  const kits = _collectRepairKits(actor);
+  const weapon = getWeaponData(item);
+  const plan = planWeaponMaintenance({
+    condition: weapon.condition,
+    toolEfficiency: kits.toolEfficiency,
+    config: CONFIG.SPACEHOLDER?.weaponWear,
+  });
+  if (plan.restored <= 0) {
+    ui.notifications?.warn?.(_t('SPACEHOLDER.ActionsSystem.Repair.NoToolkit'));
+    return false;
+  }
+  const description = _weaponMaintenanceDescription(plan);
+  return _commitItemWork(actor, runCtx, {
+    operations: [{ documentUuid: item.uuid, path: 'system.weapon.condition', after: plan.condition }],
+    baseCost: plan.apCost,
+    seconds: plan.seconds,
+    kind: 'weaponMaintenance',
+    actionId: `item.${item.uuid}.maintenance`,
+    label: _t('SPACEHOLDER.ActionsSystem.Maintenance.Label', { item: item.name }),
+    description,
+    chatSummary: _t('SPACEHOLDER.ActionsSystem.Maintenance.ChatSummary', {
+      actor: actor.name,
+      item: item.name,
+      description,
+    }),
+  });
+}
+
+/**
+ * Throw a held item: the point is picked on the canvas, the flight is planned,
+ * then AP are spent and the item lands as an item pile.
+ * @param {Actor} actor
+ * @param {Item} item
+ * @param {ActionContext} runCtx
+ */
+async function _runThrowItem(actor, item, runCtx) {
+  const token = _resolveActionToken(runCtx, actor);
+  const plan = await planItemThrow(actor, item, token);
+  if (!plan) return false;
+  const description = describeThrow(plan);
+  const label = _t('SPACEHOLDER.ActionsSystem.Throw.Label', { item: item.name });
+  const chatSummary = _t('SPACEHOLDER.ActionsSystem.Throw.ChatSummary', {
+    actor: actor.name,
+    item: item.name,
+    description,
+  });
+  if (actor.type === 'character') {
+    const committed = await _commitItemWork(actor, runCtx, {
+      operations: [],
+      baseCost: plan.apCost,
+      seconds: 0,
+      kind: 'itemThrow',
+      actionId: `item.${item.uuid}.throw`,
+      label,
+      description,
+      chatSummary,
+    });
+    if (!committed) return false;
+  } else {
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: `<div>${_escapeHTML(chatSummary)}</div>`,
+    });
+  }
+  return landThrownItem(actor, item, plan);
+}
+
+/**
+ * Maintenance action for a worn weapon (item interact menu only).
+ * @returns {ActionDescriptor[]}
+ */
+function _collectWeaponMaintenanceActions(actor, item, ctx) {
+  if (!item?.system?.itemTags?.isWeapon) return [];
+  const condition = getWeaponData(item).condition;
+  if (!condition.enabled || condition.current >= condition.max) return [];
+  const kits = _collectRepairKits(actor);
+  const plan = planWeaponMaintenance({
+    condition,
+    toolEfficiency: kits.toolEfficiency,
+    config: CONFIG.SPACEHOLDER?.weaponWear,
+  });
+  return [{
+    id: `item.${item.uuid}.maintenance`,
+    source: 'item',
+    sourceItemName: item.name,
+    label: _t('SPACEHOLDER.ActionsSystem.Maintenance.Label', { item: item.name }),
+    menuGroup: _t(ITEM_STANDARD_GROUP_KEY),
+    menuLabel: _t('SPACEHOLDER.ActionsSystem.Maintenance.Short'),
+    icon: 'fa-solid fa-oil-can',
+    apCost: plan.apCost,
+    description: plan.restored > 0 ? _weaponMaintenanceDescription(plan) : '',
+    showInCombat: false,
+    showInQuickbar: false,
+    interactMenuOnly: true,
+    skipPostCombatLog: true,
+    runSpendsAp: true,
+    visible: () => true,
+    enabled: () => !!ctx.editable && plan.restored > 0,
+    disabledReason: () => (ctx.editable
+      ? _t('SPACEHOLDER.ActionsSystem.Repair.NoToolkit')
+      : _t('SPACEHOLDER.ActionsSystem.Common.NotEditable')),
+    run: async (runCtx) => _runWeaponMaintenance(actor, item, runCtx),
+  }];
+}
+
+/**
+ * Craft ammo at the reloading bench: the recipe is picked in the bench app,
+ * one roll sets the batch quality, then component quantities, the crafted
+ * stack and AP go into one ledger transaction. A stack created for the batch
+ * is recorded in the transaction, so undo deletes it.
+ * @param {Actor} actor
+ * @param {Item} item component the action was opened from
+ * @param {ActionContext} runCtx
+ */
+async function _runAmmoCraft(actor, item, runCtx) {
+  const recipe = await pickAmmoRecipe(actor, { item });
+  if (!recipe) return false;
+  // Re-check against current data: the bench may have been open while inventory changed.
+  const check = planCraftFromItems(recipe);
+  if (!check.ok) {
+    ui.notifications?.warn?.(_t('SPACEHOLDER.ActionsSystem.AmmoCraft.Failed', {
+      reason: _t(`SPACEHOLDER.AmmoCrafting.Reasons.${check.reason}`),
+    }));
+    return false;
+  }
+
+  const { roll, total, quality } = await rollCraftQuality(actor);
+  const plan = planCraftFromItems(recipe, quality);
+  if (!plan.ok) return false;
+  const data = buildCraftedAmmoData(actor, plan, recipe);
+
+  // A new stack is created empty first: the ledger only updates existing documents.
+  let stack = findCraftedStack(actor, data);
+  let created = null;
+  if (!stack) {
+    [created] = await actor.createEmbeddedDocuments('Item', [data]);
+    stack = created;
+    if (!stack) return false;
+  }
+
+  const qty = (it) => Math.max(0, Math.floor(_num(it.system?.quantity, 0)));
+  // Used-up components stay in the inventory at quantity 0 so undo has a document to restore.
+  const operations = [
+    { documentUuid: recipe.caseItem.uuid, path: 'system.quantity', after: qty(recipe.caseItem) - plan.consumed.cases },
+    { documentUuid: recipe.propellantItem.uuid, path: 'system.quantity', after: qty(recipe.propellantItem) - plan.consumed.propellant },
+    { documentUuid: recipe.projectileItem.uuid, path: 'system.quantity', after: qty(recipe.projectileItem) - plan.consumed.projectiles },
+    { documentUuid: stack.uuid, path: 'system.quantity', after: qty(stack) + plan.count },
+  ];
+
+  const description = _t('SPACEHOLDER.ActionsSystem.AmmoCraft.Description', {
+    count: plan.count,
+    item: stack.name,
+    total,
+    quality: plan.ammo.quality,
+  });
+  const ok = await _commitItemWork(actor, runCtx, {
+    operations,
+    baseCost: plan.apCost,
+    seconds: plan.seconds,
+    kind: 'ammoCraft',
+    actionId: `item.${item.uuid}.craftAmmo`,
+    label: _t('SPACEHOLDER.ActionsSystem.AmmoCraft.Label'),
+    description,
+    chatSummary: _t('SPACEHOLDER.ActionsSystem.AmmoCraft.ChatSummary', { actor: actor.name, description }),
+    createdDocumentUuids: created ? [created.uuid] : [],
+  });
+  if (!ok) {
+    if (created) await created.delete();
+    return false;
+  }
+  await roll.toMessage({
+    speaker: ChatMessage.getSpeaker({ actor }),
+    flavor: _t('SPACEHOLDER.AmmoCrafting.RollFlavor', { quality: plan.ammo.quality }),
+    rollMode: game.settings.get('core', 'rollMode'),
+  });
+  return true;
+}
+
+/**
+ * Reloading bench action on an ammo component (item interact menu only).
+ * @returns {ActionDescriptor[]}
+ */
+function _collectAmmoCraftingActions(actor, item, ctx) {
+  if (!getAmmoComponent(item)) return [];
+  const cfg = normalizeAmmoCraftingConfig(CONFIG.SPACEHOLDER?.ammoCrafting);
+  return [{
+    id: `item.${item.uuid}.craftAmmo`,
+    source: 'item',
+    sourceItemName: item.name,
+    label: _t('SPACEHOLDER.ActionsSystem.AmmoCraft.Label'),
+    menuGroup: _t(ITEM_STANDARD_GROUP_KEY),
+    menuLabel: _t('SPACEHOLDER.ActionsSystem.AmmoCraft.Short'),
+    icon: 'fa-solid fa-hammer',
+    apCost: Math.round(cfg.apBase + cfg.apPerRound),
+    description: _t('SPACEHOLDER.ActionsSystem.AmmoCraft.Hint'),
+    showInCombat: false,
+    showInQuickbar: false,
+    interactMenuOnly: true,
+    skipPostCombatLog: true,
+    runSpendsAp: true,
+    visible: () => true,
+    enabled: () => !!ctx.editable,
+    disabledReason: () => (ctx.editable ? null : _t('SPACEHOLDER.ActionsSystem.Common.NotEditable')),
+    run: async (runCtx) => _runAmmoCraft(actor, item, runCtx),
+  }];
+}
+
 function _collectItemInteractActions(actor, item, ctx) {
   const interactActions = [];
   interactActions.push(..._collectWearableToggleActions(actor, ctx).filter((a) => _actionBelongsToItem(a, item)));
   interactActions.push(..._collectCustomActions(actor, ctx).filter((a) => _actionBelongsToItem(a, item)));
+  interactActions.push(..._collectArmorRepairActions(actor, item, ctx));
+  interactActions.push(..._collectWeaponMaintenanceActions(actor, item, ctx));
+  interactActions.push(..._collectAmmoCraftingActions(actor, item, ctx));
   interactActions.push(..._collectAmmoChargeIntoActions(actor, item, ctx));
   interactActions.push(..._collectMagazineUnloadActions(actor, item, ctx));
 
@@ -1535,9 +2030,11 @@ function _collectItemInteractActions(actor, item, ctx) {
         interactActions.push(..._buildWeaponBlockActions(actor, item, line, block, { blockCount }));
       }
     }
+    interactActions.push(..._buildWeaponMalfunctionActions(actor, item));
     interactActions.push(..._buildWeaponBoltActions(actor, item));
     interactActions.push(..._buildWeaponEmptyAction(actor, item));
     interactActions.push(..._buildWeaponDetachSubmenu(actor, item));
+    interactActions.push(..._buildWeaponAttachmentActions(actor, item));
   }
 
   return interactActions;
@@ -1658,6 +2155,89 @@ function _blockLabel(block) {
   return typed && typed !== typeKey ? typed : String(block.type ?? '').trim();
 }
 
+function _slotLabel(slot) {
+  return String(slot?.name || slot?.type || _t('SPACEHOLDER.WeaponV3.Slots.Default')).trim();
+}
+
+/**
+ * Weapon attachments: per slot a «Mount…» flyout of fitting attachments
+ * (swaps an occupied slot) and «Take off» for the mounted one.
+ * @returns {ActionDescriptor[]}
+ */
+function _buildWeaponAttachmentActions(actor, item) {
+  const out = [];
+  if (!item?.system?.itemTags?.isWeapon) return out;
+  const group = _t('SPACEHOLDER.WeaponV3.Interact.AttachmentsGroup');
+
+  for (const slot of getWeaponData(item).slots) {
+    const slotId = slot.id;
+    const slotName = _slotLabel(slot);
+    const mounted = getSlotAttachment(actor, item, slot);
+    const candidates = findAttachmentCandidates(actor, item, slot);
+
+    if (candidates.length) {
+      const label = _t('SPACEHOLDER.WeaponV3.Attachments.Mount', { slot: slotName });
+      out.push({
+        id: `item.${item.uuid}.attachmentMount.${slotId}`,
+        source: 'item',
+        sourceItemName: item.name,
+        label,
+        menuGroup: group,
+        menuLabel: label,
+        icon: 'fa-solid fa-puzzle-piece',
+        apCost: slotMountCost(slot, !!mounted),
+        description: group,
+        showInCombat: true,
+        showInQuickbar: false,
+        weaponInteract: true,
+        submenuKind: 'charge',
+        submenuItems: candidates.map((candidate) => ({ item: candidate, group: slotName })),
+        visible: () => true,
+        enabled: () => true,
+        run: async (runCtx) => {
+          const attachmentItem = runCtx?.chargeCandidate?.item;
+          if (!attachmentItem) return false;
+          const res = await mountAttachment({ actor, weaponItem: item, slotId, attachmentItem });
+          if (!res.ok) {
+            ui.notifications?.warn?.(_t('SPACEHOLDER.WeaponV3.Attachments.Failed'));
+            return false;
+          }
+          return true;
+        },
+      });
+    }
+
+    if (mounted) {
+      const label = _t('SPACEHOLDER.WeaponV3.Attachments.Unmount', { item: mounted.name });
+      out.push({
+        id: `item.${item.uuid}.attachmentUnmount.${slotId}`,
+        source: 'item',
+        sourceItemName: item.name,
+        label,
+        menuGroup: group,
+        menuLabel: label,
+        icon: 'fa-solid fa-puzzle-piece',
+        apCost: slotUnmountCost(slot),
+        description: slotName,
+        showInCombat: true,
+        showInQuickbar: false,
+        weaponInteract: true,
+        visible: () => true,
+        enabled: () => true,
+        run: async () => {
+          const res = await unmountAttachment({ actor, weaponItem: item, slotId });
+          if (!res.ok) {
+            ui.notifications?.warn?.(_t('SPACEHOLDER.WeaponV3.Attachments.Failed'));
+            return false;
+          }
+          return true;
+        },
+      });
+    }
+  }
+  return out;
+}
+
 /**
  * Weapon-level flyout: detach attached magazines / batteries / charge units.
  * @returns {ActionDescriptor[]}
@@ -1875,6 +2455,64 @@ function _buildWeaponBoltActions(actor, item) {
   return out;
 }
 
+/**
+ * Устранение неисправностей: «Передёрнуть» (осечка / недосыл / утыкание гильзы)
+ * или «Устранить двойную подачу» — по одному действию на заклинивший блок.
+ * @returns {ActionDescriptor[]}
+ */
+function _buildWeaponMalfunctionActions(actor, item) {
+  const out = [];
+  if (!item?.system?.itemTags?.isWeapon) return out;
+  const weapon = getWeaponData(item);
+  let blockCount = 0;
+  for (const line of weapon.lines ?? []) blockCount += (line.ammoBlocks ?? []).length;
+  const ammoGroup = _t('SPACEHOLDER.WeaponV3.Interact.AmmoGroup');
+
+  for (const line of weapon.lines ?? []) {
+    for (const block of line.ammoBlocks ?? []) {
+      const kind = blockMalfunction(block);
+      const action = malfunctionClearAction(kind);
+      if (!action || !block.apActions?.[action]?.enabled) continue;
+      const baseLabel = _t(action === 'clearDoubleFeed'
+        ? 'SPACEHOLDER.WeaponV3.BlockActions.ClearDoubleFeed'
+        : 'SPACEHOLDER.WeaponV3.BlockActions.TapRack');
+      const prefix = blockCount > 1 ? _blockMenuPrefix(line, block, { blockCount }) : '';
+      const label = prefix ? `${prefix}: ${baseLabel}` : baseLabel;
+      const lineId = line.id;
+      const blockId = block.id;
+      out.push({
+        id: `item.${item.uuid}.weaponClearMalfunction.${blockId}`,
+        source: 'item',
+        sourceItemName: item.name,
+        label,
+        menuGroup: ammoGroup,
+        menuLabel: label,
+        icon: 'fa-solid fa-screwdriver-wrench',
+        apCost: Math.max(0, Number(block.apActions[action].value) || 0),
+        description: _t(`SPACEHOLDER.WeaponV3.Malfunction.Kinds.${kind}`),
+        showInCombat: true,
+        showInQuickbar: false,
+        weaponInteract: true,
+        visible: () => true,
+        enabled: () => canClearMalfunction(getAmmoBlock(getWeaponData(item), lineId, blockId)),
+        run: async () => {
+          const w = getWeaponData(item);
+          const b = getAmmoBlock(w, lineId, blockId);
+          if (!b) return false;
+          const res = await clearMalfunction({ actor, weaponItem: item, block: b });
+          if (!res?.ok) {
+            ui.notifications?.warn?.(_t('SPACEHOLDER.WeaponV3.Malfunction.ClearFailed'));
+            return false;
+          }
+          await persistWeaponData(item, w);
+          return true;
+        },
+      });
+    }
+  }
+  return out;
+}
+
 /**
  * Weapon-level «Опустошить»: empty every ammo block that supports it.
  * @returns {ActionDescriptor[]}
@@ -2130,6 +2768,9 @@ function _collectWeaponV3Actions(actor, ctx) {
     if (!tags.isWeapon) continue;
     const weapon = getWeaponData(item);
     if (!Array.isArray(weapon.lines) || !weapon.lines.length) continue;
+    // A mounted underbarrel weapon lists its lines as the host's attacks.
+    const host = getAttachmentHost(actor, item);
+    const attackOwner = host ? `${host.name} (${item.name})` : item.name;
 
     for (const attack of listWeaponAttacks(weapon)) {
       const lineName = attack.line.name || _t('SPACEHOLDER.WeaponV3.Line.Default');
@@ -2138,7 +2779,7 @@ function _collectWeaponV3Actions(actor, ctx) {
         id: `item.${item.uuid}.weaponAttack.${attack.lineId}.${attack.modeId}`,
         source: 'item',
         sourceItemName: item.name,
-        label: `${item.name}: ${lineName} / ${modeName}`,
+        label: `${attackOwner}: ${lineName} / ${modeName}`,
         icon: 'fa-solid fa-crosshairs',
         apCost: 0,
         description: '',
@@ -2163,6 +2804,37 @@ function _collectWeaponV3Actions(actor, ctx) {
           });
         },
       });
+
+      if (isMeleeLine(attack.line) || !canOverwatchWithMode(attack.mode)) continue;
+      out.push({
+        id: `item.${item.uuid}.weaponOverwatch.${attack.lineId}.${attack.modeId}`,
+        source: 'item',
+        sourceItemName: item.name,
+        label: _t('SPACEHOLDER.WeaponV3.Overwatch.ActionLabel', { attack: `${attackOwner}: ${lineName} / ${modeName}` }),
+        icon: 'fa-solid fa-eye',
+        apCost: 0,
+        description: '',
+        showInCombat: true,
+        showInQuickbar: false,
+        requiresHolding: false,
+        skipPostCombatLog: true,
+        visible: (vctx) => !!vctx?.inCombat,
+        enabled: () => true,
+        run: async (runCtx) => {
+          const token = _resolveActionToken(runCtx, actor);
+          if (!token) {
+            ui.notifications?.warn?.(_t('SPACEHOLDER.ActionsSystem.Errors.NoTokenForAiming'));
+            return false;
+          }
+          return runWeaponOverwatch({
+            actor,
+            weaponItem: item,
+            token,
+            lineId: attack.lineId,
+            modeId: attack.modeId,
+          });
+        },
+      });
     }
 
     const interactActions = [];
@@ -2273,7 +2945,7 @@ export async function executeActorAction(actor, action, partialCtx = {}) {
   }
 
   let transactionId = null;
-  if (cost > 0 && actor.type === "character") {
+  if (cost > 0 && actor.type === "character" && !action.runSpendsAp) {
     let spend = null;
     try {
       spend = await spendAp(actor, cost, {
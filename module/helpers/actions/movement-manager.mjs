@@ -4,11 +4,15 @@
  * - Слушает завершённые движения токенов (TokenDocument.movement)
  * - В бою пишет `move` в таблицу: база ОД = ceil(дистанция × system.speed), затем модификатор координации (getEffectiveActionCost).
  *   У персонажей `system.speed` производный: movementApTimeSlice / дистанция за этот бюджет (см. Actor `_prepareDerivedCharacterStats`).
+ * - Путь через чужую зону подавления дороже на moveApPenaltyPct % (см. weapon/suppression.mjs).
+ * - Вход в дугу дежурного огня врага предлагает его владельцу выстрел-реакцию (см. weapon/overwatch.mjs).
  */
 
 import { getEffectiveActionCost, getMovementDistanceApBase } from './action-service.mjs';
 import { ensureCharacterApSynced, spendAp } from './transaction-ledger.mjs';
 import { appendCombatActionJournalLine } from './action-chat-journal.mjs';
+import { getSuppressionMoveApPenalty } from '../weapon/suppression-runtime.mjs';
+import { checkOverwatchTriggers } from '../weapon/overwatch-runtime.mjs';
 
 function _t(key, data = undefined) {
   try {
@@ -182,7 +186,8 @@ export class MovementManager {
       }
 
       const rawMovementAp = getMovementDistanceApBase(actor, dist, baseCost);
-      const cost = getEffectiveActionCost(actor, rawMovementAp);
+      const moveCost = getEffectiveActionCost(actor, rawMovementAp);
+      const cost = moveCost + getSuppressionMoveApPenalty(tokenDocument, from, to, moveCost);
       this._tokenPrevPos.delete(String(tokenDocument?.id || ''));
 
       const combat = game?.combat?.started ? game.combat : null;
@@ -267,6 +272,11 @@ export class MovementManager {
       }
 
       this._loggedMovementIds.add(moveId);
+
+      // Дежурный огонь: движение ждёт ответа стрелков, в чью дугу вошёл токен.
+      if (combat && combatant) {
+        await checkOverwatchTriggers({ tokenDoc: tokenDocument, from, to, reactionOfEventId: moveCombatEventId });
+      }
     } catch (e) {
       console.error('SpaceHolder | Movement updateToken handler error', e);
     }
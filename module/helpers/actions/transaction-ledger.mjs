@@ -6,11 +6,18 @@
  * - Out of combat: same flag name on the primary Actor (owner writes).
  *
  * Transaction record shape:
- * `{ id, schema, createdAt, undoneAt?, undoneBy?, kind, combatId?, combatantId?, source, operations: [{ documentUuid, path, before, after }] }`
+ * `{ id, schema, createdAt, undoneAt?, undoneBy?, kind, combatId?, combatantId?, source, operations: [{ documentUuid, path, before, after }], createdDocumentUuids? }`
+ *
+ * Operation targets are Actors or Items embedded in an Actor (e.g. armor repair writes the item's
+ * `system.coveredParts` and spends supply `system.quantity` in the same transaction as the AP).
+ * A document the action had to create first (`meta.createdDocumentUuids`, e.g. a new crafted stack)
+ * is deleted on undo instead of being restored.
  *
  * Undo: GM may undo combat ledger entries; actor owner may undo own actor ledger (local). Socket `ledgerUndo` is GM-initiator only.
  */
 
+import { collectOrganModifiers } from "../damage/organ-resolver.mjs";
+
 const MODULE_NS = "spaceholder";
 const FLAG_LEDGER = "transactionLedger";
 const FLAG_SYNCED = "apLedgerSyncedV1";
@@ -24,6 +31,11 @@ function _num(v, fallback = 0) {
   return Number.isFinite(n) ? n : fallback;
 }
 
+function _createdUuids(meta) {
+  const raw = Array.isArray(meta?.createdDocumentUuids) ? meta.createdDocumentUuids : [];
+  return raw.map((u) => String(u || "").trim()).filter(Boolean);
+}
+
 function _clone(obj) {
   try {
     return foundry.utils.deepClone(obj);
@@ -65,18 +77,42 @@ async function _applyPersonalTimeSideEffect(meta, { reverse = false } = {}) {
 }
 
 /**
- * Max AP from abilities (same rule as legacy action-service).
+ * Max AP from abilities (same rule as legacy action-service), reduced by open
+ * organ wounds (`apMaxReduction`, see helpers/damage/organ-effects.mjs).
  * @param {Actor} actor
  */
 export function getMaxApFromAbilities(actor) {
   const dex = _num(actor?.system?.abilities?.dex?.value, 0);
   const int = _num(actor?.system?.abilities?.int?.value, 0);
-  return Math.max(0, Math.floor(dex * int));
+  const { apMaxFactor } = collectOrganModifiers(actor?.system?.health?.injuries);
+  return Math.max(0, Math.floor(dex * int * apMaxFactor));
 }
 
 /**
- * Read a value from an Actor using a flat system path like `system.actionPoints.value`.
- * @param {Actor} actor
+ * Ledger operations may target an Actor or an Item embedded in an Actor.
+ * @param {foundry.abstract.Document|null} doc
+ * @returns {boolean}
+ */
+function _isLedgerDocument(doc) {
+  if (!doc) return false;
+  if (doc.documentName === "Actor") return true;
+  return doc.documentName === "Item" && doc.parent?.documentName === "Actor";
+}
+
+/**
+ * Actor whose ledger records an operation on `doc` (the Item's owner for embedded items).
+ * @param {foundry.abstract.Document|null} doc
+ * @returns {Actor|null}
+ */
+function _ledgerActorOf(doc) {
+  if (doc?.documentName === "Actor") return doc;
+  if (doc?.documentName === "Item" && doc.parent?.documentName === "Actor") return doc.parent;
+  return null;
+}
+
+/**
+ * Read a value from an Actor (or embedded Item) using a flat system path like `system.actionPoints.value`.
+ * @param {Actor|Item} actor
  * @param {string} path
  */
 export function getDocumentPathValue(actor, path) {
@@ -241,6 +277,7 @@ export function getStoredActionPoints(actor) {
  * @param {string|null} [opts.meta.combatId]
  * @param {string|null} [opts.meta.combatantId]
  * @param {object} [opts.meta.source]
+ * @param {string[]} [opts.meta.createdDocumentUuids] documents created for this action; undo deletes them
  * @returns {Promise<{ ok: boolean, transactionId?: string, error?: string }>}
  */
 export async function commitTransaction({ operations = [], meta = {} } = {}) {
@@ -288,7 +325,7 @@ export async function commitTransaction({ operations = [], meta = {} } = {}) {
       } catch (_) {
         doc = null;
       }
-      if (!doc || doc.documentName !== "Actor") {
+      if (!_isLedgerDocument(doc)) {
         return { ok: false, error: `Actor not found: ${documentUuid}` };
       }
       const ownerLevel = CONST.DOCUMENT_OWNERSHIP_LEVELS?.OWNER ?? 3;
@@ -320,6 +357,7 @@ export async function commitTransaction({ operations = [], meta = {} } = {}) {
     const personalTimeSeconds = _num(meta.personalTimeSeconds, 0);
     const personalTimeActorUuid = String(meta.personalTimeActorUuid || "").trim() || null;
     const personalTimeSource = meta.personalTimeSource ? String(meta.personalTimeSource) : null;
+    const createdDocumentUuids = _createdUuids(meta);
     const tx = {
       id: transactionId,
       schema: 1,
@@ -334,13 +372,14 @@ export async function commitTransaction({ operations = [], meta = {} } = {}) {
       personalTimeSeconds: personalTimeSeconds || undefined,
       personalTimeActorUuid: personalTimeActorUuid || undefined,
       personalTimeSource: personalTimeSource || undefined,
+      createdDocumentUuids: createdDocumentUuids.length ? createdDocumentUuids : undefined,
     };
 
     const primaryUuid = fullOps[0]?.documentUuid;
     let primaryActor = null;
     try {
       const d = await fromUuid(primaryUuid);
-      primaryActor = d?.documentName === "Actor" ? d : null;
+      primaryActor = _ledgerActorOf(d);
     } catch (_) {
       primaryActor = null;
     }
@@ -379,7 +418,7 @@ export async function commitTransactionAsGMSocket(payload, requesterUserId) {
     } catch (_) {
       doc = null;
     }
-    if (!doc || doc.documentName !== "Actor") return { ok: false, error: "Invalid actor" };
+    if (!_isLedgerDocument(doc)) return { ok: false, error: "Invalid actor" };
     const ownerLevel = CONST.DOCUMENT_OWNERSHIP_LEVELS?.OWNER ?? 3;
     if (!requester.isGM && !doc.testUserPermission(requester, ownerLevel)) {
       return { ok: false, error: "Owner required" };
@@ -406,6 +445,7 @@ export async function commitTransactionAsGMSocket(payload, requesterUserId) {
   const personalTimeSeconds = _num(meta.personalTimeSeconds, 0);
   const personalTimeActorUuid = String(meta.personalTimeActorUuid || "").trim() || null;
   const personalTimeSource = meta.personalTimeSource ? String(meta.personalTimeSource) : null;
+  const createdDocumentUuids = _createdUuids(meta);
   const tx = {
     id: transactionId,
     schema: 1,
@@ -420,6 +460,7 @@ export async function commitTransactionAsGMSocket(payload, requesterUserId) {
     personalTimeSeconds: personalTimeSeconds || undefined,
     personalTimeActorUuid: personalTimeActorUuid || undefined,
     personalTimeSource: personalTimeSource || undefined,
+    createdDocumentUuids: createdDocumentUuids.length ? createdDocumentUuids : undefined,
   };
 
   const combatId = String(meta.combatId || game.combat?.id || "").trim();
@@ -462,24 +503,37 @@ export async function undoTransaction({ transactionId, combat = null, actor = nu
   const tx = list[idx];
   if (tx.undoneAt) return { ok: false, error: "Already undone" };
 
+  const created = _createdUuids(tx);
   const ops = [...(tx.operations || [])].reverse();
   const byDoc = new Map();
   for (const op of ops) {
     const uuid = String(op.documentUuid || "").trim();
+    if (created.includes(uuid)) continue;
     const path = String(op.path || "").trim();
     if (!byDoc.has(uuid)) byDoc.set(uuid, {});
     Object.assign(byDoc.get(uuid), _flatUpdate(path, op.before));
   }
 
+  // Resolve and check every document first: a refusal must not leave a half-undone state.
+  const ownerLevel = CONST.DOCUMENT_OWNERSHIP_LEVELS?.OWNER ?? 3;
+  const canUndo = (doc) => game.user?.isGM || doc.testUserPermission(game.user, ownerLevel);
+  const updates = [];
   for (const [documentUuid, update] of byDoc) {
     const doc = await fromUuid(documentUuid);
     if (!doc) return { ok: false, error: "Actor missing for undo" };
-    const ownerLevel = CONST.DOCUMENT_OWNERSHIP_LEVELS?.OWNER ?? 3;
-    if (!game.user?.isGM && !doc.testUserPermission(game.user, ownerLevel)) {
-      return { ok: false, error: "No permission to undo" };
-    }
-    await doc.update(update);
+    if (!canUndo(doc)) return { ok: false, error: "No permission to undo" };
+    updates.push([doc, update]);
   }
+  const deletions = [];
+  for (const documentUuid of created) {
+    const doc = await fromUuid(documentUuid);
+    if (!doc) continue;
+    if (!canUndo(doc)) return { ok: false, error: "No permission to undo" };
+    deletions.push(doc);
+  }
+
+  for (const [doc, update] of updates) await doc.update(update);
+  for (const doc of deletions) await doc.delete();
 
   await _applyPersonalTimeSideEffect(tx, { reverse: true });
 
@@ -495,31 +549,38 @@ export async function undoTransaction({ transactionId, combat = null, actor = nu
 
 /**
  * Spend AP (subtract, clamp at 0).
+ *
+ * `extra` lets an action commit its own document changes in the same transaction, so a single undo
+ * reverts both: `operations` are appended after the AP op (the actor stays the ledger's primary
+ * document), `seconds` adds personal time on top of the spent AP, `kind` overrides `"apSpend"`.
  * @param {Actor} actor
  * @param {number} cost
  * @param {object} [meta]
+ * @param {{ operations?: Array<{ documentUuid: string, path: string, after: unknown }>, seconds?: number, kind?: string }} [extra]
  */
-export async function spendAp(actor, cost, meta = {}) {
+export async function spendAp(actor, cost, meta = {}, extra = {}) {
   await ensureCharacterApSynced(actor);
   const c = Math.max(0, Math.floor(_num(cost, 0)));
   if (!actor || actor.type !== "character") return { ok: false, error: "Not a character" };
-  if (c === 0) return { ok: true, transactionId: null };
+  const extraOps = Array.isArray(extra?.operations) ? extra.operations : [];
+  if (c === 0 && !extraOps.length) return { ok: true, transactionId: null };
 
   const { value } = getStoredActionPoints(actor);
   const next = Math.max(0, value - c);
   const actualSpent = Math.max(0, value - next);
   const { apToSeconds } = await import("./personal-time.mjs");
-  const personalTimeSeconds = apToSeconds(actor, actualSpent);
+  const personalTimeSeconds = apToSeconds(actor, actualSpent) + Math.max(0, _num(extra?.seconds, 0));
   const combat = game?.combat?.started ? game.combat : null;
+  const kind = String(extra?.kind || "apSpend");
   return commitTransaction({
-    operations: [{ documentUuid: actor.uuid, path: AP_VALUE, after: next }],
+    operations: [{ documentUuid: actor.uuid, path: AP_VALUE, after: next }, ...extraOps],
     meta: {
       ...meta,
-      kind: "apSpend",
+      kind,
       combatId: meta.combatId ?? combat?.id ?? null,
       personalTimeSeconds,
       personalTimeActorUuid: actor.uuid,
-      personalTimeSource: "apSpend",
+      personalTimeSource: kind,
     },
   });
 }
@@ -581,7 +642,7 @@ export async function undoTransactionAsGMSocket(payload, requesterUserId) {
         } catch (_) {
           doc = null;
         }
-        if (!doc || doc.documentName !== "Actor") return { ok: false, error: "Invalid operation target" };
+        if (!_isLedgerDocument(doc)) return { ok: false, error: "Invalid operation target" };
         if (!doc.testUserPermission(requester, ownerLevel)) {
           return { ok: false, error: "Owner permission required" };
         }
@@ -602,12 +663,18 @@ export async function undoTransactionAsGMSocket(payload, requesterUserId) {
 
 export function installTransactionLedgerHooks() {
   if (typeof Hooks === "undefined") return;
-  Hooks.on("updateActor", (doc, change) => {
+  Hooks.on("updateActor", (doc, change, _options, userId) => {
     try {
       if (!doc || doc.type !== "character") return;
       const dexTouched = foundry.utils.getProperty(change, "system.abilities.dex") !== undefined;
       const intTouched = foundry.utils.getProperty(change, "system.abilities.int") !== undefined;
-      if (!dexTouched && !intTouched) return;
+      // Organ wounds scale the pool: healing or removing one gives the AP back.
+      const injuriesTouched = foundry.utils.getProperty(change, "system.health.injuries") !== undefined;
+      if (!dexTouched && !intTouched && !injuriesTouched) return;
+      if (!dexTouched && !intTouched) {
+        if (userId !== game.user?.id) return;
+        if (_num(doc.system?.actionPoints?.max, NaN) === getMaxApFromAbilities(doc)) return;
+      }
       recomputeApMaxForActor(doc).catch(() => {});
     } catch (_) {
       /* ignore */
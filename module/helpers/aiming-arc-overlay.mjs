@@ -1,4 +1,5 @@
 import { applyErgonomicsToArcs } from './weapon/weapon-model.mjs';
+import { applyRecoilToErgonomics, normalizeRecoilState } from './weapon/recoil.mjs';
 
 const MODULE_NS = 'spaceholder';
 const OVERLAY_KEY = 'aimingArcOverlay';
@@ -6,6 +7,8 @@ let _installed = false;
 const _forcedTokenKeys = new Set();
 /** tokenKey → normalized weapon ergonomics applied while force-shown. */
 const _forcedErgonomics = new Map();
+/** tokenKey → current recoil state (weapon/recoil.mjs) during v3 fire. */
+const _recoilStates = new Map();
 
 function _tokenKey(token) {
   return String(token?.document?.uuid ?? token?.document?.id ?? token?.id ?? '');
@@ -136,6 +139,31 @@ function _drawSide(graphics, startDeg, zones, radiusInner, radiusOuter, colors,
   }
 }
 
+/**
+ * Recoil marker: a band along the outer edge from the pointer to where the
+ * muzzle has climbed, ending in a tick. Longer band — stronger climb.
+ */
+function _drawRecoil(graphics, recoil, radiusInner, radiusOuter, color, alpha) {
+  const offset = recoil.value * recoil.side;
+  if (!offset) return;
+  const start = _degToRad(0);
+  const end = _degToRad(offset);
+  const anticlockwise = offset < 0;
+  const bandInner = radiusOuter + 2;
+  const bandOuter = radiusOuter + 8;
+  graphics.beginFill(color, alpha);
+  graphics.moveTo(Math.cos(start) * bandInner, Math.sin(start) * bandInner);
+  graphics.arc(0, 0, bandInner, start, end, anticlockwise);
+  graphics.lineTo(Math.cos(end) * bandOuter, Math.sin(end) * bandOuter);
+  graphics.arc(0, 0, bandOuter, end, start, !anticlockwise);
+  graphics.closePath();
+  graphics.endFill();
+  graphics.lineStyle(3, color, 1);
+  graphics.moveTo(Math.cos(end) * radiusInner, Math.sin(end) * radiusInner);
+  graphics.lineTo(Math.cos(end) * (bandOuter + 6), Math.sin(end) * (bandOuter + 6));
+  graphics.lineStyle(0);
+}
+
 function _renderOverlay(token) {
   const container = _ensureOverlay(token);
   if (!container?.graphics) return;
@@ -147,8 +175,14 @@ function _renderOverlay(token) {
   const alpha = Math.min(1, Math.max(0, Number(cfg.overlayAlpha) || 0.36));
   const thickness = Math.max(8, Number(cfg.overlayThicknessPx) || 44);
   const direction = Number(token.document?.getFlag(MODULE_NS, 'tokenpointerDirection') ?? 90);
-  const forcedErgo = _forcedErgonomics.get(_tokenKey(token)) ?? null;
-  const { zones, visiblePerSideDeg } = _normalizeHalfZones(token.actor, forcedErgo);
+  const key = _tokenKey(token);
+  const recoil = _recoilStates.get(key) ?? null;
+  const forcedErgo = _forcedErgonomics.get(key) ?? null;
+  // Accumulated recoil widens the arcs exactly as the deviation roll sees them.
+  const ergo = recoil
+    ? applyRecoilToErgonomics(forcedErgo, recoil, CONFIG?.SPACEHOLDER?.recoil)
+    : forcedErgo;
+  const { zones, visiblePerSideDeg } = _normalizeHalfZones(token.actor, ergo);
 
   const radiusInner = Math.max(token.w, token.h);
   const radiusOuter = radiusInner + thickness;
@@ -161,6 +195,10 @@ function _renderOverlay(token) {
   // Local forward axis is +X. Draw both shoulders up/down around it.
   _drawSide(g, 0, zones, radiusInner, radiusOuter, colors, alpha, visiblePerSideDeg, 1);
   _drawSide(g, 0, zones, radiusInner, radiusOuter, colors, alpha, visiblePerSideDeg, -1);
+  if (recoil) {
+    const recoilColor = Number(cfg.overlayRecoilColor ?? 0xff4d4d);
+    _drawRecoil(g, recoil, radiusInner, radiusOuter, recoilColor, Math.min(1, alpha + 0.2));
+  }
 }
 
 export function clearAimingArcOverlays() {
@@ -212,10 +250,25 @@ export function setForcedAimingArcOverlay(token, forced, ergonomics = null) {
   } else {
     _forcedTokenKeys.delete(key);
     _forcedErgonomics.delete(key);
+    _recoilStates.delete(key);
   }
   drawAimingArcOverlayForToken(token, token?.hover);
 }
 
+/**
+ * Show the current recoil on the token's arcs (widened zones + climb marker).
+ * @param {Token} token
+ * @param {object|null} recoil state from weapon/recoil.mjs; null/settled clears it
+ */
+export function setAimingArcRecoil(token, recoil) {
+  const key = _tokenKey(token);
+  if (!key) return;
+  const state = recoil ? normalizeRecoilState(recoil) : null;
+  if (state && state.value > 0) _recoilStates.set(key, state);
+  else _recoilStates.delete(key);
+  drawAimingArcOverlayForToken(token, token?.hover);
+}
+
 export function refreshAimingArcOverlays() {
   const tokens = canvas?.tokens?.placeables ?? [];
   for (const token of tokens) drawAimingArcOverlayForToken(token, token.hover);
@@ -251,6 +304,7 @@ export function installAimingArcOverlayHooks() {
     if (tokenDoc?.object) {
       _forcedTokenKeys.delete(_tokenKey(tokenDoc.object));
       _forcedErgonomics.delete(_tokenKey(tokenDoc.object));
+      _recoilStates.delete(_tokenKey(tokenDoc.object));
       _destroyOverlay(tokenDoc.object);
     }
   });
@@ -2,14 +2,16 @@
  * Aiming Manager - модульная система прицеливания
  * Управляет процессом прицеливания и создаёт выстрелы через shot-manager
  */
-import { setForcedAimingArcOverlay } from './aiming-arc-overlay.mjs';
+import { setAimingArcRecoil, setForcedAimingArcOverlay } from './aiming-arc-overlay.mjs';
 import {
   AP_PER_SECOND,
   FIRE_MODES,
   applyErgonomicsToArcs,
   applyDamageModifiers,
   buildProjectileFromDamageEntries,
+  isMeleeLine,
   resolveEffectiveAttackParams,
+  rollStandardDeviation,
 } from './weapon/weapon-model.mjs';
 import {
   getWeaponData,
@@ -23,6 +25,30 @@ import {
   resolveWeaponLinePayload,
   TRAJECTORY_KINDS,
 } from './weapon/trajectory.mjs';
+import {
+  accumulateRecoil,
+  applyRecoilToErgonomics,
+  recoilAimOffset,
+  recoverRecoil,
+} from './weapon/recoil.mjs';
+import { addShotHeat, heatPenalties, settleHeat, shotHeat } from './weapon/heat.mjs';
+import { applyShotWear, shotWear } from './weapon/wear.mjs';
+import { scaleMeleeDamage } from './weapon/melee.mjs';
+import { resolveMeleeReactions } from './weapon/melee-reactions.mjs';
+import { getAttachmentModifiers } from './weapon/attachment-runtime.mjs';
+import { startSuppression } from './weapon/suppression-runtime.mjs';
+import { startOverwatch } from './weapon/overwatch-runtime.mjs';
+import { overwatchSetupApCost, overwatchShotCount } from './weapon/overwatch.mjs';
+import { suppressionShotDirection } from './weapon/suppression.mjs';
+import { tokenPitch } from './weapon/elevation-runtime.mjs';
+import { mergeWorldPayloads } from './weapon/payload-designer-runtime.mjs';
+import { getPersonalTimeTotal } from './actions/personal-time.mjs';
+import { aimedHitChance, applyPitchToBodyParts, hitLocationWeights, hitTravelDeg, incomingHitDirection, tokenFacingDeg } from './damage/hit-location.mjs';
+import { applyCoverToBodyParts } from './damage/cover.mjs';
+import { persistCoverWear, resolveTokenCover } from './damage/cover-runtime.mjs';
+import { DAMAGE_TRACE_FLAG, DAMAGE_TRACE_SCHEMA, packTraceHit } from './damage/damage-trace-replay.mjs';
+import { collectOrganModifiers } from './damage/organ-resolver.mjs';
+import { accuracyDeviationMultiplier } from './damage/organ-effects.mjs';
 
 let _payloadLibraryCache = null;
 
@@ -34,6 +60,21 @@ function _normalizeAimingType(typeRaw) {
   return type === 'standard' ? 'standard' : 'simple';
 }
 
+/**
+ * Часть тела, которую обжигает перегретое оружие: кисть (правая в приоритете),
+ * иначе любая хватательная часть.
+ * @param {Actor} actor
+ * @returns {string|null} slotRef
+ */
+function _findHeldHandPartId(actor) {
+  const entries = Object.entries(actor?.system?.health?.bodyParts ?? {});
+  const has = (part, tag) => Array.isArray(part?.tags) && part.tags.includes(tag);
+  const hand = entries.find(([, p]) => has(p, 'dexterous') && has(p, 'right_side'))
+    ?? entries.find(([, p]) => has(p, 'dexterous'))
+    ?? entries.find(([, p]) => has(p, 'manipulator'));
+  return hand?.[0] ?? null;
+}
+
 function _normalizeAngleDeltaDeg(a, b) {
   let delta = Math.abs(Number(a) - Number(b));
   while (delta > 360) delta -= 360;
@@ -86,26 +127,15 @@ function _resolveAimingArcConfig(actor, ergo = null) {
   const zones = [arcs.purpleZoneDeg, ...standardZones];
   const baseDevRaw = Number(actor?.system?.aimingArc?.deviationBaseDeg);
   const defaultBase = Math.max(0, Number(cfg.defaultDeviationBaseDeg) || 1);
-  const deviationBaseDeg = (Number.isFinite(baseDevRaw) ? Math.max(0, baseDevRaw) : defaultBase) * arcs.aimPenaltyMult;
+  // Открытые раны глаз (органный эффект accuracyPenalty) увеличивают отклонение.
+  const organAccuracy = collectOrganModifiers(actor?.system?.health?.injuries).accuracy;
+  const eyeMult = accuracyDeviationMultiplier(organAccuracy, cfg.deviationPerAccuracyPoint);
+  const deviationBaseDeg = (Number.isFinite(baseDevRaw) ? Math.max(0, baseDevRaw) : defaultBase)
+    * arcs.aimPenaltyMult * eyeMult;
   const multipliers = Array.isArray(cfg.deviationMultipliers) ? cfg.deviationMultipliers : [0, 0, 1, 2, 4];
   return { zones, deviationBaseDeg, multipliers };
 }
 
-function _resolveAimingArcZoneIndex(deltaDeg, zones) {
-  const safeDelta = Math.max(0, Number(deltaDeg) || 0);
-  const safeZones = Array.isArray(zones)
-    ? zones.map((zone) => Math.max(0, Number(zone) || 0))
-    : [];
-  const hasAnyZone = safeZones.some((zone) => zone > 0);
-  if (!hasAnyZone) return 0;
-  let cursor = 0;
-  for (let i = 0; i < safeZones.length; i += 1) {
-    cursor += safeZones[i];
-    if (safeDelta <= cursor) return i;
-  }
-  return safeZones.length - 1;
-}
-
 function _zoneKeyByIndex(zoneIndex) {
   switch (Number(zoneIndex)) {
     case 0: return 'SPACEHOLDER.AimingArc.Zones.Purple';
@@ -120,11 +150,12 @@ function _applyStandardAimingDeviation(token, baseDirectionDeg, ergo = null) {
   const { zones, deviationBaseDeg, multipliers } = _resolveAimingArcConfig(token?.actor, ergo);
   const pointerDeg = Number(token?.document?.getFlag?.('spaceholder', 'tokenpointerDirection') ?? 90);
   const deltaFromPointer = _normalizeAngleDeltaDeg(baseDirectionDeg, pointerDeg);
-  const zoneIndex = _resolveAimingArcZoneIndex(deltaFromPointer, zones);
-  const multiplier = Math.max(0, Number(multipliers[zoneIndex] ?? 0));
-  const randomOffset = (!deviationBaseDeg || !multiplier)
-    ? 0
-    : (Math.random() * 2 - 1) * deviationBaseDeg * multiplier;
+  const { zoneIndex, deviationDeg: randomOffset } = rollStandardDeviation({
+    deltaDeg: deltaFromPointer,
+    zones,
+    deviationBaseDeg,
+    multipliers,
+  });
   const zoneLabel = game.i18n?.localize?.(_zoneKeyByIndex(zoneIndex)) ?? String(zoneIndex);
   return {
     direction: baseDirectionDeg + randomOffset,
@@ -159,6 +190,10 @@ export class AimingManager {
     // Авто-режим (v3): таймер серии, пока зажата ЛКМ.
     this._autoFireTimer = null;
     this._fireBusy = false;
+
+    // Отдача (v3): накапливается в очереди/авто, спадает за потраченное время.
+    // { key: 'tokenUuid|weaponUuid', state: {value, side, shots} }
+    this._recoil = null;
   }
 
   _normalizePayloadId(id) {
@@ -167,11 +202,24 @@ export class AimingManager {
   }
 
   /**
-   * Получить кэшированную библиотеку payload.
+   * Получить библиотеку payload: кэшированные встроенные + мировые из
+   * конструктора (weapon/payload-designer-runtime.mjs); мировой payload
+   * заменяет встроенный с тем же id.
    * Возвращает глубокую копию, чтобы UI/действия не мутировали кэш.
    * @returns {Promise<Array<object>>}
    */
   async getPayloadLibrary() {
+    if (!_payloadLibraryCache) {
+      _payloadLibraryCache = await this._loadPayloads();
+    }
+    return foundry.utils.deepClone(mergeWorldPayloads(_payloadLibraryCache || []));
+  }
+
+  /**
+   * Только встроенные payload из module/data/payloads (без мировых).
+   * @returns {Promise<Array<object>>}
+   */
+  async getBuiltInPayloads() {
     if (!_payloadLibraryCache) {
       _payloadLibraryCache = await this._loadPayloads();
     }
@@ -227,12 +275,15 @@ export class AimingManager {
    * @param {Item} args.weaponItem
    * @param {string} args.lineId
    * @param {string} args.modeId
+   * @param {boolean} [args.overwatch] ЛКМ задаёт дугу дежурного огня вместо выстрела
    * @returns {Promise<boolean>}
    */
-  async startWeaponV3Aiming({ token, actor, weaponItem, lineId, modeId } = {}) {
+  async startWeaponV3Aiming({ token, actor, weaponItem, lineId, modeId, overwatch = false } = {}) {
     if (!token || !weaponItem) return false;
     const weapon = getWeaponData(weaponItem);
-    const eff = resolveEffectiveAttackParams(weapon, lineId, modeId);
+    const eff = resolveEffectiveAttackParams(weapon, lineId, modeId, {
+      attachmentMods: getAttachmentModifiers(weaponItem.actor, weaponItem),
+    });
     if (!eff) return false;
 
     const payload = await resolveWeaponLinePayload(
@@ -257,6 +308,7 @@ export class AimingManager {
       actorUuid: String(actor?.uuid ?? token?.actor?.uuid ?? '').trim() || null,
       weaponItemUuid: String(weaponItem.uuid ?? '').trim() || null,
       weaponV3: { weaponItemUuid: weaponItem.uuid, lineId, modeId },
+      overwatch: !!overwatch,
     });
     // Перерисовать дуги с учётом эргономики оружия (с модификаторами режима).
     setForcedAimingArcOverlay(token, true, eff.ergonomics);
@@ -485,6 +537,7 @@ export class AimingManager {
     this.currentToken = null;
     this.currentPayload = null;
     this.currentOptions = null;
+    this._recoil = null;
     
     // Убираем визуализацию
     this._clearPointer();
@@ -515,7 +568,7 @@ export class AimingManager {
     this._bindEvents();
     
     ui.notifications.info(game.i18n?.localize?.('SPACEHOLDER.AimingManager.Messages.AimingActivated')
-      ?? 'Aiming mode activated. LMB - shoot, RMB/ESC - cancel');
+      ?? 'Aiming mode activated. LMB - shoot, C - called shot, RMB/ESC - cancel');
   }
   
   /**
@@ -573,7 +626,8 @@ export class AimingManager {
   _getCurrentDirection() {
     if (!this.currentToken) return 0;
     
-    const mousePos = canvas.mousePosition;
+    // Реакция дежурного огня целится в токен, а не в курсор.
+    const mousePos = this.currentOptions?.aimAt ?? canvas.mousePosition;
     const tokenCenter = this.currentToken.center;
     
     const dx = mousePos.x - tokenCenter.x;
@@ -582,6 +636,19 @@ export class AimingManager {
     return Math.atan2(dy, dx) * (180 / Math.PI);
   }
   
+  /**
+   * Токен в точке прицеливания (под курсором или цель реакции): на его
+   * высоту наклоняется выстрел
+   * @private
+   * @returns {Token|null}
+   */
+  _aimedToken() {
+    const pos = this.currentOptions?.aimAt ?? canvas.mousePosition;
+    if (!this.currentToken || !pos) return null;
+    return (canvas.tokens?.placeables ?? []).find((t) => t !== this.currentToken
+      && t.visible && t.bounds?.contains?.(pos.x, pos.y)) ?? null;
+  }
+  
   /**
    * Выполнить выстрел
    * @private
@@ -616,7 +683,8 @@ export class AimingManager {
     const uid = shotManager.createShot(
       this.currentToken,
       payload,
-      direction
+      direction,
+      { aimToken: this._aimedToken() }
     );
     
     console.log('AimingManager: Shot created with UID', uid);
@@ -666,7 +734,15 @@ export class AimingManager {
     const ctx = await this._resolveWeaponV3Context();
     if (!ctx) return;
 
+    if (this.currentOptions?.overwatch) {
+      await this._startOverwatchV3(ctx);
+      return;
+    }
     const fireMode = ctx.eff.mode.fireMode;
+    if (fireMode === FIRE_MODES.SUPPRESS) {
+      await this._startSuppressionV3(ctx);
+      return;
+    }
     if (fireMode === FIRE_MODES.AUTO) {
       const delayMs = Math.max(60, (ctx.eff.mode.fireDelayAp / AP_PER_SECOND) * 1000);
       const first = await this._fireWeaponV3Single({ first: true });
@@ -687,6 +763,236 @@ export class AimingManager {
     }
   }
 
+  /**
+   * Подавление: вместо выстрела — зона (конус от стрелка или круг у точки
+   * прицеливания). Цена — Прицеливание + Спуск линии; патроны тратятся
+   * попытками попадания по тем, кто двигается или действует в зоне.
+   * @private
+   */
+  async _startSuppressionV3(ctx) {
+    if (this._fireBusy || !this.currentToken) return;
+    this._fireBusy = true;
+    try {
+      const { weaponItem, weapon, eff, lineId } = ctx;
+      const actor = this.currentToken?.actor ?? null;
+      const warn = (key) => ui.notifications?.warn?.(game.i18n?.localize?.(key) ?? key);
+
+      if (isMeleeLine(eff.line)) return warn('SPACEHOLDER.WeaponV3.Suppression.Melee');
+      // Зона живёт до следующего хода стрелка — только в бою.
+      if (!game.combat?.started) return warn('SPACEHOLDER.WeaponV3.Suppression.Failed.noCombat');
+      if (!game.combat.combatants.some((c) => c.tokenId === this.currentToken.id)) {
+        return warn('SPACEHOLDER.WeaponV3.Suppression.Failed.notCombatant');
+      }
+      if (eff.condition?.broken) return warn('SPACEHOLDER.WeaponV3.Condition.Broken');
+      const preflight = await preflightLineShotReadiness(actor, weapon, lineId);
+      if (!preflight.ready) {
+        return warn(preflight.reason === 'needBolt'
+          ? 'SPACEHOLDER.WeaponV3.Ammo.NeedBolt'
+          : preflight.reason === 'malfunction'
+            ? 'SPACEHOLDER.WeaponV3.Malfunction.Blocked'
+            : 'SPACEHOLDER.WeaponV3.Ammo.NoAmmoForShot');
+      }
+
+      const apCost = Math.ceil(Math.max(0, eff.line.aiming) + Math.max(0, eff.line.trigger));
+      if (apCost > 0 && actor?.type === 'character') {
+        let spend = null;
+        try {
+          spend = await spendAp(actor, apCost, {
+            source: { type: 'action', actionId: 'weaponV3.suppress', label: weaponItem.name },
+          });
+        } catch (e) {
+          ui.notifications?.warn?.(String(e?.message || e));
+          return;
+        }
+        if (!spend?.ok) {
+          ui.notifications?.warn?.(spend?.error ?? 'AP spend failed');
+          return;
+        }
+      }
+
+      const res = await startSuppression({
+        actor,
+        token: this.currentToken,
+        weaponItem,
+        lineId,
+        mode: eff.mode,
+        aim: { x: canvas.mousePosition.x, y: canvas.mousePosition.y },
+      });
+      if (!res.ok) warn(`SPACEHOLDER.WeaponV3.Suppression.Failed.${res.reason}`);
+    } finally {
+      this._fireBusy = false;
+    }
+  }
+
+  /**
+   * Дежурный огонь: ЛКМ задаёт направление дуги. Цена — Прицеливание линии;
+   * выстрел-реакция потом стоит только Спуск.
+   * @private
+   */
+  async _startOverwatchV3(ctx) {
+    if (this._fireBusy || !this.currentToken) return;
+    this._fireBusy = true;
+    let started = false;
+    try {
+      const { weaponItem, weapon, eff, lineId, modeId } = ctx;
+      const actor = this.currentToken?.actor ?? null;
+      const warn = (key) => ui.notifications?.warn?.(game.i18n?.localize?.(key) ?? key);
+
+      if (isMeleeLine(eff.line)) return warn('SPACEHOLDER.WeaponV3.Overwatch.Melee');
+      // Дуга живёт до следующего хода стрелка — только в бою.
+      if (!game.combat?.started) return warn('SPACEHOLDER.WeaponV3.Overwatch.Failed.noCombat');
+      if (!game.combat.combatants.some((c) => c.tokenId === this.currentToken.id)) {
+        return warn('SPACEHOLDER.WeaponV3.Overwatch.Failed.notCombatant');
+      }
+      if (eff.condition?.broken) return warn('SPACEHOLDER.WeaponV3.Condition.Broken');
+      const preflight = await preflightLineShotReadiness(actor, weapon, lineId);
+      if (!preflight.ready) {
+        return warn(preflight.reason === 'needBolt'
+          ? 'SPACEHOLDER.WeaponV3.Ammo.NeedBolt'
+          : preflight.reason === 'malfunction'
+            ? 'SPACEHOLDER.WeaponV3.Malfunction.Blocked'
+            : 'SPACEHOLDER.WeaponV3.Ammo.NoAmmoForShot');
+      }
+
+      const apCost = overwatchSetupApCost(eff.line);
+      if (apCost > 0 && actor?.type === 'character') {
+        let spend = null;
+        try {
+          spend = await spendAp(actor, apCost, {
+            source: { type: 'action', actionId: 'weaponV3.overwatchSet', label: weaponItem.name },
+          });
+        } catch (e) {
+          ui.notifications?.warn?.(String(e?.message || e));
+          return;
+        }
+        if (!spend?.ok) {
+          ui.notifications?.warn?.(spend?.error ?? 'AP spend failed');
+          return;
+        }
+      }
+
+      const res = await startOverwatch({
+        actor,
+        token: this.currentToken,
+        weaponItem,
+        lineId,
+        modeId,
+        aim: { x: canvas.mousePosition.x, y: canvas.mousePosition.y },
+      });
+      if (!res.ok) warn(`SPACEHOLDER.WeaponV3.Overwatch.Failed.${res.reason}`);
+      started = res.ok;
+    } finally {
+      this._fireBusy = false;
+    }
+    if (started) this.stopAiming();
+  }
+
+  /**
+   * Выстрел-реакция дежурного огня: обычный v3-выстрел режима (одиночный или
+   * очередь) в центр токена-цели, без UI прицеливания. Первый выстрел стоит
+   * Спуск линии и списывается как реакция.
+   *
+   * @param {object} args
+   * @param {Token} args.token токен стрелка
+   * @param {Actor} args.actor
+   * @param {Item} args.weaponItem
+   * @param {string} args.lineId
+   * @param {string} args.modeId
+   * @param {Token} args.target
+   * @returns {Promise<{shots: number, apSpent: number, transactionId: string|null}>}
+   */
+  async fireOverwatchReaction({ token, actor, weaponItem, lineId, modeId, target }) {
+    const out = { shots: 0, apSpent: 0, transactionId: null };
+    if (!token || !weaponItem || !target) return out;
+    const eff = resolveEffectiveAttackParams(getWeaponData(weaponItem), lineId, modeId, {
+      attachmentMods: getAttachmentModifiers(actor, weaponItem),
+    });
+    if (!eff) return out;
+    const payload = await resolveWeaponLinePayload(eff.line, token, (id) => this.getPayloadById(id));
+    if (!payload) return out;
+
+    // Идущее прицеливание этого клиента прерывается: реакция важнее.
+    if (this.isAiming) this.stopAiming();
+    this.isAiming = true;
+    this.currentToken = token;
+    this.currentPayload = payload;
+    this.currentOptions = {
+      type: 'standard',
+      autoRender: true,
+      actorUuid: String(actor?.uuid ?? '').trim() || null,
+      weaponItemUuid: String(weaponItem.uuid ?? '').trim() || null,
+      weaponV3: { weaponItemUuid: weaponItem.uuid, lineId, modeId },
+      aimAt: { x: target.center.x, y: target.center.y },
+      reaction: out,
+    };
+    try {
+      const count = overwatchShotCount(eff.mode);
+      for (let i = 0; i < count; i += 1) {
+        const ok = await this._fireWeaponV3Single({ first: i === 0 });
+        if (!ok) break;
+      }
+    } finally {
+      this.isAiming = false;
+      this.currentToken = null;
+      this.currentPayload = null;
+      this.currentOptions = null;
+      this._recoil = null;
+    }
+    return out;
+  }
+
+  /**
+   * Бросок попадания зоны подавления: один v3-выстрел линии в центр токена,
+   * действующего в зоне, без UI прицеливания. ОД не тратятся — зона оплачена
+   * при постановке; вместо дуг прицеливания — разброс зоны.
+   *
+   * @param {object} args
+   * @param {Token} args.token токен стрелка
+   * @param {Actor} args.actor
+   * @param {Item} args.weaponItem
+   * @param {string} args.lineId
+   * @param {string} args.modeId
+   * @param {Token} args.target
+   * @param {number} args.spreadDeg разброс зоны
+   * @returns {Promise<{shots: number, hits: number, end: string|null}>}
+   *   `end` — почему линия больше не может держать зону
+   *   (ключ `SPACEHOLDER.WeaponV3.Suppression.EndReasons`)
+   */
+  async fireSuppressionShot({ token, actor, weaponItem, lineId, modeId, target, spreadDeg }) {
+    const out = { shots: 0, hits: 0, end: null, spreadDeg: Math.max(0, Number(spreadDeg) || 0) };
+    if (!token || !weaponItem || !target) return out;
+    const eff = resolveEffectiveAttackParams(getWeaponData(weaponItem), lineId, modeId, {
+      attachmentMods: getAttachmentModifiers(actor, weaponItem),
+    });
+    if (!eff) return out;
+    const payload = await resolveWeaponLinePayload(eff.line, token, (id) => this.getPayloadById(id));
+    if (!payload) return out;
+
+    if (this.isAiming) this.stopAiming();
+    this.isAiming = true;
+    this.currentToken = token;
+    this.currentPayload = payload;
+    this.currentOptions = {
+      type: 'standard',
+      autoRender: true,
+      actorUuid: String(actor?.uuid ?? '').trim() || null,
+      weaponItemUuid: String(weaponItem.uuid ?? '').trim() || null,
+      weaponV3: { weaponItemUuid: weaponItem.uuid, lineId, modeId },
+      aimAt: { x: target.center.x, y: target.center.y },
+      suppression: out,
+    };
+    try {
+      await this._fireWeaponV3Single({ first: true });
+    } finally {
+      this.isAiming = false;
+      this.currentToken = null;
+      this.currentPayload = null;
+      this.currentOptions = null;
+      this._recoil = null;
+    }
+    return out;
+  }
+
   _stopAutoFire() {
     if (this._autoFireTimer) {
       clearInterval(this._autoFireTimer);
@@ -716,7 +1022,9 @@ export class AimingManager {
       return null;
     }
     const weapon = getWeaponData(weaponItem);
-    const eff = resolveEffectiveAttackParams(weapon, cfg.lineId, cfg.modeId);
+    const eff = resolveEffectiveAttackParams(weapon, cfg.lineId, cfg.modeId, {
+      attachmentMods: getAttachmentModifiers(weaponItem.actor, weaponItem),
+    });
     if (!eff) return null;
     return { weaponItem, weapon, eff, lineId: cfg.lineId, modeId: cfg.modeId };
   }
@@ -740,27 +1048,59 @@ export class AimingManager {
       if (!ctx) return false;
       const { weaponItem, weapon, eff, lineId, modeId } = ctx;
       const actor = this.currentToken?.actor ?? null;
+      // Бросок зоны подавления: сюда пишется, почему линия больше не стреляет.
+      const suppression = this.currentOptions?.suppression ?? null;
+      const stop = (end) => {
+        if (suppression) suppression.end = end;
+        return false;
+      };
 
       const preflight = await preflightLineShotReadiness(actor, weapon, lineId);
       if (!preflight.ready) {
         const key = preflight.reason === 'needBolt'
           ? 'SPACEHOLDER.WeaponV3.Ammo.NeedBolt'
-          : 'SPACEHOLDER.WeaponV3.Ammo.NoAmmoForShot';
+          : preflight.reason === 'malfunction'
+            ? 'SPACEHOLDER.WeaponV3.Malfunction.Blocked'
+            : 'SPACEHOLDER.WeaponV3.Ammo.NoAmmoForShot';
         ui.notifications?.warn?.(game.i18n?.localize?.(key) ?? key);
-        return false;
+        return stop(preflight.reason === 'malfunction' ? 'malfunction' : 'noAmmo');
+      }
+
+      if (eff.condition?.broken) {
+        const key = 'SPACEHOLDER.WeaponV3.Condition.Broken';
+        ui.notifications?.warn?.(game.i18n?.localize?.(key) ?? key);
+        return stop('broken');
+      }
+
+      // Перегрев: линия заблокирована до остывания.
+      const heatCfg = CONFIG?.SPACEHOLDER?.weaponHeat ?? null;
+      const heatBefore = settleHeat(weapon.state.heat[lineId], getPersonalTimeTotal(actor), eff.line.heat, heatCfg);
+      if (heatPenalties(heatBefore, eff.line.heat, heatCfg).locked) {
+        const key = 'SPACEHOLDER.WeaponV3.Heat.Locked';
+        ui.notifications?.warn?.(game.i18n?.localize?.(key) ?? key);
+        return stop('overheat');
       }
 
       // --- ОД ---------------------------------------------------------
-      const cost = first
-        ? Math.max(0, eff.line.aiming) + Math.max(0, eff.line.trigger)
+      // Реакция дежурного огня уже прицелена: первый выстрел — только Спуск.
+      // Броски зоны подавления оплачены при её постановке.
+      const reaction = this.currentOptions?.reaction ?? null;
+      let cost = first
+        ? (reaction ? 0 : Math.max(0, eff.line.aiming)) + Math.max(0, eff.line.trigger)
         : Math.max(0, eff.mode.fireDelayAp);
+      if (suppression) cost = 0;
       const apCost = Math.ceil(cost);
       if (apCost > 0 && actor?.type === 'character') {
         let spend = null;
         try {
-          spend = await spendAp(actor, apCost, {
-            source: { type: 'action', actionId: 'weaponV3.shot', label: weaponItem.name },
-          });
+          spend = reaction
+            ? await spendAp(actor, apCost, {
+              source: { type: 'action', actionId: 'weaponV3.overwatch', label: weaponItem.name },
+              isReaction: true,
+            }, { kind: 'overwatchReaction' })
+            : await spendAp(actor, apCost, {
+              source: { type: 'action', actionId: 'weaponV3.shot', label: weaponItem.name },
+            });
         } catch (e) {
           ui.notifications?.warn?.(String(e?.message || e));
           return false;
@@ -769,27 +1109,51 @@ export class AimingManager {
           ui.notifications?.warn?.(spend?.error ?? 'AP spend failed');
           return false;
         }
+        if (reaction) {
+          reaction.apSpent += apCost;
+          reaction.transactionId ??= spend.transactionId ?? null;
+        }
       }
 
       // --- Боеприпас (все блоки линии) ----------------------------------
-      const consumed = await consumeShotFromLine({ actor, weapon, weaponItem, lineId, modeId });
+      const consumed = await consumeShotFromLine({
+        actor, weapon, weaponItem, lineId, modeId, reliability: eff.line.reliability,
+      });
+      // Осечка: выстрела нет, патрон остаётся в патроннике до «передёрнуть».
+      if (!consumed.ok && consumed.reason === 'malfunction') {
+        await persistWeaponData(weaponItem, weapon);
+        await this._announceMalfunction(actor, weaponItem, consumed.malfunction);
+        return stop('malfunction');
+      }
       if (!consumed.ok) {
         const key = consumed.reason === 'needBolt'
           ? 'SPACEHOLDER.WeaponV3.Ammo.NeedBolt'
           : 'SPACEHOLDER.WeaponV3.Ammo.NoAmmoForShot';
         ui.notifications?.warn?.(game.i18n?.localize?.(key) ?? key);
-        return false;
+        return stop('noAmmo');
       }
-      await persistWeaponData(weaponItem, weapon);
 
       // --- Снаряд: модификаторы урона + множитель энергии ----------------
       const entries = applyDamageModifiers(consumed.damageEntries, eff.damageMods, eff.line.energyMult);
+
+      // --- Нагрев: остывание за ОД выстрела, штрафы до выстрела, затем нагрев
+      const heat = settleHeat(heatBefore, getPersonalTimeTotal(actor), eff.line.heat, heatCfg);
+      const heatPen = heatPenalties(heat, eff.line.heat, heatCfg);
+      if (eff.line.heat?.enabled) {
+        weapon.state.heat[lineId] = addShotHeat(heat, shotHeat(eff.line.heat, entries, heatCfg), eff.line.heat);
+      }
+      const heatAfter = heatPenalties(weapon.state.heat[lineId], eff.line.heat, heatCfg);
+
+      // --- Износ: твёрдые и бронебойные снаряды изнашивают оружие быстрее ----
+      weapon.condition = applyShotWear(weapon.condition, shotWear(entries, CONFIG?.SPACEHOLDER?.weaponWear ?? null));
+      await persistWeaponData(weaponItem, weapon);
       const projectile = buildProjectileFromDamageEntries(entries, { payloadId: consumed.payloadId });
 
       let payload = this.currentPayload;
       const wantedPayloadId = String(projectile?.payloadId ?? consumed.payloadId ?? '').trim();
+      const melee = isMeleeLine(eff.line);
       const lineUsesSimple = normalizeTrajectoryKind(eff.line.trajectoryKind) === TRAJECTORY_KINDS.SIMPLE;
-      if (lineUsesSimple && !wantedPayloadId) {
+      if (melee || (lineUsesSimple && !wantedPayloadId)) {
         payload = await resolveWeaponLinePayload(
           eff.line,
           this.currentToken,
@@ -799,17 +1163,27 @@ export class AimingManager {
         payload = await this.getPayloadById(wantedPayloadId) ?? payload;
       }
 
-      // --- Направление: дуги (с эргономикой) + независимый Разброс -------
-      const baseDirection = this._getCurrentDirection();
-      const standardInfo = _applyStandardAimingDeviation(this.currentToken, baseDirection, eff.ergonomics);
-      let direction = standardInfo.direction;
-      if (eff.line.spread?.enabled && eff.line.spread.value > 0) {
-        // Разброс НЕ суммируется с отклонением дуг — независимый random.
-        direction += (Math.random() * 2 - 1) * eff.line.spread.value;
+      // --- Отдача: спад за время этого выстрела, затем текущий увод -------
+      const recoilCfg = CONFIG?.SPACEHOLDER?.recoil ?? null;
+      const recoil = this._recoverRecoilForShot({ actor, weaponItem, eff, seconds: cost / AP_PER_SECOND, config: recoilCfg });
+      const shotErgo = applyRecoilToErgonomics(eff.ergonomics, recoil, recoilCfg);
+
+      // --- Направление: дуги (с эргономикой и отдачей) + независимый Разброс
+      const aimedDirection = suppression
+        ? suppressionShotDirection(this.currentToken.center, this.currentOptions.aimAt, suppression.spreadDeg)
+        : _applyStandardAimingDeviation(this.currentToken, this._getCurrentDirection(), shotErgo).direction;
+      let direction = aimedDirection + recoilAimOffset(recoil, { config: recoilCfg });
+      const spreadDeg = (eff.line.spread?.enabled ? Math.max(0, eff.line.spread.value) : 0) + heatPen.spreadDeg;
+      if (spreadDeg > 0) {
+        // Разброс (с учётом нагрева) НЕ суммируется с отклонением дуг — независимый random.
+        direction += (Math.random() * 2 - 1) * spreadDeg;
       }
+      this._setRecoilState(accumulateRecoil(recoil, eff.line.recoil, { config: recoilCfg }));
 
       const shotManager = game.spaceholder?.shotManager;
-      const uid = shotManager.createShot(this.currentToken, payload, direction);
+      const uid = shotManager.createShot(this.currentToken, payload, direction, { aimToken: this._aimedToken() });
+      if (reaction) reaction.shots += 1;
+      if (suppression) suppression.shots += 1;
 
       if (this.currentOptions?.autoRender) {
         const shotResult = shotManager.getShotResult(uid);
@@ -820,8 +1194,23 @@ export class AimingManager {
 
       if (projectile) {
         const firstRound = consumed.rounds.find((r) => r.round)?.round ?? null;
-        await this._applyResolvedProjectileDamage(uid, {
+        // Ближний бой: до урона каждый задетый получает реакцию (парирование / блок).
+        let hitGroups = null;
+        if (melee) {
+          const shot = shotManager.shotSystem?.getShot?.(uid);
+          const groups = await resolveMeleeReactions({ shot, attacker: actor, weaponItem, line: eff.line });
+          hitGroups = groups.map((g) => ({
+            hits: g.hits,
+            projectile: g.damageMult === 1
+              ? projectile
+              : buildProjectileFromDamageEntries(scaleMeleeDamage(entries, g.damageMult), { payloadId: consumed.payloadId }),
+          }));
+        }
+        const hits = await this._applyResolvedProjectileDamage(uid, {
           projectile,
+          hitGroups,
+          aimedPart: this.currentOptions?.aimedPart ?? null,
+          verbKey: melee ? 'strike' : 'fire',
           weaponItem,
           ammoItem: firstRound,
           builderContext: {
@@ -831,21 +1220,121 @@ export class AimingManager {
             ammoName: firstRound?.name ?? null,
           },
         });
+        if (suppression) suppression.hits += hits;
+      }
+
+      // Задержка подачи: выстрел состоялся, но следующий патрон не дослан.
+      if (consumed.malfunction) await this._announceMalfunction(actor, weaponItem, consumed.malfunction);
+
+      // Горячее оружие обжигает руку; перегрев прерывает серию.
+      if (heatAfter.burnDamage > 0) await this._applyHeatBurn(actor, weaponItem, heatAfter);
+      if (heatAfter.locked) {
+        this._announceOverheat(weaponItem);
+        return stop('overheat');
       }
 
       // Камера осталась пустой без автоподачи → серия прерывается затвором.
-      if (consumed.needsBolt) return false;
+      if (consumed.needsBolt) return stop('noAmmo');
       return true;
     } finally {
       this._fireBusy = false;
     }
   }
 
+  /**
+   * Сообщить о неисправности оружия в чат (видно всем участникам боя).
+   * @private
+   */
+  async _announceMalfunction(actor, weaponItem, kind) {
+    const kindLabel = game.i18n?.localize?.(`SPACEHOLDER.WeaponV3.Malfunction.Kinds.${kind}`) ?? kind;
+    const message = game.i18n?.format?.('SPACEHOLDER.WeaponV3.Malfunction.Chat', {
+      weapon: String(weaponItem?.name ?? ''),
+      kind: kindLabel,
+    }) ?? `${weaponItem?.name}: ${kindLabel}`;
+    ui.notifications?.warn?.(message);
+    try {
+      await ChatMessage.create({
+        speaker: ChatMessage.getSpeaker({ actor }),
+        content: `<div class="sh-weapon-malfunction">${foundry.utils.escapeHTML(message)}</div>`,
+      });
+    } catch (_) {
+      /* ignore chat errors */
+    }
+  }
+
+  /**
+   * Ожог руки стрелка от перегретого оружия (урон проходит через перчатки
+   * как обычный пакет урона).
+   * @private
+   */
+  async _applyHeatBurn(actor, weaponItem, penalties) {
+    if (typeof actor?.applyDamagePackage !== 'function') return;
+    const partId = _findHeldHandPartId(actor);
+    if (!partId) return;
+    try {
+      await actor.applyDamagePackage({
+        partId,
+        applications: [{ mode: 'sequential', items: [{ type: penalties.burnType, damage: penalties.burnDamage }] }],
+        source: {
+          weaponUuid: weaponItem?.uuid ?? null,
+          weaponName: weaponItem?.name ?? null,
+          verbKey: 'burn',
+        },
+      });
+    } catch (e) {
+      console.error('AimingManager: heat burn failed', e);
+    }
+  }
+
+  /**
+   * Сообщить о перегреве: линия остывает до порога возобновления огня.
+   * @private
+   */
+  _announceOverheat(weaponItem) {
+    const message = game.i18n?.format?.('SPACEHOLDER.WeaponV3.Heat.Overheated', {
+      weapon: String(weaponItem?.name ?? ''),
+    }) ?? `${weaponItem?.name}: overheated`;
+    ui.notifications?.warn?.(message);
+  }
+
+  /**
+   * Текущая отдача перед выстрелом: состояние сбрасывается при смене токена
+   * или оружия, затем спадает за `seconds` личного времени (ОД выстрела).
+   * @private
+   * @returns {{value:number, side:number, shots:number}|null}
+   */
+  _recoverRecoilForShot({ actor, weaponItem, eff, seconds, config }) {
+    const key = `${this.currentToken?.document?.uuid ?? ''}|${weaponItem?.uuid ?? ''}`;
+    if (this._recoil?.key !== key) this._recoil = { key, state: null };
+    const abilities = actor?.system?.abilities ?? {};
+    const state = recoverRecoil(this._recoil.state, seconds, {
+      ergonomics: eff.ergonomics,
+      strMod: Number(abilities.str?.mod) || 0,
+      corMod: Number(abilities.cor?.mod) || 0,
+      config,
+    });
+    this._recoil.state = state;
+    return state;
+  }
+
+  /**
+   * Запомнить отдачу после выстрела и показать её на дугах.
+   * @private
+   */
+  _setRecoilState(state) {
+    if (!this._recoil) return;
+    this._recoil.state = state;
+    if (this.currentToken) setAimingArcRecoil(this.currentToken, state);
+  }
+
+  /**
+   * @returns {Promise<number>} число попаданий
+   */
   async _applyResolvedProjectileDamage(shotUid, shotContext = {}) {
     const shotManager = game.spaceholder?.shotManager;
-    if (!shotManager || !shotUid || !shotContext?.projectile) return;
+    if (!shotManager || !shotUid || !shotContext?.projectile) return 0;
     const shot = shotManager.shotSystem?.getShot?.(shotUid);
-    if (!shot) return;
+    if (!shot) return 0;
 
     const builderContext = {
       ...(shotContext.builderContext ?? {}),
@@ -855,19 +1344,35 @@ export class AimingManager {
       weaponName: shotContext.weaponItem?.name ?? shotContext.builderContext?.weaponName ?? null,
       ammoName: shotContext.ammoItem?.name ?? shotContext.builderContext?.ammoName ?? null,
     };
-    const results = await shotManager.applyImpactsToActors(shot, shotContext.projectile, {
-      builderContext,
-      source: {
-        attackerUuid: this.currentToken?.actor?.uuid ?? null,
-        attackerName: this.currentToken?.actor?.name ?? this.currentToken?.name ?? null,
-        weaponUuid: shotContext.weaponItem?.uuid ?? null,
-        weaponName: shotContext.weaponItem?.name ?? null,
-        ammoUuid: shotContext.ammoItem?.sourceUuid ?? null,
-        ammoName: shotContext.ammoItem?.name ?? null,
-        verbKey: 'fire',
-        shotUid,
-      },
-    });
+    const source = {
+      attackerUuid: this.currentToken?.actor?.uuid ?? null,
+      attackerName: this.currentToken?.actor?.name ?? this.currentToken?.name ?? null,
+      weaponUuid: shotContext.weaponItem?.uuid ?? null,
+      weaponName: shotContext.weaponItem?.name ?? null,
+      ammoUuid: shotContext.ammoItem?.sourceUuid ?? null,
+      ammoName: shotContext.ammoItem?.name ?? null,
+      verbKey: shotContext.verbKey ?? 'fire',
+      shotUid,
+    };
+    // hitGroups: группы попаданий со своим снарядом (урон после реакций ближнего боя).
+    const groups = Array.isArray(shotContext.hitGroups)
+      ? shotContext.hitGroups
+      : [{ hits: null, projectile: shotContext.projectile }];
+    const allHits = shot.actualHits;
+    const results = [];
+    try {
+      for (const group of groups) {
+        if (group.hits) shot.actualHits = group.hits;
+        const out = await shotManager.applyImpactsToActors(shot, group.projectile, {
+          builderContext,
+          source,
+          aimedPart: shotContext.aimedPart ?? null,
+        });
+        if (Array.isArray(out)) results.push(...out);
+      }
+    } finally {
+      shot.actualHits = allHits;
+    }
 
     const shooterName = String(this.currentToken?.name ?? '');
     const weaponName = String(shotContext.weaponItem?.name ?? '');
@@ -887,6 +1392,7 @@ export class AimingManager {
     } catch (_) {
       /* ignore chat errors */
     }
+    return count;
   }
 
   /**
@@ -923,9 +1429,8 @@ export class AimingManager {
     const hits = Array.isArray(shot?.actualHits) ? shot.actualHits : [];
     if (!hits.length) return;
 
-    // Pick a random body slot per actor hit (debug behaviour matches the
-    // legacy single-hit fallback). Using a Set per actor would also be valid
-    // but we want to demonstrate per-hit randomness.
+    // Часть тела и сторона — по открытости частей с той стороны, откуда
+    // пришёл выстрел (ShotManager#resolveHitLocation), отдельно для каждого попадания.
     const tokenHits = hits.filter((h) => h?.object?.actor);
     if (!tokenHits.length) return;
 
@@ -949,16 +1454,23 @@ export class AimingManager {
       const targetActor = hit.object.actor;
       if (typeof targetActor.applyDamagePackage !== 'function') continue;
       const bodyParts = targetActor.system?.health?.bodyParts ?? {};
-      const partIds = Object.keys(bodyParts);
-      if (!partIds.length) continue;
-      const partId = partIds[Math.floor(Math.random() * partIds.length)];
+      if (!Object.keys(bodyParts).length) continue;
+      const location = shotManager.resolveHitLocation(hit, {
+        origin: this.currentToken?.center ?? null,
+        aimedPartId: this._aimedPartIdFor(hit.object),
+      });
+      const partId = location.partId;
+      if (!partId) continue;
       try {
         const out = await targetActor.applyDamagePackage({
           partId,
+          hitDirection: location.direction,
+          obstacles: location.cover?.obstacles ?? [],
           projectile,
           builderContext,
           source: injurySource,
         });
+        await persistCoverWear(out.obstacleUpdates);
         results.push({ actor: targetActor, partId, out });
       } catch (e) {
         console.error('AimingManager: applyDamagePackage failed', e);
@@ -969,6 +1481,7 @@ export class AimingManager {
     const shooterName = String(this.currentToken?.name ?? '');
     const phaseSummary = this._formatApplicationsSummary(projectile);
     const blocks = [];
+    const traceHits = [];
     for (const { actor: targetActor, partId, out } of results) {
       const targetName = String(targetActor?.name ?? '');
       const partLabel = String(targetActor.system?.health?.bodyParts?.[partId]?.name ?? out?.slotRef ?? partId);
@@ -984,8 +1497,18 @@ export class AimingManager {
       const noCore = game?.i18n?.localize?.(noCoreKey);
       const summary = damageBits || (noCore && noCore !== noCoreKey ? noCore : 'no core wound (absorbed in layers)');
       const traceHtml = this._formatTraceHtml(out?.trace);
+      // Полная трассировка для просмотрщика (кнопка «Повтор» на карточке).
+      traceHits.push(packTraceHit({
+        targetName,
+        targetUuid: targetActor?.uuid,
+        partLabel,
+        slotRef: out?.slotRef ?? partId,
+        summary,
+        trace: out?.trace,
+        path: out?.path,
+      }));
       blocks.push(
-        `<div style="margin: 4px 0; padding: 4px 6px; border-left: 2px solid #888;">`
+        `<div data-sh-trace-hit="${traceHits.length - 1}" style="margin: 4px 0; padding: 4px 6px; border-left: 2px solid #888;">`
         + `<div><b>${foundry.utils.escapeHTML(targetName)}</b> [${foundry.utils.escapeHTML(partLabel)}]: ${foundry.utils.escapeHTML(summary)}</div>`
         + traceHtml
         + `</div>`
@@ -1001,6 +1524,15 @@ export class AimingManager {
       await ChatMessage.create({
         speaker: ChatMessage.getSpeaker({ actor: this.currentToken?.actor ?? null }),
         content,
+        flags: {
+          spaceholder: {
+            [DAMAGE_TRACE_FLAG]: {
+              schema: DAMAGE_TRACE_SCHEMA,
+              title: `${shooterName} · ${ammoItem.name}`,
+              hits: traceHits,
+            },
+          },
+        },
       });
     } catch (_) {
       /* ignore chat errors */
@@ -1008,7 +1540,18 @@ export class AimingManager {
   }
 
   /**
-   * Применить урон первой задетой цели в случайную часть тела.
+   * Часть, в которую целились по этому токену (клавиша C), если есть.
+   * @private
+   * @param {Token} token
+   * @returns {string|null}
+   */
+  _aimedPartIdFor(token) {
+    const aimed = this.currentOptions?.aimedPart;
+    return aimed?.tokenId && aimed.tokenId === token?.id ? aimed.partId : null;
+  }
+
+  /**
+   * Применить урон первой задетой цели в часть тела по открытости.
    * @private
    * @param {string} shotUid
    */
@@ -1025,11 +1568,13 @@ export class AimingManager {
     if (!targetActor) return;
 
     const bodyParts = targetActor.system?.health?.bodyParts ?? {};
-    const bodyPartIds = Object.keys(bodyParts);
-    if (!bodyPartIds.length) return;
+    if (!Object.keys(bodyParts).length) return;
 
-    const randomIdx = Math.floor(Math.random() * bodyPartIds.length);
-    const partId = bodyPartIds[randomIdx];
+    const partId = shotManager.resolveHitLocation(firstTokenHit, {
+      origin: this.currentToken?.center ?? null,
+      aimedPartId: this._aimedPartIdFor(targetToken),
+    }).partId;
+    if (!partId) return;
     const partName = String(bodyParts?.[partId]?.name ?? partId);
     const damage = Math.max(0, Number(this.currentOptions?.damage) || 0);
     if (!damage) return;
@@ -1111,7 +1656,7 @@ export class AimingManager {
   /**
    * Отрендерить трассировку damage-resolver в HTML-блок &lt;details&gt;
    * для чат-сообщения. Каждое событие — одна строка с типом
-   * (penetrate/hold/bypass/body), индексом слоя, материалом и числами.
+   * (shield/penetrate/hold/bypass/body/transfer), индексом слоя, материалом и числами.
    * @private
    * @param {Array<Object>} trace
    * @returns {string}
@@ -1133,6 +1678,13 @@ export class AimingManager {
     const rows = [];
     for (const ev of events) {
       switch (ev?.kind) {
+        case 'shield': {
+          const txt = `⛨ shield <b>${E(ev.name || ev.itemId || '?')}</b> · ${E(ev.type)} · `
+            + `incoming ${this._fmt(ev.incoming)} · absorbed ${this._fmt(ev.absorbed)} → pool ${this._fmt(ev.valueAfter)}`
+            + (ev.collapsed ? ' · <b>collapsed</b>' : '');
+          rows.push(`<li style="color:#37a">${txt}</li>`);
+          break;
+        }
         case 'conduct': {
           const parts = (Array.isArray(ev.items) ? ev.items : [])
             .map((it) => `${E(it.type)} ${this._fmt(it.amount)}`).join(', ');
@@ -1172,6 +1724,11 @@ export class AimingManager {
           rows.push(`<li style="color:#222"><b>${txt}</b></li>`);
           break;
         }
+        case 'transfer': {
+          const txt = `⇢ ${E(ev.slotRef)} · roll ${this._fmt(ev.roll)} vs ${this._fmt(ev.chance)} → ${ev.target ? E(ev.target) : 'stays'}`;
+          rows.push(`<li style="color:#647">${txt}</li>`);
+          break;
+        }
         default:
           break;
       }
@@ -1257,6 +1814,95 @@ export class AimingManager {
     if (event.code === 'Escape') {
       event.preventDefault();
       this.stopAiming();
+      return;
+    }
+    if (event.code === 'KeyC' && !event.repeat && !this.currentOptions?.overwatch) {
+      event.preventDefault();
+      this._pickAimedPart();
+    }
+  }
+
+  /**
+   * Прицельный выстрел: выбрать часть тела токена под курсором. Шанс попасть
+   * именно в неё — по её открытости со стороны стрелка (hit-location.mjs);
+   * промах по части — обычный бросок по открытости.
+   * @private
+   */
+  async _pickAimedPart() {
+    const L = (key) => game.i18n?.localize?.(key) ?? key;
+    const shooter = this.currentToken;
+    if (!shooter) return;
+    const target = this._aimedToken();
+    const bodyParts = target?.actor?.system?.health?.bodyParts ?? {};
+    if (!target || !Object.keys(bodyParts).length) {
+      ui.notifications?.warn?.(L('SPACEHOLDER.WeaponV3.CalledShot.NoTarget'));
+      return;
     }
+
+    const travel = hitTravelDeg({ point: shooter.center, center: target.center });
+    const direction = travel === null ? 'front' : incomingHitDirection(travel, tokenFacingDeg(target.document?.rotation));
+    const config = CONFIG.SPACEHOLDER?.hitLocation;
+    // Сверху проще попасть в верхние части, снизу — в нижние.
+    const tilted = applyPitchToBodyParts({
+      bodyParts,
+      pitchDeg: tokenPitch(shooter, target),
+      gridHeight: target.actor.system?.health?.anatomyGrid?.height,
+      config,
+    });
+    // Части за укрытием не видны — в них не прицелиться.
+    const profile = resolveTokenCover({ origin: shooter.center, token: target });
+    const visible = profile ? applyCoverToBodyParts({ bodyParts: tilted, direction, profile }).bodyParts : tilted;
+    const current = this.currentOptions?.aimedPart?.tokenId === target.id ? this.currentOptions.aimedPart.partId : null;
+    const options = hitLocationWeights(visible, direction)
+      .filter(({ partId }) => aimedHitChance(visible, partId, direction, config) > 0)
+      .map(({ partId }) => {
+        const chance = Math.round(aimedHitChance(visible, partId, direction, config) * 100);
+        const name = String(bodyParts[partId]?.name ?? partId);
+        return `<option value="${foundry.utils.escapeHTML(partId)}" ${partId === current ? 'selected' : ''}>`
+          + `${foundry.utils.escapeHTML(name)} — ${chance}%</option>`;
+      })
+      .join('');
+    const side = L(`SPACEHOLDER.WeaponV3.CalledShot.Sides.${direction}`);
+    const content = `
+      <p>${foundry.utils.escapeHTML(game.i18n.format('SPACEHOLDER.WeaponV3.CalledShot.Target', { target: target.name, side }))}</p>
+      <div class="form-group">
+        <label for="aimed-part">${L('SPACEHOLDER.WeaponV3.CalledShot.Part')}</label>
+        <select id="aimed-part" style="width: 100%; padding: 6px; margin: 8px 0;">
+          <option value="">${L('SPACEHOLDER.WeaponV3.CalledShot.None')}</option>
+          ${options}
+        </select>
+      </div>
+    `;
+
+    const partId = await foundry.applications.api.DialogV2.wait({
+      classes: ['spaceholder'],
+      window: { title: L('SPACEHOLDER.WeaponV3.CalledShot.Title'), icon: 'fa-solid fa-crosshairs' },
+      position: { width: 360 },
+      content,
+      buttons: [
+        {
+          action: 'set',
+          label: L('SPACEHOLDER.WeaponV3.CalledShot.Set'),
+          icon: 'fa-solid fa-bullseye',
+          default: true,
+          callback: (event) => String(event.currentTarget.querySelector('#aimed-part')?.value ?? ''),
+        },
+        {
+          action: 'cancel',
+          label: L('SPACEHOLDER.AimingManager.Buttons.Cancel'),
+          icon: 'fa-solid fa-times',
+        },
+      ],
+    }).catch(() => null);
+    // Прицеливание могло закончиться, пока открыт диалог.
+    if (partId === null || partId === 'cancel' || !this.isAiming || this.currentToken !== shooter) return;
+
+    this.currentOptions.aimedPart = partId ? { tokenId: target.id, partId } : null;
+    ui.notifications?.info?.(partId
+      ? game.i18n.format('SPACEHOLDER.WeaponV3.CalledShot.Chosen', {
+        target: target.name,
+        part: String(bodyParts[partId]?.name ?? partId),
+      })
+      : L('SPACEHOLDER.WeaponV3.CalledShot.Cleared'));
   }
 }
@@ -17,7 +17,8 @@ import {
 import { createExposureRingSvg } from './anatomy-exposure-ring.mjs';
 import {
   sanitizeBodyLayers,
-  getDefaultBodyLayersForType
+  getDefaultBodyLayersForType,
+  isBodyLayerDamaged
 } from './damage/body-layers-defaults.mjs';
 import { materialsManager } from './damage/materials-manager.mjs';
 import { resolveCoverageEntryToActorSlots } from './body-part-coverage.mjs';
@@ -124,6 +125,31 @@ function materialDisplayName(materialId) {
   return (localized && localized !== md.nameLocalized) ? localized : (md.name || id);
 }
 
+/**
+ * Подписи износа слоя тела для панели части и вкладки «Здоровье».
+ * @param {object} layer слой `bodyLayers` с полями износа
+ * @returns {{label: string, title: string, broken: boolean, pct: number}|null} `null` для целого слоя
+ */
+export function formatBodyLayerWear(layer) {
+  if (!isBodyLayerDamaged(layer)) return null;
+  const integrity = Math.max(0, Number(layer.integrity) || 0);
+  const integrityMax = Math.max(0, Number(layer.integrityMax) || 0);
+  const broken = integrity <= 1e-9;
+  const pct = integrityMax > 0 ? Math.round((integrity / integrityMax) * 100) : 0;
+  const round = (n) => Math.round(n * 100) / 100;
+  const breach = Number(layer.breachLoss) || 0;
+  const title = game.i18n.format("SPACEHOLDER.Health.BodyLayerWear.Integrity", {
+    value: round(integrity),
+    max: round(integrityMax)
+  }) + (breach > 0 ? `; ${game.i18n.format("SPACEHOLDER.Health.BodyLayerWear.Breach", { value: round(breach) })}` : "");
+  return {
+    label: broken ? game.i18n.localize("SPACEHOLDER.Health.BodyLayerWear.Broken") : `${pct}%`,
+    title,
+    broken,
+    pct
+  };
+}
+
 function categoryDisplayName(category) {
   const L = (key) => (typeof game !== "undefined" ? game.i18n?.localize?.(key) ?? key : key);
   const c = String(category ?? "").trim();
@@ -706,12 +732,22 @@ export class AnatomyEditor {
     list.className = "anatomy-editor-panel-list";
     for (const o of organs) {
       const li = document.createElement("li");
-      li.textContent = o.name || o.slotKey || o.id || "—";
+      li.textContent = `${o.name || o.slotKey || o.id || "—"}${this._formatOrganDetails(o)}`;
       list.appendChild(li);
     }
     container.appendChild(list);
   }
 
+  /** « — 10% · Обильное кровотечение» для списков органов. */
+  _formatOrganDetails(organ) {
+    const weight = Number(organ?.weight);
+    const parts = [];
+    if (Number.isFinite(weight) && weight > 0) parts.push(`${weight}%`);
+    const def = organ?.effect ? CONFIG.SPACEHOLDER?.organEffects?.[organ.effect] : null;
+    if (def?.label) parts.push(game.i18n.localize(def.label));
+    return parts.length ? ` — ${parts.join(" · ")}` : "";
+  }
+
   _renderRelationsReadonly(container, bodyPart) {
     const bodyParts = this.actor?.system?.health?.bodyParts ?? {};
     const rels = this._getRelationsForPart(bodyPart);
@@ -765,12 +801,28 @@ export class AnatomyEditor {
       thick.className = "anatomy-editor-panel-body-layer-thickness";
       thick.textContent = `× ${Number(layer.thickness) || 0}`;
       meta.appendChild(thick);
+      const wear = this._buildBodyLayerWearBadge(layer);
+      if (wear) meta.appendChild(wear);
       row.appendChild(meta);
       list.appendChild(row);
     });
     container.appendChild(list);
   }
 
+  /**
+   * Индикатор сохранённого износа слоя (настройка «Сохранять износ слоёв
+   * тела»): «62%» или «сломан» при нулевой прочности. `null` для целого слоя.
+   */
+  _buildBodyLayerWearBadge(layer) {
+    const wear = formatBodyLayerWear(layer);
+    if (!wear) return null;
+    const badge = document.createElement("span");
+    badge.className = `anatomy-editor-panel-body-layer-wear${wear.broken ? " is-broken" : ""}`;
+    badge.textContent = wear.label;
+    badge.title = wear.title;
+    return badge;
+  }
+
   _renderInfoReadonly(container, partId, bodyPart) {
     const props = document.createElement("div");
     props.className = "anatomy-editor-panel-props";
@@ -1346,8 +1398,18 @@ export class AnatomyEditor {
         row.className = "anatomy-editor-panel-organ-row";
         const nameSpan = document.createElement("span");
         nameSpan.className = "anatomy-editor-panel-organ-name";
-        nameSpan.textContent = o.name || o.slotKey || o.id || "—";
+        nameSpan.textContent = `${o.name || o.slotKey || o.id || "—"}${this._formatOrganDetails(o)}`;
         row.appendChild(nameSpan);
+        const editBtn = document.createElement("button");
+        editBtn.type = "button";
+        editBtn.className = "anatomy-editor-panel-organ-remove";
+        editBtn.title = "Редактировать орган";
+        editBtn.innerHTML = '<i class="fas fa-pencil-alt"></i>';
+        editBtn.addEventListener("click", async () => {
+          await this._openOrganDialog(partId, i);
+          refresh();
+        });
+        row.appendChild(editBtn);
         const removeBtn = document.createElement("button");
         removeBtn.type = "button";
         removeBtn.className = "anatomy-editor-panel-organ-remove";
@@ -1367,7 +1429,7 @@ export class AnatomyEditor {
     addBtn.className = "anatomy-editor-panel-add-organ";
     addBtn.innerHTML = '<i class="fas fa-plus"></i> Добавить орган';
     addBtn.addEventListener("click", async () => {
-      await this._addOrgan(partId);
+      await this._openOrganDialog(partId);
       refresh();
     });
     section.appendChild(addBtn);
@@ -1511,30 +1573,93 @@ export class AnatomyEditor {
     this.render();
   }
 
-  async _addOrgan(partId) {
+  /**
+   * Диалог органа: без `index` — добавление, с ним — правка существующего.
+   * Поля параметров строятся по `defaults` выбранного эффекта; в `params`
+   * сохраняются только значения, отличные от значений по умолчанию.
+   */
+  async _openOrganDialog(partId, index = null) {
+    const effects = CONFIG.SPACEHOLDER?.organEffects ?? {};
+    const organs = this.actor?.system?.health?.bodyParts?.[partId]?.organs;
+    const editing = Number.isInteger(index);
+    const current = editing ? organs?.[index] : null;
+    if (editing && !current) return;
+    const esc = (v) => foundry.utils.escapeHTML(String(v ?? ""));
+    const currentEffect = String(current?.effect ?? "");
+    const effectOptions = [
+      '<option value="">— без эффекта —</option>',
+      ...Object.entries(effects).map(([id, def]) => {
+        const label = esc(def?.label ? game.i18n.localize(def.label) : id);
+        const selected = id === currentEffect ? " selected" : "";
+        return `<option value="${esc(id)}"${selected}>${label}</option>`;
+      })
+    ].join("");
+    const weight = current ? Number(current.weight) || 0 : 10;
     const content = `
       <div class="anatomy-add-organ-dialog">
-        <div class="form-group"><label>Ключ слота (ID)</label><input type="text" id="ao-slot" placeholder="например eye" style="width:100%;"/></div>
-        <div class="form-group"><label>Название</label><input type="text" id="ao-name" placeholder="Глаз" style="width:100%;"/></div>
+        <div class="form-group"><label>Ключ слота (ID)</label><input type="text" id="ao-slot" value="${esc(current?.slotKey ?? current?.id)}" placeholder="например eye" style="width:100%;"/></div>
+        <div class="form-group"><label>Название</label><input type="text" id="ao-name" value="${esc(current?.name)}" placeholder="Глаз" style="width:100%;"/></div>
+        <div class="form-group"><label>Шанс попадания, %</label><input type="number" id="ao-weight" min="0" max="100" step="1" value="${weight}" style="width:100%;"/></div>
+        <div class="form-group"><label>Эффект</label><select id="ao-effect" style="width:100%;">${effectOptions}</select></div>
+        <div id="ao-params"></div>
       </div>`;
+
+    const renderParams = (root, effectId) => {
+      const box = root?.querySelector?.("#ao-params");
+      if (!box) return;
+      const defaults = effects[effectId]?.defaults ?? {};
+      const own = effectId === currentEffect ? (current?.params ?? {}) : {};
+      box.innerHTML = Object.entries(defaults).map(([key, def]) => {
+        const value = Number.isFinite(Number(own[key])) ? Number(own[key]) : def;
+        return `<div class="form-group"><label>${esc(key)} <span class="notes">(по умолчанию ${esc(def)})</span></label>`
+          + `<input type="number" step="any" data-organ-param="${esc(key)}" value="${esc(value)}" style="width:100%;"/></div>`;
+      }).join("");
+    };
+
     await foundry.applications.api.DialogV2.wait({
-      window: { title: "Добавить орган / слот", icon: "fa-solid fa-sitemap" },
+      window: { title: editing ? "Редактировать орган / слот" : "Добавить орган / слот", icon: "fa-solid fa-sitemap" },
       position: { width: 300 },
       content,
+      render: (_event, dialog) => {
+        const root = dialog?.element ?? null;
+        const select = root?.querySelector?.("#ao-effect");
+        renderParams(root, select?.value ?? "");
+        select?.addEventListener("change", () => renderParams(root, select.value));
+      },
       buttons: [
         {
-          action: "add",
-          label: "Добавить",
+          action: "save",
+          label: editing ? "Сохранить" : "Добавить",
           icon: "fa-solid fa-check",
           default: true,
-          callback: async () => {
-            const slotKey = (document.querySelector("#ao-slot")?.value ?? "").trim() || "organ";
-            const name = (document.querySelector("#ao-name")?.value ?? "").trim() || slotKey;
+          callback: async (_event, _button, dialog) => {
+            const root = dialog?.element ?? document;
+            const slotKey = (root.querySelector("#ao-slot")?.value ?? "").trim() || "organ";
+            const name = (root.querySelector("#ao-name")?.value ?? "").trim() || slotKey;
+            const weightRaw = Number(root.querySelector("#ao-weight")?.value);
+            const weight = Number.isFinite(weightRaw) ? Math.max(0, Math.min(100, weightRaw)) : 0;
+            const effect = String(root.querySelector("#ao-effect")?.value ?? "").trim();
+            const defaults = effects[effect]?.defaults ?? {};
+            const params = {};
+            for (const input of root.querySelectorAll("[data-organ-param]")) {
+              const key = input.dataset.organParam;
+              const value = Number(input.value);
+              if (Number.isFinite(value) && value !== Number(defaults[key])) params[key] = value;
+            }
+            const organ = { ...(current ?? {}), slotKey, name, weight, effect };
+            if (Object.keys(params).length) organ.params = params;
+            else delete organ.params;
+
             const bodyParts = foundry.utils.deepClone(this.actor?.system?.health?.bodyParts ?? {});
             const part = bodyParts[partId];
             if (!part) return;
             if (!Array.isArray(part.organs)) part.organs = [];
-            part.organs.push({ slotKey, name });
+            if (editing) {
+              if (!part.organs[index]) return;
+              part.organs[index] = organ;
+            } else {
+              part.organs.push(organ);
+            }
             await this.actor.update({ "system.health.bodyParts": bodyParts });
             this.render();
           }
@@ -1547,7 +1672,8 @@ export class AnatomyEditor {
   /* ------------------------------------------------------------------ *
    *  bodyLayers — стек тканей части тела                                 *
    *  Поле `bodyPart.bodyLayers` хранится как массив { material, thickness } *
-   *  в порядке «снаружи → к центру». Резолвер сам инвертирует при выходе. *
+   *  (+ поля износа при `persistentBodyLayers`) в порядке «снаружи →     *
+   *  к центру». Резолвер сам инвертирует при выходе.                     *
    * ------------------------------------------------------------------ */
 
   _getBodyLayersForPart(bodyPart) {
@@ -1620,7 +1746,7 @@ export class AnatomyEditor {
       <div class="anatomy-body-layer-dialog">
         <div class="form-group"><label>Материал</label><select id="bl-material" style="width:100%;">${fallback}${optsHtml}</select></div>
         <div class="form-group"><label>Толщина</label><input type="number" id="bl-thickness" min="0" step="0.1" value="${Number(currentThickness) || 1}" style="width:100%;"/></div>
-        <p class="notes">Толщина определяет стартовую прочность (integrity) слоя в каждом проходе. В bodyLayers прочность виртуальная и не сохраняется между попаданиями.</p>
+        <p class="notes">Толщина определяет стартовую прочность (integrity) слоя. По умолчанию прочность bodyLayers виртуальная и не сохраняется между попаданиями; с мировой настройкой «Сохранять износ слоёв тела» износ сохраняется и заживает со временем. Сохранение слоя сбрасывает его износ.</p>
       </div>`;
   }
 
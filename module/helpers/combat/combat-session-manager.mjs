@@ -965,6 +965,10 @@ export class CombatSessionManager {
     return this._getSideColor(sideId);
   }
 
+  async getCombatantSide(combatant) {
+    return this._getCombatantSide(combatant);
+  }
+
   getTurnSegmentsForCombatant(combat, combatantId) {
     const combatant = combat?.combatants?.get?.(combatantId) || null;
     if (!combatant) return { maxStarts: 1, started: 0, remaining: 1 };
@@ -1,6 +1,7 @@
 import { buildDamageTypeConfig, DEGRADATION_MODES, DAMAGE_TYPE_CATEGORIES } from './damage/damage-types.mjs';
 import { INJURY_DESCRIPTORS } from './damage/injury-descriptors.mjs';
 import { defaultDescriptor } from './damage/injury-description.mjs';
+import { ORGAN_EFFECTS } from './damage/organ-effects.mjs';
 
 export const SPACEHOLDER = {};
 
@@ -53,6 +54,16 @@ SPACEHOLDER.injuryDescriptors = {
   __default: defaultDescriptor,
 };
 
+/**
+ * Registry of organ effects keyed by id. `bodyPart.organs[].effect` points
+ * here; see module/helpers/damage/organ-effects.mjs for the entry shape
+ * (`label`, `defaults`, optional `onInjury` / `modifiers` hooks).
+ * @type {Object<string, Object>}
+ */
+SPACEHOLDER.organEffects = {
+  ...ORGAN_EFFECTS,
+};
+
 /**
  * The set of Ability Scores used within the system.
  * @type {Object}
@@ -92,9 +103,255 @@ SPACEHOLDER.aimingArc = {
   defaultDeadZoneDeg: 0,
   defaultDeviationBaseDeg: 1,
   deviationMultipliers: [0, 0, 1, 2, 4],
+  /** Рост базового отклонения за очко органного штрафа точности (раненые глаза). */
+  deviationPerAccuracyPoint: 0.15,
   overlayThicknessPx: 44,
   overlayColors: [0x9b59ff, 0x46d36a, 0xf0d04a, 0xf39c3d, 0xe05252],
   overlayAlpha: 0.56,
+  overlayRecoilColor: 0xff4d4d,
+};
+
+/**
+ * Weapon malfunctions (see module/helpers/weapon/malfunctions.mjs). With
+ * `line.reliability` enabled, a shot fails with
+ * `basePercent × (100 / reliability) × (100 / round quality)` percent;
+ * `weights` pick the kind among those the ammo block can suffer.
+ */
+SPACEHOLDER.malfunctions = {
+  enabled: true,
+  basePercent: 2,
+  weights: {
+    misfire: 35,
+    failureToFeed: 25,
+    stovepipe: 25,
+    doubleFeed: 15
+  }
+};
+
+/**
+ * Recoil (see module/helpers/weapon/recoil.mjs): each shot with an enabled
+ * `line.recoil` adds `value × kickPerPoint` degrees of climb (≤ `maxDeg`),
+ * which pushes the aim and widens the arcs by `arcWidenPerDeg` per degree.
+ * Climb settles at `recoveryDegPerSecond` of personal time, scaled by weapon
+ * ergonomics and the shooter's STR / COR modifiers.
+ */
+SPACEHOLDER.recoil = {
+  enabled: true,
+  kickPerPoint: 1,
+  maxDeg: 30,
+  arcWidenPerDeg: 0.03,
+  jitterShare: 0.25,
+  recoveryDegPerSecond: 6,
+  recoveryPerStrMod: 0.1,
+  recoveryPerCorMod: 0.1,
+  minRecoveryShare: 0.25
+};
+
+/**
+ * Weapon heat (see module/helpers/weapon/heat.mjs): lines with `line.heat`
+ * enabled gain `damage × typeFactors[type] × heatPerDamage` per shot and lose
+ * `line.heat.dissipation` per second of personal time. Above `warmRatio` of
+ * the capacity the spread grows up to `maxSpreadDeg`, above `burnRatio` each
+ * shot burns the holder's hand for `burnDamage` of `burnType`, and at 100 %
+ * the line locks until it cools to `resumeRatio`.
+ */
+SPACEHOLDER.weaponHeat = {
+  enabled: true,
+  heatPerDamage: 1,
+  typeFactors: {
+    laser: 1,
+    plasma: 1.5,
+    electric: 0.75,
+    thermal: 1,
+    radiation: 0.5
+  },
+  defaultTypeFactor: 0.1,
+  warmRatio: 0.5,
+  maxSpreadDeg: 8,
+  burnRatio: 0.8,
+  burnDamage: 3,
+  burnType: 'thermal',
+  resumeRatio: 0.3
+};
+
+/**
+ * Weapon wear (see module/helpers/weapon/wear.mjs): with `weapon.condition`
+ * enabled each shot costs `energy × wearPerEnergy` condition, scaled from
+ * `reductionFloor` to 1 by the round's armorDamageReduction. Below
+ * `degradeBelow` of max the condition cuts reliability and energy and adds
+ * spread (full `reliabilityLoss` / `energyLoss` / `spreadDeg` at zero, where
+ * the weapon is broken). `maintenance` — one action with a toolkit restores
+ * `restore × toolkit efficiency` for `apCost` AP and `seconds` of personal time.
+ */
+SPACEHOLDER.weaponWear = {
+  enabled: true,
+  wearPerEnergy: 0.002,
+  reductionFloor: 0.5,
+  degradeBelow: 0.75,
+  reliabilityLoss: 0.75,
+  spreadDeg: 6,
+  energyLoss: 0.3,
+  maintenance: {
+    restore: 25,
+    apCost: 50,
+    seconds: 300
+  }
+};
+
+/**
+ * Melee reactions (see module/helpers/weapon/melee.mjs): an actor caught by a
+ * melee strike may parry with a held melee weapon or block with a held melee
+ * shield for `apCost` AP. Chance = basePercent + (defender − attacker
+ * `ability` mod) × perModPercent + strikeModifiers[strike], clamped to
+ * [minPercent, maxPercent]. A parry stops the strike; a block stops
+ * `reduction[strike]` percent of its damage. The defender has
+ * `promptTimeoutMs` to answer.
+ */
+SPACEHOLDER.meleeReactions = {
+  enabled: true,
+  ability: 'dex',
+  perModPercent: 5,
+  minPercent: 5,
+  maxPercent: 95,
+  promptTimeoutMs: 15000,
+  parry: {
+    apCost: 20,
+    basePercent: 40,
+    strikeModifiers: { thrust: -10, cut: 0, blunt: -5 }
+  },
+  block: {
+    apCost: 15,
+    basePercent: 70,
+    strikeModifiers: { thrust: 0, cut: 0, blunt: 0 },
+    reduction: { thrust: 90, cut: 90, blunt: 60 }
+  }
+};
+
+/**
+ * Throwing (see module/helpers/weapon/throwing.mjs): a held item flies
+ * STR × cellsPerStr − (weight − freeWeight) × cellsPerKg cells, clamped to
+ * [minCells, maxCells], for `apCost` AP. The throw lands up to ±deviationDeg
+ * and ±distanceSpread off the aimed point (full at maximum range), bounces
+ * off up to `maxBounces` walls keeping `bounceDamping` of the distance left,
+ * and ends up on the map as an item pile.
+ */
+SPACEHOLDER.throwing = {
+  enabled: true,
+  apCost: 30,
+  cellsPerStr: 1,
+  freeWeight: 0.5,
+  cellsPerKg: 2,
+  minCells: 1,
+  maxCells: 30,
+  deviationDeg: 10,
+  distanceSpread: 0.2,
+  maxBounces: 2,
+  bounceDamping: 0.5
+};
+
+/**
+ * Ammo crafting (see module/helpers/weapon/ammo-crafting.mjs): one round is a
+ * case + `load` propellant + a projectile. Energy = propellant power × load,
+ * hardness = projectile material hardness × hardnessScale, damage = mass ×
+ * damagePerMass; armorPen follows from the energy formula (≤ maxArmorPen).
+ * One `rollFormula` roll per batch sets quality = 100 + (total − difficulty)
+ * × qualityPerPoint in [minQuality, maxQuality], rounded to qualityStep;
+ * energy moves by `energyPerQuality` of the quality deviation. A batch of up
+ * to `maxBatch` rounds costs apBase + apPerRound × rounds AP plus
+ * secondsPerRound × rounds of personal time.
+ */
+SPACEHOLDER.ammoCrafting = {
+  rollFormula: '1d20 + @int.mod',
+  difficulty: 10,
+  qualityPerPoint: 5,
+  minQuality: 50,
+  maxQuality: 150,
+  qualityStep: 10,
+  energyPerQuality: 0.5,
+  damagePerMass: 8,
+  hardnessScale: 0.1,
+  maxArmorPen: 300,
+  apBase: 20,
+  apPerRound: 5,
+  secondsPerRound: 30,
+  maxBatch: 100
+};
+
+/**
+ * Suppressive fire (see module/helpers/weapon/suppression.mjs): a move through
+ * another actor's suppression zone costs `moveApPenaltyPct` % more AP. Moves
+ * are checked against zones every `pathStepCells` cells of the path.
+ */
+SPACEHOLDER.suppression = {
+  moveApPenaltyPct: 50,
+  pathStepCells: 0.5
+};
+
+/**
+ * Overwatch (see module/helpers/weapon/overwatch.mjs): the readied arc is
+ * `arcDeg` wide and `rangeCells` long; the shooter's owner has
+ * `promptTimeoutMs` to take the reaction shot.
+ */
+SPACEHOLDER.overwatch = {
+  arcDeg: 60,
+  rangeCells: 20,
+  pathStepCells: 0.5,
+  promptTimeoutMs: 15000
+};
+
+/**
+ * Hit location (see module/helpers/damage/hit-location.mjs): a called shot
+ * lands on its part with `aimedMinChance + (aimedMaxChance - aimedMinChance)
+ * * share^aimedCurve`, where `share` is the part's exposure from the struck
+ * side over the whole body's. A shot from above or below scales a part's
+ * exposure by `1 + pitchBias * sin(pitch) * (2h - 1)`, never below
+ * `pitchMinFactor`.
+ */
+SPACEHOLDER.hitLocation = {
+  aimedMinChance: 0.05,
+  aimedMaxChance: 0.9,
+  aimedCurve: 0.5,
+  pitchBias: 1,
+  pitchMinFactor: 0.1
+};
+
+/**
+ * Elevation (see module/helpers/weapon/elevation.mjs): a token is
+ * `tokenHeightRatio` × its size in cells tall, shoots from `muzzlePct` % of
+ * its height and is aimed at `aimPct` %; a thrown item arcs
+ * `throwArcRatio` × the throw distance high.
+ */
+SPACEHOLDER.elevation = {
+  enabled: true,
+  tokenHeightRatio: 1,
+  muzzlePct: 75,
+  aimPct: 60,
+  throwArcRatio: 0.25
+};
+
+/**
+ * Cover (see module/helpers/damage/cover.mjs): `samples` rays across the
+ * target find walls, tiles and tokens in the way; other tokens hide
+ * `tokenHeightPct` % of a target's height.
+ */
+SPACEHOLDER.cover = {
+  enabled: true,
+  samples: 7,
+  tokenHeightPct: 100
+};
+
+/**
+ * Area effects (see module/helpers/damage/area-effects.mjs): smoke, burning
+ * ground and gas clouds a payload segment with `areaEffect` leaves behind.
+ * Without a combat a round counts as `secondsPerRound` seconds; smoke walls
+ * are a `wallSides`-gon around the disc. `kinds` tunes the built-in kinds
+ * (`radius`, `rounds`, `damage`, `tickSeconds`, ...) and may add new ones.
+ */
+SPACEHOLDER.areaEffects = {
+  enabled: true,
+  secondsPerRound: 6,
+  wallSides: 12,
+  kinds: {}
 };
 
 SPACEHOLDER.abilityAbbreviations = {
@@ -169,3 +426,119 @@ SPACEHOLDER.wearableCoverageReferenceAnatomyId = 'humanoid';
  */
 SPACEHOLDER.anatomyBodyLayersInDamage = false;
 
+/**
+ * Opt-in persistent wear of body layers. When `true`, the integrity a hit
+ * leaves on a part's tissue stack (`bodyParts[*].bodyLayers[i].integrity` /
+ * `breachLoss`) is stored on the actor: a fractured bone stays degraded and
+ * later hits on the same part penetrate more easily until it heals over
+ * personal time (`injuryRecovery.bodyLayerHealPerHour`). When `false`, body
+ * layers are virtual and every pass starts from pristine tissue. Only has
+ * an effect while `anatomyBodyLayersInDamage` is on. Driven by the world
+ * setting of the same name (damage/body-layer-settings.mjs); this value is
+ * its default.
+ * @type {boolean}
+ */
+SPACEHOLDER.persistentBodyLayers = false;
+
+
+/**
+ * Injury recovery over personal time (see
+ * module/helpers/damage/injury-recovery.mjs). Amounts are in the injury
+ * x100 scale: `healPerHour: 100` restores 1 HP per hour of personal time.
+ *
+ * - `bleedFractionPerSecond` — share of the wound's original amount added
+ *   every second while it is `bleeding` (raw and fresh);
+ * - `maxBleedFactor` — cap on total blood loss per wound, as a multiple of
+ *   its original amount;
+ * - `typeMultipliers` — per damage type healing speed (missing → 1);
+ * - `materialMultipliers[material][status]` — `raw` / `treated` speed for
+ *   biological and bionic parts (bionics only mend once repaired);
+ * - `enduranceStep` — healing bonus per point of END modifier (biological
+ *   parts only), never below `minEnduranceFactor`;
+ * - `bodyLayerHealPerHour` — share of a worn body layer's integrity restored
+ *   per hour, by layer material (`default` for the rest); only used with
+ *   `persistentBodyLayers`. Bionic parts do not self-repair.
+ */
+SPACEHOLDER.injuryRecovery = {
+  enabled: true,
+  healPerHour: 100,
+  bleedFractionPerSecond: 0.01,
+  maxBleedFactor: 1,
+  removeHealed: true,
+  enduranceStep: 0.1,
+  minEnduranceFactor: 0.25,
+  typeMultipliers: {
+    ballistic: 0.8,
+    concussive: 2,
+    piercing: 1,
+    cutting: 1.2,
+    thermal: 0.6,
+    laser: 0.7,
+    plasma: 0.5,
+    electric: 0.7,
+    sonic: 2,
+    radiation: 0.4,
+    chemical: 0.6
+  },
+  materialMultipliers: {
+    biological: { raw: 1, treated: 3 },
+    bionic: { raw: 0, treated: 2 }
+  },
+  bodyLayerHealPerHour: {
+    skin: 0.25,
+    muscle: 0.1,
+    bone: 0.02,
+    default: 0.05
+  }
+};
+
+/**
+ * Lingering damage (see module/helpers/damage/lingering-effects.mjs): hits
+ * of types with a `lingering` spec in `damageTypes` leave burning, acid or
+ * radiation dose on the actor, ticking over personal time. Per-type tuning
+ * lives in `damageTypes[type].lingering`.
+ */
+SPACEHOLDER.lingeringEffects = {
+  enabled: true
+};
+
+/**
+ * Energy shields (see module/helpers/damage/shield-resolver.mjs): equipped
+ * items tagged `isShield` drain their pool before any armor is hit.
+ * `defaultAbsorption` — share (%) of each damage type a shield takes when
+ * its own `absorption` table leaves the type blank; unlisted types → 100.
+ */
+SPACEHOLDER.shields = {
+  enabled: true,
+  defaultAbsorption: {
+    sonic: 50,
+    chemical: 50,
+    radiation: 25
+  }
+};
+
+/**
+ * Armor repair (see module/helpers/damage/armor-repair.mjs). One supply unit
+ * (a repair kit with `materialId`) restores
+ * `integrityPerThickness × toolkit efficiency × categoryEfficiency[category]`
+ * integrity on a worn layer of the same material.
+ *
+ * - `categoryEfficiency` — by material category (`default` for the rest);
+ *   `0` means the material cannot be patched in the field;
+ * - `apBase` / `apPerUnit` — AP cost of one repair action (10 AP ≈ 1 s);
+ * - `secondsPerUnit` — extra personal time per supply unit on top of the
+ *   spent AP: patching armor takes minutes, not a combat turn.
+ */
+SPACEHOLDER.armorRepair = {
+  categoryEfficiency: {
+    metal: 1,
+    fabric: 1.2,
+    composite: 0.6,
+    ablative: 0.5,
+    biological: 0,
+    default: 1
+  },
+  apBase: 20,
+  apPerUnit: 10,
+  secondsPerUnit: 60
+};
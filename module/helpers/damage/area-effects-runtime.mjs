@@ -0,0 +1,459 @@
+/**
+ * Area effects on the canvas (rules in area-effects.mjs).
+ *
+ * An effect is a locked ellipse Drawing of the scene with the record in
+ * `flags.spaceholder.areaEffect`; smoke also puts up sight-only walls
+ * (`flags.spaceholder.areaEffectId`) around it. Deleting the drawing ends
+ * the effect. Players cannot create drawings and walls, so a shot fired on a
+ * player's client sends its effects to the active GM over the system socket.
+ *
+ * The active GM ends effects as combat rounds (or world time) pass and moves
+ * drifting ones with the wind — the `areaEffectWind*` world settings. Damage
+ * is seen on the acting client, like suppression: when an actor's personal
+ * time advances while its token stands in a harmful effect, or its last move
+ * went into one, the ticks go through `actor.applyDamagePackage` (run by
+ * injury-personal-time.mjs with the other injury ticks). Seconds
+ * spent inside and not yet ticked are kept in
+ * `flags.spaceholder.areaEffectExposure`.
+ */
+
+import {
+  AREA_EFFECT_KIND_LIST,
+  areaEffectPolygon,
+  areaEffectProjectile,
+  areaEffectTicks,
+  buildAreaEffect,
+  detachAreaEffectFromCombat,
+  isAreaEffectExpired,
+  normalizeAreaEffectsConfig,
+  pathCrossesAreaEffect,
+  pointInAreaEffect,
+  windDrift,
+} from './area-effects.mjs';
+import { applyPitchToBodyParts, resolveHitLocation } from './hit-location.mjs';
+import { pxPerSceneUnit } from '../weapon/elevation-runtime.mjs';
+
+const MODULE_NS = 'spaceholder';
+const FLAG_EFFECT = 'areaEffect';
+const FLAG_WALL = 'areaEffectId';
+const FLAG_EXPOSURE = 'areaEffectExposure';
+const SOCKET_TYPE = `${MODULE_NS}.areaEffects`;
+export const AREA_EFFECT_WIND_DIRECTION_KEY = 'areaEffectWindDirection';
+export const AREA_EFFECT_WIND_SPEED_KEY = 'areaEffectWindSpeed';
+
+// Damage verb of an effect kind in injury descriptions.
+const TICK_VERBS = Object.freeze({ fire: 'burn', gas: 'expose' });
+
+let _socketInstalled = false;
+let _queue = Promise.resolve();
+
+function _socketName() {
+  try {
+    return `system.${game.system.id}`;
+  } catch (_) {
+    return `system.${MODULE_NS}`;
+  }
+}
+
+function _t(key, data = null) {
+  const i18n = game.i18n;
+  if (!i18n) return key;
+  return data ? i18n.format(key, data) : i18n.localize(key);
+}
+
+function _config() {
+  return normalizeAreaEffectsConfig(CONFIG.SPACEHOLDER?.areaEffects ?? null);
+}
+
+function _isActiveGM() {
+  return !!game.user?.isGM && game.users?.activeGM?.id === game.user.id;
+}
+
+/** Drawing and wall writes run one at a time: drift rewrites what expiry may delete. */
+function _enqueue(fn) {
+  const next = _queue.then(fn, fn);
+  _queue = next.catch(() => {});
+  return next;
+}
+
+function _actorToken(actor) {
+  return actor?.token?.object ?? actor?.getActiveTokens?.()?.[0] ?? null;
+}
+
+/** Token centre when its top-left corner is at `pos`. */
+function _centerAt(tokenDoc, pos) {
+  if (!pos) return null;
+  const size = Number(tokenDoc?.parent?.grid?.size) || Number(canvas?.grid?.size) || 100;
+  return {
+    x: Number(pos.x) + ((Number(tokenDoc?.width) || 1) * size) / 2,
+    y: Number(pos.y) + ((Number(tokenDoc?.height) || 1) * size) / 2,
+  };
+}
+
+function _kindLabel(kind) {
+  return AREA_EFFECT_KIND_LIST.includes(kind) ? _t(`SPACEHOLDER.AreaEffects.Kinds.${kind}`) : String(kind ?? '');
+}
+
+async function _chat(actor, text) {
+  try {
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: `<div>${foundry.utils.escapeHTML(text)}</div>`,
+    });
+  } catch (_) {
+    /* ignore chat errors */
+  }
+}
+
+export function registerAreaEffectSettings() {
+  game.settings.register(MODULE_NS, AREA_EFFECT_WIND_DIRECTION_KEY, {
+    name: 'SPACEHOLDER.AreaEffects.Settings.WindDirection.Name',
+    hint: 'SPACEHOLDER.AreaEffects.Settings.WindDirection.Hint',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Number,
+    range: { min: 0, max: 345, step: 15 },
+    default: 0,
+  });
+  game.settings.register(MODULE_NS, AREA_EFFECT_WIND_SPEED_KEY, {
+    name: 'SPACEHOLDER.AreaEffects.Settings.WindSpeed.Name',
+    hint: 'SPACEHOLDER.AreaEffects.Settings.WindSpeed.Hint',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Number,
+    default: 0,
+  });
+}
+
+/**
+ * @returns {{directionDeg:number, speed:number}} speed in scene units per round
+ */
+export function getAreaEffectWind() {
+  try {
+    return {
+      directionDeg: Number(game.settings.get(MODULE_NS, AREA_EFFECT_WIND_DIRECTION_KEY)) || 0,
+      speed: Math.max(0, Number(game.settings.get(MODULE_NS, AREA_EFFECT_WIND_SPEED_KEY)) || 0),
+    };
+  } catch (_) {
+    return { directionDeg: 0, speed: 0 };
+  }
+}
+
+/**
+ * Effect record of a drawing.
+ * @param {DrawingDocument} doc
+ * @returns {object|null}
+ */
+export function getAreaEffect(doc) {
+  const effect = doc?.getFlag?.(MODULE_NS, FLAG_EFFECT) ?? null;
+  return effect && typeof effect === 'object' && effect.kind ? effect : null;
+}
+
+/**
+ * Effects of a scene with their drawings.
+ * @param {Scene|null} [scene]
+ * @returns {Array<{doc: DrawingDocument, effect: object}>}
+ */
+export function listSceneAreaEffects(scene = canvas?.scene ?? null) {
+  if (!scene) return [];
+  const out = [];
+  for (const doc of scene.drawings ?? []) {
+    const effect = getAreaEffect(doc);
+    if (effect) out.push({ doc, effect });
+  }
+  return out;
+}
+
+function _drawingData(effect) {
+  return {
+    author: game.user.id,
+    shape: { type: 'e', width: effect.radius * 2, height: effect.radius * 2 },
+    x: effect.x - effect.radius,
+    y: effect.y - effect.radius,
+    fillType: CONST.DRAWING_FILL_TYPES.SOLID,
+    fillColor: effect.color,
+    fillAlpha: effect.alpha,
+    strokeWidth: 2,
+    strokeColor: effect.color,
+    strokeAlpha: Math.min(1, effect.alpha + 0.3),
+    locked: true,
+    flags: { [MODULE_NS]: { [FLAG_EFFECT]: effect } },
+  };
+}
+
+function _wallData(effect) {
+  const poly = areaEffectPolygon(effect, _config().wallSides);
+  return poly.map((a, i) => {
+    const b = poly[(i + 1) % poly.length];
+    return {
+      c: [a.x, a.y, b.x, b.y],
+      move: CONST.WALL_MOVEMENT_TYPES.NONE,
+      sight: CONST.WALL_SENSE_TYPES.NORMAL,
+      light: CONST.WALL_SENSE_TYPES.NORMAL,
+      sound: CONST.WALL_SENSE_TYPES.NONE,
+      flags: { [MODULE_NS]: { [FLAG_WALL]: effect.id } },
+    };
+  });
+}
+
+async function _deleteWalls(scene, effectId) {
+  const ids = (scene?.walls ?? [])
+    .filter((w) => w.getFlag(MODULE_NS, FLAG_WALL) === effectId)
+    .map((w) => w.id);
+  if (ids.length) await scene.deleteEmbeddedDocuments('Wall', ids);
+}
+
+async function _createAreaEffects(scene, effects) {
+  const list = effects.filter((e) => e?.id && e.kind);
+  if (!scene || !list.length) return;
+  try {
+    await scene.createEmbeddedDocuments('Drawing', list.map(_drawingData));
+    const walls = list.filter((e) => e.blocksSight).flatMap(_wallData);
+    if (walls.length) await scene.createEmbeddedDocuments('Wall', walls);
+  } catch (e) {
+    console.error('SpaceHolder | Area effects: failed to create effects', e);
+  }
+}
+
+/**
+ * Lay the effects a shot left (`shot.areaEffects`). The active GM writes them.
+ * @param {Array<{spec: object, center: {x:number, y:number}, range?: number|null}>} list
+ * @param {Scene} [scene]
+ */
+export async function spawnAreaEffects(list, scene = canvas?.scene ?? null) {
+  const config = CONFIG.SPACEHOLDER?.areaEffects ?? null;
+  if (!scene || !Array.isArray(list) || !list.length || !_config().enabled) return;
+  const combat = game.combat?.started ? game.combat : null;
+  const effects = list
+    .map((entry) => buildAreaEffect({
+      spec: entry?.spec,
+      center: entry?.center,
+      range: entry?.range ?? null,
+      pxPerUnit: pxPerSceneUnit(scene),
+      combat: combat ? { id: combat.id, round: combat.round } : null,
+      worldTime: game.time?.worldTime ?? 0,
+      id: foundry.utils.randomID(),
+      config,
+    }))
+    .filter(Boolean);
+  if (!effects.length) return;
+
+  if (game.user?.isGM) {
+    await _enqueue(() => _createAreaEffects(scene, effects));
+    return;
+  }
+  const targetUserId = game.users?.activeGM?.id;
+  if (!targetUserId) return;
+  try {
+    game.socket.emit(_socketName(), { type: SOCKET_TYPE, op: 'spawn', targetUserId, sceneId: scene.id, effects });
+  } catch (e) {
+    console.error('SpaceHolder | Area effects: socket.emit failed', e);
+  }
+}
+
+async function _removeAreaEffect(doc) {
+  const effect = getAreaEffect(doc);
+  if (!effect) return;
+  const scene = doc.parent;
+  await doc.delete();
+  await _deleteWalls(scene, effect.id);
+}
+
+async function _moveAreaEffect(doc, effect, next) {
+  const moved = next.x !== effect.x || next.y !== effect.y;
+  await doc.update({
+    x: next.x - next.radius,
+    y: next.y - next.radius,
+    [`flags.${MODULE_NS}.${FLAG_EFFECT}`]: next,
+  });
+  if (moved && next.blocksSight) {
+    await _deleteWalls(doc.parent, next.id);
+    await doc.parent.createEmbeddedDocuments('Wall', _wallData(next));
+  }
+}
+
+/**
+ * End expired effects of a scene and drift the rest.
+ * @param {Scene} scene
+ * @param {object} now
+ * @param {Combat|null} [now.combat] combat whose round changed
+ * @param {number} now.worldTime
+ */
+async function _advanceSceneAreaEffects(scene, { combat = null, worldTime }) {
+  const config = _config();
+  const wind = getAreaEffectWind();
+  const pxPerUnit = pxPerSceneUnit(scene);
+  for (const { doc, effect } of listSceneAreaEffects(scene)) {
+    try {
+      const ownCombat = !!combat && effect.combatId === combat.id;
+      if (isAreaEffectExpired(effect, { combatId: combat?.id ?? null, round: combat?.round ?? null, worldTime })) {
+        await _removeAreaEffect(doc);
+        continue;
+      }
+      if (!effect.drifts) continue;
+      // A combat effect drifts by its rounds, any other by world time.
+      let rounds = 0;
+      const next = { ...effect };
+      if (ownCombat) {
+        rounds = combat.round - (Number(effect.round) || 0);
+        next.round = combat.round;
+      } else if (!combat && !effect.combatId) {
+        rounds = (worldTime - (Number(effect.worldTime) || 0)) / config.secondsPerRound;
+        next.worldTime = worldTime;
+      } else {
+        continue;
+      }
+      if (rounds > 0) {
+        const { dx, dy } = windDrift(wind, rounds, pxPerUnit);
+        next.x = effect.x + dx;
+        next.y = effect.y + dy;
+      }
+      await _moveAreaEffect(doc, effect, next);
+    } catch (e) {
+      console.error('SpaceHolder | Area effects: failed to advance an effect', e);
+    }
+  }
+}
+
+async function _onCombatRound(combat) {
+  const scene = combat.scene ?? canvas?.scene ?? null;
+  if (!scene) return;
+  await _advanceSceneAreaEffects(scene, { combat, worldTime: game.time?.worldTime ?? 0 });
+}
+
+async function _onWorldTime(worldTime) {
+  for (const scene of game.scenes ?? []) {
+    await _advanceSceneAreaEffects(scene, { worldTime });
+  }
+}
+
+async function _onCombatDeleted(combat) {
+  const worldTime = game.time?.worldTime ?? 0;
+  for (const scene of game.scenes ?? []) {
+    for (const { doc, effect } of listSceneAreaEffects(scene)) {
+      if (effect.combatId !== combat.id) continue;
+      const next = detachAreaEffectFromCombat(effect, { round: combat.round, worldTime, config: CONFIG.SPACEHOLDER?.areaEffects });
+      await doc.setFlag(MODULE_NS, FLAG_EFFECT, { ...next, worldTime });
+    }
+  }
+}
+
+/**
+ * One damage tick of `effect` on `actor`: the part is rolled with the
+ * effect's pitch (fire — from below).
+ * @param {Actor} actor
+ * @param {object} effect
+ * @returns {Promise<object|null>} result of `actor.applyDamagePackage`
+ */
+async function _applyAreaEffectTick(actor, effect) {
+  const projectile = areaEffectProjectile(effect);
+  if (!projectile) return null;
+  const health = actor.system?.health ?? {};
+  const hitConfig = CONFIG.SPACEHOLDER?.hitLocation;
+  const bodyParts = applyPitchToBodyParts({
+    bodyParts: health.bodyParts ?? {},
+    pitchDeg: effect.pitchDeg,
+    gridHeight: health.anatomyGrid?.height,
+    config: hitConfig,
+  });
+  const location = resolveHitLocation({ bodyParts, direction: 'front', config: hitConfig });
+  return actor.applyDamagePackage({
+    partId: location.partId ?? 'core',
+    hitDirection: location.direction,
+    projectile,
+    source: { legacyLabel: _kindLabel(effect.kind), verbKey: TICK_VERBS[effect.kind] },
+  });
+}
+
+/**
+ * Acting client: the actor spent personal time — every harmful effect its
+ * token stands in ticks for that time, one its last move went into ticks
+ * once.
+ * @param {Actor} actor
+ * @param {{seconds: number}} payload
+ */
+export async function onPersonalTimeAdvancedAreaEffects(actor, payload) {
+  const seconds = Number(payload?.seconds) || 0;
+  if (!actor?.isOwner || seconds <= 0 || !_config().enabled) return;
+  if (typeof actor.applyDamagePackage !== 'function') return;
+  const token = _actorToken(actor);
+  const tokenDoc = token?.document ?? null;
+  if (!tokenDoc || tokenDoc.parent?.id !== canvas.scene?.id) return;
+
+  const movement = tokenDoc.movement ?? null;
+  const movementId = String(movement?.id ?? '').trim();
+  const from = _centerAt(tokenDoc, movement?.origin);
+  const to = _centerAt(tokenDoc, movement?.destination);
+
+  const stored = actor.getFlag(MODULE_NS, FLAG_EXPOSURE);
+  const exposure = Array.isArray(stored) ? stored : [];
+  const next = [];
+  for (const { effect } of listSceneAreaEffects()) {
+    if (!areaEffectProjectile(effect)) continue;
+    const prev = exposure.find((e) => e?.effectId === effect.id) ?? {};
+    const inside = pointInAreaEffect(effect, token.center);
+    const crossed = !!movementId && pathCrossesAreaEffect(effect, from, to);
+    if (!inside && !crossed) continue;
+
+    // The move into the effect ticks once; it is remembered so it does not tick again.
+    const entered = crossed && prev.movementId !== movementId;
+    const { ticks, carried } = entered
+      ? { ticks: 1, carried: 0 }
+      : (inside ? areaEffectTicks(prev.seconds, seconds, effect.tickSeconds) : { ticks: 0, carried: 0 });
+    next.push({ effectId: effect.id, seconds: carried, movementId: crossed ? movementId : (prev.movementId ?? '') });
+
+    let applied = 0;
+    for (let i = 0; i < ticks; i++) {
+      try {
+        if (await _applyAreaEffectTick(actor, effect)) applied++;
+      } catch (e) {
+        console.error('SpaceHolder | Area effects: failed to apply a tick', e);
+      }
+    }
+    if (applied > 0) {
+      await _chat(actor, _t('SPACEHOLDER.AreaEffects.Tick', { actor: actor.name, effect: _kindLabel(effect.kind), ticks: applied }));
+    }
+  }
+  if (next.length || exposure.length) await actor.setFlag(MODULE_NS, FLAG_EXPOSURE, next);
+}
+
+export function installAreaEffectSocketHandlers() {
+  if (_socketInstalled) return;
+  _socketInstalled = true;
+  if (!game?.socket?.on) return;
+
+  game.socket.on(_socketName(), async (msg) => {
+    try {
+      if (!msg || msg.type !== SOCKET_TYPE || msg.op !== 'spawn') return;
+      if (msg.targetUserId !== game.user?.id || !game.user?.isGM) return;
+      const scene = game.scenes?.get(String(msg.sceneId ?? '')) ?? null;
+      const effects = Array.isArray(msg.effects) ? msg.effects : [];
+      await _enqueue(() => _createAreaEffects(scene, effects));
+    } catch (e) {
+      console.error('SpaceHolder | Area effects: socket message handler crashed', e);
+    }
+  });
+}
+
+export function registerAreaEffectHooks() {
+  Hooks.on('updateCombat', (combat, changes) => {
+    if (!_isActiveGM() || !Object.hasOwn(changes ?? {}, 'round')) return;
+    void _enqueue(() => _onCombatRound(combat));
+  });
+  Hooks.on('updateWorldTime', (worldTime) => {
+    if (!_isActiveGM()) return;
+    void _enqueue(() => _onWorldTime(Number(worldTime) || 0));
+  });
+  Hooks.on('deleteCombat', (combat) => {
+    if (!_isActiveGM()) return;
+    void _enqueue(() => _onCombatDeleted(combat));
+  });
+  // A drawing deleted by hand takes its walls along.
+  Hooks.on('deleteDrawing', (doc) => {
+    const effect = getAreaEffect(doc);
+    if (!effect?.blocksSight || !_isActiveGM()) return;
+    void _enqueue(() => _deleteWalls(doc.parent, effect.id));
+  });
+}
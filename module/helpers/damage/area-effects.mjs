@@ -0,0 +1,306 @@
+/**
+ * Area effects — smoke, burning ground and gas clouds left by payloads.
+ *
+ * A payload segment with `areaEffect: {kind, ...}` leaves a disc at the
+ * point the segment ended (a circle's centre, a line's stop point). Its
+ * radius is `areaEffect.radius`, else a circle's `range`, else the kind's
+ * default — in scene units, like the segment's `length` / `range`. Any field
+ * of the kind (`CONFIG.SPACEHOLDER.areaEffects.kinds`) can be overridden on
+ * the segment:
+ *
+ *  - **smoke** (`blocksSight`) — a line of sight through the disc is
+ *    blocked unless both ends are inside it; on the canvas it also puts up
+ *    sight-blocking walls around the disc;
+ *  - **fire** — a token that enters the disc, and every `tickSeconds` of
+ *    personal time it spends inside, takes `damage` of `damageType`
+ *    (thermal) at a part rolled with the hit pitch `pitchDeg` (-90 — from
+ *    below: the legs burn first);
+ *  - **gas** (`drifts`) — damages like fire and drifts with the wind
+ *    (`speed` scene units per round towards `directionDeg`).
+ *
+ * An effect lasts `rounds` combat rounds of the combat it was laid in, or
+ * `seconds` of world time, whichever comes first; without a combat `rounds`
+ * counts as `rounds × secondsPerRound` seconds.
+ *
+ * Geometry is in canvas px, angles in degrees of the canvas axes. The module
+ * is pure — it does not import Foundry.
+ */
+
+export const AREA_EFFECT_KINDS = Object.freeze({
+  SMOKE: 'smoke',
+  FIRE: 'fire',
+  GAS: 'gas',
+});
+
+export const AREA_EFFECT_KIND_LIST = Object.freeze(Object.values(AREA_EFFECT_KINDS));
+
+const KIND_DEFAULTS = Object.freeze({
+  smoke: Object.freeze({
+    radius: 3, rounds: 3, seconds: 0, blocksSight: true, drifts: false,
+    damage: 0, damageType: '', tickSeconds: 6, pitchDeg: 0, color: '#9a9a9a', alpha: 0.55,
+  }),
+  fire: Object.freeze({
+    radius: 2, rounds: 2, seconds: 0, blocksSight: false, drifts: false,
+    damage: 4, damageType: 'thermal', tickSeconds: 6, pitchDeg: -90, color: '#ff6a00', alpha: 0.35,
+  }),
+  gas: Object.freeze({
+    radius: 3, rounds: 4, seconds: 0, blocksSight: false, drifts: true,
+    damage: 2, damageType: 'chemical', tickSeconds: 6, pitchDeg: 0, color: '#9acd32', alpha: 0.35,
+  }),
+});
+
+const CONFIG_DEFAULTS = Object.freeze({
+  enabled: true,
+  secondsPerRound: 6,
+  wallSides: 12,
+});
+
+// Spec fields a segment may override.
+const SPEC_NUMBERS = Object.freeze(['radius', 'rounds', 'seconds', 'damage', 'tickSeconds', 'pitchDeg']);
+const SPEC_FLAGS = Object.freeze(['blocksSight', 'drifts']);
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _isSet(v) {
+  return v !== null && v !== undefined;
+}
+
+function _kind(raw, kinds = KIND_DEFAULTS) {
+  const kind = String(raw ?? '').trim();
+  return kind && Object.hasOwn(kinds, kind) ? kind : null;
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.areaEffects`
+ * @returns {{enabled:boolean, secondsPerRound:number, wallSides:number, kinds:Record<string, object>}}
+ */
+export function normalizeAreaEffectsConfig(config = null) {
+  const src = config && typeof config === 'object' ? config : {};
+  const kinds = {};
+  for (const kind of new Set([...AREA_EFFECT_KIND_LIST, ...Object.keys(src.kinds ?? {})])) {
+    const base = KIND_DEFAULTS[kind] ?? KIND_DEFAULTS.smoke;
+    const own = src.kinds?.[kind] && typeof src.kinds[kind] === 'object' ? src.kinds[kind] : {};
+    kinds[kind] = { ...base, ...own };
+  }
+  return {
+    enabled: src.enabled !== false,
+    secondsPerRound: Math.max(1, _num(src.secondsPerRound, CONFIG_DEFAULTS.secondsPerRound)),
+    wallSides: Math.max(6, Math.trunc(_num(src.wallSides, CONFIG_DEFAULTS.wallSides))),
+    kinds,
+  };
+}
+
+/**
+ * `segment.areaEffect` as stored in a payload: the kind and the fields it
+ * overrides.
+ * @param {unknown} raw
+ * @param {object|null} [config]
+ * @returns {object|null} `null` — no effect or an unknown kind
+ */
+export function cleanAreaEffectSpec(raw, config = null) {
+  if (!raw || typeof raw !== 'object') return null;
+  const kind = _kind(raw.kind, normalizeAreaEffectsConfig(config).kinds);
+  if (!kind) return null;
+  const out = { kind };
+  for (const key of SPEC_NUMBERS) {
+    if (!_isSet(raw[key]) || raw[key] === '') continue;
+    const n = Number(raw[key]);
+    if (Number.isFinite(n)) out[key] = key === 'pitchDeg' ? Math.max(-90, Math.min(90, n)) : Math.max(0, n);
+  }
+  for (const key of SPEC_FLAGS) {
+    if (typeof raw[key] === 'boolean') out[key] = raw[key];
+  }
+  if (typeof raw.damageType === 'string' && raw.damageType.trim()) out.damageType = raw.damageType.trim();
+  return out;
+}
+
+/**
+ * The kind's defaults with the segment's overrides.
+ * @param {unknown} raw `segment.areaEffect`
+ * @param {object|null} [config]
+ * @returns {object|null}
+ */
+export function resolveAreaEffectSpec(raw, config = null) {
+  const clean = cleanAreaEffectSpec(raw, config);
+  if (!clean) return null;
+  return { ...normalizeAreaEffectsConfig(config).kinds[clean.kind], ...clean };
+}
+
+/**
+ * Effect record laid at `center`.
+ * @param {object} args
+ * @param {unknown} args.spec `segment.areaEffect`
+ * @param {{x:number, y:number}} args.center
+ * @param {number|null} [args.range] circle range of the segment, scene units
+ * @param {number} [args.pxPerUnit] canvas px per scene unit
+ * @param {{id:string, round:number}|null} [args.combat] running combat
+ * @param {number} [args.worldTime]
+ * @param {string} [args.id]
+ * @param {object|null} [args.config]
+ * @returns {object|null}
+ */
+export function buildAreaEffect({ spec, center, range = null, pxPerUnit = 1, combat = null, worldTime = 0, id = '', config = null }) {
+  const cfg = normalizeAreaEffectsConfig(config);
+  const s = resolveAreaEffectSpec(spec, config);
+  if (!s || !center) return null;
+  const radiusUnits = _isSet(spec?.radius) ? s.radius : (_num(range, 0) > 0 ? _num(range, 0) : s.radius);
+  const rounds = Math.trunc(_num(s.rounds, 0));
+  let seconds = _num(s.seconds, 0);
+  if (!combat && rounds > 0) seconds = seconds > 0 ? Math.min(seconds, rounds * cfg.secondsPerRound) : rounds * cfg.secondsPerRound;
+  const time = _num(worldTime, 0);
+  return {
+    id: String(id ?? ''),
+    kind: s.kind,
+    x: _num(center.x, 0),
+    y: _num(center.y, 0),
+    radius: Math.max(1, radiusUnits * Math.max(1e-6, _num(pxPerUnit, 1))),
+    blocksSight: !!s.blocksSight,
+    drifts: !!s.drifts,
+    damage: Math.max(0, _num(s.damage, 0)),
+    damageType: String(s.damageType ?? ''),
+    tickSeconds: Math.max(1, _num(s.tickSeconds, 6)),
+    pitchDeg: _num(s.pitchDeg, 0),
+    color: String(s.color ?? '#9a9a9a'),
+    alpha: Math.max(0, Math.min(1, _num(s.alpha, 0.4))),
+    combatId: combat && rounds > 0 ? String(combat.id) : null,
+    expiresRound: combat && rounds > 0 ? _num(combat.round, 0) + rounds : null,
+    expiresTime: seconds > 0 ? time + seconds : null,
+    round: combat ? _num(combat.round, 0) : null,
+    worldTime: time,
+  };
+}
+
+/**
+ * @param {object} effect
+ * @param {object} now
+ * @param {string|null} [now.combatId]
+ * @param {number|null} [now.round]
+ * @param {number} [now.worldTime]
+ * @returns {boolean}
+ */
+export function isAreaEffectExpired(effect, { combatId = null, round = null, worldTime = 0 } = {}) {
+  if (_isSet(effect?.expiresTime) && _num(worldTime, 0) >= effect.expiresTime) return true;
+  return _isSet(effect?.expiresRound) && !!combatId && combatId === effect.combatId && _num(round, 0) >= effect.expiresRound;
+}
+
+/**
+ * The effect's combat is over: its rounds left run on as world time.
+ * @param {object} effect
+ * @param {object} args
+ * @param {number} args.round the combat's last round
+ * @param {number} args.worldTime
+ * @param {object|null} [args.config]
+ * @returns {object} a copy
+ */
+export function detachAreaEffectFromCombat(effect, { round, worldTime, config = null }) {
+  if (!_isSet(effect?.expiresRound)) return { ...effect, combatId: null };
+  const cfg = normalizeAreaEffectsConfig(config);
+  const left = Math.max(0, effect.expiresRound - _num(round, 0)) * cfg.secondsPerRound;
+  const until = _num(worldTime, 0) + left;
+  return {
+    ...effect,
+    combatId: null,
+    expiresRound: null,
+    round: null,
+    expiresTime: _isSet(effect.expiresTime) ? Math.min(effect.expiresTime, until) : until,
+  };
+}
+
+/**
+ * @param {object} effect
+ * @param {{x:number, y:number}} point
+ * @returns {boolean}
+ */
+export function pointInAreaEffect(effect, point) {
+  if (!effect || !point) return false;
+  return Math.hypot(point.x - effect.x, point.y - effect.y) <= effect.radius;
+}
+
+/**
+ * Does the segment `a`–`b` touch the disc.
+ * @param {object} effect
+ * @param {{x:number, y:number}} a
+ * @param {{x:number, y:number}} b
+ * @returns {boolean}
+ */
+export function pathCrossesAreaEffect(effect, a, b) {
+  if (!effect || !a || !b) return false;
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, ((effect.x - a.x) * dx + (effect.y - a.y) * dy) / len2)) : 0;
+  return Math.hypot(a.x + dx * t - effect.x, a.y + dy * t - effect.y) <= effect.radius;
+}
+
+/**
+ * Is a line of sight from `a` to `b` blocked by the effect: it has to block
+ * sight and the line has to pass through it, not run inside it.
+ * @param {object} effect
+ * @param {{x:number, y:number}} a
+ * @param {{x:number, y:number}} b
+ * @returns {boolean}
+ */
+export function areaEffectBlocksLine(effect, a, b) {
+  if (!effect?.blocksSight) return false;
+  if (pointInAreaEffect(effect, a) && pointInAreaEffect(effect, b)) return false;
+  return pathCrossesAreaEffect(effect, a, b);
+}
+
+/**
+ * Wind offset after `rounds`.
+ * @param {{directionDeg:number, speed:number}} wind speed in scene units per round
+ * @param {number} rounds
+ * @param {number} [pxPerUnit]
+ * @returns {{dx:number, dy:number}}
+ */
+export function windDrift(wind, rounds, pxPerUnit = 1) {
+  const distance = Math.max(0, _num(wind?.speed, 0)) * Math.max(0, _num(rounds, 0)) * Math.max(0, _num(pxPerUnit, 1));
+  const r = (_num(wind?.directionDeg, 0) * Math.PI) / 180;
+  return { dx: Math.cos(r) * distance, dy: Math.sin(r) * distance };
+}
+
+/**
+ * Ticks taken for `addSeconds` more inside the effect.
+ * @param {number} carried seconds inside not yet ticked
+ * @param {number} addSeconds
+ * @param {number} tickSeconds
+ * @returns {{ticks:number, carried:number}}
+ */
+export function areaEffectTicks(carried, addSeconds, tickSeconds) {
+  const period = Math.max(1, _num(tickSeconds, 6));
+  const total = Math.max(0, _num(carried, 0)) + Math.max(0, _num(addSeconds, 0));
+  const ticks = Math.floor(total / period);
+  return { ticks, carried: total - ticks * period };
+}
+
+/**
+ * Damage of one tick, as a projectile for the damage resolver.
+ * @param {object} effect
+ * @returns {{damage:number, damageType:string, armorPen:number}|null} `null` — harmless
+ */
+export function areaEffectProjectile(effect) {
+  const damage = _num(effect?.damage, 0);
+  const damageType = String(effect?.damageType ?? '').trim();
+  if (!(damage > 0) || !damageType) return null;
+  return { damage, damageType, armorPen: 0 };
+}
+
+/**
+ * Polygon around the disc (its sides touch the circle), for sight walls.
+ * @param {object} effect
+ * @param {number} [sides]
+ * @returns {Array<{x:number, y:number}>}
+ */
+export function areaEffectPolygon(effect, sides = CONFIG_DEFAULTS.wallSides) {
+  const n = Math.max(3, Math.trunc(_num(sides, CONFIG_DEFAULTS.wallSides)));
+  const r = effect.radius / Math.cos(Math.PI / n);
+  const out = [];
+  for (let i = 0; i < n; i++) {
+    const a = (i / n) * 2 * Math.PI;
+    out.push({ x: effect.x + Math.cos(a) * r, y: effect.y + Math.sin(a) * r });
+  }
+  return out;
+}
@@ -0,0 +1,123 @@
+/**
+ * Smoke tests for area effects. Runs in plain Node (no Foundry globals required).
+ * Execute with:
+ *   node module/helpers/damage/area-effects.test.mjs
+ */
+
+import {
+  areaEffectBlocksLine,
+  areaEffectPolygon,
+  areaEffectProjectile,
+  areaEffectTicks,
+  buildAreaEffect,
+  cleanAreaEffectSpec,
+  detachAreaEffectFromCombat,
+  isAreaEffectExpired,
+  pathCrossesAreaEffect,
+  resolveAreaEffectSpec,
+  windDrift
+} from './area-effects.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const close = (a, b, eps = 1e-6) => Math.abs(a - b) < eps;
+const center = { x: 500, y: 500 };
+
+/* ---- Spec ----------------------------------------------------------- */
+{
+  assert('unknown kind is dropped', cleanAreaEffectSpec({ kind: 'lava' }) === null);
+  assert('no spec — no effect', cleanAreaEffectSpec(null) === null);
+  const clean = cleanAreaEffectSpec({ kind: 'fire', radius: '4', damage: -3, pitchDeg: -200, junk: 1, drifts: 'yes' });
+  assert('spec keeps known overrides only', JSON.stringify(clean) === JSON.stringify({ kind: 'fire', radius: 4, damage: 0, pitchDeg: -90 }),
+    JSON.stringify(clean));
+  const gas = resolveAreaEffectSpec({ kind: 'gas', rounds: 1 });
+  assert('spec resolves over kind defaults', gas.drifts === true && gas.damageType === 'chemical' && gas.rounds === 1);
+  const custom = resolveAreaEffectSpec({ kind: 'fire' }, { kinds: { fire: { damage: 9 } } });
+  assert('config overrides kind defaults', custom.damage === 9 && custom.damageType === 'thermal');
+}
+
+/* ---- Build ---------------------------------------------------------- */
+{
+  const combat = { id: 'c1', round: 2 };
+  const byOverride = buildAreaEffect({ spec: { kind: 'smoke', radius: 5 }, center, range: 2, pxPerUnit: 20, combat });
+  assert('radius override wins', close(byOverride.radius, 100), String(byOverride.radius));
+  const byRange = buildAreaEffect({ spec: { kind: 'smoke' }, center, range: 2, pxPerUnit: 20, combat });
+  assert('circle range sets the radius', close(byRange.radius, 40), String(byRange.radius));
+  const byDefault = buildAreaEffect({ spec: { kind: 'smoke' }, center, pxPerUnit: 20, combat });
+  assert('kind default radius', close(byDefault.radius, 60), String(byDefault.radius));
+  assert('combat effect expires by round', byDefault.combatId === 'c1' && byDefault.expiresRound === 5 && byDefault.expiresTime === null);
+
+  const outside = buildAreaEffect({ spec: { kind: 'fire' }, center, worldTime: 100 });
+  assert('no combat — rounds become seconds', outside.combatId === null && outside.expiresTime === 112, String(outside.expiresTime));
+  const capped = buildAreaEffect({ spec: { kind: 'fire', seconds: 5 }, center, combat, worldTime: 100 });
+  assert('seconds limit kept in combat', capped.expiresRound === 4 && capped.expiresTime === 105);
+}
+
+/* ---- Expiry --------------------------------------------------------- */
+{
+  const effect = buildAreaEffect({ spec: { kind: 'smoke' }, center, combat: { id: 'c1', round: 1 }, worldTime: 0 });
+  assert('active before its round', !isAreaEffectExpired(effect, { combatId: 'c1', round: 3, worldTime: 500 }));
+  assert('expires on its round', isAreaEffectExpired(effect, { combatId: 'c1', round: 4 }));
+  assert('other combat does not end it', !isAreaEffectExpired(effect, { combatId: 'c2', round: 9 }));
+
+  const detached = detachAreaEffectFromCombat(effect, { round: 2, worldTime: 60 });
+  assert('detached rounds left run as time', detached.combatId === null && detached.expiresRound === null
+    && detached.expiresTime === 72, JSON.stringify(detached));
+  assert('detached effect expires by time', isAreaEffectExpired(detached, { worldTime: 72 }) && !isAreaEffectExpired(detached, { worldTime: 71 }));
+}
+
+/* ---- Sight ---------------------------------------------------------- */
+{
+  const smoke = buildAreaEffect({ spec: { kind: 'smoke', radius: 50 }, center });
+  const fire = buildAreaEffect({ spec: { kind: 'fire', radius: 50 }, center });
+  const west = { x: 300, y: 500 };
+  const east = { x: 700, y: 500 };
+  assert('line through smoke is blocked', areaEffectBlocksLine(smoke, west, east));
+  assert('line past smoke is clear', !areaEffectBlocksLine(smoke, { x: 300, y: 300 }, { x: 700, y: 300 }));
+  assert('both ends inside — clear', !areaEffectBlocksLine(smoke, { x: 480, y: 500 }, { x: 520, y: 500 }));
+  assert('one end inside — blocked', areaEffectBlocksLine(smoke, { x: 500, y: 500 }, east));
+  assert('fire does not block sight', !areaEffectBlocksLine(fire, west, east) && pathCrossesAreaEffect(fire, west, east));
+}
+
+/* ---- Wind, ticks, damage ------------------------------------------- */
+{
+  const drift = windDrift({ directionDeg: 90, speed: 2 }, 3, 10);
+  assert('wind drifts downwind', close(drift.dx, 0) && close(drift.dy, 60), JSON.stringify(drift));
+  assert('no wind — no drift', windDrift({ directionDeg: 45, speed: 0 }, 5).dx === 0);
+
+  const first = areaEffectTicks(0, 4, 6);
+  const second = areaEffectTicks(first.carried, 10, 6);
+  assert('time inside carries over', first.ticks === 0 && first.carried === 4 && second.ticks === 2 && second.carried === 2,
+    JSON.stringify({ first, second }));
+
+  const fire = buildAreaEffect({ spec: { kind: 'fire' }, center });
+  const smoke = buildAreaEffect({ spec: { kind: 'smoke' }, center });
+  const projectile = areaEffectProjectile(fire);
+  assert('fire tick is thermal damage', projectile?.damageType === 'thermal' && projectile.damage === 4);
+  assert('smoke is harmless', areaEffectProjectile(smoke) === null);
+}
+
+/* ---- Polygon -------------------------------------------------------- */
+{
+  const effect = buildAreaEffect({ spec: { kind: 'smoke', radius: 50 }, center });
+  const poly = areaEffectPolygon(effect, 8);
+  const mid = { x: (poly[0].x + poly[1].x) / 2, y: (poly[0].y + poly[1].y) / 2 };
+  assert('polygon has the sides asked for', poly.length === 8);
+  assert('polygon sides touch the circle', close(Math.hypot(mid.x - center.x, mid.y - center.y), 50), JSON.stringify(mid));
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll area effect smoke tests passed.');
+}
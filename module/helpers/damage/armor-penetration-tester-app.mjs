@@ -1,4 +1,6 @@
 import {
+  armorMatrixToCsv,
+  armorMatrixToJson,
   calculateStopThickness,
   calculateThicknessCheck,
   chooseDefaultMaterialId,
@@ -9,12 +11,14 @@ import {
   listArmorCoveredSlotRefs,
   minimalAnatomyForArmorSlot,
   previewArmorTraversal,
+  runArmorMatrix,
 } from './armor-penetration-tester.mjs';
 
 let _singleton = null;
 
 const TAB_PROJECTILES = 'projectiles';
 const TAB_ARMOR = 'armor';
+const TAB_MATRIX = 'matrix';
 
 const SORT_OPTIONS = Object.freeze([
   { id: 'name', labelKey: 'SPACEHOLDER.ArmorTester.Sort.Name' },
@@ -138,7 +142,15 @@ export class ArmorPenetrationTesterApp extends foundry.applications.api.Handleba
       selectedArmorId: '',
       selectedSlotRef: '',
       hitDirection: 'front',
+      matrixShots: 10,
+      matrixRuns: 20,
+      matrixSeed: '',
     };
+    this._matrixProjectileIds = new Set();
+    this._matrixArmorIds = new Set();
+    this._matrix = null;
+    this._matrixRunning = false;
+    this._matrixProgress = '';
   }
 
   async close(options = {}) {
@@ -308,6 +320,91 @@ export class ArmorPenetrationTesterApp extends foundry.applications.api.Handleba
     };
   }
 
+  _matrixContext() {
+    const matrix = this._matrix;
+    const armorCols = [];
+    const byProjectile = new Map();
+    for (const row of matrix?.rows ?? []) {
+      if (!armorCols.some((c) => c.id === row.armorId)) armorCols.push({ id: row.armorId, name: row.armorName });
+      if (!byProjectile.has(row.projectileId)) byProjectile.set(row.projectileId, { name: row.projectileName, cells: new Map() });
+      byProjectile.get(row.projectileId).cells.set(row.armorId, row);
+    }
+    const matrixRows = [...byProjectile.values()].map((entry) => ({
+      name: entry.name,
+      cells: armorCols.map((col) => {
+        const row = entry.cells.get(col.id);
+        if (!row) return { empty: true };
+        return {
+          empty: false,
+          residual: fmt(row.meanResidual),
+          penetration: `${fmt(row.penetrationChance * 100, 0)}%`,
+          shotsToDestroy: row.shotsToDestroy == null ? '—' : fmt(row.shotsToDestroy, 1),
+          cellClass: row.penetrationChance >= 0.5 ? 'is-penetrates' : (row.penetrationChance > 0 ? 'is-partial' : 'is-stopped'),
+        };
+      }),
+    }));
+
+    return {
+      matrixProjectiles: this._projectiles.map((p) => ({ id: p.id, name: p.name, checked: this._matrixProjectileIds.has(p.id) })),
+      matrixArmors: this._armors.map((a) => ({ id: a.id, name: a.name, checked: this._matrixArmorIds.has(a.id) })),
+      matrixPairCount: this._matrixProjectileIds.size * this._matrixArmorIds.size,
+      matrixRunning: this._matrixRunning,
+      matrixProgress: this._matrixProgress,
+      hasMatrix: !!matrixRows.length,
+      matrixArmorCols: armorCols,
+      matrixRows,
+    };
+  }
+
+  async _runMatrix() {
+    if (this._matrixRunning) return;
+    const projectiles = this._projectiles.filter((p) => this._matrixProjectileIds.has(p.id));
+    const armors = this._armors.filter((a) => this._matrixArmorIds.has(a.id));
+    if (!projectiles.length || !armors.length) {
+      ui.notifications?.warn?.(L('SPACEHOLDER.ArmorTester.Matrix.SelectBoth', 'Select at least one projectile and one armor item.'));
+      return;
+    }
+
+    this._matrixRunning = true;
+    this._matrixProgress = '';
+    this.render(false);
+    try {
+      const seed = clean(this._state.matrixSeed);
+      this._matrix = await runArmorMatrix({
+        projectiles,
+        armors,
+        hitDirection: this._state.hitDirection,
+        shots: this._state.matrixShots,
+        runs: this._state.matrixRuns,
+        seed: seed === '' ? undefined : Number(seed),
+        resolveMaterial: (id) => game.spaceholder.materialsManager.getMaterial(id),
+        onProgress: async (done, total) => {
+          this._matrixProgress = `${done} / ${total}`;
+          const progressEl = this.element?.querySelector?.('[data-matrix-progress]');
+          if (progressEl) progressEl.textContent = this._matrixProgress;
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        },
+      });
+    } catch (e) {
+      console.error('SpaceHolder | armor matrix failed', e);
+      ui.notifications?.error?.(L('SPACEHOLDER.ArmorTester.Matrix.Failed', 'Matrix simulation failed. See console.'));
+    } finally {
+      this._matrixRunning = false;
+      this._matrixProgress = '';
+      this.render(false);
+    }
+  }
+
+  _exportMatrix(format) {
+    if (!this._matrix?.rows?.length) return;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    if (format === 'json') {
+      foundry.utils.saveDataToFile(armorMatrixToJson(this._matrix), 'application/json', `armor-matrix-${stamp}.json`);
+    } else {
+      foundry.utils.saveDataToFile(armorMatrixToCsv(this._matrix), 'text/csv', `armor-matrix-${stamp}.csv`);
+    }
+  }
+
   async _prepareContext() {
     const isGM = !!game.user?.isGM;
     await this._ensureDataLoaded();
@@ -320,6 +417,7 @@ export class ArmorPenetrationTesterApp extends foundry.applications.api.Handleba
       activeTab: this._activeTab,
       tabProjectiles: this._activeTab === TAB_PROJECTILES,
       tabArmor: this._activeTab === TAB_ARMOR,
+      tabMatrix: this._activeTab === TAB_MATRIX,
       state: this._state,
       materials: this._materials.map((m) => ({ ...m, selected: m.id === this._state.materialId })),
       materialName: selectedMaterial?.label ?? '—',
@@ -346,6 +444,7 @@ export class ArmorPenetrationTesterApp extends foundry.applications.api.Handleba
         selected: id === this._state.hitDirection,
       })),
       ...preview,
+      ...this._matrixContext(),
     };
   }
 
@@ -362,7 +461,7 @@ export class ArmorPenetrationTesterApp extends foundry.applications.api.Handleba
       btn.addEventListener('click', (event) => {
         event.preventDefault();
         const tab = clean(btn.dataset.tab);
-        if ([TAB_PROJECTILES, TAB_ARMOR].includes(tab)) {
+        if ([TAB_PROJECTILES, TAB_ARMOR, TAB_MATRIX].includes(tab)) {
           this._activeTab = tab;
           rerender();
         }
@@ -402,5 +501,41 @@ export class ArmorPenetrationTesterApp extends foundry.applications.api.Handleba
         rerender();
       });
     });
+
+    el.querySelectorAll('[data-matrix-toggle]').forEach((input) => {
+      input.addEventListener('change', () => {
+        const set = input.dataset.matrixToggle === 'armor' ? this._matrixArmorIds : this._matrixProjectileIds;
+        const id = clean(input.dataset.id);
+        if (input.checked) set.add(id);
+        else set.delete(id);
+        rerender();
+      });
+    });
+
+    el.querySelectorAll('[data-action="matrix-select-all"]').forEach((btn) => {
+      btn.addEventListener('click', (event) => {
+        event.preventDefault();
+        const isArmor = btn.dataset.kind === 'armor';
+        const set = isArmor ? this._matrixArmorIds : this._matrixProjectileIds;
+        const source = isArmor ? this._armors : this._projectiles;
+        if (set.size === source.length) set.clear();
+        else source.forEach((entry) => set.add(entry.id));
+        rerender();
+      });
+    });
+
+    el.querySelectorAll('[data-action="run-matrix"]').forEach((btn) => {
+      btn.addEventListener('click', (event) => {
+        event.preventDefault();
+        this._runMatrix();
+      });
+    });
+
+    el.querySelectorAll('[data-action="export-matrix"]').forEach((btn) => {
+      btn.addEventListener('click', (event) => {
+        event.preventDefault();
+        this._exportMatrix(clean(btn.dataset.format));
+      });
+    });
   }
 }
@@ -12,7 +12,7 @@ import {
   residualDamageAfterArmor,
 } from './damage-resolver.mjs';
 import { resolveBodyTraversal } from './body-traversal-resolver.mjs';
-import { DAMAGE_TYPE_IDS } from './damage-types.mjs';
+import { getDamageType, getDamageTypeIds } from './damage-types.mjs';
 import { ensureLayerDefaults } from './materials-manager.mjs';
 
 const EPSILON = 1e-9;
@@ -568,8 +568,231 @@ export function previewArmorTraversal({
 }
 
 export function damageTypeOptions() {
-  return DAMAGE_TYPE_IDS.map((id) => {
-    const label = localize(`SPACEHOLDER.DamageTypes.${id[0].toUpperCase()}${id.slice(1)}.Label`, id);
+  return getDamageTypeIds().map((id) => {
+    const def = getDamageType(id);
+    const label = def?.custom ? def.label : localize(def?.label, id);
     return { id, label };
   });
 }
+
+/* ------------------------------------------------------------------ *
+ *  Batch matrix (projectiles × armors)                                *
+ * ------------------------------------------------------------------ */
+
+/**
+ * Deterministic PRNG (mulberry32) so a matrix run can be reproduced from its
+ * seed.
+ * @param {number} seed
+ * @returns {() => number} values in `[0, 1)`
+ */
+export function createSeededRandom(seed) {
+  let a = Math.floor(num(seed, 0)) >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sumBodyDamage(bodyDamageBySlot) {
+  let total = 0;
+  for (const hits of Object.values(bodyDamageBySlot ?? {})) {
+    for (const hit of hits ?? []) total += Math.max(0, num(hit?.amount, 0));
+  }
+  return total;
+}
+
+function allArmorLayersDestroyed(armorSrcs) {
+  let count = 0;
+  for (const src of armorSrcs ?? []) {
+    for (const layer of src?.layers ?? []) {
+      count += 1;
+      if (num(layer?.integrity, 0) > EPSILON) return false;
+    }
+  }
+  return count > 0;
+}
+
+/**
+ * Fire `shots` consecutive projectiles into one covered slot of an armor
+ * item, carrying layer wear from shot to shot (as the actor persists it),
+ * and repeat the series `runs` times from pristine armor.
+ *
+ * @param {Object} args
+ * @param {Object} args.projectile - from {@link collectProjectileSources}
+ * @param {Object} args.armor - from {@link collectArmorSources}
+ * @param {string} [args.slotRef] - defaults to the first covered slot
+ * @param {string} [args.hitDirection='front']
+ * @param {number} [args.shots=10]
+ * @param {number} [args.runs=20]
+ * @param {(id:string)=>Object} args.resolveMaterial
+ * @param {() => number} [args.random=Math.random]
+ * @returns {Object|null} `null` when the armor covers nothing
+ */
+export function simulateArmorPair({
+  projectile,
+  armor,
+  slotRef,
+  hitDirection = 'front',
+  shots = 10,
+  runs = 20,
+  resolveMaterial,
+  random,
+} = {}) {
+  const slot = cleanString(slotRef) || listArmorCoveredSlotRefs(armor)[0] || '';
+  if (!projectile || !armor || !slot) return null;
+  const shotCount = Math.max(1, Math.floor(num(shots, 10)));
+  const runCount = Math.max(1, Math.floor(num(runs, 20)));
+  const rng = typeof random === 'function' ? random : Math.random;
+  const anatomy = minimalAnatomyForArmorSlot(slot);
+  const applications = projectile.applications ?? normalizeProjectileApplications(projectile.projectile ?? projectile);
+  const pristine = buildArmorBySlotForPreview(armor, anatomy, slot, resolveMaterial);
+
+  let residualTotal = 0;
+  let penetrations = 0;
+  let firstShotPenetrations = 0;
+  let destroyedRuns = 0;
+  let destroyShotTotal = 0;
+
+  for (let run = 0; run < runCount; run += 1) {
+    let armorBySlot = clone(pristine);
+    let destroyedAt = 0;
+    for (let shot = 1; shot <= shotCount; shot += 1) {
+      const res = resolveBodyTraversal({
+        anatomy,
+        startSlotRef: slot,
+        hitDirection,
+        applications,
+        armorBySlot,
+        resolveMaterial,
+        random: rng,
+        persistBodyLayers: false,
+      });
+      const residual = sumBodyDamage(res.bodyDamageBySlot);
+      residualTotal += residual;
+      if (residual > EPSILON) {
+        penetrations += 1;
+        if (shot === 1) firstShotPenetrations += 1;
+      }
+      armorBySlot = res.armorUpdatesBySlot?.[slot] ? { [slot]: res.armorUpdatesBySlot[slot] } : armorBySlot;
+      if (!destroyedAt && allArmorLayersDestroyed(armorBySlot[slot])) destroyedAt = shot;
+    }
+    if (destroyedAt) {
+      destroyedRuns += 1;
+      destroyShotTotal += destroyedAt;
+    }
+  }
+
+  const total = shotCount * runCount;
+  return {
+    projectileId: projectile.id ?? '',
+    projectileName: projectile.name ?? '',
+    armorId: armor.id ?? '',
+    armorName: armor.name ?? '',
+    slotRef: slot,
+    hitDirection,
+    shots: shotCount,
+    runs: runCount,
+    meanResidual: residualTotal / total,
+    penetrationChance: penetrations / total,
+    firstShotPenetrationChance: firstShotPenetrations / runCount,
+    shotsToDestroy: destroyedRuns ? destroyShotTotal / destroyedRuns : null,
+    destroyedShare: destroyedRuns / runCount,
+  };
+}
+
+/**
+ * Run {@link simulateArmorPair} for every projectile × armor pair. Armors
+ * without covered layers are skipped.
+ *
+ * @param {Object} args
+ * @param {Array<Object>} args.projectiles
+ * @param {Array<Object>} args.armors
+ * @param {string} [args.hitDirection='front']
+ * @param {number} [args.shots=10]
+ * @param {number} [args.runs=20]
+ * @param {number} [args.seed] - seeds {@link createSeededRandom}; omitted → `Math.random`
+ * @param {(id:string)=>Object} args.resolveMaterial
+ * @param {(done:number, total:number)=>Promise<void>|void} [args.onProgress] - awaited after
+ *   every pair, so a UI caller can report progress and yield to the event loop
+ * @returns {Promise<{ shots:number, runs:number, hitDirection:string, seed:number|null, rows:Array<Object> }>}
+ */
+export async function runArmorMatrix({
+  projectiles = [],
+  armors = [],
+  hitDirection = 'front',
+  shots = 10,
+  runs = 20,
+  seed,
+  resolveMaterial,
+  onProgress,
+} = {}) {
+  const hasSeed = Number.isFinite(Number(seed)) && seed !== null && seed !== '';
+  const random = hasSeed ? createSeededRandom(Number(seed)) : Math.random;
+  const total = projectiles.length * armors.length;
+  const rows = [];
+  let index = 0;
+  for (const projectile of projectiles) {
+    for (const armor of armors) {
+      const row = simulateArmorPair({ projectile, armor, hitDirection, shots, runs, resolveMaterial, random });
+      index += 1;
+      if (row) rows.push(row);
+      if (onProgress) await onProgress(index, total);
+    }
+  }
+  return {
+    shots: Math.max(1, Math.floor(num(shots, 10))),
+    runs: Math.max(1, Math.floor(num(runs, 20))),
+    hitDirection,
+    seed: hasSeed ? Number(seed) : null,
+    rows,
+  };
+}
+
+const MATRIX_COLUMNS = Object.freeze([
+  'projectile',
+  'armor',
+  'slotRef',
+  'hitDirection',
+  'shots',
+  'runs',
+  'meanResidual',
+  'penetrationChance',
+  'firstShotPenetrationChance',
+  'shotsToDestroy',
+  'destroyedShare',
+]);
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' ? String(Math.round(value * 10000) / 10000) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flat CSV of a {@link runArmorMatrix} result (one line per pair) for
+ * spreadsheet balancing.
+ * @param {{ rows: Array<Object> }} matrix
+ * @returns {string}
+ */
+export function armorMatrixToCsv(matrix) {
+  const lines = [MATRIX_COLUMNS.join(',')];
+  for (const row of matrix?.rows ?? []) {
+    const record = { ...row, projectile: row.projectileName, armor: row.armorName };
+    lines.push(MATRIX_COLUMNS.map((key) => csvCell(record[key])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {Object} matrix - {@link runArmorMatrix} result
+ * @returns {string}
+ */
+export function armorMatrixToJson(matrix) {
+  return `${JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    ...matrix,
+  }, null, 2)}\n`;
+}
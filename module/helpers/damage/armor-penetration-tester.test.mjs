@@ -1,10 +1,15 @@
 import {
+  armorMatrixToCsv,
   calculateStopThickness,
   calculateThicknessCheck,
+  createSeededRandom,
   enrichPhasesWithProjectileDefaults,
   listArmorCoveredSlotRefs,
   minimalAnatomyForArmorSlot,
+  runArmorMatrix,
+  simulateArmorPair,
 } from './armor-penetration-tester.mjs';
+import { normalizeMaterial } from './materials-manager.mjs';
 import { TEST_MATERIAL_FIXTURES } from './__fixtures__/test-materials.mjs';
 
 let failed = 0;
@@ -92,6 +97,42 @@ assert('listArmorCoveredSlotRefs skips empty thickness', listed.length === 1 &&
 const mini = minimalAnatomyForArmorSlot('chest');
 assert('minimalAnatomyForArmorSlot is single slot', Object.keys(mini.bodyParts).length === 1 && Boolean(mini.bodyParts.chest), JSON.stringify(mini));
 
+const resolveMaterial = (id) => normalizeMaterial(TEST_MATERIAL_FIXTURES[id] ?? { materialId: id });
+const apProjectile = { id: 'ap', name: 'AP, "test"', applications: apRound };
+const plate = (thickness) => ({
+  id: `plate-${thickness}`,
+  name: `Plate ${thickness}`,
+  coveredParts: [{ slotRef: 'chest', layers: [{ material: 'steel-plate', thickness }] }],
+});
+
+const thin = simulateArmorPair({ projectile: apProjectile, armor: plate(0.5), shots: 10, runs: 3, resolveMaterial });
+assert('matrix: thin plate is penetrated from the first shot',
+  thin.firstShotPenetrationChance === 1 && thin.penetrationChance === 1 && thin.meanResidual > 0, JSON.stringify(thin));
+assert('matrix: wear carried between shots destroys the thin plate',
+  thin.destroyedShare === 1 && thin.shotsToDestroy > 1 && thin.shotsToDestroy <= 10, JSON.stringify(thin));
+
+const thick = simulateArmorPair({ projectile: apProjectile, armor: plate(10), shots: 10, runs: 3, resolveMaterial });
+assert('matrix: thick plate holds every shot',
+  thick.penetrationChance === 0 && thick.meanResidual === 0 && thick.shotsToDestroy === null, JSON.stringify(thick));
+
+const seededA = createSeededRandom(42);
+const seededB = createSeededRandom(42);
+assert('seeded random is reproducible', seededA() === seededB() && seededA() === seededB());
+
+const matrix = await runArmorMatrix({
+  projectiles: [apProjectile],
+  armors: [plate(1), { id: 'bare', name: 'Bare', coveredParts: [] }],
+  shots: 3,
+  runs: 2,
+  seed: 7,
+  resolveMaterial,
+});
+assert('matrix skips armors without covered layers', matrix.rows.length === 1 && matrix.seed === 7, JSON.stringify(matrix));
+const csv = armorMatrixToCsv(matrix).trim().split('\n');
+assert('CSV has a header plus one line per pair and quotes names',
+  csv.length === 2 && csv[0].startsWith('projectile,armor,slotRef') && csv[1].startsWith('"AP, ""test""",Plate 1,chest'),
+  csv.join(' | '));
+
 if (failed > 0) {
   console.error(`\n${failed} assertion(s) failed.`);
   process.exitCode = 1;
@@ -0,0 +1,163 @@
+/**
+ * Armor repair planner — restores `integrity` on worn armor layers.
+ *
+ * {@link resolveDamagePackage} wears layers down and the actor persists that
+ * wear back into `item.system.coveredParts[].layers[]`. Repair is the
+ * inverse, bought with two resources:
+ *
+ *  - a **toolkit** — any inventory item tagged `isRepairKit` whose
+ *    `system.repairKit.materialId` is empty. Its `efficiency` multiplies
+ *    every restored point; without a toolkit nothing can be repaired;
+ *  - **supply** — repair-kit items whose `materialId` names a material slug
+ *    (see {@link MaterialsManager}). One unit of `quantity` is one thickness
+ *    unit of that material and only patches layers of the same material.
+ *
+ * A supply unit restores
+ * `integrityPerThickness × toolEfficiency × categoryEfficiency[category]`
+ * integrity; `breachLoss` recovers by the same share of the missing
+ * integrity. Units are spent whole and layers are patched outer-to-inner in
+ * `coveredParts` order. The work costs `apBase + apPerUnit × units` AP plus
+ * `secondsPerUnit × units` of personal time.
+ *
+ * The planner is pure — it does not import Foundry. The action that applies
+ * the plan lives in `helpers/actions/action-service.mjs`.
+ */
+
+import { SPACEHOLDER } from '../config.mjs';
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _config(config) {
+  return config ?? SPACEHOLDER.armorRepair ?? {};
+}
+
+/**
+ * Repair efficiency for a material category (`0` — cannot be patched).
+ *
+ * @param {string} category
+ * @param {Object} [config] - defaults to `SPACEHOLDER.armorRepair`
+ * @returns {number}
+ */
+export function categoryRepairEfficiency(category, config) {
+  const table = _config(config).categoryEfficiency ?? {};
+  const key = String(category ?? '').trim();
+  const raw = Object.prototype.hasOwnProperty.call(table, key) ? table[key] : table.default;
+  return Math.max(0, _num(raw, 1));
+}
+
+/**
+ * Integrity restored by one supply unit.
+ *
+ * @param {Object} material - normalized material data
+ * @param {number} toolEfficiency
+ * @param {Object} [config]
+ * @returns {number}
+ */
+export function repairPerUnit(material, toolEfficiency, config) {
+  const perThickness = Math.max(0, _num(material?.integrityPerThickness, 0));
+  const tool = Math.max(0, _num(toolEfficiency, 0));
+  return perThickness * tool * categoryRepairEfficiency(material?.category, config);
+}
+
+/**
+ * @param {Object} layer - stored armor layer
+ * @returns {number} integrity missing to `integrityMax` (0 for pristine /
+ *   legacy layers without wear fields)
+ */
+export function layerMissingIntegrity(layer) {
+  const max = _num(layer?.integrityMax, NaN);
+  const cur = _num(layer?.integrity, NaN);
+  if (!Number.isFinite(max) || !Number.isFinite(cur)) return 0;
+  return Math.max(0, max - cur);
+}
+
+/**
+ * @typedef {Object} ArmorRepairPlan
+ * @property {Array<Object>} coveredParts - next `system.coveredParts`
+ * @property {Object<string, number>} consumed - supply units spent by material slug
+ * @property {number} units - total supply units spent
+ * @property {number} restored - integrity points restored
+ * @property {number} layers - layers touched
+ * @property {number} apCost - base AP cost (before coordination)
+ * @property {number} seconds - personal time on top of the spent AP
+ * @property {Object<string, number>} shortfall - missing units by material slug
+ */
+
+/**
+ * Plan a repair of one armor item. The input is not mutated.
+ *
+ * @param {Object} args
+ * @param {Array<Object>} args.coveredParts - `item.system.coveredParts`
+ * @param {Object<string, number>} args.supply - available units by material slug
+ * @param {number} args.toolEfficiency - best toolkit efficiency (`0` — no toolkit)
+ * @param {(materialId: string) => Object} args.getMaterial - normalized material lookup
+ * @param {Object} [args.config]
+ * @returns {ArmorRepairPlan}
+ */
+export function planArmorRepair({ coveredParts, supply, toolEfficiency, getMaterial, config } = {}) {
+  const cfg = _config(config);
+  const left = { ...(supply ?? {}) };
+  const consumed = {};
+  const shortfall = {};
+  let units = 0;
+  let restored = 0;
+  let touched = 0;
+
+  const next = (Array.isArray(coveredParts) ? coveredParts : []).map((part) => {
+    if (!part || typeof part !== 'object' || !Array.isArray(part.layers)) return part;
+    const layers = part.layers.map((layer) => {
+      const missing = layerMissingIntegrity(layer);
+      if (missing <= 0) return layer;
+      const slug = String(layer.material ?? '').trim();
+      const perUnit = repairPerUnit(getMaterial?.(slug), toolEfficiency, cfg);
+      if (!slug || perUnit <= 0) return layer;
+      const needed = Math.ceil(missing / perUnit - 1e-9);
+      const have = Math.max(0, Math.floor(_num(left[slug], 0)));
+      const spend = Math.min(needed, have);
+      if (spend < needed) shortfall[slug] = (shortfall[slug] ?? 0) + (needed - spend);
+      if (spend <= 0) return layer;
+
+      left[slug] = have - spend;
+      consumed[slug] = (consumed[slug] ?? 0) + spend;
+      units += spend;
+      touched += 1;
+
+      const gain = Math.min(missing, spend * perUnit);
+      restored += gain;
+      const share = gain / missing;
+      const breachLoss = Math.max(0, _num(layer.breachLoss, 0));
+      return {
+        ...layer,
+        integrity: Math.min(_num(layer.integrityMax, 0), _num(layer.integrity, 0) + gain),
+        breachLoss: Math.max(0, breachLoss * (1 - share))
+      };
+    });
+    return { ...part, layers };
+  });
+
+  const apCost = units > 0
+    ? Math.max(0, Math.round(_num(cfg.apBase, 0) + _num(cfg.apPerUnit, 0) * units))
+    : 0;
+
+  const seconds = units * Math.max(0, _num(cfg.secondsPerUnit, 0));
+
+  return { coveredParts: next, consumed, units, restored, layers: touched, apCost, seconds, shortfall };
+}
+
+/**
+ * Does any layer of the item carry repairable wear?
+ *
+ * @param {Array<Object>} coveredParts
+ * @returns {boolean}
+ */
+export function hasWornArmorLayers(coveredParts) {
+  for (const part of Array.isArray(coveredParts) ? coveredParts : []) {
+    for (const layer of Array.isArray(part?.layers) ? part.layers : []) {
+      if (layerMissingIntegrity(layer) > 0) return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,105 @@
+/**
+ * Smoke tests for the armor repair planner. Runs in plain Node (no Foundry
+ * globals required). Execute with:
+ *   node module/helpers/damage/armor-repair.test.mjs
+ *
+ * Uses an explicit config so retuning `CONFIG.SPACEHOLDER.armorRepair` does
+ * not break the arithmetic checked here.
+ */
+
+import {
+  categoryRepairEfficiency,
+  hasWornArmorLayers,
+  layerMissingIntegrity,
+  planArmorRepair,
+  repairPerUnit
+} from './armor-repair.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+function approxEqual(a, b, tol = 1e-6) {
+  return Math.abs(a - b) <= tol;
+}
+
+const CFG = {
+  categoryEfficiency: { metal: 1, fabric: 2, biological: 0, default: 0.5 },
+  apBase: 20,
+  apPerUnit: 10,
+  secondsPerUnit: 60
+};
+
+const MATERIALS = {
+  steel: { materialId: 'steel', category: 'metal', integrityPerThickness: 50 },
+  kevlar: { materialId: 'kevlar', category: 'fabric', integrityPerThickness: 10 },
+  chitin: { materialId: 'chitin', category: 'biological', integrityPerThickness: 30 }
+};
+const getMaterial = (id) => MATERIALS[id] ?? { materialId: id, category: 'metal', integrityPerThickness: 0 };
+
+function vest() {
+  return [
+    {
+      partId: 'chest',
+      layers: [
+        { material: 'steel', thickness: 2, integrity: 20, integrityMax: 100, breachLoss: 40, breachCapacity: 100 },
+        { material: 'kevlar', thickness: 3, integrity: 30, integrityMax: 30, breachLoss: 0, breachCapacity: 30 }
+      ]
+    },
+    { partId: 'abdomen', layers: [{ material: 'kevlar', thickness: 3 }] }
+  ];
+}
+
+/* ---- Rates --------------------------------------------------------- */
+{
+  assert('unknown category falls back to default', categoryRepairEfficiency('ceramic', CFG) === 0.5);
+  assert('per-unit restore = integrityPerThickness × tool × category',
+    approxEqual(repairPerUnit(MATERIALS.kevlar, 1.5, CFG), 30));
+  assert('biological material cannot be patched', repairPerUnit(MATERIALS.chitin, 1, CFG) === 0);
+  assert('legacy layer without wear fields is pristine', layerMissingIntegrity({ material: 'steel', thickness: 1 }) === 0);
+  assert('worn vest is detected', hasWornArmorLayers(vest()) && !hasWornArmorLayers([{ layers: [{ material: 'steel' }] }]));
+}
+
+/* ---- Planning ------------------------------------------------------ */
+{
+  const input = vest();
+  const plan = planArmorRepair({ coveredParts: input, supply: { steel: 5 }, toolEfficiency: 1, getMaterial, config: CFG });
+  const steel = plan.coveredParts[0].layers[0];
+  assert('80 missing at 50/unit spends 2 units and fully restores',
+    plan.units === 2 && plan.consumed.steel === 2 && steel.integrity === 100, JSON.stringify(plan));
+  assert('fully restored layer clears breachLoss', steel.breachLoss === 0, JSON.stringify(steel));
+  assert('AP = apBase + apPerUnit × units; time = secondsPerUnit × units',
+    plan.apCost === 40 && plan.seconds === 120, JSON.stringify(plan));
+  assert('pristine layers / parts are returned as-is',
+    plan.coveredParts[0].layers[1] === input[0].layers[1] && plan.coveredParts[1].layers[0] === input[1].layers[0]);
+  assert('input is not mutated', input[0].layers[0].integrity === 20);
+
+  const partial = planArmorRepair({ coveredParts: vest(), supply: { steel: 1 }, toolEfficiency: 1, getMaterial, config: CFG });
+  const p = partial.coveredParts[0].layers[0];
+  assert('one unit restores 50 of 80 and 5/8 of breachLoss',
+    p.integrity === 70 && approxEqual(p.breachLoss, 15) && partial.shortfall.steel === 1, JSON.stringify(partial));
+
+  const poorTool = planArmorRepair({ coveredParts: vest(), supply: { steel: 5 }, toolEfficiency: 0.5, getMaterial, config: CFG });
+  assert('half-efficiency toolkit needs twice the supply', poorTool.units === 4, JSON.stringify(poorTool));
+
+  const noTool = planArmorRepair({ coveredParts: vest(), supply: { steel: 5 }, toolEfficiency: 0, getMaterial, config: CFG });
+  assert('no toolkit → nothing repaired, no AP', noTool.units === 0 && noTool.apCost === 0, JSON.stringify(noTool));
+
+  const wrongSupply = planArmorRepair({ coveredParts: vest(), supply: { kevlar: 9 }, toolEfficiency: 1, getMaterial, config: CFG });
+  assert('supply of another material does not patch the layer',
+    wrongSupply.units === 0 && wrongSupply.shortfall.steel === 2, JSON.stringify(wrongSupply));
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll armor repair smoke tests passed.');
+}
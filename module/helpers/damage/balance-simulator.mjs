@@ -0,0 +1,231 @@
+/**
+ * Balance simulator — time-to-kill series over a full anatomy.
+ *
+ * Fires one attack profile (applications + AP costs) at a target anatomy
+ * wearing a list of armor items until the target goes down or the shot
+ * budget runs out, and repeats the series many times:
+ *
+ *  - every shot goes through {@link resolveBodyTraversal}; armor wear is
+ *    carried from shot to shot, body layers are virtual (pristine each
+ *    pass), as with the default `persistentBodyLayers = false`;
+ *  - body damage accumulates per part on the actor's HP scale
+ *    (`current = maxHp − floor(Σ amount)`, the same rule as
+ *    `Actor.prepareDerivedData`);
+ *  - the target is **down** when any part tagged `vital` reaches 0 HP.
+ *    Anatomies without `vital` parts fall back to «any part destroyed»;
+ *  - the first shot costs `firstShotAp` (aim + trigger), every follow-up
+ *    `followUpAp` (fire delay) — the same split as the aiming manager.
+ *
+ * Organ effects and bleeding are not simulated: TTK here is the direct
+ * damage floor. The module is pure — it does not import Foundry; the Node
+ * CLI in `scripts/balance-sim.mjs` feeds it from `pack-src`.
+ */
+
+import { resolveBodyTraversal } from './body-traversal-resolver.mjs';
+import { ensureLayerDefaults } from './materials-manager.mjs';
+
+const EPSILON = 1e-9;
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _clean(v) {
+  return String(v ?? '').trim();
+}
+
+function _sumAmount(hits) {
+  let total = 0;
+  for (const hit of hits ?? []) total += Math.max(0, _num(hit?.amount, 0));
+  return total;
+}
+
+/**
+ * Merge the covered layers of several armor items into the per-slot stacks
+ * {@link resolveBodyTraversal} expects. Items are listed outermost first;
+ * coverage entries for slots the anatomy does not have are ignored.
+ *
+ * @param {Array<{id?:string, itemId?:string, coveredParts?:Array}>} armors
+ * @param {{bodyParts: Object<string, Object>}} anatomy
+ * @param {(id:string)=>Object} [resolveMaterial]
+ * @returns {Object<string, Array<{itemId:string, coverageIdx:number, layers:Array}>>}
+ */
+export function buildArmorBySlot(armors, anatomy, resolveMaterial) {
+  const bodyParts = anatomy?.bodyParts ?? {};
+  const out = {};
+  (Array.isArray(armors) ? armors : []).forEach((armor, armorIdx) => {
+    const coveredParts = Array.isArray(armor?.coveredParts) ? armor.coveredParts : [];
+    coveredParts.forEach((entry, coverageIdx) => {
+      const slotRef = _clean(entry?.slotRef ?? entry?.partId);
+      if (!slotRef || !bodyParts[slotRef]) return;
+      const layers = (Array.isArray(entry?.layers) ? entry.layers : [])
+        .map((layer) => ensureLayerDefaults(layer, resolveMaterial?.(layer?.material) ?? { materialId: layer?.material }))
+        .filter((layer) => layer.thickness > 0);
+      if (!layers.length) return;
+      (out[slotRef] ??= []).push({
+        itemId: _clean(armor?.itemId ?? armor?.id) || `armor-${armorIdx}`,
+        coverageIdx,
+        layers
+      });
+    });
+  });
+  return out;
+}
+
+/**
+ * Parts whose destruction takes the target down.
+ *
+ * @param {Object<string, Object>} bodyParts
+ * @returns {string[]}
+ */
+export function vitalSlotRefs(bodyParts) {
+  const all = Object.keys(bodyParts ?? {});
+  const vital = all.filter((slotRef) => (bodyParts[slotRef]?.tags ?? []).includes('vital'));
+  return vital.length ? vital : all;
+}
+
+/**
+ * Remaining HP of a part after `damage` points (actor HP scale).
+ *
+ * @param {Object} part
+ * @param {number} damage
+ * @returns {number}
+ */
+export function partHpAfter(part, damage) {
+  return Math.max(0, _num(part?.maxHp, 0) - Math.floor(Math.max(0, damage) + EPSILON));
+}
+
+/**
+ * Pick the hit slot for one shot.
+ *
+ * @param {Array<string|{slotRef:string, weight?:number}>} slots
+ * @param {() => number} random
+ * @returns {string}
+ */
+export function pickHitSlot(slots, random) {
+  const list = (Array.isArray(slots) ? slots : [])
+    .map((s) => (typeof s === 'string' ? { slotRef: s, weight: 1 } : { slotRef: _clean(s?.slotRef), weight: Math.max(0, _num(s?.weight, 1)) }))
+    .filter((s) => s.slotRef && s.weight > 0);
+  if (!list.length) return '';
+  const total = list.reduce((sum, s) => sum + s.weight, 0);
+  let roll = random() * total;
+  for (const s of list) {
+    roll -= s.weight;
+    if (roll < 0) return s.slotRef;
+  }
+  return list[list.length - 1].slotRef;
+}
+
+/**
+ * @typedef {Object} TimeToKillResult
+ * @property {number} runs
+ * @property {number} shots - total shots fired over all runs
+ * @property {number} killChance - share of runs that put the target down
+ * @property {number|null} meanShotsToKill - over killing runs only
+ * @property {number|null} meanApToKill
+ * @property {number|null} medianApToKill
+ * @property {number} penetrationChance - share of shots with body damage
+ * @property {number} meanBodyDamagePerShot
+ * @property {Object<string, number>} killedBy - killing runs by destroyed vital slot
+ */
+
+/**
+ * Run `runs` kill series of one attack profile against one target.
+ *
+ * @param {Object} args
+ * @param {{bodyParts: Object<string, Object>}} args.anatomy
+ * @param {Array<Object>} [args.armors=[]] - worn armor items, outermost first
+ * @param {unknown} args.applications - one projectile's application package
+ * @param {Array<string|{slotRef:string, weight?:number}>} args.slots - hit locations
+ * @param {string} [args.hitDirection='front']
+ * @param {number} [args.firstShotAp=0]
+ * @param {number} [args.followUpAp=0]
+ * @param {number} [args.maxShots=50] - per series
+ * @param {number} [args.runs=100]
+ * @param {(id:string)=>Object} args.resolveMaterial
+ * @param {() => number} [args.random=Math.random]
+ * @returns {TimeToKillResult}
+ */
+export function simulateTimeToKill({
+  anatomy,
+  armors = [],
+  applications,
+  slots,
+  hitDirection = 'front',
+  firstShotAp = 0,
+  followUpAp = 0,
+  maxShots = 50,
+  runs = 100,
+  resolveMaterial,
+  random
+} = {}) {
+  const bodyParts = anatomy?.bodyParts ?? {};
+  const rng = typeof random === 'function' ? random : Math.random;
+  const shotBudget = Math.max(1, Math.floor(_num(maxShots, 50)));
+  const runCount = Math.max(1, Math.floor(_num(runs, 100)));
+  const firstAp = Math.max(0, _num(firstShotAp, 0));
+  const nextAp = Math.max(0, _num(followUpAp, 0));
+  const vital = vitalSlotRefs(bodyParts);
+  const pristine = buildArmorBySlot(armors, anatomy, resolveMaterial);
+
+  let shots = 0;
+  let penetrations = 0;
+  let bodyDamageTotal = 0;
+  const killShots = [];
+  const killedBy = {};
+
+  for (let run = 0; run < runCount; run += 1) {
+    let armorBySlot = structuredClone(pristine);
+    const damageByPart = {};
+    for (let shot = 1; shot <= shotBudget; shot += 1) {
+      shots += 1;
+      const slotRef = pickHitSlot(slots, rng);
+      if (!bodyParts[slotRef]) continue;
+      const res = resolveBodyTraversal({
+        anatomy,
+        startSlotRef: slotRef,
+        hitDirection,
+        applications,
+        armorBySlot,
+        resolveMaterial,
+        random: rng,
+        persistBodyLayers: false
+      });
+      armorBySlot = { ...armorBySlot, ...res.armorUpdatesBySlot };
+
+      let shotDamage = 0;
+      for (const [partSlot, hits] of Object.entries(res.bodyDamageBySlot)) {
+        const amount = _sumAmount(hits);
+        damageByPart[partSlot] = (damageByPart[partSlot] ?? 0) + amount;
+        shotDamage += amount;
+      }
+      bodyDamageTotal += shotDamage;
+      if (shotDamage > EPSILON) penetrations += 1;
+
+      const down = vital.find((s) => partHpAfter(bodyParts[s], damageByPart[s] ?? 0) <= 0);
+      if (down) {
+        killShots.push(shot);
+        killedBy[down] = (killedBy[down] ?? 0) + 1;
+        break;
+      }
+    }
+  }
+
+  const apFor = (n) => firstAp + nextAp * (n - 1);
+  const killAp = killShots.map(apFor).sort((a, b) => a - b);
+  const mid = killAp.length >> 1;
+  return {
+    runs: runCount,
+    shots,
+    killChance: killShots.length / runCount,
+    meanShotsToKill: killShots.length ? killShots.reduce((a, b) => a + b, 0) / killShots.length : null,
+    meanApToKill: killAp.length ? killAp.reduce((a, b) => a + b, 0) / killAp.length : null,
+    medianApToKill: killAp.length
+      ? (killAp.length % 2 ? killAp[mid] : (killAp[mid - 1] + killAp[mid]) / 2)
+      : null,
+    penetrationChance: shots ? penetrations / shots : 0,
+    meanBodyDamagePerShot: shots ? bodyDamageTotal / shots : 0,
+    killedBy
+  };
+}
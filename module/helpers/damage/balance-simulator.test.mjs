@@ -0,0 +1,112 @@
+/**
+ * Smoke tests for the balance (time-to-kill) simulator. Runs in plain Node
+ * (no Foundry globals required). Execute with:
+ *   node module/helpers/damage/balance-simulator.test.mjs
+ *
+ * The target anatomy has empty `bodyLayers`, so unarmored hits land on the
+ * part at full damage and the HP arithmetic stays exact.
+ */
+
+import {
+  buildArmorBySlot,
+  partHpAfter,
+  pickHitSlot,
+  simulateTimeToKill,
+  vitalSlotRefs
+} from './balance-simulator.mjs';
+import { normalizeMaterial } from './materials-manager.mjs';
+import { TEST_MATERIAL_FIXTURES } from './__fixtures__/test-materials.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const resolveMaterial = (id) => normalizeMaterial(TEST_MATERIAL_FIXTURES[id] ?? { materialId: id });
+
+const ANATOMY = {
+  bodyParts: {
+    chest: { id: 'chest', maxHp: 10, tags: ['vital'], exposure: { front: 100 }, relations: [], bodyLayers: [] },
+    leftArm: { id: 'leftArm', maxHp: 5, tags: [], exposure: { front: 100 }, relations: [], bodyLayers: [] }
+  }
+};
+
+const round = (damage, armorPen = 1) => [{ type: 'ballistic', damage, armorPen, hardness: 1 }];
+
+const plate = (thickness) => ({
+  id: `plate-${thickness}`,
+  coveredParts: [
+    { slotRef: 'chest', layers: [{ material: 'steel-plate', thickness }] },
+    { slotRef: 'tail', layers: [{ material: 'steel-plate', thickness }] }
+  ]
+});
+
+/* ---- Helpers ------------------------------------------------------- */
+{
+  const stacks = buildArmorBySlot([plate(1), { id: 'shirt', coveredParts: [{ slotRef: 'chest', layers: [{ material: 'cloth-light', thickness: 1 }] }] }], ANATOMY, resolveMaterial);
+  assert('armor stacks merge outermost first and skip unknown slots',
+    Object.keys(stacks).join() === 'chest' && stacks.chest.map((s) => s.itemId).join() === 'plate-1,shirt',
+    JSON.stringify(stacks));
+  assert('layers get wear defaults', stacks.chest[0].layers[0].integrityMax > 0, JSON.stringify(stacks.chest[0]));
+
+  assert('vital parts take the target down', vitalSlotRefs(ANATOMY.bodyParts).join() === 'chest');
+  assert('no vital tags → every part counts', vitalSlotRefs({ a: {}, b: { tags: ['x'] } }).join() === 'a,b');
+  assert('HP uses the actor floor rule', partHpAfter({ maxHp: 10 }, 9.5) === 1 && partHpAfter({ maxHp: 10 }, 12) === 0);
+
+  const slots = [{ slotRef: 'chest', weight: 3 }, 'leftArm'];
+  assert('weighted slot pick', pickHitSlot(slots, () => 0.7) === 'chest' && pickHitSlot(slots, () => 0.8) === 'leftArm');
+}
+
+/* ---- Time to kill -------------------------------------------------- */
+{
+  const bare = simulateTimeToKill({
+    anatomy: ANATOMY,
+    applications: round(4),
+    slots: ['chest'],
+    firstShotAp: 25,
+    followUpAp: 5,
+    runs: 5,
+    resolveMaterial
+  });
+  assert('10 HP / 4 per shot → 3 shots, AP = 25 + 2 × 5',
+    bare.killChance === 1 && bare.meanShotsToKill === 3 && bare.meanApToKill === 35 && bare.medianApToKill === 35,
+    JSON.stringify(bare));
+  assert('every unarmored shot reaches the body', bare.penetrationChance === 1 && bare.meanBodyDamagePerShot === 4);
+  assert('kills are attributed to the destroyed vital part', bare.killedBy.chest === 5, JSON.stringify(bare.killedBy));
+
+  const limbs = simulateTimeToKill({
+    anatomy: ANATOMY,
+    applications: round(4),
+    slots: ['leftArm'],
+    maxShots: 6,
+    runs: 3,
+    resolveMaterial
+  });
+  assert('non-vital hits never kill within the budget',
+    limbs.killChance === 0 && limbs.meanApToKill === null && limbs.shots === 18, JSON.stringify(limbs));
+
+  const armored = simulateTimeToKill({
+    anatomy: ANATOMY,
+    armors: [plate(10)],
+    applications: round(4),
+    slots: ['chest'],
+    maxShots: 5,
+    runs: 3,
+    resolveMaterial
+  });
+  assert('thick plate stops a weak round', armored.killChance === 0 && armored.penetrationChance === 0,
+    JSON.stringify(armored));
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll balance simulator smoke tests passed.');
+}
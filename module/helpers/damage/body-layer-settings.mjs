@@ -0,0 +1,28 @@
+/**
+ * World setting (GM only): persistent body layer wear. The stored value is
+ * mirrored into `SPACEHOLDER.persistentBodyLayers`, which the body traversal
+ * resolver and the recovery tick read; the config value is only the default
+ * for a world that has never saved the setting.
+ * @see registerBodyLayerSettings
+ */
+
+import { SPACEHOLDER } from '../config.mjs';
+
+const MODULE_NS = 'spaceholder';
+export const PERSISTENT_BODY_LAYERS_KEY = 'persistentBodyLayers';
+
+export function registerBodyLayerSettings() {
+  game.settings.register(MODULE_NS, PERSISTENT_BODY_LAYERS_KEY, {
+    name: 'SPACEHOLDER.Settings.PersistentBodyLayers.Name',
+    hint: 'SPACEHOLDER.Settings.PersistentBodyLayers.Hint',
+    scope: 'world',
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: SPACEHOLDER.persistentBodyLayers === true,
+    onChange: (value) => {
+      SPACEHOLDER.persistentBodyLayers = value === true;
+    },
+  });
+  SPACEHOLDER.persistentBodyLayers = game.settings.get(MODULE_NS, PERSISTENT_BODY_LAYERS_KEY) === true;
+}
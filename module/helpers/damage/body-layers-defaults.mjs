@@ -15,8 +15,8 @@
  *
  * Note: `organs` are intentionally not modelled here. In the current
  * scope they live as separate critical structures on the part (see
- * `bodyPart.organs`) and are resolved after `bodyDamage` by unrelated
- * mechanics.
+ * `bodyPart.organs`) and are resolved after `bodyDamage` by
+ * [module/helpers/damage/organ-resolver.mjs].
  */
 
 /**
@@ -100,10 +100,18 @@ export function getDefaultBodyLayersForType(typeId) {
   return src.map((l) => ({ material: String(l.material), thickness: Number(l.thickness) }));
 }
 
+/**
+ * Persisted wear fields of a body layer (see `persistentBodyLayers` in
+ * config). Absent on pristine layers.
+ */
+const BODY_LAYER_STATE_FIELDS = Object.freeze(['integrity', 'integrityMax', 'breachLoss', 'breachCapacity']);
+
 /**
  * Shallow sanitize a raw `bodyLayers` value: keep only entries with a
  * non-empty `material` string and a positive `thickness`. Returns a new
  * array of plain objects, suitable for writing into `bodyParts[k]`.
+ * Stored wear (`integrity`, `integrityMax`, `breachLoss`,
+ * `breachCapacity`) is kept when it is a finite non-negative number.
  *
  * `bodyLayers` is optional: callers decide whether to substitute defaults
  * from {@link getDefaultBodyLayersForType} when the value is absent.
@@ -121,11 +129,31 @@ export function sanitizeBodyLayers(raw) {
     if (!material) continue;
     const thickness = Number(entry.thickness ?? 0);
     if (!Number.isFinite(thickness) || thickness <= 0) continue;
-    out.push({ material, thickness });
+    const layer = { material, thickness };
+    for (const key of BODY_LAYER_STATE_FIELDS) {
+      const v = Number(entry[key]);
+      if (entry[key] != null && Number.isFinite(v) && v >= 0) layer[key] = v;
+    }
+    out.push(layer);
   }
   return out;
 }
 
+/**
+ * `true` when a body layer carries wear below its pristine state
+ * (`integrity < integrityMax` or a non-zero `breachLoss`).
+ *
+ * @param {Object} layer
+ * @returns {boolean}
+ */
+export function isBodyLayerDamaged(layer) {
+  if (!layer || typeof layer !== 'object') return false;
+  const integrity = Number(layer.integrity);
+  const integrityMax = Number(layer.integrityMax);
+  if (Number.isFinite(integrity) && Number.isFinite(integrityMax) && integrity < integrityMax - 1e-9) return true;
+  return Number(layer.breachLoss) > 1e-9;
+}
+
 /**
  * Runtime sync for an actor body part: if `part.bodyLayers` is missing
  * or unusable (e.g. actor data predates the `bodyLayers` field), fill
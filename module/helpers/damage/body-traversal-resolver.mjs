@@ -3,6 +3,14 @@
  * one or more anatomy body parts, delegating per-part layer resolution to
  * {@link resolveDamagePackage}. Orchestrates:
  *
+ *  0. **Obstacles** — destructible cover the shot passed through on its way
+ *     (see [module/helpers/damage/cover.mjs]); each obstacle's layer stack
+ *     is resolved in turn, and only what it lets through flies on. Worn
+ *     stacks are returned in `obstacleUpdates`.
+ *  0. **Shields** — an external hit first drains the target's energy
+ *     shields (see [module/helpers/damage/shield-resolver.mjs]); only what
+ *     they let through reaches the armour. Updated pools are returned in
+ *     `shieldUpdates`.
  *  1. **Entry** — for an external hit with `exposure[D] > 0`, the package
  *     goes through `armor(D)_forward → bodyLayers_forward` before reaching
  *     the part centre. For an internal entry (coming in via another part's
@@ -18,13 +26,22 @@
  *      - exit through the back: if `exposure[opposite(D)] > 0`, the shards
  *        go through `bodyLayers_reversed → armor(opposite)_reversed` and
  *        whatever remains dissipates into the environment.
+ *     The roll is recorded as a `transfer` trace event (`roll`, `chance`,
+ *     `target`) so replays can show why the projectile went where it did.
  *
- * `bodyLayers` are **virtual** in v1 (no persistent integrity). The
+ * `bodyLayers` are **virtual** by default (no persistent integrity). The
  * resolver reads their stack from the body part itself (see
  * [module/helpers/damage/body-layers-defaults.mjs]) and re-instantiates a
  * fresh state for every pass. Mutations to `layer.integrity` within the
  * pass are discarded; only armour layers are reconstituted in the output.
  *
+ * With `persistBodyLayers` (default: `SPACEHOLDER.persistentBodyLayers`)
+ * the stored `integrity` / `breachLoss` of each body layer are honoured,
+ * the entry and exit passes share one tissue state, and the resulting
+ * stacks are returned in `bodyLayerUpdatesBySlot` — the body-layer
+ * counterpart of `armorUpdatesBySlot` — so the caller can persist scar
+ * tissue and broken bones on the actor.
+ *
  * The resolver is pure — it does not import Foundry. See
  * [docs/code/reference/ANATOMY_SYSTEM.md] «Слои тела» and
  * [rulebook/ARMOR_PENETRATION.md] §11 for the design writeup.
@@ -41,6 +58,7 @@ import {
   getDefaultBodyLayersForType
 } from './body-layers-defaults.mjs';
 import { isDamageType } from './damage-types.mjs';
+import { absorbWithShields, normalizeShield } from './shield-resolver.mjs';
 import { SPACEHOLDER } from '../config.mjs';
 
 /* ================================================================== *
@@ -227,35 +245,81 @@ function reconstituteArmor(originalSources, resolvedLayers) {
   }));
 }
 
+/**
+ * Reassemble a part's body-layer stack from the resolver's survivors for
+ * one pass (`entry` / `exit`). Layers are matched by their original index;
+ * anything the pass did not touch is carried over unchanged.
+ *
+ * @param {Array<Object>} bodyLayers - stack the pass started from
+ * @param {Array<Object>} resolvedLayers
+ * @param {string} slotRef
+ * @param {'entry'|'exit'} passId
+ * @returns {Array<{material:string, thickness:number, integrity:number,
+ *   integrityMax:number, breachLoss:number, breachCapacity:number}>}
+ */
+function reconstituteBodyLayers(bodyLayers, resolvedLayers, slotRef, passId) {
+  const prefix = `body:${slotRef}:${passId}:`;
+  const byIndex = new Map();
+  for (const layer of resolvedLayers) {
+    const key = String(layer?.key ?? '');
+    if (!key.startsWith(prefix)) continue;
+    byIndex.set(Number(key.slice(prefix.length)), layer);
+  }
+  return bodyLayers.map((layer, i) => {
+    const src = byIndex.get(i);
+    if (!src) return { ...layer };
+    return {
+      material: layer.material,
+      thickness: layer.thickness,
+      integrity: src.integrity,
+      integrityMax: src.integrityMax,
+      breachLoss: src.breachLoss,
+      breachCapacity: src.breachCapacity
+    };
+  });
+}
+
 /* ================================================================== *
  *  Behind-relation weighted pick                                       *
  * ================================================================== */
 
 /**
  * Given a set of `behind` relations whose `direction` matches the current
- * hit direction, return the target slotRef the projectile transfers to —
- * or `null` if it stops at the centre. Each relation carries a `chance`
+ * hit direction, roll which slotRef the projectile transfers to — or
+ * `null` if it stops at the centre. Each relation carries a `chance`
  * percentage (0..100); probabilities are clipped and their sum capped at
  * 1.0. A single RNG draw decides whether the projectile transfers and, if
  * so, which specific relation it follows.
  *
  * @param {Array<{target:string, chance:number}>} behindRels
  * @param {() => number} rng
- * @returns {string|null}
+ * @returns {{target: string|null, roll: number|null, chance: number}}
+ *   `roll` is `null` when nothing was drawn (no relation with a chance)
  */
-function pickBehindTransfer(behindRels, rng) {
-  if (!behindRels.length) return null;
+function rollBehindTransfer(behindRels, rng) {
+  if (!behindRels.length) return { target: null, roll: null, chance: 0 };
   const chances = behindRels.map((r) => Math.max(0, Math.min(1, Number(r?.chance ?? 0) / 100)));
   const total = Math.min(1, chances.reduce((a, b) => a + b, 0));
-  if (total <= 0) return null;
+  if (total <= 0) return { target: null, roll: null, chance: 0 };
   const roll = rng();
-  if (roll >= total) return null;
+  if (roll >= total) return { target: null, roll, chance: total };
   let accum = 0;
   for (let i = 0; i < behindRels.length; i += 1) {
     accum += chances[i];
-    if (roll < accum) return String(behindRels[i].target ?? '');
+    if (roll < accum) return { target: String(behindRels[i].target ?? ''), roll, chance: total };
   }
-  return String(behindRels[behindRels.length - 1].target ?? '');
+  return { target: String(behindRels[behindRels.length - 1].target ?? ''), roll, chance: total };
+}
+
+/**
+ * {@link rollBehindTransfer} without the roll details.
+ *
+ * @param {Array<{target:string, chance:number}>} behindRels
+ * @param {() => number} rng
+ * @returns {string|null}
+ */
+function pickBehindTransfer(behindRels, rng) {
+  return rollBehindTransfer(behindRels, rng).target;
 }
 
 /* ================================================================== *
@@ -292,13 +356,24 @@ function pickBehindTransfer(behindRels, rng) {
  *   per-slot armour stacks (outer-most first)
  * @param {(id:string)=>Object} [args.resolveMaterial]
  * @param {()=>number} [args.random]
+ * @param {boolean} [args.persistBodyLayers] - honour and report body-layer
+ *   integrity (defaults to `SPACEHOLDER.persistentBodyLayers`)
+ * @param {Array<Object>} [args.shields=[]] - the target's active shields
+ *   (`system.shield` plus `itemId` / `name`), outermost first
+ * @param {Array<{id:string, layers:Array}>} [args.obstacles=[]] - cover the
+ *   shot went through before reaching the target, nearest to the shooter
+ *   first
  *
  * @returns {{
  *   bodyDamageBySlot: Object<string, Array<{type:string, amount:number}>>,
  *   armorUpdatesBySlot: Object<string, Array<{itemId:string, coverageIdx:number, layers:Array}>>,
+ *   bodyLayerUpdatesBySlot: Object<string, Array<Object>>,
+ *   shieldUpdates: Array<Object>,
+ *   obstacleUpdates: Array<{id:string, layers:Array}>,
  *   path: TraversalPathEntry[],
  *   trace: Array<Object>
- * }}
+ * }} `bodyLayerUpdatesBySlot` is empty unless `persistBodyLayers` is on;
+ *   then it holds the post-pass stack of every visited part that has one.
  */
 export function resolveBodyTraversal({
   anatomy,
@@ -307,8 +382,14 @@ export function resolveBodyTraversal({
   applications,
   armorBySlot = {},
   resolveMaterial,
-  random
+  random,
+  persistBodyLayers,
+  shields = [],
+  obstacles = []
 } = {}) {
+  const persist = typeof persistBodyLayers === 'boolean'
+    ? persistBodyLayers
+    : SPACEHOLDER.persistentBodyLayers === true;
   const bodyParts = anatomy?.bodyParts && typeof anatomy.bodyParts === 'object' ? anatomy.bodyParts : {};
   const direction = normalizeDirection(hitDirection);
   const rng = typeof random === 'function' ? random : Math.random;
@@ -316,14 +397,51 @@ export function resolveBodyTraversal({
 
   const bodyDamageBySlot = {};
   const armorUpdatesBySlot = {};
+  const bodyLayerUpdatesBySlot = {};
   const path = [];
   const trace = [];
   const processed = new Set();
 
+  // ---- 0. Obstacles (cover between the shooter and the target) -------
+  let incoming = applications;
+  const obstacleUpdates = [];
+  for (const obstacle of Array.isArray(obstacles) ? obstacles : []) {
+    const id = String(obstacle?.id ?? '');
+    const layers = (Array.isArray(obstacle?.layers) ? obstacle.layers : [])
+      .filter((l) => l && typeof l === 'object')
+      .map((l, i) => ensureLayerDefaults({ ...l, key: `obstacle:${id}:${i}` }, mat(l.material) ?? { materialId: l.material }));
+    if (!layers.length) continue;
+    const res = resolveDamagePackage({ layers, applications: incoming, resolveMaterial: mat, random: rng });
+    incoming = bodyHitsToApplications(res.bodyHits);
+    obstacleUpdates.push({
+      id,
+      layers: res.layers.map((l) => ({
+        material: l.material,
+        thickness: l.thickness,
+        integrity: l.integrity,
+        integrityMax: l.integrityMax,
+        breachLoss: l.breachLoss,
+        breachCapacity: l.breachCapacity
+      }))
+    });
+    for (const entry of res.trace) trace.push({ ...entry, slotRef: String(startSlotRef ?? '').trim(), phase: 'obstacle', obstacleId: id });
+  }
+
+  // ---- 0. Shields (once, in front of the first part's armour) ---------
+  let shieldUpdates = [];
+  const shieldStates = (Array.isArray(shields) ? shields : []).map(normalizeShield);
+  if (shieldStates.length && SPACEHOLDER.shields?.enabled !== false) {
+    const startRef = String(startSlotRef ?? '').trim();
+    const res = absorbWithShields({ applications: normalizeApplications(incoming), shields: shieldStates });
+    incoming = res.applications;
+    shieldUpdates = res.shields;
+    for (const entry of res.trace) trace.push({ ...entry, slotRef: startRef, phase: 'shield' });
+  }
+
   const queue = [{
     slotRef: String(startSlotRef ?? '').trim(),
     entryKind: 'external',
-    applications,
+    applications: incoming,
     incomingDirection: direction
   }];
 
@@ -360,6 +478,12 @@ export function resolveBodyTraversal({
     if (SPACEHOLDER.anatomyBodyLayersInDamage === false) {
       rawBodyLayers = [];
     }
+    // Virtual mode: every pass starts from pristine tissue, whatever was
+    // stored on the part.
+    if (!persist) {
+      rawBodyLayers = rawBodyLayers.map((l) => ({ material: l.material, thickness: l.thickness }));
+    }
+    let currentBodyLayers = rawBodyLayers;
 
     // ---- 1. Entry ------------------------------------------------------
     let centerHits;
@@ -382,6 +506,7 @@ export function resolveBodyTraversal({
       });
       centerHits = res.bodyHits.slice();
       currentArmorSrcs = reconstituteArmor(currentArmorSrcs, res.layers);
+      if (persist) currentBodyLayers = reconstituteBodyLayers(currentBodyLayers, res.layers, slotRef, 'entry');
       for (const entry of res.trace) trace.push({ ...entry, slotRef, phase: 'entry' });
     } else {
       centerHits = applicationsToBodyHits(node.applications);
@@ -403,7 +528,10 @@ export function resolveBodyTraversal({
     );
     let transferredTo = null;
     if (centerHits.length && behindRels.length) {
-      const target = pickBehindTransfer(behindRels, rng);
+      const { target, roll, chance } = rollBehindTransfer(behindRels, rng);
+      if (roll !== null) {
+        trace.push({ kind: 'transfer', slotRef, phase: 'transfer', direction: D, roll, chance, target });
+      }
       if (target && !processed.has(target) && bodyParts[target]) {
         queue.push({
           slotRef: target,
@@ -421,7 +549,7 @@ export function resolveBodyTraversal({
       && (currentArmorSrcs.length > 0 || rawBodyLayers.length > 0)) {
       const flat = buildFlatStack({
         sources: currentArmorSrcs,
-        bodyLayers: rawBodyLayers,
+        bodyLayers: currentBodyLayers,
         order: 'rev',
         slotRef,
         passId: 'exit',
@@ -434,11 +562,15 @@ export function resolveBodyTraversal({
         random: rng
       });
       currentArmorSrcs = reconstituteArmor(currentArmorSrcs, res.layers);
+      if (persist) currentBodyLayers = reconstituteBodyLayers(currentBodyLayers, res.layers, slotRef, 'exit');
       for (const entry of res.trace) trace.push({ ...entry, slotRef, phase: 'exit' });
       exited = true;
     }
 
     armorUpdatesBySlot[slotRef] = currentArmorSrcs;
+    if (persist && currentBodyLayers !== rawBodyLayers) {
+      bodyLayerUpdatesBySlot[slotRef] = currentBodyLayers;
+    }
     path.push({
       slotRef,
       entryKind: node.entryKind,
@@ -452,6 +584,9 @@ export function resolveBodyTraversal({
   return {
     bodyDamageBySlot,
     armorUpdatesBySlot,
+    bodyLayerUpdatesBySlot,
+    shieldUpdates,
+    obstacleUpdates,
     path,
     trace
   };
@@ -468,5 +603,7 @@ export const __internals__ = Object.freeze({
   applicationsToBodyHits,
   buildFlatStack,
   reconstituteArmor,
+  reconstituteBodyLayers,
+  rollBehindTransfer,
   pickBehindTransfer
 });
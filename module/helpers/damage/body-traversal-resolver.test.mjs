@@ -12,7 +12,7 @@
  *   2. **Through-and-through**: through-back pass with optional armour,
  *      HEAT multi-phase, behind-relation weighted transfer.
  *   3. **Body-layers-only**: pure `skin/muscle/bone` absorption with no
- *      armour; symmetric parts do the stack twice.
+ *      armour; symmetric parts do the stack twice; persistent wear.
  *   4. **Corner cases**: `chance = 0/100`, direction mismatch, explicit
  *      empty `bodyLayers`, armour updates do not leak body layers.
  */
@@ -661,6 +661,55 @@ function frontBackAnatomy({ frontLayers, backLayers, chance = 100 }) {
     JSON.stringify({ back: res.bodyDamageBySlot.back, backEntry }));
 }
 
+/* Case B6–B8 — persistent body-layer integrity (`persistBodyLayers`) */
+{
+  const layers = [
+    { material: 'skin', thickness: 1 },
+    { material: 'muscle', thickness: 1 },
+    { material: 'bone', thickness: 3 }
+  ];
+  const applications = [{ mode: 'sequential', items: [{ type: 'piercing', damage: 25 }] }];
+  const hit = (bodyLayers, persistBodyLayers) => resolveBodyTraversal({
+    anatomy: {
+      bodyParts: {
+        body: {
+          id: 'custom',
+          exposure: { front: 100, back: 0, left: 0, right: 0, top: 0, bottom: 0 },
+          bodyLayers,
+          relations: []
+        }
+      }
+    },
+    startSlotRef: 'body',
+    hitDirection: 'front',
+    applications,
+    armorBySlot: {},
+    resolveMaterial: baseResolve,
+    random: determRandom,
+    persistBodyLayers
+  });
+  const centreTotal = (res) => (res.bodyDamageBySlot.body ?? []).reduce((sum, d) => sum + d.amount, 0);
+
+  const first = hit(layers, true);
+  const stored = first.bodyLayerUpdatesBySlot.body ?? [];
+  assert('B6: persistent mode reports the post-hit body-layer stack',
+    stored.length === 3 && stored.some((l) => l.integrity < l.integrityMax),
+    JSON.stringify(first.bodyLayerUpdatesBySlot));
+
+  const fractured = stored.map((l) => (l.material === 'bone' ? { ...l, integrity: 0 } : l));
+  const pristine = hit(layers, true);
+  const weakened = hit(fractured, true);
+  assert('B7: a stored fractured bone lets more damage through',
+    centreTotal(weakened) > centreTotal(pristine),
+    `pristine=${centreTotal(pristine)} weakened=${centreTotal(weakened)}`);
+
+  const virtual = hit(fractured, false);
+  assert('B8: virtual mode ignores stored wear and reports no body-layer updates',
+    approxEqual(centreTotal(virtual), centreTotal(pristine))
+      && Object.keys(virtual.bodyLayerUpdatesBySlot).length === 0,
+    JSON.stringify({ virtual: virtual.bodyDamageBySlot, updates: virtual.bodyLayerUpdatesBySlot }));
+}
+
 /* ================================================================== *
  *  Section 4: corner cases                                            *
  * ================================================================== */
@@ -687,6 +736,9 @@ function frontBackAnatomy({ frontLayers, backLayers, chance = 100 }) {
   assert('C1: back slot is untouched',
     !res.bodyDamageBySlot.back,
     JSON.stringify(res.bodyDamageBySlot));
+  assert('C1: no roll → no transfer trace event',
+    !res.trace.some((e) => e.kind === 'transfer'),
+    JSON.stringify(res.trace));
 }
 
 /* Case C2 — chance = 100: behind always transfers */
@@ -708,6 +760,10 @@ function frontBackAnatomy({ frontLayers, backLayers, chance = 100 }) {
   assert('C2: chance=100 always transfers to behind (even with high roll)',
     res.path.length === 2 && res.path[0].transferredTo === 'back',
     JSON.stringify(res.path));
+  const roll = res.trace.find((e) => e.kind === 'transfer');
+  assert('C2: transfer roll is traced',
+    roll && roll.slotRef === 'front' && roll.target === 'back' && roll.roll === 0.999 && roll.chance === 1,
+    JSON.stringify(roll));
 }
 
 /* Case C3 — behind direction mismatch: hit is `front`, behind is `left` → ignored */
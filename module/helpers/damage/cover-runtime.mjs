@@ -0,0 +1,260 @@
+/**
+ * Cover on the canvas (rules and geometry in cover.mjs).
+ *
+ * A wall or a tile becomes cover through `flags.spaceholder.cover`
+ * (`enabled`, `heightPct`, `destructible`, `material`, `thickness`), set on
+ * the Wall / Tile config sheet. Cover walls do not stop shots: the shot flies
+ * over them and the cover hides the parts under `heightPct` instead. Plain
+ * walls that block movement and other tokens are full-height hard cover.
+ *
+ * Destructible cover is shot through: its layer stack wears like armour and
+ * the worn stack is stored back in the flag (`layers`); a used-up stack
+ * (`destroyed`) no longer gives cover. Players cannot update walls and tiles,
+ * so the wear goes to the active GM over the system socket.
+ */
+
+import {
+  coverObstacleLayers,
+  isCoverWornOut,
+  normalizeCover,
+  normalizeCoverConfig,
+  resolveCoverProfile,
+} from './cover.mjs';
+import { materialsManager } from './materials-manager.mjs';
+
+const MODULE_NS = 'spaceholder';
+const FLAG_COVER = 'cover';
+const SOCKET_TYPE = `${MODULE_NS}.cover`;
+
+let _socketInstalled = false;
+let _hooksInstalled = false;
+
+function _socketName() {
+  try {
+    return `system.${game.system.id}`;
+  } catch (_) {
+    return `system.${MODULE_NS}`;
+  }
+}
+
+function _t(key, data = null) {
+  const i18n = game.i18n;
+  if (!i18n) return key;
+  return data ? i18n.format(key, data) : i18n.localize(key);
+}
+
+/**
+ * Cover settings of a wall / tile document.
+ * @param {WallDocument|TileDocument} doc
+ * @returns {object} {@link normalizeCover}
+ */
+export function getCover(doc) {
+  return normalizeCover(doc?.getFlag?.(MODULE_NS, FLAG_COVER) ?? null);
+}
+
+/**
+ * Is the wall cover (shots pass over it) rather than a solid wall.
+ * @param {Wall} wall
+ * @returns {boolean}
+ */
+export function isCoverWall(wall) {
+  return getCover(wall?.document).enabled;
+}
+
+function _isOpenDoor(wallDoc) {
+  return !!wallDoc?.door && wallDoc.ds === CONST.WALL_DOOR_STATES.OPEN;
+}
+
+function _coverObstacle(doc, shape, cover) {
+  return {
+    id: doc.uuid,
+    shape,
+    height: cover.heightPct / 100,
+    destructible: cover.destructible,
+    layers: cover.destructible ? coverObstacleLayers(cover) : [],
+  };
+}
+
+/**
+ * Obstacles of the current scene that can stand between `origin` and a
+ * target, as plain shapes for {@link resolveCoverProfile}.
+ * @param {object} args
+ * @param {{x:number, y:number}} args.origin
+ * @param {Token} args.target
+ * @param {object} [args.config]
+ * @returns {Array<object>}
+ */
+export function collectCoverObstacles({ origin, target, config = null }) {
+  const cfg = normalizeCoverConfig(config);
+  const out = [];
+
+  for (const wall of canvas.walls?.placeables ?? []) {
+    const doc = wall.document;
+    if (_isOpenDoor(doc)) continue;
+    const shape = { kind: 'segment', a: { x: doc.c[0], y: doc.c[1] }, b: { x: doc.c[2], y: doc.c[3] } };
+    const cover = getCover(doc);
+    if (cover.enabled) {
+      if (!cover.destroyed) out.push(_coverObstacle(doc, shape, cover));
+    } else if (doc.move) {
+      out.push({ id: doc.uuid, shape, height: 1, destructible: false });
+    }
+  }
+
+  for (const tile of canvas.tiles?.placeables ?? []) {
+    const doc = tile.document;
+    const cover = getCover(doc);
+    if (!cover.enabled || cover.destroyed) continue;
+    const rect = { kind: 'rect', x: doc.x, y: doc.y, width: doc.width, height: doc.height };
+    // Shooting out of a bush or a trench: the tile is not in the way.
+    if (origin.x >= rect.x && origin.x <= rect.x + rect.width && origin.y >= rect.y && origin.y <= rect.y + rect.height) continue;
+    out.push(_coverObstacle(doc, rect, cover));
+  }
+
+  if (cfg.tokenHeightPct > 0) {
+    for (const token of canvas.tokens?.placeables ?? []) {
+      if (token === target || !token.visible) continue;
+      const radius = Math.min(token.bounds.width, token.bounds.height) / 2;
+      // The shooter's own token.
+      if (Math.hypot(origin.x - token.center.x, origin.y - token.center.y) <= radius) continue;
+      out.push({
+        id: token.document.uuid,
+        shape: { kind: 'circle', center: { ...token.center }, radius },
+        height: cfg.tokenHeightPct / 100,
+        destructible: false,
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Cover profile of a token seen from `origin`.
+ * @param {object} args
+ * @param {{x:number, y:number}} args.origin
+ * @param {Token} args.token
+ * @returns {object|null} {@link resolveCoverProfile}; `null` — cover is off
+ */
+export function resolveTokenCover({ origin, token }) {
+  const config = CONFIG.SPACEHOLDER?.cover ?? null;
+  if (config?.enabled === false || !origin || !token?.center) return null;
+  const radius = Math.min(token.bounds.width, token.bounds.height) / 2;
+  return resolveCoverProfile({
+    origin,
+    center: token.center,
+    radius,
+    obstacles: collectCoverObstacles({ origin, target: token, config }),
+    config,
+  });
+}
+
+async function _applyCoverWear(updates) {
+  for (const { id, layers } of updates) {
+    const doc = fromUuidSync(String(id ?? ''));
+    if (!doc || !getCover(doc).enabled) continue;
+    const destroyed = isCoverWornOut(layers);
+    try {
+      await doc.setFlag(MODULE_NS, FLAG_COVER, { layers, destroyed });
+    } catch (e) {
+      console.error('SpaceHolder | Cover: failed to store wear', e);
+      continue;
+    }
+    if (destroyed) ui.notifications?.info?.(_t('SPACEHOLDER.Cover.Destroyed'));
+  }
+}
+
+/**
+ * Store the worn stacks of destructible cover (`obstacleUpdates` of
+ * `actor.applyDamagePackage`). The active GM writes them.
+ * @param {Array<{id:string, layers:Array}>} updates
+ */
+export async function persistCoverWear(updates) {
+  const list = (Array.isArray(updates) ? updates : []).filter((u) => u?.id && Array.isArray(u.layers));
+  if (!list.length) return;
+  if (game.user?.isGM) {
+    await _applyCoverWear(list);
+    return;
+  }
+  const targetUserId = game.users?.activeGM?.id;
+  if (!targetUserId) return;
+  try {
+    game.socket.emit(_socketName(), { type: SOCKET_TYPE, op: 'wear', targetUserId, updates: list });
+  } catch (e) {
+    console.error('SpaceHolder | Cover: socket.emit failed', e);
+  }
+}
+
+export function installCoverSocketHandlers() {
+  if (_socketInstalled) return;
+  _socketInstalled = true;
+  if (!game?.socket?.on) return;
+
+  game.socket.on(_socketName(), async (msg) => {
+    try {
+      if (!msg || msg.type !== SOCKET_TYPE || msg.op !== 'wear') return;
+      if (msg.targetUserId !== game.user?.id || !game.user?.isGM) return;
+      await _applyCoverWear(Array.isArray(msg.updates) ? msg.updates : []);
+    } catch (e) {
+      console.error('SpaceHolder | Cover: socket message handler crashed', e);
+    }
+  });
+}
+
+/**
+ * Cover fields on the Wall and Tile config sheets.
+ */
+export function installCoverConfigHooks() {
+  if (_hooksInstalled) return;
+  _hooksInstalled = true;
+
+  const renderHandler = async (app, formEl) => {
+    try {
+      const root = formEl instanceof HTMLElement ? formEl : (formEl?.[0] ?? formEl);
+      const doc = app?.document ?? null;
+      if (!root || !doc) return;
+
+      const cover = getCover(doc);
+      const materials = materialsManager.listMaterialIds().map((id) => ({
+        id,
+        name: materialsManager.getMaterial(id)?.name || id,
+        selected: id === cover.material,
+      }));
+      const tpl = await foundry.applications.handlebars.renderTemplate(
+        'systems/spaceholder/templates/cover-config.hbs',
+        { cover, materials, worn: !!cover.layers?.length }
+      );
+
+      const wrap = document.createElement('div');
+      wrap.innerHTML = tpl;
+      const newPanel = wrap.firstElementChild;
+      if (!newPanel) return;
+
+      const existing = root.querySelector('.spaceholder-cover-config');
+      if (existing) {
+        existing.replaceWith(newPanel);
+        return;
+      }
+      const footer = root.querySelector('footer') || root.querySelector('.sheet-footer');
+      if (footer) footer.insertAdjacentElement('beforebegin', newPanel);
+      else root.appendChild(newPanel);
+    } catch (e) {
+      console.error('SpaceHolder | Cover config injection failed', e);
+    }
+  };
+
+  // A new material or thickness is a new stack: drop the stored wear.
+  const preUpdateHandler = (doc, changes) => {
+    const next = foundry.utils.getProperty(changes, `flags.${MODULE_NS}.${FLAG_COVER}`);
+    if (!next || typeof next !== 'object' || Array.isArray(next.layers)) return;
+    const prev = getCover(doc);
+    const material = next.material ?? prev.material;
+    const thickness = Number(next.thickness ?? prev.thickness);
+    if (material === prev.material && thickness === prev.thickness) return;
+    next.layers = null;
+    next.destroyed = false;
+  };
+
+  Hooks.on('renderWallConfig', renderHandler);
+  Hooks.on('renderTileConfig', renderHandler);
+  Hooks.on('preUpdateWall', preUpdateHandler);
+  Hooks.on('preUpdateTile', preUpdateHandler);
+}
@@ -0,0 +1,280 @@
+/**
+ * Cover — how much of a target is hidden behind walls, tokens and tagged
+ * tiles along the shot line, and which body parts that hides.
+ *
+ *  1. **Silhouette** — the target is seen as a strip `2 · radius` wide across
+ *     the shot line. `samples` rays run from the shot origin to points across
+ *     that strip (column `u` 0 — the shooter's left, 1 — the right).
+ *  2. **Columns** — every obstacle a ray crosses hides the column up to the
+ *     obstacle's `height` (0..1 of the target's height). Hard cover (walls,
+ *     tokens, indestructible cover) hides; destructible cover is shot through
+ *     and is kept per column as obstacles, nearest first.
+ *  3. **Parts** — each body part sits in the silhouette by its anatomy grid
+ *     cell (`x` across, `y` down; see ANATOMY_SYSTEM.md). Seen from the front
+ *     the target's left is on the shooter's right; seen from a side every
+ *     part stands in the middle column. A part whose height is under the hard
+ *     cover of its column gets `exposure[D] = 0`; a part behind destructible
+ *     cover keeps its exposure, and a shot that strikes it goes through the
+ *     obstacle layers first (`resolveBodyTraversal({ obstacles })`).
+ *
+ * Obstacles are plain shapes (`segment` / `circle` / `rect`) prepared by the
+ * caller from the canvas. Coordinates are canvas px. The module is pure — it
+ * does not import Foundry.
+ */
+
+const CONFIG_DEFAULTS = Object.freeze({
+  samples: 7,
+  tokenHeightPct: 100,
+});
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _clamp01(v) {
+  return Math.max(0, Math.min(1, v));
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.cover`
+ * @returns {{samples:number, tokenHeightPct:number}}
+ */
+export function normalizeCoverConfig(config = null) {
+  const src = config && typeof config === 'object' ? config : {};
+  return {
+    samples: Math.max(3, Math.min(31, Math.round(_num(src.samples, CONFIG_DEFAULTS.samples)))),
+    tokenHeightPct: Math.max(0, Math.min(100, _num(src.tokenHeightPct, CONFIG_DEFAULTS.tokenHeightPct))),
+  };
+}
+
+/**
+ * Cover settings of a wall or tile (`flags.spaceholder.cover`).
+ * @param {object|null} raw
+ * @returns {{enabled:boolean, heightPct:number, destructible:boolean, material:string, thickness:number, layers:Array<object>|null, destroyed:boolean}}
+ */
+export function normalizeCover(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const layers = Array.isArray(src.layers) ? src.layers.filter((l) => l && typeof l === 'object') : null;
+  return {
+    enabled: src.enabled === true,
+    heightPct: Math.max(0, Math.min(100, _num(src.heightPct, 50))),
+    destructible: src.destructible === true,
+    material: String(src.material ?? '').trim(),
+    thickness: Math.max(0, _num(src.thickness, 0)),
+    layers,
+    destroyed: src.destroyed === true,
+  };
+}
+
+/**
+ * Layer stack of destructible cover: the worn stack if one was stored, else
+ * a fresh layer of its material.
+ * @param {object} cover {@link normalizeCover}
+ * @returns {Array<object>}
+ */
+export function coverObstacleLayers(cover) {
+  if (cover?.layers?.length) return cover.layers.map((l) => ({ ...l }));
+  if (!cover?.material || !(cover.thickness > 0)) return [];
+  return [{ material: cover.material, thickness: cover.thickness }];
+}
+
+/**
+ * Is a worn stack used up (every layer at zero integrity).
+ * @param {Array<object>} layers
+ * @returns {boolean}
+ */
+export function isCoverWornOut(layers) {
+  return Array.isArray(layers) && layers.length > 0 && layers.every((l) => _num(l?.integrity, 1) <= 0);
+}
+
+/* ------------------------------------------------------------------ *
+ *  Geometry                                                           *
+ * ------------------------------------------------------------------ */
+
+function _segmentsCross(a, b, c, d) {
+  const r = { x: b.x - a.x, y: b.y - a.y };
+  const s = { x: d.x - c.x, y: d.y - c.y };
+  const den = r.x * s.y - r.y * s.x;
+  if (Math.abs(den) < 1e-9) return null;
+  const t = ((c.x - a.x) * s.y - (c.y - a.y) * s.x) / den;
+  const u = ((c.x - a.x) * r.y - (c.y - a.y) * r.x) / den;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+function _segmentCircle(a, b, center, radius) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  if (!(len2 > 0)) return null;
+  const t = Math.max(0, Math.min(1, ((center.x - a.x) * dx + (center.y - a.y) * dy) / len2));
+  const px = a.x + dx * t;
+  const py = a.y + dy * t;
+  return Math.hypot(center.x - px, center.y - py) <= radius ? t : null;
+}
+
+function _inRect(p, r) {
+  return p.x >= r.x && p.x <= r.x + r.width && p.y >= r.y && p.y <= r.y + r.height;
+}
+
+function _segmentRect(a, b, rect) {
+  if (_inRect(b, rect)) return 1;
+  const corners = [
+    { x: rect.x, y: rect.y },
+    { x: rect.x + rect.width, y: rect.y },
+    { x: rect.x + rect.width, y: rect.y + rect.height },
+    { x: rect.x, y: rect.y + rect.height },
+  ];
+  let best = null;
+  for (let i = 0; i < 4; i += 1) {
+    const t = _segmentsCross(a, b, corners[i], corners[(i + 1) % 4]);
+    if (t !== null && (best === null || t < best)) best = t;
+  }
+  return best;
+}
+
+/**
+ * Where along `a → b` (0..1) the ray meets the obstacle, `null` — it misses.
+ * @param {{x:number, y:number}} a
+ * @param {{x:number, y:number}} b
+ * @param {object} shape `{kind:'segment', a, b}` | `{kind:'circle', center, radius}` | `{kind:'rect', x, y, width, height}`
+ * @returns {number|null}
+ */
+export function rayHitsObstacle(a, b, shape) {
+  switch (shape?.kind) {
+    case 'segment': return _segmentsCross(a, b, shape.a, shape.b);
+    case 'circle': return _segmentCircle(a, b, shape.center, shape.radius);
+    case 'rect': return _segmentRect(a, b, shape);
+    default: return null;
+  }
+}
+
+/**
+ * Sample rays from the origin across the target's silhouette.
+ * @param {object} args
+ * @param {{x:number, y:number}} args.origin
+ * @param {{x:number, y:number}} args.center target centre
+ * @param {number} args.radius target radius, px
+ * @param {number} args.samples
+ * @returns {Array<{u:number, to:{x:number, y:number}}>}
+ */
+export function silhouetteSamples({ origin, center, radius, samples }) {
+  const dx = center.x - origin.x;
+  const dy = center.y - origin.y;
+  const len = Math.hypot(dx, dy) || 1;
+  // The shooter's right hand: the travel direction turned clockwise.
+  const right = { x: -dy / len, y: dx / len };
+  const out = [];
+  for (let i = 0; i < samples; i += 1) {
+    const u = samples > 1 ? i / (samples - 1) : 0.5;
+    const off = (u - 0.5) * 2 * radius;
+    out.push({ u, to: { x: center.x + right.x * off, y: center.y + right.y * off } });
+  }
+  return out;
+}
+
+/**
+ * Cover profile of a target seen from the origin.
+ * @param {object} args
+ * @param {{x:number, y:number}} args.origin
+ * @param {{x:number, y:number}} args.center
+ * @param {number} args.radius
+ * @param {Array<{id:string, shape:object, height:number, destructible?:boolean, layers?:Array}>} args.obstacles
+ *   `height` 0..1 of the target's height
+ * @param {object} [args.config]
+ * @returns {{columns: Array<{u:number, hard:number, soft:Array<{id:string, height:number, layers:Array, t:number}>}>, hiddenFraction:number}}
+ */
+export function resolveCoverProfile({ origin, center, radius, obstacles = [], config = null }) {
+  const cfg = normalizeCoverConfig(config);
+  const columns = silhouetteSamples({ origin, center, radius: Math.max(0, _num(radius, 0)), samples: cfg.samples })
+    .map(({ u, to }) => {
+      let hard = 0;
+      const soft = [];
+      for (const o of obstacles) {
+        const height = _clamp01(_num(o?.height, 0));
+        if (!(height > 0)) continue;
+        const t = rayHitsObstacle(origin, to, o.shape);
+        if (t === null) continue;
+        if (o.destructible) soft.push({ id: String(o.id ?? ''), height, layers: o.layers ?? [], t });
+        else hard = Math.max(hard, height);
+      }
+      soft.sort((a, b) => a.t - b.t);
+      return { u, hard, soft };
+    });
+  const hidden = columns.reduce((sum, c) => sum + Math.max(c.hard, ...c.soft.map((s) => s.height)), 0);
+  return { columns, hiddenFraction: columns.length ? hidden / columns.length : 0 };
+}
+
+/* ------------------------------------------------------------------ *
+ *  Body parts                                                         *
+ * ------------------------------------------------------------------ */
+
+/**
+ * Position of every part in the silhouette.
+ * @param {Record<string, object>} bodyParts
+ * @param {string} direction side the shot enters from
+ * @returns {Record<string, {u:number, v:number}>} `u` across (0 — the
+ *   shooter's left), `v` height (0 — the ground)
+ */
+export function bodyPartSilhouette(bodyParts, direction) {
+  const entries = Object.entries(bodyParts ?? {});
+  const placed = entries.filter(([, p]) => Number.isFinite(Number(p?.x)) && Number.isFinite(Number(p?.y)));
+  const xs = placed.map(([, p]) => Number(p.x));
+  const ys = placed.map(([, p]) => Number(p.y));
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const out = {};
+  for (const [partId, part] of entries) {
+    if (!placed.some(([id]) => id === partId)) {
+      out[partId] = { u: 0.5, v: 0.5 };
+      continue;
+    }
+    const gx = (Number(part.x) - minX + 0.5) / (maxX - minX + 1);
+    const v = (maxY - Number(part.y) + 0.5) / (maxY - minY + 1);
+    let u = 0.5;
+    if (direction === 'front') u = 1 - gx;
+    else if (direction === 'back') u = gx;
+    out[partId] = { u, v };
+  }
+  return out;
+}
+
+/**
+ * Apply a cover profile to the anatomy.
+ * @param {object} args
+ * @param {Record<string, object>} args.bodyParts
+ * @param {string} args.direction
+ * @param {object} args.profile {@link resolveCoverProfile}
+ * @returns {{bodyParts: Record<string, object>, coveredPartIds: string[], obstaclesByPart: Record<string, Array<{id:string, layers:Array}>>, fullyCovered: boolean}}
+ *   `bodyParts` is a copy with `exposure[direction] = 0` on hidden parts
+ */
+export function applyCoverToBodyParts({ bodyParts, direction, profile }) {
+  const columns = Array.isArray(profile?.columns) ? profile.columns : [];
+  const out = {};
+  const coveredPartIds = [];
+  const obstaclesByPart = {};
+  if (!columns.length) {
+    return { bodyParts: { ...(bodyParts ?? {}) }, coveredPartIds, obstaclesByPart, fullyCovered: false };
+  }
+  const silhouette = bodyPartSilhouette(bodyParts, direction);
+  for (const [partId, part] of Object.entries(bodyParts ?? {})) {
+    const { u, v } = silhouette[partId];
+    const column = columns[Math.max(0, Math.min(columns.length - 1, Math.round(u * (columns.length - 1))))];
+    const hidden = v < column.hard;
+    if (hidden) {
+      coveredPartIds.push(partId);
+      out[partId] = { ...part, exposure: { ...(part?.exposure ?? {}), [direction]: 0 } };
+      continue;
+    }
+    out[partId] = part;
+    const behind = column.soft.filter((s) => v < s.height);
+    if (behind.length) obstaclesByPart[partId] = behind.map((s) => ({ id: s.id, layers: s.layers }));
+  }
+  // Parts that could be struck from this side at all; without exposure data — every part.
+  const seen = Object.keys(bodyParts ?? {}).filter((id) => _num(bodyParts[id]?.exposure?.[direction], 0) > 0);
+  const candidates = seen.length ? seen : Object.keys(bodyParts ?? {});
+  const fullyCovered = candidates.length > 0 && candidates.every((id) => coveredPartIds.includes(id));
+  return { bodyParts: out, coveredPartIds, obstaclesByPart, fullyCovered };
+}
@@ -0,0 +1,131 @@
+/**
+ * Smoke tests for cover. Runs in plain Node (no Foundry globals required).
+ * Execute with:
+ *   node module/helpers/damage/cover.test.mjs
+ */
+
+import {
+  applyCoverToBodyParts,
+  bodyPartSilhouette,
+  coverObstacleLayers,
+  isCoverWornOut,
+  normalizeCover,
+  rayHitsObstacle,
+  resolveCoverProfile
+} from './cover.mjs';
+import { resolveBodyTraversal } from './body-traversal-resolver.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const PARTS = {
+  head: { x: 4, y: 1, exposure: { front: 100, back: 100, left: 100, right: 100 } },
+  chest: { x: 4, y: 3, exposure: { front: 100, back: 0, left: 80, right: 80 } },
+  leftArm: { x: 2, y: 3, exposure: { front: 100, back: 90, left: 100, right: 30 } },
+  rightArm: { x: 6, y: 3, exposure: { front: 100, back: 90, left: 30, right: 100 } },
+  leftShin: { x: 3, y: 7, exposure: { front: 100, back: 90, left: 100, right: 75 } },
+  rightShin: { x: 5, y: 7, exposure: { front: 100, back: 90, left: 75, right: 100 } }
+};
+
+// Shooter at the origin, target 500 px to the east (radius 50).
+const origin = { x: 0, y: 0 };
+const center = { x: 500, y: 0 };
+const lowWall = (over = {}) => ({
+  id: 'wall', shape: { kind: 'segment', a: { x: 400, y: -200 }, b: { x: 400, y: 200 } }, height: 0.5, ...over
+});
+
+/* ---- Geometry ------------------------------------------------------- */
+{
+  assert('ray crosses a segment', rayHitsObstacle(origin, center, lowWall().shape) !== null);
+  assert('ray misses a circle aside', rayHitsObstacle(origin, center, { kind: 'circle', center: { x: 250, y: 80 }, radius: 30 }) === null);
+  assert('ray ending inside a rect hits it', rayHitsObstacle(origin, center, { kind: 'rect', x: 450, y: -50, width: 100, height: 100 }) === 1);
+}
+
+/* ---- Profile -------------------------------------------------------- */
+{
+  const open = resolveCoverProfile({ origin, center, radius: 50, obstacles: [] });
+  assert('no obstacles — nothing hidden', open.hiddenFraction === 0 && open.columns.length === 7);
+  const low = resolveCoverProfile({ origin, center, radius: 50, obstacles: [lowWall()] });
+  assert('low wall hides half', Math.abs(low.hiddenFraction - 0.5) < 1e-9, String(low.hiddenFraction));
+  // A token beside the line covers the shooter's right side only (south of the line).
+  const side = resolveCoverProfile({
+    origin, center, radius: 50,
+    obstacles: [{ id: 't', shape: { kind: 'circle', center: { x: 300, y: 40 }, radius: 20 }, height: 1 }]
+  });
+  const covered = side.columns.filter((c) => c.hard > 0).map((c) => c.u);
+  assert('token covers the right-hand columns', covered.length > 0 && covered.every((u) => u > 0.5), JSON.stringify(covered));
+}
+
+/* ---- Body parts ----------------------------------------------------- */
+{
+  const sil = bodyPartSilhouette(PARTS, 'front');
+  assert('front view mirrors the target', sil.leftArm.u > sil.rightArm.u, JSON.stringify(sil));
+  assert('head is higher than shins', sil.head.v > sil.leftShin.v);
+  assert('side view puts parts in the middle', bodyPartSilhouette(PARTS, 'left').leftArm.u === 0.5);
+
+  const profile = resolveCoverProfile({ origin, center, radius: 50, obstacles: [lowWall()] });
+  const res = applyCoverToBodyParts({ bodyParts: PARTS, direction: 'front', profile });
+  assert('low wall hides the shins', res.coveredPartIds.includes('leftShin') && res.coveredPartIds.includes('rightShin'),
+    JSON.stringify(res.coveredPartIds));
+  assert('covered exposure is zeroed on the struck side only',
+    res.bodyParts.leftShin.exposure.front === 0 && res.bodyParts.leftShin.exposure.back === 90);
+  assert('upper body stays exposed', !res.coveredPartIds.includes('chest') && !res.fullyCovered);
+  assert('source anatomy is untouched', PARTS.leftShin.exposure.front === 100);
+
+  const full = resolveCoverProfile({ origin, center, radius: 50, obstacles: [lowWall({ height: 1 })] });
+  assert('full-height wall covers everything', applyCoverToBodyParts({ bodyParts: PARTS, direction: 'front', profile: full }).fullyCovered);
+}
+
+/* ---- Destructible cover --------------------------------------------- */
+{
+  const fence = lowWall({ destructible: true, layers: [{ material: 'wood', thickness: 2 }] });
+  const profile = resolveCoverProfile({ origin, center, radius: 50, obstacles: [fence] });
+  const res = applyCoverToBodyParts({ bodyParts: PARTS, direction: 'front', profile });
+  assert('destructible cover hides nothing', res.coveredPartIds.length === 0);
+  assert('parts behind it carry the obstacle', res.obstaclesByPart.leftShin?.[0]?.id === 'wall' && !res.obstaclesByPart.head,
+    JSON.stringify(res.obstaclesByPart));
+
+  const cover = normalizeCover({ enabled: true, destructible: true, material: 'wood', thickness: 3 });
+  assert('fresh cover gets a layer of its material', coverObstacleLayers(cover)[0]?.thickness === 3);
+  assert('worn stack wins', coverObstacleLayers({ ...cover, layers: [{ material: 'wood', thickness: 3, integrity: 1 }] })[0].integrity === 1);
+  assert('worn-out detection', isCoverWornOut([{ integrity: 0 }]) && !isCoverWornOut([{ integrity: 2 }]) && !isCoverWornOut([]));
+}
+
+/* ---- Traversal obstacle layer --------------------------------------- */
+{
+  const MATERIALS = {
+    plank: { materialId: 'plank', resistance: { ballistic: 5 }, wear: { ballistic: 1 }, integrityPerThickness: 10 }
+  };
+  const anatomy = { bodyParts: { chest: { id: 'chest', exposure: { front: 100 }, relations: [], bodyLayers: [] } } };
+  const apps = [{ mode: 'sequential', items: [{ type: 'ballistic', damage: 20 }] }];
+  const plain = resolveBodyTraversal({ anatomy, startSlotRef: 'chest', applications: apps, random: () => 0.5 });
+  const through = resolveBodyTraversal({
+    anatomy,
+    startSlotRef: 'chest',
+    applications: apps,
+    obstacles: [{ id: 'fence', layers: [{ material: 'plank', thickness: 2 }] }],
+    resolveMaterial: (id) => MATERIALS[id],
+    random: () => 0.5
+  });
+  const dmg = (r) => (r.bodyDamageBySlot.chest ?? []).reduce((s, d) => s + d.amount, 0);
+  assert('obstacle layer soaks damage', dmg(through) < dmg(plain), `${dmg(through)} vs ${dmg(plain)}`);
+  assert('obstacle wear is reported', through.obstacleUpdates[0]?.id === 'fence'
+    && through.obstacleUpdates[0].layers[0].integrity < 20, JSON.stringify(through.obstacleUpdates));
+  assert('obstacle trace is tagged', through.trace.some((e) => e.phase === 'obstacle' && e.obstacleId === 'fence'));
+  assert('no obstacles — no updates', plain.obstacleUpdates.length === 0);
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll cover smoke tests passed.');
+}
@@ -0,0 +1,196 @@
+/**
+ * World-defined damage types: the `customDamageTypes` world setting, its
+ * settings menu and the glue that merges the stored list into the damage
+ * type registry (see `registerCustomDamageTypes` in `damage-types.mjs`).
+ *
+ * After every change `CONFIG.SPACEHOLDER.damageTypes` is rebuilt and the
+ * materials index is re-normalized, so material sheets, weapon damage
+ * entries, the resolver and injury descriptions all see the same set.
+ */
+
+import { SPACEHOLDER } from '../config.mjs';
+import {
+  CUSTOM_SOURCE_VERBS,
+  CUSTOM_WOUND_FAMILIES,
+  DAMAGE_TYPE_CATEGORIES,
+  DEGRADATION_MODES,
+  buildDamageTypeConfig,
+  normalizeCustomDamageTypes,
+  registerCustomDamageTypes
+} from './damage-types.mjs';
+import { materialsManager } from './materials-manager.mjs';
+
+const MODULE_NS = 'spaceholder';
+export const CUSTOM_DAMAGE_TYPES_KEY = 'customDamageTypes';
+
+const TEMPLATE = 'systems/spaceholder/templates/settings/custom-damage-types.hbs';
+
+function _cap(s) {
+  const str = String(s ?? '');
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+/**
+ * @returns {Object[]} raw stored definitions
+ */
+export function getStoredCustomDamageTypes() {
+  try {
+    const stored = game.settings.get(MODULE_NS, CUSTOM_DAMAGE_TYPES_KEY);
+    return Array.isArray(stored?.types) ? stored.types : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Register `list` as the world's custom damage types and refresh everything
+ * derived from the registry.
+ * @param {unknown} list
+ * @returns {string[]} registered ids
+ */
+export function applyCustomDamageTypes(list) {
+  const ids = registerCustomDamageTypes(list);
+  SPACEHOLDER.damageTypes = buildDamageTypeConfig();
+  if (game.ready) {
+    materialsManager.initialize().catch((e) => console.error('SpaceHolder | materials re-index failed', e));
+  }
+  return ids;
+}
+
+export function registerCustomDamageTypeSettings() {
+  game.settings.register(MODULE_NS, CUSTOM_DAMAGE_TYPES_KEY, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: { types: [] },
+    onChange: (value) => applyCustomDamageTypes(value?.types),
+  });
+
+  game.settings.registerMenu(MODULE_NS, `${CUSTOM_DAMAGE_TYPES_KEY}-menu`, {
+    name: 'SPACEHOLDER.Settings.CustomDamageTypes.Name',
+    label: 'SPACEHOLDER.Settings.CustomDamageTypes.Label',
+    hint: 'SPACEHOLDER.Settings.CustomDamageTypes.Hint',
+    icon: 'fas fa-burst',
+    type: CustomDamageTypesApp,
+    restricted: true,
+  });
+
+  applyCustomDamageTypes(getStoredCustomDamageTypes());
+}
+
+async function _onCustomDamageTypesSubmit(event, form, formData) {
+  return this?._onSubmit?.(event, form, formData);
+}
+
+export class CustomDamageTypesApp extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  static DEFAULT_OPTIONS = {
+    ...super.DEFAULT_OPTIONS,
+    id: 'spaceholder-custom-damage-types',
+    classes: ['spaceholder', 'settings-form', 'custom-damage-types'],
+    tag: 'form',
+    window: { title: 'SPACEHOLDER.Settings.CustomDamageTypes.Title', resizable: true },
+    position: { width: 760, height: 640 },
+    form: {
+      handler: _onCustomDamageTypesSubmit,
+      submitOnChange: false,
+      closeOnSubmit: false,
+    },
+  };
+
+  static PARTS = {
+    form: { template: TEMPLATE },
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this._draft = getStoredCustomDamageTypes().map((def) => ({
+      ...def,
+      defaultConductance: JSON.stringify(def.defaultConductance ?? []),
+      defaultSelfInduction: JSON.stringify(def.defaultSelfInduction ?? []),
+    }));
+  }
+
+  async _prepareContext() {
+    const L = (key) => game.i18n.localize(key);
+    const options = (values, current, labelFor) => values.map((value) => ({
+      value,
+      label: labelFor(value),
+      selected: value === current,
+    }));
+    return {
+      rows: this._draft.map((row, index) => ({
+        ...row,
+        index,
+        categories: options(DAMAGE_TYPE_CATEGORIES, row.category, (v) => L(`SPACEHOLDER.DamageTypes.Categories.${_cap(v)}`)),
+        degradations: options(Object.values(DEGRADATION_MODES), row.defaultDegradation, (v) => L(`SPACEHOLDER.Degradation.${_cap(v)}`)),
+        wounds: options(CUSTOM_WOUND_FAMILIES, row.wound, (v) => L(`SPACEHOLDER.Settings.CustomDamageTypes.Wounds.${_cap(v)}`)),
+        verbs: options(CUSTOM_SOURCE_VERBS, row.verb, (v) => L(`SPACEHOLDER.Settings.CustomDamageTypes.Verbs.${_cap(v)}`)),
+      })),
+    };
+  }
+
+  async _onRender(context, options) {
+    await super._onRender(context, options);
+    const root = this.element;
+    root.querySelector('[data-dt-action="add"]')?.addEventListener('click', (event) => {
+      event.preventDefault();
+      this._draft = this._readForm();
+      this._draft.push({ id: '', label: '', description: '', category: 'niche', defaultDegradation: DEGRADATION_MODES.REDUCTION, wound: 'bleeding', verb: 'strike', defaultConductance: '[]', defaultSelfInduction: '[]' });
+      this.render();
+    });
+    root.querySelectorAll('[data-dt-action="remove"]').forEach((btn) => {
+      btn.addEventListener('click', (event) => {
+        event.preventDefault();
+        const index = Number(btn.dataset.index);
+        this._draft = this._readForm().filter((_, i) => i !== index);
+        this.render();
+      });
+    });
+  }
+
+  /**
+   * Current form rows in display order; JSON fields stay raw strings.
+   * @returns {Object[]}
+   */
+  _readForm() {
+    const data = foundry.utils.expandObject(new foundry.applications.ux.FormDataExtended(this.element).object);
+    return Object.entries(data.types ?? {})
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .map(([, row]) => ({ ...row }));
+  }
+
+  async _onSubmit() {
+    const rows = this._readForm();
+    this._draft = rows;
+    const parsed = [];
+    for (const row of rows) {
+      const entry = { ...row };
+      for (const [field, labelKey] of [['defaultConductance', 'Conductance'], ['defaultSelfInduction', 'SelfInduction']]) {
+        const raw = String(row[field] ?? '').trim();
+        try {
+          entry[field] = raw ? JSON.parse(raw) : [];
+        } catch (_) {
+          ui.notifications?.warn?.(game.i18n.format('SPACEHOLDER.Settings.CustomDamageTypes.InvalidJson', {
+            id: row.id || '?',
+            field: game.i18n.localize(`SPACEHOLDER.Settings.CustomDamageTypes.Fields.${labelKey}`),
+          }));
+          return;
+        }
+      }
+      parsed.push(entry);
+    }
+
+    const types = normalizeCustomDamageTypes(parsed)
+      .map(({ custom: _custom, lingering: _lingering, ...def }) => def);
+    const dropped = parsed.length - types.length;
+    if (dropped > 0) {
+      ui.notifications?.warn?.(game.i18n.format('SPACEHOLDER.Settings.CustomDamageTypes.Dropped', { count: dropped }));
+      return;
+    }
+    await game.settings.set(MODULE_NS, CUSTOM_DAMAGE_TYPES_KEY, { types });
+    ui.notifications?.info?.(game.i18n.localize('SPACEHOLDER.Settings.CustomDamageTypes.Saved'));
+    this.close();
+  }
+}
@@ -18,9 +18,16 @@
  */
 
 import { resolveDamagePackage, normalizeApplications } from './damage-resolver.mjs';
-import { ensureLayerDefaults } from './materials-manager.mjs';
+import { ensureLayerDefaults, normalizeMaterial } from './materials-manager.mjs';
 import { TEST_MATERIAL_FIXTURES } from './__fixtures__/test-materials.mjs';
-import { DEGRADATION_MODES } from './damage-types.mjs';
+import {
+  DEGRADATION_MODES,
+  buildDamageTypeConfig,
+  getDamageType,
+  getDamageTypeIds,
+  isDamageType,
+  registerCustomDamageTypes
+} from './damage-types.mjs';
 
 let failed = 0;
 
@@ -576,6 +583,41 @@ function integrityLoss(result, idx) {
     JSON.stringify(result.layers));
 }
 
+/* ---- Custom (world-defined) damage types ---------------------------- */
+{
+  const ids = registerCustomDamageTypes([
+    { id: 'psionic', label: 'Psionic', defaultSelfInduction: [{ type: 'thermal', fraction: 0.5 }, { type: 'nanite', fraction: 0.2 }] },
+    { id: 'nanite', defaultDegradation: 'bypass' },
+    { id: 'thermal' },
+    { id: 'Bad id' },
+    { id: 'psionic' }
+  ]);
+  assert('CaseCustom: only well-formed, unique, non-built-in ids register', ids.join() === 'psionic,nanite', ids.join());
+  assert('CaseCustom: custom ids follow the built-ins',
+    isDamageType('psionic') && getDamageTypeIds().slice(-2).join() === 'psionic,nanite');
+  assert('CaseCustom: self-induction may point at another custom type',
+    getDamageType('psionic').defaultSelfInduction.length === 2 && getDamageType('nanite').defaultDegradation === 'bypass',
+    JSON.stringify(getDamageType('psionic')));
+  assert('CaseCustom: CONFIG map carries custom types', buildDamageTypeConfig().psionic?.custom === true);
+
+  const psiShield = normalizeMaterial({ materialId: 'psi-shield', hardness: 1, integrityPerThickness: 10, resistance: { psionic: 100 } });
+  assert('CaseCustom: materials get per-type rows for custom types',
+    psiShield.resistance.psionic === 100 && psiShield.degradation.nanite === DEGRADATION_MODES.BYPASS);
+
+  const result = resolveDamagePackage({
+    layers: [ensureLayerDefaults({ material: 'psi-shield', thickness: 1 }, psiShield)],
+    applications: [{ mode: 'sequential', items: [{ type: 'psionic', damage: 4, armorPen: 1 }] }],
+    resolveMaterial: () => psiShield,
+    random: determRandom
+  });
+  assert('CaseCustom: E=4 > eAR=1 → residual 3 psionic',
+    approxEqual(bodyAmount(result.bodyDamage, 'psionic'), 3), JSON.stringify(result.bodyDamage));
+
+  registerCustomDamageTypes([]);
+  assert('CaseCustom: clearing the registry drops the type again',
+    !isDamageType('psionic') && normalizeApplications([{ type: 'psionic', damage: 4 }]).length === 0);
+}
+
 if (failed > 0) {
   console.error(`\n${failed} assertion(s) failed.`);
   process.exit(1);
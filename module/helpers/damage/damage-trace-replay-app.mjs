@@ -0,0 +1,406 @@
+/**
+ * Damage trace replay viewer: steps through a stored resolver trace layer
+ * by layer — shields, conductance, eAR checks, self-induction and the
+ * transfer rolls between body parts.
+ *
+ * Opened from the «Replay» button on shot chat cards. Cards written since
+ * the viewer exists keep the full trace in `flags.spaceholder.damageTrace`;
+ * older cards only have the rendered `<details>` list, which the viewer
+ * replays line by line.
+ */
+
+import { DAMAGE_TRACE_FLAG, buildTraceReplay, readStoredTrace } from './damage-trace-replay.mjs';
+
+const MODULE_NS = 'spaceholder';
+
+const TEMPLATE = 'systems/spaceholder/templates/damage/damage-trace-replay-app.hbs';
+
+let _singleton = null;
+let _hooksInstalled = false;
+
+function L(key, fallback = key) {
+  const out = game?.i18n?.localize?.(key);
+  return out && out !== key ? out : fallback;
+}
+
+function Lf(key, data, fallback = key) {
+  const out = game?.i18n?.format?.(key, data);
+  if (out && out !== key) return out;
+  return String(fallback).replace(/\{(\w+)\}/g, (_, name) => String(data?.[name] ?? ''));
+}
+
+function fmt(value, digits = 2) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return '∞';
+  const factor = 10 ** digits;
+  return String(Math.round(n * factor) / factor);
+}
+
+function _cap(s) {
+  const str = String(s ?? '');
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+function _materialName(id) {
+  const slug = String(id ?? '').trim();
+  if (!slug) return '';
+  try {
+    return game.spaceholder?.materialsManager?.getMaterial?.(slug)?.name || slug;
+  } catch (_) {
+    return slug;
+  }
+}
+
+function _typeLabel(type) {
+  const def = CONFIG.SPACEHOLDER?.damageTypes?.[type];
+  if (!def) return String(type ?? '');
+  return def.custom ? def.label : L(def.label, type);
+}
+
+function _isTraceDetails(details) {
+  const summary = details?.querySelector?.(':scope > summary');
+  return /^trace\b/i.test(String(summary?.textContent ?? '').trim());
+}
+
+/**
+ * Hits of a card without stored flags: every trace `<details>` becomes one
+ * hit whose steps are the rendered lines.
+ *
+ * @param {string} content - message HTML
+ * @returns {Array<{legacy: true, label: string, rows: string[]}>}
+ */
+function _legacyHitsFromContent(content) {
+  if (typeof DOMParser === 'undefined') return [];
+  const doc = new DOMParser().parseFromString(String(content ?? ''), 'text/html');
+  return [...doc.querySelectorAll('details')].filter(_isTraceDetails).map((details) => ({
+    legacy: true,
+    label: String(details.parentElement?.firstElementChild?.textContent ?? '').trim(),
+    rows: [...details.querySelectorAll('li')].map((li) => li.innerHTML),
+  }));
+}
+
+/**
+ * @param {ChatMessage} message
+ * @returns {{title: string, hits: Array<Object>}|null}
+ */
+export function getMessageDamageTrace(message) {
+  const stored = readStoredTrace(message?.getFlag?.(MODULE_NS, DAMAGE_TRACE_FLAG) ?? message?.flags?.[MODULE_NS]?.[DAMAGE_TRACE_FLAG]);
+  if (stored) return stored;
+  const hits = _legacyHitsFromContent(message?.content);
+  return hits.length ? { title: '', hits } : null;
+}
+
+/**
+ * Open the viewer for a message.
+ *
+ * @param {ChatMessage} message
+ * @param {Object} [options]
+ * @param {number} [options.hitIndex=0]
+ * @returns {DamageTraceReplayApp|null}
+ */
+export function openDamageTraceReplay(message, { hitIndex = 0 } = {}) {
+  const source = getMessageDamageTrace(message);
+  if (!source?.hits.length) {
+    ui.notifications?.warn?.(L('SPACEHOLDER.TraceReplay.NoTrace', 'This message has no damage trace.'));
+    return null;
+  }
+  if (!_singleton) _singleton = new DamageTraceReplayApp();
+  _singleton.setSource(source, { messageId: message?.id ?? null, hitIndex });
+  _singleton.render(true);
+  _singleton.bringToFront?.();
+  return _singleton;
+}
+
+export class DamageTraceReplayApp extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  static DEFAULT_OPTIONS = {
+    ...super.DEFAULT_OPTIONS,
+    id: 'spaceholder-damage-trace-replay',
+    classes: ['spaceholder', 'damage-trace-replay'],
+    tag: 'div',
+    window: { title: 'SPACEHOLDER.TraceReplay.Title', resizable: true },
+    position: { width: 640, height: 620 },
+  };
+
+  static PARTS = {
+    main: { root: true, template: TEMPLATE },
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this._source = { title: '', hits: [] };
+    this._messageId = null;
+    this._hitIndex = 0;
+    this._stepIndex = 0;
+    this._replay = null;
+  }
+
+  async close(options = {}) {
+    await super.close(options);
+    if (_singleton === this) _singleton = null;
+  }
+
+  /**
+   * @param {{title:string, hits:Array<Object>}} source
+   * @param {{messageId?: string|null, hitIndex?: number}} [options]
+   */
+  setSource(source, { messageId = null, hitIndex = 0 } = {}) {
+    this._source = source ?? { title: '', hits: [] };
+    this._messageId = messageId;
+    this._selectHit(hitIndex);
+  }
+
+  _selectHit(index) {
+    const count = this._source.hits.length;
+    this._hitIndex = Math.max(0, Math.min(count - 1, Number(index) || 0));
+    const hit = this._source.hits[this._hitIndex];
+    this._replay = hit && !hit.legacy ? buildTraceReplay(hit) : null;
+    this._stepIndex = 0;
+  }
+
+  _stepCount() {
+    const hit = this._source.hits[this._hitIndex];
+    if (!hit) return 0;
+    return hit.legacy ? hit.rows.length : this._replay?.steps.length ?? 0;
+  }
+
+  _partLabel(hit, slotRef) {
+    if (!slotRef) return '';
+    try {
+      const actor = hit?.targetUuid ? fromUuidSync(hit.targetUuid) : null;
+      const part = actor?.system?.health?.bodyParts?.[slotRef];
+      if (part?.name) return String(part.name);
+    } catch (_) {
+      /* ignore */
+    }
+    if (slotRef === hit?.slotRef && hit?.partLabel) return hit.partLabel;
+    return slotRef;
+  }
+
+  /**
+   * One-line «why» for a step.
+   * @param {Object} step
+   * @returns {string}
+   */
+  _explain(step) {
+    const data = {
+      type: _typeLabel(step.type),
+      incoming: fmt(step.incoming),
+      amount: fmt(step.amount),
+      energy: fmt(step.energyBefore),
+      eAR: fmt(step.eAR),
+      residual: fmt(step.residual),
+      remaining: fmt(step.remaining),
+      absorbed: fmt(step.absorbed),
+      mode: L(`SPACEHOLDER.Degradation.${_cap(step.mode)}`, step.mode),
+      name: step.name ?? '',
+      roll: fmt(step.roll, 3),
+      chance: fmt(step.chance, 3),
+      target: step.target ?? '',
+    };
+    const key = `SPACEHOLDER.TraceReplay.Explain.${_cap(step.outcome)}`;
+    return Lf(key, data, '');
+  }
+
+  /**
+   * Labelled numbers shown on the step card, in reading order.
+   * @param {Object} step
+   * @param {Object} hit
+   * @returns {Array<{label:string, value:string}>}
+   */
+  _stepFields(step, hit) {
+    const rows = [];
+    const add = (key, value) => {
+      if (value === undefined || value === null || value === '') return;
+      rows.push({ label: L(`SPACEHOLDER.TraceReplay.Fields.${key}`, key), value: String(value) });
+    };
+    const num = (key, field, digits) => {
+      if (Number.isFinite(step[field])) add(key, fmt(step[field], digits));
+    };
+    if (step.kind === 'shield') add('Shield', step.name);
+    if (Number.isFinite(step.layerIndex)) add('Layer', `L${step.layerIndex}`);
+    add('Material', _materialName(step.material));
+    add('Type', _typeLabel(step.type));
+    num('Incoming', 'incoming');
+    num('Amount', 'amount');
+    num('Absorbed', 'absorbed');
+    num('Pool', 'valueAfter');
+    num('Remaining', 'remaining');
+    num('EnergyBefore', 'energyBefore');
+    num('EARBase', 'eARBase');
+    num('ArmorPen', 'armorPen');
+    if (Number.isFinite(step.hardnessProj) || Number.isFinite(step.hardnessMat)) {
+      add('Hardness', `${fmt(step.hardnessProj)} / ${fmt(step.hardnessMat)}`);
+    }
+    num('EAR', 'eAR');
+    num('EnergyAfter', 'energyAfter');
+    num('Residual', 'residual');
+    if (step.mode) add('Mode', L(`SPACEHOLDER.Degradation.${_cap(step.mode)}`, step.mode));
+    num('Wear', 'wear');
+    num('Integrity', 'integrityAfter');
+    num('Breach', 'breachAfter');
+    num('Roll', 'roll', 3);
+    num('Chance', 'chance', 3);
+    if (step.kind === 'transfer') add('Target', step.target ? this._partLabel(hit, step.target) : '—');
+    return rows;
+  }
+
+  async _prepareContext() {
+    const hits = this._source.hits;
+    const hit = hits[this._hitIndex] ?? null;
+    const total = this._stepCount();
+    const current = Math.max(0, Math.min(total - 1, this._stepIndex));
+    this._stepIndex = current;
+
+    const context = {
+      title: this._source.title,
+      hasHits: hits.length > 0,
+      hitOptions: hits.map((h, i) => ({
+        index: i,
+        label: h.legacy ? (h.label || `#${i + 1}`) : `${h.targetName} [${h.partLabel || h.slotRef}]`,
+        selected: i === this._hitIndex,
+      })),
+      multipleHits: hits.length > 1,
+      summary: hit?.legacy ? '' : hit?.summary ?? '',
+      legacy: !!hit?.legacy,
+      empty: total === 0,
+      counter: Lf('SPACEHOLDER.TraceReplay.Counter', { n: current + 1, total }, `${current + 1} / ${total}`),
+      atStart: current <= 0,
+      atEnd: current >= total - 1,
+      stages: [],
+      steps: [],
+      step: null,
+    };
+    if (!hit || !total) return context;
+
+    if (hit.legacy) {
+      context.steps = hit.rows.map((html, i) => ({ index: i, html, active: i === current }));
+      context.legacyHtml = hit.rows[current];
+      return context;
+    }
+
+    const { steps, stages } = this._replay;
+    const step = steps[current];
+    context.stages = stages.map((stage, i) => ({
+      first: stage.first,
+      label: `${this._partLabel(hit, stage.slotRef)} · ${L(`SPACEHOLDER.TraceReplay.Phases.${_cap(stage.phase)}`, stage.phase)}`,
+      active: i === step.stage,
+    }));
+    context.steps = steps.map((s) => ({
+      index: s.index,
+      active: s.index === current,
+      outcome: s.outcome,
+      outcomeLabel: L(`SPACEHOLDER.TraceReplay.Outcomes.${_cap(s.outcome)}`, s.outcome),
+      where: Number.isFinite(s.layerIndex) ? `L${s.layerIndex} ${_materialName(s.material)}` : this._partLabel(hit, s.slotRef),
+    }));
+    context.step = {
+      outcome: step.outcome,
+      outcomeLabel: L(`SPACEHOLDER.TraceReplay.Outcomes.${_cap(step.outcome)}`, step.outcome),
+      explain: this._explain(step),
+      fields: this._stepFields(step, hit),
+      conversions: step.conversions.map((c) => ({
+        type: _typeLabel(c.type),
+        text: Number.isFinite(c.amount)
+          ? fmt(c.amount)
+          : Lf('SPACEHOLDER.TraceReplay.Induced', { absorbed: fmt(c.absorbed), overflow: fmt(c.overflow) }, `${fmt(c.absorbed)} / ${fmt(c.overflow)}`),
+      })),
+    };
+    return context;
+  }
+
+  _go(index) {
+    const total = this._stepCount();
+    const next = Math.max(0, Math.min(total - 1, Number(index) || 0));
+    if (next === this._stepIndex) return;
+    this._stepIndex = next;
+    this.render(false);
+  }
+
+  async _onRender(context, options) {
+    await super._onRender(context, options);
+    const el = this.element;
+    if (!el) return;
+
+    el.querySelector('[data-trace-field="hit"]')?.addEventListener('change', (event) => {
+      this._selectHit(event.currentTarget.value);
+      this.render(false);
+    });
+    el.querySelectorAll('[data-trace-action]').forEach((btn) => {
+      btn.addEventListener('click', (event) => {
+        event.preventDefault();
+        const total = this._stepCount();
+        switch (btn.dataset.traceAction) {
+          case 'first': this._go(0); break;
+          case 'prev': this._go(this._stepIndex - 1); break;
+          case 'next': this._go(this._stepIndex + 1); break;
+          case 'last': this._go(total - 1); break;
+          case 'goto': this._go(btn.dataset.step); break;
+          default: break;
+        }
+      });
+    });
+    if (!this._keysBound) {
+      this._keysBound = true;
+      el.addEventListener('keydown', (event) => {
+        if (event.target?.closest?.('select, input')) return;
+        if (event.key === 'ArrowLeft') { event.preventDefault(); this._go(this._stepIndex - 1); }
+        if (event.key === 'ArrowRight') { event.preventDefault(); this._go(this._stepIndex + 1); }
+      });
+    }
+    el.querySelector('.sh-trace-replay__step.is-active')?.scrollIntoView?.({ block: 'nearest' });
+  }
+}
+
+/**
+ * Add «Replay» buttons to a rendered card: one per stored hit block, or one
+ * per trace `<details>` on cards without flags.
+ *
+ * @param {ChatMessage} message
+ * @param {HTMLElement} root
+ */
+function _injectReplayButtons(message, root) {
+  if (!root?.querySelectorAll || root.querySelector('[data-action="sh-trace-replay"]')) return;
+  const stored = message?.flags?.[MODULE_NS]?.[DAMAGE_TRACE_FLAG];
+  const anchors = stored
+    ? [...root.querySelectorAll('[data-sh-trace-hit]')]
+    : [...root.querySelectorAll('details')].filter(_isTraceDetails);
+  anchors.forEach((anchor, i) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'sh-trace-replay-btn';
+    btn.dataset.action = 'sh-trace-replay';
+    btn.dataset.hitIndex = stored ? String(anchor.dataset.shTraceHit) : String(i);
+    btn.innerHTML = `<i class="fas fa-film" aria-hidden="true"></i> ${foundry.utils.escapeHTML(L('SPACEHOLDER.TraceReplay.Open', 'Replay'))}`;
+    if (stored) anchor.appendChild(btn);
+    else anchor.before(btn);
+  });
+}
+
+export function installDamageTraceChatHooks() {
+  if (_hooksInstalled || typeof Hooks === 'undefined') return;
+  _hooksInstalled = true;
+
+  // Document-level delegation so cards already in the log on load work too.
+  document.addEventListener(
+    'click',
+    (ev) => {
+      const btn = ev.target?.closest?.('[data-action="sh-trace-replay"]');
+      if (!btn) return;
+      ev.preventDefault();
+      ev.stopPropagation();
+      const messageId = btn.closest('[data-message-id]')?.dataset?.messageId;
+      const message = messageId ? game.messages?.get(messageId) : null;
+      if (message) openDamageTraceReplay(message, { hitIndex: Number(btn.dataset.hitIndex) || 0 });
+    },
+    true
+  );
+
+  Hooks.on('renderChatMessageHTML', (message, html) => {
+    try {
+      _injectReplayButtons(message, html?.jquery ? html[0] : html);
+    } catch (e) {
+      console.error('SpaceHolder | damage trace replay button failed', e);
+    }
+  });
+}
@@ -0,0 +1,214 @@
+/**
+ * Damage trace replay — turns the raw resolver trace (events from
+ * `resolveDamagePackage` tagged with `slotRef` / `phase` by
+ * `resolveBodyTraversal`) into numbered steps for the replay viewer, and
+ * packs hits for storage on chat messages (`flags.spaceholder.damageTrace`).
+ *
+ * Every step carries a plain `outcome` the viewer can style on:
+ *
+ *   shield      — an energy shield soaked part of the hit;
+ *   conducted   — part of the hit leaked to the next layer, maybe as
+ *                 another type;
+ *   bypassed    — the layer was not active (degradation roll / breach);
+ *   penetrated  — energy beat the layer's eAR, the residual went on;
+ *   held        — eAR stopped the hit;
+ *   induced     — a holding layer converted the hit (self-induction);
+ *   body        — damage reached the part centre;
+ *   transferred / stopped — the roll against `relations.behind`.
+ *
+ * The module is pure — it does not import Foundry.
+ */
+
+export const DAMAGE_TRACE_SCHEMA = 1;
+
+/** Message flag key (`flags.spaceholder.damageTrace`). */
+export const DAMAGE_TRACE_FLAG = 'damageTrace';
+
+const OUTCOMES = Object.freeze({
+  shield: 'shield',
+  conduct: 'conducted',
+  bypass: 'bypassed',
+  penetrate: 'penetrated',
+  hold: 'held',
+  'self-induce': 'induced',
+  body: 'body'
+});
+
+/** Numeric fields copied from trace events onto steps. */
+const NUMBER_FIELDS = Object.freeze([
+  'layerIndex', 'incoming', 'amount', 'remaining', 'absorbed', 'valueAfter',
+  'ar', 'eARBase', 'eAR', 'energyBefore', 'energyAfter', 'energyAbsorbed',
+  'residual', 'wear', 'armorPen', 'hardnessProj', 'hardnessMat',
+  'resistancePercent', 'integrityAfter', 'breachAfter', 'roll', 'chance'
+]);
+
+function _num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function _round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+/**
+ * Deep-copy `value` with every finite number rounded to `digits` places.
+ * Keeps stored traces small without changing what the viewer shows.
+ *
+ * @param {unknown} value
+ * @param {number} [digits=3]
+ * @returns {unknown}
+ */
+export function roundTraceNumbers(value, digits = 3) {
+  if (typeof value === 'number') return Number.isFinite(value) ? _round(value, digits) : value;
+  if (Array.isArray(value)) return value.map((v) => roundTraceNumbers(v, digits));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      out[key] = roundTraceNumbers(v, digits);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Pack one resolved hit for `flags.spaceholder.damageTrace.hits`.
+ *
+ * @param {Object} hit
+ * @param {string} [hit.targetName]
+ * @param {string} [hit.targetUuid]
+ * @param {string} [hit.partLabel]
+ * @param {string} [hit.slotRef]
+ * @param {string} [hit.summary] - one-line result shown on the card
+ * @param {Array<Object>} [hit.trace]
+ * @param {Array<Object>} [hit.path]
+ * @returns {Object}
+ */
+export function packTraceHit({ targetName, targetUuid, partLabel, slotRef, summary, trace, path } = {}) {
+  return {
+    targetName: String(targetName ?? ''),
+    targetUuid: targetUuid ? String(targetUuid) : null,
+    partLabel: String(partLabel ?? ''),
+    slotRef: String(slotRef ?? ''),
+    summary: String(summary ?? ''),
+    trace: roundTraceNumbers(Array.isArray(trace) ? trace : []),
+    path: roundTraceNumbers(Array.isArray(path) ? path : [])
+  };
+}
+
+/**
+ * Normalize one trace event into a replay step.
+ *
+ * @param {Object} ev
+ * @param {number} index
+ * @returns {Object|null}
+ */
+function _toStep(ev, index) {
+  if (!ev || typeof ev !== 'object') return null;
+  const kind = String(ev.kind ?? '');
+  const step = {
+    index,
+    kind,
+    phase: String(ev.phase ?? ''),
+    slotRef: String(ev.slotRef ?? ''),
+    material: ev.material != null ? String(ev.material) : '',
+    type: String(ev.type ?? ev.fromType ?? ''),
+    mode: ev.mode != null ? String(ev.mode) : '',
+    outcome: OUTCOMES[kind] ?? kind,
+    conversions: []
+  };
+  for (const field of NUMBER_FIELDS) {
+    const n = _num(ev[field]);
+    if (n !== null) step[field] = n;
+  }
+
+  switch (kind) {
+    case 'shield':
+      step.name = String(ev.name ?? ev.itemId ?? '');
+      step.collapsed = ev.collapsed === true;
+      break;
+    case 'conduct':
+      step.conversions = (Array.isArray(ev.items) ? ev.items : [])
+        .map((it) => ({ type: String(it?.type ?? ''), amount: _num(it?.amount) ?? 0 }));
+      break;
+    case 'self-induce':
+      step.conversions = (Array.isArray(ev.entries) ? ev.entries : [])
+        .map((e) => ({ type: String(e?.type ?? ''), absorbed: _num(e?.absorbed) ?? 0, overflow: _num(e?.overflow) ?? 0 }));
+      break;
+    case 'transfer':
+      step.target = ev.target ? String(ev.target) : null;
+      step.direction = String(ev.direction ?? '');
+      step.outcome = step.target ? 'transferred' : 'stopped';
+      break;
+    default:
+      break;
+  }
+  return step;
+}
+
+/**
+ * Build the replay for one stored hit.
+ *
+ * Steps keep trace order (the resolver already emits them in the order
+ * they happened). Stages group consecutive steps sharing `slotRef` and
+ * `phase`, so the viewer can show «chest · entry», «chest · transfer»,
+ * «back · exit»… as a breadcrumb.
+ *
+ * @param {Object} hit
+ * @param {Array<Object>} [hit.trace]
+ * @param {Array<Object>} [hit.path]
+ * @returns {{
+ *   steps: Array<Object>,
+ *   stages: Array<{key:string, slotRef:string, phase:string, first:number, last:number}>,
+ *   path: Array<Object>
+ * }}
+ */
+export function buildTraceReplay({ trace, path } = {}) {
+  const steps = [];
+  for (const ev of Array.isArray(trace) ? trace : []) {
+    const step = _toStep(ev, steps.length);
+    if (step) steps.push(step);
+  }
+
+  const stages = [];
+  for (const step of steps) {
+    const last = stages[stages.length - 1];
+    if (last && last.slotRef === step.slotRef && last.phase === step.phase) {
+      last.last = step.index;
+      step.stage = stages.length - 1;
+      continue;
+    }
+    stages.push({
+      key: `${step.slotRef}:${step.phase}:${stages.length}`,
+      slotRef: step.slotRef,
+      phase: step.phase,
+      first: step.index,
+      last: step.index
+    });
+    step.stage = stages.length - 1;
+  }
+
+  return {
+    steps,
+    stages,
+    path: Array.isArray(path) ? path.filter((p) => p && typeof p === 'object') : []
+  };
+}
+
+/**
+ * Read the stored replay payload from message flags.
+ *
+ * @param {Object} flags - `message.flags.spaceholder.damageTrace`
+ * @returns {{schema:number, title:string, hits:Array<Object>}|null}
+ */
+export function readStoredTrace(flags) {
+  if (!flags || typeof flags !== 'object' || !Array.isArray(flags.hits)) return null;
+  return {
+    schema: Number(flags.schema) || DAMAGE_TRACE_SCHEMA,
+    title: String(flags.title ?? ''),
+    hits: flags.hits.filter((h) => h && typeof h === 'object')
+  };
+}
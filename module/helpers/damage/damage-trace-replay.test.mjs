@@ -0,0 +1,107 @@
+/**
+ * Smoke tests for the damage trace replay builder. Runs in plain Node (no
+ * Foundry globals required). Execute with:
+ *   node module/helpers/damage/damage-trace-replay.test.mjs
+ */
+
+import {
+  buildTraceReplay,
+  packTraceHit,
+  readStoredTrace,
+  roundTraceNumbers
+} from './damage-trace-replay.mjs';
+import { resolveBodyTraversal } from './body-traversal-resolver.mjs';
+import { normalizeMaterial } from './materials-manager.mjs';
+import { TEST_MATERIAL_FIXTURES } from './__fixtures__/test-materials.mjs';
+import { SPACEHOLDER } from '../config.mjs';
+
+/** Defaults in `config.mjs` may disable tissue layers; the traversal case needs them. */
+SPACEHOLDER.anatomyBodyLayersInDamage = true;
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const resolveMaterial = (id) => normalizeMaterial(TEST_MATERIAL_FIXTURES[id] ?? { materialId: id });
+
+/* ---- Storage ------------------------------------------------------- */
+{
+  const rounded = roundTraceNumbers({ a: 1.23456, b: [2.00049, 'x'], c: undefined, d: Infinity });
+  assert('numbers are rounded deeply', rounded.a === 1.235 && rounded.b[0] === 2 && rounded.b[1] === 'x', JSON.stringify(rounded));
+  assert('undefined fields are dropped, non-finite kept', !('c' in rounded) && rounded.d === Infinity);
+
+  const packed = packTraceHit({ targetName: 'Bob', slotRef: 'chest', trace: [{ kind: 'body', type: 'ballistic', amount: 1.00001 }] });
+  assert('packed hit keeps the trace', packed.trace[0].amount === 1 && packed.path.length === 0 && packed.targetUuid === null, JSON.stringify(packed));
+
+  assert('stored payload is read back', readStoredTrace({ hits: [packed, null] })?.hits.length === 1);
+  assert('missing payload reads as null', readStoredTrace(undefined) === null && readStoredTrace({}) === null);
+}
+
+/* ---- Steps & stages ------------------------------------------------ */
+{
+  const replay = buildTraceReplay({
+    trace: [
+      { kind: 'shield', slotRef: 'chest', phase: 'shield', name: 'Barrier', type: 'laser', incoming: 10, absorbed: 4, valueAfter: 0, collapsed: true },
+      { kind: 'conduct', slotRef: 'chest', phase: 'entry', layerIndex: 0, material: 'steel', fromType: 'electric', items: [{ type: 'electric', amount: 3 }], remaining: 1 },
+      { kind: 'penetrate', slotRef: 'chest', phase: 'entry', layerIndex: 0, material: 'steel', type: 'laser', incoming: 6, energyBefore: 50, energyAfter: 20, eAR: 30, residual: 2, mode: 'reduction' },
+      { kind: 'hold', slotRef: 'chest', phase: 'entry', layerIndex: 1, material: 'bone', type: 'laser', incoming: 2, energyBefore: 20, eAR: 25, mode: 'bastion' },
+      { kind: 'self-induce', slotRef: 'chest', phase: 'entry', layerIndex: 1, material: 'bone', fromType: 'laser', entries: [{ type: 'thermal', absorbed: 1, overflow: 0.5 }] },
+      { kind: 'transfer', slotRef: 'chest', phase: 'transfer', roll: 0.2, chance: 0.5, target: 'back' },
+      { kind: 'body', slotRef: 'back', phase: 'entry', type: 'thermal', amount: 0.5 },
+      null
+    ],
+    path: [{ slotRef: 'chest' }, null]
+  });
+  const { steps, stages } = replay;
+  assert('one step per event', steps.length === 7 && steps.every((s, i) => s.index === i), JSON.stringify(steps));
+  assert('outcomes are named',
+    steps.map((s) => s.outcome).join() === 'shield,conducted,penetrated,held,induced,transferred,body', steps.map((s) => s.outcome).join());
+  assert('penetration keeps energy before/after and eAR',
+    steps[2].energyBefore === 50 && steps[2].energyAfter === 20 && steps[2].eAR === 30 && steps[2].mode === 'reduction');
+  assert('conductance conversions are listed', steps[1].conversions[0]?.type === 'electric' && steps[1].type === 'electric');
+  assert('self-induction conversions are listed', steps[4].conversions[0]?.overflow === 0.5);
+  assert('shield step keeps its name and collapse', steps[0].name === 'Barrier' && steps[0].collapsed === true);
+  assert('stages group slot × phase',
+    stages.map((s) => `${s.slotRef}:${s.phase}`).join() === 'chest:shield,chest:entry,chest:transfer,back:entry'
+      && stages[1].first === 1 && stages[1].last === 4 && steps[3].stage === 1, JSON.stringify(stages));
+  assert('path drops junk', replay.path.length === 1);
+
+  const stopped = buildTraceReplay({ trace: [{ kind: 'transfer', roll: 0.9, chance: 0.5, target: null }] });
+  assert('failed roll reads as stopped', stopped.steps[0].outcome === 'stopped' && stopped.steps[0].target === null);
+}
+
+/* ---- From a real traversal ----------------------------------------- */
+{
+  const anatomy = {
+    bodyParts: {
+      front: { id: 'front', exposure: { front: 100 }, relations: [{ kind: 'behind', direction: 'front', target: 'back', chance: 100 }], bodyLayers: [{ material: 'muscle', thickness: 1 }] },
+      back: { id: 'back', exposure: { back: 100 }, relations: [], bodyLayers: [{ material: 'muscle', thickness: 1 }] }
+    }
+  };
+  const res = resolveBodyTraversal({
+    anatomy,
+    startSlotRef: 'front',
+    applications: [{ mode: 'sequential', items: [{ type: 'piercing', damage: 50 }] }],
+    resolveMaterial,
+    random: () => 0.5
+  });
+  const replay = buildTraceReplay(packTraceHit({ trace: res.trace, path: res.path }));
+  assert('traversal replays with a transfer step between parts',
+    replay.steps.some((s) => s.outcome === 'transferred' && s.target === 'back')
+      && replay.stages[0].slotRef === 'front' && replay.stages[replay.stages.length - 1].slotRef === 'back',
+    JSON.stringify(replay.stages));
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll damage trace replay smoke tests passed.');
+}
@@ -16,9 +16,19 @@
  *      all of it, the remainder overflows into the next layer.
  *  - defaultDegradation  : how this damage type interprets a damaged layer
  *      ("reduction" | "distribution" | "chance" | "bypass" | "bastion").
+ *  - lingering   : `null` or a damage-over-time spec left behind by a hit
+ *      (burning, acid, accumulated dose); see
+ *      `lingering-effects.mjs` for the field meanings.
  *
  * Materials may override `conductance[T]`, `selfInduction[T]` and
- * `degradation[T]` per damage type. See
+ * `degradation[T]` per damage type.
+ *
+ * Worlds may add their own types ("psionic", "nanite", ...) on top of the
+ * frozen built-ins via {@link registerCustomDamageTypes}; custom types carry
+ * plain-text `label` / `description`, a `wound` family and a source `verb`
+ * for injury descriptions, and are marked `custom: true`. Use
+ * {@link getDamageTypeIds} rather than `DAMAGE_TYPE_IDS` wherever custom
+ * types must be included. See
  * [rulebook/ARMOR_PENETRATION.md](rulebook/ARMOR_PENETRATION.md) §3, §5 for
  * the full specification.
  */
@@ -96,7 +106,11 @@ export const DAMAGE_TYPES = Object.freeze({
     category: 'energetic',
     defaultConductance: [],
     defaultSelfInduction: [],
-    defaultDegradation: DEGRADATION_MODES.DISTRIBUTION
+    defaultDegradation: DEGRADATION_MODES.DISTRIBUTION,
+    lingering: {
+      kind: 'burn', source: 'incoming', surface: true,
+      fraction: 0.3, tickSeconds: 2, ticks: 3, decay: 0, stack: 'refresh'
+    }
   },
   laser: {
     id: 'laser',
@@ -157,7 +171,11 @@ export const DAMAGE_TYPES = Object.freeze({
     defaultSelfInduction: [
       { type: 'thermal', fraction: 0.05 }
     ],
-    defaultDegradation: DEGRADATION_MODES.REDUCTION
+    defaultDegradation: DEGRADATION_MODES.REDUCTION,
+    lingering: {
+      kind: 'dose', source: 'body', surface: false,
+      fraction: 0.5, tickSeconds: 60, ticks: 60, decay: 0.05, stack: 'add'
+    }
   },
   chemical: {
     id: 'chemical',
@@ -168,15 +186,36 @@ export const DAMAGE_TYPES = Object.freeze({
     defaultSelfInduction: [
       { type: 'thermal', fraction: 0.2 }
     ],
-    defaultDegradation: DEGRADATION_MODES.DISTRIBUTION
+    defaultDegradation: DEGRADATION_MODES.DISTRIBUTION,
+    lingering: {
+      kind: 'corrode', source: 'incoming', surface: true,
+      fraction: 0.25, tickSeconds: 3, ticks: 6, decay: 0.15, stack: 'add'
+    }
   }
 });
 
 /**
- * Stable list of damage-type ids (used for UI sorting and validation).
+ * Stable list of built-in damage-type ids (used for UI sorting and
+ * validation). World-defined types are not included — see
+ * {@link getDamageTypeIds}.
  */
 export const DAMAGE_TYPE_IDS = Object.freeze(Object.keys(DAMAGE_TYPES));
 
+/**
+ * Wound families a custom type may borrow for injury descriptions (see
+ * `computeWoundState`).
+ */
+export const CUSTOM_WOUND_FAMILIES = Object.freeze(['bleeding', 'cauterized', 'corrosive', 'none']);
+
+/**
+ * Source verbs a custom type may use in injury tooltips
+ * (`SPACEHOLDER.Injuries.SourceVerbs.*`).
+ */
+export const CUSTOM_SOURCE_VERBS = Object.freeze(['fire', 'strike', 'burn', 'expose', 'corrode']);
+
+/** World-defined damage types by id, in registration order. */
+let _customTypes = new Map();
+
 /**
  * Default ordering of categories for UI.
  */
@@ -188,7 +227,8 @@ export const DAMAGE_TYPE_CATEGORIES = Object.freeze(['mechanical', 'energetic',
  * @returns {boolean}
  */
 export function isDamageType(id) {
-  return typeof id === 'string' && Object.prototype.hasOwnProperty.call(DAMAGE_TYPES, id);
+  return typeof id === 'string'
+    && (Object.prototype.hasOwnProperty.call(DAMAGE_TYPES, id) || _customTypes.has(id));
 }
 
 /**
@@ -198,11 +238,103 @@ export function isDamageType(id) {
  */
 export function getDamageType(id) {
   if (!isDamageType(id)) return null;
-  return DAMAGE_TYPES[id];
+  return DAMAGE_TYPES[id] ?? _customTypes.get(id);
+}
+
+/**
+ * Built-in ids followed by world-defined ones.
+ * @returns {string[]}
+ */
+export function getDamageTypeIds() {
+  return [...DAMAGE_TYPE_IDS, ..._customTypes.keys()];
+}
+
+/**
+ * @param {string} id
+ * @returns {boolean} `true` for world-defined types
+ */
+export function isCustomDamageType(id) {
+  return _customTypes.has(id);
+}
+
+function _cleanFractionList(raw, knownIds) {
+  if (!Array.isArray(raw)) return [];
+  const out = [];
+  let total = 0;
+  for (const entry of raw) {
+    const type = String(entry?.type ?? '').trim();
+    const fraction = Number(entry?.fraction);
+    if (!knownIds.has(type) || !Number.isFinite(fraction) || fraction <= 0) continue;
+    const allowed = Math.min(fraction, 1 - total);
+    if (allowed <= 0) break;
+    out.push({ type, fraction: allowed });
+    total += allowed;
+  }
+  return out;
+}
+
+/**
+ * Validate a list of world-defined damage types. Entries with a missing or
+ * malformed id, or an id that shadows a built-in or repeats an earlier
+ * entry, are dropped. Conductance / self-induction may point at built-in
+ * types and at other entries of the same list.
+ *
+ * @param {unknown} list
+ * @returns {Object[]} normalized definitions
+ */
+export function normalizeCustomDamageTypes(list) {
+  const raw = Array.isArray(list) ? list : [];
+  const ids = [];
+  const accepted = [];
+  for (const entry of raw) {
+    const id = String(entry?.id ?? '').trim();
+    if (!/^[a-z][a-zA-Z0-9_-]*$/.test(id)) continue;
+    if (Object.prototype.hasOwnProperty.call(DAMAGE_TYPES, id) || ids.includes(id)) continue;
+    ids.push(id);
+    accepted.push(entry);
+  }
+
+  const knownIds = new Set([...DAMAGE_TYPE_IDS, ...ids]);
+  const modes = Object.values(DEGRADATION_MODES);
+  return accepted.map((entry, idx) => {
+    const id = ids[idx];
+    const category = String(entry.category ?? '').trim();
+    const degradation = String(entry.defaultDegradation ?? '').trim();
+    const wound = String(entry.wound ?? '').trim();
+    const verb = String(entry.verb ?? '').trim();
+    return {
+      id,
+      label: String(entry.label ?? '').trim() || id,
+      description: String(entry.description ?? '').trim(),
+      category: DAMAGE_TYPE_CATEGORIES.includes(category) ? category : 'niche',
+      defaultConductance: _cleanFractionList(entry.defaultConductance, knownIds),
+      defaultSelfInduction: _cleanFractionList(entry.defaultSelfInduction, knownIds),
+      defaultDegradation: modes.includes(degradation) ? degradation : DEGRADATION_MODES.REDUCTION,
+      lingering: null,
+      wound: CUSTOM_WOUND_FAMILIES.includes(wound) ? wound : 'bleeding',
+      verb: CUSTOM_SOURCE_VERBS.includes(verb) ? verb : 'strike',
+      custom: true
+    };
+  });
+}
+
+/**
+ * Replace the world-defined damage types. The built-in registry is never
+ * touched. Callers refresh `CONFIG.SPACEHOLDER.damageTypes` afterwards via
+ * {@link buildDamageTypeConfig}.
+ *
+ * @param {unknown} list - raw definitions (see {@link normalizeCustomDamageTypes})
+ * @returns {string[]} registered ids
+ */
+export function registerCustomDamageTypes(list) {
+  const defs = normalizeCustomDamageTypes(list);
+  _customTypes = new Map(defs.map((def) => [def.id, Object.freeze(def)]));
+  return defs.map((def) => def.id);
 }
 
 /**
- * Build a deep-cloned, mutable map of damage types ready to be exposed via
+ * Build a deep-cloned, mutable map of damage types (built-in and
+ * world-defined) ready to be exposed via
  * `CONFIG.SPACEHOLDER.damageTypes`. The clone protects the registry from
  * accidental runtime mutation (Foundry sometimes assigns localized labels in
  * place).
@@ -210,7 +342,8 @@ export function getDamageType(id) {
  */
 export function buildDamageTypeConfig() {
   const out = {};
-  for (const [id, def] of Object.entries(DAMAGE_TYPES)) {
+  for (const id of getDamageTypeIds()) {
+    const def = getDamageType(id);
     out[id] = {
       id,
       label: def.label,
@@ -218,8 +351,10 @@ export function buildDamageTypeConfig() {
       category: def.category,
       defaultConductance: def.defaultConductance.map((t) => ({ ...t })),
       defaultSelfInduction: def.defaultSelfInduction.map((t) => ({ ...t })),
-      defaultDegradation: def.defaultDegradation
+      defaultDegradation: def.defaultDegradation,
+      lingering: def.lingering ? { ...def.lingering } : null
     };
+    if (def.custom) Object.assign(out[id], { custom: true, wound: def.wound, verb: def.verb });
   }
   return out;
 }
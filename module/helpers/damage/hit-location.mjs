@@ -0,0 +1,249 @@
+/**
+ * Hit location — which body part a shot strikes, and from which side.
+ *
+ *  1. **Direction** — the angle between the shot's travel and the target's
+ *     facing gives the side the package enters from (`front` / `back` /
+ *     `left` / `right`, the anatomy exposure axes). It is fed into
+ *     {@link resolveBodyTraversal} as `hitDirection`.
+ *  2. **Part** — a weighted roll over the parts' `exposure[D]`; a part that
+ *     cannot be seen from that side (`exposure[D] === 0`) is never struck.
+ *     Anatomies without exposure on that side fall back to the sum over all
+ *     sides, then to a uniform roll.
+ *  3. **Aimed shot** — a shot called at a part lands there with a chance
+ *     that grows with the part's share of the exposure on that side
+ *     (`aimedMinChance + (aimedMaxChance - aimedMinChance) * share^aimedCurve`);
+ *     a miss falls back to the ordinary exposure roll.
+ *  4. **Pitch** — a shot coming in from above favours the high parts, one
+ *     from below the low ones: every part's exposure is scaled by
+ *     `max(pitchMinFactor, 1 + pitchBias * sin(pitch) * (2h - 1))`, where `h`
+ *     is the part's height in the body (0 — the lowest, 1 — the highest),
+ *     taken from the anatomy's `position3d.y`, else from its grid row.
+ *
+ * Angles are in degrees of the canvas axes (atan2, y down). Token rotation
+ * 0 faces down the screen, so facing = rotation + 90. The module is pure —
+ * it does not import Foundry.
+ */
+
+import { ANATOMY_EXPOSURE_DIRECTIONS, sanitizeExposure } from '../anatomy-relations.mjs';
+
+const CONFIG_DEFAULTS = Object.freeze({
+  aimedMinChance: 0.05,
+  aimedMaxChance: 0.9,
+  aimedCurve: 0.5,
+  pitchBias: 1,
+  pitchMinFactor: 0.1,
+});
+
+// Height of one grid row in the 3D layout (computeAnatomy3DLayout in
+// anatomy-editor-3d.mjs): lets `position3d.y` and grid rows be compared.
+const LAYOUT_ROW_HEIGHT = 0.62 * 0.95;
+const DEFAULT_GRID_HEIGHT = 10;
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _clamp01(v) {
+  return Math.max(0, Math.min(1, v));
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.hitLocation`
+ * @returns {{aimedMinChance:number, aimedMaxChance:number, aimedCurve:number, pitchBias:number, pitchMinFactor:number}}
+ */
+export function normalizeHitLocationConfig(config = null) {
+  const src = config && typeof config === 'object' ? config : {};
+  const min = _clamp01(_num(src.aimedMinChance, CONFIG_DEFAULTS.aimedMinChance));
+  return {
+    aimedMinChance: min,
+    aimedMaxChance: Math.max(min, _clamp01(_num(src.aimedMaxChance, CONFIG_DEFAULTS.aimedMaxChance))),
+    aimedCurve: Math.max(0.01, _num(src.aimedCurve, CONFIG_DEFAULTS.aimedCurve)),
+    pitchBias: Math.max(0, _num(src.pitchBias, CONFIG_DEFAULTS.pitchBias)),
+    pitchMinFactor: _clamp01(_num(src.pitchMinFactor, CONFIG_DEFAULTS.pitchMinFactor)),
+  };
+}
+
+/**
+ * Facing of a token in canvas degrees.
+ * @param {number} rotationDeg `TokenDocument.rotation`
+ * @returns {number}
+ */
+export function tokenFacingDeg(rotationDeg) {
+  return _num(rotationDeg, 0) + 90;
+}
+
+/**
+ * Side of the target the shot enters from.
+ * @param {number} travelDeg direction the shot travels in
+ * @param {number} facingDeg direction the target faces
+ * @returns {'front'|'back'|'left'|'right'}
+ */
+export function incomingHitDirection(travelDeg, facingDeg) {
+  // Bearing of the shooter's side relative to the facing, in (-180, 180].
+  let rel = (_num(travelDeg, 0) + 180 - _num(facingDeg, 0)) % 360;
+  if (rel > 180) rel -= 360;
+  if (rel <= -180) rel += 360;
+  const abs = Math.abs(rel);
+  if (abs <= 45) return 'front';
+  if (abs >= 135) return 'back';
+  // Canvas angles grow clockwise: a positive bearing is on the right hand.
+  return rel > 0 ? 'right' : 'left';
+}
+
+/**
+ * Travel direction at a token hit: from the hit point to the token centre,
+ * else from the shot origin.
+ * @param {object} args
+ * @param {{x:number, y:number}|null} args.point hit point
+ * @param {{x:number, y:number}} args.center token centre
+ * @param {{x:number, y:number}|null} [args.origin] shot origin
+ * @returns {number|null} degrees, `null` — unknown
+ */
+export function hitTravelDeg({ point, center, origin = null }) {
+  for (const from of [point, origin]) {
+    if (!from || !center) continue;
+    const dx = _num(center.x, 0) - _num(from.x, 0);
+    const dy = _num(center.y, 0) - _num(from.y, 0);
+    if (Math.hypot(dx, dy) > 0.5) return Math.atan2(dy, dx) * (180 / Math.PI);
+  }
+  return null;
+}
+
+/**
+ * Height of every part in the body.
+ * @param {Record<string, object>} bodyParts
+ * @param {number} [gridHeight] rows of the anatomy grid (`system.health.anatomyGrid.height`)
+ * @returns {Record<string, number>} 0 — the lowest part, 1 — the highest
+ */
+export function bodyPartHeights(bodyParts, gridHeight = DEFAULT_GRID_HEIGHT) {
+  const rows = Math.max(1, Math.trunc(_num(gridHeight, DEFAULT_GRID_HEIGHT)) || DEFAULT_GRID_HEIGHT);
+  const raw = {};
+  for (const [partId, part] of Object.entries(bodyParts ?? {})) {
+    const y3 = Number(part?.position3d?.y);
+    if (part?.position3d && Number.isFinite(y3)) raw[partId] = y3;
+    else if (Number.isFinite(Number(part?.y))) raw[partId] = (rows - Number(part.y) - 0.5) * LAYOUT_ROW_HEIGHT;
+  }
+  const values = Object.values(raw);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const out = {};
+  for (const partId of Object.keys(bodyParts ?? {})) {
+    out[partId] = partId in raw && max > min ? (raw[partId] - min) / (max - min) : 0.5;
+  }
+  return out;
+}
+
+/**
+ * Exposure factor of a part struck at `pitchDeg`.
+ * @param {number} height {@link bodyPartHeights}
+ * @param {number} pitchDeg positive — from above
+ * @param {object} [config]
+ * @returns {number}
+ */
+export function pitchHitFactor(height, pitchDeg, config = null) {
+  const cfg = normalizeHitLocationConfig(config);
+  const tilt = Math.sin((Math.max(-90, Math.min(90, _num(pitchDeg, 0))) * Math.PI) / 180);
+  return Math.max(cfg.pitchMinFactor, 1 + cfg.pitchBias * tilt * (2 * _clamp01(_num(height, 0.5)) - 1));
+}
+
+/**
+ * Scale the parts' exposure for a shot coming in at `pitchDeg`.
+ * @param {object} args
+ * @param {Record<string, object>} args.bodyParts
+ * @param {number} args.pitchDeg positive — from above
+ * @param {number} [args.gridHeight]
+ * @param {object} [args.config]
+ * @returns {Record<string, object>} a copy; the same object for a level shot
+ */
+export function applyPitchToBodyParts({ bodyParts, pitchDeg, gridHeight = DEFAULT_GRID_HEIGHT, config = null }) {
+  if (!_num(pitchDeg, 0)) return bodyParts ?? {};
+  const heights = bodyPartHeights(bodyParts, gridHeight);
+  const out = {};
+  for (const [partId, part] of Object.entries(bodyParts ?? {})) {
+    const factor = pitchHitFactor(heights[partId], pitchDeg, config);
+    const exposure = {};
+    for (const [dir, v] of Object.entries(sanitizeExposure(part?.exposure))) exposure[dir] = v * factor;
+    out[partId] = { ...part, exposure };
+  }
+  return out;
+}
+
+/**
+ * Roll weights of the parts for a side.
+ * @param {Record<string, object>} bodyParts
+ * @param {string} direction
+ * @returns {Array<{partId: string, weight: number}>}
+ */
+export function hitLocationWeights(bodyParts, direction) {
+  const entries = Object.entries(bodyParts ?? {});
+  const dir = ANATOMY_EXPOSURE_DIRECTIONS.includes(direction) ? direction : 'front';
+  const side = entries.map(([partId, part]) => ({
+    partId,
+    weight: Math.max(0, _num(sanitizeExposure(part?.exposure)[dir], 0)),
+  }));
+  if (side.some((w) => w.weight > 0)) return side.filter((w) => w.weight > 0);
+  const total = entries.map(([partId, part]) => ({
+    partId,
+    weight: Object.values(sanitizeExposure(part?.exposure)).reduce((sum, v) => sum + v, 0),
+  }));
+  if (total.some((w) => w.weight > 0)) return total.filter((w) => w.weight > 0);
+  return entries.map(([partId]) => ({ partId, weight: 1 }));
+}
+
+function _pickWeighted(weights, random) {
+  const sum = weights.reduce((acc, w) => acc + w.weight, 0);
+  if (!(sum > 0)) return null;
+  let roll = _clamp01(random()) * sum;
+  for (const w of weights) {
+    roll -= w.weight;
+    if (roll < 0) return w.partId;
+  }
+  return weights[weights.length - 1].partId;
+}
+
+/**
+ * Chance for a shot aimed at `partId` to land there.
+ * @param {Record<string, object>} bodyParts
+ * @param {string} partId
+ * @param {string} direction
+ * @param {object} [config]
+ * @returns {number} 0..1; 0 — the part cannot be seen from that side
+ */
+export function aimedHitChance(bodyParts, partId, direction, config = null) {
+  const weights = hitLocationWeights(bodyParts, direction);
+  const own = weights.find((w) => w.partId === partId)?.weight ?? 0;
+  const sum = weights.reduce((acc, w) => acc + w.weight, 0);
+  if (!(own > 0) || !(sum > 0)) return 0;
+  const cfg = normalizeHitLocationConfig(config);
+  const share = own / sum;
+  return cfg.aimedMinChance + (cfg.aimedMaxChance - cfg.aimedMinChance) * share ** cfg.aimedCurve;
+}
+
+/**
+ * @param {object} args
+ * @param {Record<string, object>} args.bodyParts
+ * @param {string} args.direction {@link incomingHitDirection}
+ * @param {string|null} [args.aimedPartId] part the shot was called at
+ * @param {object} [args.config]
+ * @param {() => number} [args.random]
+ * @returns {{partId: string|null, direction: string, aimedPartId: string|null, aimedChance: number, aimedHit: boolean}}
+ */
+export function resolveHitLocation({ bodyParts, direction, aimedPartId = null, config = null, random = Math.random }) {
+  const dir = ANATOMY_EXPOSURE_DIRECTIONS.includes(direction) ? direction : 'front';
+  const aimed = aimedPartId && bodyParts?.[aimedPartId] ? aimedPartId : null;
+  let aimedChance = 0;
+  if (aimed) {
+    aimedChance = aimedHitChance(bodyParts, aimed, dir, config);
+    if (aimedChance > 0 && random() < aimedChance) {
+      return { partId: aimed, direction: dir, aimedPartId: aimed, aimedChance, aimedHit: true };
+    }
+  }
+  return {
+    partId: _pickWeighted(hitLocationWeights(bodyParts, dir), random),
+    direction: dir,
+    aimedPartId: aimed,
+    aimedChance,
+    aimedHit: false,
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Smoke tests for hit location. Runs in plain Node (no Foundry globals
+ * required). Execute with:
+ *   node module/helpers/damage/hit-location.test.mjs
+ */
+
+import {
+  aimedHitChance,
+  applyPitchToBodyParts,
+  bodyPartHeights,
+  hitLocationWeights,
+  hitTravelDeg,
+  incomingHitDirection,
+  normalizeHitLocationConfig,
+  pitchHitFactor,
+  resolveHitLocation,
+  tokenFacingDeg
+} from './hit-location.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+function approxEqual(a, b, tol = 1e-6) {
+  return Math.abs(a - b) <= tol;
+}
+
+const PARTS = {
+  chest: { exposure: { front: 100, back: 0, left: 40, right: 40 } },
+  back: { exposure: { front: 0, back: 100, left: 40, right: 40 } },
+  head: { exposure: { front: 25, back: 25, left: 25, right: 25 } },
+  leftArm: { exposure: { front: 25, back: 25, left: 100, right: 0 } }
+};
+
+/* ---- Direction ------------------------------------------------------ */
+{
+  // Rotation 0 faces down (+y, 90°).
+  const facing = tokenFacingDeg(0);
+  assert('rotation 0 faces down', facing === 90);
+  assert('shot travelling up hits the front', incomingHitDirection(-90, facing) === 'front');
+  assert('shot travelling down hits the back', incomingHitDirection(90, facing) === 'back');
+  // Shooter at the target's left hand (facing down → left hand is +x), shot travels −x.
+  assert('shot from the left hand hits the left', incomingHitDirection(180, facing) === 'left');
+  assert('shot from the right hand hits the right', incomingHitDirection(0, facing) === 'right');
+  assert('45° off the facing is still the front', incomingHitDirection(-45, facing) === 'front');
+  assert('angles wrap around', incomingHitDirection(270 + 720, facing) === 'front');
+  const travel = hitTravelDeg({ point: { x: 0, y: 100 }, center: { x: 0, y: 0 } });
+  assert('travel from hit point to centre', approxEqual(travel, -90), String(travel));
+  assert('travel falls back to origin', approxEqual(hitTravelDeg({ point: { x: 5, y: 5 }, center: { x: 5, y: 5 }, origin: { x: -10, y: 5 } }), 0));
+  assert('travel unknown without points', hitTravelDeg({ point: null, center: { x: 0, y: 0 } }) === null);
+}
+
+/* ---- Weights -------------------------------------------------------- */
+{
+  const front = hitLocationWeights(PARTS, 'front');
+  assert('parts hidden from the side are dropped', !front.some((w) => w.partId === 'back'), JSON.stringify(front));
+  const fallback = hitLocationWeights({ a: { exposure: { back: 10 } }, b: { exposure: { left: 30 } } }, 'front');
+  assert('empty side falls back to total exposure', fallback.find((w) => w.partId === 'b')?.weight === 30, JSON.stringify(fallback));
+  const uniform = hitLocationWeights({ a: {}, b: {} }, 'front');
+  assert('no exposure falls back to uniform', uniform.length === 2 && uniform.every((w) => w.weight === 1));
+}
+
+/* ---- Roll ----------------------------------------------------------- */
+{
+  const low = resolveHitLocation({ bodyParts: PARTS, direction: 'front', random: () => 0 });
+  assert('roll picks the first exposed part', low.partId === 'chest' && low.direction === 'front', JSON.stringify(low));
+  const high = resolveHitLocation({ bodyParts: PARTS, direction: 'front', random: () => 0.999 });
+  assert('roll picks the last exposed part', high.partId === 'leftArm', JSON.stringify(high));
+  const counts = {};
+  let seed = 1;
+  const lcg = () => ((seed = (seed * 48271) % 2147483647) / 2147483647);
+  for (let i = 0; i < 3000; i += 1) {
+    const r = resolveHitLocation({ bodyParts: PARTS, direction: 'back', random: lcg });
+    counts[r.partId] = (counts[r.partId] ?? 0) + 1;
+  }
+  assert('back hits never strike the chest', !counts.chest, JSON.stringify(counts));
+  assert('back hits favour the back', counts.back > counts.head && counts.back > counts.leftArm, JSON.stringify(counts));
+  const bad = resolveHitLocation({ bodyParts: PARTS, direction: 'up', random: () => 0 });
+  assert('unknown direction reads as front', bad.direction === 'front');
+}
+
+/* ---- Aimed shots ---------------------------------------------------- */
+{
+  const cfg = normalizeHitLocationConfig({ aimedMinChance: 0.1, aimedMaxChance: 0.9, aimedCurve: 1 });
+  const chest = aimedHitChance(PARTS, 'chest', 'front', cfg);
+  const head = aimedHitChance(PARTS, 'head', 'front', cfg);
+  assert('larger share is easier to call', chest > head, `${chest} vs ${head}`);
+  assert('chance follows the curve', approxEqual(head, 0.1 + 0.8 * (25 / 150)), String(head));
+  assert('hidden part cannot be called', aimedHitChance(PARTS, 'back', 'front', cfg) === 0);
+  const hit = resolveHitLocation({ bodyParts: PARTS, direction: 'front', aimedPartId: 'head', config: cfg, random: () => 0 });
+  assert('aimed roll under the chance lands on the part', hit.partId === 'head' && hit.aimedHit, JSON.stringify(hit));
+  const rolls = [0.99, 0];
+  const miss = resolveHitLocation({ bodyParts: PARTS, direction: 'front', aimedPartId: 'head', config: cfg, random: () => rolls.shift() });
+  assert('aimed miss falls back to the exposure roll', miss.partId === 'chest' && !miss.aimedHit && miss.aimedPartId === 'head', JSON.stringify(miss));
+  const unknown = resolveHitLocation({ bodyParts: PARTS, direction: 'front', aimedPartId: 'tail', random: () => 0 });
+  assert('unknown aimed part is ignored', unknown.aimedPartId === null && unknown.partId === 'chest');
+  const norm = normalizeHitLocationConfig({ aimedMinChance: 0.5, aimedMaxChance: 0.2 });
+  assert('max chance never below min', norm.aimedMaxChance === 0.5, JSON.stringify(norm));
+}
+
+/* ---- Pitch ---------------------------------------------------------- */
+{
+  const BODY = {
+    head: { y: 1, exposure: { front: 10, back: 10, left: 10, right: 10 } },
+    chest: { y: 3, position3d: { x: 0, y: 3.85, z: -0.7 }, exposure: { front: 30, back: 0, left: 10, right: 10 } },
+    foot: { y: 8, exposure: { front: 10, back: 10, left: 10, right: 10 } }
+  };
+  const heights = bodyPartHeights(BODY);
+  assert('head is the highest part', heights.head === 1 && heights.foot === 0, JSON.stringify(heights));
+  assert('position3d sits between grid rows', heights.chest > 0.6 && heights.chest < 1, JSON.stringify(heights));
+  assert('level shot keeps the factor', pitchHitFactor(1, 0) === 1 && pitchHitFactor(0, 0) === 1);
+  assert('from above the head is favoured', approxEqual(pitchHitFactor(1, 90), 2) && approxEqual(pitchHitFactor(0, 90), 0.1));
+  assert('from below the feet are favoured', pitchHitFactor(0, -45) > 1 && pitchHitFactor(1, -45) < 1);
+  assert('level shot leaves the parts as they are', applyPitchToBodyParts({ bodyParts: BODY, pitchDeg: 0 }) === BODY);
+  const above = applyPitchToBodyParts({ bodyParts: BODY, pitchDeg: 60 });
+  const w = Object.fromEntries(hitLocationWeights(above, 'front').map((e) => [e.partId, e.weight]));
+  assert('falling shot strikes the head more than the feet', w.head > 10 && w.foot < 10, JSON.stringify(w));
+  assert('hidden sides stay hidden', hitLocationWeights(above, 'back').every((e) => e.partId !== 'chest'));
+  const flat = applyPitchToBodyParts({ bodyParts: BODY, pitchDeg: 60, config: { pitchBias: 0 } });
+  assert('zero bias turns the pitch off', flat.head.exposure.front === 10 && flat.foot.exposure.front === 10);
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll hit location smoke tests passed.');
+}
@@ -36,6 +36,7 @@ export function registerInjuryDescriptors(map) {
 export function getInjuryDescriptor(type) {
   const reg = CONFIG.SPACEHOLDER?.injuryDescriptors ?? {};
   if (type && reg[type]) return reg[type];
+  if (getDamageType(type)?.custom) return customTypeDescriptor;
   return reg.__default ?? defaultDescriptor;
 }
 
@@ -66,9 +67,11 @@ export function computeWoundState(injury, damageTypeDef, material = 'biological'
   }
 
   const category = damageTypeDef?.category ?? null;
-  const cauterizes = damageTypeDef?.id === 'laser' || damageTypeDef?.id === 'plasma' || damageTypeDef?.id === 'thermal' || damageTypeDef?.id === 'electric';
-  const corrosive = damageTypeDef?.id === 'chemical';
-  const noBleed = cauterizes || corrosive || damageTypeDef?.id === 'radiation' || damageTypeDef?.id === 'concussive' || damageTypeDef?.id === 'sonic';
+  // Мировые типы урона сами выбирают семейство ран (`wound`).
+  const family = damageTypeDef?.custom ? damageTypeDef.wound : null;
+  const cauterizes = family === 'cauterized' || damageTypeDef?.id === 'laser' || damageTypeDef?.id === 'plasma' || damageTypeDef?.id === 'thermal' || damageTypeDef?.id === 'electric';
+  const corrosive = family === 'corrosive' || damageTypeDef?.id === 'chemical';
+  const noBleed = cauterizes || corrosive || family === 'none' || damageTypeDef?.id === 'radiation' || damageTypeDef?.id === 'concussive' || damageTypeDef?.id === 'sonic';
 
   let bleed;
   let stage;
@@ -254,6 +257,34 @@ export function defaultDescriptor(ctx) {
   };
 }
 
+/**
+ * Описатель мирового типа урона: название берётся из самого типа, предлог
+ * и глагол источника — из его семейства ран (`wound`) и `verb`.
+ * @param {Object} ctx
+ * @returns {Object}
+ */
+export function customTypeDescriptor(ctx) {
+  const { typeDef, partName, wound, source } = ctx;
+  const segments = [{ kind: 'damageType', text: typeDef?.label ?? ctx.injury?.type ?? '' }];
+  if (partName) {
+    segments.push({
+      kind: 'preposition',
+      i18n: typeDef?.wound === 'bleeding' ? 'SPACEHOLDER.Injuries.Prep.In' : 'SPACEHOLDER.Injuries.Prep.On',
+    });
+    segments.push({ kind: 'bodyPart', text: partName, uuid: ctx.part?.uuid ?? null });
+  }
+  if (wound?.bleed && wound.bleed !== 'none') {
+    segments.push({ kind: 'bleedState', i18n: `SPACEHOLDER.Injuries.BleedStates.${_capitalize(wound.bleed)}` });
+  }
+  if (wound?.stage) {
+    segments.push({ kind: 'woundState', i18n: `SPACEHOLDER.Injuries.WoundStates.${_capitalize(wound.stage)}` });
+  }
+  return {
+    segments,
+    tooltipSegments: buildSourceSegments(source, typeDef?.verb || 'strike'),
+  };
+}
+
 function _resolvePartName(part, injury) {
   if (part?.displayName) return part.displayName;
   if (part?.name) return part.name;
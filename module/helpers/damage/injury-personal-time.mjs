@@ -0,0 +1,51 @@
+/**
+ * Personal-time ticks that rewrite `system.health.injuries`: recovery
+ * (injury-recovery-personal-time.mjs), lingering damage
+ * (lingering-effects-personal-time.mjs), then area effect damage
+ * (area-effects-runtime.mjs). Each writes the whole array from the
+ * actor it reads, so they run one after another from a single handler, and
+ * the ticks of one actor never overlap across hook calls.
+ */
+
+import { onPersonalTimeAdvancedInjuryTick } from './injury-recovery-personal-time.mjs';
+import { onPersonalTimeAdvancedLingeringTick } from './lingering-effects-personal-time.mjs';
+import { onPersonalTimeAdvancedAreaEffects } from './area-effects-runtime.mjs';
+
+const TICKS = Object.freeze([
+  ['injury recovery', onPersonalTimeAdvancedInjuryTick],
+  ['lingering effects', onPersonalTimeAdvancedLingeringTick],
+  ['area effects', onPersonalTimeAdvancedAreaEffects],
+]);
+
+const _chains = new Map();
+
+/**
+ * Run the injury ticks of `actor` after the ones already queued for it.
+ * @param {Actor} actor
+ * @param {{seconds: number}} payload
+ * @returns {Promise<void>}
+ */
+export function runInjuryPersonalTimeTicks(actor, payload) {
+  const key = actor?.uuid ?? '';
+  const run = async () => {
+    for (const [label, tick] of TICKS) {
+      try {
+        await tick(actor, payload);
+      } catch (e) {
+        console.error(`SpaceHolder | ${label} personal-time tick failed`, e);
+      }
+    }
+  };
+  const next = (_chains.get(key) ?? Promise.resolve()).then(run);
+  _chains.set(key, next);
+  void next.then(() => {
+    if (_chains.get(key) === next) _chains.delete(key);
+  });
+  return next;
+}
+
+export function registerInjuryPersonalTimeHooks() {
+  Hooks.on('spaceholder.personalTimeAdvanced', (actor, payload) => {
+    void runInjuryPersonalTimeTicks(actor, payload);
+  });
+}
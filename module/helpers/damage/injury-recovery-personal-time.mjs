@@ -0,0 +1,66 @@
+/**
+ * Advance actor injuries (bleeding / healing) and worn body layers when
+ * personal time advances. Run by injury-personal-time.mjs.
+ */
+
+import { advanceBodyLayers, advanceInjuries } from './injury-recovery.mjs';
+
+function _enduranceMod(actor) {
+  const end = actor?.system?.abilities?.end;
+  const mod = Number(end?.mod);
+  if (Number.isFinite(mod)) return mod;
+  const value = Number(end?.value);
+  return Number.isFinite(value) ? Math.floor((value - 10) / 2) : 0;
+}
+
+function _partForInjury(bodyParts, injury) {
+  if (injury?.partUuid) {
+    for (const part of Object.values(bodyParts)) {
+      if (part?.uuid === injury.partUuid) return part;
+    }
+  }
+  return bodyParts?.[injury?.partId] ?? null;
+}
+
+/**
+ * @param {Actor} actor
+ * @param {{seconds: number}} payload
+ */
+export async function onPersonalTimeAdvancedInjuryTick(actor, payload) {
+  const seconds = Number(payload?.seconds) || 0;
+  if (!actor || seconds <= 0) return;
+  if (CONFIG.SPACEHOLDER?.injuryRecovery?.enabled === false) return;
+  if (!actor.isOwner) return;
+
+  const injuries = Array.isArray(actor.system?.health?.injuries) ? actor.system.health.injuries : [];
+  const bodyParts = actor.system?.health?.bodyParts ?? {};
+  const enduranceMod = _enduranceMod(actor);
+  const updates = {};
+
+  if (injuries.length) {
+    const res = advanceInjuries(foundry.utils.deepClone(injuries), {
+      seconds,
+      enduranceMod,
+      materialFor: (injury) => actor.getPartMaterial?.(_partForInjury(bodyParts, injury)) ?? 'biological',
+    });
+    if (res.changed) updates['system.health.injuries'] = res.injuries;
+  }
+
+  if (CONFIG.SPACEHOLDER?.persistentBodyLayers === true) {
+    for (const [slotRef, part] of Object.entries(bodyParts)) {
+      const res = advanceBodyLayers(part?.bodyLayers, {
+        seconds,
+        enduranceMod,
+        material: actor.getPartMaterial?.(part) ?? 'biological',
+      });
+      if (res.changed) updates[`system.health.bodyParts.${slotRef}.bodyLayers`] = res.layers;
+    }
+  }
+
+  if (!Object.keys(updates).length) return;
+  try {
+    await actor.update(updates);
+  } catch (e) {
+    console.error('SpaceHolder | injury recovery personal-time tick failed', e);
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Injury recovery engine — advances stored injuries over personal time.
+ *
+ * Injuries (`system.health.injuries[]`) are dry records: `amount` and
+ * `initialAmount` in the x100 scale, plus `type` and `status`. The wound
+ * stage shown in the UI is derived from their ratio by
+ * {@link computeWoundState}; this module is what actually moves `amount`:
+ *
+ *  - **Bleeding.** A wound whose state is `bleeding` (raw, fresh, a bleeding
+ *    damage type on a biological part) grows by
+ *    `bleedFractionPerSecond × baseAmount` per second until it is treated.
+ *    The total blood loss per wound is capped at
+ *    `maxBleedFactor × baseAmount` so a forgotten scratch cannot kill on its
+ *    own; once the cap is reached the wound recovers like any other. Organ
+ *    hits may set `injury.bleedMultiplier` (see `organ-effects.mjs`), which
+ *    scales both the rate and the cap.
+ *  - **Healing.** Every other wound shrinks by
+ *    `healPerHour / 3600 × typeMultiplier × materialMultiplier[status] × END`
+ *    per second. Bionic parts do not self-repair (`raw` multiplier `0`) and
+ *    ignore END. A wound that reaches `0` is removed when `removeHealed`.
+ *
+ * With `persistentBodyLayers` the engine also mends worn body layers
+ * ({@link advanceBodyLayers}): integrity climbs back to `integrityMax` and
+ * `breachLoss` drains to `0` at `bodyLayerHealPerHour[material]` of the
+ * layer's capacity per hour; a fully mended layer drops its wear fields.
+ *
+ * `amount` stays an integer (the rest of the system reads it with `| 0`); the
+ * fractional remainder is carried in `injury.recoveryCarry` so slow rates
+ * still accumulate across many short ticks. Blood loss so far is tracked in
+ * `injury.bledAmount` (same x100 scale).
+ *
+ * Rewinds (negative seconds from ledger undo) are ignored: recovery is not
+ * reversible. The module is pure — it does not import Foundry. Tunables live
+ * in `CONFIG.SPACEHOLDER.injuryRecovery`; see
+ * [docs/code/reference/PERSONAL_TIME.md].
+ */
+
+import { getDamageType } from './damage-types.mjs';
+import { computeWoundState } from './injury-description.mjs';
+import { isBodyLayerDamaged } from './body-layers-defaults.mjs';
+import { SPACEHOLDER } from '../config.mjs';
+
+const EPSILON = 1e-9;
+const SECONDS_PER_HOUR = 3600;
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _round4(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+/**
+ * @param {Object} [config]
+ * @returns {Object} config with every field populated
+ */
+function _resolveConfig(config) {
+  const src = config ?? SPACEHOLDER.injuryRecovery ?? {};
+  return {
+    enabled: src.enabled !== false,
+    healPerHour: Math.max(0, _num(src.healPerHour, 100)),
+    bleedFractionPerSecond: Math.max(0, _num(src.bleedFractionPerSecond, 0)),
+    maxBleedFactor: Math.max(0, _num(src.maxBleedFactor, 1)),
+    removeHealed: src.removeHealed !== false,
+    enduranceStep: Math.max(0, _num(src.enduranceStep, 0)),
+    minEnduranceFactor: Math.max(0, _num(src.minEnduranceFactor, 0)),
+    typeMultipliers: (src.typeMultipliers && typeof src.typeMultipliers === 'object') ? src.typeMultipliers : {},
+    materialMultipliers: (src.materialMultipliers && typeof src.materialMultipliers === 'object') ? src.materialMultipliers : {},
+    bodyLayerHealPerHour: (src.bodyLayerHealPerHour && typeof src.bodyLayerHealPerHour === 'object') ? src.bodyLayerHealPerHour : {}
+  };
+}
+
+/**
+ * END scaling of the natural healing rate: `1 + endMod × enduranceStep`,
+ * clamped from below by `minEnduranceFactor`.
+ *
+ * @param {number} enduranceMod - D20-style modifier (`abilities.end.mod`)
+ * @param {Object} [config]
+ * @returns {number}
+ */
+export function enduranceRecoveryFactor(enduranceMod, config) {
+  const cfg = _resolveConfig(config);
+  const mod = _num(enduranceMod, 0);
+  return Math.max(cfg.minEnduranceFactor, 1 + mod * cfg.enduranceStep);
+}
+
+/**
+ * Healing rate of a single injury in amount units (x100) per second.
+ *
+ * @param {Object} injury
+ * @param {Object} args
+ * @param {'biological'|'bionic'} [args.material='biological']
+ * @param {number} [args.enduranceMod=0]
+ * @param {Object} [args.config]
+ * @returns {number}
+ */
+export function injuryHealRatePerSecond(injury, { material = 'biological', enduranceMod = 0, config } = {}) {
+  const cfg = _resolveConfig(config);
+  const status = injury?.status === 'treated' ? 'treated' : 'raw';
+  const typeMult = Math.max(0, _num(cfg.typeMultipliers[injury?.type], 1));
+  const matRow = cfg.materialMultipliers[material] ?? cfg.materialMultipliers.biological ?? {};
+  const matMult = Math.max(0, _num(matRow[status], 1));
+  const endFactor = material === 'bionic' ? 1 : enduranceRecoveryFactor(enduranceMod, cfg);
+  return (cfg.healPerHour / SECONDS_PER_HOUR) * typeMult * matMult * endFactor;
+}
+
+/**
+ * Advance a single injury by `seconds` of personal time.
+ *
+ * @param {Object} injury - stored injury record (not mutated)
+ * @param {Object} args
+ * @param {number} args.seconds
+ * @param {'biological'|'bionic'} [args.material='biological']
+ * @param {number} [args.enduranceMod=0]
+ * @param {Object} [args.config]
+ * @returns {{
+ *   injury: Object|null,
+ *   changed: boolean,
+ *   removed: boolean,
+ *   bled: number,
+ *   healed: number
+ * }} `injury` is the updated copy (or `null` once fully healed and removed);
+ *   `bled` / `healed` are the amounts (x100, float) applied in this tick.
+ */
+export function advanceInjury(injury, { seconds, material = 'biological', enduranceMod = 0, config } = {}) {
+  const cfg = _resolveConfig(config);
+  const dt = _num(seconds, 0);
+  const unchanged = { injury, changed: false, removed: false, bled: 0, healed: 0 };
+  if (!injury || typeof injury !== 'object' || !cfg.enabled || dt <= 0) return unchanged;
+
+  const amount = Math.max(0, _num(injury.amount, 0) | 0);
+  const initialAmount = Math.max(amount, _num(injury.initialAmount, amount) | 0);
+  const bledAmount = Math.max(0, _num(injury.bledAmount, 0));
+  const carry = _num(injury.recoveryCarry, 0);
+
+  const wound = computeWoundState({ ...injury, amount, initialAmount }, getDamageType(injury.type), material);
+
+  let bled = 0;
+  let healed = 0;
+
+  const bleedMult = Math.max(0, _num(injury.bleedMultiplier, 1));
+  const baseAmount = Math.max(0, initialAmount - bledAmount);
+  const bleedBudget = Math.max(0, baseAmount * cfg.maxBleedFactor * bleedMult - bledAmount);
+  if (wound.bleed === 'bleeding' && bleedBudget > EPSILON && cfg.bleedFractionPerSecond > 0) {
+    bled = Math.min(bleedBudget, baseAmount * cfg.bleedFractionPerSecond * bleedMult * dt);
+  } else if (amount > 0 || carry > EPSILON) {
+    const rate = injuryHealRatePerSecond(injury, { material, enduranceMod, config: cfg });
+    healed = Math.min(amount + Math.max(0, carry), rate * dt);
+  }
+
+  if (bled <= EPSILON && healed <= EPSILON) return unchanged;
+
+  const total = Math.max(0, amount + carry + bled - healed);
+  const nextAmount = Math.floor(total + EPSILON);
+  const nextCarry = _round4(Math.max(0, total - nextAmount));
+
+  if (nextAmount <= 0 && nextCarry <= EPSILON && cfg.removeHealed) {
+    return { injury: null, changed: true, removed: true, bled, healed };
+  }
+
+  const next = {
+    ...injury,
+    amount: nextAmount,
+    initialAmount: Math.max(initialAmount, nextAmount),
+    recoveryCarry: nextCarry
+  };
+  if (bled > 0) next.bledAmount = _round4(bledAmount + bled);
+
+  const changed = next.amount !== amount || next.initialAmount !== initialAmount
+    || next.recoveryCarry !== carry || next.bledAmount !== injury.bledAmount;
+  return { injury: next, changed, removed: false, bled, healed };
+}
+
+/**
+ * Advance a whole injury list by `seconds`.
+ *
+ * @param {Array<Object>} injuries
+ * @param {Object} args
+ * @param {number} args.seconds
+ * @param {(injury:Object)=>('biological'|'bionic')} [args.materialFor] -
+ *   body-part material of each injury (defaults to `biological`)
+ * @param {number} [args.enduranceMod=0]
+ * @param {Object} [args.config]
+ * @returns {{ injuries: Array<Object>, changed: boolean, removedIds: string[], bled: number, healed: number }}
+ */
+export function advanceInjuries(injuries, { seconds, materialFor, enduranceMod = 0, config } = {}) {
+  const list = Array.isArray(injuries) ? injuries : [];
+  const out = [];
+  const removedIds = [];
+  let changed = false;
+  let bled = 0;
+  let healed = 0;
+
+  for (const injury of list) {
+    const material = typeof materialFor === 'function' ? materialFor(injury) : 'biological';
+    const res = advanceInjury(injury, { seconds, material, enduranceMod, config });
+    bled += res.bled;
+    healed += res.healed;
+    if (res.changed) changed = true;
+    if (res.removed) {
+      if (injury?.id) removedIds.push(String(injury.id));
+      continue;
+    }
+    out.push(res.injury);
+  }
+
+  return { injuries: out, changed, removedIds, bled, healed };
+}
+
+/**
+ * Mend the persisted wear of a body part's tissue stack by `seconds`.
+ *
+ * @param {Array<Object>} layers - `bodyPart.bodyLayers` (not mutated)
+ * @param {Object} args
+ * @param {number} args.seconds
+ * @param {'biological'|'bionic'} [args.material='biological'] - part material
+ * @param {number} [args.enduranceMod=0]
+ * @param {Object} [args.config]
+ * @returns {{ layers: Array<Object>, changed: boolean }}
+ */
+export function advanceBodyLayers(layers, { seconds, material = 'biological', enduranceMod = 0, config } = {}) {
+  const cfg = _resolveConfig(config);
+  const list = Array.isArray(layers) ? layers : [];
+  const dt = _num(seconds, 0);
+  if (!cfg.enabled || dt <= 0 || material === 'bionic' || !list.some(isBodyLayerDamaged)) {
+    return { layers: list, changed: false };
+  }
+
+  const endFactor = enduranceRecoveryFactor(enduranceMod, cfg);
+  let changed = false;
+  const out = list.map((layer) => {
+    if (!isBodyLayerDamaged(layer)) return layer;
+    const rateRaw = cfg.bodyLayerHealPerHour[layer.material] ?? cfg.bodyLayerHealPerHour.default;
+    const share = Math.max(0, _num(rateRaw, 0)) * endFactor * dt / SECONDS_PER_HOUR;
+    if (share <= EPSILON) return layer;
+
+    const integrityMax = Math.max(0, _num(layer.integrityMax, 0));
+    const integrity = Math.min(integrityMax, _num(layer.integrity, integrityMax) + integrityMax * share);
+    const breachCapacity = Math.max(0, _num(layer.breachCapacity, 0));
+    const breachLoss = Math.max(0, _num(layer.breachLoss, 0) - breachCapacity * share);
+    changed = true;
+
+    const next = { ...layer, integrity: _round4(integrity), breachLoss: _round4(breachLoss) };
+    if (isBodyLayerDamaged(next)) return next;
+    return { material: layer.material, thickness: layer.thickness };
+  });
+  return { layers: out, changed };
+}
@@ -0,0 +1,173 @@
+/**
+ * Smoke tests for the injury recovery engine. Runs in plain Node (no
+ * Foundry globals required). Execute with:
+ *   node module/helpers/damage/injury-recovery.test.mjs
+ *
+ * Uses an explicit config so retuning `CONFIG.SPACEHOLDER.injuryRecovery`
+ * does not break the arithmetic checked here.
+ */
+
+import {
+  advanceBodyLayers,
+  advanceInjury,
+  advanceInjuries,
+  enduranceRecoveryFactor,
+  injuryHealRatePerSecond
+} from './injury-recovery.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+function approxEqual(a, b, tol = 1e-6) {
+  return Math.abs(a - b) <= tol;
+}
+
+const CFG = {
+  enabled: true,
+  healPerHour: 3600, // 1 amount unit per second at multiplier 1
+  bleedFractionPerSecond: 0.1,
+  maxBleedFactor: 1,
+  removeHealed: true,
+  enduranceStep: 0.1,
+  minEnduranceFactor: 0.25,
+  typeMultipliers: { concussive: 2 },
+  materialMultipliers: {
+    biological: { raw: 1, treated: 3 },
+    bionic: { raw: 0, treated: 2 }
+  },
+  bodyLayerHealPerHour: { bone: 0.5, default: 1 }
+};
+
+function injury(overrides = {}) {
+  return { id: 'inj1', partId: 'chest', amount: 1000, initialAmount: 1000, type: 'ballistic', status: 'raw', ...overrides };
+}
+
+/* ---- Rates --------------------------------------------------------- */
+{
+  assert('END +2 → factor 1.2', approxEqual(enduranceRecoveryFactor(2, CFG), 1.2));
+  assert('END −10 clamps to minEnduranceFactor', approxEqual(enduranceRecoveryFactor(-10, CFG), 0.25));
+  assert('treated biological heals 3× raw',
+    approxEqual(injuryHealRatePerSecond(injury({ status: 'treated' }), { config: CFG }),
+      3 * injuryHealRatePerSecond(injury(), { config: CFG })));
+  assert('raw bionic does not self-repair',
+    injuryHealRatePerSecond(injury(), { material: 'bionic', config: CFG }) === 0);
+  assert('bionic ignores END',
+    approxEqual(injuryHealRatePerSecond(injury({ status: 'treated' }), { material: 'bionic', enduranceMod: 5, config: CFG }), 2));
+  assert('concussive type multiplier applies',
+    approxEqual(injuryHealRatePerSecond(injury({ type: 'concussive' }), { config: CFG }), 2));
+}
+
+/* ---- Bleeding ------------------------------------------------------ */
+{
+  const res = advanceInjury(injury(), { seconds: 2, config: CFG });
+  assert('raw fresh ballistic wound bleeds: 1000 + 10% × 2 s = 1200',
+    res.injury.amount === 1200 && approxEqual(res.bled, 200), JSON.stringify(res));
+  assert('bleeding raises initialAmount with amount', res.injury.initialAmount === 1200);
+  assert('bledAmount is tracked', approxEqual(res.injury.bledAmount, 200));
+
+  const capped = advanceInjury(injury({ amount: 1900, initialAmount: 1900, bledAmount: 900 }), { seconds: 10, config: CFG });
+  assert('blood loss capped at maxBleedFactor × base amount',
+    capped.injury.amount === 2000 && approxEqual(capped.injury.bledAmount, 1000), JSON.stringify(capped));
+
+  const exhausted = advanceInjury(injury({ amount: 2000, initialAmount: 2000, bledAmount: 1000 }), { seconds: 10, config: CFG });
+  assert('exhausted bleed budget → wound heals at raw rate',
+    exhausted.injury.amount === 1990 && exhausted.bled === 0, JSON.stringify(exhausted));
+
+  const heart = advanceInjury(injury({ bleedMultiplier: 4 }), { seconds: 2, config: CFG });
+  assert('organ bleedMultiplier scales the bleed rate: 1000 + 4 × 10% × 2 s = 1800',
+    heart.injury.amount === 1800 && approxEqual(heart.bled, 800), JSON.stringify(heart));
+
+  const heartCap = advanceInjury(injury({ amount: 4500, initialAmount: 4500, bledAmount: 3500, bleedMultiplier: 4 }), { seconds: 10, config: CFG });
+  assert('organ bleedMultiplier scales the blood-loss cap',
+    heartCap.injury.amount === 5000 && approxEqual(heartCap.injury.bledAmount, 4000), JSON.stringify(heartCap));
+
+  const treated = advanceInjury(injury({ status: 'treated' }), { seconds: 10, config: CFG });
+  assert('treated wound stops bleeding and heals 3/s', treated.injury.amount === 970 && treated.bled === 0,
+    JSON.stringify(treated));
+
+  const burn = advanceInjury(injury({ type: 'laser' }), { seconds: 10, config: CFG });
+  assert('cauterized laser burn does not bleed', burn.bled === 0 && burn.injury.amount === 990, JSON.stringify(burn));
+
+  const bionic = advanceInjury(injury(), { seconds: 10, material: 'bionic', config: CFG });
+  assert('raw bionic damage neither bleeds nor heals', !bionic.changed, JSON.stringify(bionic));
+}
+
+/* ---- Healing / carry / removal ------------------------------------- */
+{
+  const slowCfg = { ...CFG, healPerHour: 360 }; // 0.1 unit/s
+  let inj = injury({ amount: 500, initialAmount: 1000 });
+  for (let i = 0; i < 25; i += 1) {
+    inj = advanceInjury(inj, { seconds: 1, config: slowCfg }).injury;
+  }
+  assert('fractional healing accumulates via recoveryCarry (25 × 0.1 = 2.5)',
+    inj.amount === 497 && approxEqual(inj.recoveryCarry, 0.5), JSON.stringify(inj));
+
+  const done = advanceInjury(injury({ amount: 5, initialAmount: 1000 }), { seconds: 60, config: CFG });
+  assert('fully healed wound is removed', done.removed && done.injury === null, JSON.stringify(done));
+
+  const keep = advanceInjury(injury({ amount: 5, initialAmount: 1000 }), { seconds: 60, config: { ...CFG, removeHealed: false } });
+  assert('removeHealed=false keeps a 0-amount scar', keep.injury?.amount === 0, JSON.stringify(keep));
+
+  const rewind = advanceInjury(injury({ amount: 500 }), { seconds: -10, config: CFG });
+  assert('negative seconds (rewind) are ignored', !rewind.changed && rewind.injury.amount === 500);
+
+  const disabled = advanceInjury(injury({ amount: 500 }), { seconds: 10, config: { ...CFG, enabled: false } });
+  assert('disabled config is a no-op', !disabled.changed);
+}
+
+/* ---- List ---------------------------------------------------------- */
+{
+  const list = [
+    injury({ id: 'a', amount: 3, initialAmount: 1000 }),
+    injury({ id: 'b', amount: 600, initialAmount: 1000 }),
+    injury({ id: 'c', amount: 600, initialAmount: 1000, partId: 'rightArm' })
+  ];
+  const res = advanceInjuries(list, {
+    seconds: 10,
+    config: CFG,
+    materialFor: (inj) => (inj.partId === 'rightArm' ? 'bionic' : 'biological')
+  });
+  assert('advanceInjuries drops healed entries', res.injuries.length === 2 && res.removedIds.includes('a'),
+    JSON.stringify(res));
+  assert('advanceInjuries honours per-injury material',
+    res.injuries.find((i) => i.id === 'c').amount === 600 && res.injuries.find((i) => i.id === 'b').amount === 590,
+    JSON.stringify(res.injuries));
+  assert('input list is not mutated', list[1].amount === 600);
+}
+
+/* ---- Body layers --------------------------------------------------- */
+{
+  const layers = [
+    { material: 'skin', thickness: 1 },
+    { material: 'bone', thickness: 2, integrity: 0, integrityMax: 40, breachLoss: 4, breachCapacity: 8 }
+  ];
+  const half = advanceBodyLayers(layers, { seconds: 1800, config: CFG });
+  const bone = half.layers[1];
+  assert('fractured bone mends 0.5 × integrityMax per hour (30 min → 10 / 40)',
+    half.changed && approxEqual(bone.integrity, 10) && approxEqual(bone.breachLoss, 2), JSON.stringify(bone));
+  assert('pristine layers are left untouched', half.layers[0] === layers[0]);
+
+  const full = advanceBodyLayers(layers, { seconds: 3 * 3600, config: CFG });
+  assert('fully mended layer drops its wear fields',
+    JSON.stringify(full.layers[1]) === JSON.stringify({ material: 'bone', thickness: 2 }), JSON.stringify(full.layers));
+
+  assert('bionic parts do not self-repair body layers',
+    !advanceBodyLayers(layers, { seconds: 3600, material: 'bionic', config: CFG }).changed);
+  assert('undamaged stack is a no-op',
+    !advanceBodyLayers([{ material: 'skin', thickness: 1 }], { seconds: 3600, config: CFG }).changed);
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll injury recovery smoke tests passed.');
+}
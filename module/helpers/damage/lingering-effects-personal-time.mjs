@@ -0,0 +1,22 @@
+/**
+ * Tick lingering damage (burning, acid, radiation dose) when personal time
+ * advances. Run by injury-personal-time.mjs after injury recovery.
+ */
+
+/**
+ * @param {Actor} actor
+ * @param {{seconds: number}} payload
+ */
+export async function onPersonalTimeAdvancedLingeringTick(actor, payload) {
+  const seconds = Number(payload?.seconds) || 0;
+  if (!actor || seconds <= 0) return;
+  if (CONFIG.SPACEHOLDER?.lingeringEffects?.enabled === false) return;
+  if (!actor.isOwner) return;
+  if (typeof actor.advanceLingeringEffects !== 'function') return;
+
+  try {
+    await actor.advanceLingeringEffects(seconds);
+  } catch (e) {
+    console.error('SpaceHolder | lingering effects personal-time tick failed', e);
+  }
+}
@@ -0,0 +1,336 @@
+/**
+ * Lingering damage — burning, acid and accumulated radiation dose.
+ *
+ * Damage types may declare a `lingering` spec (see `damage-types.mjs`):
+ *
+ *  - `kind`        : effect id shown to the player ("burn" | "corrode" | "dose");
+ *  - `source`      : what seeds the effect — `incoming` takes the type's share
+ *      of the hit's applications (the fire keeps burning on whatever it hit,
+ *      even if the armor held); `body` takes the type's damage that actually
+ *      reached the body, per part (dose only builds up in tissue);
+ *  - `surface`     : `true` — every tick re-enters at the hit part through
+ *      the *current* armor stack (acid keeps eating worn layers); `false` —
+ *      ticks skip armor and only pass the body layers;
+ *  - `fraction`    : per-tick damage as a share of the seeding damage;
+ *  - `tickSeconds` / `ticks` : tick period in personal-time seconds and
+ *      the number of ticks;
+ *  - `decay`       : multiplicative damage loss after every tick (0..1);
+ *  - `stack`       : repeated hit of the same type on the same part —
+ *      `refresh` keeps the stronger damage and restarts the ticks, `add`
+ *      sums the damage and restarts the ticks.
+ *
+ * Effects are plain objects stored on the actor (flag `lingeringEffects`)
+ * and advanced by `spaceholder.personalTimeAdvanced`; every tick goes back
+ * through {@link resolveBodyTraversal}. The module is pure — it does not
+ * import Foundry.
+ */
+
+import { DAMAGE_TYPES } from './damage-types.mjs';
+import { resolveBodyTraversal } from './body-traversal-resolver.mjs';
+
+const EPSILON = 1e-9;
+
+/** Effects weaker than this per tick are dropped. */
+export const MIN_LINGERING_DAMAGE = 0.01;
+
+const STACK_MODES = new Set(['refresh', 'add']);
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _clean(v) {
+  return String(v ?? '').trim();
+}
+
+function _id() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Lingering spec of a damage type, normalized, or `null`.
+ *
+ * @param {string} type
+ * @param {Object<string, Object>} [types=DAMAGE_TYPES]
+ * @returns {Object|null}
+ */
+export function lingeringSpecFor(type, types = DAMAGE_TYPES) {
+  const raw = types?.[type]?.lingering;
+  if (!raw || typeof raw !== 'object') return null;
+  const fraction = Math.max(0, _num(raw.fraction, 0));
+  const tickSeconds = Math.max(0, _num(raw.tickSeconds, 0));
+  const ticks = Math.max(0, Math.floor(_num(raw.ticks, 0)));
+  if (fraction <= 0 || tickSeconds <= 0 || ticks <= 0) return null;
+  return {
+    kind: _clean(raw.kind) || type,
+    source: raw.source === 'body' ? 'body' : 'incoming',
+    surface: raw.surface !== false,
+    fraction,
+    tickSeconds,
+    ticks,
+    decay: Math.min(1, Math.max(0, _num(raw.decay, 0))),
+    stack: STACK_MODES.has(raw.stack) ? raw.stack : 'refresh'
+  };
+}
+
+function _itemsOfType(applications, type) {
+  const out = [];
+  for (const phase of Array.isArray(applications) ? applications : []) {
+    for (const item of Array.isArray(phase?.items) ? phase.items : []) {
+      if (item?.type === type && _num(item.damage, 0) > 0) out.push(item);
+    }
+  }
+  return out;
+}
+
+function _strongest(items) {
+  return items.reduce((acc, item) => (_num(item.damage, 0) > _num(acc?.damage, 0) ? item : acc), null);
+}
+
+function _effect({ type, spec, slotRef, damage, item, source }) {
+  return {
+    id: _id(),
+    type,
+    kind: spec.kind,
+    slotRef,
+    surface: spec.surface,
+    damage,
+    armorPen: Math.max(0, _num(item?.armorPen, 0)),
+    armorDamageFactor: Math.max(EPSILON, _num(item?.armorDamageFactor, 1)),
+    hardness: Math.max(EPSILON, _num(item?.hardness, 1)),
+    tickSeconds: spec.tickSeconds,
+    ticksLeft: spec.ticks,
+    decay: spec.decay,
+    stack: spec.stack,
+    carry: 0,
+    source: source && typeof source === 'object' ? { ...source } : {}
+  };
+}
+
+/**
+ * Effects seeded by one resolved hit.
+ *
+ * @param {Object} args
+ * @param {string} args.slotRef - entry part of the hit
+ * @param {Array<{mode:string, items:Array}>} args.applications - normalized package
+ * @param {Object<string, Array<{type:string, amount:number}>>} [args.bodyDamageBySlot]
+ * @param {Object} [args.source] - structured injury source of the hit
+ * @param {Object<string, Object>} [args.types=DAMAGE_TYPES]
+ * @returns {Array<Object>}
+ */
+export function createLingeringEffects({ slotRef, applications, bodyDamageBySlot, source, types = DAMAGE_TYPES } = {}) {
+  const entry = _clean(slotRef);
+  const out = [];
+  const seen = new Set();
+  for (const phase of Array.isArray(applications) ? applications : []) {
+    for (const item of Array.isArray(phase?.items) ? phase.items : []) {
+      if (item?.type) seen.add(item.type);
+    }
+  }
+  for (const hits of Object.values(bodyDamageBySlot ?? {})) {
+    for (const hit of Array.isArray(hits) ? hits : []) if (hit?.type) seen.add(hit.type);
+  }
+
+  for (const type of seen) {
+    const spec = lingeringSpecFor(type, types);
+    if (!spec) continue;
+    const items = _itemsOfType(applications, type);
+
+    if (spec.source === 'incoming') {
+      if (!entry || !items.length) continue;
+      const damage = items.reduce((sum, item) => sum + _num(item.damage, 0), 0) * spec.fraction;
+      if (damage < MIN_LINGERING_DAMAGE) continue;
+      out.push(_effect({ type, spec, slotRef: entry, damage, item: _strongest(items), source }));
+      continue;
+    }
+
+    for (const [partSlot, hits] of Object.entries(bodyDamageBySlot ?? {})) {
+      const absorbed = (Array.isArray(hits) ? hits : [])
+        .filter((hit) => hit?.type === type)
+        .reduce((sum, hit) => sum + Math.max(0, _num(hit.amount, 0)), 0);
+      const damage = absorbed * spec.fraction;
+      if (damage < MIN_LINGERING_DAMAGE) continue;
+      out.push(_effect({ type, spec, slotRef: partSlot, damage, item: _strongest(items), source }));
+    }
+  }
+  return out;
+}
+
+/**
+ * Merge freshly seeded effects into the stored list by each type's `stack`
+ * rule (same type on the same part). A re-stacked effect starts its tick
+ * clock over (`carry = 0`); when the incoming damage is higher, its item
+ * parameters (`armorDamageFactor`, `hardness`) replace the stored ones.
+ * Inputs are not mutated.
+ *
+ * @param {Array<Object>} existing
+ * @param {Array<Object>} incoming
+ * @returns {Array<Object>}
+ */
+export function mergeLingeringEffects(existing, incoming) {
+  const out = (Array.isArray(existing) ? existing : []).map((e) => ({ ...e }));
+  for (const next of Array.isArray(incoming) ? incoming : []) {
+    const prev = out.find((e) => e.type === next.type && e.slotRef === next.slotRef);
+    if (!prev) {
+      out.push({ ...next });
+      continue;
+    }
+    if (_num(next.damage, 0) > _num(prev.damage, 0)) {
+      prev.armorDamageFactor = next.armorDamageFactor;
+      prev.hardness = next.hardness;
+    }
+    prev.damage = next.stack === 'add'
+      ? _num(prev.damage, 0) + _num(next.damage, 0)
+      : Math.max(_num(prev.damage, 0), _num(next.damage, 0));
+    prev.ticksLeft = Math.max(_num(prev.ticksLeft, 0), _num(next.ticksLeft, 0));
+    prev.armorPen = Math.max(_num(prev.armorPen, 0), _num(next.armorPen, 0));
+    prev.carry = 0;
+    prev.source = next.source;
+  }
+  return out;
+}
+
+/**
+ * @typedef {Object} LingeringTick
+ * @property {string} effectId
+ * @property {string} type
+ * @property {string} kind
+ * @property {string} slotRef
+ * @property {boolean} surface
+ * @property {number} at - seconds into this advance
+ * @property {Array<{mode:string, items:Array}>} applications
+ */
+
+/**
+ * Advance stored effects by `seconds` of personal time. Ticks come out in
+ * chronological order; expired effects are dropped. Inputs are not mutated.
+ *
+ * @param {Array<Object>} effects
+ * @param {{seconds: number}} opts
+ * @returns {{effects: Array<Object>, ticks: LingeringTick[], changed: boolean}}
+ */
+export function advanceLingeringEffects(effects, { seconds } = {}) {
+  const dt = Math.max(0, _num(seconds, 0));
+  const list = Array.isArray(effects) ? effects : [];
+  if (dt <= 0 || !list.length) return { effects: list, ticks: [], changed: false };
+
+  const next = [];
+  const ticks = [];
+  for (const raw of list) {
+    const effect = { ...raw };
+    const period = _num(effect.tickSeconds, 0);
+    const left = Math.max(0, Math.floor(_num(effect.ticksLeft, 0)));
+    if (period <= 0 || left <= 0) continue;
+
+    const carry = Math.max(0, _num(effect.carry, 0)) + dt;
+    const count = Math.min(left, Math.floor(carry / period + EPSILON));
+    let damage = _num(effect.damage, 0);
+    for (let i = 1; i <= count; i += 1) {
+      if (damage >= MIN_LINGERING_DAMAGE) {
+        ticks.push({
+          effectId: effect.id,
+          type: effect.type,
+          kind: effect.kind,
+          slotRef: effect.slotRef,
+          surface: effect.surface !== false,
+          at: i * period - _num(effect.carry, 0),
+          applications: [{
+            mode: 'sequential',
+            items: [{
+              type: effect.type,
+              damage,
+              armorPen: _num(effect.armorPen, 0),
+              armorDamageFactor: _num(effect.armorDamageFactor, 1),
+              hardness: _num(effect.hardness, 1)
+            }]
+          }]
+        });
+      }
+      damage *= 1 - Math.min(1, Math.max(0, _num(effect.decay, 0)));
+    }
+
+    effect.damage = damage;
+    effect.ticksLeft = left - count;
+    effect.carry = carry - count * period;
+    if (effect.ticksLeft > 0 && effect.damage >= MIN_LINGERING_DAMAGE) next.push(effect);
+  }
+
+  ticks.sort((a, b) => a.at - b.at);
+  return { effects: next, ticks, changed: true };
+}
+
+/**
+ * Resolve a batch of ticks against the target. Armor wear (and body-layer
+ * wear, with `persistBodyLayers`) carries from tick to tick; `surface`
+ * ticks enter through the current armor stack, the rest skip armor.
+ *
+ * @param {Object} args
+ * @param {{bodyParts: Object<string, Object>}} args.anatomy
+ * @param {Object<string, Array>} [args.armorBySlot]
+ * @param {LingeringTick[]} args.ticks
+ * @param {string} [args.hitDirection='front']
+ * @param {(id:string)=>Object} args.resolveMaterial
+ * @param {() => number} [args.random]
+ * @param {boolean} [args.persistBodyLayers]
+ * @returns {{
+ *   armorUpdatesBySlot: Object<string, Array>,
+ *   bodyLayerUpdatesBySlot: Object<string, Array>,
+ *   damage: Array<{effectId:string, slotRef:string, type:string, amount:number}>
+ * }} `damage` is summed per effect and part.
+ */
+export function resolveLingeringTicks({
+  anatomy,
+  armorBySlot = {},
+  ticks,
+  hitDirection = 'front',
+  resolveMaterial,
+  random,
+  persistBodyLayers
+} = {}) {
+  let armor = { ...(armorBySlot ?? {}) };
+  let bodyParts = anatomy?.bodyParts ?? {};
+  const armorUpdatesBySlot = {};
+  const bodyLayerUpdatesBySlot = {};
+  const damage = new Map();
+
+  for (const tick of Array.isArray(ticks) ? ticks : []) {
+    if (!bodyParts[tick?.slotRef]) continue;
+    const res = resolveBodyTraversal({
+      anatomy: { bodyParts },
+      startSlotRef: tick.slotRef,
+      hitDirection,
+      applications: tick.applications,
+      armorBySlot: tick.surface ? armor : {},
+      resolveMaterial,
+      random,
+      persistBodyLayers
+    });
+
+    if (tick.surface) {
+      Object.assign(armorUpdatesBySlot, res.armorUpdatesBySlot);
+      armor = { ...armor, ...res.armorUpdatesBySlot };
+    }
+    const layerUpdates = Object.entries(res.bodyLayerUpdatesBySlot ?? {});
+    if (layerUpdates.length) {
+      bodyParts = { ...bodyParts };
+      for (const [slotRef, layers] of layerUpdates) {
+        bodyLayerUpdatesBySlot[slotRef] = layers;
+        bodyParts[slotRef] = { ...bodyParts[slotRef], bodyLayers: layers };
+      }
+    }
+
+    for (const [slotRef, hits] of Object.entries(res.bodyDamageBySlot ?? {})) {
+      for (const hit of Array.isArray(hits) ? hits : []) {
+        const amount = Math.max(0, _num(hit?.amount, 0));
+        if (amount <= EPSILON) continue;
+        const key = `${tick.effectId}\u0000${slotRef}`;
+        const row = damage.get(key) ?? { effectId: tick.effectId, slotRef, type: tick.type, amount: 0 };
+        row.amount += amount;
+        damage.set(key, row);
+      }
+    }
+  }
+
+  return { armorUpdatesBySlot, bodyLayerUpdatesBySlot, damage: [...damage.values()] };
+}
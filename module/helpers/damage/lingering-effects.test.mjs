@@ -0,0 +1,163 @@
+/**
+ * Smoke tests for lingering (damage-over-time) effects. Runs in plain Node
+ * (no Foundry globals required). Execute with:
+ *   node module/helpers/damage/lingering-effects.test.mjs
+ *
+ * Uses an explicit type table so retuning the registry's `lingering` specs
+ * does not break the arithmetic checked here.
+ */
+
+import {
+  advanceLingeringEffects,
+  createLingeringEffects,
+  lingeringSpecFor,
+  mergeLingeringEffects,
+  resolveLingeringTicks
+} from './lingering-effects.mjs';
+import { buildArmorBySlot } from './balance-simulator.mjs';
+import { normalizeMaterial } from './materials-manager.mjs';
+import { TEST_MATERIAL_FIXTURES } from './__fixtures__/test-materials.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+function approxEqual(a, b, tol = 1e-6) {
+  return Math.abs(a - b) <= tol;
+}
+
+const resolveMaterial = (id) => normalizeMaterial(TEST_MATERIAL_FIXTURES[id] ?? { materialId: id });
+
+const TYPES = {
+  ballistic: { lingering: null },
+  thermal: { lingering: { kind: 'burn', source: 'incoming', surface: true, fraction: 0.5, tickSeconds: 2, ticks: 3, decay: 0, stack: 'refresh' } },
+  chemical: { lingering: { kind: 'corrode', source: 'incoming', surface: true, fraction: 0.5, tickSeconds: 1, ticks: 4, decay: 0.5, stack: 'add' } },
+  radiation: { lingering: { kind: 'dose', source: 'body', surface: false, fraction: 0.5, tickSeconds: 60, ticks: 2, decay: 0, stack: 'add' } }
+};
+
+const ANATOMY = {
+  bodyParts: {
+    chest: { id: 'chest', maxHp: 10, exposure: { front: 100 }, relations: [], bodyLayers: [] },
+    leftArm: { id: 'leftArm', maxHp: 5, exposure: { front: 100 }, relations: [], bodyLayers: [] }
+  }
+};
+
+const pkg = (...items) => [{ mode: 'sequential', items }];
+
+/* ---- Specs & seeding ----------------------------------------------- */
+{
+  assert('types without a spec do not linger', lingeringSpecFor('ballistic', TYPES) === null);
+  assert('spec is normalized', lingeringSpecFor('radiation', TYPES).surface === false);
+
+  const effects = createLingeringEffects({
+    slotRef: 'chest',
+    applications: pkg(
+      { type: 'ballistic', damage: 10, armorPen: 5 },
+      { type: 'thermal', damage: 4, armorPen: 1 },
+      { type: 'radiation', damage: 6 }
+    ),
+    bodyDamageBySlot: { chest: [{ type: 'radiation', amount: 2 }], leftArm: [{ type: 'radiation', amount: 1 }] },
+    source: { attackerName: 'Sniper' },
+    types: TYPES
+  });
+  const burn = effects.find((e) => e.kind === 'burn');
+  assert('incoming effect takes fraction of the applied damage at the entry part',
+    burn && burn.slotRef === 'chest' && approxEqual(burn.damage, 2) && burn.ticksLeft === 3, JSON.stringify(effects));
+  const doses = effects.filter((e) => e.kind === 'dose');
+  assert('body effect follows absorbed damage per part',
+    doses.length === 2 && approxEqual(doses.find((e) => e.slotRef === 'leftArm').damage, 0.5), JSON.stringify(doses));
+  assert('hit source is kept on the effect', burn.source.attackerName === 'Sniper');
+
+  const none = createLingeringEffects({ slotRef: 'chest', applications: pkg({ type: 'radiation', damage: 6 }), bodyDamageBySlot: {}, types: TYPES });
+  assert('fully stopped radiation leaves no dose', none.length === 0, JSON.stringify(none));
+}
+
+/* ---- Stacking ------------------------------------------------------ */
+{
+  const seed = (type, damage) => createLingeringEffects({ slotRef: 'chest', applications: pkg({ type, damage }), types: TYPES });
+  const burning = advanceLingeringEffects(seed('thermal', 4), { seconds: 2 }).effects;
+  const refreshed = mergeLingeringEffects(burning, seed('thermal', 2));
+  assert('refresh keeps the stronger burn and restarts the ticks',
+    refreshed.length === 1 && approxEqual(refreshed[0].damage, 2) && refreshed[0].ticksLeft === 3, JSON.stringify(refreshed));
+
+  const acid = mergeLingeringEffects(seed('chemical', 4), seed('chemical', 2));
+  assert('add sums repeated acid', acid.length === 1 && approxEqual(acid[0].damage, 3), JSON.stringify(acid));
+
+  const midTick = advanceLingeringEffects(seed('thermal', 2), { seconds: 0.5 }).effects;
+  const [hot] = createLingeringEffects({
+    slotRef: 'chest',
+    applications: pkg({ type: 'thermal', damage: 8, armorDamageFactor: 3, hardness: 2 }),
+    types: TYPES
+  });
+  const hotter = mergeLingeringEffects(midTick, [hot]);
+  assert('re-stack restarts the tick clock', midTick[0].carry > 0 && hotter[0].carry === 0, JSON.stringify(hotter));
+  assert('stronger incoming effect brings its item params',
+    hotter[0].armorDamageFactor === 3 && hotter[0].hardness === 2, JSON.stringify(hotter));
+  const weaker = mergeLingeringEffects(hotter, seed('thermal', 2));
+  assert('weaker incoming effect keeps the stored item params',
+    weaker[0].armorDamageFactor === 3 && weaker[0].hardness === 2, JSON.stringify(weaker));
+}
+
+/* ---- Advancing ----------------------------------------------------- */
+{
+  const [acid] = createLingeringEffects({ slotRef: 'chest', applications: pkg({ type: 'chemical', damage: 8 }), types: TYPES });
+  const first = advanceLingeringEffects([acid], { seconds: 2.5 });
+  assert('whole ticks fire with multiplicative decay',
+    first.ticks.length === 2 && approxEqual(first.ticks[0].applications[0].items[0].damage, 4)
+      && approxEqual(first.ticks[1].applications[0].items[0].damage, 2), JSON.stringify(first.ticks));
+  assert('fractional seconds carry over', approxEqual(first.effects[0].carry, 0.5) && first.effects[0].ticksLeft === 2);
+
+  const second = advanceLingeringEffects(first.effects, { seconds: 0.5 });
+  assert('carry completes the next tick', second.ticks.length === 1 && approxEqual(second.ticks[0].at, 0.5), JSON.stringify(second.ticks));
+
+  const done = advanceLingeringEffects(second.effects, { seconds: 100 });
+  assert('effect expires when its ticks run out', done.ticks.length === 1 && done.effects.length === 0, JSON.stringify(done));
+
+  const idle = advanceLingeringEffects([acid], { seconds: 0 });
+  assert('no time → no change', !idle.changed && idle.effects[0] === acid);
+}
+
+/* ---- Resolving ticks ----------------------------------------------- */
+{
+  const acidTick = (damage) => ({
+    effectId: 'acid',
+    type: 'chemical',
+    kind: 'corrode',
+    slotRef: 'chest',
+    surface: true,
+    applications: pkg({ type: 'chemical', damage, armorPen: 1, hardness: 1 })
+  });
+  const bare = resolveLingeringTicks({ anatomy: ANATOMY, ticks: [acidTick(1), acidTick(0.5)], resolveMaterial });
+  assert('unarmored ticks land in full and sum per effect and part',
+    bare.damage.length === 1 && approxEqual(bare.damage[0].amount, 1.5), JSON.stringify(bare.damage));
+
+  const armorBySlot = buildArmorBySlot([{ id: 'vest', coveredParts: [{ slotRef: 'chest', layers: [{ material: 'cloth-light', thickness: 1 }] }] }], ANATOMY, resolveMaterial);
+  const before = armorBySlot.chest[0].layers[0].integrity;
+  const worn = resolveLingeringTicks({ anatomy: ANATOMY, armorBySlot, ticks: [acidTick(2), acidTick(2), acidTick(2)], resolveMaterial });
+  const after = worn.armorUpdatesBySlot.chest?.[0]?.layers?.[0]?.integrity;
+  assert('surface ticks wear the current armor stack', Number.isFinite(after) && after < before, `${before} → ${after}`);
+  assert('caller armor is not mutated', armorBySlot.chest[0].layers[0].integrity === before);
+
+  const dose = resolveLingeringTicks({
+    anatomy: ANATOMY,
+    armorBySlot,
+    ticks: [{ effectId: 'dose', type: 'radiation', kind: 'dose', slotRef: 'chest', surface: false, applications: pkg({ type: 'radiation', damage: 1 }) }],
+    resolveMaterial
+  });
+  assert('internal ticks skip armor', approxEqual(dose.damage[0]?.amount ?? 0, 1) && !Object.keys(dose.armorUpdatesBySlot).length,
+    JSON.stringify(dose));
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll lingering effects smoke tests passed.');
+}
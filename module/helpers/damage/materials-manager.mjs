@@ -22,7 +22,7 @@
  * fixture catalog from `__fixtures__/test-materials.mjs`.
  */
 
-import { DAMAGE_TYPE_IDS, DEGRADATION_MODES, getDamageType, isDamageType } from './damage-types.mjs';
+import { DEGRADATION_MODES, getDamageType, getDamageTypeIds, isDamageType } from './damage-types.mjs';
 
 /* ------------------------------------------------------------------ *
  *  Pure normalization helpers                                         *
@@ -114,7 +114,7 @@ export function normalizeMaterial(src) {
   const defaultDegradation = _coerceDegradationMode(srcDegradation.default);
   const hardness = _coerceMaterialHardness(safe.hardness);
 
-  for (const id of DAMAGE_TYPE_IDS) {
+  for (const id of getDamageTypeIds()) {
     const def = getDamageType(id);
     resistance[id] = Math.max(0, _coerceNumber(srcResistance[id], 0));
     wear[id] = Math.max(0, _coerceNumber(srcWear[id], 0));
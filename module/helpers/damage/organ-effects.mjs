@@ -0,0 +1,80 @@
+/**
+ * Built-in organ effects — the consequences of centre damage landing on a
+ * critical structure (`bodyPart.organs[]`, see {@link resolveOrganHits}).
+ *
+ * Each effect is a plain object:
+ *
+ *  - `label`     — i18n key for the UI;
+ *  - `defaults`  — parameters used when the organ does not override them
+ *                  (`organ.params`);
+ *  - `onInjury(params)`            — optional; returns extra fields merged
+ *                  into the injury record when the organ is hit;
+ *  - `modifiers(mods, ctx)`        — optional; folds the injury into the
+ *                  actor-wide modifier bag while it is still open.
+ *                  `ctx` is `{ injury, params, severity }`, where `severity`
+ *                  is `amount / initialAmount` in `[0, 1]` so penalties fade
+ *                  as the wound heals.
+ *
+ * The registry lives in `CONFIG.SPACEHOLDER.organEffects`; worlds and
+ * modules can add their own entries with the same shape.
+ *
+ * @module helpers/damage/organ-effects
+ */
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Neutral modifier bag. `apMaxFactor` multiplies the AP pool from
+ * abilities; `accuracy` is added to `derivedStats.accuracyScore` and widens
+ * the standard-aim deviation (see {@link accuracyDeviationMultiplier}).
+ * @returns {{ apMaxFactor: number, accuracy: number }}
+ */
+export function createOrganModifiers() {
+  return { apMaxFactor: 1, accuracy: 0 };
+}
+
+/**
+ * Multiplier of the standard-aim base deviation for the organ `accuracy`
+ * modifier: each point below zero adds `perPoint`. Bonuses do not tighten
+ * the roll.
+ *
+ * @param {number} accuracy - `collectOrganModifiers(...).accuracy`
+ * @param {number} [perPoint=0.15]
+ * @returns {number} >= 1
+ */
+export function accuracyDeviationMultiplier(accuracy, perPoint = 0.15) {
+  return 1 + Math.max(0, -_num(accuracy, 0)) * Math.max(0, _num(perPoint, 0));
+}
+
+export const ORGAN_EFFECTS = {
+  /** Heart / major vessels: the wound bleeds faster and past the usual cap. */
+  bleedOut: {
+    label: 'SPACEHOLDER.Organs.Effects.BleedOut',
+    defaults: { bleedMultiplier: 4 },
+    onInjury(params) {
+      return { bleedMultiplier: Math.max(0, _num(params?.bleedMultiplier, 1)) };
+    }
+  },
+
+  /** Lungs / brain: shrinks the AP pool by `fraction` at full severity. */
+  apMaxReduction: {
+    label: 'SPACEHOLDER.Organs.Effects.ApMaxReduction',
+    defaults: { fraction: 0.25 },
+    modifiers(mods, { params, severity }) {
+      const fraction = Math.max(0, Math.min(1, _num(params?.fraction, 0)));
+      mods.apMaxFactor *= Math.max(0, 1 - fraction * severity);
+    }
+  },
+
+  /** Eyes: flat accuracy penalty at full severity. */
+  accuracyPenalty: {
+    label: 'SPACEHOLDER.Organs.Effects.AccuracyPenalty',
+    defaults: { penalty: 3 },
+    modifiers(mods, { params, severity }) {
+      mods.accuracy -= Math.max(0, _num(params?.penalty, 0)) * severity;
+    }
+  }
+};
@@ -0,0 +1,173 @@
+/**
+ * Organ resolver — the post-traversal stage that decides which critical
+ * structure inside a hit body part took the centre damage.
+ *
+ * {@link resolveBodyTraversal} stops at `bodyDamageBySlot`. For every slot
+ * that actually received damage this module rolls once against the part's
+ * `organs[]`:
+ *
+ *  - each organ has a `weight` — percent chance (0–100) that the centre
+ *    damage lands on it. Weights are cumulative over one roll, the same way
+ *    `relations.behind` chances are picked; their sum is capped at 100 and
+ *    the remainder means «no organ hit»;
+ *  - the hit organ carries an `effect` id from
+ *    `CONFIG.SPACEHOLDER.organEffects` (see [organ-effects.mjs]) plus
+ *    optional `params` that override the effect's defaults.
+ *
+ * The result is recorded on the injury itself (`injury.organ`), so the
+ * consequence lives exactly as long as the wound:
+ * {@link buildOrganInjuryFields} produces the stored fields and
+ * {@link collectOrganModifiers} folds open organ wounds into actor-wide
+ * modifiers (AP max, accuracy). Bleeding-out is carried by
+ * `injury.bleedMultiplier`, which the recovery engine honours.
+ *
+ * The resolver is pure — it does not import Foundry.
+ */
+
+import { SPACEHOLDER } from '../config.mjs';
+import { createOrganModifiers } from './organ-effects.mjs';
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _effects(effects) {
+  return effects ?? SPACEHOLDER.organEffects ?? {};
+}
+
+/**
+ * Normalize a stored / authored organ entry.
+ *
+ * @param {Object} raw
+ * @returns {{slotKey:string, name:string, weight:number, effect:string, params:Object}|null}
+ */
+export function normalizeOrgan(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const slotKey = String(raw.slotKey ?? raw.id ?? '').trim();
+  if (!slotKey) return null;
+  const params = (raw.params && typeof raw.params === 'object' && !Array.isArray(raw.params)) ? { ...raw.params } : {};
+  return {
+    slotKey,
+    name: String(raw.name ?? '').trim() || slotKey,
+    weight: Math.max(0, Math.min(100, _num(raw.weight, 0))),
+    effect: String(raw.effect ?? '').trim(),
+    params
+  };
+}
+
+/**
+ * Roll which organ (if any) takes the centre damage.
+ *
+ * @param {Array<Object>} organs - raw `bodyPart.organs`
+ * @param {() => number} [rng=Math.random]
+ * @returns {Object|null} normalized organ or `null` for a miss
+ */
+export function pickOrgan(organs, rng = Math.random) {
+  const list = (Array.isArray(organs) ? organs : []).map(normalizeOrgan).filter((o) => o && o.weight > 0);
+  if (!list.length) return null;
+  const chances = list.map((o) => o.weight / 100);
+  const total = Math.min(1, chances.reduce((a, b) => a + b, 0));
+  const roll = rng();
+  if (roll >= total) return null;
+  let accum = 0;
+  for (let i = 0; i < list.length; i += 1) {
+    accum += chances[i];
+    if (roll < accum) return list[i];
+  }
+  return list[list.length - 1];
+}
+
+/**
+ * @typedef {Object} OrganHit
+ * @property {string} slotKey
+ * @property {string} name
+ * @property {string} effect - effect id ('' for a structure without consequences)
+ * @property {Object} params - effect defaults merged with the organ's own params
+ */
+
+/**
+ * Roll organ hits for every slot that received body damage.
+ *
+ * @param {Object} args
+ * @param {Object<string, Object>} args.bodyParts
+ * @param {Object<string, Array<{type:string, amount:number}>>} args.bodyDamageBySlot
+ * @param {() => number} [args.random=Math.random]
+ * @param {Object} [args.effects] - effect registry (defaults to `SPACEHOLDER.organEffects`)
+ * @returns {Object<string, OrganHit>} sparse map keyed by slotRef
+ */
+export function resolveOrganHits({ bodyParts, bodyDamageBySlot, random, effects } = {}) {
+  const rng = typeof random === 'function' ? random : Math.random;
+  const registry = _effects(effects);
+  const out = {};
+  for (const [slotRef, hits] of Object.entries(bodyDamageBySlot ?? {})) {
+    if (!Array.isArray(hits) || !hits.some((h) => _num(h?.amount, 0) > 0)) continue;
+    const organ = pickOrgan(bodyParts?.[slotRef]?.organs, rng);
+    if (!organ) continue;
+    const def = organ.effect ? registry[organ.effect] : null;
+    out[slotRef] = {
+      slotKey: organ.slotKey,
+      name: organ.name,
+      effect: def ? organ.effect : '',
+      params: { ...(def?.defaults ?? {}), ...organ.params }
+    };
+  }
+  return out;
+}
+
+/**
+ * Injury fields for an organ hit: `organ` itself plus whatever the effect's
+ * `onInjury` hook contributes (e.g. `bleedMultiplier`).
+ *
+ * @param {OrganHit|null} hit
+ * @param {Object} [effects]
+ * @returns {Object} fields to spread into the injury record (`{}` for no hit)
+ */
+export function buildOrganInjuryFields(hit, effects) {
+  if (!hit || typeof hit !== 'object') return {};
+  const slotKey = String(hit.slotKey ?? '').trim();
+  if (!slotKey) return {};
+  const effect = String(hit.effect ?? '').trim();
+  const params = (hit.params && typeof hit.params === 'object') ? { ...hit.params } : {};
+  const def = effect ? _effects(effects)[effect] : null;
+  let extra = {};
+  if (typeof def?.onInjury === 'function') {
+    try {
+      extra = def.onInjury(params) ?? {};
+    } catch (e) {
+      console.error(`SpaceHolder | Organ effect "${effect}" onInjury failed:`, e);
+    }
+  }
+  return {
+    ...extra,
+    organ: { slotKey, name: String(hit.name ?? '').trim() || slotKey, effect, params }
+  };
+}
+
+/**
+ * Fold every open organ wound into a modifier bag.
+ *
+ * @param {Array<Object>} injuries - `system.health.injuries`
+ * @param {Object} [args]
+ * @param {Object} [args.effects]
+ * @returns {{ apMaxFactor: number, accuracy: number }}
+ */
+export function collectOrganModifiers(injuries, { effects } = {}) {
+  const mods = createOrganModifiers();
+  const registry = _effects(effects);
+  for (const injury of Array.isArray(injuries) ? injuries : []) {
+    const effect = injury?.organ?.effect;
+    const def = effect ? registry[effect] : null;
+    if (typeof def?.modifiers !== 'function') continue;
+    const amount = Math.max(0, _num(injury.amount, 0));
+    if (amount <= 0) continue;
+    const initialAmount = Math.max(amount, _num(injury.initialAmount, amount));
+    const severity = Math.min(1, amount / initialAmount);
+    try {
+      def.modifiers(mods, { injury, params: injury.organ.params ?? {}, severity });
+    } catch (e) {
+      console.error(`SpaceHolder | Organ effect "${effect}" modifiers failed:`, e);
+    }
+  }
+  return mods;
+}
@@ -0,0 +1,144 @@
+/**
+ * Smoke tests for the organ resolver and the built-in organ effects. Runs in
+ * plain Node (no Foundry globals required). Execute with:
+ *   node module/helpers/damage/organ-resolver.test.mjs
+ */
+
+import {
+  buildOrganInjuryFields,
+  collectOrganModifiers,
+  normalizeOrgan,
+  pickOrgan,
+  resolveOrganHits
+} from './organ-resolver.mjs';
+import { ORGAN_EFFECTS, accuracyDeviationMultiplier } from './organ-effects.mjs';
+import { rollStandardDeviation } from '../weapon/weapon-model.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+function approxEqual(a, b, tol = 1e-6) {
+  return Math.abs(a - b) <= tol;
+}
+
+const fixed = (v) => () => v;
+
+const CHEST_ORGANS = [
+  { slotKey: 'heart', name: 'Heart', weight: 10, effect: 'bleedOut' },
+  { slotKey: 'lungs', name: 'Lungs', weight: 30, effect: 'apMaxReduction', params: { fraction: 0.4 } }
+];
+
+/* ---- Normalization / pick ------------------------------------------ */
+{
+  const o = normalizeOrgan({ slotKey: ' eye ', weight: 250, params: [1] });
+  assert('normalizeOrgan trims, clamps weight, drops array params',
+    o.slotKey === 'eye' && o.name === 'eye' && o.weight === 100 && o.effect === '' && !Array.isArray(o.params),
+    JSON.stringify(o));
+  assert('normalizeOrgan rejects entries without slotKey', normalizeOrgan({ name: 'x' }) === null);
+  assert('legacy {slotKey, name} organ has weight 0 and is never picked',
+    pickOrgan([{ slotKey: 'eye', name: 'Eye' }], fixed(0)) === null);
+
+  assert('roll 0.05 → heart (first 10%)', pickOrgan(CHEST_ORGANS, fixed(0.05))?.slotKey === 'heart');
+  assert('roll 0.25 → lungs (10–40%)', pickOrgan(CHEST_ORGANS, fixed(0.25))?.slotKey === 'lungs');
+  assert('roll 0.5 → no organ (remainder)', pickOrgan(CHEST_ORGANS, fixed(0.5)) === null);
+
+  const over = [{ slotKey: 'a', weight: 80 }, { slotKey: 'b', weight: 80 }];
+  assert('weights over 100 cap at certainty', pickOrgan(over, fixed(0.999))?.slotKey === 'b');
+}
+
+/* ---- resolveOrganHits ---------------------------------------------- */
+{
+  const bodyParts = {
+    chest: { id: 'chest', organs: CHEST_ORGANS },
+    leftArm: { id: 'leftArm', organs: [] }
+  };
+  const hits = resolveOrganHits({
+    bodyParts,
+    bodyDamageBySlot: {
+      chest: [{ type: 'ballistic', amount: 12 }],
+      leftArm: [{ type: 'ballistic', amount: 5 }]
+    },
+    random: fixed(0.2),
+    effects: ORGAN_EFFECTS
+  });
+  assert('only slots with organs produce hits', Object.keys(hits).join() === 'chest', JSON.stringify(hits));
+  assert('organ params override effect defaults',
+    hits.chest.effect === 'apMaxReduction' && hits.chest.params.fraction === 0.4, JSON.stringify(hits.chest));
+
+  const zero = resolveOrganHits({
+    bodyParts,
+    bodyDamageBySlot: { chest: [{ type: 'ballistic', amount: 0 }] },
+    random: fixed(0),
+    effects: ORGAN_EFFECTS
+  });
+  assert('slot without positive damage does not roll', !zero.chest);
+
+  const unknown = resolveOrganHits({
+    bodyParts: { head: { organs: [{ slotKey: 'horn', weight: 100, effect: 'nope' }] } },
+    bodyDamageBySlot: { head: [{ type: 'cutting', amount: 3 }] },
+    random: fixed(0),
+    effects: ORGAN_EFFECTS
+  });
+  assert('unknown effect id → structure hit without consequences', unknown.head?.effect === '',
+    JSON.stringify(unknown));
+}
+
+/* ---- Injury fields / modifiers ------------------------------------- */
+{
+  const heart = buildOrganInjuryFields(
+    { slotKey: 'heart', name: 'Heart', effect: 'bleedOut', params: { bleedMultiplier: 4 } },
+    ORGAN_EFFECTS
+  );
+  assert('bleedOut stamps bleedMultiplier on the injury', heart.bleedMultiplier === 4 && heart.organ.slotKey === 'heart',
+    JSON.stringify(heart));
+  assert('no hit → no fields', Object.keys(buildOrganInjuryFields(null, ORGAN_EFFECTS)).length === 0);
+
+  const injuries = [
+    { amount: 1000, initialAmount: 1000, organ: { slotKey: 'lungs', effect: 'apMaxReduction', params: { fraction: 0.4 } } },
+    { amount: 500, initialAmount: 1000, organ: { slotKey: 'eyes', effect: 'accuracyPenalty', params: { penalty: 4 } } },
+    { amount: 1000, initialAmount: 1000 },
+    { amount: 0, initialAmount: 1000, organ: { slotKey: 'eyes', effect: 'accuracyPenalty', params: { penalty: 4 } } }
+  ];
+  const mods = collectOrganModifiers(injuries, { effects: ORGAN_EFFECTS });
+  assert('fresh lung wound cuts AP max by its fraction', approxEqual(mods.apMaxFactor, 0.6), JSON.stringify(mods));
+  assert('half-healed eye wound applies half the penalty; healed one none', approxEqual(mods.accuracy, -2),
+    JSON.stringify(mods));
+  const none = collectOrganModifiers([], { effects: ORGAN_EFFECTS });
+  assert('no organ wounds → neutral modifiers', none.apMaxFactor === 1 && none.accuracy === 0);
+}
+
+/* ---- Eye wound → standard-aim shot -------------------------------- */
+{
+  const shoot = (injuries) => rollStandardDeviation({
+    deltaDeg: 30,
+    zones: [1, 10, 30, 25, 24],
+    deviationBaseDeg: accuracyDeviationMultiplier(collectOrganModifiers(injuries, { effects: ORGAN_EFFECTS }).accuracy),
+    multipliers: [0, 0, 1, 2, 4],
+    random: () => 1
+  });
+  const eye = { slotKey: 'eyes', effect: 'accuracyPenalty', params: { penalty: 4 } };
+  const healthy = shoot([]);
+  const damaged = shoot([{ amount: 1000, initialAmount: 1000, organ: eye }]);
+  const healed = shoot([{ amount: 0, initialAmount: 1000, organ: eye }]);
+  assert('healthy eyes: base deviation in the yellow zone', healthy.zoneIndex === 2 && approxEqual(healthy.deviationDeg, 1),
+    JSON.stringify(healthy));
+  assert('damaged eye widens the shot deviation', approxEqual(damaged.deviationDeg, 1 + 4 * 0.15),
+    JSON.stringify(damaged));
+  assert('healed eye no longer affects the shot', approxEqual(healed.deviationDeg, healthy.deviationDeg));
+  assert('accuracy bonus does not tighten the roll', accuracyDeviationMultiplier(3) === 1);
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll organ resolver smoke tests passed.');
+}
@@ -0,0 +1,27 @@
+/**
+ * Recharge equipped energy shields when personal time advances.
+ */
+
+/**
+ * @param {Actor} actor
+ * @param {{seconds: number}} payload
+ */
+export async function onPersonalTimeAdvancedShieldRecharge(actor, payload) {
+  const seconds = Number(payload?.seconds) || 0;
+  if (!actor || seconds <= 0) return;
+  if (CONFIG.SPACEHOLDER?.shields?.enabled === false) return;
+  if (!actor.isOwner) return;
+  if (typeof actor.rechargeShields !== 'function') return;
+
+  try {
+    await actor.rechargeShields(seconds);
+  } catch (e) {
+    console.error('SpaceHolder | shield personal-time recharge failed', e);
+  }
+}
+
+export function registerShieldPersonalTimeHooks() {
+  Hooks.on('spaceholder.personalTimeAdvanced', (actor, payload) => {
+    void onPersonalTimeAdvancedShieldRecharge(actor, payload);
+  });
+}
@@ -0,0 +1,154 @@
+/**
+ * Personal energy shields — a pool in front of every armor layer.
+ *
+ * A shield is an equipped item tagged `isShield` with `system.shield`:
+ *
+ *  - `capacity` / `value` — pool size and current charge (damage points);
+ *  - `absorption[type]` — share (%) of each incoming item of that type the
+ *    shield can take; missing types fall back to
+ *    `SPACEHOLDER.shields.defaultAbsorption[type]` (then 100);
+ *  - `rechargePerSecond` — pool regained per second of personal time;
+ *  - `collapseThreshold` — % of capacity. When a hit leaves the pool at or
+ *    below it the shield **collapses**: the pool drops to 0 and the shield
+ *    absorbs nothing until it has recharged to full capacity.
+ *
+ * {@link resolveBodyTraversal} runs {@link absorbWithShields} once, on the
+ * external entry, before `armor(D)_forward`; whatever the shields let
+ * through continues into the armor stack unchanged (armorPen, hardness…).
+ * The module is pure — it does not import Foundry.
+ */
+
+import { SPACEHOLDER } from '../config.mjs';
+
+const EPSILON = 1e-9;
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Absorption share (0..1) of a shield for one damage type.
+ *
+ * @param {Object} shield
+ * @param {string} type
+ * @param {Object} [config] - defaults to `SPACEHOLDER.shields`
+ * @returns {number}
+ */
+export function shieldAbsorption(shield, type, config) {
+  const own = shield?.absorption && typeof shield.absorption === 'object' ? shield.absorption : {};
+  const defaults = (config ?? SPACEHOLDER.shields)?.defaultAbsorption ?? {};
+  const raw = Object.prototype.hasOwnProperty.call(own, type) && own[type] !== '' && own[type] != null
+    ? own[type]
+    : defaults[type];
+  return Math.min(1, Math.max(0, _num(raw, 100) / 100));
+}
+
+/**
+ * Normalize stored shield data into the resolver's state shape.
+ *
+ * @param {Object} raw - `item.system.shield` (plus `itemId` / `name`)
+ * @returns {{itemId:string, name:string, capacity:number, value:number,
+ *   absorption:Object<string, number>, rechargePerSecond:number,
+ *   collapseThreshold:number, collapsed:boolean}}
+ */
+export function normalizeShield(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const capacity = Math.max(0, _num(src.capacity, 0));
+  return {
+    itemId: String(src.itemId ?? ''),
+    name: String(src.name ?? ''),
+    capacity,
+    value: Math.min(capacity, Math.max(0, _num(src.value, capacity))),
+    absorption: src.absorption && typeof src.absorption === 'object' ? { ...src.absorption } : {},
+    rechargePerSecond: Math.max(0, _num(src.rechargePerSecond, 0)),
+    collapseThreshold: Math.min(100, Math.max(0, _num(src.collapseThreshold, 0))),
+    collapsed: src.collapsed === true
+  };
+}
+
+/**
+ * @param {Object} shield - normalized
+ * @returns {boolean} `true` when the shield takes hits
+ */
+export function isShieldUp(shield) {
+  return !shield?.collapsed && _num(shield?.value, 0) > EPSILON;
+}
+
+/**
+ * Run an application package through the shields, outermost first. Inputs
+ * are not mutated.
+ *
+ * @param {Object} args
+ * @param {Array<{mode:string, items:Array}>} args.applications - normalized package
+ * @param {Array<Object>} args.shields - normalized shield states
+ * @param {Object} [args.config]
+ * @returns {{
+ *   applications: Array<{mode:string, items:Array}>,
+ *   shields: Array<Object>,
+ *   trace: Array<Object>
+ * }} items fully absorbed are dropped; empty phases too.
+ */
+export function absorbWithShields({ applications, shields, config } = {}) {
+  const states = (Array.isArray(shields) ? shields : []).map((s) => ({ ...s }));
+  const trace = [];
+  const phases = [];
+
+  for (const phase of Array.isArray(applications) ? applications : []) {
+    const items = [];
+    for (const item of Array.isArray(phase?.items) ? phase.items : []) {
+      let damage = Math.max(0, _num(item?.damage, 0));
+      for (const shield of states) {
+        if (damage <= EPSILON || !isShieldUp(shield)) continue;
+        const share = shieldAbsorption(shield, item.type, config);
+        const absorbed = Math.min(damage * share, shield.value);
+        if (absorbed <= EPSILON) continue;
+        damage -= absorbed;
+        shield.value -= absorbed;
+        if (shield.value <= shield.capacity * (shield.collapseThreshold / 100) + EPSILON) {
+          shield.value = 0;
+          shield.collapsed = true;
+        }
+        trace.push({
+          kind: 'shield',
+          itemId: shield.itemId,
+          name: shield.name,
+          type: item.type,
+          incoming: damage + absorbed,
+          absorbed,
+          valueAfter: shield.value,
+          collapsed: shield.collapsed
+        });
+      }
+      if (damage <= EPSILON) continue;
+      const out = { ...item, damage };
+      // Pre-computed projectile energy shrinks with the damage it carries.
+      const original = _num(item?.damage, 0);
+      if (Number.isFinite(item?.energy) && original > 0) out.energy = item.energy * (damage / original);
+      items.push(out);
+    }
+    if (items.length) phases.push({ ...phase, items });
+  }
+
+  return { applications: phases, shields: states, trace };
+}
+
+/**
+ * Recharge a shield over `seconds` of personal time. A collapsed shield
+ * comes back up once the pool is full again.
+ *
+ * @param {Object} shield - normalized
+ * @param {number} seconds
+ * @returns {{shield: Object, changed: boolean}}
+ */
+export function rechargeShield(shield, seconds) {
+  const dt = Math.max(0, _num(seconds, 0));
+  const rate = Math.max(0, _num(shield?.rechargePerSecond, 0));
+  const capacity = Math.max(0, _num(shield?.capacity, 0));
+  const value = Math.max(0, _num(shield?.value, 0));
+  if (dt <= 0 || rate <= 0 || (value >= capacity && !shield?.collapsed)) return { shield, changed: false };
+
+  const next = { ...shield, value: Math.min(capacity, value + rate * dt) };
+  if (next.collapsed && next.value >= capacity - EPSILON) next.collapsed = false;
+  return { shield: next, changed: true };
+}
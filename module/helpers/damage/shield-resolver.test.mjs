@@ -0,0 +1,114 @@
+/**
+ * Smoke tests for energy shields. Runs in plain Node (no Foundry globals
+ * required). Execute with:
+ *   node module/helpers/damage/shield-resolver.test.mjs
+ */
+
+import {
+  absorbWithShields,
+  isShieldUp,
+  normalizeShield,
+  rechargeShield,
+  shieldAbsorption
+} from './shield-resolver.mjs';
+import { resolveBodyTraversal } from './body-traversal-resolver.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+function approxEqual(a, b, tol = 1e-6) {
+  return Math.abs(a - b) <= tol;
+}
+
+const CONFIG = { defaultAbsorption: { radiation: 25 } };
+const pkg = (...items) => [{ mode: 'sequential', items }];
+const shield = (over = {}) => normalizeShield({ itemId: 's1', name: 'Barrier', capacity: 10, value: 10, ...over });
+
+/* ---- Normalization & absorption ------------------------------------ */
+{
+  const s = normalizeShield({ capacity: 5 });
+  assert('missing value starts full', s.value === 5 && !s.collapsed, JSON.stringify(s));
+  assert('value is clamped to capacity', normalizeShield({ capacity: 5, value: 9 }).value === 5);
+  assert('own absorption wins', approxEqual(shieldAbsorption({ absorption: { radiation: 80 } }, 'radiation', CONFIG), 0.8));
+  assert('blank absorption falls back to config', approxEqual(shieldAbsorption({ absorption: { radiation: '' } }, 'radiation', CONFIG), 0.25));
+  assert('unlisted types are fully absorbed', shieldAbsorption({}, 'ballistic', CONFIG) === 1);
+}
+
+/* ---- Absorbing ----------------------------------------------------- */
+{
+  const input = pkg({ type: 'ballistic', damage: 4, armorPen: 3, energy: 40 });
+  const shields = [shield()];
+  const res = absorbWithShields({ applications: input, shields, config: CONFIG });
+  assert('small hit is fully absorbed', res.applications.length === 0, JSON.stringify(res.applications));
+  assert('pool drains by the absorbed damage', approxEqual(res.shields[0].value, 6));
+  assert('inputs are not mutated', shields[0].value === 10 && input[0].items[0].damage === 4);
+  assert('trace records the absorption',
+    res.trace.length === 1 && res.trace[0].kind === 'shield' && approxEqual(res.trace[0].absorbed, 4), JSON.stringify(res.trace));
+
+  const big = absorbWithShields({ applications: pkg({ type: 'ballistic', damage: 15, armorPen: 3, energy: 30 }), shields, config: CONFIG });
+  const through = big.applications[0]?.items[0];
+  assert('overflow passes through with its armorPen', through && approxEqual(through.damage, 5) && through.armorPen === 3, JSON.stringify(through));
+  assert('energy scales with the damage let through', approxEqual(through.energy, 10), JSON.stringify(through));
+  assert('empty pool collapses', big.shields[0].collapsed && !isShieldUp(big.shields[0]));
+
+  const partial = absorbWithShields({ applications: pkg({ type: 'radiation', damage: 8 }), shields, config: CONFIG });
+  assert('per-type absorption lets the rest through',
+    approxEqual(partial.applications[0].items[0].damage, 6) && approxEqual(partial.shields[0].value, 8), JSON.stringify(partial));
+
+  const threshold = absorbWithShields({ applications: pkg({ type: 'ballistic', damage: 7 }), shields: [shield({ collapseThreshold: 30 })], config: CONFIG });
+  assert('dropping to the threshold collapses the shield',
+    threshold.shields[0].collapsed && threshold.shields[0].value === 0 && threshold.trace[0].collapsed, JSON.stringify(threshold.shields));
+
+  const down = absorbWithShields({ applications: pkg({ type: 'ballistic', damage: 3 }), shields: [shield({ collapsed: true })], config: CONFIG });
+  assert('collapsed shield absorbs nothing', approxEqual(down.applications[0].items[0].damage, 3) && !down.trace.length);
+
+  const layered = absorbWithShields({
+    applications: pkg({ type: 'ballistic', damage: 12 }),
+    shields: [shield({ capacity: 5, value: 5 }), shield({ itemId: 's2', capacity: 10, value: 10 })],
+    config: CONFIG
+  });
+  assert('outer shield overflows into the next one',
+    !layered.applications.length && layered.shields[0].value === 0 && approxEqual(layered.shields[1].value, 3), JSON.stringify(layered.shields));
+}
+
+/* ---- Recharge ------------------------------------------------------ */
+{
+  const drained = shield({ value: 0, collapsed: true, rechargePerSecond: 2 });
+  const half = rechargeShield(drained, 3);
+  assert('recharge adds rate × seconds', half.changed && approxEqual(half.shield.value, 6) && half.shield.collapsed);
+  const full = rechargeShield(half.shield, 10);
+  assert('full pool lifts the collapse', full.shield.value === 10 && !full.shield.collapsed, JSON.stringify(full.shield));
+  assert('full shield does not change', !rechargeShield(full.shield, 10).changed);
+}
+
+/* ---- Traversal ----------------------------------------------------- */
+{
+  const anatomy = { bodyParts: { chest: { id: 'chest', exposure: { front: 100 }, relations: [], bodyLayers: [] } } };
+  const res = resolveBodyTraversal({
+    anatomy,
+    startSlotRef: 'chest',
+    applications: pkg({ type: 'ballistic', damage: 15 }),
+    shields: [{ itemId: 's1', name: 'Barrier', capacity: 10, value: 10 }],
+    random: () => 0.99
+  });
+  const body = res.bodyDamageBySlot.chest?.find((d) => d.type === 'ballistic')?.amount ?? 0;
+  assert('traversal applies shields before the part', approxEqual(body, 5), JSON.stringify(res.bodyDamageBySlot));
+  assert('traversal reports shield updates and trace',
+    res.shieldUpdates[0]?.collapsed === true && res.trace[0]?.phase === 'shield' && res.trace[0]?.slotRef === 'chest',
+    JSON.stringify({ shieldUpdates: res.shieldUpdates, trace: res.trace }));
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll shield smoke tests passed.');
+}
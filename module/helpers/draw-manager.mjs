@@ -7,6 +7,10 @@ export class DrawManager {
     // Контейнеры для графических элементов
     this.drawContainer = null;
     this.currentDrawnElements = [];
+    // Зоны подавления: постоянный оверлей, clearAll его не трогает
+    this.suppressionElements = [];
+    // Дуги дежурного огня: так же постоянный оверлей
+    this.overwatchElements = [];
     
     // Стили по умолчанию
     this.defaultStyles = {
@@ -32,6 +36,18 @@ export class DrawManager {
         alpha: 0.9,
         radius: 8,
         lineWidth: 2
+      },
+      suppression: {
+        color: 0xFFCC33,
+        alpha: 0.8,
+        lineWidth: 2,
+        fillAlpha: 0.12
+      },
+      overwatch: {
+        color: 0x33CCFF,
+        alpha: 0.8,
+        lineWidth: 2,
+        fillAlpha: 0.08
       }
     };
   }
@@ -399,9 +415,99 @@ export class DrawManager {
     }
   }
   
+  /**
+   * Отрисовка зон подавления (заменяет ранее нарисованные зоны)
+   * @param {Array<Object>} zones - зоны из suppression-runtime: {id, shape, x, y, direction, arcDeg, range, radius}
+   */
+  drawSuppressionZones(zones) {
+    this.clearSuppressionZones();
+    this._createContainer();
+    if (!this.drawContainer) return;
+    
+    const style = this.defaultStyles.suppression;
+    for (const zone of zones ?? []) {
+      const zoneGraphics = this._createZoneGraphics(zone, style, `drawManager_suppression_${zone.id || 'unknown'}`);
+      this.drawContainer.addChild(zoneGraphics);
+      this.suppressionElements.push(zoneGraphics);
+    }
+  }
+  
+  /**
+   * Отрисовка дуг дежурного огня (заменяет ранее нарисованные дуги)
+   * @param {Array<Object>} arcs - дуги из overwatch-runtime: {id, x, y, direction, arcDeg, range}
+   */
+  drawOverwatchArcs(arcs) {
+    this.clearOverwatchArcs();
+    this._createContainer();
+    if (!this.drawContainer) return;
+    
+    const style = this.defaultStyles.overwatch;
+    for (const arc of arcs ?? []) {
+      const arcGraphics = this._createZoneGraphics(arc, style, `drawManager_overwatch_${arc.id || 'unknown'}`);
+      this.drawContainer.addChild(arcGraphics);
+      this.overwatchElements.push(arcGraphics);
+    }
+  }
+  
+  /**
+   * Графика зоны: круг (shape 'area') или конус от точки x, y
+   * @private
+   */
+  _createZoneGraphics(zone, style, name) {
+    const zoneGraphics = new PIXI.Graphics();
+    zoneGraphics.lineStyle(style.lineWidth, style.color, style.alpha);
+    zoneGraphics.beginFill(style.color, style.fillAlpha);
+    
+    if (zone.shape === 'area') {
+      // Круг вокруг точки прицеливания
+      zoneGraphics.drawCircle(zone.x, zone.y, zone.radius);
+    } else {
+      // Конус от стрелка в сторону прицеливания
+      const directionRad = (zone.direction * Math.PI) / 180;
+      const halfRad = (zone.arcDeg * Math.PI) / 360;
+      zoneGraphics.moveTo(zone.x, zone.y);
+      zoneGraphics.lineTo(
+        zone.x + Math.cos(directionRad - halfRad) * zone.range,
+        zone.y + Math.sin(directionRad - halfRad) * zone.range
+      );
+      zoneGraphics.arc(zone.x, zone.y, zone.range, directionRad - halfRad, directionRad + halfRad);
+      zoneGraphics.lineTo(zone.x, zone.y);
+    }
+    zoneGraphics.endFill();
+    
+    zoneGraphics.name = name;
+    zoneGraphics.interactive = false;
+    zoneGraphics.interactiveChildren = false;
+    return zoneGraphics;
+  }
+  
+  /**
+   * Очистка зон подавления
+   */
+  clearSuppressionZones() {
+    this.suppressionElements.forEach(element => {
+      if (element && !element.destroyed) {
+        element.destroy();
+      }
+    });
+    this.suppressionElements = [];
+  }
+  
+  /**
+   * Очистка дуг дежурного огня
+   */
+  clearOverwatchArcs() {
+    this.overwatchElements.forEach(element => {
+      if (element && !element.destroyed) {
+        element.destroy();
+      }
+    });
+    this.overwatchElements = [];
+  }
+  
   /**
    * Установка пользовательских стилей
-   * @param {Object} styles - объект со стилями для line, circle, cone и/или hit
+   * @param {Object} styles - объект со стилями для line, circle, cone, hit, suppression и/или overwatch
    */
   setStyles(styles) {
     if (styles.line) {
@@ -416,6 +522,12 @@ export class DrawManager {
     if (styles.hit) {
       this.defaultStyles.hit = { ...this.defaultStyles.hit, ...styles.hit };
     }
+    if (styles.suppression) {
+      this.defaultStyles.suppression = { ...this.defaultStyles.suppression, ...styles.suppression };
+    }
+    if (styles.overwatch) {
+      this.defaultStyles.overwatch = { ...this.defaultStyles.overwatch, ...styles.overwatch };
+    }
   }
   
   /**
@@ -423,6 +535,8 @@ export class DrawManager {
    */
   destroy() {
     this.clearAll();
+    this.clearSuppressionZones();
+    this.clearOverwatchArcs();
     
     if (this.drawContainer && !this.drawContainer.destroyed) {
       this.drawContainer.destroy();
@@ -4,6 +4,13 @@
  */
 
 import { composeProjectileApplications } from '../documents/item.mjs';
+import { applyPitchToBodyParts, hitTravelDeg, incomingHitDirection, resolveHitLocation, tokenFacingDeg } from './damage/hit-location.mjs';
+import { applyCoverToBodyParts } from './damage/cover.mjs';
+import { isCoverWall, persistCoverWear, resolveTokenCover } from './damage/cover-runtime.mjs';
+import { areaEffectBlocksLine } from './damage/area-effects.mjs';
+import { listSceneAreaEffects, spawnAreaEffects } from './damage/area-effects-runtime.mjs';
+import { buildVerticalProfile, pitchBetween, profileHeightAt, profilePitchAt, spanGap } from './weapon/elevation.mjs';
+import { aimHeight, shotVerticalStart, tokenSpan, wallSpan } from './weapon/elevation-runtime.mjs';
 
 /**
  * ShotSystem - центральное хранилище выстрелов
@@ -27,17 +34,27 @@ class ShotSystem {
    * @returns {object} Объект выстрела
    */
   registerShot(uid) {
-    const shot = {
+    const shot = this.createShotRecord(uid);
+    this.shots.set(uid, shot);
+    return shot;
+  }
+
+  /**
+   * Пустой объект выстрела без регистрации (предпросмотр)
+   * @param {string} uid - Уникальный идентификатор выстрела
+   * @returns {object} Объект выстрела
+   */
+  createShotRecord(uid) {
+    return {
       uid: uid,
       shotResult: {
         shotPaths: [],  // Массив траекторий (координат)
         shotHits: []    // Массив попаданий
       },
-      actualHits: []    // Массив фактических попаданий от HitSystem
+      actualHits: [],   // Массив фактических попаданий от HitSystem
+      vertical: null,   // Высота и наклон выстрела {z, slope} (weapon/elevation.mjs)
+      areaEffects: []   // Оставленные сегментами эффекты {spec, center, range} (damage/area-effects.mjs)
     };
-    
-    this.shots.set(uid, shot);
-    return shot;
   }
 
   /**
@@ -105,12 +122,27 @@ export class ShotManager {
    * via `buildProjectileApplications`. If the projectile carries no usable
    * damage spec the call is a no-op.
    *
+   * The struck part and the side it is struck from come from
+   * {@link ShotManager#resolveHitLocation}: the angle between the shot and
+   * the target's rotation picks the side, the parts' exposure on that side
+   * weights the roll, and cover between the shot origin and the target hides
+   * parts or adds its layers (`damage/cover.mjs`). A target hidden entirely
+   * takes nothing — the shot hits the cover. A shot coming in from above or
+   * below (`details.pitchDeg` of the hit, see `weapon/elevation.mjs`) favours
+   * the high or the low parts.
+   *
    * @param {Object} shot - shot object (as returned by shotSystem.registerShot)
    * @param {Object} projectile - the resolved projectile payload (after ammo
    *   substitution etc.)
    * @param {Object} [options]
-   * @param {string} [options.partId] - body slot to target; if omitted, the
-   *   per-hit `details.partId` is used (or fallback `'core'`).
+   * @param {string} [options.partId] - body slot forced for every hit (tools,
+   *   debug); skips the exposure roll. Otherwise the per-hit
+   *   `details.partId` / `partId`, else the rolled part.
+   * @param {{tokenId: string, partId: string}} [options.aimedPart] - part the
+   *   shot was called at; applies to the hit on that token only and goes
+   *   through the aimed-shot chance.
+   * @param {{x:number, y:number}} [options.origin] - where the shot came
+   *   from; defaults to the start of the path that led to each hit.
    * @param {Object} [options.builderContext] - extra context forwarded to
    *   `applyDamagePackage` when the projectile uses a builderId.
    * @param {string|Object} [options.source] - либо строка-легаси, либо
@@ -118,7 +150,7 @@ export class ShotManager {
    *   (`attackerName`, `weaponName`, `ammoName`, `verbKey`, `shotUid` и uuid'ы)
    *   дополняются автоматически из `shot` / `builderContext` / `projectile`.
    * @param {() => number} [options.random]
-   * @returns {Promise<Array<{actorId: string, slotRef: string|null, bodyDamage: Array<{type:string, amount:number}>}>>}
+   * @returns {Promise<Array<{actorId: string, slotRef: string|null, bodyDamage: Array<{type:string, amount:number}>, hitDirection: string, aimedHit: boolean, hiddenFraction: number, pitchDeg: number}>>}
    */
   async applyImpactsToActors(shot, projectile, options = {}) {
     if (!shot || !Array.isArray(shot.actualHits) || !shot.actualHits.length) return [];
@@ -135,16 +167,36 @@ export class ShotManager {
       const token = hit?.object?.document ? hit.object : hit?.token ?? hit?.target ?? null;
       const actor = token?.actor ?? hit?.actor ?? null;
       if (!actor || typeof actor.applyDamagePackage !== 'function') continue;
-      const partId = options.partId ?? hit?.details?.partId ?? hit?.partId ?? 'core';
+      const location = this.resolveHitLocation(hit, {
+        origin: options.origin ?? this._hitOrigin(shot, hit),
+        aimedPartId: options.aimedPart?.tokenId && options.aimedPart.tokenId === token?.id ? options.aimedPart.partId : null,
+        random: options.random,
+      });
+      if (location.cover?.fullyCovered && !options.partId) {
+        ui.notifications?.info?.(game.i18n.format('SPACEHOLDER.Cover.FullyCovered', { target: token?.name ?? actor.name }));
+        continue;
+      }
+      const partId = options.partId ?? hit?.details?.partId ?? hit?.partId ?? location.partId ?? 'core';
       try {
         const out = await actor.applyDamagePackage({
           partId,
+          hitDirection: location.direction,
+          obstacles: location.cover?.obstacles ?? [],
           applications: phases,
           builderContext: options.builderContext,
           source: sourceSnapshot,
           random: options.random,
         });
-        results.push({ actorId: actor.id, slotRef: out.slotRef, bodyDamage: out.bodyDamage });
+        await persistCoverWear(out.obstacleUpdates);
+        results.push({
+          actorId: actor.id,
+          slotRef: out.slotRef,
+          bodyDamage: out.bodyDamage,
+          hitDirection: location.direction,
+          aimedHit: location.aimedHit,
+          hiddenFraction: location.cover?.hiddenFraction ?? 0,
+          pitchDeg: location.pitchDeg,
+        });
       } catch (e) {
         console.error('SpaceHolder | ShotManager: failed to apply impact', e);
       }
@@ -152,6 +204,178 @@ export class ShotManager {
     return results;
   }
 
+  /**
+   * Где пуля входит в цель: сторона (по углу между выстрелом и поворотом
+   * токена) и часть тела (бросок по её открытости с этой стороны).
+   * Укрытие между `origin` и целью обнуляет открытость закрытых частей;
+   * разрушаемое укрытие перед поражённой частью попадает в `cover.obstacles`.
+   * Прицельный выстрел в часть попадает в неё с шансом по кривой штрафа
+   * (`CONFIG.SPACEHOLDER.hitLocation`), иначе — обычный бросок.
+   * Выстрел сверху (снизу) чаще попадает в верхние (нижние) части тела.
+   * @param {Object} hit - попадание из `shot.actualHits`
+   * @param {Object} [options]
+   * @param {{x:number, y:number}} [options.origin] - откуда летел выстрел;
+   *   без него укрытие не учитывается
+   * @param {string|null} [options.aimedPartId]
+   * @param {number|null} [options.pitchDeg] - угол выстрела к горизонту
+   *   (больше 0 — сверху); по умолчанию `details.pitchDeg` попадания
+   * @param {() => number} [options.random]
+   * @returns {{partId: string|null, direction: string, aimedPartId: string|null, aimedChance: number, aimedHit: boolean, pitchDeg: number,
+   *   cover: {hiddenFraction: number, coveredPartIds: string[], fullyCovered: boolean, obstacles: Array<{id:string, layers:Array}>}|null}}
+   */
+  resolveHitLocation(hit, { origin = null, aimedPartId = null, pitchDeg = null, random } = {}) {
+    const token = hit?.object?.document ? hit.object : hit?.token ?? hit?.target ?? null;
+    const actor = token?.actor ?? hit?.actor ?? null;
+    const pitch = Number(pitchDeg ?? hit?.details?.pitchDeg ?? hit?.pitchDeg ?? 0) || 0;
+    const bodyParts = applyPitchToBodyParts({
+      bodyParts: actor?.system?.health?.bodyParts ?? {},
+      pitchDeg: pitch,
+      gridHeight: actor?.system?.health?.anatomyGrid?.height,
+      config: CONFIG.SPACEHOLDER?.hitLocation,
+    });
+    const travel = hitTravelDeg({ point: hit?.point ?? null, center: token?.center ?? null, origin });
+    const direction = travel === null
+      ? 'front'
+      : incomingHitDirection(travel, tokenFacingDeg(token?.document?.rotation));
+    const profile = resolveTokenCover({ origin, token });
+    const covered = profile ? applyCoverToBodyParts({ bodyParts, direction, profile }) : null;
+    const location = covered?.fullyCovered
+      ? { partId: null, direction, aimedPartId, aimedChance: 0, aimedHit: false }
+      : resolveHitLocation({
+        bodyParts: covered?.bodyParts ?? bodyParts,
+        direction,
+        aimedPartId,
+        config: CONFIG.SPACEHOLDER?.hitLocation,
+        random: random ?? Math.random,
+      });
+    return {
+      ...location,
+      pitchDeg: pitch,
+      cover: covered
+        ? {
+          hiddenFraction: profile.hiddenFraction,
+          coveredPartIds: covered.coveredPartIds,
+          fullyCovered: covered.fullyCovered,
+          obstacles: covered.obstaclesByPart[location.partId] ?? [],
+        }
+        : null,
+    };
+  }
+
+  /**
+   * Откуда пришёл выстрел к попаданию: начало отрезка пути, на котором
+   * лежит точка попадания (после рикошетов — последнего), иначе начало
+   * последнего сегмента (центр взрыва).
+   * @private
+   * @param {Object} shot
+   * @param {Object} hit
+   * @returns {{x:number, y:number}|null}
+   */
+  _hitOrigin(shot, hit) {
+    const paths = Array.isArray(shot?.shotResult?.shotPaths) ? shot.shotResult.shotPaths : [];
+    const point = hit?.point ?? null;
+    if (point) {
+      for (let i = paths.length - 1; i >= 0; i -= 1) {
+        const path = paths[i];
+        if (!path?.start || !path?.end) continue;
+        if (this._distanceFromPointToSegment(point, path.start, path.end) <= 2) return { ...path.start };
+      }
+    }
+    const last = paths[paths.length - 1];
+    return last?.start ? { ...last.start } : null;
+  }
+
+  /**
+   * Расстояние от точки до отрезка
+   * @private
+   * @param {object} p - Точка {x, y}
+   * @param {object} a - Начало отрезка {x, y}
+   * @param {object} b - Конец отрезка {x, y}
+   * @returns {number}
+   */
+  _distanceFromPointToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+    return Math.hypot(p.x - (a.x + dx * t), p.y - (a.y + dy * t));
+  }
+
+  /**
+   * Останавливает ли стена выстрел: стены движения, кроме укрытий
+   * (над укрытием выстрел пролетает, см. damage/cover-runtime.mjs).
+   * С высотой выстрела `z` — только если он проходит в пределах высоты
+   * стены (флаги Wall Height, см. weapon/elevation.mjs).
+   * @private
+   * @param {Wall} wall
+   * @param {number|null} [z]
+   * @returns {boolean}
+   */
+  _blocksShots(wall, z = null) {
+    if (!wall.document.move || isCoverWall(wall)) return false;
+    return z === null || spanGap(z, wallSpan(wall)) === 0;
+  }
+
+  /**
+   * Высота выстрела у токена: на входе в токен или у его центра (навесной
+   * выстрел может упасть в токен сверху).
+   * @private
+   * @param {object} segment - Линейный сегмент {start, end}
+   * @param {object} vertical - Вертикальный профиль сегмента
+   * @param {number} entryDistance - Расстояние до точки входа, px
+   * @param {Token} token
+   * @returns {{z: number, pitchDeg: number}|null} null — выстрел прошёл над или под токеном
+   */
+  _lineTokenHeight(segment, vertical, entryDistance, token) {
+    const span = tokenSpan(token);
+    const dx = segment.end.x - segment.start.x;
+    const dy = segment.end.y - segment.start.y;
+    const len = Math.hypot(dx, dy);
+    const along = len > 0
+      ? ((token.center.x - segment.start.x) * dx + (token.center.y - segment.start.y) * dy) / len
+      : 0;
+    for (const d of [entryDistance, Math.max(entryDistance, Math.min(len, along))]) {
+      const z = profileHeightAt(vertical, d);
+      if (spanGap(z, span) === 0) return { z, pitchDeg: profilePitchAt(vertical, d) };
+    }
+    return null;
+  }
+
+  /**
+   * Вертикальный профиль отрезка выстрела: с текущей высоты выстрела по его
+   * наклону; `segment.arc` — навес (подъём над прямой в середине отрезка).
+   * @private
+   * @param {object} shot
+   * @param {object} segment - Сегмент payload
+   * @param {{x:number, y:number}} start
+   * @param {{x:number, y:number}} end
+   * @param {number} defSize - px на единицу сцены
+   * @returns {object|null} null — высота не учитывается
+   */
+  _segmentVertical(shot, segment, start, end, defSize) {
+    if (!shot.vertical) return null;
+    return buildVerticalProfile({
+      z0: shot.vertical.z,
+      slope: shot.vertical.slope,
+      arc: segment.arc,
+      length: Math.hypot(end.x - start.x, end.y - start.y) / defSize,
+      pxPerUnit: defSize,
+    });
+  }
+
+  /**
+   * Перенести высоту выстрела в конец пройденного отрезка.
+   * @private
+   * @param {object} shot
+   * @param {object|null} vertical - Профиль отрезка
+   * @param {{x:number, y:number}} start
+   * @param {{x:number, y:number}} end - Где выстрел остановился на отрезке
+   */
+  _advanceVertical(shot, vertical, start, end) {
+    if (!shot.vertical || !vertical) return;
+    shot.vertical.z = profileHeightAt(vertical, Math.hypot(end.x - start.x, end.y - start.y));
+  }
+
   /**
    * Собрать snapshot источника травмы: имена атакующего/оружия/аммо + их
    * uuid'ы + id выстрела + глагол. Каждое поле опционально; если что-то
@@ -681,11 +905,12 @@ export class ShotManager {
   }
 
   /**
-   * Проверка line of sight между двумя точками
+   * Проверка line of sight между двумя точками. Дым (damage/area-effects.mjs)
+   * на линии тоже её перекрывает
    * @private
    * @param {object} start - Начальная точка {x, y}
    * @param {object} end - Конечная точка {x, y}
-   * @param {object} options - Опции проверки {walls: boolean, tokens: boolean}
+   * @param {object} options - Опции проверки {walls: boolean, tokens: boolean, smoke: boolean}
    * @param {Array} whitelist - Список игнорируемых токенов
    * @param {Token} targetToken - Целевой токен (для учета высоты при стакинге)
    * @returns {object} Результат {blocked: boolean, blockers: [{type, object, point}]}
@@ -704,7 +929,7 @@ export class ShotManager {
     // Проверка стен
     if (checkWalls && canvas.walls?.placeables) {
       for (const wall of canvas.walls.placeables) {
-        if (!wall.document.move) continue;
+        if (!this._blocksShots(wall)) continue;
         
         const intersection = this._raySegmentIntersection(
           start,
@@ -791,6 +1016,20 @@ export class ShotManager {
       }
     }
     
+    // Проверка дыма
+    if (options.smoke !== false) {
+      for (const { doc, effect } of listSceneAreaEffects()) {
+        if (!areaEffectBlocksLine(effect, start, end)) continue;
+        const point = this._rayCircleIntersection(start, end, { x: effect.x, y: effect.y }, effect.radius) ?? { ...start };
+        blockers.push({
+          type: 'smoke',
+          object: doc,
+          point: point,
+          distance: Math.hypot(point.x - start.x, point.y - start.y)
+        });
+      }
+    }
+    
     if (debugLoS && blockers.length > 0) {
       console.log('LoS blocked by:', blockers);
     }
@@ -843,6 +1082,7 @@ export class ShotManager {
     const collisions = [];
     const checkWalls = segment.collision.walls !== false;
     const checkTokens = segment.collision.tokens !== false;
+    const vertical = segment.vertical ?? null;
     
     // Проверка столкновений с токенами
     if (checkTokens && canvas.tokens?.placeables) {
@@ -872,6 +1112,10 @@ export class ShotManager {
             intersection.y - segment.start.y
           );
           
+          // Выстрел прошёл над или под токеном
+          const height = vertical ? this._lineTokenHeight(segment, vertical, distance, token) : null;
+          if (vertical && !height) continue;
+          
           // Вычисляем расстояние от центра токена до линии траектории
           const distanceToCenter = this._distanceFromPointToLine(
             segment.start,
@@ -907,7 +1151,8 @@ export class ShotManager {
             details: {
               distanceToCenter: distanceToCenter,
               closeness: closeness,
-              angleDeg: angleDeg
+              angleDeg: angleDeg,
+              ...(height ? { heightAtHit: height.z, pitchDeg: height.pitchDeg } : {})
             }
           });
         }
@@ -917,7 +1162,7 @@ export class ShotManager {
     // Проверка столкновений со стенами
     if (checkWalls && canvas.walls?.placeables) {
       for (const wall of canvas.walls.placeables) {
-        if (!wall.document.move) continue;
+        if (!this._blocksShots(wall)) continue;
         
         const intersection = this._raySegmentIntersection(
           segment.start,
@@ -932,6 +1177,9 @@ export class ShotManager {
             intersection.y - segment.start.y
           );
           
+          // Выстрел прошёл над или под стеной
+          if (vertical && !this._blocksShots(wall, profileHeightAt(vertical, distance))) continue;
+          
           collisions.push({
             type: 'wall',
             object: wall,
@@ -1014,6 +1262,7 @@ export class ShotManager {
     const shooterToken = segment.shooterToken;
     const circleCenter = segment.start;
     const circleRadius = segment.range;
+    const vertical = segment.vertical ?? null;
     
     if (checkTokens && canvas.tokens?.placeables) {
     for (const token of canvas.tokens.placeables) {
@@ -1035,6 +1284,9 @@ export class ShotManager {
         tokenCenter.y - circleCenter.y
       );
       
+      // Токен выше или ниже, чем достаёт круг
+      if (vertical && spanGap(vertical.z0, tokenSpan(token)) * vertical.pxPerUnit > circleRadius) continue;
+      
       // Если токен в радиусе (с учётом радиуса токена)
       if (distance <= circleRadius + tokenRadius) {
       // Добавляем токен в whitelist + токены с игнорируемой диспозицией
@@ -1055,7 +1307,8 @@ export class ShotManager {
             distance: distance,
             details: {
               coverage: result.coverage,
-              hitPoints: result.hitPoints
+              hitPoints: result.hitPoints,
+              ...(vertical ? { pitchDeg: pitchBetween(vertical.z0, aimHeight(token), distance / vertical.pxPerUnit) } : {})
             }
           });
         }
@@ -1067,7 +1320,7 @@ export class ShotManager {
     const checkWalls = segment.collision?.walls !== false;
     if (checkWalls && canvas.walls?.placeables) {
       for (const wall of canvas.walls.placeables) {
-        if (!wall.document.move) continue;
+        if (!this._blocksShots(wall)) continue;
         const wallStart = { x: wall.document.c[0], y: wall.document.c[1] };
         const wallEnd = { x: wall.document.c[2], y: wall.document.c[3] };
         const hit = this._rayCircleIntersection(wallStart, wallEnd, circleCenter, circleRadius);
@@ -1166,7 +1419,7 @@ export class ShotManager {
         y: coneOrigin.y + coneRange * Math.sin(coneDirectionRad + coneHalfAngleRad)
       };
       for (const wall of canvas.walls.placeables) {
-        if (!wall.document.move) continue;
+        if (!this._blocksShots(wall)) continue;
         const wallStart = { x: wall.document.c[0], y: wall.document.c[1] };
         const wallEnd = { x: wall.document.c[2], y: wall.document.c[3] };
         const candidates = [];
@@ -1328,13 +1581,15 @@ export class ShotManager {
     let endPos = this.shotLine(lastPos, absoluteDirection, segment.length, defSize);
     
     // Создаём временный объект сегмента для проверки
+    const vertical = this._segmentVertical(shot, segment, lastPos, endPos, defSize);
     const testSegment = {
       start: { ...lastPos },
       end: { ...endPos },
       type: segment.type,
       collision: segment.collision,
       props: segment.props,
-      onHit: segment.onHit
+      onHit: segment.onHit,
+      vertical
     };
     
     // Проверяем столкновения
@@ -1403,6 +1658,7 @@ export class ShotManager {
     };
     
     shot.shotResult.shotPaths.push(path);
+    this._advanceVertical(shot, vertical, lastPos, endPos);
     
     return {
       endPos: endPos,
@@ -1429,7 +1685,8 @@ export class ShotManager {
       collision: segment.collision,
       props: segment.props,
       onHit: segment.onHit,
-      shooterToken: shooterToken
+      shooterToken: shooterToken,
+      vertical: shot.vertical ? buildVerticalProfile({ z0: shot.vertical.z, pxPerUnit: defSize }) : null
     };
     
     // Проверяем столкновения через универсальный метод
@@ -1733,6 +1990,10 @@ export class ShotManager {
     // Токены, которые мы пробили (нужно держать в whitelist до выхода)
     const penetratedTokens = [];
     
+    // Вертикальный профиль текущего отрезка и его начало
+    let vertical = null;
+    let verticalFrom = null;
+    
     // ======================
     // ЦИКЛ ПО ОТРЕЗКАМ
     // ======================
@@ -1745,12 +2006,18 @@ export class ShotManager {
       // Рассчитываем конечную точку отрезка
       const segmentEnd = this.shotLine(currentPos, currentDirection, segmentLength, defSize);
       
+      // Высота продолжается с того места, где остановился прошлый отрезок
+      this._advanceVertical(shot, vertical, verticalFrom, currentPos);
+      vertical = this._segmentVertical(shot, segment, segmentStart, segmentEnd, defSize);
+      verticalFrom = segmentStart;
+      
       // Создаём тестовый сегмент для проверки коллизий
       const testSegment = {
         start: segmentStart,
         end: { ...segmentEnd },
         type: 'line',
-        collision: segment.collision
+        collision: segment.collision,
+        vertical
       };
       
       // Проверяем столкновения
@@ -1958,6 +2225,7 @@ export class ShotManager {
         }
       }
     }
+    this._advanceVertical(shot, vertical, verticalFrom, currentPos);
     
     return {
       endPos: currentPos,
@@ -1968,15 +2236,57 @@ export class ShotManager {
 
   /**
    * Создание и просчёт выстрела
+   *
+   * Выстрел летит и по высоте (weapon/elevation.mjs): от высоты ствола
+   * стрелка с наклоном на `options.aimToken` (без цели — горизонтально);
+   * стены и токены задевает только в пределах их высоты.
    * @param {Token} token - Токен, который стреляет
    * @param {object} payload - Объект с инструкциями траектории
    * @param {number} direction - Начальное направление в градусах
+   * @param {object} [options]
+   * @param {Token|null} [options.aimToken] - Токен, в который целятся
+   * @param {number|null} [options.originHeight] - Высота начала выстрела
+   *   вместо высоты ствола (взрыв гранаты на земле)
    * @returns {string} UID созданного выстрела
    */
-  createShot(token, payload, direction) {
+  createShot(token, payload, direction, options = {}) {
     // 1. Генерация UID и регистрация выстрела
     const uid = this.shotSystem.generateUID();
     const shot = this.shotSystem.registerShot(uid);
+    this._traceShot(shot, token, payload, direction, options);
+    if (shot.areaEffects.length) void spawnAreaEffects(shot.areaEffects, token.scene);
+    
+    console.log(`Shot ${uid} created with ${shot.shotResult.shotPaths.length} paths`);
+    return uid;
+  }
+
+  /**
+   * Просчёт выстрела без регистрации — для предпросмотра (конструктор payload).
+   * Попадания только считаются: урон не наносится, выстрел не сохраняется.
+   * @param {Token} token - Токен, который стреляет
+   * @param {object} payload - Объект с инструкциями траектории
+   * @param {number} direction - Начальное направление в градусах
+   * @param {object} [options] - Как у createShot
+   * @returns {{shotResult: object, steps: Array<object>}} shotResult для
+   *   DrawManager.drawShot и шаги по сегментам {index, type, hits, shouldContinue}
+   */
+  previewShot(token, payload, direction, options = {}) {
+    const shot = this.shotSystem.createShotRecord(`preview_${Date.now()}`);
+    const steps = this._traceShot(shot, token, payload, direction, options);
+    return { shotResult: shot.shotResult, steps };
+  }
+
+  /**
+   * Просчёт сегментов payload в объект выстрела
+   * @private
+   * @returns {Array<object>} Шаги {index, type, hits, shouldContinue}
+   */
+  _traceShot(shot, token, payload, direction, options = {}) {
+    const vertical = shotVerticalStart(token, options.aimToken ?? null);
+    if (vertical && options.originHeight !== null && options.originHeight !== undefined) {
+      vertical.z = Number(options.originHeight) || 0;
+    }
+    shot.vertical = vertical;
     
     // 2. Получение whitelist и базовых параметров
     const whitelist = this.getWhitelist(token);
@@ -1985,9 +2295,12 @@ export class ShotManager {
     // 3. Инициализация переменных для просчёта
     let lastPos = { ...defaults.defPos };
     let currentDirection = direction;
+    const steps = [];
     
     // 4. Просчёт всех сегментов траектории
-    for (const segment of payload.trajectory.segments) {
+    const segments = payload?.trajectory?.segments ?? [];
+    for (let index = 0; index < segments.length; index++) {
+      const segment = segments[index];
       const context = {
         lastPos: lastPos,
         direction: currentDirection,
@@ -1997,7 +2310,23 @@ export class ShotManager {
         shooterToken: token
       };
       
+      const hitsBefore = shot.shotResult.shotHits.length;
       const result = this.shotSegment(segment, context);
+      steps.push({
+        index,
+        type: segment.type,
+        hits: shot.shotResult.shotHits.length - hitsBefore,
+        shouldContinue: result.shouldContinue
+      });
+      
+      // Сегмент с areaEffect оставляет эффект там, где закончился
+      if (segment.areaEffect) {
+        shot.areaEffects.push({
+          spec: segment.areaEffect,
+          center: { ...result.endPos },
+          range: segment.type === 'circle' ? segment.range : null
+        });
+      }
       
       // Обновляем позицию и направление для следующего сегмента
       lastPos = result.endPos;
@@ -2009,8 +2338,7 @@ export class ShotManager {
       }
     }
     
-    console.log(`Shot ${uid} created with ${shot.shotResult.shotPaths.length} paths`);
-    return uid;
+    return steps;
   }
 
   /**
@@ -34,8 +34,11 @@ export const preloadHandlebarsTemplates = async function () {
     'systems/spaceholder/templates/item/parts/item-weapon-v3-edit-line.hbs',
     'systems/spaceholder/templates/item/parts/item-weapon-v3-edit-blocks.hbs',
     'systems/spaceholder/templates/item/parts/item-weapon-v3-edit-modes.hbs',
+    'systems/spaceholder/templates/item/parts/item-weapon-v3-edit-slots.hbs',
+    'systems/spaceholder/templates/item/parts/item-weapon-v3-edit-attachment.hbs',
     'systems/spaceholder/templates/item/parts/item-weapon-v3-damage.hbs',
     'systems/spaceholder/templates/item/parts/item-ammo-v3-tab.hbs',
+    'systems/spaceholder/templates/item/parts/item-attachment-v3-tab.hbs',
     'systems/spaceholder/templates/item/parts/item-container.hbs',
     'systems/spaceholder/templates/item/parts/item-container-footer.hbs',
     'systems/spaceholder/templates/item/parts/item-material-attributes.hbs',
@@ -43,6 +46,11 @@ export const preloadHandlebarsTemplates = async function () {
     'systems/spaceholder/templates/icon-picker/icon-picker.hbs',
     // Damage tools
     'systems/spaceholder/templates/damage/armor-penetration-tester-app.hbs',
+    'systems/spaceholder/templates/damage/damage-trace-replay-app.hbs',
+    // Ammo crafting
+    'systems/spaceholder/templates/weapon/ammo-crafting-app.hbs',
+    // Payload designer
+    'systems/spaceholder/templates/weapon/payload-designer.hbs',
     // Minigames
     'systems/spaceholder/templates/minigames/hack-minigame-app.hbs',
     // HUD: Hotbar faction selector
@@ -114,8 +114,16 @@ function addCustomButtons(tokenControls) {
     button: true,
     order: 14,
   });
+  const addedPayloadDesigner = game.user?.isGM ? upsertTool(tokenControls, {
+    name: 'payload-designer',
+    title: game.i18n.localize('SPACEHOLDER.TokenControls.PayloadDesigner.Title'),
+    icon: 'fas fa-bezier-curve',
+    onChange: () => openPayloadDesigner(),
+    button: true,
+    order: 15,
+  }) : false;
 
-  if (addedAiming || addedAimingArcHover || addedArmorTester || addedSkipTime || addedHackMinigame) {
+  if (addedAiming || addedAimingArcHover || addedArmorTester || addedSkipTime || addedHackMinigame || addedPayloadDesigner) {
     console.log('SpaceHolder | Added custom Token Control buttons');
   }
 }
@@ -251,6 +259,15 @@ function openHackMinigame() {
     });
 }
 
+function openPayloadDesigner() {
+  import('./weapon/payload-designer-app.mjs')
+    .then(({ openPayloadDesignerApp }) => openPayloadDesignerApp())
+    .catch((err) => {
+      console.error('SpaceHolder | Failed to open payload designer:', err);
+      ui.notifications?.error?.(game.i18n.localize('SPACEHOLDER.PayloadDesigner.Messages.OpenFailed'));
+    });
+}
+
 /**
  * Деактивировать кнопку прицеливания
  */
@@ -1,6 +1,7 @@
 import { collectActorActions, executeActorAction, getActorActionPoints, openItemInteractMenu } from './actions/action-service.mjs';
 import { getWeaponData, lineShotReadiness } from './weapon/weapon-ammo-runtime.mjs';
-import { formatAmmoCounter } from './weapon/weapon-model.mjs';
+import { formatAmmoCounter, formatHeatCounter } from './weapon/weapon-model.mjs';
+import { getPersonalTimeTotal } from './actions/personal-time.mjs';
 
 const UI_ID = 'spaceholder-token-quick-hud';
 const TEMPLATE_PATH = 'systems/spaceholder/templates/hud/token-quick-hud.hbs';
@@ -210,6 +211,8 @@ function _collectHeldItems(actor) {
       const line = lines.find((l) => l.id === activeLineId) ?? lines[0];
       const readiness = line ? lineShotReadiness(weapon, line.id) : { ready: false };
       const counters = (line?.ammoBlocks ?? []).map((b) => formatAmmoCounter(b, actor)).filter(Boolean);
+      const heat = formatHeatCounter(weapon, line, getPersonalTimeTotal(actor));
+      if (heat) counters.push(game.i18n?.format?.('SPACEHOLDER.WeaponV3.Heat.Counter', { value: heat }) ?? heat);
       const counter = counters.join(' · ');
       const lineName = String(line?.name ?? '').trim();
       const detailParts = [];
@@ -0,0 +1,203 @@
+/**
+ * Reloading bench: pick a case, propellant and projectile from the actor's
+ * components and the batch size, with a preview of the resulting round.
+ *
+ * The bench only chooses the recipe — {@link pickAmmoRecipe} resolves with it
+ * and the crafting action (action-service) rolls quality and commits the
+ * batch.
+ */
+
+import { AMMO_COMPONENT_ROLES, maxCraftBatch, normalizeAmmoCraftingConfig } from './ammo-crafting.mjs';
+import { getAmmoComponent, listAmmoComponents, planCraftFromItems } from './ammo-crafting-runtime.mjs';
+
+const TEMPLATE = 'systems/spaceholder/templates/weapon/ammo-crafting-app.hbs';
+
+const ROLE_FIELDS = Object.freeze({
+  [AMMO_COMPONENT_ROLES.CASE]: 'caseId',
+  [AMMO_COMPONENT_ROLES.PROPELLANT]: 'propellantId',
+  [AMMO_COMPONENT_ROLES.PROJECTILE]: 'projectileId',
+});
+
+let _singleton = null;
+
+function L(key, fallback = key) {
+  const out = game?.i18n?.localize?.(key);
+  return out && out !== key ? out : fallback;
+}
+
+function fmt(value, digits = 2) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return '—';
+  const factor = 10 ** digits;
+  return String(Math.round(n * factor) / factor);
+}
+
+function _qty(item) {
+  return Math.max(0, Math.floor(Number(item?.system?.quantity) || 0));
+}
+
+function _typeLabel(type) {
+  const def = CONFIG.SPACEHOLDER?.damageTypes?.[type];
+  if (!def) return String(type ?? '');
+  return def.custom ? def.label : L(def.label, type);
+}
+
+/**
+ * Open the bench for `actor`.
+ *
+ * @param {Actor} actor
+ * @param {object} [options]
+ * @param {Item|null} [options.item] component to preselect
+ * @returns {Promise<{caseItem: Item, propellantItem: Item, projectileItem: Item, count: number}|null>}
+ *   `null` — closed without crafting
+ */
+export function pickAmmoRecipe(actor, { item = null } = {}) {
+  if (_singleton) void _singleton.close();
+  return new Promise((resolve) => {
+    _singleton = new AmmoCraftingApp(actor, { item, resolve });
+    _singleton.render(true);
+  });
+}
+
+export class AmmoCraftingApp extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  static DEFAULT_OPTIONS = {
+    ...super.DEFAULT_OPTIONS,
+    id: 'spaceholder-ammo-crafting',
+    classes: ['spaceholder', 'ammo-crafting'],
+    tag: 'div',
+    window: { title: 'SPACEHOLDER.AmmoCrafting.Title', resizable: true },
+    position: { width: 520, height: 'auto' },
+  };
+
+  static PARTS = {
+    main: { root: true, template: TEMPLATE },
+  };
+
+  constructor(actor, { item = null, resolve = null } = {}) {
+    super();
+    this.actor = actor;
+    this._resolve = resolve;
+    this._state = { caseId: '', propellantId: '', projectileId: '', count: 1 };
+    const comp = getAmmoComponent(item);
+    if (comp) this._state[ROLE_FIELDS[comp.role]] = item.id;
+  }
+
+  async close(options = {}) {
+    this._settle(null);
+    await super.close(options);
+    if (_singleton === this) _singleton = null;
+  }
+
+  _settle(value) {
+    const resolve = this._resolve;
+    this._resolve = null;
+    resolve?.(value);
+  }
+
+  /**
+   * Selected items; an id that is gone or out of stock falls back to the first
+   * component of the role.
+   */
+  _recipe(stock) {
+    const pick = (role) => {
+      const list = stock[role];
+      const id = this._state[ROLE_FIELDS[role]];
+      const item = list.find((it) => it.id === id) ?? list[0] ?? null;
+      this._state[ROLE_FIELDS[role]] = item?.id ?? '';
+      return item;
+    };
+    return {
+      caseItem: pick(AMMO_COMPONENT_ROLES.CASE),
+      propellantItem: pick(AMMO_COMPONENT_ROLES.PROPELLANT),
+      projectileItem: pick(AMMO_COMPONENT_ROLES.PROJECTILE),
+    };
+  }
+
+  _maxCount(recipe) {
+    return maxCraftBatch({
+      cases: _qty(recipe.caseItem),
+      propellant: _qty(recipe.propellantItem),
+      projectiles: _qty(recipe.projectileItem),
+      load: getAmmoComponent(recipe.caseItem)?.load ?? 1,
+      config: CONFIG.SPACEHOLDER?.ammoCrafting,
+    });
+  }
+
+  async _prepareContext() {
+    const stock = listAmmoComponents(this.actor);
+    const recipe = this._recipe(stock);
+    const maxCount = this._maxCount(recipe);
+    this._state.count = Math.max(maxCount ? 1 : 0, Math.min(maxCount, Math.floor(Number(this._state.count) || 1)));
+
+    const cfg = normalizeAmmoCraftingConfig(CONFIG.SPACEHOLDER?.ammoCrafting);
+    const options = (role) => stock[role].map((it) => ({
+      id: it.id,
+      label: `${it.name} ×${_qty(it)}`,
+      selected: it.id === this._state[ROLE_FIELDS[role]],
+    }));
+    const plan = planCraftFromItems({ ...recipe, count: this._state.count });
+    const low = plan.ok ? planCraftFromItems({ ...recipe, count: this._state.count }, cfg.minQuality) : null;
+    const high = plan.ok ? planCraftFromItems({ ...recipe, count: this._state.count }, cfg.maxQuality) : null;
+    const entry = plan.ok ? plan.ammo.damage[0] : null;
+    const projectile = getAmmoComponent(recipe.projectileItem);
+    const material = projectile?.materialId
+      ? game.spaceholder?.materialsManager?.getMaterial?.(projectile.materialId)
+      : null;
+
+    return {
+      caseOptions: options(AMMO_COMPONENT_ROLES.CASE),
+      propellantOptions: options(AMMO_COMPONENT_ROLES.PROPELLANT),
+      projectileOptions: options(AMMO_COMPONENT_ROLES.PROJECTILE),
+      state: this._state,
+      maxCount,
+      canCraft: plan.ok,
+      reason: plan.ok ? '' : L(`SPACEHOLDER.AmmoCrafting.Reasons.${plan.reason}`, plan.reason),
+      preview: entry ? {
+        caliber: plan.ammo.caliber || '—',
+        damageType: _typeLabel(entry.damageType),
+        material: material?.name || projectile?.materialId || '—',
+        damage: fmt(entry.damage, 1),
+        armorPen: fmt(entry.armorPen, 0),
+        hardness: fmt(entry.hardness),
+        energy: fmt(plan.energy),
+        energyRange: `${fmt(low?.energy)} – ${fmt(high?.energy)}`,
+        qualityRange: `${cfg.minQuality} – ${cfg.maxQuality}%`,
+        propellant: plan.consumed.propellant,
+        apCost: plan.apCost,
+        minutes: fmt(plan.seconds / 60, 1),
+      } : null,
+      rollFormula: cfg.rollFormula,
+      difficulty: cfg.difficulty,
+    };
+  }
+
+  async _onRender(context, options) {
+    await super._onRender(context, options);
+    const el = this.element;
+    if (!el) return;
+
+    el.querySelectorAll('[data-state-field]').forEach((input) => {
+      input.addEventListener('change', () => {
+        const field = String(input.dataset.stateField ?? '').trim();
+        if (!(field in this._state)) return;
+        this._state[field] = input.type === 'number' ? Number(input.value) || 0 : String(input.value ?? '').trim();
+        this.render(false);
+      });
+    });
+
+    el.querySelector('[data-action="craft"]')?.addEventListener('click', (event) => {
+      event.preventDefault();
+      const recipe = this._recipe(listAmmoComponents(this.actor));
+      if (!planCraftFromItems({ ...recipe, count: this._state.count }).ok) return;
+      this._settle({ ...recipe, count: this._state.count });
+      void this.close();
+    });
+
+    el.querySelector('[data-action="cancel"]')?.addEventListener('click', (event) => {
+      event.preventDefault();
+      void this.close();
+    });
+  }
+}
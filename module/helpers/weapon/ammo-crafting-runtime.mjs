@@ -0,0 +1,151 @@
+/**
+ * Ammo crafting on an actor: component stock, the quality roll and the data
+ * of the crafted rounds (rules in ammo-crafting.mjs).
+ *
+ * Crafted rounds are plain ammo items. Their data is built through the Item
+ * document class, so it carries the same migrated defaults as a stored item
+ * and {@link computeItemStackFingerprint} finds an existing stack of rounds
+ * made from the same components at the same quality.
+ */
+
+import {
+  AMMO_COMPONENT_ROLES,
+  craftQualityFromRoll,
+  normalizeAmmoComponent,
+  normalizeAmmoCraftingConfig,
+  planAmmoCraft,
+} from './ammo-crafting.mjs';
+import { computeItemStackFingerprint } from '../item-piles-sh/stack-fingerprint.mjs';
+
+function _t(key, data = null) {
+  const i18n = game.i18n;
+  if (!i18n) return key;
+  return data ? i18n.format(key, data) : i18n.localize(key);
+}
+
+function _config() {
+  return CONFIG.SPACEHOLDER?.ammoCrafting ?? null;
+}
+
+function _qty(item) {
+  return Math.max(0, Math.floor(Number(item?.system?.quantity) || 0));
+}
+
+/**
+ * @param {Item} item
+ * @returns {object|null} normalized component, `null` — not a component
+ */
+export function getAmmoComponent(item) {
+  if (item?.type !== 'item' || !item.system?.itemTags?.isAmmoComponent) return null;
+  const comp = normalizeAmmoComponent(item.system.ammoComponent);
+  return comp.role ? comp : null;
+}
+
+/**
+ * Actor's components in stock, by role.
+ * @param {Actor} actor
+ * @returns {{case: Item[], propellant: Item[], projectile: Item[]}}
+ */
+export function listAmmoComponents(actor) {
+  const out = {
+    [AMMO_COMPONENT_ROLES.CASE]: [],
+    [AMMO_COMPONENT_ROLES.PROPELLANT]: [],
+    [AMMO_COMPONENT_ROLES.PROJECTILE]: [],
+  };
+  for (const item of actor?.items ?? []) {
+    const comp = getAmmoComponent(item);
+    if (comp && _qty(item) > 0) out[comp.role].push(item);
+  }
+  return out;
+}
+
+/**
+ * Plan a batch from component items.
+ * @param {object} recipe
+ * @param {Item} recipe.caseItem
+ * @param {Item} recipe.propellantItem
+ * @param {Item} recipe.projectileItem
+ * @param {number} recipe.count
+ * @param {number} [quality]
+ * @returns {object} see planAmmoCraft; `reason: 'noStock'` when the items run short
+ */
+export function planCraftFromItems({ caseItem, propellantItem, projectileItem, count }, quality = 100) {
+  const caseComp = getAmmoComponent(caseItem);
+  const projectile = getAmmoComponent(projectileItem);
+  const plan = planAmmoCraft({
+    caseComp,
+    propellant: getAmmoComponent(propellantItem),
+    projectile,
+    material: game.spaceholder?.materialsManager?.getMaterial?.(projectile?.materialId) ?? null,
+    count,
+    quality,
+    config: _config(),
+  });
+  if (!plan.ok) return plan;
+  const { cases, propellant, projectiles } = plan.consumed;
+  if (cases > _qty(caseItem) || propellant > _qty(propellantItem) || projectiles > _qty(projectileItem)) {
+    return { ok: false, reason: 'noStock' };
+  }
+  return plan;
+}
+
+/**
+ * Roll the batch quality.
+ * @param {Actor} actor
+ * @returns {Promise<{roll: Roll, total: number, quality: number}>}
+ */
+export async function rollCraftQuality(actor) {
+  const cfg = normalizeAmmoCraftingConfig(_config());
+  const roll = new Roll(cfg.rollFormula, actor?.getRollData?.() ?? {});
+  await roll.evaluate();
+  return { roll, total: roll.total, quality: craftQualityFromRoll(roll.total, cfg) };
+}
+
+/**
+ * Source data of the crafted rounds (quantity 0 — the ledger sets it).
+ * @param {Actor} actor
+ * @param {object} plan a successful plan
+ * @param {object} recipe
+ * @param {Item} recipe.caseItem
+ * @param {Item} recipe.propellantItem
+ * @param {Item} recipe.projectileItem
+ * @returns {object}
+ */
+export function buildCraftedAmmoData(actor, plan, { caseItem, propellantItem, projectileItem }) {
+  const name = _t('SPACEHOLDER.AmmoCrafting.ResultName', {
+    caliber: plan.ammo.caliber || caseItem.name,
+    projectile: projectileItem.name,
+    quality: plan.ammo.quality,
+  });
+  const weight = (Number(caseItem.system?.weight) || 0)
+    + (Number(propellantItem.system?.weight) || 0) * (plan.consumed.propellant / plan.count)
+    + (Number(projectileItem.system?.weight) || 0);
+  const data = {
+    name,
+    type: 'item',
+    img: caseItem.img,
+    system: {
+      quantity: 0,
+      weight: Math.round(weight * 1000) / 1000,
+      itemTags: { isAmmo: true },
+      weapon: { ammo: plan.ammo },
+    },
+  };
+  const cls = CONFIG.Item.documentClass;
+  return new cls(data, { parent: actor }).toObject();
+}
+
+/**
+ * Stack of rounds in the actor's inventory root that `data` merges into.
+ * @param {Actor} actor
+ * @param {object} data {@link buildCraftedAmmoData}
+ * @returns {Item|null}
+ */
+export function findCraftedStack(actor, data) {
+  const fingerprint = computeItemStackFingerprint(data);
+  for (const item of actor?.items ?? []) {
+    if (String(item.system?.containerHostId ?? '').trim()) continue;
+    if (computeItemStackFingerprint(item.toObject()) === fingerprint) return item;
+  }
+  return null;
+}
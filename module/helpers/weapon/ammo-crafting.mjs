@@ -0,0 +1,197 @@
+/**
+ * Ammo crafting — rounds assembled from components at a reloading bench.
+ *
+ * A component is an item tagged `isAmmoComponent` (config in
+ * `system.ammoComponent`) with one role:
+ *  - **case** — gives the round its `caliber` and takes `load` propellant
+ *    units per round;
+ *  - **propellant** — `power` projectile energy per unit;
+ *  - **projectile** — `materialId` (a {@link MaterialsManager} slug), `mass`
+ *    and `damageType`.
+ *
+ * One round = one case + `load` propellant + one projectile. The round's
+ * damage entry is derived so that the energy formula of damage-profile.mjs,
+ * `E = damage × (armorPen / 100)² × hardness`, holds:
+ *  - `E = power × load`, shifted by quality (`energyPerQuality`);
+ *  - `hardness = material hardness × hardnessScale`;
+ *  - `damage = mass × damagePerMass`;
+ *  - `armorPen = 100 × √(E / (damage × hardness))`, up to `maxArmorPen`.
+ * A heavy soft bullet tears, a light hard one pierces.
+ *
+ * Quality comes from one crafting roll for the whole batch:
+ * `100 + (total − difficulty) × qualityPerPoint`, clamped and rounded to
+ * `qualityStep`, so rounds from equal rolls stay one stack. It also scales
+ * the malfunction chance (weapon-model `ammo.quality`).
+ *
+ * Tuning lives in `CONFIG.SPACEHOLDER.ammoCrafting`; the module is pure — it
+ * does not import Foundry.
+ */
+
+import { normalizeAmmoConfig } from './weapon-model.mjs';
+import { computeProjectileEnergy, shNum, shStr } from './damage-profile.mjs';
+
+export const AMMO_COMPONENT_ROLES = Object.freeze({
+  CASE: 'case',
+  PROPELLANT: 'propellant',
+  PROJECTILE: 'projectile',
+});
+
+export const AMMO_COMPONENT_ROLE_LIST = Object.freeze(Object.values(AMMO_COMPONENT_ROLES));
+
+const DEFAULTS = Object.freeze({
+  difficulty: 10,
+  qualityPerPoint: 5,
+  minQuality: 50,
+  maxQuality: 150,
+  qualityStep: 10,
+  energyPerQuality: 0.5,
+  damagePerMass: 8,
+  hardnessScale: 0.1,
+  maxArmorPen: 300,
+  apBase: 20,
+  apPerRound: 5,
+  secondsPerRound: 30,
+  maxBatch: 100,
+});
+
+function _round(v, digits) {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+/**
+ * @param {unknown} raw `system.ammoComponent`
+ * @returns {{role:string, caliber:string, load:number, power:number, materialId:string, mass:number, damageType:string}}
+ */
+export function normalizeAmmoComponent(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const role = shStr(src.role);
+  return {
+    role: AMMO_COMPONENT_ROLE_LIST.includes(role) ? role : '',
+    caliber: shStr(src.caliber),
+    load: Math.max(1, Math.floor(shNum(src.load, 1))),
+    power: Math.max(0, shNum(src.power, 0)),
+    materialId: shStr(src.materialId),
+    mass: Math.max(0, shNum(src.mass, 0)),
+    damageType: shStr(src.damageType, 'ballistic') || 'ballistic',
+  };
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.ammoCrafting`
+ * @returns {object}
+ */
+export function normalizeAmmoCraftingConfig(config = null) {
+  const src = config && typeof config === 'object' ? config : {};
+  const out = { rollFormula: shStr(src.rollFormula, '1d20') || '1d20' };
+  for (const [key, def] of Object.entries(DEFAULTS)) out[key] = Math.max(0, shNum(src[key], def));
+  out.minQuality = Math.max(1, out.minQuality);
+  out.maxQuality = Math.max(out.minQuality, out.maxQuality);
+  out.maxBatch = Math.max(1, Math.floor(out.maxBatch));
+  return out;
+}
+
+/**
+ * Round quality from the crafting roll total.
+ * @param {number} total
+ * @param {object} [config]
+ * @returns {number} percent, 100 = nominal
+ */
+export function craftQualityFromRoll(total, config) {
+  const cfg = normalizeAmmoCraftingConfig(config);
+  const raw = 100 + (shNum(total, cfg.difficulty) - cfg.difficulty) * cfg.qualityPerPoint;
+  const step = cfg.qualityStep > 0 ? cfg.qualityStep : 1;
+  const stepped = Math.round(raw / step) * step;
+  return Math.min(cfg.maxQuality, Math.max(cfg.minQuality, stepped));
+}
+
+/**
+ * How many rounds the stock allows.
+ * @param {object} args
+ * @param {number} args.cases case units
+ * @param {number} args.propellant propellant units
+ * @param {number} args.projectiles projectile units
+ * @param {number} args.load propellant units per round
+ * @param {object} [args.config]
+ * @returns {number}
+ */
+export function maxCraftBatch({ cases, propellant, projectiles, load, config } = {}) {
+  const cfg = normalizeAmmoCraftingConfig(config);
+  const perRound = Math.max(1, Math.floor(shNum(load, 1)));
+  const n = Math.min(
+    Math.floor(Math.max(0, shNum(cases, 0))),
+    Math.floor(Math.max(0, shNum(propellant, 0)) / perRound),
+    Math.floor(Math.max(0, shNum(projectiles, 0))),
+  );
+  return Math.max(0, Math.min(cfg.maxBatch, n));
+}
+
+/**
+ * Damage entry of a round made from the components at `quality`.
+ * @param {object} args
+ * @param {object} args.caseComp normalized case component
+ * @param {object} args.propellant normalized propellant component
+ * @param {object} args.projectile normalized projectile component
+ * @param {object} args.material normalized material of the projectile
+ * @param {number} [args.quality]
+ * @param {object} [args.config]
+ * @returns {object|null} `null` — the components do not make a round
+ */
+export function deriveCraftedDamage({ caseComp, propellant, projectile, material, quality = 100, config } = {}) {
+  const cfg = normalizeAmmoCraftingConfig(config);
+  const mult = Math.max(0, 1 + ((shNum(quality, 100) - 100) / 100) * cfg.energyPerQuality);
+  const energy = shNum(propellant?.power, 0) * Math.max(1, shNum(caseComp?.load, 1)) * mult;
+  const hardness = Math.max(0.01, _round(Math.max(0, shNum(material?.hardness, 1)) * cfg.hardnessScale, 2));
+  const damage = _round(shNum(projectile?.mass, 0) * cfg.damagePerMass, 1);
+  if (!(energy > 0) || !(damage > 0)) return null;
+  const armorPen = Math.min(cfg.maxArmorPen, Math.round(100 * Math.sqrt(energy / (damage * hardness))));
+  return {
+    damageType: shStr(projectile?.damageType, 'ballistic') || 'ballistic',
+    damage,
+    armorPen,
+    hardness,
+    armorDamageFactor: 100,
+    armorDamageReduction: 100,
+    speed: 0,
+    payloadId: '',
+  };
+}
+
+/**
+ * Plan a batch. Nothing is consumed here.
+ *
+ * @param {object} args
+ * @param {object} args.caseComp raw or normalized case component
+ * @param {object} args.propellant raw or normalized propellant component
+ * @param {object} args.projectile raw or normalized projectile component
+ * @param {object} args.material normalized material of the projectile
+ * @param {number} args.count rounds to make
+ * @param {number} [args.quality]
+ * @param {object} [args.config]
+ * @returns {{ok: boolean, reason?: string, ammo?: object, energy?: number, count?: number,
+ *   consumed?: {cases:number, propellant:number, projectiles:number}, apCost?: number, seconds?: number}}
+ */
+export function planAmmoCraft({ caseComp, propellant, projectile, material, count, quality = 100, config } = {}) {
+  const cfg = normalizeAmmoCraftingConfig(config);
+  const c = normalizeAmmoComponent(caseComp);
+  const p = normalizeAmmoComponent(propellant);
+  const pr = normalizeAmmoComponent(projectile);
+  if (c.role !== AMMO_COMPONENT_ROLES.CASE) return { ok: false, reason: 'noCase' };
+  if (p.role !== AMMO_COMPONENT_ROLES.PROPELLANT) return { ok: false, reason: 'noPropellant' };
+  if (pr.role !== AMMO_COMPONENT_ROLES.PROJECTILE) return { ok: false, reason: 'noProjectile' };
+  const n = Math.min(cfg.maxBatch, Math.floor(shNum(count, 0)));
+  if (n <= 0) return { ok: false, reason: 'noCount' };
+
+  const entry = deriveCraftedDamage({ caseComp: c, propellant: p, projectile: pr, material, quality, config: cfg });
+  if (!entry) return { ok: false, reason: 'noEnergy' };
+
+  return {
+    ok: true,
+    count: n,
+    ammo: normalizeAmmoConfig({ damage: [entry], caliber: c.caliber, quality }),
+    energy: computeProjectileEnergy(entry),
+    consumed: { cases: n, propellant: n * c.load, projectiles: n },
+    apCost: Math.round(cfg.apBase + cfg.apPerRound * n),
+    seconds: cfg.secondsPerRound * n,
+  };
+}
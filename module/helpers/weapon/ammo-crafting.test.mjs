@@ -0,0 +1,91 @@
+/**
+ * Smoke tests for ammo crafting. Runs in plain Node (no Foundry globals required).
+ * Execute with:
+ *   node module/helpers/weapon/ammo-crafting.test.mjs
+ */
+
+import {
+  craftQualityFromRoll,
+  deriveCraftedDamage,
+  maxCraftBatch,
+  normalizeAmmoComponent,
+  planAmmoCraft
+} from './ammo-crafting.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+const caseComp = { role: 'case', caliber: '9mm', load: 2 };
+const propellant = { role: 'propellant', power: 50 };
+const projectile = { role: 'projectile', materialId: 'lead', mass: 1.25, damageType: 'ballistic' };
+const material = { hardness: 50 };
+
+/* ---- Quality -------------------------------------------------------- */
+{
+  assert('difficulty roll — nominal quality', craftQualityFromRoll(10) === 100);
+  assert('each point over difficulty adds quality', craftQualityFromRoll(12) === 110 && craftQualityFromRoll(14) === 120);
+  assert('quality rounded to its step', craftQualityFromRoll(13) === 120 && craftQualityFromRoll(1) === 60);
+  assert('quality clamped to min', craftQualityFromRoll(-10) === 50);
+  assert('quality clamped to max', craftQualityFromRoll(30) === 150);
+  assert('config changes the scale', craftQualityFromRoll(12, { difficulty: 15, qualityPerPoint: 10, qualityStep: 0 }) === 70);
+}
+
+/* ---- Batch ---------------------------------------------------------- */
+{
+  assert('batch limited by propellant load', maxCraftBatch({ cases: 10, propellant: 9, projectiles: 10, load: 2 }) === 4);
+  assert('batch limited by projectiles', maxCraftBatch({ cases: 10, propellant: 100, projectiles: 3, load: 2 }) === 3);
+  assert('batch capped by maxBatch', maxCraftBatch({ cases: 500, propellant: 500, projectiles: 500, load: 1 }) === 100);
+  assert('unknown role dropped', normalizeAmmoComponent({ role: 'primer' }).role === '');
+}
+
+/* ---- Derivation ----------------------------------------------------- */
+{
+  // E = 50 × 2 = 100; hardness = 50 × 0.1 = 5; damage = 1.25 × 8 = 10; pen = 100 × √(100 / 50).
+  const entry = deriveCraftedDamage({ caseComp, propellant, projectile, material });
+  assert('damage from projectile mass', entry?.damage === 10 && entry.damageType === 'ballistic', JSON.stringify(entry));
+  assert('hardness from the material', entry?.hardness === 5);
+  assert('armor pen closes the energy formula', entry?.armorPen === 141, String(entry?.armorPen));
+
+  const better = deriveCraftedDamage({ caseComp, propellant, projectile, material, quality: 120 });
+  assert('quality adds energy', better?.armorPen === 148 && better.damage === 10, String(better?.armorPen));
+  const hot = deriveCraftedDamage({ caseComp: { load: 200 }, propellant, projectile, material });
+  assert('armor pen capped', hot?.armorPen === 300);
+  assert('no propellant energy — no round', deriveCraftedDamage({ caseComp, propellant: { power: 0 }, projectile, material }) === null);
+  assert('massless projectile — no round', deriveCraftedDamage({ caseComp, propellant, projectile: { mass: 0 }, material }) === null);
+}
+
+/* ---- Plan ----------------------------------------------------------- */
+{
+  const plan = planAmmoCraft({ caseComp, propellant, projectile, material, count: 6, quality: 110 });
+  assert('plan ok', plan.ok === true && plan.count === 6);
+  assert('plan consumes components per round', plan.consumed.cases === 6 && plan.consumed.propellant === 12
+    && plan.consumed.projectiles === 6, JSON.stringify(plan.consumed));
+  assert('plan AP and time scale with the batch', plan.apCost === 50 && plan.seconds === 180);
+  const round = plan.ammo.damage[0];
+  assert('crafted ammo carries caliber and quality', plan.ammo.caliber === '9mm' && plan.ammo.quality === 110);
+  assert('energy matches the derived entry', close(plan.energy, round.damage * (round.armorPen / 100) ** 2 * round.hardness, 1e-6),
+    String(plan.energy));
+
+  assert('wrong roles rejected', planAmmoCraft({ caseComp: propellant, propellant, projectile, material, count: 1 }).reason === 'noCase'
+    && planAmmoCraft({ caseComp, propellant: caseComp, projectile, material, count: 1 }).reason === 'noPropellant'
+    && planAmmoCraft({ caseComp, propellant, projectile: caseComp, material, count: 1 }).reason === 'noProjectile');
+  assert('zero count rejected', planAmmoCraft({ caseComp, propellant, projectile, material, count: 0 }).reason === 'noCount');
+  assert('no energy rejected', planAmmoCraft({ caseComp, propellant: { role: 'propellant' }, projectile, material, count: 1 }).reason === 'noEnergy');
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll ammo crafting smoke tests passed.');
+}
@@ -0,0 +1,137 @@
+/**
+ * Weapon attachments on an actor — live Items parented to the weapon host
+ * (`containerHostId = weapon.id`, see item-weapon-host.mjs) and tracked per
+ * slot in `weapon.slots[i].runtime.attachedItemId`.
+ *
+ * Rules (slot fit, costs, modifiers) live in attachments.mjs.
+ */
+
+import { getWeaponData, persistWeaponData } from './weapon-ammo-runtime.mjs';
+import { collectAttachmentModifiers, findWeaponSlot, slotAccepts } from './attachments.mjs';
+import { takeOneUnitToHost, unparentActorItemFromHost } from '../item-weapon-host.mjs';
+
+function _isAttachmentItem(item) {
+  return item?.type === 'item' && !!item.system?.itemTags?.isAttachment;
+}
+
+/**
+ * Attachment mounted in `slot`, or `null` (also when the runtime id is stale).
+ * @param {Actor|null|undefined} actor
+ * @param {Item} weaponItem
+ * @param {object} slot normalized slot
+ * @returns {Item|null}
+ */
+export function getSlotAttachment(actor, weaponItem, slot) {
+  const id = String(slot?.runtime?.attachedItemId ?? '').trim();
+  const item = id ? actor?.items?.get?.(id) ?? null : null;
+  if (!item || String(item.system?.containerHostId ?? '') !== weaponItem?.id) return null;
+  return item;
+}
+
+/**
+ * @param {Actor|null|undefined} actor
+ * @param {Item} weaponItem
+ * @returns {Array<{slot: object, item: Item}>}
+ */
+export function listMountedAttachments(actor, weaponItem) {
+  if (!actor || !weaponItem?.system?.itemTags?.isWeapon) return [];
+  const out = [];
+  for (const slot of getWeaponData(weaponItem).slots) {
+    const item = getSlotAttachment(actor, weaponItem, slot);
+    if (item) out.push({ slot, item });
+  }
+  return out;
+}
+
+/**
+ * Modifiers the mounted attachments add to every attack of the weapon
+ * (`attachmentMods` of resolveEffectiveAttackParams).
+ * @param {Actor|null|undefined} actor
+ * @param {Item} weaponItem
+ * @returns {Array<object>}
+ */
+export function getAttachmentModifiers(actor, weaponItem) {
+  return collectAttachmentModifiers(
+    listMountedAttachments(actor, weaponItem).map(({ item }) => getWeaponData(item).attachment),
+  );
+}
+
+/**
+ * Weapon the item is mounted on, or `null`.
+ * @param {Actor|null|undefined} actor
+ * @param {Item} item
+ * @returns {Item|null}
+ */
+export function getAttachmentHost(actor, item) {
+  if (!_isAttachmentItem(item)) return null;
+  const hostId = String(item.system?.containerHostId ?? '').trim();
+  const host = hostId ? actor?.items?.get?.(hostId) ?? null : null;
+  if (!host?.system?.itemTags?.isWeapon) return null;
+  return getWeaponData(host).slots.some((s) => s.runtime.attachedItemId === item.id) ? host : null;
+}
+
+/**
+ * Actor's attachments that fit `slot` and are not mounted anywhere.
+ * @param {Actor|null|undefined} actor
+ * @param {Item} weaponItem
+ * @param {object} slot normalized slot
+ * @returns {Item[]}
+ */
+export function findAttachmentCandidates(actor, weaponItem, slot) {
+  if (!actor?.items) return [];
+  return actor.items.filter((it) => (
+    _isAttachmentItem(it)
+    && it.id !== weaponItem?.id
+    && (Number(it.system?.quantity) || 0) > 0
+    && !getAttachmentHost(actor, it)
+    && slotAccepts(slot, getWeaponData(it).attachment)
+  ));
+}
+
+/**
+ * Take the attachment off a slot; it goes to the inventory root.
+ * @param {object} args
+ * @param {Actor} args.actor
+ * @param {Item} args.weaponItem
+ * @param {string} args.slotId
+ * @returns {Promise<{ok: boolean, item?: Item, reason?: string}>}
+ */
+export async function unmountAttachment({ actor, weaponItem, slotId }) {
+  const weapon = getWeaponData(weaponItem);
+  const slot = findWeaponSlot(weapon, slotId);
+  if (!slot) return { ok: false, reason: 'noSlot' };
+  const item = getSlotAttachment(actor, weaponItem, slot);
+  slot.runtime.attachedItemId = '';
+  await persistWeaponData(weaponItem, weapon);
+  if (!item) return { ok: false, reason: 'empty' };
+  await unparentActorItemFromHost(actor, item.id, { held: false });
+  return { ok: true, item };
+}
+
+/**
+ * Mount one unit of `attachmentItem` into a slot (a stack is split). An
+ * occupied slot is emptied first.
+ * @param {object} args
+ * @param {Actor} args.actor
+ * @param {Item} args.weaponItem
+ * @param {string} args.slotId
+ * @param {Item} args.attachmentItem
+ * @returns {Promise<{ok: boolean, item?: Item, reason?: string}>}
+ */
+export async function mountAttachment({ actor, weaponItem, slotId, attachmentItem }) {
+  if (!actor || !weaponItem || !_isAttachmentItem(attachmentItem)) return { ok: false, reason: 'missing' };
+  const slot = findWeaponSlot(getWeaponData(weaponItem), slotId);
+  if (!slot) return { ok: false, reason: 'noSlot' };
+  if (!slotAccepts(slot, getWeaponData(attachmentItem).attachment)) return { ok: false, reason: 'incompatible' };
+  if (getAttachmentHost(actor, attachmentItem)) return { ok: false, reason: 'mounted' };
+
+  if (getSlotAttachment(actor, weaponItem, slot)) await unmountAttachment({ actor, weaponItem, slotId });
+
+  const unit = await takeOneUnitToHost(actor, attachmentItem, weaponItem);
+  if (!unit) return { ok: false, reason: 'hostFailed' };
+  const weapon = getWeaponData(weaponItem);
+  const target = findWeaponSlot(weapon, slotId);
+  target.runtime.attachedItemId = unit.id;
+  await persistWeaponData(weaponItem, weapon);
+  return { ok: true, item: unit };
+}
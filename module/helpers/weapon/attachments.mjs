@@ -0,0 +1,81 @@
+/**
+ * Weapon attachments — scopes, suppressors, grips, underbarrel launchers.
+ *
+ * The weapon host declares typed slots, `weapon.slots[]`. An attachment item
+ * (`itemTags.isAttachment`, config in `weapon.attachment`) fits a slot when its
+ * `slotType` shares a compat token with the slot `type`, as calibers do:
+ * a slot `"Picatinny, optic"` takes a `"optic"` scope.
+ *
+ * A mounted attachment adds its modifiers — the same MODE_MODIFIER_PARAMS and
+ * MOD_OPS as fire modes — to every attack of the host, after the mode's own.
+ * An attachment that is a weapon itself (an underbarrel launcher) adds its
+ * lines to the host's attacks: they fire from its own ammo blocks while the
+ * host is in hands.
+ *
+ * Mounting costs the slot's `mountCost` AP; taking off — `unmountCost`;
+ * swapping an occupied slot — both.
+ *
+ * The module is pure — it does not import Foundry.
+ */
+
+import { compatMatches, normalizeAttachmentConfig } from './weapon-model.mjs';
+
+function _cost(toggleable) {
+  if (!toggleable?.enabled) return 0;
+  const n = Number(toggleable.value);
+  return Number.isFinite(n) ? Math.max(0, n) : 0;
+}
+
+/**
+ * @param {object} weapon normalized v3 weapon
+ * @param {string} slotId
+ * @returns {object|null}
+ */
+export function findWeaponSlot(weapon, slotId) {
+  return (weapon?.slots ?? []).find((s) => s.id === slotId) ?? null;
+}
+
+/**
+ * Whether an attachment fits a slot.
+ * @param {object} slot normalized slot
+ * @param {object} attachment `weapon.attachment` of the attachment item
+ * @returns {boolean}
+ */
+export function slotAccepts(slot, attachment) {
+  const cfg = normalizeAttachmentConfig(attachment);
+  return compatMatches(slot?.type, cfg.slotType);
+}
+
+/**
+ * AP to put an attachment into `slot`; an occupied slot is emptied first.
+ * @param {object} slot normalized slot
+ * @param {boolean} [occupied]
+ * @returns {number}
+ */
+export function slotMountCost(slot, occupied = false) {
+  return _cost(slot?.mountCost) + (occupied ? _cost(slot?.unmountCost) : 0);
+}
+
+/**
+ * AP to take the attachment off `slot`.
+ * @param {object} slot normalized slot
+ * @returns {number}
+ */
+export function slotUnmountCost(slot) {
+  return _cost(slot?.unmountCost);
+}
+
+/**
+ * Enabled modifiers of all mounted attachments, in slot order.
+ * @param {Array<object>} attachments `weapon.attachment` configs
+ * @returns {Array<object>} normalized mode modifiers
+ */
+export function collectAttachmentModifiers(attachments) {
+  const out = [];
+  for (const raw of Array.isArray(attachments) ? attachments : []) {
+    for (const mod of normalizeAttachmentConfig(raw).modifiers) {
+      if (mod.enabled) out.push(mod);
+    }
+  }
+  return out;
+}
@@ -0,0 +1,85 @@
+/**
+ * Smoke tests for weapon attachments. Runs in plain Node (no Foundry globals required).
+ * Execute with:
+ *   node module/helpers/weapon/attachments.test.mjs
+ */
+
+import {
+  collectAttachmentModifiers,
+  findWeaponSlot,
+  slotAccepts,
+  slotMountCost,
+  slotUnmountCost
+} from './attachments.mjs';
+import { normalizeWeaponSlot } from './weapon-model.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+/* ---- Compat --------------------------------------------------------- */
+{
+  const rail = normalizeWeaponSlot({ id: 'top', type: 'Picatinny, optic' });
+  assert('shared token fits', slotAccepts(rail, { slotType: 'optic' }));
+  assert('any of several tokens fits', slotAccepts(rail, { slotType: 'Weaver, Picatinny' }));
+  assert('tokens are trimmed', slotAccepts(rail, { slotType: '  optic ' }));
+  assert('tokens are case-sensitive', !slotAccepts(rail, { slotType: 'Optic' }));
+  assert('no shared token — no fit', !slotAccepts(rail, { slotType: 'muzzle' }));
+  assert('untyped attachment fits nothing', !slotAccepts(rail, {}) && !slotAccepts(rail, null));
+  assert('untyped slot takes nothing', !slotAccepts(normalizeWeaponSlot({}), { slotType: 'optic' }));
+
+  const weapon = { slots: [rail, normalizeWeaponSlot({ id: 'muzzle', type: 'muzzle' })] };
+  assert('slot found by id', findWeaponSlot(weapon, 'muzzle')?.type === 'muzzle' && findWeaponSlot(weapon, 'x') === null);
+}
+
+/* ---- AP ------------------------------------------------------------- */
+{
+  const slot = normalizeWeaponSlot({ mountCost: { enabled: true, value: 15 }, unmountCost: { enabled: true, value: 10 } });
+  assert('empty slot — mount cost only', slotMountCost(slot) === 15);
+  assert('occupied slot — unmount then mount', slotMountCost(slot, true) === 25);
+  assert('unmount cost', slotUnmountCost(slot) === 10);
+
+  const freeOff = normalizeWeaponSlot({ mountCost: { enabled: true, value: 15 }, unmountCost: { enabled: false, value: 10 } });
+  assert('disabled unmount cost is free on swap', slotMountCost(freeOff, true) === 15 && slotUnmountCost(freeOff) === 0);
+  assert('defaults — 20 AP each way', slotMountCost(normalizeWeaponSlot({}), true) === 40);
+  assert('no slot — no cost', slotMountCost(null, true) === 0);
+}
+
+/* ---- Modifiers ------------------------------------------------------ */
+{
+  const scope = {
+    slotType: 'optic',
+    modifiers: [
+      { id: 'aim', param: 'line.aiming', op: 'add', value: 10 },
+      { id: 'off', param: 'line.spread', op: 'mult', value: 0.5, enabled: false },
+    ],
+  };
+  const grip = {
+    slotType: 'grip',
+    modifiers: [{ id: 'recoil', param: 'line.recoil', op: 'mult', value: 0.8 }],
+  };
+  const suppressor = { slotType: 'muzzle', modifiers: [{ id: 'energy', param: 'line.energyMult', op: 'mult', value: 0.9 }] };
+
+  const mods = collectAttachmentModifiers([scope, grip, suppressor]);
+  assert('modifiers in slot order', mods.map((m) => m.id).join() === 'aim,recoil,energy', mods.map((m) => m.id).join());
+  assert('disabled modifiers skipped', !mods.some((m) => m.id === 'off'));
+  const swapped = collectAttachmentModifiers([suppressor, scope]);
+  assert('order follows the slots given', swapped.map((m) => m.id).join() === 'energy,aim');
+  const unknown = collectAttachmentModifiers([{ modifiers: [{ id: 'u', param: 'line.nope', value: 2 }] }]);
+  assert('unknown param normalized', unknown[0]?.param === 'line.aiming' && unknown[0]?.op === 'add');
+  assert('no attachments — no modifiers', collectAttachmentModifiers(null).length === 0);
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll attachment smoke tests passed.');
+}
@@ -3,13 +3,14 @@
  *
  * The chain builder inspects the current state (weapon in hands? right
  * mode? loaded? readied?) and emits ONLY the missing atomic steps:
- *   hold → exit old mode → enter line → enter mode → reload/bolt →
- *   readying → start aiming.
+ *   hold → exit old mode → enter line → enter mode → clear malfunction /
+ *   reload / bolt → readying → start aiming.
  *
  * Execution shows a confirmation dialog with the step breakdown and the AP
  * total (unless the actor has the «auto-confirm complex actions» flag),
  * then performs the steps one by one, spending AP through the transaction
  * ledger, and finally enters the aiming UI bound to the chosen line/mode.
+ * Overwatch runs the same chain and ends with the arc pick instead of a shot.
  */
 
 import {
@@ -24,7 +25,12 @@ import {
   reloadBlock,
   operateBolt,
   canReloadBlock,
+  blockMalfunction,
+  canClearMalfunction,
+  clearMalfunction,
 } from './weapon-ammo-runtime.mjs';
+import { malfunctionClearAction } from './malfunctions.mjs';
+import { getAttachmentHost, getAttachmentModifiers } from './attachment-runtime.mjs';
 import { spendAp, ensureCharacterApSynced } from '../actions/transaction-ledger.mjs';
 
 /** MVP: «Открыть рюкзак» + взять предмет в руки. */
@@ -49,10 +55,11 @@ function _t(key, data = undefined) {
 /**
  * @typedef {object} AttackChainStep
  * @property {string} kind  - hold | exitMode | enterLine | enterMode |
- *                            reload | bolt | attachMagazine | ready | aim
+ *                            tapRack | clearDoubleFeed | reload | bolt |
+ *                            attachMagazine | ready | aim | overwatch
  * @property {string} label - localized display label
  * @property {number} apCost
- * @property {string} [blockId] - for reload/bolt steps
+ * @property {string} [blockId] - for reload/bolt/clearing steps
  */
 
 /**
@@ -70,14 +77,18 @@ export function buildAttackChain({ actor, weaponItem, lineId, modeId }) {
   const { line, mode } = getWeaponLineMode(weapon, lineId, modeId);
   if (!line || !mode) return { ok: false, reason: 'noAttack', steps: [], totalAp: 0, weapon };
 
-  const eff = resolveEffectiveAttackParams(weapon, lineId, modeId);
+  const eff = resolveEffectiveAttackParams(weapon, lineId, modeId, {
+    attachmentMods: getAttachmentModifiers(actor, weaponItem),
+  });
+  if (eff?.condition?.broken) return { ok: false, reason: 'broken', steps: [], totalAp: 0, weapon };
   const steps = [];
 
-  // 1. Weapon in hands.
-  if (!weaponItem.system?.held) {
+  // 1. Weapon in hands. A mounted underbarrel weapon fires while its host is held.
+  const holder = getAttachmentHost(actor, weaponItem) ?? weaponItem;
+  if (!holder.system?.held) {
     steps.push({
       kind: 'hold',
-      label: _t('SPACEHOLDER.WeaponV3.Chain.TakeWeapon', { name: weaponItem.name }),
+      label: _t('SPACEHOLDER.WeaponV3.Chain.TakeWeapon', { name: holder.name }),
       apCost: TAKE_WEAPON_AP_COST,
     });
   }
@@ -124,7 +135,20 @@ export function buildAttackChain({ actor, weaponItem, lineId, modeId }) {
     if (blockInfo.ready) continue;
     const block = getAmmoBlock(weapon, lineId, blockInfo.blockId);
     if (!block) continue;
-    if (blockInfo.reason === 'needReload' || blockInfo.reason === 'noAmmo') {
+    if (blockInfo.reason === 'malfunction') {
+      // Clearing re-chambers from the reserve; an empty reserve shows up
+      // only when firing, as with an ordinary empty magazine.
+      const action = malfunctionClearAction(blockMalfunction(block));
+      if (!canClearMalfunction(block)) {
+        return { ok: false, reason: 'malfunctionUnclearable', steps: [], totalAp: 0, weapon };
+      }
+      steps.push({
+        kind: action,
+        label: _t(action === 'clearDoubleFeed' ? 'SPACEHOLDER.WeaponV3.Chain.ClearDoubleFeed' : 'SPACEHOLDER.WeaponV3.Chain.TapRack'),
+        apCost: Math.max(0, block.apActions[action].value),
+        blockId: block.id,
+      });
+    } else if (blockInfo.reason === 'needReload' || blockInfo.reason === 'noAmmo') {
       if (!block.apActions?.reload?.enabled || !canReloadBlock(actor, block)) {
         return { ok: false, reason: 'reloadUnavailable', steps: [], totalAp: 0, weapon };
       }
@@ -296,7 +320,8 @@ export async function executeAttackChain({ actor, weaponItem, token, lineId, mod
 
     switch (step.kind) {
       case 'hold': {
-        await weaponItem.update({ 'system.held': true, 'system.equipped': false, 'system.containerHostId': '' });
+        const holder = getAttachmentHost(actor, weaponItem) ?? weaponItem;
+        await holder.update({ 'system.held': true, 'system.equipped': false, 'system.containerHostId': '' });
         break;
       }
       case 'exitMode': {
@@ -327,6 +352,18 @@ export async function executeAttackChain({ actor, weaponItem, token, lineId, mod
         await persistWeaponData(weaponItem, weapon);
         break;
       }
+      case 'tapRack':
+      case 'clearDoubleFeed': {
+        const weapon = getWeaponData(weaponItem);
+        const block = getAmmoBlock(weapon, lineId, step.blockId);
+        const res = await clearMalfunction({ actor, weaponItem, block });
+        if (!res.ok) {
+          ui.notifications?.warn?.(_t('SPACEHOLDER.WeaponV3.Malfunction.ClearFailed'));
+          return false;
+        }
+        await persistWeaponData(weaponItem, weapon);
+        break;
+      }
       case 'bolt': {
         const weapon = getWeaponData(weaponItem);
         const block = getAmmoBlock(weapon, lineId, step.blockId);
@@ -344,7 +381,8 @@ export async function executeAttackChain({ actor, weaponItem, token, lineId, mod
         await persistWeaponData(weaponItem, weapon);
         break;
       }
-      case 'aim': {
+      case 'aim':
+      case 'overwatch': {
         const aimingManager = await _ensureAimingManager();
         if (!aimingManager) {
           ui.notifications?.warn?.(_t('SPACEHOLDER.ActionsSystem.Errors.AimingUnavailable'));
@@ -356,6 +394,7 @@ export async function executeAttackChain({ actor, weaponItem, token, lineId, mod
           weaponItem,
           lineId,
           modeId,
+          overwatch: step.kind === 'overwatch',
         });
         if (!started) {
           ui.notifications?.warn?.(_t('SPACEHOLDER.ActionsSystem.Errors.AimingStartFailed'));
@@ -409,3 +448,31 @@ export async function runWeaponAttack({ actor, weaponItem, token, lineId, modeId
   if (!confirmed) return false;
   return executeAttackChain({ actor, weaponItem, token, lineId, modeId, steps: chain.steps });
 }
+
+/**
+ * Overwatch flow: the attack chain with the aiming step replaced by the arc
+ * pick (see overwatch.mjs).
+ *
+ * @param {object} args
+ * @param {Actor} args.actor
+ * @param {Item} args.weaponItem
+ * @param {Token|null} args.token
+ * @param {string} args.lineId
+ * @param {string} args.modeId
+ * @returns {Promise<boolean>}
+ */
+export async function runWeaponOverwatch({ actor, weaponItem, token, lineId, modeId }) {
+  const chain = buildAttackChain({ actor, weaponItem, lineId, modeId });
+  if (!chain.ok) {
+    ui.notifications?.warn?.(_t(`SPACEHOLDER.WeaponV3.Chain.Blocked.${chain.reason ?? 'unknown'}`));
+    return false;
+  }
+  const steps = chain.steps.map((s) => (s.kind === 'aim'
+    ? { ...s, kind: 'overwatch', label: _t('SPACEHOLDER.WeaponV3.Chain.Overwatch') }
+    : s));
+  const { line, mode } = getWeaponLineMode(chain.weapon, lineId, modeId);
+  const title = `${_t('SPACEHOLDER.WeaponV3.Overwatch.Title')}: ${weaponItem.name} — ${line?.name || _t('SPACEHOLDER.WeaponV3.Line.Default')} / ${mode?.name || _t('SPACEHOLDER.WeaponV3.Mode.Default')}`;
+  const confirmed = await confirmAttackChain({ actor, steps, totalAp: chain.totalAp, title });
+  if (!confirmed) return false;
+  return executeAttackChain({ actor, weaponItem, token, lineId, modeId, steps });
+}
@@ -0,0 +1,111 @@
+/**
+ * Elevation on the canvas (rules in elevation.mjs): heights of the tokens and
+ * walls of the current scene and the vertical start of a shot.
+ *
+ * Token elevation is the Foundry `TokenDocument.elevation`; wall and token
+ * heights come from the Wall Height module's flags when it is in use.
+ * `CONFIG.SPACEHOLDER.elevation.enabled = false` turns it all off: shots are
+ * flat again.
+ */
+
+import {
+  normalizeElevationConfig,
+  pitchBetween,
+  slopeBetween,
+  spanHeightAt,
+  tokenVerticalSpan,
+  wallVerticalSpan,
+} from './elevation.mjs';
+
+/**
+ * @returns {object} {@link normalizeElevationConfig}
+ */
+export function elevationConfig() {
+  return normalizeElevationConfig(CONFIG.SPACEHOLDER?.elevation ?? null);
+}
+
+/**
+ * Canvas px per scene unit.
+ * @param {Scene} [scene]
+ * @returns {number}
+ */
+export function pxPerSceneUnit(scene = canvas.scene) {
+  const grid = scene?.grid ?? canvas.grid;
+  return (Number(grid?.size) || 100) / (Number(grid?.distance) || 1);
+}
+
+/**
+ * Height range of a token.
+ * @param {Token|{document?: object, scene?: Scene}} token
+ * @param {object} [config]
+ * @returns {{bottom:number, top:number}}
+ */
+export function tokenSpan(token, config = null) {
+  const doc = token?.document ?? null;
+  const scene = token?.scene ?? canvas.scene;
+  return tokenVerticalSpan({
+    elevation: doc?.elevation ?? 0,
+    sizeCells: doc?.height ?? 1,
+    gridDistance: scene?.grid?.distance ?? 1,
+    flags: doc?.flags ?? null,
+    config: config ?? elevationConfig(),
+  });
+}
+
+/**
+ * Height range of a wall.
+ * @param {Wall} wall
+ * @returns {{bottom:number, top:number}}
+ */
+export function wallSpan(wall) {
+  return wallVerticalSpan(wall?.document?.flags ?? null);
+}
+
+/**
+ * Height a token shoots from.
+ * @param {Token} token
+ * @returns {number}
+ */
+export function muzzleHeight(token) {
+  const cfg = elevationConfig();
+  return spanHeightAt(tokenSpan(token, cfg), cfg.muzzlePct);
+}
+
+/**
+ * Height a shot at a token is aimed at.
+ * @param {Token} token
+ * @returns {number}
+ */
+export function aimHeight(token) {
+  const cfg = elevationConfig();
+  return spanHeightAt(tokenSpan(token, cfg), cfg.aimPct);
+}
+
+function _horizontalUnits(a, b) {
+  return Math.hypot(b.center.x - a.center.x, b.center.y - a.center.y) / pxPerSceneUnit(a.scene ?? canvas.scene);
+}
+
+/**
+ * Vertical start of a shot: the muzzle height and the slope towards the
+ * aimed token (level without one).
+ * @param {Token} shooter
+ * @param {Token|null} [aimToken]
+ * @returns {{z:number, slope:number}|null} `null` — elevation is off
+ */
+export function shotVerticalStart(shooter, aimToken = null) {
+  if (!elevationConfig().enabled || !shooter) return null;
+  const z = muzzleHeight(shooter);
+  if (!aimToken?.center || !shooter.center || aimToken === shooter) return { z, slope: 0 };
+  return { z, slope: slopeBetween(z, aimHeight(aimToken), _horizontalUnits(shooter, aimToken)) };
+}
+
+/**
+ * Pitch of a straight shot from one token at another.
+ * @param {Token} shooter
+ * @param {Token} target
+ * @returns {number} degrees; positive — from above; 0 when elevation is off
+ */
+export function tokenPitch(shooter, target) {
+  if (!elevationConfig().enabled || !shooter?.center || !target?.center) return 0;
+  return pitchBetween(muzzleHeight(shooter), aimHeight(target), _horizontalUnits(shooter, target));
+}
@@ -0,0 +1,184 @@
+/**
+ * Elevation — the vertical side of a shot.
+ *
+ * Heights are in scene distance units, the units of `TokenDocument.elevation`
+ * and of a segment's `length`. A token stands on its elevation and is
+ * `tokenHeightRatio` × its size (in cells) × the grid distance tall, unless
+ * the Wall Height module gives it `flags['wall-height'].tokenHeight`. A wall
+ * spans `flags['wall-height'].bottom..top` when that module set them, else
+ * the whole height.
+ *
+ * A shot leaves the shooter at `muzzlePct` % of its height and climbs or dips
+ * at a constant slope towards the aimed token's `aimPct` %; with nothing
+ * aimed at it flies level. A segment with `arc` (apex above the straight
+ * line, in scene units) bows up on the way — mortars; a thrown item arcs with
+ * an apex of `throwArcRatio` × the throw distance. A wall or a token is struck
+ * only where the shot is inside its height: a shot passes over low walls and
+ * under bridges, and a lob clears the tokens in its way.
+ *
+ * Pitch is the angle the shot comes in at: positive — from above (falling),
+ * negative — from below. The module is pure — it does not import Foundry.
+ */
+
+const CONFIG_DEFAULTS = Object.freeze({
+  enabled: true,
+  tokenHeightRatio: 1,
+  muzzlePct: 75,
+  aimPct: 60,
+  throwArcRatio: 0.25,
+});
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _pct(v, fallback) {
+  return Math.max(0, Math.min(100, _num(v, fallback)));
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.elevation`
+ * @returns {{enabled:boolean, tokenHeightRatio:number, muzzlePct:number, aimPct:number, throwArcRatio:number}}
+ */
+export function normalizeElevationConfig(config = null) {
+  const src = config && typeof config === 'object' ? config : {};
+  return {
+    enabled: src.enabled !== false,
+    tokenHeightRatio: Math.max(0.01, _num(src.tokenHeightRatio, CONFIG_DEFAULTS.tokenHeightRatio)),
+    muzzlePct: _pct(src.muzzlePct, CONFIG_DEFAULTS.muzzlePct),
+    aimPct: _pct(src.aimPct, CONFIG_DEFAULTS.aimPct),
+    throwArcRatio: Math.max(0, _num(src.throwArcRatio, CONFIG_DEFAULTS.throwArcRatio)),
+  };
+}
+
+/**
+ * Height range of a wall.
+ * @param {object|null} flags `WallDocument.flags`
+ * @returns {{bottom:number, top:number}} unbounded sides are ±Infinity
+ */
+export function wallVerticalSpan(flags) {
+  const wh = flags?.['wall-height'] ?? null;
+  const bottom = wh?.bottom === null || wh?.bottom === undefined || wh?.bottom === '' ? -Infinity : _num(wh.bottom, -Infinity);
+  const top = wh?.top === null || wh?.top === undefined || wh?.top === '' ? Infinity : _num(wh.top, Infinity);
+  return top < bottom ? { bottom: top, top: bottom } : { bottom, top };
+}
+
+/**
+ * Height range of a token.
+ * @param {object} args
+ * @param {number} [args.elevation] `TokenDocument.elevation`
+ * @param {number} [args.sizeCells] `TokenDocument.height`
+ * @param {number} [args.gridDistance] scene units per cell
+ * @param {object|null} [args.flags] `TokenDocument.flags`
+ * @param {object|null} [args.config]
+ * @returns {{bottom:number, top:number}}
+ */
+export function tokenVerticalSpan({ elevation = 0, sizeCells = 1, gridDistance = 1, flags = null, config = null } = {}) {
+  const cfg = normalizeElevationConfig(config);
+  const bottom = _num(elevation, 0);
+  const own = _num(flags?.['wall-height']?.tokenHeight, 0);
+  const height = own > 0
+    ? own
+    : Math.max(0.01, _num(sizeCells, 1)) * Math.max(0.01, _num(gridDistance, 1)) * cfg.tokenHeightRatio;
+  return { bottom, top: bottom + height };
+}
+
+/**
+ * Height `pct` % up a span.
+ * @param {{bottom:number, top:number}} span
+ * @param {number} pct
+ * @returns {number}
+ */
+export function spanHeightAt(span, pct) {
+  return span.bottom + (span.top - span.bottom) * (_pct(pct, 0) / 100);
+}
+
+/**
+ * How far a height is above or below a span.
+ * @param {number} z
+ * @param {{bottom:number, top:number}} span
+ * @returns {number} 0 — inside
+ */
+export function spanGap(z, span) {
+  if (z < span.bottom) return span.bottom - z;
+  if (z > span.top) return z - span.top;
+  return 0;
+}
+
+/**
+ * Vertical profile of a straight (or arcing) piece of a shot.
+ * @param {object} args
+ * @param {number} args.z0 height at the start
+ * @param {number} [args.slope] rise per unit of horizontal travel
+ * @param {number} [args.arc] apex above the straight line, at mid-length
+ * @param {number} [args.length] horizontal length the arc spans, scene units
+ * @param {number} [args.pxPerUnit] canvas px per scene unit
+ * @returns {{z0:number, slope:number, arc:number, length:number, pxPerUnit:number}}
+ */
+export function buildVerticalProfile({ z0, slope = 0, arc = 0, length = 0, pxPerUnit = 1 } = {}) {
+  const len = Math.max(0, _num(length, 0));
+  return {
+    z0: _num(z0, 0),
+    slope: _num(slope, 0),
+    arc: len > 0 ? Math.max(0, _num(arc, 0)) : 0,
+    length: len,
+    pxPerUnit: Math.max(1e-6, _num(pxPerUnit, 1)),
+  };
+}
+
+/**
+ * Slope of a shot from one height to another.
+ * @param {number} fromZ
+ * @param {number} toZ
+ * @param {number} horizontal horizontal distance, scene units
+ * @returns {number}
+ */
+export function slopeBetween(fromZ, toZ, horizontal) {
+  const h = _num(horizontal, 0);
+  return h > 1e-6 ? (_num(toZ, 0) - _num(fromZ, 0)) / h : 0;
+}
+
+/**
+ * Height of the shot `distancePx` along the piece.
+ * @param {object} profile {@link buildVerticalProfile}
+ * @param {number} distancePx
+ * @returns {number}
+ */
+export function profileHeightAt(profile, distancePx) {
+  const d = Math.max(0, _num(distancePx, 0)) / profile.pxPerUnit;
+  let z = profile.z0 + profile.slope * d;
+  if (profile.arc > 0) {
+    const t = Math.min(1, d / profile.length);
+    z += 4 * profile.arc * t * (1 - t);
+  }
+  return z;
+}
+
+/**
+ * Pitch of the shot `distancePx` along the piece.
+ * @param {object} profile {@link buildVerticalProfile}
+ * @param {number} distancePx
+ * @returns {number} degrees; positive — falling
+ */
+export function profilePitchAt(profile, distancePx) {
+  const d = Math.max(0, _num(distancePx, 0)) / profile.pxPerUnit;
+  let rise = profile.slope;
+  if (profile.arc > 0 && d <= profile.length) {
+    const t = d / profile.length;
+    rise += (4 * profile.arc * (1 - 2 * t)) / profile.length;
+  }
+  return -Math.atan(rise) * (180 / Math.PI);
+}
+
+/**
+ * Pitch of a line from one height to another.
+ * @param {number} fromZ
+ * @param {number} toZ
+ * @param {number} horizontal horizontal distance, scene units
+ * @returns {number} degrees; positive — falling
+ */
+export function pitchBetween(fromZ, toZ, horizontal) {
+  const dz = _num(toZ, 0) - _num(fromZ, 0);
+  return -Math.atan2(dz, Math.max(0, _num(horizontal, 0))) * (180 / Math.PI);
+}
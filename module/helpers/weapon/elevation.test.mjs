@@ -0,0 +1,87 @@
+/**
+ * Smoke tests for shot elevation. Runs in plain Node (no Foundry globals required).
+ * Execute with:
+ *   node module/helpers/weapon/elevation.test.mjs
+ */
+
+import {
+  buildVerticalProfile,
+  pitchBetween,
+  profileHeightAt,
+  profilePitchAt,
+  slopeBetween,
+  spanGap,
+  spanHeightAt,
+  tokenVerticalSpan,
+  wallVerticalSpan
+} from './elevation.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+const deg = (rad) => (rad * 180) / Math.PI;
+
+/* ---- Spans ---------------------------------------------------------- */
+{
+  const whole = wallVerticalSpan(null);
+  assert('wall without heights spans everything', whole.bottom === -Infinity && whole.top === Infinity);
+  const low = wallVerticalSpan({ 'wall-height': { bottom: '', top: 1 } });
+  assert('empty bottom is unbounded', low.bottom === -Infinity && low.top === 1);
+  const flipped = wallVerticalSpan({ 'wall-height': { bottom: 5, top: 2 } });
+  assert('reversed heights swapped', flipped.bottom === 2 && flipped.top === 5);
+
+  const token = tokenVerticalSpan({ elevation: 3, sizeCells: 2, gridDistance: 1.5 });
+  assert('token height from size', token.bottom === 3 && token.top === 6, JSON.stringify(token));
+  const tall = tokenVerticalSpan({ elevation: 0, flags: { 'wall-height': { tokenHeight: 2.5 } } });
+  assert('Wall Height token height wins', tall.top === 2.5);
+  assert('height up a span', close(spanHeightAt({ bottom: 2, top: 4 }, 75), 3.5));
+
+  const span = { bottom: 1, top: 3 };
+  assert('gap below the span', spanGap(0.25, span) === 0.75);
+  assert('gap above the span', spanGap(5, span) === 2);
+  assert('inside — no gap', spanGap(1, span) === 0 && spanGap(3, span) === 0 && spanGap(2, span) === 0);
+  assert('unbounded span has no gap', spanGap(1e6, wallVerticalSpan(null)) === 0);
+}
+
+/* ---- Slope ---------------------------------------------------------- */
+{
+  assert('slope is rise over run', close(slopeBetween(1.5, 0.5, 10), -0.1));
+  assert('no run — level', slopeBetween(0, 5, 0) === 0 && slopeBetween(0, 5, -2) === 0);
+  assert('pitch down at the target is positive', close(pitchBetween(10, 0, 10), 45));
+  assert('pitch up is negative', close(pitchBetween(0, 10, 10), -45));
+}
+
+/* ---- Profile -------------------------------------------------------- */
+{
+  const straight = buildVerticalProfile({ z0: 1.5, slope: 0.1, pxPerUnit: 20 });
+  assert('straight profile climbs with the slope', close(profileHeightAt(straight, 200), 2.5));
+  assert('straight pitch constant', close(profilePitchAt(straight, 0), -deg(Math.atan(0.1)))
+    && close(profilePitchAt(straight, 500), profilePitchAt(straight, 0)));
+  assert('no length — no arc', buildVerticalProfile({ z0: 0, arc: 3 }).arc === 0);
+  assert('negative arc dropped', buildVerticalProfile({ z0: 0, arc: -3, length: 10 }).arc === 0);
+
+  const lob = buildVerticalProfile({ z0: 0, arc: 2, length: 10, pxPerUnit: 10 });
+  assert('arc apex at mid-length', close(profileHeightAt(lob, 50), 2));
+  assert('arc lands at its length', close(profileHeightAt(lob, 100), 0));
+  assert('arc stays down past its length', close(profileHeightAt(lob, 150), 0));
+  const rise = deg(Math.atan(0.8));
+  assert('arc climbs at the start', close(profilePitchAt(lob, 0), -rise));
+  assert('arc is level at the apex', close(profilePitchAt(lob, 50), 0));
+  assert('arc falls at the end', close(profilePitchAt(lob, 100), rise));
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll elevation smoke tests passed.');
+}
@@ -0,0 +1,175 @@
+/**
+ * Grenade fuses: set off thrown grenades when the thrower's personal time
+ * advances past `detonateAt`.
+ *
+ * Armed fuses live on the thrower, `flags.spaceholder.throwFuses`. A due fuse
+ * goes off only while its scene is on the canvas (otherwise it waits): the
+ * fuse payload (`explosion` by default) is shot from the grenade's pile token
+ * — or from the landing point if the pile is gone — with the grenade's damage,
+ * and one grenade is taken out of the pile.
+ *
+ * Known limitation: a fuse counts down only while its thrower's personal time
+ * advances. If the thrower is dead or stops acting, their grenades stay armed
+ * until the GM skips that actor's time (token controls → skip time).
+ */
+
+import { buildProjectileFromDamageEntries } from './damage-profile.mjs';
+import { splitDueFuses } from './throwing.mjs';
+import { getPersonalTimeTotal } from '../actions/personal-time.mjs';
+import { computeItemStackFingerprint, isPileLootActor } from '../item-piles-sh/stack-fingerprint.mjs';
+
+const MODULE_NS = 'spaceholder';
+const FLAG_FUSES = 'throwFuses';
+
+function _t(key, data = null) {
+  const i18n = game.i18n;
+  if (!i18n) return key;
+  return data ? i18n.format(key, data) : i18n.localize(key);
+}
+
+function _fuses(actor) {
+  const raw = actor?.getFlag?.(MODULE_NS, FLAG_FUSES);
+  return Array.isArray(raw) ? raw : [];
+}
+
+/**
+ * Arm a thrown grenade: it goes off `seconds` of the thrower's personal time
+ * from now.
+ *
+ * @param {Actor} actor thrower
+ * @param {object} fuse `{sceneId, tokenId, x, y, itemName, fingerprint, seconds, payloadId, damage}`
+ */
+export async function armThrowFuse(actor, { seconds, ...fuse } = {}) {
+  if (!actor) return;
+  const entry = {
+    ...fuse,
+    id: foundry.utils.randomID(),
+    detonateAt: getPersonalTimeTotal(actor) + Math.max(0, Number(seconds) || 0),
+  };
+  try {
+    await actor.setFlag(MODULE_NS, FLAG_FUSES, [..._fuses(actor), entry]);
+  } catch (e) {
+    console.error('SpaceHolder | failed to arm grenade fuse', e);
+  }
+}
+
+/**
+ * Take one grenade out of its pile.
+ * @param {TokenDocument|null} pileDoc
+ * @param {string} fingerprint
+ */
+async function _consumeGrenade(pileDoc, fingerprint) {
+  const pileActor = pileDoc?.actor ?? null;
+  if (!pileActor || !fingerprint) return;
+  const item = pileActor.items.find((i) => computeItemStackFingerprint(i.toObject()) === fingerprint);
+  if (!item) return;
+  const qty = Math.max(0, Number(item.system?.quantity) || 1);
+  if (qty > 1) await item.update({ 'system.quantity': qty - 1 });
+  else await item.delete();
+}
+
+function _hitActor(hit) {
+  const token = hit?.object?.document ? hit.object : hit?.token ?? hit?.target ?? null;
+  return token?.actor ?? hit?.actor ?? null;
+}
+
+/**
+ * @param {Actor} actor thrower
+ * @param {object} fuse
+ */
+async function _detonate(actor, fuse) {
+  const shotManager = game.spaceholder?.shotManager;
+  const payload = await game.spaceholder?.aimingManager?.getPayloadById?.(fuse.payloadId);
+  if (!shotManager || !payload) {
+    console.warn(`SpaceHolder | grenade payload "${fuse.payloadId}" is not available`);
+    return;
+  }
+  const pileDoc = fuse.tokenId ? canvas.scene.tokens.get(fuse.tokenId) ?? null : null;
+  const origin = pileDoc?.object ?? {
+    center: { x: fuse.x, y: fuse.y },
+    scene: canvas.scene,
+    document: { disposition: CONST.TOKEN_DISPOSITIONS.NEUTRAL },
+  };
+
+  // The grenade goes off where it lies, not at a thrower's hand height.
+  const uid = shotManager.createShot(origin, payload, 0, { originHeight: Number(pileDoc?.elevation) || 0 });
+  const shot = shotManager.shotSystem?.getShot?.(uid);
+  const shotResult = shotManager.getShotResult(uid);
+  if (shotResult && game.spaceholder?.drawManager) game.spaceholder.drawManager.drawShot(shotResult);
+
+  let results = [];
+  const projectile = buildProjectileFromDamageEntries(fuse.damage, { payloadId: fuse.payloadId });
+  if (shot && projectile) {
+    // Item piles caught by the blast are not damaged.
+    shot.actualHits = shot.actualHits.filter((hit) => !isPileLootActor(_hitActor(hit)));
+    results = await shotManager.applyImpactsToActors(shot, projectile, {
+      builderContext: {
+        shooterActorUuid: actor.uuid,
+        weaponName: fuse.itemName,
+        verbKey: 'blast',
+      },
+      source: {
+        attackerUuid: actor.uuid,
+        attackerName: actor.name,
+        weaponName: fuse.itemName,
+        verbKey: 'blast',
+        shotUid: uid,
+      },
+    });
+  }
+
+  try {
+    await _consumeGrenade(pileDoc, fuse.fingerprint);
+  } catch (e) {
+    console.error('SpaceHolder | failed to remove detonated grenade from its pile', e);
+  }
+
+  try {
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: `<div>${foundry.utils.escapeHTML(_t('SPACEHOLDER.ActionsSystem.Throw.Detonated', {
+        item: fuse.itemName,
+        hits: results.length,
+      }))}</div>`,
+    });
+  } catch (_) {
+    /* ignore chat errors */
+  }
+}
+
+/**
+ * @param {Actor} actor
+ * @param {{seconds: number, total: number}} payload
+ */
+export async function onPersonalTimeAdvancedFuseTick(actor, payload) {
+  const seconds = Number(payload?.seconds) || 0;
+  if (!actor || seconds <= 0) return;
+  if (!actor.isOwner) return;
+  const fuses = _fuses(actor);
+  if (!fuses.length) return;
+
+  const sceneId = canvas?.scene?.id ?? null;
+  const { due, pending } = splitDueFuses(fuses, Number(payload?.total) || 0);
+  const now = due.filter((f) => f.sceneId === sceneId);
+  if (!now.length) return;
+  // Disarm first: a second tick while the blast resolves must not set it off again.
+  try {
+    await actor.setFlag(MODULE_NS, FLAG_FUSES, [...pending, ...due.filter((f) => f.sceneId !== sceneId)]);
+  } catch (e) {
+    console.error('SpaceHolder | grenade fuse tick failed', e);
+    return;
+  }
+  for (const fuse of now) {
+    try {
+      await _detonate(actor, fuse);
+    } catch (e) {
+      console.error('SpaceHolder | grenade detonation failed', e);
+    }
+  }
+}
+
+export function registerThrowFusePersonalTimeHooks() {
+  Hooks.on('spaceholder.personalTimeAdvanced', (actor, payload) => {
+    void onPersonalTimeAdvancedFuseTick(actor, payload);
+  });
+}
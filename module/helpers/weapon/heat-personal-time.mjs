@@ -0,0 +1,61 @@
+/**
+ * Cool weapon lines (`weapon.state.heat`) when personal time advances.
+ */
+
+import { normalizeWeaponV3 } from './weapon-model.mjs';
+import { settleHeat } from './heat.mjs';
+
+function _tickWeaponHeat(item, now, config) {
+  if (!item || item.type !== 'item') return null;
+  const raw = item.system?.weapon?.state?.heat;
+  if (!raw || typeof raw !== 'object' || !Object.keys(raw).length) return null;
+  const weapon = normalizeWeaponV3(item.system?.weapon, item.system?.itemTags ?? {});
+  let changed = false;
+  const heat = {};
+  for (const [lineId, state] of Object.entries(weapon.state.heat)) {
+    const line = weapon.lines.find((l) => l.id === lineId);
+    if (!line) continue;
+    const next = settleHeat(state, now, line.heat, config);
+    if (next.value !== state.value || next.cooldown !== state.cooldown) changed = true;
+    heat[lineId] = next;
+  }
+  if (!changed) return null;
+  return {
+    _id: item.id,
+    'system.weapon.state.heat': heat,
+  };
+}
+
+/**
+ * Heat is settled up to the actor's personal-time total (`payload.total`),
+ * not by `payload.seconds`: a shot that settled the same line in between
+ * does not make it cool twice.
+ * @param {Actor} actor
+ * @param {{seconds: number, total: number}} payload
+ */
+export async function onPersonalTimeAdvancedHeatTick(actor, payload) {
+  const seconds = Number(payload?.seconds) || 0;
+  if (!actor || seconds <= 0) return;
+  const config = CONFIG.SPACEHOLDER?.weaponHeat ?? null;
+  if (config?.enabled === false) return;
+  if (!actor.isOwner) return;
+  const now = Number(payload?.total) || 0;
+
+  const updates = [];
+  for (const item of actor.items ?? []) {
+    const u = _tickWeaponHeat(item, now, config);
+    if (u) updates.push(u);
+  }
+  if (!updates.length) return;
+  try {
+    await actor.updateEmbeddedDocuments('Item', updates);
+  } catch (e) {
+    console.error('SpaceHolder | weapon heat personal-time tick failed', e);
+  }
+}
+
+export function registerHeatPersonalTimeHooks() {
+  Hooks.on('spaceholder.personalTimeAdvanced', (actor, payload) => {
+    void onPersonalTimeAdvancedHeatTick(actor, payload);
+  });
+}
@@ -0,0 +1,212 @@
+/**
+ * Weapon heat — per-line heat build-up, dissipation and overheating.
+ *
+ * A line with `line.heat.enabled` gains heat on every shot:
+ *
+ *   Σ entry.damage × typeFactor(entry.damageType) × heatPerDamage × line.heat.value / 100
+ *
+ * (`value` is the heat generation percent, 100 = neutral, and may be changed
+ * by mode modifiers). Energy types (laser, plasma…) heat the weapon most;
+ * unlisted types use `defaultTypeFactor`.
+ *
+ * Heat is lost at `line.heat.dissipation` units per second of the holder's
+ * personal time. The state remembers the personal-time total it was last
+ * settled at (`at`), so it can be brought up to date lazily from any point —
+ * the `spaceholder.personalTimeAdvanced` hook and the shot itself agree even
+ * if one of their writes is lost.
+ *
+ * Thresholds, as a share of `line.heat.capacity`:
+ *   - warmRatio  — extra spread, growing linearly up to `maxSpreadDeg` at 100 %;
+ *   - burnRatio  — every shot burns the holder's hand for `burnDamage`;
+ *   - 100 %      — overheat: the line is locked (forced cooldown) until the
+ *                  heat drops to `resumeRatio`.
+ *
+ * Runtime state lives in `weapon.state.heat[lineId]`.
+ *
+ * The module is pure — it does not import Foundry.
+ */
+
+export const HEAT_DEFAULTS = Object.freeze({
+  enabled: true,
+  heatPerDamage: 1,
+  typeFactors: Object.freeze({
+    laser: 1,
+    plasma: 1.5,
+    electric: 0.75,
+    thermal: 1,
+    radiation: 0.5,
+  }),
+  defaultTypeFactor: 0.1,
+  warmRatio: 0.5,
+  maxSpreadDeg: 8,
+  burnRatio: 0.8,
+  burnDamage: 3,
+  burnType: 'thermal',
+  resumeRatio: 0.3,
+});
+
+/** Heat levels, coolest first. */
+export const HEAT_LEVELS = Object.freeze({
+  COOL: 'cool',
+  WARM: 'warm',
+  HOT: 'hot',
+  OVERHEATED: 'overheated',
+});
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _ratio(v, fallback) {
+  return Math.min(1, Math.max(0, _num(v, fallback)));
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.weaponHeat`
+ * @returns {object}
+ */
+export function normalizeHeatConfig(config = null) {
+  const raw = config && typeof config === 'object' ? config : {};
+  const factorsRaw = raw.typeFactors && typeof raw.typeFactors === 'object' ? raw.typeFactors : HEAT_DEFAULTS.typeFactors;
+  const typeFactors = {};
+  for (const [type, factor] of Object.entries(factorsRaw)) {
+    typeFactors[type] = Math.max(0, _num(factor, 0));
+  }
+  return {
+    enabled: raw.enabled !== false,
+    heatPerDamage: Math.max(0, _num(raw.heatPerDamage, HEAT_DEFAULTS.heatPerDamage)),
+    typeFactors,
+    defaultTypeFactor: Math.max(0, _num(raw.defaultTypeFactor, HEAT_DEFAULTS.defaultTypeFactor)),
+    warmRatio: _ratio(raw.warmRatio, HEAT_DEFAULTS.warmRatio),
+    maxSpreadDeg: Math.max(0, _num(raw.maxSpreadDeg, HEAT_DEFAULTS.maxSpreadDeg)),
+    burnRatio: _ratio(raw.burnRatio, HEAT_DEFAULTS.burnRatio),
+    burnDamage: Math.max(0, _num(raw.burnDamage, HEAT_DEFAULTS.burnDamage)),
+    burnType: String(raw.burnType ?? HEAT_DEFAULTS.burnType).trim() || HEAT_DEFAULTS.burnType,
+    resumeRatio: _ratio(raw.resumeRatio, HEAT_DEFAULTS.resumeRatio),
+  };
+}
+
+/**
+ * @param {unknown} [raw]
+ * @returns {{value:number, cooldown:boolean, at:number}}
+ */
+export function normalizeHeatState(raw = null) {
+  return {
+    value: Math.max(0, _num(raw?.value, 0)),
+    cooldown: raw?.cooldown === true,
+    at: Math.max(0, _num(raw?.at, 0)),
+  };
+}
+
+function _isActive(heat, cfg) {
+  return !!(cfg.enabled && heat?.enabled && _num(heat.capacity, 0) > 0);
+}
+
+/**
+ * Heat one shot adds.
+ *
+ * @param {{enabled:boolean, value:number, capacity:number}|null} heat effective `line.heat`
+ * @param {Array<{damageType:string, damage:number}>} entries damage entries of the shot
+ * @param {object|null} [config]
+ * @returns {number}
+ */
+export function shotHeat(heat, entries, config = null) {
+  const cfg = normalizeHeatConfig(config);
+  if (!_isActive(heat, cfg)) return 0;
+  let sum = 0;
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const damage = Math.max(0, _num(entry?.damage, 0));
+    if (!damage) continue;
+    const factor = cfg.typeFactors[entry.damageType] ?? cfg.defaultTypeFactor;
+    sum += damage * factor;
+  }
+  return sum * cfg.heatPerDamage * Math.max(0, _num(heat.value, 100)) / 100;
+}
+
+/**
+ * Let the line cool for `seconds` of personal time.
+ *
+ * @param {object} state
+ * @param {number} seconds
+ * @param {object|null} heat effective `line.heat`
+ * @param {object|null} [config]
+ * @returns {{value:number, cooldown:boolean, at:number}}
+ */
+export function dissipateHeat(state, seconds, heat, config = null) {
+  const s = normalizeHeatState(state);
+  const dt = Math.max(0, _num(seconds, 0));
+  if (!dt || !s.value) return s.value ? s : { ...s, cooldown: false };
+  const cfg = normalizeHeatConfig(config);
+  const value = Math.max(0, s.value - Math.max(0, _num(heat?.dissipation, 0)) * dt);
+  const capacity = Math.max(0, _num(heat?.capacity, 0));
+  const cooldown = s.cooldown && capacity > 0 && value / capacity > cfg.resumeRatio;
+  return { ...s, value, cooldown };
+}
+
+/**
+ * Bring the state up to the personal-time total `now`.
+ * Time running backwards (undo) only moves the mark.
+ *
+ * @param {object} state
+ * @param {number} now actor's personal-time total, seconds
+ * @param {object|null} heat
+ * @param {object|null} [config]
+ * @returns {{value:number, cooldown:boolean, at:number}}
+ */
+export function settleHeat(state, now, heat, config = null) {
+  const s = normalizeHeatState(state);
+  const t = Math.max(0, _num(now, 0));
+  const out = dissipateHeat(s, t - s.at, heat, config);
+  return { ...out, at: t };
+}
+
+/**
+ * Add one shot's heat; reaching the capacity starts a forced cooldown.
+ *
+ * @param {object} state
+ * @param {number} amount {@link shotHeat}
+ * @param {object|null} heat
+ * @returns {{value:number, cooldown:boolean, at:number}}
+ */
+export function addShotHeat(state, amount, heat) {
+  const s = normalizeHeatState(state);
+  const add = Math.max(0, _num(amount, 0));
+  if (!add) return s;
+  const capacity = Math.max(0, _num(heat?.capacity, 0));
+  const value = capacity > 0 ? Math.min(capacity, s.value + add) : s.value + add;
+  return { ...s, value, cooldown: s.cooldown || (capacity > 0 && value >= capacity) };
+}
+
+/**
+ * What the current heat does to the line.
+ *
+ * @param {object} state
+ * @param {object|null} heat
+ * @param {object|null} [config]
+ * @returns {{ratio:number, level:string, spreadDeg:number, burnDamage:number, burnType:string, locked:boolean}}
+ */
+export function heatPenalties(state, heat, config = null) {
+  const cfg = normalizeHeatConfig(config);
+  const s = normalizeHeatState(state);
+  const none = { ratio: 0, level: HEAT_LEVELS.COOL, spreadDeg: 0, burnDamage: 0, burnType: cfg.burnType, locked: false };
+  if (!_isActive(heat, cfg)) return none;
+  const ratio = Math.min(1, s.value / Math.max(0, _num(heat.capacity, 0)));
+  const warmSpan = 1 - cfg.warmRatio;
+  const spreadDeg = ratio >= cfg.warmRatio
+    ? cfg.maxSpreadDeg * (warmSpan > 0 ? (ratio - cfg.warmRatio) / warmSpan : 1)
+    : 0;
+  const burning = ratio >= cfg.burnRatio;
+  let level = HEAT_LEVELS.COOL;
+  if (s.cooldown) level = HEAT_LEVELS.OVERHEATED;
+  else if (burning) level = HEAT_LEVELS.HOT;
+  else if (ratio >= cfg.warmRatio) level = HEAT_LEVELS.WARM;
+  return {
+    ratio,
+    level,
+    spreadDeg,
+    burnDamage: burning ? cfg.burnDamage : 0,
+    burnType: cfg.burnType,
+    locked: s.cooldown,
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Smoke tests for weapon heat. Runs in plain Node (no Foundry globals
+ * required). Execute with:
+ *   node module/helpers/weapon/heat.test.mjs
+ */
+
+import {
+  HEAT_LEVELS,
+  addShotHeat,
+  heatPenalties,
+  settleHeat,
+  shotHeat
+} from './heat.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+const heat = { enabled: true, value: 100, capacity: 100, dissipation: 5 };
+
+/* ---- Shot heat ------------------------------------------------------ */
+{
+  assert('laser heats by its damage', shotHeat(heat, [{ damageType: 'laser', damage: 20 }]) === 20);
+  assert('plasma heats more', shotHeat(heat, [{ damageType: 'plasma', damage: 20 }]) === 30);
+  assert('unlisted type uses defaultTypeFactor', close(shotHeat(heat, [{ damageType: 'ballistic', damage: 20 }]), 2));
+  assert('entries add up', close(shotHeat(heat, [
+    { damageType: 'laser', damage: 10 },
+    { damageType: 'ballistic', damage: 10 }
+  ]), 11));
+  assert('generation percent scales heat', shotHeat({ ...heat, value: 50 }, [{ damageType: 'laser', damage: 20 }]) === 10);
+  assert('disabled line — no heat', shotHeat({ ...heat, enabled: false }, [{ damageType: 'laser', damage: 20 }]) === 0);
+  assert('no capacity — no heat', shotHeat({ ...heat, capacity: 0 }, [{ damageType: 'laser', damage: 20 }]) === 0);
+}
+
+/* ---- Settling over personal time ----------------------------------- */
+{
+  const state = { value: 60, cooldown: false, at: 10 };
+  const later = settleHeat(state, 14, heat);
+  assert('cools by dissipation × seconds', later.value === 40 && later.at === 14, JSON.stringify(later));
+  assert('cannot cool below zero', settleHeat(state, 100, heat).value === 0);
+  const undone = settleHeat(state, 4, heat);
+  assert('time running backwards only moves the mark', undone.value === 60 && undone.at === 4, JSON.stringify(undone));
+  assert('settling again from the moved mark', settleHeat(undone, 6, heat).value === 50);
+}
+
+/* ---- Overheat cooldown --------------------------------------------- */
+{
+  const full = addShotHeat({ value: 90, at: 0 }, 30, heat);
+  assert('reaching capacity starts a cooldown', full.value === 100 && full.cooldown === true, JSON.stringify(full));
+  assert('overheated line is locked', heatPenalties(full, heat).locked && heatPenalties(full, heat).level === HEAT_LEVELS.OVERHEATED);
+  const cooling = settleHeat(full, 10, heat);
+  assert('still locked above resumeRatio', cooling.value === 50 && cooling.cooldown === true);
+  const resumed = settleHeat(full, 14, heat);
+  assert('unlocks at resumeRatio', resumed.value === 30 && resumed.cooldown === false, JSON.stringify(resumed));
+  assert('heat below capacity does not lock', addShotHeat({ value: 10 }, 20, heat).cooldown === false);
+}
+
+/* ---- Penalties ------------------------------------------------------ */
+{
+  const at = (value) => heatPenalties({ value }, heat);
+  assert('cool below warmRatio', at(40).level === HEAT_LEVELS.COOL && at(40).spreadDeg === 0);
+  assert('warm from warmRatio', at(50).level === HEAT_LEVELS.WARM && at(50).spreadDeg === 0);
+  assert('spread grows linearly to maxSpreadDeg', close(at(75).spreadDeg, 4) && close(at(100).spreadDeg, 8));
+  assert('hot from burnRatio burns the holder', at(80).level === HEAT_LEVELS.HOT && at(80).burnDamage === 3
+    && at(80).burnType === 'thermal');
+  assert('no burn below burnRatio', at(79).burnDamage === 0);
+  assert('disabled line has no penalties', heatPenalties({ value: 100, cooldown: true }, { ...heat, enabled: false }).locked === false);
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll heat smoke tests passed.');
+}
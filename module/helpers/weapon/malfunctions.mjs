@@ -0,0 +1,153 @@
+/**
+ * Weapon malfunctions — misfire, failure to feed, double feed, stovepipe.
+ *
+ * Chance per shot (when `line.reliability.enabled`):
+ *
+ *   basePercent / 100 × (100 / reliability) × (100 / round quality)
+ *
+ * Both percents follow the weapon model convention (100 = neutral, no upper
+ * bound): reliability 200 halves the chance, quality 50 doubles it.
+ *
+ * What can happen depends on the block:
+ *   - misfire — any block: the round (or charge) does not fire, no shot;
+ *   - failureToFeed / stovepipe / doubleFeed — only self-loading item-fed
+ *     magazines with a chamber (`chamberEnabled && autoFeed`): the shot
+ *     goes off, but the next round is not chambered.
+ *
+ * The result is stored in `block.runtime.malfunction` and blocks the line
+ * until cleared: «tap-rack» for misfire / failure to feed / stovepipe,
+ * «clear double feed» for a double feed (costs a round from the reserve).
+ *
+ * The module is pure — it does not import Foundry.
+ */
+
+import {
+  AMMO_BLOCK_TYPES,
+  MALFUNCTION_KINDS,
+  MALFUNCTION_KIND_LIST,
+} from './weapon-model.mjs';
+
+export { MALFUNCTION_KINDS, MALFUNCTION_KIND_LIST };
+
+/** Block `apActions` key that clears each malfunction. */
+export const MALFUNCTION_CLEAR_ACTIONS = Object.freeze({
+  [MALFUNCTION_KINDS.MISFIRE]: 'tapRack',
+  [MALFUNCTION_KINDS.FAILURE_TO_FEED]: 'tapRack',
+  [MALFUNCTION_KINDS.STOVEPIPE]: 'tapRack',
+  [MALFUNCTION_KINDS.DOUBLE_FEED]: 'clearDoubleFeed',
+});
+
+export const MALFUNCTION_DEFAULTS = Object.freeze({
+  enabled: true,
+  basePercent: 2,
+  weights: Object.freeze({
+    misfire: 35,
+    failureToFeed: 25,
+    stovepipe: 25,
+    doubleFeed: 15,
+  }),
+});
+
+const FEED_BLOCK_TYPES = Object.freeze([
+  AMMO_BLOCK_TYPES.INTERNAL_MAGAZINE,
+  AMMO_BLOCK_TYPES.EXTERNAL_MAGAZINE,
+]);
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.malfunctions`
+ * @returns {{enabled:boolean, basePercent:number, weights:Object<string, number>}}
+ */
+export function normalizeMalfunctionConfig(config = null) {
+  const raw = config && typeof config === 'object' ? config : {};
+  const weightsRaw = raw.weights && typeof raw.weights === 'object' ? raw.weights : {};
+  const weights = {};
+  for (const kind of MALFUNCTION_KIND_LIST) {
+    weights[kind] = Math.max(0, _num(weightsRaw[kind], MALFUNCTION_DEFAULTS.weights[kind]));
+  }
+  return {
+    enabled: raw.enabled !== false,
+    basePercent: Math.max(0, _num(raw.basePercent, MALFUNCTION_DEFAULTS.basePercent)),
+    weights,
+  };
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {string} a MALFUNCTION_KINDS value or ''
+ */
+export function normalizeMalfunction(raw) {
+  return MALFUNCTION_KIND_LIST.includes(raw) ? raw : '';
+}
+
+/**
+ * Clearing action (`apActions` key) for a malfunction.
+ * @param {string} kind
+ * @returns {string} 'tapRack' | 'clearDoubleFeed' | ''
+ */
+export function malfunctionClearAction(kind) {
+  return MALFUNCTION_CLEAR_ACTIONS[normalizeMalfunction(kind)] ?? '';
+}
+
+/**
+ * Malfunctions a block can suffer.
+ * @param {object} block normalized ammo block
+ * @returns {string[]}
+ */
+export function applicableMalfunctions(block) {
+  if (!block) return [];
+  const out = [MALFUNCTION_KINDS.MISFIRE];
+  if (block.chamberEnabled && block.autoFeed && FEED_BLOCK_TYPES.includes(block.type)) {
+    out.push(MALFUNCTION_KINDS.FAILURE_TO_FEED, MALFUNCTION_KINDS.STOVEPIPE, MALFUNCTION_KINDS.DOUBLE_FEED);
+  }
+  return out;
+}
+
+/**
+ * Chance (0..1) that a shot malfunctions.
+ *
+ * @param {object} args
+ * @param {{enabled:boolean, value:number}|null} args.reliability effective `line.reliability`
+ * @param {number} [args.quality=100] round quality, %
+ * @param {object|null} [args.config]
+ * @returns {number}
+ */
+export function malfunctionChance({ reliability, quality = 100, config = null } = {}) {
+  const cfg = normalizeMalfunctionConfig(config);
+  if (!cfg.enabled || !reliability?.enabled) return 0;
+  const rel = Math.max(0, _num(reliability.value, 100));
+  const q = Math.max(0, _num(quality, 100));
+  if (rel <= 0 || q <= 0) return 1;
+  const chance = (cfg.basePercent / 100) * (100 / rel) * (100 / q);
+  return Math.min(1, Math.max(0, chance));
+}
+
+/**
+ * Roll a malfunction for one shot.
+ *
+ * @param {object} args
+ * @param {object} args.block normalized ammo block that fires the round
+ * @param {{enabled:boolean, value:number}|null} args.reliability
+ * @param {number} [args.quality=100]
+ * @param {object|null} [args.config]
+ * @param {() => number} [args.random]
+ * @returns {string} malfunction kind or '' when the shot is clean
+ */
+export function rollMalfunction({ block, reliability, quality = 100, config = null, random = Math.random } = {}) {
+  const chance = malfunctionChance({ reliability, quality, config });
+  if (chance <= 0 || random() >= chance) return '';
+  const cfg = normalizeMalfunctionConfig(config);
+  const kinds = applicableMalfunctions(block).filter((k) => cfg.weights[k] > 0);
+  if (!kinds.length) return '';
+  const total = kinds.reduce((sum, k) => sum + cfg.weights[k], 0);
+  let pick = random() * total;
+  for (const kind of kinds) {
+    pick -= cfg.weights[kind];
+    if (pick < 0) return kind;
+  }
+  return kinds[kinds.length - 1];
+}
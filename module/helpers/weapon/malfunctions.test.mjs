@@ -0,0 +1,83 @@
+/**
+ * Smoke tests for weapon malfunctions. Runs in plain Node (no Foundry globals
+ * required). Execute with:
+ *   node module/helpers/weapon/malfunctions.test.mjs
+ */
+
+import {
+  MALFUNCTION_KINDS,
+  applicableMalfunctions,
+  malfunctionChance,
+  malfunctionClearAction,
+  normalizeMalfunction,
+  rollMalfunction
+} from './malfunctions.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+/** `random` that returns `values` in turn. */
+const seq = (...values) => {
+  let i = 0;
+  return () => values[Math.min(i++, values.length - 1)];
+};
+
+const reliability = { enabled: true, value: 100 };
+const feedBlock = { type: 'externalMagazine', chamberEnabled: true, autoFeed: true };
+const chargeBlock = { type: 'internalCharge', chamberEnabled: false, autoFeed: false };
+
+/* ---- Chance --------------------------------------------------------- */
+{
+  assert('neutral reliability and quality — base chance', close(malfunctionChance({ reliability }), 0.02));
+  assert('reliability 200 halves the chance', close(malfunctionChance({ reliability: { enabled: true, value: 200 } }), 0.01));
+  assert('quality 50 doubles the chance', close(malfunctionChance({ reliability, quality: 50 }), 0.04));
+  assert('reliability × quality multiply', close(malfunctionChance({ reliability: { enabled: true, value: 50 }, quality: 25 }), 0.16));
+  assert('chance is capped at 1', malfunctionChance({ reliability: { enabled: true, value: 1 }, quality: 1 }) === 1);
+  assert('zero quality always jams', malfunctionChance({ reliability, quality: 0 }) === 1);
+  assert('reliability off — never', malfunctionChance({ reliability: { enabled: false, value: 1 } }) === 0);
+  assert('mechanic off — never', malfunctionChance({ reliability, config: { enabled: false } }) === 0);
+  assert('basePercent from config', close(malfunctionChance({ reliability, config: { basePercent: 10 } }), 0.1));
+}
+
+/* ---- Kinds ---------------------------------------------------------- */
+{
+  assert('charge block can only misfire', JSON.stringify(applicableMalfunctions(chargeBlock)) === '["misfire"]');
+  assert('self-loading magazine can jam every way', applicableMalfunctions(feedBlock).length === 4);
+  assert('manual magazine only misfires', applicableMalfunctions({ ...feedBlock, autoFeed: false }).length === 1);
+
+  assert('clean shot', rollMalfunction({ block: feedBlock, reliability, random: seq(0.5) }) === '');
+  // Weights 35 / 25 / 25 / 15 over misfire, failure to feed, stovepipe, double feed.
+  assert('weighted pick — misfire', rollMalfunction({ block: feedBlock, reliability, random: seq(0, 0.3) }) === 'misfire');
+  assert('weighted pick — failure to feed', rollMalfunction({ block: feedBlock, reliability, random: seq(0, 0.5) }) === 'failureToFeed');
+  assert('weighted pick — stovepipe', rollMalfunction({ block: feedBlock, reliability, random: seq(0, 0.7) }) === 'stovepipe');
+  assert('weighted pick — double feed', rollMalfunction({ block: feedBlock, reliability, random: seq(0, 0.9) }) === 'doubleFeed');
+  assert('charge block always misfires', rollMalfunction({ block: chargeBlock, reliability, random: seq(0, 0.9) }) === 'misfire');
+  assert('zero weight is never picked', rollMalfunction({
+    block: feedBlock, reliability, random: seq(0, 0.99), config: { weights: { doubleFeed: 0 } }
+  }) === 'stovepipe');
+}
+
+/* ---- Clearing ------------------------------------------------------- */
+{
+  assert('misfire is cleared by tap-rack', malfunctionClearAction(MALFUNCTION_KINDS.MISFIRE) === 'tapRack');
+  assert('failure to feed is cleared by tap-rack', malfunctionClearAction(MALFUNCTION_KINDS.FAILURE_TO_FEED) === 'tapRack');
+  assert('stovepipe is cleared by tap-rack', malfunctionClearAction(MALFUNCTION_KINDS.STOVEPIPE) === 'tapRack');
+  assert('double feed needs its own action', malfunctionClearAction(MALFUNCTION_KINDS.DOUBLE_FEED) === 'clearDoubleFeed');
+  assert('unknown kind — nothing to clear', malfunctionClearAction('jammed') === '' && normalizeMalfunction('jammed') === '');
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll malfunction smoke tests passed.');
+}
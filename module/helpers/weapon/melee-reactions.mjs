@@ -0,0 +1,368 @@
+/**
+ * Melee reactions — the defender's parry / block window.
+ *
+ * Before a melee strike's damage is applied every actor it caught is asked
+ * (on the client of its owner: an active player, else the GM) whether to
+ * parry with a held melee weapon or block with a held melee shield. The
+ * chosen reaction is paid in AP through the transaction ledger on the
+ * defender's side; the attacker's client then rolls it (melee.mjs) and
+ * applies what is left of the damage. No answer within the prompt timeout
+ * means no reaction: a remote defender that answers too late does not pay,
+ * and the attacker waits for the prompt window plus RESPONSE_GRACE_MS so an
+ * answer given in time is never dropped while its AP are being spent.
+ */
+
+import { getStoredActionPoints, spendAp } from '../actions/transaction-ledger.mjs';
+import { isMeleeLine, normalizeWeaponV3 } from './weapon-model.mjs';
+import {
+  MELEE_DEFENSE_KINDS,
+  meleeDefenseApCost,
+  normalizeMeleeConfig,
+  rollMeleeDefense,
+} from './melee.mjs';
+
+const MODULE_NS = 'spaceholder';
+const SOCKET_TYPE = `${MODULE_NS}.meleeReaction`;
+// Round trip plus the defender's AP spend after the prompt window closes.
+const RESPONSE_GRACE_MS = 5000;
+
+let _socketInstalled = false;
+let _reqSeq = 0;
+const _pending = new Map();
+
+function _socketName() {
+  try {
+    return `system.${game.system.id}`;
+  } catch (_) {
+    return `system.${MODULE_NS}`;
+  }
+}
+
+function _sendSocket(message) {
+  try {
+    game.socket.emit(_socketName(), message);
+    return true;
+  } catch (e) {
+    console.error('SpaceHolder | Melee reactions: socket.emit failed', e);
+    return false;
+  }
+}
+
+function _t(key, data = null) {
+  const i18n = game.i18n;
+  if (!i18n) return key;
+  return data ? i18n.format(key, data) : i18n.localize(key);
+}
+
+function _config() {
+  return CONFIG.SPACEHOLDER?.meleeReactions ?? null;
+}
+
+function _abilityMod(actor, ability) {
+  return Number(actor?.system?.abilities?.[ability]?.mod) || 0;
+}
+
+/**
+ * Held items the actor can react with.
+ * @param {Actor} actor
+ * @returns {Array<{kind:string, itemId:string, itemName:string, apCost:number}>}
+ */
+export function listMeleeDefenses(actor) {
+  const cfg = _config();
+  const out = [];
+  for (const item of actor?.items ?? []) {
+    if (item?.type !== 'item' || !item.system?.held) continue;
+    const tags = item.system.itemTags ?? {};
+    if (tags.isWeapon && normalizeWeaponV3(item.system.weapon, tags).lines.some(isMeleeLine)) {
+      out.push({
+        kind: MELEE_DEFENSE_KINDS.PARRY,
+        itemId: item.id,
+        itemName: item.name,
+        apCost: meleeDefenseApCost(MELEE_DEFENSE_KINDS.PARRY, cfg),
+      });
+    }
+    if (tags.isMeleeShield) {
+      out.push({
+        kind: MELEE_DEFENSE_KINDS.BLOCK,
+        itemId: item.id,
+        itemName: item.name,
+        apCost: meleeDefenseApCost(MELEE_DEFENSE_KINDS.BLOCK, cfg),
+      });
+    }
+  }
+  if (actor?.type !== 'character') return out;
+  const { value } = getStoredActionPoints(actor);
+  return out.filter((o) => o.apCost <= value);
+}
+
+/**
+ * User who answers for the actor: the current user if they own it, else an
+ * active player owner, else the active GM.
+ * @param {Actor} actor
+ * @returns {User|null}
+ */
+function _responderFor(actor) {
+  const ownerLevel = CONST.DOCUMENT_OWNERSHIP_LEVELS?.OWNER ?? 3;
+  const users = Array.from(game.users ?? []).filter((u) => u.active);
+  const owners = users.filter((u) => !u.isGM && actor.testUserPermission(u, ownerLevel));
+  if (owners.some((u) => u.id === game.user?.id)) return game.user;
+  return owners[0] ?? game.users?.activeGM ?? users.find((u) => u.isGM) ?? null;
+}
+
+/**
+ * Ask the local user which reaction to take.
+ * @returns {Promise<{kind:string, itemId:string}|null>}
+ */
+async function _promptDefense(actor, options, ctx, timeoutMs) {
+  const DialogV2 = foundry?.applications?.api?.DialogV2;
+  if (!DialogV2?.wait) return null;
+  const escape = foundry.utils.escapeHTML;
+  const content = `<p>${escape(_t('SPACEHOLDER.WeaponV3.Melee.Reaction.Prompt', {
+    defender: actor.name ?? '',
+    attacker: String(ctx?.attackerName ?? ''),
+    weapon: String(ctx?.weaponName ?? ''),
+  }))}</p>`;
+  let timer = null;
+  try {
+    const result = await DialogV2.wait({
+      window: { title: _t('SPACEHOLDER.WeaponV3.Melee.Reaction.Title') },
+      content,
+      rejectClose: false,
+      render: (_event, dialog) => {
+        timer = setTimeout(() => dialog?.close?.(), timeoutMs);
+      },
+      buttons: [
+        ...options.map((o, i) => ({
+          action: `defense-${i}`,
+          icon: o.kind === MELEE_DEFENSE_KINDS.PARRY ? 'fa-solid fa-khanda' : 'fa-solid fa-shield',
+          label: _t(`SPACEHOLDER.WeaponV3.Melee.Reaction.${o.kind === MELEE_DEFENSE_KINDS.PARRY ? 'Parry' : 'Block'}`, {
+            item: o.itemName,
+            ap: String(o.apCost),
+          }),
+          callback: () => ({ kind: o.kind, itemId: o.itemId }),
+        })),
+        {
+          action: 'none',
+          default: true,
+          icon: 'fa-solid fa-xmark',
+          label: _t('SPACEHOLDER.WeaponV3.Melee.Reaction.None'),
+          callback: () => null,
+        },
+      ],
+    });
+    return result && typeof result === 'object' ? result : null;
+  } catch (_) {
+    return null;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+/**
+ * Pick and pay for a reaction on the defender's owner client.
+ * @param {Actor} actor
+ * @param {object} ctx `{attackerName, weaponName}`
+ * @param {number} [deadline] local `Date.now()` after which the attacker no
+ *   longer counts on an answer; a choice made later is dropped unpaid
+ * @returns {Promise<{kind:string, itemId:string, itemName:string}|null>}
+ */
+async function _chooseDefense(actor, ctx, deadline = Infinity) {
+  const cfg = normalizeMeleeConfig(_config());
+  const options = listMeleeDefenses(actor);
+  if (!options.length) return null;
+  const choice = await _promptDefense(actor, options, ctx, cfg.promptTimeoutMs);
+  const picked = choice ? options.find((o) => o.kind === choice.kind && o.itemId === choice.itemId) : null;
+  if (!picked) return null;
+  if (Date.now() > deadline) return null;
+
+  if (picked.apCost > 0 && actor.type === 'character') {
+    let spend = null;
+    try {
+      spend = await spendAp(actor, picked.apCost, {
+        source: {
+          type: 'action',
+          actionId: `melee.${picked.kind}`,
+          label: `${_t(`SPACEHOLDER.WeaponV3.Melee.Reaction.Kinds.${picked.kind}`)}: ${picked.itemName}`,
+        },
+        isReaction: true,
+      }, { kind: 'meleeReaction' });
+    } catch (e) {
+      spend = { ok: false, error: String(e?.message || e) };
+    }
+    if (!spend?.ok) {
+      ui.notifications?.warn?.(spend?.error ?? 'AP spend failed');
+      return null;
+    }
+  }
+  return { kind: picked.kind, itemId: picked.itemId, itemName: picked.itemName };
+}
+
+function _requestDefenseViaSocket(user, actor, ctx, timeoutMs) {
+  _reqSeq += 1;
+  const requestId = `${Date.now()}-${game.user?.id || 'user'}-${_reqSeq}`;
+  return new Promise((resolve) => {
+    const timeoutId = setTimeout(() => {
+      _pending.delete(requestId);
+      resolve(null);
+    }, timeoutMs);
+    _pending.set(requestId, { resolve, timeoutId });
+    const ok = _sendSocket({
+      type: SOCKET_TYPE,
+      op: 'request',
+      requestId,
+      userId: game.user?.id,
+      targetUserId: user.id,
+      payload: { actorUuid: actor.uuid, ctx },
+    });
+    if (!ok) {
+      clearTimeout(timeoutId);
+      _pending.delete(requestId);
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Ask the defender's owner for a reaction.
+ * @param {Actor} actor
+ * @param {object} ctx
+ * @returns {Promise<{kind:string, itemId:string, itemName:string}|null>}
+ */
+async function _requestDefense(actor, ctx) {
+  if (!listMeleeDefenses(actor).length) return null;
+  const user = _responderFor(actor);
+  if (!user) return null;
+  if (user.id === game.user?.id) return _chooseDefense(actor, ctx);
+  // The answer may take the whole prompt window plus the round trip and the AP spend.
+  const timeoutMs = normalizeMeleeConfig(_config()).promptTimeoutMs + RESPONSE_GRACE_MS;
+  return _requestDefenseViaSocket(user, actor, ctx, timeoutMs);
+}
+
+async function _postReactionChat(defender, attacker, picked, roll) {
+  let key = 'SPACEHOLDER.WeaponV3.Melee.Reaction.Failed';
+  if (roll.success) {
+    key = picked.kind === MELEE_DEFENSE_KINDS.PARRY
+      ? 'SPACEHOLDER.WeaponV3.Melee.Reaction.Parried'
+      : 'SPACEHOLDER.WeaponV3.Melee.Reaction.Blocked';
+  }
+  const message = _t(key, {
+    defender: defender?.name ?? '',
+    attacker: attacker?.name ?? '',
+    item: picked.itemName,
+    kind: _t(`SPACEHOLDER.WeaponV3.Melee.Reaction.Kinds.${picked.kind}`),
+    chance: String(Math.round(roll.chance * 100)),
+  });
+  try {
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor: defender }),
+      content: `<div class="sh-melee-reaction">${foundry.utils.escapeHTML(message)}</div>`,
+    });
+  } catch (_) {
+    /* ignore chat errors */
+  }
+}
+
+/**
+ * Give everyone the strike caught a reaction and group the hits by the share
+ * of damage that still lands. Fully parried hits are dropped.
+ *
+ * @param {object} args
+ * @param {object} args.shot shot with final `actualHits`
+ * @param {Actor|null} args.attacker
+ * @param {Item} args.weaponItem
+ * @param {object} args.line effective melee line
+ * @param {() => number} [args.random]
+ * @returns {Promise<Array<{hits: object[], damageMult: number}>>}
+ */
+export async function resolveMeleeReactions({ shot, attacker, weaponItem, line, random = Math.random } = {}) {
+  const hits = Array.isArray(shot?.actualHits) ? shot.actualHits : [];
+  const config = _config();
+  const cfg = normalizeMeleeConfig(config);
+  if (!cfg.enabled) return hits.length ? [{ hits, damageMult: 1 }] : [];
+
+  const ctx = {
+    attackerName: attacker?.name ?? '',
+    weaponName: weaponItem?.name ?? '',
+    strike: line?.melee?.strike ?? '',
+  };
+  const multByActor = new Map();
+  const groups = new Map();
+  for (const hit of hits) {
+    const token = hit?.object?.document ? hit.object : hit?.token ?? hit?.target ?? null;
+    const actor = token?.actor ?? hit?.actor ?? null;
+    let mult = 1;
+    if (actor && actor !== attacker) {
+      if (!multByActor.has(actor.uuid)) {
+        const picked = await _requestDefense(actor, ctx);
+        let actorMult = 1;
+        if (picked) {
+          const roll = rollMeleeDefense({
+            kind: picked.kind,
+            strike: ctx.strike,
+            attackerMod: _abilityMod(attacker, cfg.ability),
+            defenderMod: _abilityMod(actor, cfg.ability),
+            config,
+            random,
+          });
+          await _postReactionChat(actor, attacker, picked, roll);
+          actorMult = roll.damageMult;
+        }
+        multByActor.set(actor.uuid, actorMult);
+      }
+      mult = multByActor.get(actor.uuid);
+    }
+    if (mult <= 0) continue;
+    if (!groups.has(mult)) groups.set(mult, []);
+    groups.get(mult).push(hit);
+  }
+  return Array.from(groups, ([damageMult, group]) => ({ hits: group, damageMult }));
+}
+
+async function _handleRequest(msg) {
+  // Measured on this client: the attacker's clock may differ.
+  const deadline = Date.now() + normalizeMeleeConfig(_config()).promptTimeoutMs;
+  let picked = null;
+  try {
+    const actor = await fromUuid(String(msg?.payload?.actorUuid ?? ''));
+    if (actor) picked = await _chooseDefense(actor, msg?.payload?.ctx ?? {}, deadline);
+  } catch (e) {
+    console.error('SpaceHolder | Melee reactions: request failed', e);
+  }
+  _sendSocket({
+    type: SOCKET_TYPE,
+    op: 'response',
+    requestId: msg.requestId,
+    userId: msg.userId,
+    payload: picked,
+  });
+}
+
+function _handleResponse(msg) {
+  if (String(msg?.userId ?? '') !== String(game.user?.id ?? '')) return;
+  const pending = _pending.get(String(msg?.requestId ?? ''));
+  if (!pending) return;
+  clearTimeout(pending.timeoutId);
+  _pending.delete(String(msg.requestId));
+  pending.resolve(msg?.payload ?? null);
+}
+
+export function installMeleeReactionSocketHandlers() {
+  if (_socketInstalled) return;
+  _socketInstalled = true;
+  if (!game?.socket?.on) return;
+
+  game.socket.on(_socketName(), async (msg) => {
+    try {
+      if (!msg || msg.type !== SOCKET_TYPE) return;
+      if (msg.op === 'response') {
+        _handleResponse(msg);
+        return;
+      }
+      if (msg.op === 'request' && msg.targetUserId === game.user?.id) {
+        await _handleRequest(msg);
+      }
+    } catch (e) {
+      console.error('SpaceHolder | Melee reactions: socket message handler crashed', e);
+    }
+  });
+}
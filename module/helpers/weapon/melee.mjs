@@ -0,0 +1,183 @@
+/**
+ * Melee — strike damage types and the defender's parry / block reaction.
+ *
+ * A melee line (`line.kind === 'melee'`) strikes a swing of `line.melee.arc`
+ * degrees out to `line.melee.reach` cells (see `buildMeleeSwingPayload`).
+ * Line damage entries left without a type deal the strike type's damage
+ * (thrust → piercing, cut → cutting, blunt → concussive).
+ *
+ * Every actor caught by the swing gets one reaction before the damage lands:
+ *   - parry — with a held weapon that has a melee line; success turns the
+ *     strike aside completely;
+ *   - block — with a held item tagged as a melee shield; success stops
+ *     `block.reduction[strike]` percent of the damage.
+ *
+ * Chance, in percent, clamped to [minPercent, maxPercent]:
+ *
+ *   basePercent + (defender mod − attacker mod) × perModPercent + strikeModifiers[strike]
+ *
+ * where the mods are the `ability` modifiers of both sides (DEX by default).
+ * A reaction costs the defender `apCost` AP whether it succeeds or not.
+ *
+ * The module is pure — it does not import Foundry.
+ */
+
+import {
+  MELEE_STRIKE_DAMAGE_TYPES,
+  MELEE_STRIKE_TYPES,
+  MELEE_STRIKE_TYPE_LIST,
+} from './weapon-model.mjs';
+
+export const MELEE_DEFENSE_KINDS = Object.freeze({
+  PARRY: 'parry',
+  BLOCK: 'block',
+});
+
+export const MELEE_DEFAULTS = Object.freeze({
+  enabled: true,
+  ability: 'dex',
+  perModPercent: 5,
+  minPercent: 5,
+  maxPercent: 95,
+  promptTimeoutMs: 15000,
+  parry: Object.freeze({
+    apCost: 20,
+    basePercent: 40,
+    strikeModifiers: Object.freeze({ thrust: -10, cut: 0, blunt: -5 }),
+  }),
+  block: Object.freeze({
+    apCost: 15,
+    basePercent: 70,
+    strikeModifiers: Object.freeze({ thrust: 0, cut: 0, blunt: 0 }),
+    reduction: Object.freeze({ thrust: 90, cut: 90, blunt: 60 }),
+  }),
+});
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _perStrike(raw, defaults, min = -Infinity, max = Infinity) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const out = {};
+  for (const strike of MELEE_STRIKE_TYPE_LIST) {
+    out[strike] = Math.min(max, Math.max(min, _num(src[strike], defaults[strike])));
+  }
+  return out;
+}
+
+function _defense(raw, defaults, withReduction) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const out = {
+    apCost: Math.max(0, _num(src.apCost, defaults.apCost)),
+    basePercent: _num(src.basePercent, defaults.basePercent),
+    strikeModifiers: _perStrike(src.strikeModifiers, defaults.strikeModifiers),
+  };
+  if (withReduction) out.reduction = _perStrike(src.reduction, defaults.reduction, 0, 100);
+  return out;
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.meleeReactions`
+ * @returns {object}
+ */
+export function normalizeMeleeConfig(config = null) {
+  const raw = config && typeof config === 'object' ? config : {};
+  const d = MELEE_DEFAULTS;
+  const minPercent = Math.min(100, Math.max(0, _num(raw.minPercent, d.minPercent)));
+  return {
+    enabled: raw.enabled !== false,
+    ability: String(raw.ability ?? d.ability).trim() || d.ability,
+    perModPercent: _num(raw.perModPercent, d.perModPercent),
+    minPercent,
+    maxPercent: Math.min(100, Math.max(minPercent, _num(raw.maxPercent, d.maxPercent))),
+    promptTimeoutMs: Math.max(1000, _num(raw.promptTimeoutMs, d.promptTimeoutMs)),
+    parry: _defense(raw.parry, d.parry, false),
+    block: _defense(raw.block, d.block, true),
+  };
+}
+
+/**
+ * @param {string} strike MELEE_STRIKE_TYPES value
+ * @returns {string} damage type id
+ */
+export function meleeStrikeDamageType(strike) {
+  return MELEE_STRIKE_DAMAGE_TYPES[strike] ?? MELEE_STRIKE_DAMAGE_TYPES[MELEE_STRIKE_TYPES.CUT];
+}
+
+/**
+ * Give untyped damage entries the strike type's damage type.
+ * @param {Array<object>} entries
+ * @param {string} strike
+ * @returns {Array<object>}
+ */
+export function applyMeleeStrikeType(entries, strike) {
+  const type = meleeStrikeDamageType(strike);
+  return (Array.isArray(entries) ? entries : []).map((e) => (
+    e && typeof e === 'object' && !String(e.damageType ?? '').trim() ? { ...e, damageType: type } : e
+  ));
+}
+
+/**
+ * AP cost of a reaction.
+ * @param {string} kind MELEE_DEFENSE_KINDS value
+ * @param {object|null} [config]
+ * @returns {number}
+ */
+export function meleeDefenseApCost(kind, config = null) {
+  const cfg = normalizeMeleeConfig(config);
+  return Math.round(cfg[kind]?.apCost ?? 0);
+}
+
+/**
+ * Chance (0..1) that a reaction succeeds.
+ *
+ * @param {object} args
+ * @param {string} args.kind MELEE_DEFENSE_KINDS value
+ * @param {string} args.strike MELEE_STRIKE_TYPES value
+ * @param {number} [args.attackerMod]
+ * @param {number} [args.defenderMod]
+ * @param {object|null} [args.config]
+ * @returns {number}
+ */
+export function meleeDefenseChance({ kind, strike, attackerMod = 0, defenderMod = 0, config = null } = {}) {
+  const cfg = normalizeMeleeConfig(config);
+  const def = cfg[kind];
+  if (!cfg.enabled || !def) return 0;
+  const percent = def.basePercent
+    + (_num(defenderMod) - _num(attackerMod)) * cfg.perModPercent
+    + (def.strikeModifiers[strike] ?? 0);
+  return Math.min(cfg.maxPercent, Math.max(cfg.minPercent, percent)) / 100;
+}
+
+/**
+ * Roll a reaction.
+ *
+ * @param {object} args same as {@link meleeDefenseChance}
+ * @param {() => number} [args.random]
+ * @returns {{kind:string, chance:number, success:boolean, damageMult:number}}
+ *   `damageMult` — share of the strike's damage that still lands
+ */
+export function rollMeleeDefense({ random = Math.random, ...args } = {}) {
+  const chance = meleeDefenseChance(args);
+  const success = chance > 0 && random() < chance;
+  let damageMult = 1;
+  if (success && args.kind === MELEE_DEFENSE_KINDS.PARRY) damageMult = 0;
+  if (success && args.kind === MELEE_DEFENSE_KINDS.BLOCK) {
+    const reduction = normalizeMeleeConfig(args.config).block.reduction[args.strike] ?? 0;
+    damageMult = 1 - reduction / 100;
+  }
+  return { kind: args.kind, chance, success, damageMult };
+}
+
+/**
+ * Damage entries scaled by a reaction's `damageMult`.
+ * @param {Array<object>} entries
+ * @param {number} mult
+ * @returns {Array<object>}
+ */
+export function scaleMeleeDamage(entries, mult) {
+  const m = Math.max(0, _num(mult, 1));
+  return (Array.isArray(entries) ? entries : []).map((e) => ({ ...e, damage: Math.max(0, _num(e?.damage, 0) * m) }));
+}
@@ -0,0 +1,87 @@
+/**
+ * Smoke tests for melee reactions. Runs in plain Node (no Foundry globals required).
+ * Execute with:
+ *   node module/helpers/weapon/melee.test.mjs
+ */
+
+import {
+  applyMeleeStrikeType,
+  meleeDefenseApCost,
+  meleeDefenseChance,
+  normalizeMeleeConfig,
+  rollMeleeDefense,
+  scaleMeleeDamage
+} from './melee.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+/* ---- Config --------------------------------------------------------- */
+{
+  const cfg = normalizeMeleeConfig({ minPercent: 50, maxPercent: 20, promptTimeoutMs: 10, block: { reduction: { cut: 150 } } });
+  assert('max never drops below min', cfg.minPercent === 50 && cfg.maxPercent === 50);
+  assert('prompt timeout has a floor', cfg.promptTimeoutMs === 1000);
+  assert('block reduction capped at 100', cfg.block.reduction.cut === 100 && cfg.block.reduction.blunt === 60);
+  assert('reaction AP costs', meleeDefenseApCost('parry') === 20 && meleeDefenseApCost('block') === 15
+    && meleeDefenseApCost('dodge') === 0);
+}
+
+/* ---- Chance --------------------------------------------------------- */
+{
+  const parryThrust = meleeDefenseChance({ kind: 'parry', strike: 'thrust' });
+  assert('parry base with strike modifier', close(parryThrust, 0.3), String(parryThrust));
+  const skilled = meleeDefenseChance({ kind: 'parry', strike: 'cut', attackerMod: 1, defenderMod: 3 });
+  assert('ability difference moves the chance', close(skilled, 0.5), String(skilled));
+  const high = meleeDefenseChance({ kind: 'block', strike: 'cut', defenderMod: 20 });
+  const low = meleeDefenseChance({ kind: 'parry', strike: 'thrust', attackerMod: 20 });
+  assert('chance clamped to max', close(high, 0.95), String(high));
+  assert('chance clamped to min', close(low, 0.05), String(low));
+  assert('disabled reactions never succeed', meleeDefenseChance({ kind: 'block', strike: 'cut', config: { enabled: false } }) === 0);
+  assert('unknown reaction never succeeds', meleeDefenseChance({ kind: 'dodge', strike: 'cut' }) === 0);
+}
+
+/* ---- Roll ----------------------------------------------------------- */
+{
+  const parried = rollMeleeDefense({ kind: 'parry', strike: 'cut', random: () => 0 });
+  assert('successful parry stops all damage', parried.success && parried.damageMult === 0);
+  const blockedCut = rollMeleeDefense({ kind: 'block', strike: 'cut', random: () => 0 });
+  const blockedBlunt = rollMeleeDefense({ kind: 'block', strike: 'blunt', random: () => 0 });
+  assert('block takes the cut reduction', blockedCut.success && close(blockedCut.damageMult, 0.1), String(blockedCut.damageMult));
+  assert('block takes the blunt reduction', close(blockedBlunt.damageMult, 0.4), String(blockedBlunt.damageMult));
+  const missed = rollMeleeDefense({ kind: 'block', strike: 'cut', random: () => 0.99 });
+  assert('failed reaction lets everything through', !missed.success && missed.damageMult === 1);
+  const edge = rollMeleeDefense({ kind: 'parry', strike: 'cut', random: () => 0.4 });
+  assert('roll equal to the chance fails', !edge.success && close(edge.chance, 0.4));
+}
+
+/* ---- Damage --------------------------------------------------------- */
+{
+  const entries = [{ damage: 10 }, { damage: 6, damageType: 'thermal' }, { damage: 4, damageType: '  ' }];
+  const thrust = applyMeleeStrikeType(entries, 'thrust');
+  assert('strike type fills untyped entries', thrust[0].damageType === 'piercing' && thrust[2].damageType === 'piercing');
+  assert('typed entries keep their type', thrust[1].damageType === 'thermal' && thrust[1] === entries[1]);
+  assert('blunt strike is concussive', applyMeleeStrikeType([{ damage: 1 }], 'blunt')[0].damageType === 'concussive');
+  assert('unknown strike falls back to cut', applyMeleeStrikeType([{ damage: 1 }], 'slap')[0].damageType === 'cutting');
+  assert('input entries are not mutated', entries[0].damageType === undefined);
+
+  const scaled = scaleMeleeDamage(entries, 0.4);
+  assert('damage scaled by the reaction', close(scaled[0].damage, 4) && close(scaled[1].damage, 2.4));
+  assert('negative multiplier clamps to zero', scaleMeleeDamage(entries, -1).every((e) => e.damage === 0));
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll melee smoke tests passed.');
+}
@@ -0,0 +1,509 @@
+/**
+ * Overwatch on the canvas (rules and geometry in overwatch.mjs).
+ *
+ * The readied arc lives on the shooter, `flags.spaceholder.overwatch`, with
+ * the combatant's turn count at the moment it was taken up; it ends once that
+ * count grows (the shooter's turn came back), when the combat is deleted, when
+ * the shooter moves or after a reaction shot.
+ *
+ * A move that enters the arc is seen by the mover's client right after the
+ * movement is logged (MovementManager). It waits while the shooter's owner
+ * (an active player, else the GM) is asked — directly or over the system
+ * socket — and, if they fire, the reaction goes through the aiming manager's
+ * v3 shot and is logged into the shooter's combat table as a reaction to the
+ * move. Every client redraws the arcs of its scene through the draw manager.
+ */
+
+import {
+  buildOverwatchArc,
+  moveEntersOverwatchArc,
+  normalizeOverwatchConfig,
+  overwatchReactionApCost,
+} from './overwatch.mjs';
+import { resolveEffectiveAttackParams } from './weapon-model.mjs';
+import { getWeaponData } from './weapon-ammo-runtime.mjs';
+import { getAttachmentModifiers } from './attachment-runtime.mjs';
+import { getStoredActionPoints } from '../actions/transaction-ledger.mjs';
+import { appendCombatActionJournalLine } from '../actions/action-chat-journal.mjs';
+
+const MODULE_NS = 'spaceholder';
+const FLAG_OVERWATCH = 'overwatch';
+const FLAG_COMBAT_STATE = 'combatState';
+const SOCKET_TYPE = `${MODULE_NS}.overwatch`;
+
+let _socketInstalled = false;
+let _reqSeq = 0;
+const _pending = new Map();
+
+function _socketName() {
+  try {
+    return `system.${game.system.id}`;
+  } catch (_) {
+    return `system.${MODULE_NS}`;
+  }
+}
+
+function _sendSocket(message) {
+  try {
+    game.socket.emit(_socketName(), message);
+    return true;
+  } catch (e) {
+    console.error('SpaceHolder | Overwatch: socket.emit failed', e);
+    return false;
+  }
+}
+
+function _t(key, data = null) {
+  const i18n = game.i18n;
+  if (!i18n) return key;
+  return data ? i18n.format(key, data) : i18n.localize(key);
+}
+
+function _config() {
+  return CONFIG.SPACEHOLDER?.overwatch ?? null;
+}
+
+/**
+ * @param {Actor} actor
+ * @returns {object|null} the readied arc
+ */
+export function getOverwatch(actor) {
+  const raw = actor?.getFlag?.(MODULE_NS, FLAG_OVERWATCH);
+  return raw && typeof raw === 'object' && raw.id ? raw : null;
+}
+
+/**
+ * User who answers for the shooter: the current user if they own it, else an
+ * active player owner, else the active GM.
+ * @param {Actor} actor
+ * @returns {User|null}
+ */
+function _responderFor(actor) {
+  const ownerLevel = CONST.DOCUMENT_OWNERSHIP_LEVELS?.OWNER ?? 3;
+  const users = Array.from(game.users ?? []).filter((u) => u.active);
+  const owners = users.filter((u) => !u.isGM && actor.testUserPermission(u, ownerLevel));
+  if (owners.some((u) => u.id === game.user?.id)) return game.user;
+  return owners[0] ?? game.users?.activeGM ?? users.find((u) => u.isGM) ?? null;
+}
+
+function _isResponder(actor) {
+  return !!actor && _responderFor(actor)?.id === game.user?.id;
+}
+
+/** Token centre when its top-left corner is at `pos`. */
+function _centerAt(tokenDoc, pos) {
+  if (!pos) return null;
+  const size = Number(tokenDoc?.parent?.grid?.size) || Number(canvas?.grid?.size) || 100;
+  return {
+    x: Number(pos.x) + ((Number(tokenDoc?.width) || 1) * size) / 2,
+    y: Number(pos.y) + ((Number(tokenDoc?.height) || 1) * size) / 2,
+  };
+}
+
+async function _chat(actor, text) {
+  try {
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: `<div>${foundry.utils.escapeHTML(text)}</div>`,
+    });
+  } catch (_) {
+    /* ignore chat errors */
+  }
+}
+
+/**
+ * Readied arcs of a scene with their shooters.
+ * @param {Scene|null} [scene]
+ * @returns {Array<{actor: Actor, overwatch: object}>}
+ */
+export function listSceneOverwatch(scene = canvas?.scene ?? null) {
+  if (!scene) return [];
+  const out = [];
+  const seen = new Set();
+  for (const tokenDoc of scene.tokens ?? []) {
+    const actor = tokenDoc.actor;
+    if (!actor || seen.has(actor.uuid)) continue;
+    seen.add(actor.uuid);
+    const overwatch = getOverwatch(actor);
+    if (overwatch?.sceneId === scene.id) out.push({ actor, overwatch });
+  }
+  return out;
+}
+
+/** Redraw the arcs of the current scene. */
+export function refreshOverwatchOverlays() {
+  const drawManager = game.spaceholder?.drawManager;
+  if (!drawManager?.drawOverwatchArcs) return;
+  drawManager.drawOverwatchArcs(listSceneOverwatch().map(({ overwatch }) => overwatch));
+}
+
+/**
+ * Take up overwatch. AP is paid by the caller.
+ *
+ * @param {object} args
+ * @param {Actor} args.actor shooter
+ * @param {Token} args.token shooter token
+ * @param {Item} args.weaponItem
+ * @param {string} args.lineId
+ * @param {string} args.modeId
+ * @param {{x:number, y:number}} args.aim aimed point — the arc direction
+ * @returns {Promise<{ok: boolean, reason?: string, overwatch?: object}>}
+ */
+export async function startOverwatch({ actor, token, weaponItem, lineId, modeId, aim }) {
+  const combat = game.combat?.started ? game.combat : null;
+  if (!combat) return { ok: false, reason: 'noCombat' };
+  const combatant = combat.combatants?.find?.((c) => String(c.tokenId ?? '') === String(token?.id ?? '')) ?? null;
+  if (!combatant) return { ok: false, reason: 'notCombatant' };
+
+  const state = combat.getFlag(MODULE_NS, FLAG_COMBAT_STATE) ?? {};
+  const overwatch = {
+    id: foundry.utils.randomID(),
+    sceneId: token.scene?.id ?? canvas.scene?.id ?? null,
+    tokenId: token.id,
+    combatId: combat.id,
+    combatantId: combatant.id,
+    turnStarts: Number(state.startedTurnsByCombatant?.[combatant.id]) || 0,
+    weaponItemUuid: weaponItem.uuid,
+    weaponName: weaponItem.name,
+    lineId,
+    modeId,
+    ...buildOverwatchArc({ origin: token.center, aim, gridSize: canvas.grid?.size, config: _config() }),
+  };
+  // One arc per actor: a new one replaces the old.
+  await actor.setFlag(MODULE_NS, FLAG_OVERWATCH, overwatch);
+  await _chat(actor, _t('SPACEHOLDER.WeaponV3.Overwatch.Started', { actor: actor.name, weapon: weaponItem.name }));
+  return { ok: true, overwatch };
+}
+
+/**
+ * Stand down.
+ * @param {Actor} actor shooter
+ * @param {string} reason key of `SPACEHOLDER.WeaponV3.Overwatch.EndReasons`
+ */
+export async function endOverwatch(actor, reason) {
+  const overwatch = getOverwatch(actor);
+  if (!overwatch) return;
+  await actor.unsetFlag(MODULE_NS, FLAG_OVERWATCH);
+  await _chat(actor, _t('SPACEHOLDER.WeaponV3.Overwatch.Ended', {
+    weapon: overwatch.weaponName,
+    reason: _t(`SPACEHOLDER.WeaponV3.Overwatch.EndReasons.${reason}`),
+  }));
+}
+
+/**
+ * Ask the local user whether to fire.
+ * @returns {Promise<boolean>}
+ */
+async function _promptReaction(shooter, target, weaponName, apCost, timeoutMs) {
+  const DialogV2 = foundry?.applications?.api?.DialogV2;
+  if (!DialogV2?.wait) return false;
+  const content = `<p>${foundry.utils.escapeHTML(_t('SPACEHOLDER.WeaponV3.Overwatch.Prompt', {
+    shooter: shooter.name ?? '',
+    target: target.name ?? '',
+    weapon: weaponName,
+  }))}</p>`;
+  let timer = null;
+  try {
+    const result = await DialogV2.wait({
+      window: { title: _t('SPACEHOLDER.WeaponV3.Overwatch.Title') },
+      content,
+      rejectClose: false,
+      render: (_event, dialog) => {
+        timer = setTimeout(() => dialog?.close?.(), timeoutMs);
+      },
+      buttons: [
+        {
+          action: 'fire',
+          icon: 'fa-solid fa-crosshairs',
+          label: _t('SPACEHOLDER.WeaponV3.Overwatch.Fire', { ap: String(apCost) }),
+          callback: () => true,
+        },
+        {
+          action: 'hold',
+          default: true,
+          icon: 'fa-solid fa-hand',
+          label: _t('SPACEHOLDER.WeaponV3.Overwatch.Hold'),
+          callback: () => false,
+        },
+      ],
+    });
+    return result === true;
+  } catch (_) {
+    return false;
+  } finally {
+    if (timer) clearTimeout(timer);
+  }
+}
+
+/**
+ * The reaction in the shooter's combat table and chat journal, tied to the
+ * move that triggered it.
+ */
+async function _logReaction(shooter, overwatch, shotRes, reactionOfEventId) {
+  const combat = game.combats?.get(overwatch.combatId) ?? null;
+  const combatant = combat?.combatants?.get(overwatch.combatantId) ?? null;
+  if (!combat?.started || !combatant) return;
+  const activeTurnId = String(combat.getFlag(MODULE_NS, FLAG_COMBAT_STATE)?.activeTurn?.combatantId || '').trim();
+  const anchorCombatant = activeTurnId ? combat.combatants.get(activeTurnId) ?? combatant : combatant;
+  const label = _t('SPACEHOLDER.WeaponV3.Overwatch.LogLabel', { weapon: overwatch.weaponName });
+  const tokenUuid = combatant.token?.uuid ?? null;
+
+  let combatEventId = null;
+  const mgr = game.spaceholder?.combatSessionManager;
+  if (mgr?.logAction) {
+    const logResult = await mgr.logAction({
+      combat,
+      actor: shooter,
+      combatant,
+      type: 'action',
+      baseApCost: shotRes.apSpent,
+      apCost: shotRes.apSpent,
+      data: {
+        actionId: 'weaponV3.overwatch',
+        label,
+        description: null,
+        tokenUuid,
+        transactionId: shotRes.transactionId,
+        isReaction: true,
+        anchorCombatantId: anchorCombatant.id,
+        reactionOfEventId: reactionOfEventId ? String(reactionOfEventId) : null,
+      },
+      effects: [],
+      inverse: [],
+    });
+    combatEventId = logResult?.eventId ?? null;
+  }
+
+  await appendCombatActionJournalLine({
+    actor: shooter,
+    combat,
+    combatant,
+    anchorActor: anchorCombatant.actor ?? shooter,
+    anchorCombatant,
+    label,
+    apCost: shotRes.apSpent,
+    kind: 'action',
+    isReaction: true,
+    actorName: shooter.name || '',
+    transactionId: shotRes.transactionId,
+    combatEventId,
+    tokenUuid,
+  });
+}
+
+/**
+ * Shooter's side of a trigger: re-check the arc, ask, fire and stand down.
+ * @param {object} args
+ * @param {Actor} args.shooter
+ * @param {string} args.overwatchId
+ * @param {string} args.tokenId token that entered the arc
+ * @param {string|null} [args.reactionOfEventId] combat event of that move
+ * @returns {Promise<boolean>} a reaction shot was fired
+ */
+export async function resolveOverwatchTrigger({ shooter, overwatchId, tokenId, reactionOfEventId = null }) {
+  const overwatch = getOverwatch(shooter);
+  if (!overwatch || overwatch.id !== overwatchId || overwatch.sceneId !== canvas.scene?.id) return false;
+  const target = canvas.scene.tokens.get(tokenId)?.object ?? null;
+  const shooterToken = canvas.scene.tokens.get(overwatch.tokenId)?.object ?? null;
+  let weaponItem = null;
+  try {
+    weaponItem = await fromUuid(overwatch.weaponItemUuid);
+  } catch (_) {
+    weaponItem = null;
+  }
+  if (!target || !shooterToken || !weaponItem) return false;
+
+  const eff = resolveEffectiveAttackParams(getWeaponData(weaponItem), overwatch.lineId, overwatch.modeId, {
+    attachmentMods: getAttachmentModifiers(shooter, weaponItem),
+  });
+  if (!eff || eff.condition?.broken) return false;
+  const apCost = overwatchReactionApCost(eff.line);
+  if (shooter.type === 'character' && getStoredActionPoints(shooter).value < apCost) return false;
+
+  const cfg = normalizeOverwatchConfig(_config());
+  if (!(await _promptReaction(shooter, target, weaponItem.name, apCost, cfg.promptTimeoutMs))) return false;
+
+  const aimingManager = game.spaceholder?.aimingManager;
+  if (!aimingManager?.fireOverwatchReaction) return false;
+  const shotRes = await aimingManager.fireOverwatchReaction({
+    token: shooterToken,
+    actor: shooter,
+    weaponItem,
+    lineId: overwatch.lineId,
+    modeId: overwatch.modeId,
+    target,
+  });
+  // A misfire still spent the reaction.
+  if (!shotRes.shots && !shotRes.apSpent) return false;
+  await _logReaction(shooter, overwatch, shotRes, reactionOfEventId);
+  await endOverwatch(shooter, 'fired');
+  return shotRes.shots > 0;
+}
+
+function _requestTriggerViaSocket(user, shooter, request, timeoutMs) {
+  _reqSeq += 1;
+  const requestId = `${Date.now()}-${game.user?.id || 'user'}-${_reqSeq}`;
+  return new Promise((resolve) => {
+    const timeoutId = setTimeout(() => {
+      _pending.delete(requestId);
+      resolve(false);
+    }, timeoutMs);
+    _pending.set(requestId, { resolve, timeoutId });
+    const ok = _sendSocket({
+      type: SOCKET_TYPE,
+      op: 'request',
+      requestId,
+      userId: game.user?.id,
+      targetUserId: user.id,
+      payload: { shooterUuid: shooter.uuid, ...request },
+    });
+    if (!ok) {
+      clearTimeout(timeoutId);
+      _pending.delete(requestId);
+      resolve(false);
+    }
+  });
+}
+
+/**
+ * Mover's client, after a logged combat move: stand down the mover's own
+ * overwatch, then offer every enemy whose arc the move entered a reaction
+ * shot, one shooter at a time.
+ *
+ * @param {object} args
+ * @param {TokenDocument} args.tokenDoc moving token
+ * @param {{x:number, y:number}|null} args.from top-left before the move
+ * @param {{x:number, y:number}|null} args.to top-left after the move
+ * @param {string|null} [args.reactionOfEventId] combat event of the move
+ */
+export async function checkOverwatchTriggers({ tokenDoc, from, to, reactionOfEventId = null }) {
+  const actor = tokenDoc?.actor;
+  const scene = tokenDoc?.parent ?? null;
+  const combat = game.combat?.started ? game.combat : null;
+  if (!actor || !scene || !combat) return;
+  if (getOverwatch(actor)) await endOverwatch(actor, 'moved');
+
+  const mover = combat.combatants?.find?.((c) => String(c.tokenId ?? '') === String(tokenDoc.id ?? '')) ?? null;
+  const mgr = game.spaceholder?.combatSessionManager;
+  if (!mover || !mgr?.getCombatantSide) return;
+  const moverSide = await mgr.getCombatantSide(mover);
+
+  const a = _centerAt(tokenDoc, from);
+  const b = _centerAt(tokenDoc, to);
+  const size = Number(scene.grid?.size) || Number(canvas?.grid?.size) || 100;
+  const cfg = normalizeOverwatchConfig(_config());
+  for (const { actor: shooter, overwatch } of listSceneOverwatch(scene)) {
+    if (shooter.uuid === actor.uuid || overwatch.combatId !== combat.id) continue;
+    const combatant = combat.combatants.get(overwatch.combatantId);
+    if (!combatant || (await mgr.getCombatantSide(combatant)) === moverSide) continue;
+    if (!moveEntersOverwatchArc(overwatch, a, b, cfg.pathStepCells * size)) continue;
+
+    const request = { overwatchId: overwatch.id, tokenId: tokenDoc.id, reactionOfEventId };
+    const user = _responderFor(shooter);
+    if (!user) continue;
+    try {
+      if (user.id === game.user?.id) {
+        await resolveOverwatchTrigger({ shooter, ...request });
+      } else {
+        // The answer may take the whole prompt window plus the shots.
+        await _requestTriggerViaSocket(user, shooter, request, cfg.promptTimeoutMs + 10000);
+      }
+    } catch (e) {
+      console.error('SpaceHolder | Overwatch: trigger failed', e);
+    }
+  }
+}
+
+async function _handleRequest(msg) {
+  let fired = false;
+  try {
+    const payload = msg?.payload ?? {};
+    const shooter = fromUuidSync(String(payload.shooterUuid ?? ''));
+    if (shooter) {
+      fired = await resolveOverwatchTrigger({
+        shooter,
+        overwatchId: String(payload.overwatchId ?? ''),
+        tokenId: String(payload.tokenId ?? ''),
+        reactionOfEventId: payload.reactionOfEventId ?? null,
+      });
+    }
+  } catch (e) {
+    console.error('SpaceHolder | Overwatch: request failed', e);
+  }
+  _sendSocket({
+    type: SOCKET_TYPE,
+    op: 'response',
+    requestId: msg.requestId,
+    userId: msg.userId,
+    payload: fired,
+  });
+}
+
+function _handleResponse(msg) {
+  if (String(msg?.userId ?? '') !== String(game.user?.id ?? '')) return;
+  const pending = _pending.get(String(msg?.requestId ?? ''));
+  if (!pending) return;
+  clearTimeout(pending.timeoutId);
+  _pending.delete(String(msg.requestId));
+  pending.resolve(!!msg?.payload);
+}
+
+/**
+ * The shooter's turn came back: stand down.
+ * @param {Combat} combat
+ */
+async function _onCombatStateChanged(combat) {
+  const state = combat?.getFlag?.(MODULE_NS, FLAG_COMBAT_STATE) ?? {};
+  for (const combatant of combat?.combatants ?? []) {
+    const actor = combatant.actor;
+    const overwatch = getOverwatch(actor);
+    if (!overwatch || !_isResponder(actor)) continue;
+    const started = Number(state.startedTurnsByCombatant?.[combatant.id]) || 0;
+    if (overwatch.combatId === combat.id && overwatch.combatantId === combatant.id && started > overwatch.turnStarts) {
+      await endOverwatch(actor, 'turn');
+    }
+  }
+}
+
+async function _onCombatDeleted(combat) {
+  for (const combatant of combat?.combatants ?? []) {
+    const actor = combatant.actor;
+    if (getOverwatch(actor)?.combatId === combat.id && _isResponder(actor)) await endOverwatch(actor, 'combat');
+  }
+}
+
+export function installOverwatchSocketHandlers() {
+  if (_socketInstalled) return;
+  _socketInstalled = true;
+  if (!game?.socket?.on) return;
+
+  game.socket.on(_socketName(), async (msg) => {
+    try {
+      if (!msg || msg.type !== SOCKET_TYPE) return;
+      if (msg.op === 'response') {
+        _handleResponse(msg);
+        return;
+      }
+      if (msg.op === 'request' && msg.targetUserId === game.user?.id) {
+        await _handleRequest(msg);
+      }
+    } catch (e) {
+      console.error('SpaceHolder | Overwatch: socket message handler crashed', e);
+    }
+  });
+}
+
+export function registerOverwatchHooks() {
+  Hooks.on('updateCombat', (combat, changes) => {
+    if (!foundry.utils.hasProperty(changes ?? {}, `flags.${MODULE_NS}.${FLAG_COMBAT_STATE}`)) return;
+    void _onCombatStateChanged(combat);
+  });
+  Hooks.on('deleteCombat', (combat) => {
+    void _onCombatDeleted(combat);
+  });
+  Hooks.on('updateActor', (actor, changes) => {
+    if (foundry.utils.hasProperty(changes ?? {}, `flags.${MODULE_NS}`)) refreshOverwatchOverlays();
+  });
+  Hooks.on('canvasReady', () => refreshOverwatchOverlays());
+  refreshOverwatchOverlays();
+}
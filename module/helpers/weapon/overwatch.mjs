@@ -0,0 +1,111 @@
+/**
+ * Overwatch — a readied line × mode watching an arc.
+ *
+ * The shooter aims in advance (pays the line's Aiming) and picks the arc
+ * direction; the arc is `arcDeg` wide and `rangeCells` long. Until the
+ * shooter's next turn comes back, an enemy token whose move enters the arc
+ * offers the shooter's owner a reaction shot. The reaction is a normal v3
+ * shot of the readied mode, already aimed: its first shot costs only the
+ * line's Trigger, paid as a reaction.
+ *
+ * Geometry is the suppression cone (suppression.mjs). The module is pure — it
+ * does not import Foundry.
+ */
+
+import { FIRE_MODES } from './weapon-model.mjs';
+import { SUPPRESSION_SHAPES, buildSuppressionZone, pathInSuppressionZone, pointInSuppressionZone } from './suppression.mjs';
+
+const CONFIG_DEFAULTS = Object.freeze({
+  arcDeg: 60,
+  rangeCells: 20,
+  pathStepCells: 0.5,
+  promptTimeoutMs: 15000,
+});
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.overwatch`
+ * @returns {{arcDeg:number, rangeCells:number, pathStepCells:number, promptTimeoutMs:number}}
+ */
+export function normalizeOverwatchConfig(config = null) {
+  const src = config && typeof config === 'object' ? config : {};
+  return {
+    arcDeg: Math.min(360, Math.max(1, _num(src.arcDeg, CONFIG_DEFAULTS.arcDeg))),
+    rangeCells: Math.max(1, _num(src.rangeCells, CONFIG_DEFAULTS.rangeCells)),
+    pathStepCells: Math.max(0.1, _num(src.pathStepCells, CONFIG_DEFAULTS.pathStepCells)),
+    promptTimeoutMs: Math.max(1000, _num(src.promptTimeoutMs, CONFIG_DEFAULTS.promptTimeoutMs)),
+  };
+}
+
+/**
+ * Only single shots and bursts can be readied.
+ * @param {object} mode
+ * @returns {boolean}
+ */
+export function canOverwatchWithMode(mode) {
+  return mode?.fireMode === FIRE_MODES.SINGLE || mode?.fireMode === FIRE_MODES.BURST;
+}
+
+/**
+ * Shots of one reaction.
+ * @param {object} mode effective mode
+ * @returns {number}
+ */
+export function overwatchShotCount(mode) {
+  return mode?.fireMode === FIRE_MODES.BURST ? Math.max(2, Math.floor(_num(mode.burstCount, 2))) : 1;
+}
+
+/**
+ * AP to take up overwatch: the line's Aiming.
+ * @param {object} line effective line
+ * @returns {number}
+ */
+export function overwatchSetupApCost(line) {
+  return Math.ceil(Math.max(0, _num(line?.aiming, 0)));
+}
+
+/**
+ * AP of the reaction's first shot: the line's Trigger.
+ * @param {object} line effective line
+ * @returns {number}
+ */
+export function overwatchReactionApCost(line) {
+  return Math.ceil(Math.max(0, _num(line?.trigger, 0)));
+}
+
+/**
+ * Arc geometry from the shooter position and the aimed point.
+ * @param {object} args
+ * @param {{x:number, y:number}} args.origin shooter centre
+ * @param {{x:number, y:number}} args.aim aimed point
+ * @param {number} args.gridSize px per cell
+ * @param {object} [args.config]
+ * @returns {{shape:string, x:number, y:number, direction:number, arcDeg:number, range:number, radius:number}}
+ */
+export function buildOverwatchArc({ origin, aim, gridSize, config = null } = {}) {
+  const cfg = normalizeOverwatchConfig(config);
+  return buildSuppressionZone({
+    origin,
+    aim,
+    params: { shape: SUPPRESSION_SHAPES.CONE, arcDeg: cfg.arcDeg, rangeCells: cfg.rangeCells },
+    gridSize,
+  });
+}
+
+/**
+ * Did a move enter the arc: it started outside and its path touches it.
+ * A move that starts inside does not trigger.
+ * @param {object} arc {@link buildOverwatchArc}
+ * @param {{x:number, y:number}|null} from
+ * @param {{x:number, y:number}|null} to
+ * @param {number} stepPx sampling step along the path
+ * @returns {boolean}
+ */
+export function moveEntersOverwatchArc(arc, from, to, stepPx) {
+  if (from && pointInSuppressionZone(arc, from)) return false;
+  return pathInSuppressionZone(arc, from, to, stepPx);
+}
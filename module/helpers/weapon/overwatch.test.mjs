@@ -0,0 +1,74 @@
+/**
+ * Smoke tests for overwatch. Runs in plain Node (no Foundry globals required).
+ * Execute with:
+ *   node module/helpers/weapon/overwatch.test.mjs
+ */
+
+import {
+  buildOverwatchArc,
+  canOverwatchWithMode,
+  moveEntersOverwatchArc,
+  normalizeOverwatchConfig,
+  overwatchReactionApCost,
+  overwatchSetupApCost,
+  overwatchShotCount
+} from './overwatch.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+/* ---- Arc ------------------------------------------------------------ */
+{
+  const cfg = normalizeOverwatchConfig({ arcDeg: 0, rangeCells: -5, promptTimeoutMs: 10 });
+  assert('config clamps', cfg.arcDeg === 1 && cfg.rangeCells === 1 && cfg.promptTimeoutMs === 1000);
+
+  const arc = buildOverwatchArc({ origin: { x: 0, y: 0 }, aim: { x: 100, y: 0 }, gridSize: 50 });
+  assert('arc is a cone from the shooter', arc.shape === 'cone' && arc.x === 0 && arc.y === 0 && close(arc.direction, 0));
+  assert('arc size from config defaults', arc.arcDeg === 60 && arc.range === 1000, JSON.stringify(arc));
+  const narrow = buildOverwatchArc({ origin: { x: 0, y: 0 }, aim: { x: 0, y: 10 }, gridSize: 50, config: { arcDeg: 20, rangeCells: 4 } });
+  assert('config sets the arc', narrow.arcDeg === 20 && narrow.range === 200 && close(narrow.direction, 90));
+}
+
+/* ---- Entering ------------------------------------------------------- */
+{
+  const arc = buildOverwatchArc({ origin: { x: 0, y: 0 }, aim: { x: 100, y: 0 }, gridSize: 50 });
+  const step = 25;
+  assert('move into the arc triggers', moveEntersOverwatchArc(arc, { x: 300, y: 400 }, { x: 300, y: 0 }, step));
+  assert('move across the arc triggers', moveEntersOverwatchArc(arc, { x: 300, y: 400 }, { x: 300, y: -400 }, step));
+  assert('move started inside does not', !moveEntersOverwatchArc(arc, { x: 300, y: 0 }, { x: 600, y: 0 }, step));
+  assert('move leaving the arc does not', !moveEntersOverwatchArc(arc, { x: 300, y: 0 }, { x: 300, y: 400 }, step));
+  assert('move outside the arc does not', !moveEntersOverwatchArc(arc, { x: -300, y: 400 }, { x: -300, y: -400 }, step));
+  assert('move beyond the range does not', !moveEntersOverwatchArc(arc, { x: 1100, y: 400 }, { x: 1100, y: -400 }, step));
+  assert('no start — landing inside triggers', moveEntersOverwatchArc(arc, null, { x: 300, y: 0 }, step));
+}
+
+/* ---- Shots and AP --------------------------------------------------- */
+{
+  assert('single and burst can be readied', canOverwatchWithMode({ fireMode: 'single' }) && canOverwatchWithMode({ fireMode: 'burst' }));
+  assert('auto cannot be readied', !canOverwatchWithMode({ fireMode: 'auto' }) && !canOverwatchWithMode(null));
+  assert('single — one shot', overwatchShotCount({ fireMode: 'single', burstCount: 5 }) === 1);
+  assert('burst — burst count', overwatchShotCount({ fireMode: 'burst', burstCount: 4 }) === 4);
+  assert('burst — at least two', overwatchShotCount({ fireMode: 'burst', burstCount: 1 }) === 2);
+
+  const line = { aiming: 24.2, trigger: 5.5 };
+  assert('setup costs the line aiming', overwatchSetupApCost(line) === 25);
+  assert('reaction costs the line trigger', overwatchReactionApCost(line) === 6);
+  assert('negative costs are free', overwatchSetupApCost({ aiming: -3 }) === 0 && overwatchReactionApCost({}) === 0);
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll overwatch smoke tests passed.');
+}
@@ -0,0 +1,444 @@
+/**
+ * Payload designer: build a payload segment by segment, see its schematic and
+ * fire it from the controlled token on the current scene, then store it in the
+ * world payload library (payload-designer-runtime.mjs).
+ *
+ * The preview is a real ShotManager trace against the scene's walls and
+ * tokens (`previewShot`, drawn by DrawManager) — nothing is damaged. With
+ * "live" on it follows every edit and every token move.
+ */
+
+import {
+  PAYLOAD_HIT_ORDERS,
+  PAYLOAD_KINDS,
+  PAYLOAD_SEGMENT_TYPES,
+  SEGMENT_FIELDS,
+  SEGMENT_ON_HIT,
+  createPayloadSegment,
+  normalizePayload,
+  normalizePayloadId,
+  normalizePayloadSegment,
+  payloadIdFromName,
+  schematicSvg,
+  segmentBranches,
+  tokenCollisionFlags,
+  validatePayload,
+} from './payload-designer.mjs';
+import {
+  clearPayloadPreview,
+  deleteWorldPayload,
+  getWorldPayloads,
+  previewPayload,
+  saveWorldPayload,
+} from './payload-designer-runtime.mjs';
+import { AREA_EFFECT_KIND_LIST, resolveAreaEffectSpec } from '../damage/area-effects.mjs';
+
+const TEMPLATE = 'systems/spaceholder/templates/weapon/payload-designer.hbs';
+
+// Area effect fields the editor overrides; blank — the kind's default.
+const AREA_EFFECT_FIELDS = Object.freeze(['radius', 'rounds', 'seconds']);
+
+let _singleton = null;
+
+function L(key, fallback = key) {
+  const out = game?.i18n?.localize?.(key);
+  return out && out !== key ? out : fallback;
+}
+
+function F(key, data) {
+  return game?.i18n?.format?.(key, data) ?? key;
+}
+
+function _blankPayload() {
+  return normalizePayload({
+    id: '',
+    name: '',
+    type: 'complex',
+    trajectory: { segments: [createPayloadSegment('line')] },
+  });
+}
+
+export function openPayloadDesignerApp() {
+  if (!game.user?.isGM) {
+    ui.notifications?.warn?.(L('SPACEHOLDER.PayloadDesigner.Messages.GmOnly'));
+    return null;
+  }
+
+  if (_singleton) {
+    _singleton.render(true);
+    _singleton.bringToFront?.();
+    return _singleton;
+  }
+
+  _singleton = new PayloadDesignerApp();
+  _singleton.render(true);
+  return _singleton;
+}
+
+export class PayloadDesignerApp extends foundry.applications.api.HandlebarsApplicationMixin(
+  foundry.applications.api.ApplicationV2
+) {
+  static DEFAULT_OPTIONS = {
+    ...super.DEFAULT_OPTIONS,
+    id: 'spaceholder-payload-designer',
+    classes: ['spaceholder', 'payload-designer'],
+    tag: 'div',
+    window: { title: 'SPACEHOLDER.PayloadDesigner.Title', resizable: true },
+    position: { width: 860, height: 720 },
+  };
+
+  static PARTS = {
+    main: { root: true, template: TEMPLATE },
+  };
+
+  constructor() {
+    super();
+    this._payload = _blankPayload();
+    this._selected = 0;
+    this._newType = 'line';
+    this._sourceId = '';
+    this._live = false;
+    this._steps = null;
+    this._previewNote = '';
+    this._tokenHook = null;
+  }
+
+  async close(options = {}) {
+    if (this._tokenHook !== null) Hooks.off('updateToken', this._tokenHook);
+    this._tokenHook = null;
+    clearPayloadPreview();
+    await super.close(options);
+    if (_singleton === this) _singleton = null;
+  }
+
+  get _segment() {
+    return this._payload.trajectory.segments[this._selected] ?? null;
+  }
+
+  async _prepareContext() {
+    const library = await game.spaceholder?.aimingManager?.getPayloadLibrary?.() ?? [];
+    const segments = this._payload.trajectory.segments;
+    this._selected = Math.max(0, Math.min(segments.length - 1, this._selected));
+    const svg = schematicSvg(segments);
+    const steps = new Map((this._steps ?? []).map((s) => [s.index, s]));
+    const branchLabel = (v) => L(`SPACEHOLDER.PayloadDesigner.Branches.${v}`);
+
+    const segmentRows = segments.map((s, index) => {
+      const branches = segmentBranches(s);
+      const step = steps.get(index) ?? null;
+      return {
+        index,
+        number: index + 1,
+        typeLabel: L(`SPACEHOLDER.PayloadDesigner.Types.${s.type}`, s.type),
+        onHitLabel: L(`SPACEHOLDER.PayloadDesigner.OnHit.${s.onHit}`, s.onHit),
+        onHitBranch: branchLabel(branches.onHit),
+        onMissBranch: branchLabel(branches.onMiss),
+        selected: index === this._selected,
+        first: index === 0,
+        last: index === segments.length - 1,
+        step: step ? { hits: step.hits, ended: !step.shouldContinue } : null,
+        skipped: !!this._steps && !step,
+      };
+    });
+
+    const seg = this._segment;
+    let editor = null;
+    if (seg) {
+      const flags = tokenCollisionFlags(seg.collision?.tokens);
+      editor = {
+        type: seg.type,
+        typeLabel: L(`SPACEHOLDER.PayloadDesigner.Types.${seg.type}`, seg.type),
+        fields: Object.entries(SEGMENT_FIELDS[seg.type]).map(([key, spec]) => ({
+          key,
+          label: L(`SPACEHOLDER.PayloadDesigner.Fields.${key}`, key),
+          value: seg[key] ?? spec.default,
+          min: spec.min ?? '',
+          max: spec.max ?? '',
+          step: spec.integer ? 1 : 'any',
+        })),
+        onHitOptions: SEGMENT_ON_HIT[seg.type].map((value) => ({
+          value,
+          label: L(`SPACEHOLDER.PayloadDesigner.OnHit.${value}`, value),
+          selected: value === seg.onHit,
+        })),
+        hasHitOrder: 'hitOrder' in seg,
+        hitOrderOptions: PAYLOAD_HIT_ORDERS.map((value) => ({
+          value,
+          label: L(`SPACEHOLDER.PayloadDesigner.HitOrders.${value}`, value),
+          selected: value === seg.hitOrder,
+        })),
+        hitAmount: seg.hitAmount ?? 0,
+        walls: !!seg.collision?.walls,
+        tokens: flags,
+        damage: seg.damage ?? null,
+        areaEffect: this._areaEffectEditor(seg),
+      };
+    }
+
+    const worldIds = new Set(getWorldPayloads().map((p) => normalizePayloadId(p?.id)));
+    const problems = validatePayload(this._payload).map((p) => (
+      p.index === undefined
+        ? L(`SPACEHOLDER.PayloadDesigner.Problems.${p.code}`)
+        : F(`SPACEHOLDER.PayloadDesigner.Problems.${p.code}`, { number: p.index + 1 })
+    ));
+
+    return {
+      payload: this._payload,
+      kindOptions: PAYLOAD_KINDS.map((value) => ({
+        value,
+        label: L(`SPACEHOLDER.PayloadDesigner.Kinds.${value}`, value),
+        selected: value === this._payload.type,
+      })),
+      libraryOptions: library.map((p) => ({
+        id: p.id,
+        label: p.world ? `${p.name ?? p.id} ★` : String(p.name ?? p.id),
+        selected: normalizePayloadId(p.id) === normalizePayloadId(this._sourceId),
+      })),
+      inWorld: worldIds.has(this._payload.id),
+      typeOptions: PAYLOAD_SEGMENT_TYPES.map((value) => ({
+        value,
+        label: L(`SPACEHOLDER.PayloadDesigner.Types.${value}`, value),
+        selected: value === this._newType,
+      })),
+      segments: segmentRows,
+      editor,
+      svg: {
+        ...svg,
+        paths: svg.paths.map((p) => ({ ...p, selected: p.index === this._selected })),
+      },
+      problems,
+      canSave: !problems.length,
+      live: this._live,
+      previewNote: this._previewNote,
+    };
+  }
+
+  async _onRender(context, options) {
+    await super._onRender(context, options);
+    const el = this.element;
+    if (!el) return;
+
+    const on = (action, handler) => {
+      el.querySelectorAll(`[data-pd-action="${action}"]`).forEach((node) => {
+        node.addEventListener('click', (event) => {
+          event.preventDefault();
+          handler(node);
+        });
+      });
+    };
+
+    el.querySelectorAll('[data-pd-meta]').forEach((input) => {
+      input.addEventListener('change', () => this._onMetaChange(input));
+    });
+    el.querySelectorAll('[data-pd-field]').forEach((input) => {
+      input.addEventListener('change', () => this._onFieldChange(input));
+    });
+    el.querySelector('[data-pd-new-type]')?.addEventListener('change', (event) => {
+      this._newType = String(event.currentTarget.value ?? 'line');
+    });
+    el.querySelector('[data-pd-source]')?.addEventListener('change', (event) => {
+      this._sourceId = String(event.currentTarget.value ?? '');
+    });
+    el.querySelector('[data-pd-live]')?.addEventListener('change', (event) => {
+      this._setLive(!!event.currentTarget.checked);
+    });
+
+    on('select', (node) => {
+      this._selected = Number(node.dataset.index) || 0;
+      this.render(false);
+    });
+    on('add', () => {
+      const segment = createPayloadSegment(this._newType);
+      if (!segment) return;
+      this._payload.trajectory.segments.splice(this._selected + 1, 0, segment);
+      this._selected += this._payload.trajectory.segments.length > 1 ? 1 : 0;
+      this._changed();
+    });
+    on('remove', (node) => {
+      const index = Number(node.dataset.index);
+      this._payload.trajectory.segments.splice(index, 1);
+      if (this._selected >= index && this._selected > 0) this._selected -= 1;
+      this._changed();
+    });
+    on('move', (node) => {
+      const index = Number(node.dataset.index);
+      const to = index + Number(node.dataset.dir);
+      const list = this._payload.trajectory.segments;
+      if (to < 0 || to >= list.length) return;
+      [list[index], list[to]] = [list[to], list[index]];
+      this._selected = to;
+      this._changed();
+    });
+    on('new', () => {
+      this._payload = _blankPayload();
+      this._selected = 0;
+      this._changed();
+    });
+    on('load', () => void this._load());
+    on('save', () => void this._save());
+    on('delete', () => void this._delete());
+    on('preview', () => {
+      this._preview(true);
+      this.render(false);
+    });
+    on('clear', () => {
+      clearPayloadPreview();
+      this._steps = null;
+      this._previewNote = '';
+      this.render(false);
+    });
+  }
+
+  _onMetaChange(input) {
+    const key = String(input.dataset.pdMeta ?? '');
+    const value = String(input.value ?? '').trim();
+    if (key === 'name') {
+      // A fresh payload takes its id from the name until the id is typed in.
+      const autoId = !this._payload.id || this._payload.id === payloadIdFromName(this._payload.name);
+      this._payload.name = value;
+      if (autoId) this._payload.id = payloadIdFromName(value);
+    } else if (key === 'id') {
+      this._payload.id = normalizePayloadId(value);
+    } else if (key === 'description') {
+      this._payload.description = value;
+    } else if (key === 'type') {
+      this._payload.type = PAYLOAD_KINDS.includes(value) ? value : 'complex';
+    }
+    this.render(false);
+  }
+
+  _areaEffectEditor(seg) {
+    const kind = seg.areaEffect?.kind ?? '';
+    const defaults = kind ? resolveAreaEffectSpec({ kind }, CONFIG.SPACEHOLDER?.areaEffects) : null;
+    return {
+      kindOptions: ['', ...AREA_EFFECT_KIND_LIST].map((value) => ({
+        value,
+        label: value ? L(`SPACEHOLDER.AreaEffects.Kinds.${value}`, value) : L('SPACEHOLDER.PayloadDesigner.AreaEffect.None'),
+        selected: value === kind,
+      })),
+      fields: defaults
+        ? AREA_EFFECT_FIELDS.map((key) => ({
+          key,
+          label: L(`SPACEHOLDER.PayloadDesigner.AreaEffect.${key}`, key),
+          value: seg.areaEffect[key] ?? '',
+          // A circle's effect covers the circle unless the radius is set.
+          placeholder: key === 'radius' && seg.type === 'circle' ? seg.range : defaults[key],
+        }))
+        : [],
+    };
+  }
+
+  _onFieldChange(input) {
+    const seg = this._segment;
+    if (!seg) return;
+    const path = String(input.dataset.pdField ?? '');
+    const raw = foundry.utils.deepClone(seg);
+    if (path.startsWith('tokens.')) {
+      raw.collision = { ...raw.collision, tokens: { ...tokenCollisionFlags(raw.collision?.tokens), [path.slice(7)]: input.checked } };
+    } else if (path === 'walls') {
+      raw.collision = { ...raw.collision, walls: input.checked };
+    } else if (path === 'onHit' || path === 'hitOrder') {
+      raw[path] = String(input.value ?? '');
+    } else if (path === 'areaEffect.kind') {
+      raw.areaEffect = input.value ? { ...raw.areaEffect, kind: String(input.value) } : null;
+    } else if (path.startsWith('areaEffect.')) {
+      const key = path.slice(11);
+      raw.areaEffect = { ...raw.areaEffect };
+      if (String(input.value ?? '').trim() === '') delete raw.areaEffect[key];
+      else raw.areaEffect[key] = Number(input.value);
+    } else {
+      foundry.utils.setProperty(raw, path, Number(input.value));
+    }
+    this._payload.trajectory.segments[this._selected] = normalizePayloadSegment(raw) ?? seg;
+    this._changed();
+  }
+
+  _changed() {
+    if (this._live) this._preview(false);
+    this.render(false);
+  }
+
+  _setLive(live) {
+    this._live = live;
+    if (live && this._tokenHook === null) {
+      this._tokenHook = Hooks.on('updateToken', (doc) => {
+        if (doc.parent !== canvas.scene) return;
+        this._preview(false);
+        this.render(false);
+      });
+    } else if (!live && this._tokenHook !== null) {
+      Hooks.off('updateToken', this._tokenHook);
+      this._tokenHook = null;
+    }
+    if (live) this._preview(false);
+    this.render(false);
+  }
+
+  /**
+   * Fire the draft from the controlled token.
+   * @param {boolean} warn notify when there is nothing to fire from
+   */
+  _preview(warn) {
+    const token = canvas.tokens?.controlled?.[0] ?? null;
+    if (!token) {
+      this._steps = null;
+      this._previewNote = L('SPACEHOLDER.PayloadDesigner.Messages.NoToken');
+      if (warn) ui.notifications?.warn?.(this._previewNote);
+      return;
+    }
+    try {
+      const out = previewPayload(token, this._payload);
+      this._steps = out?.steps ?? null;
+      const hits = out?.shotResult?.shotHits?.length ?? 0;
+      this._previewNote = F('SPACEHOLDER.PayloadDesigner.Messages.Previewed', { token: token.name, hits });
+    } catch (e) {
+      console.error('SpaceHolder | Payload designer: preview failed', e);
+      this._steps = null;
+      this._previewNote = L('SPACEHOLDER.PayloadDesigner.Messages.PreviewFailed');
+    }
+  }
+
+  async _load() {
+    const payload = await game.spaceholder?.aimingManager?.getPayloadById?.(this._sourceId);
+    if (!payload) return;
+    this._payload = normalizePayload(payload);
+    this._selected = 0;
+    this._changed();
+  }
+
+  async _save() {
+    const problems = validatePayload(this._payload);
+    if (problems.length) {
+      ui.notifications?.warn?.(L('SPACEHOLDER.PayloadDesigner.Messages.Invalid'));
+      return;
+    }
+    const builtIns = await game.spaceholder?.aimingManager?.getBuiltInPayloads?.() ?? [];
+    const shadows = builtIns.some((p) => normalizePayloadId(p?.id) === this._payload.id);
+    const stored = getWorldPayloads().some((p) => normalizePayloadId(p?.id) === this._payload.id);
+    if (shadows && !stored) {
+      const ok = await foundry.applications.api.DialogV2.confirm({
+        window: { title: L('SPACEHOLDER.PayloadDesigner.Confirm.OverrideTitle'), icon: 'fa-solid fa-clone' },
+        content: `<p>${F('SPACEHOLDER.PayloadDesigner.Confirm.OverrideContent', { id: foundry.utils.escapeHTML(this._payload.id) })}</p>`,
+      });
+      if (!ok) return;
+    }
+    const entry = await saveWorldPayload(this._payload);
+    this._payload = entry;
+    this._sourceId = entry.id;
+    ui.notifications?.info?.(F('SPACEHOLDER.PayloadDesigner.Messages.Saved', { name: entry.name }));
+    this.render(false);
+  }
+
+  async _delete() {
+    const id = this._payload.id;
+    const ok = await foundry.applications.api.DialogV2.confirm({
+      window: { title: L('SPACEHOLDER.PayloadDesigner.Confirm.DeleteTitle'), icon: 'fa-solid fa-trash' },
+      content: `<p>${F('SPACEHOLDER.PayloadDesigner.Confirm.DeleteContent', { name: foundry.utils.escapeHTML(this._payload.name) })}</p>`,
+    });
+    if (!ok) return;
+    if (await deleteWorldPayload(id)) {
+      ui.notifications?.info?.(F('SPACEHOLDER.PayloadDesigner.Messages.Deleted', { name: this._payload.name }));
+    }
+    this.render(false);
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * World payload library (rules in payload-designer.mjs): the `payloadLibrary`
+ * world setting the payload designer writes, and the live preview of a
+ * payload on the current scene.
+ *
+ * `AimingManager.getPayloadLibrary` merges the stored payloads over the
+ * built-in JSON ones, so a designed payload is picked in the aiming dialog and
+ * on weapon sheets like any other. Only the GM can write the setting.
+ */
+
+import { tokenFacingDeg } from '../damage/hit-location.mjs';
+import { mergePayloadLibraries, normalizePayload, normalizePayloadId } from './payload-designer.mjs';
+
+const MODULE_NS = 'spaceholder';
+export const PAYLOAD_LIBRARY_KEY = 'payloadLibrary';
+
+export function registerPayloadLibrarySettings() {
+  game.settings.register(MODULE_NS, PAYLOAD_LIBRARY_KEY, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: { payloads: [] },
+  });
+}
+
+/**
+ * @returns {Object[]} stored payloads
+ */
+export function getWorldPayloads() {
+  try {
+    const stored = game.settings.get(MODULE_NS, PAYLOAD_LIBRARY_KEY);
+    return Array.isArray(stored?.payloads) ? stored.payloads : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Built-in payloads with the world library merged in.
+ * @param {Object[]} builtIns
+ * @returns {Object[]}
+ */
+export function mergeWorldPayloads(builtIns) {
+  return mergePayloadLibraries(builtIns, getWorldPayloads());
+}
+
+/**
+ * Add or replace a payload in the world library.
+ * @param {object} payload
+ * @returns {Promise<object>} the stored payload
+ */
+export async function saveWorldPayload(payload) {
+  const entry = normalizePayload(payload);
+  const payloads = getWorldPayloads().filter((p) => normalizePayloadId(p?.id) !== entry.id);
+  payloads.push(entry);
+  await game.settings.set(MODULE_NS, PAYLOAD_LIBRARY_KEY, { payloads });
+  return entry;
+}
+
+/**
+ * Remove a payload from the world library; a built-in it replaced is back.
+ * @param {string} payloadId
+ * @returns {Promise<boolean>} `false` — not in the library
+ */
+export async function deleteWorldPayload(payloadId) {
+  const id = normalizePayloadId(payloadId);
+  const stored = getWorldPayloads();
+  const payloads = stored.filter((p) => normalizePayloadId(p?.id) !== id);
+  if (payloads.length === stored.length) return false;
+  await game.settings.set(MODULE_NS, PAYLOAD_LIBRARY_KEY, { payloads });
+  return true;
+}
+
+/**
+ * Fire `payload` from `token` without a shot being stored or damage dealt and
+ * draw it. The shot goes at the user's first target, else where the token
+ * faces.
+ * @param {Token} token
+ * @param {object} payload
+ * @returns {{shotResult: object, steps: Array<object>, direction: number}|null}
+ */
+export function previewPayload(token, payload) {
+  const shotManager = game.spaceholder?.shotManager;
+  if (!token || !shotManager?.previewShot) return null;
+  const target = Array.from(game.user?.targets ?? []).find((t) => t !== token && t.scene === token.scene) ?? null;
+  const direction = target
+    ? Math.atan2(target.center.y - token.center.y, target.center.x - token.center.x) * (180 / Math.PI)
+    : tokenFacingDeg(token.document?.rotation);
+  const { shotResult, steps } = shotManager.previewShot(token, payload, direction, { aimToken: target });
+  game.spaceholder?.drawManager?.drawShot?.(shotResult);
+  return { shotResult, steps, direction };
+}
+
+/**
+ * Remove the preview from the canvas.
+ */
+export function clearPayloadPreview() {
+  game.spaceholder?.drawManager?.clearAll?.();
+}
@@ -0,0 +1,386 @@
+/**
+ * Payload designer — the rules behind the payload editor.
+ *
+ * A payload is `{id, name, description, type, trajectory: {segments}}` (see
+ * docs SHOOTING_SYSTEM.md). The designer edits segments field by field, so
+ * every segment type has a fixed list of numeric fields with defaults and a
+ * list of `onHit` values, the first of which is what ShotManager falls back
+ * to. Built-in payloads ship as JSON in `module/data/payloads`; the world
+ * library (a world setting) holds the designed ones and overrides a built-in
+ * with the same id.
+ *
+ * A segment may also leave an area effect where it ends (`areaEffect`, see
+ * damage/area-effects.mjs); the designer keeps its kind and overrides.
+ *
+ * The schematic is the payload drawn in its own frame: the shot starts at
+ * (0, 0) heading right (direction 0, canvas axes, y down), one unit is one
+ * `defSize` (a grid cell in scene units), nothing is hit. The module is
+ * pure — it does not import Foundry.
+ */
+
+import { cleanAreaEffectSpec } from '../damage/area-effects.mjs';
+
+export const PAYLOAD_SEGMENT_TYPES = Object.freeze(['line', 'circle', 'cone', 'swing', 'complexLine']);
+
+export const PAYLOAD_KINDS = Object.freeze(['linear', 'area', 'complex', 'melee']);
+
+export const PAYLOAD_HIT_ORDERS = Object.freeze(['near', 'far', 'left', 'right']);
+
+/**
+ * `onHit` values per segment type; the first one is the default.
+ */
+export const SEGMENT_ON_HIT = Object.freeze({
+  line: Object.freeze(['stop', 'next', 'need']),
+  circle: Object.freeze(['next', 'stop', 'need']),
+  cone: Object.freeze(['next', 'stop', 'need']),
+  swing: Object.freeze(['next', 'stop', 'skip', 'need']),
+  complexLine: Object.freeze(['stop', 'next', 'skip']),
+});
+
+/**
+ * Numeric fields per segment type with their defaults and lower bounds.
+ */
+export const SEGMENT_FIELDS = Object.freeze({
+  line: Object.freeze({
+    direction: { default: 0 },
+    length: { default: 5, min: 0 },
+    arc: { default: 0, min: 0 },
+  }),
+  circle: Object.freeze({
+    range: { default: 3, min: 0 },
+  }),
+  cone: Object.freeze({
+    direction: { default: 0 },
+    range: { default: 4, min: 0 },
+    angle: { default: 90, min: 1, max: 360 },
+    cut: { default: 0, min: 0 },
+  }),
+  swing: Object.freeze({
+    direction: { default: -45 },
+    range: { default: 1, min: 0 },
+    angle: { default: 15, min: 1, max: 360 },
+    cut: { default: 0, min: 0 },
+    directionStep: { default: 15 },
+    rangeStep: { default: 0 },
+    count: { default: 7, min: 1, integer: true },
+  }),
+  complexLine: Object.freeze({
+    direction: { default: 0 },
+    length: { default: 2, min: 0 },
+    amount: { default: 10, min: 1, integer: true },
+  }),
+});
+
+// Types that pick targets by `hitOrder` / `hitAmount`.
+const AREA_TYPES = new Set(['circle', 'cone', 'swing']);
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _field(spec, raw) {
+  let v = _num(raw, spec.default);
+  if (spec.integer) v = Math.trunc(v);
+  if (spec.min !== undefined) v = Math.max(spec.min, v);
+  if (spec.max !== undefined) v = Math.min(spec.max, v);
+  return v;
+}
+
+/**
+ * @param {boolean|object|undefined} tokens `collision.tokens`
+ * @returns {{owner:boolean, ally:boolean, other:boolean}}
+ */
+export function tokenCollisionFlags(tokens) {
+  if (tokens === undefined || tokens === null || typeof tokens === 'boolean') {
+    const on = tokens !== false;
+    return { owner: on, ally: on, other: on };
+  }
+  return { owner: !!tokens.owner, ally: !!tokens.ally, other: !!tokens.other };
+}
+
+/**
+ * @param {object|null} collision
+ * @returns {{walls:boolean, tokens:boolean|{owner:boolean, ally:boolean, other:boolean}}}
+ *   `tokens: false` when no disposition is hit
+ */
+export function normalizeCollision(collision) {
+  const flags = tokenCollisionFlags(collision?.tokens);
+  return {
+    walls: collision?.walls !== false,
+    tokens: flags.owner || flags.ally || flags.other ? flags : false,
+  };
+}
+
+/**
+ * A new segment of `type` with the default fields.
+ * @param {string} type
+ * @returns {object|null} `null` — unknown type
+ */
+export function createPayloadSegment(type) {
+  return normalizePayloadSegment({ type });
+}
+
+/**
+ * @param {object} raw
+ * @returns {object|null} `null` — unknown type
+ */
+export function normalizePayloadSegment(raw) {
+  const type = String(raw?.type ?? '');
+  if (!PAYLOAD_SEGMENT_TYPES.includes(type)) return null;
+  const out = { type };
+  for (const [key, spec] of Object.entries(SEGMENT_FIELDS[type])) out[key] = _field(spec, raw[key]);
+  if (type === 'line' && !out.arc) delete out.arc;
+
+  out.collision = normalizeCollision(raw.collision);
+  const onHit = SEGMENT_ON_HIT[type];
+  out.onHit = onHit.includes(raw.onHit) ? raw.onHit : onHit[0];
+
+  if (AREA_TYPES.has(type)) {
+    out.hitOrder = PAYLOAD_HIT_ORDERS.includes(raw.hitOrder) ? raw.hitOrder : 'near';
+    const amount = Math.trunc(_num(raw.hitAmount, 0));
+    if (amount > 0) out.hitAmount = amount;
+  }
+  if (type === 'complexLine') {
+    out.damage = {
+      penetration: Math.max(0, _num(raw.damage?.penetration, 0)),
+      ricochet: Math.max(0, Math.min(90, _num(raw.damage?.ricochet, 0))),
+    };
+  }
+  const areaEffect = cleanAreaEffectSpec(raw.areaEffect);
+  if (areaEffect) out.areaEffect = areaEffect;
+  return out;
+}
+
+/**
+ * Id from a payload name: lower case, `[a-z0-9_]`.
+ * @param {string} name
+ * @param {string} [fallback] when nothing is left (e.g. a Cyrillic name)
+ * @returns {string}
+ */
+export function payloadIdFromName(name, fallback = 'custom_payload') {
+  const id = String(name ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return id || fallback;
+}
+
+/**
+ * Payload id as the library compares them: file names use hyphens, ids use
+ * underscores.
+ * @param {string} id
+ * @returns {string}
+ */
+export function normalizePayloadId(id) {
+  return String(id ?? '').trim().toLowerCase().replace(/-/g, '_');
+}
+
+/**
+ * @param {object} raw
+ * @returns {{id:string, name:string, description:string, type:string, trajectory:{segments:Array<object>}}}
+ */
+export function normalizePayload(raw) {
+  const name = String(raw?.name ?? '').trim();
+  const id = normalizePayloadId(raw?.id) || payloadIdFromName(name);
+  const segments = (Array.isArray(raw?.trajectory?.segments) ? raw.trajectory.segments : [])
+    .map((s) => normalizePayloadSegment(s))
+    .filter(Boolean);
+  return {
+    id,
+    name: name || id,
+    description: String(raw?.description ?? '').trim(),
+    type: PAYLOAD_KINDS.includes(raw?.type) ? raw.type : 'complex',
+    trajectory: { segments },
+  };
+}
+
+/**
+ * Problems that keep a payload from being saved.
+ * @param {object} payload
+ * @returns {Array<{code:'id'|'name'|'segments'|'extent', index?:number}>} empty — fine
+ */
+export function validatePayload(payload) {
+  const out = [];
+  if (!/^[a-z0-9_]+$/.test(String(payload?.id ?? ''))) out.push({ code: 'id' });
+  if (!String(payload?.name ?? '').trim()) out.push({ code: 'name' });
+  const segments = payload?.trajectory?.segments;
+  if (!Array.isArray(segments) || !segments.length) {
+    out.push({ code: 'segments' });
+    return out;
+  }
+  segments.forEach((s, index) => {
+    const extent = s?.type === 'line' || s?.type === 'complexLine' ? s.length : s?.range;
+    if (!(_num(extent, 0) > 0)) out.push({ code: 'extent', index });
+  });
+  return out;
+}
+
+/**
+ * Built-in payloads with the world ones on top: a world payload replaces the
+ * built-in with the same id, the rest are appended. World entries are marked
+ * `world: true`.
+ * @param {Array<object>} builtIns
+ * @param {Array<object>} world
+ * @returns {Array<object>}
+ */
+export function mergePayloadLibraries(builtIns, world) {
+  const out = (Array.isArray(builtIns) ? builtIns : []).filter(Boolean).map((p) => ({ ...p }));
+  const index = new Map(out.map((p, i) => [normalizePayloadId(p.id), i]));
+  for (const p of Array.isArray(world) ? world : []) {
+    const id = normalizePayloadId(p?.id);
+    if (!id) continue;
+    const entry = { ...p, world: true };
+    if (index.has(id)) {
+      out[index.get(id)] = entry;
+    } else {
+      index.set(id, out.length);
+      out.push(entry);
+    }
+  }
+  return out;
+}
+
+/**
+ * Where the shot goes after a segment.
+ * @param {object} segment
+ * @returns {{onHit:'next'|'end', onMiss:'next'|'end', skip:boolean}}
+ *   `skip` — a hit ends the rest of the swing's cones, not the shot
+ */
+export function segmentBranches(segment) {
+  const type = segment?.type;
+  const options = SEGMENT_ON_HIT[type] ?? ['stop'];
+  const onHit = options.includes(segment?.onHit) ? segment.onHit : options[0];
+  return {
+    onHit: onHit === 'stop' ? 'end' : 'next',
+    onMiss: onHit === 'need' ? 'end' : 'next',
+    skip: onHit === 'skip' && type === 'swing',
+  };
+}
+
+function _step(pos, deg, length) {
+  const r = (deg * Math.PI) / 180;
+  return { x: pos.x + Math.cos(r) * length, y: pos.y + Math.sin(r) * length };
+}
+
+/**
+ * Shapes of the payload as if nothing was hit.
+ * @param {Array<object>} segments
+ * @returns {Array<object>} `{index, type:'line', start, end, arc}` |
+ *   `{index, type:'circle', center, radius}` |
+ *   `{index, type:'cone', start, direction, range, angle, cut}`
+ */
+export function schematicShapes(segments) {
+  const out = [];
+  let pos = { x: 0, y: 0 };
+  let dir = 0;
+  (Array.isArray(segments) ? segments : []).forEach((raw, index) => {
+    const s = normalizePayloadSegment(raw);
+    if (!s) return;
+    switch (s.type) {
+      case 'line':
+      case 'complexLine': {
+        dir += s.direction;
+        const end = _step(pos, dir, s.length * (s.type === 'complexLine' ? s.amount : 1));
+        out.push({ index, type: 'line', start: pos, end, arc: s.arc ?? 0 });
+        pos = end;
+        break;
+      }
+      case 'circle':
+        out.push({ index, type: 'circle', center: pos, radius: s.range });
+        break;
+      case 'cone':
+        dir += s.direction;
+        out.push({ index, type: 'cone', start: pos, direction: dir, range: s.range, angle: s.angle, cut: s.cut });
+        break;
+      case 'swing': {
+        let coneDir = dir + s.direction;
+        let range = s.range;
+        for (let i = 0; i < s.count; i++) {
+          out.push({ index, type: 'cone', start: pos, direction: coneDir, range: Math.max(0, range), angle: s.angle, cut: s.cut });
+          if (i < s.count - 1) {
+            coneDir += s.directionStep;
+            range += s.rangeStep;
+          }
+        }
+        dir = coneDir;
+        break;
+      }
+    }
+  });
+  return out;
+}
+
+function _f(n) {
+  return String(Math.round(n * 1000) / 1000);
+}
+
+function _conePath(shape) {
+  const half = shape.angle / 2;
+  const outerA = _step(shape.start, shape.direction - half, shape.range);
+  const outerB = _step(shape.start, shape.direction + half, shape.range);
+  const large = shape.angle > 180 ? 1 : 0;
+  const cut = Math.min(shape.cut, shape.range);
+  if (cut > 0) {
+    const innerA = _step(shape.start, shape.direction - half, cut);
+    const innerB = _step(shape.start, shape.direction + half, cut);
+    return `M ${_f(innerA.x)} ${_f(innerA.y)} L ${_f(outerA.x)} ${_f(outerA.y)} `
+      + `A ${_f(shape.range)} ${_f(shape.range)} 0 ${large} 1 ${_f(outerB.x)} ${_f(outerB.y)} `
+      + `L ${_f(innerB.x)} ${_f(innerB.y)} A ${_f(cut)} ${_f(cut)} 0 ${large} 0 ${_f(innerA.x)} ${_f(innerA.y)} Z`;
+  }
+  return `M ${_f(shape.start.x)} ${_f(shape.start.y)} L ${_f(outerA.x)} ${_f(outerA.y)} `
+    + `A ${_f(shape.range)} ${_f(shape.range)} 0 ${large} 1 ${_f(outerB.x)} ${_f(outerB.y)} Z`;
+}
+
+// The arc is vertical; on the plan it is drawn as a bow to the left with its
+// apex `arc` cells off the line (at most half the length).
+function _bowControl({ start, end, arc }, share = 1) {
+  const len = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+  const mid = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  const bow = Math.min(arc, len / 2) * 2 * share;
+  return { x: mid.x + ((end.y - start.y) / len) * bow, y: mid.y - ((end.x - start.x) / len) * bow };
+}
+
+function _shapePath(shape) {
+  if (shape.type === 'line') {
+    const { start, end } = shape;
+    if (!(shape.arc > 0)) return `M ${_f(start.x)} ${_f(start.y)} L ${_f(end.x)} ${_f(end.y)}`;
+    const ctrl = _bowControl(shape);
+    return `M ${_f(start.x)} ${_f(start.y)} Q ${_f(ctrl.x)} ${_f(ctrl.y)} ${_f(end.x)} ${_f(end.y)}`;
+  }
+  if (shape.type === 'circle') {
+    const { center, radius } = shape;
+    return `M ${_f(center.x - radius)} ${_f(center.y)} a ${_f(radius)} ${_f(radius)} 0 1 0 ${_f(radius * 2)} 0 `
+      + `a ${_f(radius)} ${_f(radius)} 0 1 0 ${_f(-radius * 2)} 0`;
+  }
+  return _conePath(shape);
+}
+
+function _shapeBounds(shape) {
+  if (shape.type === 'line') return shape.arc > 0 ? [shape.start, shape.end, _bowControl(shape, 0.5)] : [shape.start, shape.end];
+  const c = shape.type === 'circle' ? shape.center : shape.start;
+  const r = shape.type === 'circle' ? shape.radius : shape.range;
+  return [{ x: c.x - r, y: c.y - r }, { x: c.x + r, y: c.y + r }];
+}
+
+/**
+ * SVG of the schematic.
+ * @param {Array<object>} segments
+ * @param {object} [options]
+ * @param {number} [options.padding] cells around the drawing
+ * @returns {{viewBox:string, origin:{x:number, y:number}, paths:Array<{index:number, type:string, d:string}>}}
+ */
+export function schematicSvg(segments, { padding = 1 } = {}) {
+  const shapes = schematicShapes(segments);
+  const points = [{ x: 0, y: 0 }, ...shapes.flatMap(_shapeBounds)];
+  const minX = Math.min(...points.map((p) => p.x)) - padding;
+  const minY = Math.min(...points.map((p) => p.y)) - padding;
+  const width = Math.max(...points.map((p) => p.x)) + padding - minX;
+  const height = Math.max(...points.map((p) => p.y)) + padding - minY;
+  return {
+    viewBox: `${_f(minX)} ${_f(minY)} ${_f(width)} ${_f(height)}`,
+    origin: { x: 0, y: 0 },
+    paths: shapes.map((shape) => ({ index: shape.index, type: shape.type, d: _shapePath(shape) })),
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Smoke tests for the payload designer. Runs in plain Node (no Foundry globals required).
+ * Execute with:
+ *   node module/helpers/weapon/payload-designer.test.mjs
+ */
+
+import {
+  createPayloadSegment,
+  mergePayloadLibraries,
+  normalizeCollision,
+  normalizePayload,
+  normalizePayloadId,
+  normalizePayloadSegment,
+  payloadIdFromName,
+  validatePayload
+} from './payload-designer.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+/* ---- Ids ------------------------------------------------------------ */
+{
+  assert('hyphens and underscores are one id', normalizePayloadId('Straight-Line') === 'straight_line'
+    && normalizePayloadId(' straight_line ') === 'straight_line');
+  assert('no id — empty', normalizePayloadId(undefined) === '');
+  assert('id from name', payloadIdFromName('  Big Boom! 2 ') === 'big_boom_2');
+  assert('non-latin name falls back', payloadIdFromName('Граната') === 'custom_payload' && payloadIdFromName('', 'x') === 'x');
+}
+
+/* ---- Segments ------------------------------------------------------- */
+{
+  assert('unknown segment type dropped', normalizePayloadSegment({ type: 'spiral' }) === null);
+  const line = createPayloadSegment('line');
+  assert('new line has the defaults', line.length === 5 && line.direction === 0 && line.onHit === 'stop' && !('arc' in line));
+  assert('new line hits walls and tokens', line.collision.walls === true && line.collision.tokens.other === true);
+
+  const cone = normalizePayloadSegment({ type: 'cone', angle: 720, range: -2, onHit: 'skip', hitOrder: 'up', hitAmount: 2.7 });
+  assert('fields clamped', cone.angle === 360 && cone.range === 0);
+  assert('bad onHit falls back to the first', cone.onHit === 'next');
+  assert('area segment gets hit order and amount', cone.hitOrder === 'near' && cone.hitAmount === 2);
+
+  const swing = normalizePayloadSegment({ type: 'swing', count: 3.9 });
+  assert('integer fields truncated', swing.count === 3);
+  const complex = normalizePayloadSegment({ type: 'complexLine', damage: { penetration: -1, ricochet: 120 } });
+  assert('complex line damage clamped', complex.damage.penetration === 0 && complex.damage.ricochet === 90);
+
+  const blast = normalizePayloadSegment({ type: 'circle', areaEffect: { kind: 'smoke', radius: 3, junk: true } });
+  assert('area effect kept clean', JSON.stringify(blast.areaEffect) === JSON.stringify({ kind: 'smoke', radius: 3 }));
+  assert('unknown area effect dropped', !('areaEffect' in normalizePayloadSegment({ type: 'circle', areaEffect: { kind: 'lava' } })));
+
+  assert('no tokens hit — tokens false', normalizeCollision({ tokens: { owner: false, ally: false, other: false } }).tokens === false);
+  const some = normalizeCollision({ walls: false, tokens: { other: true } });
+  assert('token dispositions kept', some.walls === false && some.tokens.other && !some.tokens.owner);
+}
+
+/* ---- Payload -------------------------------------------------------- */
+{
+  const payload = normalizePayload({
+    name: ' Shrapnel ',
+    type: 'spray',
+    trajectory: { segments: [{ type: 'line', length: 3 }, { type: 'nope' }, { type: 'circle', range: 2 }] },
+  });
+  assert('id from the name when missing', payload.id === 'shrapnel' && payload.name === 'Shrapnel');
+  assert('unknown kind becomes complex', payload.type === 'complex');
+  assert('bad segments dropped', payload.trajectory.segments.map((s) => s.type).join() === 'line,circle');
+  assert('normalized payload is valid', validatePayload(payload).length === 0);
+
+  const named = normalizePayload({ id: 'Fan-Shot', type: 'area' });
+  assert('given id normalized, name from id', named.id === 'fan_shot' && named.name === 'fan_shot' && named.type === 'area');
+  const problems = validatePayload({ id: 'Bad Id', name: '', trajectory: { segments: [] } }).map((p) => p.code);
+  assert('invalid payload reports id, name, segments', problems.join() === 'id,name,segments', problems.join());
+  const flat = validatePayload(normalizePayload({ id: 'x', trajectory: { segments: [{ type: 'line', length: 0 }] } }));
+  assert('zero-length segment reported', flat.length === 1 && flat[0].code === 'extent' && flat[0].index === 0);
+}
+
+/* ---- Library merge -------------------------------------------------- */
+{
+  const builtIns = [
+    { id: 'straight_line', name: 'Built-in line' },
+    { id: 'explosion', name: 'Built-in blast' },
+  ];
+  const world = [
+    { id: 'straight-line', name: 'World line' },
+    { id: 'fan', name: 'World fan' },
+    { name: 'No id' },
+  ];
+  const merged = mergePayloadLibraries(builtIns, world);
+  assert('world replaces the built-in in place', merged[0].name === 'World line' && merged[0].world === true);
+  assert('untouched built-ins stay', merged[1].name === 'Built-in blast' && !merged[1].world);
+  assert('new world payloads appended', merged.length === 3 && merged[2].id === 'fan' && merged[2].world === true);
+  assert('inputs are not mutated', !('world' in world[0]) && builtIns[0].name === 'Built-in line');
+
+  const twice = mergePayloadLibraries([], [{ id: 'a', name: 'first' }, { id: 'A', name: 'second' }]);
+  assert('later world entry wins', twice.length === 1 && twice[0].name === 'second');
+  assert('no libraries — empty', mergePayloadLibraries(null, null).length === 0);
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll payload designer smoke tests passed.');
+}
@@ -0,0 +1,175 @@
+/**
+ * Recoil — accumulation across a burst / auto stream and recovery over time.
+ *
+ * Every shot adds `line.recoil.value × kickPerPoint` degrees of «climb»
+ * (capped at `maxDeg`). Accumulated recoil:
+ *   - pushes the aim direction towards the side the muzzle climbs to
+ *     (plus a small random jitter around it);
+ *   - widens the aiming arcs: `ergonomics.overall` is scaled by
+ *     `1 + value × arcWidenPerDeg`, so zones, deviation and the overlay all
+ *     grow together.
+ *
+ * Between shots the climb recovers at `recoveryDegPerSecond`, scaled by
+ * weapon ergonomics (`100 / overall`: handier weapons settle faster) and by
+ * the shooter's STR / COR modifiers. Time is personal time: the seconds the
+ * AP spent on the shot represent (10 AP = 1 s).
+ *
+ * `line.recoil.enabled === false` skips the mechanic entirely.
+ *
+ * The module is pure — it does not import Foundry.
+ */
+
+import { normalizeErgonomics } from './weapon-model.mjs';
+
+export const RECOIL_DEFAULTS = Object.freeze({
+  enabled: true,
+  kickPerPoint: 1,
+  maxDeg: 30,
+  arcWidenPerDeg: 0.03,
+  jitterShare: 0.25,
+  recoveryDegPerSecond: 6,
+  recoveryPerStrMod: 0.1,
+  recoveryPerCorMod: 0.1,
+  minRecoveryShare: 0.25,
+});
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.recoil`
+ * @returns {object}
+ */
+export function normalizeRecoilConfig(config = null) {
+  const raw = config && typeof config === 'object' ? config : {};
+  const out = { ...RECOIL_DEFAULTS };
+  for (const key of Object.keys(RECOIL_DEFAULTS)) {
+    if (key === 'enabled') out.enabled = raw.enabled !== false;
+    else out[key] = Math.max(0, _num(raw[key], RECOIL_DEFAULTS[key]));
+  }
+  return out;
+}
+
+/**
+ * @param {unknown} [raw]
+ * @returns {{value:number, side:number, shots:number}}
+ */
+export function normalizeRecoilState(raw = null) {
+  const value = Math.max(0, _num(raw?.value, 0));
+  const side = _num(raw?.side, 1) < 0 ? -1 : 1;
+  const shots = Math.max(0, Math.floor(_num(raw?.shots, 0)));
+  return { value, side, shots };
+}
+
+/**
+ * Recovery rate in degrees per second.
+ *
+ * @param {object} args
+ * @param {object|null} [args.ergonomics] normalized (possibly mode-modified) ergonomics
+ * @param {number} [args.strMod] STR modifier
+ * @param {number} [args.corMod] COR modifier
+ * @param {object|null} [args.config]
+ * @returns {number}
+ */
+export function recoilRecoveryRate({ ergonomics = null, strMod = 0, corMod = 0, config = null } = {}) {
+  const cfg = normalizeRecoilConfig(config);
+  const overall = normalizeErgonomics(ergonomics).overall;
+  const ergoMult = overall > 0 ? 100 / overall : 1 / Math.max(0.01, cfg.minRecoveryShare);
+  const abilityMult = 1
+    + _num(strMod) * cfg.recoveryPerStrMod
+    + _num(corMod) * cfg.recoveryPerCorMod;
+  const mult = Math.max(cfg.minRecoveryShare, ergoMult * abilityMult);
+  return cfg.recoveryDegPerSecond * mult;
+}
+
+/**
+ * Let recoil settle for `seconds` of personal time.
+ *
+ * @param {object} state
+ * @param {number} seconds
+ * @param {object} [opts] same as {@link recoilRecoveryRate}
+ * @returns {{value:number, side:number, shots:number}}
+ */
+export function recoverRecoil(state, seconds, opts = {}) {
+  const s = normalizeRecoilState(state);
+  const dt = Math.max(0, _num(seconds, 0));
+  if (!dt || !s.value) return s;
+  const value = Math.max(0, s.value - recoilRecoveryRate(opts) * dt);
+  return { ...s, value, shots: value > 0 ? s.shots : 0 };
+}
+
+/**
+ * Add one shot's kick.
+ *
+ * The climb side is rolled on the first shot of a stream and kept while
+ * recoil has not settled, so a long burst walks off to one side.
+ *
+ * @param {object} state
+ * @param {{enabled:boolean, value:number}|null} recoil effective `line.recoil`
+ * @param {object} [opts]
+ * @param {object|null} [opts.config]
+ * @param {() => number} [opts.random]
+ * @returns {{value:number, side:number, shots:number}}
+ */
+export function accumulateRecoil(state, recoil, { config = null, random = Math.random } = {}) {
+  const cfg = normalizeRecoilConfig(config);
+  const s = normalizeRecoilState(state);
+  if (!cfg.enabled || !recoil?.enabled) return s;
+  const kick = Math.max(0, _num(recoil.value, 0)) * cfg.kickPerPoint;
+  if (!kick) return s;
+  const side = s.value > 0 ? s.side : (random() < 0.5 ? -1 : 1);
+  return {
+    value: Math.min(cfg.maxDeg, s.value + kick),
+    side,
+    shots: s.shots + 1,
+  };
+}
+
+/**
+ * Direction offset (degrees) produced by the current recoil.
+ *
+ * @param {object} state
+ * @param {object} [opts]
+ * @param {object|null} [opts.config]
+ * @param {() => number} [opts.random]
+ * @returns {number}
+ */
+export function recoilAimOffset(state, { config = null, random = Math.random } = {}) {
+  const cfg = normalizeRecoilConfig(config);
+  const s = normalizeRecoilState(state);
+  if (!cfg.enabled || !s.value) return 0;
+  const jitter = (random() * 2 - 1) * s.value * cfg.jitterShare;
+  return s.value * s.side + jitter;
+}
+
+/**
+ * Arc size multiplier for the current recoil (1 = no widening).
+ *
+ * @param {object} state
+ * @param {object|null} [config]
+ * @returns {number}
+ */
+export function recoilArcMultiplier(state, config = null) {
+  const cfg = normalizeRecoilConfig(config);
+  const s = normalizeRecoilState(state);
+  if (!cfg.enabled) return 1;
+  return 1 + s.value * cfg.arcWidenPerDeg;
+}
+
+/**
+ * Ergonomics with `overall` widened by the current recoil; feed the result to
+ * `applyErgonomicsToArcs` (deviation and the arc overlay).
+ *
+ * @param {object|null} ergonomics
+ * @param {object} state
+ * @param {object|null} [config]
+ * @returns {object|null} `ergonomics` unchanged when there is no recoil
+ */
+export function applyRecoilToErgonomics(ergonomics, state, config = null) {
+  const mult = recoilArcMultiplier(state, config);
+  if (mult === 1) return ergonomics;
+  const e = normalizeErgonomics(ergonomics);
+  return { ...e, overall: Math.round(e.overall * mult) };
+}
@@ -0,0 +1,84 @@
+/**
+ * Smoke tests for recoil. Runs in plain Node (no Foundry globals required).
+ * Execute with:
+ *   node module/helpers/weapon/recoil.test.mjs
+ */
+
+import {
+  accumulateRecoil,
+  applyRecoilToErgonomics,
+  recoilAimOffset,
+  recoilArcMultiplier,
+  recoilRecoveryRate,
+  recoverRecoil
+} from './recoil.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+const recoil = { enabled: true, value: 4 };
+const ergonomics = { overall: 100 };
+
+/* ---- Accumulation --------------------------------------------------- */
+{
+  const first = accumulateRecoil(null, recoil, { random: () => 0.9 });
+  assert('first shot kicks by value × kickPerPoint', first.value === 4 && first.shots === 1, JSON.stringify(first));
+  assert('first shot rolls the side', first.side === 1 && accumulateRecoil(null, recoil, { random: () => 0.1 }).side === -1);
+  const second = accumulateRecoil(first, recoil, { random: () => 0.1 });
+  assert('side is kept while recoil has not settled', second.side === 1 && second.value === 8 && second.shots === 2);
+
+  let state = null;
+  for (let i = 0; i < 20; i++) state = accumulateRecoil(state, recoil, { random: () => 0.9 });
+  assert('climb is capped at maxDeg', state.value === 30, String(state.value));
+  const capped = accumulateRecoil(null, { enabled: true, value: 10 }, { config: { maxDeg: 12 }, random: () => 0.9 });
+  assert('maxDeg comes from config', accumulateRecoil(capped, { enabled: true, value: 10 }, { config: { maxDeg: 12 } }).value === 12);
+
+  assert('disabled line adds nothing', accumulateRecoil(first, { enabled: false, value: 4 }).value === 4);
+  assert('disabled mechanic adds nothing', accumulateRecoil(null, recoil, { config: { enabled: false } }).value === 0);
+}
+
+/* ---- Recovery over personal time ----------------------------------- */
+{
+  assert('base rate with neutral ergonomics', recoilRecoveryRate({ ergonomics }) === 6);
+  assert('handier weapon settles faster', recoilRecoveryRate({ ergonomics: { overall: 50 } }) === 12);
+  assert('STR / COR speed recovery', close(recoilRecoveryRate({ ergonomics, strMod: 2, corMod: 1 }), 6 * 1.3));
+  assert('rate never drops below minRecoveryShare', close(recoilRecoveryRate({ ergonomics, strMod: -20 }), 6 * 0.25));
+
+  const state = { value: 10, side: -1, shots: 3 };
+  const half = recoverRecoil(state, 1, { ergonomics });
+  assert('recovers rate × seconds', half.value === 4 && half.shots === 3 && half.side === -1, JSON.stringify(half));
+  const settled = recoverRecoil(state, 5, { ergonomics });
+  assert('settled recoil resets the stream', settled.value === 0 && settled.shots === 0, JSON.stringify(settled));
+  assert('no time — no recovery', recoverRecoil(state, 0, { ergonomics }).value === 10);
+  assert('negative time is ignored', recoverRecoil(state, -3, { ergonomics }).value === 10);
+}
+
+/* ---- Aim offset and arcs ------------------------------------------- */
+{
+  const state = { value: 8, side: -1, shots: 2 };
+  assert('offset follows the side without jitter', recoilAimOffset(state, { random: () => 0.5 }) === -8);
+  assert('jitter is ±jitterShare of the climb', recoilAimOffset(state, { random: () => 1 }) === -6
+    && recoilAimOffset(state, { random: () => 0 }) === -10);
+  assert('no recoil — no offset', recoilAimOffset(null) === 0);
+  assert('disabled mechanic — no offset', recoilAimOffset(state, { config: { enabled: false } }) === 0);
+
+  assert('arcs widen with recoil', close(recoilArcMultiplier(state), 1.24));
+  assert('ergonomics unchanged without recoil', applyRecoilToErgonomics(ergonomics, null) === ergonomics);
+  assert('ergonomics overall widened', applyRecoilToErgonomics(ergonomics, state).overall === 124);
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll recoil smoke tests passed.');
+}
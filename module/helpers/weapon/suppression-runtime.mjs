@@ -0,0 +1,416 @@
+/**
+ * Suppression zones on the canvas (rules and geometry in suppression.mjs).
+ *
+ * A zone lives on the shooter, `flags.spaceholder.suppressionZones`, with the
+ * combatant's turn count at the moment it was laid down; it ends once that
+ * count grows (the shooter's turn came back), when the combat is deleted, or
+ * when its hit rolls are spent or the line cannot fire.
+ *
+ * A token "acts" in a zone when its actor's personal time advances while the
+ * token stands inside, or its last move went through the zone. That is seen on
+ * the acting client; the hit roll itself is made by the shooter's client (an
+ * active player owner, else the GM) — directly or over the system socket — as
+ * an ordinary v3 shot of the line (AimingManager#fireSuppressionShot).
+ * Every client redraws the zones of its scene through the draw manager.
+ */
+
+import {
+  normalizeSuppressionConfig,
+  normalizeSuppressionParams,
+  buildSuppressionZone,
+  pathInSuppressionZone,
+  pointInSuppressionZone,
+  suppressionMoveApPenalty,
+} from './suppression.mjs';
+import { isMeleeLine, resolveEffectiveAttackParams } from './weapon-model.mjs';
+import { getWeaponData } from './weapon-ammo-runtime.mjs';
+import { getAttachmentModifiers } from './attachment-runtime.mjs';
+
+const MODULE_NS = 'spaceholder';
+const FLAG_ZONES = 'suppressionZones';
+const FLAG_COMBAT_STATE = 'combatState';
+const SOCKET_TYPE = `${MODULE_NS}.suppression`;
+
+let _socketInstalled = false;
+let _queue = Promise.resolve();
+
+function _socketName() {
+  try {
+    return `system.${game.system.id}`;
+  } catch (_) {
+    return `system.${MODULE_NS}`;
+  }
+}
+
+function _t(key, data = null) {
+  const i18n = game.i18n;
+  if (!i18n) return key;
+  return data ? i18n.format(key, data) : i18n.localize(key);
+}
+
+function _config() {
+  return CONFIG.SPACEHOLDER?.suppression ?? null;
+}
+
+function _zones(actor) {
+  const raw = actor?.getFlag?.(MODULE_NS, FLAG_ZONES);
+  return Array.isArray(raw) ? raw : [];
+}
+
+/** Hit rolls of one shooter run one at a time: each rewrites the zone list. */
+function _enqueue(fn) {
+  const next = _queue.then(fn, fn);
+  _queue = next.catch(() => {});
+  return next;
+}
+
+/**
+ * User who rolls for the shooter: the current user if they own it, else an
+ * active player owner, else the active GM.
+ * @param {Actor} actor
+ * @returns {User|null}
+ */
+function _responderFor(actor) {
+  const ownerLevel = CONST.DOCUMENT_OWNERSHIP_LEVELS?.OWNER ?? 3;
+  const users = Array.from(game.users ?? []).filter((u) => u.active);
+  const owners = users.filter((u) => !u.isGM && actor.testUserPermission(u, ownerLevel));
+  if (owners.some((u) => u.id === game.user?.id)) return game.user;
+  return owners[0] ?? game.users?.activeGM ?? users.find((u) => u.isGM) ?? null;
+}
+
+function _isResponder(actor) {
+  return !!actor && _responderFor(actor)?.id === game.user?.id;
+}
+
+function _actorToken(actor) {
+  return actor?.token?.object ?? actor?.getActiveTokens?.()?.[0] ?? null;
+}
+
+/** Token centre when its top-left corner is at `pos`. */
+function _centerAt(tokenDoc, pos) {
+  if (!pos) return null;
+  const size = Number(tokenDoc?.parent?.grid?.size) || Number(canvas?.grid?.size) || 100;
+  return {
+    x: Number(pos.x) + ((Number(tokenDoc?.width) || 1) * size) / 2,
+    y: Number(pos.y) + ((Number(tokenDoc?.height) || 1) * size) / 2,
+  };
+}
+
+function _pathStepPx(scene) {
+  const size = Number(scene?.grid?.size) || Number(canvas?.grid?.size) || 100;
+  return normalizeSuppressionConfig(_config()).pathStepCells * size;
+}
+
+async function _chat(actor, text) {
+  try {
+    await ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content: `<div>${foundry.utils.escapeHTML(text)}</div>`,
+    });
+  } catch (_) {
+    /* ignore chat errors */
+  }
+}
+
+/**
+ * Active zones of a scene with their shooters.
+ * @param {Scene|null} [scene]
+ * @returns {Array<{actor: Actor, zone: object}>}
+ */
+export function listSceneSuppressionZones(scene = canvas?.scene ?? null) {
+  if (!scene) return [];
+  const out = [];
+  const seen = new Set();
+  for (const tokenDoc of scene.tokens ?? []) {
+    const actor = tokenDoc.actor;
+    if (!actor || seen.has(actor.uuid)) continue;
+    seen.add(actor.uuid);
+    for (const zone of _zones(actor)) {
+      if (zone.sceneId === scene.id) out.push({ actor, zone });
+    }
+  }
+  return out;
+}
+
+/** Redraw the zones of the current scene. */
+export function refreshSuppressionOverlays() {
+  const drawManager = game.spaceholder?.drawManager;
+  if (!drawManager?.drawSuppressionZones) return;
+  drawManager.drawSuppressionZones(listSceneSuppressionZones().map(({ zone }) => zone));
+}
+
+/**
+ * Lay down a suppression zone. AP is paid by the caller.
+ *
+ * @param {object} args
+ * @param {Actor} args.actor shooter
+ * @param {Token} args.token shooter token
+ * @param {Item} args.weaponItem
+ * @param {string} args.lineId
+ * @param {object} args.mode effective mode (`mode.suppression`)
+ * @param {{x:number, y:number}} args.aim aimed point
+ * @returns {Promise<{ok: boolean, reason?: string, zone?: object}>}
+ */
+export async function startSuppression({ actor, token, weaponItem, lineId, mode, aim }) {
+  const combat = game.combat?.started ? game.combat : null;
+  if (!combat) return { ok: false, reason: 'noCombat' };
+  const combatant = combat.combatants?.find?.((c) => String(c.tokenId ?? '') === String(token?.id ?? '')) ?? null;
+  if (!combatant) return { ok: false, reason: 'notCombatant' };
+
+  const params = normalizeSuppressionParams(mode?.suppression);
+  const state = combat.getFlag(MODULE_NS, FLAG_COMBAT_STATE) ?? {};
+  const zone = {
+    id: foundry.utils.randomID(),
+    sceneId: token.scene?.id ?? canvas.scene?.id ?? null,
+    tokenId: token.id,
+    combatId: combat.id,
+    combatantId: combatant.id,
+    turnStarts: Number(state.startedTurnsByCombatant?.[combatant.id]) || 0,
+    weaponItemUuid: weaponItem.uuid,
+    weaponName: weaponItem.name,
+    lineId,
+    modeId: mode.id,
+    spreadDeg: params.spreadDeg,
+    roundsLeft: params.rounds,
+    seenMoves: {},
+    ...buildSuppressionZone({ origin: token.center, aim, params, gridSize: canvas.grid?.size }),
+  };
+  // One zone per weapon line: a new one replaces the old.
+  const keep = _zones(actor).filter((z) => !(z.weaponItemUuid === zone.weaponItemUuid && z.lineId === lineId));
+  await actor.setFlag(MODULE_NS, FLAG_ZONES, [...keep, zone]);
+  await _chat(actor, _t('SPACEHOLDER.WeaponV3.Suppression.Started', { actor: actor.name, weapon: weaponItem.name }));
+  return { ok: true, zone };
+}
+
+/**
+ * Remove a zone.
+ * @param {Actor} actor shooter
+ * @param {string} zoneId
+ * @param {string} reason key of `SPACEHOLDER.WeaponV3.Suppression.EndReasons`
+ */
+export async function endSuppression(actor, zoneId, reason) {
+  const zones = _zones(actor);
+  const zone = zones.find((z) => z.id === zoneId);
+  if (!zone) return;
+  await actor.setFlag(MODULE_NS, FLAG_ZONES, zones.filter((z) => z.id !== zoneId));
+  await _chat(actor, _t('SPACEHOLDER.WeaponV3.Suppression.Ended', {
+    weapon: zone.weaponName,
+    reason: _t(`SPACEHOLDER.WeaponV3.Suppression.EndReasons.${reason}`),
+  }));
+}
+
+/**
+ * Extra AP of a move through other actors' zones.
+ * @param {TokenDocument} tokenDoc moving token
+ * @param {{x:number, y:number}|null} from top-left before the move
+ * @param {{x:number, y:number}|null} to top-left after the move
+ * @param {number} baseAp AP of the move
+ * @returns {number}
+ */
+export function getSuppressionMoveApPenalty(tokenDoc, from, to, baseAp) {
+  const actor = tokenDoc?.actor;
+  const scene = tokenDoc?.parent ?? null;
+  if (!actor || !scene) return 0;
+  const a = _centerAt(tokenDoc, from);
+  const b = _centerAt(tokenDoc, to);
+  const step = _pathStepPx(scene);
+  const crossed = listSceneSuppressionZones(scene)
+    .filter(({ actor: shooter, zone }) => shooter.uuid !== actor.uuid && pathInSuppressionZone(zone, a, b, step));
+  return suppressionMoveApPenalty(baseAp, crossed.length, _config());
+}
+
+/**
+ * One hit roll of the zone at `targetToken`: one shot of the line through the
+ * aiming manager, so heat, wear, recoil and malfunctions apply as to any shot.
+ * @returns {Promise<{ok: boolean, end?: string, hits?: number}>}
+ */
+async function _fireSuppressionShot(shooter, zone, targetToken) {
+  const shooterToken = canvas.scene?.tokens?.get(zone.tokenId)?.object ?? null;
+  let weaponItem = null;
+  try {
+    weaponItem = await fromUuid(zone.weaponItemUuid);
+  } catch (_) {
+    weaponItem = null;
+  }
+  if (!shooterToken || !weaponItem) return { ok: false, end: 'gone' };
+
+  const eff = resolveEffectiveAttackParams(getWeaponData(weaponItem), zone.lineId, zone.modeId, {
+    attachmentMods: getAttachmentModifiers(shooter, weaponItem),
+  });
+  if (!eff || isMeleeLine(eff.line)) return { ok: false, end: 'gone' };
+  const aimingManager = game.spaceholder?.aimingManager;
+  if (!aimingManager?.fireSuppressionShot) return { ok: false, end: 'gone' };
+
+  const res = await aimingManager.fireSuppressionShot({
+    token: shooterToken,
+    actor: shooter,
+    weaponItem,
+    lineId: zone.lineId,
+    modeId: zone.modeId,
+    target: targetToken,
+    spreadDeg: zone.spreadDeg,
+  });
+  if (!res.shots) return { ok: false, end: res.end ?? 'gone' };
+
+  await _chat(shooter, _t('SPACEHOLDER.WeaponV3.Suppression.Shot', {
+    shooter: shooter.name,
+    target: targetToken.name,
+    weapon: weaponItem.name,
+    hits: res.hits,
+  }));
+  return { ok: true, end: res.end ?? undefined, hits: res.hits };
+}
+
+/**
+ * Shooter's side of a trigger: re-check the zone, roll, then spend a hit roll
+ * or end the zone.
+ * @param {object} args
+ * @param {Actor} args.shooter
+ * @param {string} args.zoneId
+ * @param {string} args.tokenId token that moved or acted
+ * @param {string} [args.movementId] its move through the zone, if any
+ */
+export function resolveSuppressionTrigger({ shooter, zoneId, tokenId, movementId = '' }) {
+  return _enqueue(async () => {
+    const zone = _zones(shooter).find((z) => z.id === zoneId);
+    if (!zone || zone.sceneId !== canvas.scene?.id) return;
+    if (movementId && zone.seenMoves?.[tokenId] === movementId) return;
+    const target = canvas.scene.tokens.get(tokenId)?.object ?? null;
+    if (!target) return;
+
+    let res;
+    try {
+      res = await _fireSuppressionShot(shooter, zone, target);
+    } catch (e) {
+      console.error('SpaceHolder | suppression hit roll failed', e);
+      return;
+    }
+
+    const roundsLeft = res.ok ? zone.roundsLeft - 1 : zone.roundsLeft;
+    const end = res.end ?? (roundsLeft <= 0 ? 'spent' : null);
+    if (end) {
+      await endSuppression(shooter, zone.id, end);
+      return;
+    }
+    const next = {
+      ...zone,
+      roundsLeft,
+      seenMoves: movementId ? { ...(zone.seenMoves ?? {}), [tokenId]: movementId } : zone.seenMoves,
+    };
+    await shooter.setFlag(MODULE_NS, FLAG_ZONES, _zones(shooter).map((z) => (z.id === zone.id ? next : z)));
+  });
+}
+
+/**
+ * Acting client: the actor spent personal time — every zone its token stands
+ * in or moved through draws a hit roll.
+ * @param {Actor} actor
+ * @param {{seconds: number}} payload
+ */
+export function onPersonalTimeAdvancedSuppression(actor, payload) {
+  if (!actor?.isOwner || !(Number(payload?.seconds) > 0)) return;
+  const token = _actorToken(actor);
+  const tokenDoc = token?.document ?? null;
+  if (!tokenDoc || tokenDoc.parent?.id !== canvas.scene?.id) return;
+
+  const movement = tokenDoc.movement ?? null;
+  const movementId = String(movement?.id ?? '').trim();
+  const from = _centerAt(tokenDoc, movement?.origin);
+  const to = _centerAt(tokenDoc, movement?.destination);
+  const step = _pathStepPx(tokenDoc.parent);
+
+  for (const { actor: shooter, zone } of listSceneSuppressionZones()) {
+    if (shooter.uuid === actor.uuid) continue;
+    const inside = pointInSuppressionZone(zone, token.center);
+    const crossed = !!movementId && zone.seenMoves?.[tokenDoc.id] !== movementId
+      && pathInSuppressionZone(zone, from, to, step);
+    if (!inside && !crossed) continue;
+    const request = { zoneId: zone.id, tokenId: tokenDoc.id, movementId: crossed ? movementId : '' };
+    if (_isResponder(shooter)) {
+      void resolveSuppressionTrigger({ shooter, ...request });
+      continue;
+    }
+    const targetUserId = _responderFor(shooter)?.id;
+    if (!targetUserId) continue;
+    try {
+      game.socket.emit(_socketName(), {
+        type: SOCKET_TYPE,
+        op: 'trigger',
+        targetUserId,
+        shooterUuid: shooter.uuid,
+        ...request,
+      });
+    } catch (e) {
+      console.error('SpaceHolder | Suppression: socket.emit failed', e);
+    }
+  }
+}
+
+/**
+ * The shooter's turn came back: end its zones of this combat.
+ * @param {Combat} combat
+ */
+async function _onCombatStateChanged(combat) {
+  const state = combat?.getFlag?.(MODULE_NS, FLAG_COMBAT_STATE) ?? {};
+  for (const combatant of combat?.combatants ?? []) {
+    const actor = combatant.actor;
+    if (!_isResponder(actor)) continue;
+    const started = Number(state.startedTurnsByCombatant?.[combatant.id]) || 0;
+    for (const zone of _zones(actor)) {
+      if (zone.combatId === combat.id && zone.combatantId === combatant.id && started > zone.turnStarts) {
+        await _enqueue(() => endSuppression(actor, zone.id, 'turn'));
+      }
+    }
+  }
+}
+
+async function _onCombatDeleted(combat) {
+  for (const combatant of combat?.combatants ?? []) {
+    const actor = combatant.actor;
+    if (!_isResponder(actor)) continue;
+    for (const zone of _zones(actor)) {
+      if (zone.combatId === combat.id) await _enqueue(() => endSuppression(actor, zone.id, 'combat'));
+    }
+  }
+}
+
+export function installSuppressionSocketHandlers() {
+  if (_socketInstalled) return;
+  _socketInstalled = true;
+  if (!game?.socket?.on) return;
+
+  game.socket.on(_socketName(), async (msg) => {
+    try {
+      if (!msg || msg.type !== SOCKET_TYPE || msg.op !== 'trigger') return;
+      if (msg.targetUserId !== game.user?.id) return;
+      const shooter = fromUuidSync(String(msg.shooterUuid ?? ''));
+      if (!shooter) return;
+      await resolveSuppressionTrigger({
+        shooter,
+        zoneId: String(msg.zoneId ?? ''),
+        tokenId: String(msg.tokenId ?? ''),
+        movementId: String(msg.movementId ?? ''),
+      });
+    } catch (e) {
+      console.error('SpaceHolder | Suppression: socket message handler crashed', e);
+    }
+  });
+}
+
+export function registerSuppressionHooks() {
+  Hooks.on('spaceholder.personalTimeAdvanced', (actor, payload) => {
+    onPersonalTimeAdvancedSuppression(actor, payload);
+  });
+  Hooks.on('updateCombat', (combat, changes) => {
+    if (!foundry.utils.hasProperty(changes ?? {}, `flags.${MODULE_NS}.${FLAG_COMBAT_STATE}`)) return;
+    void _onCombatStateChanged(combat);
+  });
+  Hooks.on('deleteCombat', (combat) => {
+    void _onCombatDeleted(combat);
+  });
+  Hooks.on('updateActor', (actor, changes) => {
+    if (foundry.utils.hasProperty(changes ?? {}, `flags.${MODULE_NS}.${FLAG_ZONES}`)) refreshSuppressionOverlays();
+  });
+  Hooks.on('canvasReady', () => refreshSuppressionOverlays());
+  refreshSuppressionOverlays();
+}
@@ -0,0 +1,172 @@
+/**
+ * Suppressive fire — fire mode `suppress`.
+ *
+ * Instead of a shot the shooter designates a zone (`mode.suppression`):
+ *  - **cone** — from the shooter towards the aim, `arcDeg` wide and
+ *    `rangeCells` long;
+ *  - **area** — a circle of `radiusCells` around the aimed point.
+ *
+ * Until the shooter's next turn comes back, any other token that moves or
+ * acts inside the zone (spends personal time there, or moves through it)
+ * draws a hit roll: a shot of the line flies at it with ±`spreadDeg` extra
+ * deviation and resolves through the trajectory like any other shot. Every
+ * hit roll takes one shot of ammo from the line; the zone ends after
+ * `rounds` hit rolls or when the line cannot fire. Moving through an enemy
+ * zone also costs `moveApPenaltyPct` % more AP. There is no morale stat in
+ * the system yet, so the zone has no morale penalty — only the AP one.
+ *
+ * Geometry is in canvas pixels, angles in degrees (atan2 of the canvas axes,
+ * as the aiming direction). The module is pure — it does not import Foundry.
+ */
+
+export const SUPPRESSION_SHAPES = Object.freeze({
+  CONE: 'cone',
+  AREA: 'area',
+});
+
+export const SUPPRESSION_SHAPE_LIST = Object.freeze(Object.values(SUPPRESSION_SHAPES));
+
+export const SUPPRESSION_DEFAULTS = Object.freeze({
+  shape: SUPPRESSION_SHAPES.CONE,
+  arcDeg: 30,
+  rangeCells: 15,
+  radiusCells: 2,
+  rounds: 10,
+  spreadDeg: 5,
+});
+
+const CONFIG_DEFAULTS = Object.freeze({
+  moveApPenaltyPct: 50,
+  pathStepCells: 0.5,
+});
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * `mode.suppression`.
+ * @param {unknown} raw
+ * @returns {{shape:string, arcDeg:number, rangeCells:number, radiusCells:number, rounds:number, spreadDeg:number}}
+ */
+export function normalizeSuppressionParams(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const d = SUPPRESSION_DEFAULTS;
+  return {
+    shape: SUPPRESSION_SHAPE_LIST.includes(src.shape) ? src.shape : d.shape,
+    arcDeg: Math.min(360, Math.max(1, _num(src.arcDeg, d.arcDeg))),
+    rangeCells: Math.max(1, _num(src.rangeCells, d.rangeCells)),
+    radiusCells: Math.max(0.5, _num(src.radiusCells, d.radiusCells)),
+    rounds: Math.max(1, Math.floor(_num(src.rounds, d.rounds))),
+    spreadDeg: Math.max(0, _num(src.spreadDeg, d.spreadDeg)),
+  };
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.suppression`
+ * @returns {{moveApPenaltyPct:number, pathStepCells:number}}
+ */
+export function normalizeSuppressionConfig(config = null) {
+  const src = config && typeof config === 'object' ? config : {};
+  return {
+    moveApPenaltyPct: Math.max(0, _num(src.moveApPenaltyPct, CONFIG_DEFAULTS.moveApPenaltyPct)),
+    pathStepCells: Math.max(0.1, _num(src.pathStepCells, CONFIG_DEFAULTS.pathStepCells)),
+  };
+}
+
+/**
+ * Zone geometry from the shooter position and the aimed point.
+ * @param {object} args
+ * @param {{x:number, y:number}} args.origin shooter centre
+ * @param {{x:number, y:number}} args.aim aimed point
+ * @param {object} args.params `mode.suppression`
+ * @param {number} args.gridSize px per cell
+ * @returns {{shape:string, x:number, y:number, direction:number, arcDeg:number, range:number, radius:number}}
+ */
+export function buildSuppressionZone({ origin, aim, params, gridSize } = {}) {
+  const p = normalizeSuppressionParams(params);
+  const size = Math.max(1, _num(gridSize, 100));
+  const ox = _num(origin?.x, 0);
+  const oy = _num(origin?.y, 0);
+  const ax = _num(aim?.x, ox);
+  const ay = _num(aim?.y, oy);
+  const direction = Math.atan2(ay - oy, ax - ox) * (180 / Math.PI);
+  if (p.shape === SUPPRESSION_SHAPES.AREA) {
+    return { shape: p.shape, x: ax, y: ay, direction, arcDeg: 360, range: 0, radius: p.radiusCells * size };
+  }
+  return { shape: p.shape, x: ox, y: oy, direction, arcDeg: p.arcDeg, range: p.rangeCells * size, radius: 0 };
+}
+
+function _angleDelta(a, b) {
+  let d = Math.abs(a - b) % 360;
+  if (d > 180) d = 360 - d;
+  return d;
+}
+
+/**
+ * @param {object} zone {@link buildSuppressionZone}
+ * @param {{x:number, y:number}} point
+ * @returns {boolean}
+ */
+export function pointInSuppressionZone(zone, point) {
+  if (!zone || !point) return false;
+  const dx = _num(point.x, NaN) - _num(zone.x, 0);
+  const dy = _num(point.y, NaN) - _num(zone.y, 0);
+  if (!Number.isFinite(dx) || !Number.isFinite(dy)) return false;
+  const dist = Math.hypot(dx, dy);
+  if (zone.shape === SUPPRESSION_SHAPES.AREA) return dist <= _num(zone.radius, 0);
+  if (dist > _num(zone.range, 0)) return false;
+  if (dist === 0 || _num(zone.arcDeg, 0) >= 360) return true;
+  const angle = Math.atan2(dy, dx) * (180 / Math.PI);
+  return _angleDelta(angle, _num(zone.direction, 0)) <= _num(zone.arcDeg, 0) / 2;
+}
+
+/**
+ * Does a straight move from `from` to `to` pass through the zone.
+ * @param {object} zone
+ * @param {{x:number, y:number}} from
+ * @param {{x:number, y:number}} to
+ * @param {number} stepPx sampling step along the path
+ * @returns {boolean}
+ */
+export function pathInSuppressionZone(zone, from, to, stepPx) {
+  if (!from || !to) return pointInSuppressionZone(zone, to ?? from);
+  const length = Math.hypot(_num(to.x, 0) - _num(from.x, 0), _num(to.y, 0) - _num(from.y, 0));
+  const steps = Math.max(1, Math.ceil(length / Math.max(1, _num(stepPx, 50))));
+  for (let i = 0; i <= steps; i += 1) {
+    const t = i / steps;
+    const point = {
+      x: _num(from.x, 0) + (_num(to.x, 0) - _num(from.x, 0)) * t,
+      y: _num(from.y, 0) + (_num(to.y, 0) - _num(from.y, 0)) * t,
+    };
+    if (pointInSuppressionZone(zone, point)) return true;
+  }
+  return false;
+}
+
+/**
+ * Extra AP of a move through `zoneCount` enemy zones (zones do not stack).
+ * @param {number} baseAp AP of the move
+ * @param {number} zoneCount
+ * @param {object} [config]
+ * @returns {number}
+ */
+export function suppressionMoveApPenalty(baseAp, zoneCount, config) {
+  if (!(zoneCount > 0)) return 0;
+  const cfg = normalizeSuppressionConfig(config);
+  return Math.ceil(Math.max(0, _num(baseAp, 0)) * cfg.moveApPenaltyPct / 100);
+}
+
+/**
+ * Direction of a hit roll: at the target, off by up to ±`spreadDeg`.
+ * @param {{x:number, y:number}} from
+ * @param {{x:number, y:number}} to
+ * @param {number} spreadDeg
+ * @param {() => number} [random]
+ * @returns {number} degrees
+ */
+export function suppressionShotDirection(from, to, spreadDeg, random = Math.random) {
+  const base = Math.atan2(_num(to?.y, 0) - _num(from?.y, 0), _num(to?.x, 0) - _num(from?.x, 0)) * (180 / Math.PI);
+  return base + (random() * 2 - 1) * Math.max(0, _num(spreadDeg, 0));
+}
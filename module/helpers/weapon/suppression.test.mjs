@@ -0,0 +1,90 @@
+/**
+ * Smoke tests for suppressive fire. Runs in plain Node (no Foundry globals required).
+ * Execute with:
+ *   node module/helpers/weapon/suppression.test.mjs
+ */
+
+import {
+  buildSuppressionZone,
+  normalizeSuppressionParams,
+  pathInSuppressionZone,
+  pointInSuppressionZone,
+  suppressionMoveApPenalty,
+  suppressionShotDirection
+} from './suppression.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+const origin = { x: 0, y: 0 };
+
+/* ---- Zone ----------------------------------------------------------- */
+{
+  const params = normalizeSuppressionParams({ shape: 'wall', arcDeg: 720, rounds: 0.5 });
+  assert('params fall back and clamp', params.shape === 'cone' && params.arcDeg === 360 && params.rounds === 1);
+
+  const cone = buildSuppressionZone({ origin, aim: { x: 0, y: 300 }, params: { arcDeg: 60, rangeCells: 5 }, gridSize: 100 });
+  assert('cone starts at the shooter', cone.shape === 'cone' && cone.x === 0 && cone.y === 0);
+  assert('cone points at the aim', close(cone.direction, 90), String(cone.direction));
+  assert('cone range in px', cone.range === 500 && cone.arcDeg === 60 && cone.radius === 0);
+
+  const area = buildSuppressionZone({ origin, aim: { x: 400, y: 0 }, params: { shape: 'area', radiusCells: 1.5 }, gridSize: 100 });
+  assert('area centred on the aim', area.shape === 'area' && area.x === 400 && area.y === 0 && area.radius === 150);
+}
+
+/* ---- Inside --------------------------------------------------------- */
+{
+  const cone = buildSuppressionZone({ origin, aim: { x: 100, y: 0 }, params: { arcDeg: 60, rangeCells: 5 }, gridSize: 100 });
+  assert('point on the axis is inside', pointInSuppressionZone(cone, { x: 300, y: 0 }));
+  assert('point within the half-arc is inside', pointInSuppressionZone(cone, { x: 300, y: 150 }));
+  assert('point outside the arc is out', !pointInSuppressionZone(cone, { x: 300, y: 250 }));
+  assert('point past the range is out', !pointInSuppressionZone(cone, { x: 501, y: 0 }));
+  assert('point behind the shooter is out', !pointInSuppressionZone(cone, { x: -100, y: 0 }));
+  assert('shooter position is inside', pointInSuppressionZone(cone, origin));
+
+  const back = buildSuppressionZone({ origin, aim: { x: -100, y: -1 }, params: { arcDeg: 20 }, gridSize: 100 });
+  assert('arc wraps across ±180°', pointInSuppressionZone(back, { x: -300, y: 10 }));
+
+  const area = buildSuppressionZone({ origin, aim: { x: 400, y: 0 }, params: { shape: 'area', radiusCells: 1 }, gridSize: 100 });
+  assert('area edge is inside', pointInSuppressionZone(area, { x: 500, y: 0 }) && !pointInSuppressionZone(area, { x: 501, y: 0 }));
+  assert('bad point is out', !pointInSuppressionZone(area, { x: 'a', y: 0 }) && !pointInSuppressionZone(null, { x: 400, y: 0 }));
+}
+
+/* ---- Path ----------------------------------------------------------- */
+{
+  const area = buildSuppressionZone({ origin, aim: { x: 400, y: 0 }, params: { shape: 'area', radiusCells: 1 }, gridSize: 100 });
+  assert('move across the zone is caught', pathInSuppressionZone(area, { x: 400, y: -300 }, { x: 400, y: 300 }, 50));
+  assert('move past the zone is clear', !pathInSuppressionZone(area, { x: 600, y: -300 }, { x: 600, y: 300 }, 50));
+  assert('coarse step can skip a thin crossing', !pathInSuppressionZone(area, { x: 490, y: -300 }, { x: 490, y: 300 }, 1000));
+  assert('no start — end point checked', pathInSuppressionZone(area, null, { x: 400, y: 0 }, 50));
+}
+
+/* ---- Penalties and shots -------------------------------------------- */
+{
+  assert('move through a zone costs 50% more AP', suppressionMoveApPenalty(30, 1) === 15);
+  assert('zones do not stack', suppressionMoveApPenalty(30, 3) === 15);
+  assert('no zones — no penalty', suppressionMoveApPenalty(30, 0) === 0);
+  assert('penalty rounds up', suppressionMoveApPenalty(25, 1) === 13);
+  assert('config sets the penalty', suppressionMoveApPenalty(30, 1, { moveApPenaltyPct: 100 }) === 30);
+
+  const target = { x: 0, y: 100 };
+  assert('hit roll aims at the target', close(suppressionShotDirection(origin, target, 5, () => 0.5), 90));
+  assert('hit roll deviates up to the spread', close(suppressionShotDirection(origin, target, 5, () => 0), 85)
+    && close(suppressionShotDirection(origin, target, 5, () => 1), 95));
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll suppression smoke tests passed.');
+}
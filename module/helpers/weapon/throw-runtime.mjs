@@ -0,0 +1,333 @@
+/**
+ * Throwing a held item: pick a point on the canvas, fly (throwing.mjs), land
+ * as an item pile (item-piles-sh) and, for a grenade, arm the fuse
+ * (fuse-personal-time.mjs).
+ *
+ * AP are spent by the action (action-service) between planning and landing,
+ * so the flight — including what it hits — is known before the commit.
+ */
+
+import { activeDamageEntries, buildProjectileFromDamageEntries } from './damage-profile.mjs';
+import { getWeaponData } from './weapon-ammo-runtime.mjs';
+import { isMeleeLine } from './weapon-model.mjs';
+import { applyMeleeStrikeType } from './melee.mjs';
+import {
+  normalizeThrowConfig,
+  planThrowFlight,
+  scatterThrow,
+  throwRangeCells,
+} from './throwing.mjs';
+import { armThrowFuse } from './fuse-personal-time.mjs';
+import { buildVerticalProfile, slopeBetween } from './elevation.mjs';
+import { elevationConfig, pxPerSceneUnit, shotVerticalStart } from './elevation-runtime.mjs';
+import { computeItemStackFingerprint, isPileLootActor } from '../item-piles-sh/stack-fingerprint.mjs';
+
+const MODULE_NS = 'spaceholder';
+
+function _t(key, data = null) {
+  const i18n = game.i18n;
+  if (!i18n) return key;
+  return data ? i18n.format(key, data) : i18n.localize(key);
+}
+
+function _config() {
+  return CONFIG.SPACEHOLDER?.throwing ?? null;
+}
+
+function _pilesApi() {
+  if (!game.settings.get(MODULE_NS, 'itemPilesShEnabled')) return null;
+  const api = game.spaceholder?.itemPilesSh?.api;
+  return api?.dropData ? api : null;
+}
+
+/**
+ * Throw range of one `item` for `actor`, px.
+ * @param {Actor} actor
+ * @param {Item} item
+ * @returns {number}
+ */
+export function getThrowRangePx(actor, item) {
+  const cells = throwRangeCells({
+    strength: Number(actor?.system?.abilities?.str?.value) || 0,
+    weight: Number(item?.system?.weight) || 0,
+    config: _config(),
+  });
+  return cells * (canvas?.grid?.size ?? 100);
+}
+
+/**
+ * The thrown weapon's strike: untyped damage of its first melee line.
+ * @param {Item} item
+ * @returns {Array<object>}
+ */
+function _thrownWeaponDamage(item) {
+  if (!item?.system?.itemTags?.isWeapon) return [];
+  const line = getWeaponData(item).lines.find(isMeleeLine);
+  if (!line) return [];
+  return activeDamageEntries(applyMeleeStrikeType(line.damage, line.melee.strike));
+}
+
+/**
+ * Grenade fuse of an ammo item, or `null`.
+ * @param {Item} item
+ * @returns {{fuse:object, damage:Array<object>}|null}
+ */
+function _grenadeOf(item) {
+  if (!item?.system?.itemTags?.isAmmo) return null;
+  const ammo = getWeaponData(item).ammo;
+  if (!ammo.fuse.enabled) return null;
+  return { fuse: ammo.fuse, damage: activeDamageEntries(ammo.damage) };
+}
+
+function _castRay(token) {
+  const shotManager = game.spaceholder?.shotManager;
+  // The first leg is a lob from the hand down to the ground (elevation.mjs):
+  // it clears low walls and the tokens on its way. After a bounce the item
+  // skids along the ground.
+  const start = shotVerticalStart(token);
+  const ground = Number(token.document?.elevation) || 0;
+  const pxPerUnit = pxPerSceneUnit(token.scene);
+  let leg = 0;
+  return (from, to) => {
+    let vertical = null;
+    if (start) {
+      const length = Math.hypot(to.x - from.x, to.y - from.y) / pxPerUnit;
+      vertical = leg === 0
+        ? buildVerticalProfile({
+          z0: start.z,
+          slope: slopeBetween(start.z, ground, length),
+          arc: elevationConfig().throwArcRatio * length,
+          length,
+          pxPerUnit,
+        })
+        : buildVerticalProfile({ z0: ground, pxPerUnit });
+    }
+    leg += 1;
+    const segment = { type: 'line', start: from, end: to, collision: { walls: true, tokens: true }, vertical };
+    const hits = shotManager?.isHit?.(segment, [token]) ?? [];
+    for (const hit of hits) {
+      if (hit.type === 'wall') return { point: hit.point, wall: hit.object.document.c };
+      if (hit.type === 'token' && !isPileLootActor(hit.object?.actor)) {
+        return { point: hit.point, token: hit.object, pitchDeg: hit.details?.pitchDeg ?? 0 };
+      }
+    }
+    return null;
+  };
+}
+
+function _clampToRange(origin, point, rangePx) {
+  const dx = point.x - origin.x;
+  const dy = point.y - origin.y;
+  const dist = Math.hypot(dx, dy);
+  if (dist <= rangePx || !dist) return { x: point.x, y: point.y };
+  return { x: origin.x + (dx / dist) * rangePx, y: origin.y + (dy / dist) * rangePx };
+}
+
+/**
+ * Let the user pick where to throw: LMB — throw, RMB / Escape — cancel.
+ * @param {Token} token
+ * @param {number} rangePx
+ * @returns {Promise<{x:number, y:number}|null>}
+ */
+export function pickThrowPoint(token, rangePx) {
+  return new Promise((resolve) => {
+    const graphics = new PIXI.Graphics();
+    canvas.controls.addChild(graphics);
+
+    const draw = () => {
+      const c = token.center;
+      const p = _clampToRange(c, canvas.mousePosition, rangePx);
+      graphics.clear();
+      graphics.lineStyle(2, 0xffaa00, 0.35);
+      graphics.drawCircle(c.x, c.y, rangePx);
+      graphics.lineStyle(2, 0xffaa00, 0.9);
+      graphics.moveTo(c.x, c.y);
+      graphics.lineTo(p.x, p.y);
+      graphics.drawCircle(p.x, p.y, 8);
+    };
+
+    const onMove = () => draw();
+    const onDown = (event) => {
+      if (event.data?.button !== 0) return;
+      event.stopPropagation();
+      finish(_clampToRange(token.center, canvas.mousePosition, rangePx));
+    };
+    const onContextMenu = (event) => {
+      event.preventDefault();
+      finish(null);
+    };
+    const onKeyDown = (event) => {
+      if (event.code !== 'Escape') return;
+      event.preventDefault();
+      finish(null);
+    };
+    const finish = (point) => {
+      canvas.stage.off('mousemove', onMove);
+      canvas.stage.off('mousedown', onDown);
+      document.removeEventListener('contextmenu', onContextMenu);
+      document.removeEventListener('keydown', onKeyDown);
+      graphics.destroy();
+      resolve(point);
+    };
+
+    canvas.stage.on('mousemove', onMove);
+    canvas.stage.on('mousedown', onDown);
+    document.addEventListener('contextmenu', onContextMenu);
+    document.addEventListener('keydown', onKeyDown);
+    draw();
+  });
+}
+
+/**
+ * Pick the target point and plan the flight. Nothing is changed yet.
+ *
+ * @param {Actor} actor
+ * @param {Item} item held item
+ * @param {Token|null} token thrower's token
+ * @returns {Promise<object|null>} plan for {@link landThrownItem}, `null` — cancelled
+ */
+export async function planItemThrow(actor, item, token) {
+  if (!actor || !item) return null;
+  if (!_pilesApi()) {
+    ui.notifications?.warn?.(_t('SPACEHOLDER.Inventory.HeldActions.DropItemPilesDisabled'));
+    return null;
+  }
+  if (!canvas?.scene || !token?.center) {
+    ui.notifications?.warn?.(_t('SPACEHOLDER.Inventory.HeldActions.DropNoToken'));
+    return null;
+  }
+  const config = _config();
+  const rangePx = getThrowRangePx(actor, item);
+  const target = await pickThrowPoint(token, rangePx);
+  if (!target) return null;
+
+  const origin = { x: token.center.x, y: token.center.y };
+  const aimed = scatterThrow({
+    direction: (Math.atan2(target.y - origin.y, target.x - origin.x) * 180) / Math.PI,
+    distance: Math.hypot(target.x - origin.x, target.y - origin.y),
+    range: rangePx,
+    config,
+  });
+  const flight = planThrowFlight({
+    origin,
+    direction: aimed.direction,
+    distance: aimed.distance,
+    castRay: _castRay(token),
+    config,
+  });
+  const gridSize = canvas.grid.size;
+  return {
+    sceneId: canvas.scene.id,
+    flight,
+    cells: Math.hypot(flight.landing.x - origin.x, flight.landing.y - origin.y) / gridSize,
+    apCost: Math.round(normalizeThrowConfig(config).apCost),
+    grenade: _grenadeOf(item),
+    strike: flight.token ? _thrownWeaponDamage(item) : [],
+  };
+}
+
+/**
+ * One-line description of a planned throw (chat / combat journal).
+ * @param {object} plan {@link planItemThrow}
+ * @returns {string}
+ */
+export function describeThrow(plan) {
+  const parts = [_t('SPACEHOLDER.ActionsSystem.Throw.Description', { cells: plan.cells.toFixed(1) })];
+  if (plan.flight.bounces) parts.push(_t('SPACEHOLDER.ActionsSystem.Throw.Bounces', { count: plan.flight.bounces }));
+  if (plan.flight.token) {
+    parts.push(_t('SPACEHOLDER.ActionsSystem.Throw.HitToken', { target: plan.flight.token.name ?? '' }));
+  }
+  if (plan.grenade) parts.push(_t('SPACEHOLDER.ActionsSystem.Throw.Fuse', { seconds: plan.grenade.fuse.seconds }));
+  return parts.join(', ');
+}
+
+async function _strikeToken(actor, item, token, entries, origin, pitchDeg) {
+  const shotManager = game.spaceholder?.shotManager;
+  if (!shotManager || !entries.length) return;
+  const projectile = buildProjectileFromDamageEntries(entries);
+  await shotManager.applyImpactsToActors({ actualHits: [{ object: token, details: { pitchDeg } }] }, projectile, {
+    origin,
+    builderContext: {
+      shooterActorUuid: actor.uuid,
+      weaponItemUuid: item.uuid,
+      weaponName: item.name,
+    },
+    source: {
+      attackerUuid: actor.uuid,
+      attackerName: actor.name,
+      weaponUuid: item.uuid,
+      weaponName: item.name,
+      verbKey: 'throw',
+    },
+  });
+}
+
+/**
+ * Fly the item: strike the token it hit, put it on the map as an item pile
+ * at the landing point and arm a grenade's fuse.
+ *
+ * @param {Actor} actor
+ * @param {Item} item
+ * @param {object} plan {@link planItemThrow}
+ * @returns {Promise<boolean>}
+ */
+export async function landThrownItem(actor, item, plan) {
+  const api = _pilesApi();
+  const scene = game.scenes?.get?.(plan?.sceneId) ?? null;
+  if (!api || !scene) return false;
+
+  const path = plan.flight.path;
+  if (game.spaceholder?.drawManager && path.length > 1) {
+    game.spaceholder.drawManager.drawShot({
+      shotPaths: path.slice(1).map((end, i) => ({ type: 'line', start: path[i], end })),
+      shotHits: [],
+    });
+  }
+
+  if (plan.flight.token && plan.strike.length) {
+    try {
+      // The side struck comes from the last leg of the flight (after bounces).
+      await _strikeToken(actor, item, plan.flight.token, plan.strike, plan.flight.path.at(-2) ?? null, plan.flight.pitchDeg);
+    } catch (e) {
+      console.error('SpaceHolder | thrown weapon strike failed', e);
+    }
+  }
+
+  // The fingerprint finds the thrown stack in the pile later (the pile copy gets a new id).
+  const fingerprint = plan.grenade ? computeItemStackFingerprint(item.toObject()) : null;
+  const itemName = item.name;
+  const gridSize = canvas.grid.size;
+  const { landing } = plan.flight;
+  let dropped = null;
+  try {
+    dropped = await api.dropData({
+      dropData: {
+        type: 'Item',
+        uuid: item.uuid,
+        x: landing.x - gridSize / 2,
+        y: landing.y - gridSize / 2,
+        quantity: 1,
+      },
+      sceneId: scene.id,
+    });
+  } catch (e) {
+    console.error('SpaceHolder | failed to throw item via item-piles-sh:', e);
+    ui.notifications?.warn?.(_t('SPACEHOLDER.Inventory.HeldActions.DropFailed'));
+    return false;
+  }
+
+  if (plan.grenade) {
+    await armThrowFuse(actor, {
+      sceneId: scene.id,
+      tokenId: dropped?.tokenId ?? null,
+      x: landing.x,
+      y: landing.y,
+      itemName,
+      fingerprint,
+      seconds: plan.grenade.fuse.seconds,
+      payloadId: plan.grenade.fuse.payloadId,
+      damage: plan.grenade.damage,
+    });
+  }
+  return true;
+}
@@ -0,0 +1,224 @@
+/**
+ * Throwing — range, scatter and flight of a thrown item, and grenade fuses.
+ *
+ * Any held item can be thrown. Range, in grid cells, clamped to
+ * [minCells, maxCells]:
+ *
+ *   STR × cellsPerStr − max(0, weight − freeWeight) × cellsPerKg
+ *
+ * The throw lands off the aimed point: up to ±`deviationDeg` of direction and
+ * ±`distanceSpread` of distance, both growing with the share of the range used.
+ *
+ * In flight the item bounces off walls (up to `maxBounces`, reflecting off the
+ * wall line); every bounce keeps `bounceDamping` of the distance still to go.
+ * A token in the way stops the flight — a thrown weapon strikes it with its
+ * first melee line.
+ *
+ * Grenade: an ammo item with `weapon.ammo.fuse.enabled`. After landing it waits
+ * `fuse.seconds` of the thrower's personal time and then sets off the
+ * `fuse.payloadId` payload (`explosion` by default) with `weapon.ammo.damage`.
+ * The countdown runs on the thrower's clock only: no other actor's time sets
+ * it off (see fuse-personal-time.mjs).
+ *
+ * The module is pure — it does not import Foundry.
+ */
+
+export const THROW_DEFAULTS = Object.freeze({
+  enabled: true,
+  apCost: 30,
+  cellsPerStr: 1,
+  freeWeight: 0.5,
+  cellsPerKg: 2,
+  minCells: 1,
+  maxCells: 30,
+  deviationDeg: 10,
+  distanceSpread: 0.2,
+  maxBounces: 2,
+  bounceDamping: 0.5,
+});
+
+export const FUSE_DEFAULTS = Object.freeze({
+  seconds: 4,
+  payloadId: 'explosion',
+});
+
+/** Step back from a wall after hitting it, px — keeps the next leg off the same wall. */
+const WALL_NUDGE_PX = 1;
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.throwing`
+ * @returns {object}
+ */
+export function normalizeThrowConfig(config = null) {
+  const raw = config && typeof config === 'object' ? config : {};
+  const d = THROW_DEFAULTS;
+  const minCells = Math.max(0, _num(raw.minCells, d.minCells));
+  return {
+    enabled: raw.enabled !== false,
+    apCost: Math.max(0, _num(raw.apCost, d.apCost)),
+    cellsPerStr: Math.max(0, _num(raw.cellsPerStr, d.cellsPerStr)),
+    freeWeight: Math.max(0, _num(raw.freeWeight, d.freeWeight)),
+    cellsPerKg: Math.max(0, _num(raw.cellsPerKg, d.cellsPerKg)),
+    minCells,
+    maxCells: Math.max(minCells, _num(raw.maxCells, d.maxCells)),
+    deviationDeg: Math.max(0, _num(raw.deviationDeg, d.deviationDeg)),
+    distanceSpread: Math.min(1, Math.max(0, _num(raw.distanceSpread, d.distanceSpread))),
+    maxBounces: Math.max(0, Math.floor(_num(raw.maxBounces, d.maxBounces))),
+    bounceDamping: Math.min(1, Math.max(0, _num(raw.bounceDamping, d.bounceDamping))),
+  };
+}
+
+/**
+ * `weapon.ammo.fuse`.
+ * @param {unknown} raw
+ * @returns {{enabled:boolean, seconds:number, payloadId:string}}
+ */
+export function normalizeFuse(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  return {
+    enabled: src.enabled === true,
+    seconds: Math.max(0, _num(src.seconds, FUSE_DEFAULTS.seconds)),
+    payloadId: String(src.payloadId ?? '').trim() || FUSE_DEFAULTS.payloadId,
+  };
+}
+
+/**
+ * Throw range, grid cells.
+ *
+ * @param {object} args
+ * @param {number} args.strength thrower's STR
+ * @param {number} [args.weight] weight of one item, kg
+ * @param {object|null} [args.config]
+ * @returns {number}
+ */
+export function throwRangeCells({ strength, weight = 0, config = null } = {}) {
+  const cfg = normalizeThrowConfig(config);
+  const excess = Math.max(0, _num(weight, 0) - cfg.freeWeight);
+  const cells = Math.max(0, _num(strength, 0)) * cfg.cellsPerStr - excess * cfg.cellsPerKg;
+  return Math.min(cfg.maxCells, Math.max(cfg.minCells, cells));
+}
+
+/**
+ * Where the throw actually goes.
+ *
+ * @param {object} args
+ * @param {number} args.direction aimed direction, degrees
+ * @param {number} args.distance aimed distance (any unit, clamped to `range`)
+ * @param {number} args.range throw range, same unit
+ * @param {() => number} [args.random]
+ * @param {object|null} [args.config]
+ * @returns {{direction:number, distance:number}}
+ */
+export function scatterThrow({ direction, distance, range, random = Math.random, config = null } = {}) {
+  const cfg = normalizeThrowConfig(config);
+  const max = Math.max(0, _num(range, 0));
+  const aimed = Math.min(max, Math.max(0, _num(distance, 0)));
+  const share = max > 0 ? aimed / max : 0;
+  const dirOffset = (random() * 2 - 1) * cfg.deviationDeg * share;
+  const distMult = 1 + (random() * 2 - 1) * cfg.distanceSpread * share;
+  return {
+    direction: _num(direction, 0) + dirOffset,
+    distance: Math.min(max, aimed * distMult),
+  };
+}
+
+/**
+ * Direction after bouncing off a wall segment.
+ *
+ * @param {number} direction degrees
+ * @param {number[]} wall `[x1, y1, x2, y2]`
+ * @returns {number} degrees
+ */
+export function reflectDirection(direction, wall) {
+  const rad = (_num(direction, 0) * Math.PI) / 180;
+  const dx = Math.cos(rad);
+  const dy = Math.sin(rad);
+  const wx = _num(wall?.[2]) - _num(wall?.[0]);
+  const wy = _num(wall?.[3]) - _num(wall?.[1]);
+  const len = Math.hypot(wx, wy);
+  if (!len) return _num(direction, 0) + 180;
+  const ux = wx / len;
+  const uy = wy / len;
+  const dot = dx * ux + dy * uy;
+  return (Math.atan2(2 * dot * uy - dy, 2 * dot * ux - dx) * 180) / Math.PI;
+}
+
+/**
+ * Plan the flight of a thrown item.
+ *
+ * `castRay(from, to)` returns the first obstacle on the segment or `null`:
+ * `{point, wall: [x1, y1, x2, y2]}` or `{point, token, pitchDeg}`.
+ *
+ * @param {object} args
+ * @param {{x:number, y:number}} args.origin
+ * @param {number} args.direction degrees
+ * @param {number} args.distance px
+ * @param {(from:{x:number,y:number}, to:{x:number,y:number}) => object|null} args.castRay
+ * @param {object|null} [args.config]
+ * @returns {{path:Array<{x:number,y:number}>, landing:{x:number,y:number}, bounces:number, token:object|null, pitchDeg:number}}
+ *   `pitchDeg` — the angle the item came down on the token at
+ */
+export function planThrowFlight({ origin, direction, distance, castRay, config = null } = {}) {
+  const cfg = normalizeThrowConfig(config);
+  let pos = { x: _num(origin?.x), y: _num(origin?.y) };
+  let dir = _num(direction, 0);
+  let remaining = Math.max(0, _num(distance, 0));
+  const path = [pos];
+  let bounces = 0;
+  let token = null;
+  let pitchDeg = 0;
+
+  while (remaining > 0) {
+    const rad = (dir * Math.PI) / 180;
+    const dx = Math.cos(rad);
+    const dy = Math.sin(rad);
+    const end = { x: pos.x + dx * remaining, y: pos.y + dy * remaining };
+    const hit = typeof castRay === 'function' ? castRay(pos, end) : null;
+    if (!hit?.point) {
+      pos = end;
+      path.push(pos);
+      break;
+    }
+    const traveled = Math.hypot(hit.point.x - pos.x, hit.point.y - pos.y);
+    if (hit.token) {
+      pos = { x: hit.point.x, y: hit.point.y };
+      path.push(pos);
+      token = hit.token;
+      pitchDeg = _num(hit.pitchDeg, 0);
+      break;
+    }
+    const nudge = Math.min(WALL_NUDGE_PX, traveled);
+    pos = { x: hit.point.x - dx * nudge, y: hit.point.y - dy * nudge };
+    path.push(pos);
+    if (bounces >= cfg.maxBounces) break;
+    dir = reflectDirection(dir, hit.wall);
+    remaining = (remaining - traveled) * cfg.bounceDamping;
+    bounces += 1;
+  }
+
+  return { path, landing: pos, bounces, token, pitchDeg };
+}
+
+/**
+ * Fuses that go off by the personal-time total `now`.
+ *
+ * @param {Array<{detonateAt:number}>} fuses
+ * @param {number} now thrower's personal-time total, seconds
+ * @returns {{due:Array<object>, pending:Array<object>}}
+ */
+export function splitDueFuses(fuses, now) {
+  const t = _num(now, 0);
+  const due = [];
+  const pending = [];
+  for (const fuse of Array.isArray(fuses) ? fuses : []) {
+    if (!fuse || typeof fuse !== 'object') continue;
+    if (_num(fuse.detonateAt, 0) <= t) due.push(fuse);
+    else pending.push(fuse);
+  }
+  return { due, pending };
+}
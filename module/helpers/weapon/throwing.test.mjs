@@ -0,0 +1,123 @@
+/**
+ * Smoke tests for throwing. Runs in plain Node (no Foundry globals required).
+ * Execute with:
+ *   node module/helpers/weapon/throwing.test.mjs
+ */
+
+import {
+  normalizeFuse,
+  planThrowFlight,
+  reflectDirection,
+  scatterThrow,
+  splitDueFuses,
+  throwRangeCells
+} from './throwing.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+/* ---- Range ---------------------------------------------------------- */
+{
+  assert('light item flies STR cells', throwRangeCells({ strength: 10, weight: 0.5 }) === 10);
+  const heavy = throwRangeCells({ strength: 10, weight: 2.5 });
+  assert('weight over the free allowance shortens the throw', heavy === 6, String(heavy));
+  assert('range capped at maxCells', throwRangeCells({ strength: 100 }) === 30);
+  assert('range never below minCells', throwRangeCells({ strength: 2, weight: 50 }) === 1);
+  assert('config overrides the formula', throwRangeCells({ strength: 10, config: { cellsPerStr: 2, maxCells: 15 } }) === 15);
+}
+
+/* ---- Scatter -------------------------------------------------------- */
+{
+  const still = scatterThrow({ direction: 45, distance: 6, range: 10, random: () => 0.5 });
+  assert('middle roll — no scatter', close(still.direction, 45) && close(still.distance, 6), JSON.stringify(still));
+  const full = scatterThrow({ direction: 0, distance: 10, range: 10, random: () => 0 });
+  assert('full range — full deviation', close(full.direction, -10) && close(full.distance, 8), JSON.stringify(full));
+  const long = scatterThrow({ direction: 0, distance: 10, range: 10, random: () => 1 });
+  assert('scatter never throws past the range', close(long.direction, 10) && close(long.distance, 10), JSON.stringify(long));
+  const short = scatterThrow({ direction: 0, distance: 2, range: 10, random: () => 0 });
+  assert('short throw scatters less', close(short.direction, -2) && close(short.distance, 1.92), JSON.stringify(short));
+  const over = scatterThrow({ direction: 0, distance: 50, range: 10, random: () => 0.5 });
+  assert('aimed distance clamped to the range', close(over.distance, 10));
+}
+
+/* ---- Flight --------------------------------------------------------- */
+{
+  assert('bounce off a vertical wall turns back', close(reflectDirection(0, [40, -50, 40, 50]), 180));
+  assert('bounce off a horizontal wall mirrors', close(reflectDirection(45, [0, 10, 100, 10]), -45));
+
+  const clear = planThrowFlight({ origin: { x: 0, y: 0 }, direction: 0, distance: 100, castRay: () => null });
+  assert('clear flight lands at distance', close(clear.landing.x, 100) && clear.bounces === 0 && clear.path.length === 2);
+
+  const wall = [40, -50, 40, 50];
+  let calls = 0;
+  const once = planThrowFlight({
+    origin: { x: 0, y: 0 },
+    direction: 0,
+    distance: 100,
+    castRay: () => (calls++ === 0 ? { point: { x: 40, y: 0 }, wall } : null),
+  });
+  // 60 px left after the wall, halved by damping, flown back from 1 px off the wall.
+  assert('bounce damps the rest of the flight', once.bounces === 1 && close(once.landing.x, 9) && close(once.landing.y, 0),
+    JSON.stringify(once.landing));
+
+  const walls = planThrowFlight({
+    origin: { x: 0, y: 0 },
+    direction: 0,
+    distance: 100,
+    castRay: (from, to) => {
+      const dir = Math.sign(to.x - from.x);
+      const x = from.x + dir * 10;
+      return { point: { x, y: 0 }, wall: [x, -50, x, 50] };
+    },
+  });
+  assert('bounces stop at maxBounces', walls.bounces === 2 && walls.path.length === 4, JSON.stringify(walls));
+
+  const token = { id: 't1' };
+  const struck = planThrowFlight({
+    origin: { x: 0, y: 0 },
+    direction: 0,
+    distance: 100,
+    castRay: () => ({ point: { x: 30, y: 0 }, token, pitchDeg: -20 }),
+  });
+  assert('token stops the flight', struck.token === token && close(struck.landing.x, 30) && struck.pitchDeg === -20);
+}
+
+/* ---- Fuses ---------------------------------------------------------- */
+{
+  assert('fuse defaults', JSON.stringify(normalizeFuse({ enabled: true })) === JSON.stringify({ enabled: true, seconds: 4, payloadId: 'explosion' }));
+  assert('fuse off unless enabled', normalizeFuse({ enabled: 'yes', seconds: -3 }).enabled === false
+    && normalizeFuse({ seconds: -3 }).seconds === 0);
+
+  const fuses = [{ id: 'a', detonateAt: 10 }, { id: 'b', detonateAt: 14 }, null];
+  const early = splitDueFuses(fuses, 9);
+  assert('fuse waits for its time', early.due.length === 0 && early.pending.length === 2);
+  const { due, pending } = splitDueFuses(fuses, 10);
+  assert('fuse due at its time', due.map((f) => f.id).join() === 'a' && pending.map((f) => f.id).join() === 'b');
+  assert('no fuses — nothing due', splitDueFuses(null, 100).due.length === 0);
+
+  // Fuses run on the thrower's clock only: a thrower whose time stops
+  // (dead, out of the fight) leaves the grenade armed.
+  const thrower = { total: 100 };
+  const armed = [{ id: 'g', detonateAt: thrower.total + 4 }];
+  const othersActed = splitDueFuses(armed, thrower.total);
+  assert('fuse ignores everyone else\'s time', othersActed.due.length === 0 && othersActed.pending.length === 1);
+  thrower.total += 4;
+  assert('fuse goes off once the thrower\'s time moves', splitDueFuses(armed, thrower.total).due.length === 1);
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll throwing smoke tests passed.');
+}
@@ -4,6 +4,9 @@
  * Payload segment `length` uses measurement units (grid.distance scale):
  *   pixelDistance = length * (grid.size / grid.distance)
  * One grid cell = grid.distance measurement units.
+ *
+ * A `line` segment may carry `arc`, in the same units: the apex of a lob above
+ * the straight line, for grenades and mortars (see elevation.mjs).
  */
 
 import { shNum } from './damage-profile.mjs';
@@ -13,6 +16,9 @@ export const TRAJECTORY_KINDS = Object.freeze({
   COMPLEX: 'complex',
 });
 
+/** Widest cone of a melee swing; wider arcs are swept by several cones. */
+const MELEE_SWING_STEP_DEG = 15;
+
 export const TRAJECTORY_LENGTH_UNITS = Object.freeze({
   GRID: 'grid',
   MEASURE: 'measure',
@@ -90,13 +96,55 @@ export function buildSimpleLinePayload(line, tokenLike) {
 }
 
 /**
- * Resolve runtime payload for a weapon line.
+ * Melee swing: a fan of cones sweeping `line.melee.arc` degrees centred on
+ * the aim direction, `line.melee.reach` cells long. The first body it meets
+ * ends the swing.
+ * @param {object} line normalized melee weapon line
+ * @param {Token|object|null} tokenLike
+ * @returns {object} payload object for ShotManager
+ */
+export function buildMeleeSwingPayload(line, tokenLike) {
+  const scene = tokenLike?.scene ?? canvas?.scene ?? null;
+  const distancePerCell = Math.max(0.0001, Number(scene?.grid?.distance) || 1);
+  const reach = Math.max(0, shNum(line?.melee?.reach, 1)) * distancePerCell;
+  const arc = Math.min(360, Math.max(1, shNum(line?.melee?.arc, 90)));
+  const count = Math.max(1, Math.ceil(arc / MELEE_SWING_STEP_DEG));
+  const step = arc / count;
+  return {
+    id: 'weapon_melee_swing',
+    name: 'Melee swing',
+    type: 'melee',
+    trajectory: {
+      segments: [{
+        type: 'swing',
+        direction: -arc / 2 + step / 2,
+        range: reach,
+        angle: step,
+        directionStep: step,
+        rangeStep: 0,
+        count,
+        collision: {
+          walls: true,
+          tokens: { owner: true, ally: true, other: true },
+        },
+        onHit: 'skip',
+        hitOrder: 'near',
+        hitAmount: 1,
+      }],
+    },
+  };
+}
+
+/**
+ * Resolve runtime payload for a weapon line. Melee lines
+ * (`kind === 'melee'`) always swing, whatever their trajectory.
  * @param {object} line normalized weapon line
  * @param {Token|object|null} tokenLike
  * @param {(id: string) => Promise<object|null>|object|null} getPayloadById
  * @returns {Promise<object>}
  */
 export async function resolveWeaponLinePayload(line, tokenLike, getPayloadById) {
+  if (line?.kind === 'melee') return buildMeleeSwingPayload(line, tokenLike);
   const kind = normalizeTrajectoryKind(line?.trajectoryKind);
   if (kind === TRAJECTORY_KINDS.SIMPLE) {
     return buildSimpleLinePayload(line, tokenLike);
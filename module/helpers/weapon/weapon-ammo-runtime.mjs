@@ -8,6 +8,7 @@
  *   - chamberItemId                  (live chamber Item id)
  *   - contentItemIds[]               (FIFO live Item ids on the weapon host)
  *   - legacy magazine / chamberItem / contents snapshots (migrated lazily)
+ *   - malfunction                    (jam kind, see malfunctions.mjs)
  *
  * Magazines use `itemTags.isContainer` + `system.container.contents`.
  * Rounds / batteries under a weapon use `containerHostId = weapon.id`
@@ -23,8 +24,17 @@ import {
   activeDamageEntries,
   compatMatches,
   getWeaponLine,
+  isMeleeLine,
   resolveBlockCapacity,
+  MALFUNCTION_KINDS,
 } from './weapon-model.mjs';
+import { applyMeleeStrikeType } from './melee.mjs';
+import {
+  malfunctionClearAction,
+  normalizeMalfunction,
+  rollMalfunction,
+  applicableMalfunctions,
+} from './malfunctions.mjs';
 import {
   applyChargeChange,
   computeChargeDelta,
@@ -105,9 +115,11 @@ function _ensureRuntime(block) {
       chamberItem: null,
       contents: [],
       magazine: null,
+      malfunction: '',
     };
   }
   if (!Array.isArray(block.runtime.contentItemIds)) block.runtime.contentItemIds = [];
+  block.runtime.malfunction = normalizeMalfunction(block.runtime.malfunction);
   if (typeof block.runtime.attachedItemId !== 'string') block.runtime.attachedItemId = '';
   if (typeof block.runtime.chamberItemId !== 'string') block.runtime.chamberItemId = '';
   return block.runtime;
@@ -169,8 +181,8 @@ export function getAmmoBlock(weapon, lineId, blockId) {
 }
 
 /**
- * Remove an item id from all weapon block runtimes on the actor (after drag-out).
- * Persists affected weapons.
+ * Remove an item id from all weapon block and slot runtimes on the actor
+ * (after drag-out). Persists affected weapons.
  * @param {Actor} actor
  * @param {string} itemId
  * @returns {Promise<boolean>}
@@ -202,6 +214,11 @@ export async function clearItemFromAllWeaponRuntimes(actor, itemId) {
         }
       }
     }
+    for (const slot of weapon.slots ?? []) {
+      if (slot.runtime.attachedItemId !== id) continue;
+      slot.runtime.attachedItemId = '';
+      changed = true;
+    }
     if (changed) {
       await persistWeaponData(weaponItem, weapon);
       any = true;
@@ -314,6 +331,15 @@ export function blockReserveFreeSlots(block, actor = null) {
   return Math.max(0, resolveBlockCapacity(block, actor) - reserve);
 }
 
+/**
+ * Current malfunction of a block ('' when it works).
+ * @param {object|null|undefined} block
+ * @returns {string}
+ */
+export function blockMalfunction(block) {
+  return normalizeMalfunction(block?.runtime?.malfunction);
+}
+
 /**
  * Block readiness for one shot: chamber round when chamber enabled,
  * otherwise non-empty reserve. `N = 0` + chamber off → on-the-fly search
@@ -324,6 +350,7 @@ export function blockReserveFreeSlots(block, actor = null) {
  */
 export function blockShotReadiness(block, actor = null) {
   if (!block) return { ready: false, reason: 'noBlock' };
+  if (blockMalfunction(block)) return { ready: false, reason: 'malfunction' };
   if (block.chamberEnabled) {
     return blockChamberLoaded(block, actor)
       ? { ready: true, reason: '' }
@@ -384,6 +411,7 @@ export function canReloadBlock(actor, block) {
 /** @returns {boolean} */
 export function canBoltBlock(block, actor = null) {
   if (!block?.apActions?.bolt?.enabled || !block.chamberEnabled) return false;
+  if (blockMalfunction(block)) return false;
   if (blockChamberLoaded(block, actor)) return true;
   if (block.type === AMMO_BLOCK_TYPES.INTERNAL_CHARGE) {
     return (block.runtime?.charge ?? 0) > 0;
@@ -391,6 +419,16 @@ export function canBoltBlock(block, actor = null) {
   return blockReserveCount(block, actor) > 0;
 }
 
+/**
+ * Whether the block's malfunction can be cleared with its action
+ * («tap-rack» / «clear double feed»).
+ * @returns {boolean}
+ */
+export function canClearMalfunction(block) {
+  const action = malfunctionClearAction(blockMalfunction(block));
+  return !!action && !!block?.apActions?.[action]?.enabled;
+}
+
 /** @returns {boolean} */
 export function canUnloadBlock(block, actor = null) {
   if (!block?.apActions?.unload?.enabled) return false;
@@ -1160,9 +1198,51 @@ export async function emptyBlock({ actor, weaponItem = null, block }) {
     const bolt = await operateBolt({ actor, weaponItem: w, block });
     if (bolt.ok) unloaded += 1;
   }
+  // A fully emptied weapon has nothing left to jam on.
+  _ensureRuntime(block).malfunction = '';
   return { ok: true, unloaded };
 }
 
+/**
+ * Clear the block's malfunction:
+ *   - «tap-rack» (misfire / failure to feed / stovepipe): eject whatever
+ *     sits in the chamber (the dud), then chamber the next round;
+ *   - «clear double feed»: strip one round from the reserve (it falls to
+ *     the ground), then chamber the next one.
+ * Blocks without a chamber only reset the state (the dud is struck again).
+ *
+ * @param {object} args
+ * @param {Actor|null} args.actor
+ * @param {Item|null} [args.weaponItem]
+ * @param {object} args.block (mutated)
+ * @returns {Promise<{ok: boolean, reason?: string, action?: string, fed?: boolean}>}
+ */
+export async function clearMalfunction({ actor, weaponItem = null, block }) {
+  const kind = blockMalfunction(block);
+  if (!kind) return { ok: false, reason: 'noMalfunction' };
+  const action = malfunctionClearAction(kind);
+  const w = await _ensureLiveIfPossible(actor, weaponItem, block);
+  const rt = _ensureRuntime(block);
+
+  if (block.chamberEnabled) {
+    if (block.type === AMMO_BLOCK_TYPES.INTERNAL_CHARGE) {
+      block.runtime.chamberCharge = false;
+    } else {
+      const chamber = getChamberItem(actor, block);
+      if (chamber) await _ejectChamberItem(actor, chamber);
+      rt.chamberItemId = '';
+      rt.chamberItem = null;
+    }
+    if (kind === MALFUNCTION_KINDS.DOUBLE_FEED && actor && w) {
+      const stripped = await _takeOneFromReserveToChamber(actor, w, block);
+      if (stripped) await _ejectChamberItem(actor, stripped);
+    }
+  }
+  rt.malfunction = '';
+  const fed = block.chamberEnabled ? await feedChamber({ actor, weaponItem: w, block }) : false;
+  return { ok: true, action, fed };
+}
+
 /**
  * Attach a magazine container item to an external-magazine block.
  * @param {object} args
@@ -1550,13 +1630,14 @@ export async function preflightLineShotReadiness(actor, weapon, lineId) {
  * @param {Item|null} [args.weaponItem]
  * @param {object} args.block (mutated)
  * @param {number} [args.ammoCost=1]
+ * @param {boolean} [args.suppressFeed=false] skip auto-feed (feed malfunction)
  * @returns {Promise<{
  *   ok: boolean, reason?: string, round?: object|null, needsBolt?: boolean,
  *   spent?: number, overheated?: boolean, scaleDamageFromSpent?: boolean,
  *   createdItemIds?: string[],
  * }>}
  */
-export async function consumeShotFromBlock({ actor, weaponItem = null, block, ammoCost = 1 }) {
+export async function consumeShotFromBlock({ actor, weaponItem = null, block, ammoCost = 1, suppressFeed = false }) {
   if (!block) return { ok: false, reason: 'noBlock' };
   const w = await _ensureLiveIfPossible(actor, weaponItem, block);
   const cost = Math.max(1, Math.floor(Number(ammoCost) || 1));
@@ -1570,7 +1651,7 @@ export async function consumeShotFromBlock({ actor, weaponItem = null, block, am
       }
       block.runtime.chamberCharge = false;
       let needsBolt = false;
-      if (block.autoFeed) needsBolt = !(await feedChamber({ actor, weaponItem: w, block }));
+      if (block.autoFeed && !suppressFeed) needsBolt = !(await feedChamber({ actor, weaponItem: w, block }));
       else needsBolt = true;
       return { ok: true, round: null, needsBolt, spent: cost, createdItemIds };
     }
@@ -1628,7 +1709,7 @@ export async function consumeShotFromBlock({ actor, weaponItem = null, block, am
     rt.chamberItemId = '';
     rt.chamberItem = null;
     let needsBolt = false;
-    if (block.autoFeed) needsBolt = !(await feedChamber({ actor, weaponItem: w, block }));
+    if (block.autoFeed && !suppressFeed) needsBolt = !(await feedChamber({ actor, weaponItem: w, block }));
     else needsBolt = true;
     return { ok: true, round, needsBolt, createdItemIds };
   }
@@ -1684,6 +1765,42 @@ function _postOverheatChat(round, actor) {
   }
 }
 
+/**
+ * Round that the next shot of a block would fire (chamber first, then the
+ * reserve head / magazine head). Used to read its quality before firing.
+ * @returns {Item|null}
+ */
+function _peekNextRound(actor, block) {
+  if (!actor || !block || block.type === AMMO_BLOCK_TYPES.INTERNAL_CHARGE) return null;
+  const chamber = block.chamberEnabled ? getChamberItem(actor, block) : null;
+  if (chamber) return chamber;
+  if (block.type === AMMO_BLOCK_TYPES.EXTERNAL_MAGAZINE) {
+    const mag = getAttachedMagazineItem(actor, block);
+    const headId = mag ? getOrderedDirectChildItemIds(actor, mag.id)[0] : null;
+    return headId ? actor.items.get(headId) ?? null : null;
+  }
+  return getBlockContentItems(actor, block)[0] ?? null;
+}
+
+/**
+ * Roll the line's malfunction for this shot. The firing block is the first
+ * one that can feed (magazine with a chamber), otherwise the first block.
+ * @returns {{block: object, kind: string}|null}
+ */
+function _rollLineMalfunction(actor, blocks, reliability) {
+  if (!reliability?.enabled || !blocks.length) return null;
+  const block = blocks.find((b) => applicableMalfunctions(b).length > 1) ?? blocks[0];
+  const round = _peekNextRound(actor, block);
+  const quality = round ? _ammoConfigOf(round).quality : 100;
+  const kind = rollMalfunction({
+    block,
+    reliability,
+    quality,
+    config: CONFIG?.SPACEHOLDER?.malfunctions ?? null,
+  });
+  return kind ? { block, kind } : null;
+}
+
 /**
  * Consume one shot across ALL ammo blocks of a line («каждый блок
  * расходуется независимо; для выстрела должны быть доступны все»).
@@ -1697,14 +1814,16 @@ function _postOverheatChat(round, actor) {
  * @param {Item|null} [args.weaponItem]
  * @param {string} args.lineId
  * @param {string} [args.modeId] active mode (for ammoCost)
+ * @param {{enabled:boolean, value:number}|null} [args.reliability] effective
+ *   `line.reliability`; enables the malfunction roll
  * @returns {Promise<{
  *   ok: boolean, reason?: string, blockId?: string,
  *   rounds: Array<{blockId: string, round: object|null, spent?: number}>,
- *   needsBolt: boolean,
+ *   needsBolt: boolean, malfunction?: string,
  *   damageEntries: object[], payloadId: string,
  * }>}
  */
-export async function consumeShotFromLine({ actor, weapon, weaponItem = null, lineId, modeId = '' }) {
+export async function consumeShotFromLine({ actor, weapon, weaponItem = null, lineId, modeId = '', reliability = null }) {
   const line = getWeaponLine(weapon, lineId);
   if (!line) return { ok: false, reason: 'noLine', rounds: [], needsBolt: false, damageEntries: [], payloadId: '' };
 
@@ -1726,6 +1845,16 @@ export async function consumeShotFromLine({ actor, weapon, weaponItem = null, li
     }
   }
 
+  // Misfire: nothing is spent, the dud stays where it is until tap-rack.
+  const malfunction = _rollLineMalfunction(actor, blocks, reliability);
+  if (malfunction?.kind === MALFUNCTION_KINDS.MISFIRE) {
+    _ensureRuntime(malfunction.block).malfunction = malfunction.kind;
+    return {
+      ok: false, reason: 'malfunction', malfunction: malfunction.kind, blockId: malfunction.block.id,
+      rounds: [], needsBolt: false, damageEntries: [], payloadId: '',
+    };
+  }
+
   const runtimeSnapshots = blocks.map((b) => _snapshotBlockRuntime(b));
   const itemSnapshots = actor ? _collectInvolvedItemSnapshots(actor, blocks) : new Map();
   const createdIds = new Set();
@@ -1735,7 +1864,9 @@ export async function consumeShotFromLine({ actor, weapon, weaponItem = null, li
   let scaledSpent = null;
   for (const block of blocks) {
     const beforeIds = new Set(Array.from(actor?.items ?? []).map((it) => it.id));
-    const res = await consumeShotFromBlock({ actor, weaponItem: w, block, ammoCost });
+    // Feed malfunctions: the shot goes off, the next round is not chambered.
+    const suppressFeed = malfunction?.block === block;
+    const res = await consumeShotFromBlock({ actor, weaponItem: w, block, ammoCost, suppressFeed });
     if (actor) {
       for (const it of actor.items) {
         if (!beforeIds.has(it.id)) createdIds.add(it.id);
@@ -1762,6 +1893,10 @@ export async function consumeShotFromLine({ actor, weapon, weaponItem = null, li
       scaledSpent = res.spent;
     }
   }
+  if (malfunction) {
+    _ensureRuntime(malfunction.block).malfunction = malfunction.kind;
+    needsBolt = true;
+  }
 
   // Active damage source: first block (by order) that yields damage —
   // either the consumed round's own damage or the block damage sub-block.
@@ -1789,8 +1924,11 @@ export async function consumeShotFromLine({ actor, weapon, weaponItem = null, li
       break;
     }
   }
-  // No blocks at all (or none provided damage) → weapon-side line damage.
-  if (!damageEntries.length) damageEntries = activeDamageEntries(line.damage);
+  // No blocks at all (or none provided damage) → weapon-side line damage;
+  // untyped melee damage takes the strike type's damage type.
+  if (!damageEntries.length) {
+    damageEntries = activeDamageEntries(isMeleeLine(line) ? applyMeleeStrikeType(line.damage, line.melee.strike) : line.damage);
+  }
 
   // LASS-style: damage equals charge spent — only when shot damage is not from a magazine round.
   if (!damageFromMagazineRound && scaledSpent != null && scaledSpent > 0) {
@@ -1811,7 +1949,7 @@ export async function consumeShotFromLine({ actor, weapon, weaponItem = null, li
     }
   }
 
-  return { ok: true, rounds, needsBolt, damageEntries, payloadId };
+  return { ok: true, rounds, needsBolt, malfunction: malfunction?.kind ?? '', damageEntries, payloadId };
 }
 
 /**
@@ -5,7 +5,9 @@
  *   weapon.ergonomics — modifiers for the character aiming arcs + readying
  *   weapon.lines[]    — attack lines: per-line params, ammo blocks, fire modes
  *   weapon.state      — runtime state (active line/mode, readiness)
+ *   weapon.slots[]    — attachment slots of the weapon host (see attachments.mjs)
  *   weapon.ammo       — ammo item config (when itemTags.isAmmo)
+ *   weapon.attachment — attachment item config (when itemTags.isAttachment)
  *
  * "Attack" = line × mode; the list of attacks is derived, not stored.
  *
@@ -33,6 +35,10 @@ import {
   normalizeChargeChange,
   roundChargeValue,
 } from './charge-change.mjs';
+import { heatPenalties, normalizeHeatState, settleHeat } from './heat.mjs';
+import { applyConditionToLine, normalizeWeaponCondition } from './wear.mjs';
+import { normalizeFuse } from './throwing.mjs';
+import { normalizeSuppressionParams } from './suppression.mjs';
 
 export {
   normalizeChargeChange,
@@ -75,6 +81,8 @@ export const FIRE_MODES = Object.freeze({
   SINGLE: 'single',
   BURST: 'burst',
   AUTO: 'auto',
+  /** Designates a suppression zone instead of a shot (see suppression.mjs). */
+  SUPPRESS: 'suppress',
 });
 
 export const MOD_OPS = Object.freeze({
@@ -89,6 +97,45 @@ export const AMMO_SEARCH_MODES = Object.freeze({
   MANUAL: 'manual',
 });
 
+/**
+ * Malfunction left in `block.runtime.malfunction` (see malfunctions.mjs).
+ * The block cannot fire until the matching clearing action is performed.
+ */
+export const MALFUNCTION_KINDS = Object.freeze({
+  MISFIRE: 'misfire',
+  FAILURE_TO_FEED: 'failureToFeed',
+  DOUBLE_FEED: 'doubleFeed',
+  STOVEPIPE: 'stovepipe',
+});
+
+export const MALFUNCTION_KIND_LIST = Object.freeze(Object.values(MALFUNCTION_KINDS));
+
+/**
+ * Line kind: ranged lines fire along their trajectory; melee lines strike a
+ * swing of `line.melee.arc` degrees out to `line.melee.reach` cells and give
+ * the defender a parry / block reaction (see melee.mjs).
+ */
+export const LINE_KINDS = Object.freeze({
+  RANGED: 'ranged',
+  MELEE: 'melee',
+});
+
+/** Melee strike type; decides the damage type of untyped line damage. */
+export const MELEE_STRIKE_TYPES = Object.freeze({
+  THRUST: 'thrust',
+  CUT: 'cut',
+  BLUNT: 'blunt',
+});
+
+export const MELEE_STRIKE_TYPE_LIST = Object.freeze(Object.values(MELEE_STRIKE_TYPES));
+
+/** Damage type each strike type deals. */
+export const MELEE_STRIKE_DAMAGE_TYPES = Object.freeze({
+  [MELEE_STRIKE_TYPES.THRUST]: 'piercing',
+  [MELEE_STRIKE_TYPES.CUT]: 'cutting',
+  [MELEE_STRIKE_TYPES.BLUNT]: 'concussive',
+});
+
 /**
  * Parameters a mode modifier can target. Used both by the sheet UI selector
  * and by {@link resolveEffectiveAttackParams}.
@@ -101,6 +148,8 @@ export const MODE_MODIFIER_PARAMS = Object.freeze([
   { id: 'line.energyMult', kind: 'toggleable', labelKey: 'SPACEHOLDER.WeaponV3.Line.EnergyMult' },
   { id: 'line.spread', kind: 'toggleable', labelKey: 'SPACEHOLDER.WeaponV3.Line.Spread' },
   { id: 'line.recoil', kind: 'toggleable', labelKey: 'SPACEHOLDER.WeaponV3.Line.Recoil' },
+  { id: 'line.reliability', kind: 'toggleable', labelKey: 'SPACEHOLDER.WeaponV3.Line.Reliability' },
+  { id: 'line.heat', kind: 'toggleable', labelKey: 'SPACEHOLDER.WeaponV3.Line.Heat' },
   { id: 'ergo.overall', kind: 'plain', labelKey: 'SPACEHOLDER.WeaponV3.Ergo.Overall' },
   { id: 'ergo.deadZone', kind: 'toggleable', labelKey: 'SPACEHOLDER.WeaponV3.Ergo.DeadZone' },
   { id: 'ergo.aimPenalty', kind: 'toggleable', labelKey: 'SPACEHOLDER.WeaponV3.Ergo.AimPenalty' },
@@ -217,6 +266,16 @@ export function createModeModifier(seed = {}) {
   });
 }
 
+/** @returns {object} */
+export function createWeaponSlot(seed = {}) {
+  return normalizeWeaponSlot({
+    id: _rid('slot'),
+    name: '',
+    type: '',
+    ...seed,
+  });
+}
+
 /**
  * @param {string} type one of AMMO_BLOCK_TYPES
  * @returns {object}
@@ -244,6 +303,8 @@ export function createWeaponLine(seed = {}) {
   return normalizeWeaponLine({
     id: _rid('line'),
     name: '',
+    kind: LINE_KINDS.RANGED,
+    melee: { reach: 1, arc: 90, strike: MELEE_STRIKE_TYPES.CUT },
     trajectoryKind: 'simple',
     simpleLimit: { enabled: false, value: 0, unit: 'grid' },
     payloadId: '',
@@ -252,6 +313,8 @@ export function createWeaponLine(seed = {}) {
     energyMult: { enabled: false, value: 100 },
     spread: { enabled: false, value: 0 },
     recoil: { enabled: false, value: 0 },
+    reliability: { enabled: false, value: 100 },
+    heat: { enabled: false, value: 100, capacity: 100, dissipation: 5 },
     enterCost: { enabled: false, value: 0 },
     exitCost: { enabled: false, value: 0 },
     damage: [],
@@ -327,16 +390,20 @@ export function normalizeWeaponMode(raw) {
     enterCost: _toggleable(raw.enterCost, { enabled: false, value: 0 }),
     exitCost: _toggleable(raw.exitCost, { enabled: false, value: 0 }),
     modifiers: Array.isArray(raw.modifiers) ? raw.modifiers.map(normalizeModeModifier) : [],
+    suppression: normalizeSuppressionParams(raw.suppression),
   };
 }
 
-const AP_ACTION_KEYS = Object.freeze(['loadOne', 'loadX', 'reload', 'bolt', 'unload', 'empty']);
+const AP_ACTION_KEYS = Object.freeze(['loadOne', 'loadX', 'reload', 'bolt', 'unload', 'empty', 'tapRack', 'clearDoubleFeed']);
+
+/** Default AP for clearing actions; the rest default to 0. */
+const AP_ACTION_DEFAULT_VALUES = Object.freeze({ tapRack: 10, clearDoubleFeed: 30 });
 
 function _normalizeApActions(raw) {
   const src = raw && typeof raw === 'object' ? raw : {};
   const out = {};
   for (const key of AP_ACTION_KEYS) {
-    out[key] = _toggleable(src[key], { enabled: true, value: 0 });
+    out[key] = _toggleable(src[key], { enabled: true, value: AP_ACTION_DEFAULT_VALUES[key] ?? 0 });
   }
   return out;
 }
@@ -374,6 +441,7 @@ function _normalizeBlockRuntime(raw, type) {
       : null,
     contents: Array.isArray(src.contents) ? src.contents.filter((e) => e && typeof e === 'object') : [],
     magazine: src.magazine && typeof src.magazine === 'object' ? src.magazine : null,
+    malfunction: MALFUNCTION_KIND_LIST.includes(src.malfunction) ? src.malfunction : '',
   };
   if (type === AMMO_BLOCK_TYPES.INTERNAL_CHARGE) {
     out.chamberItem = null;
@@ -427,6 +495,8 @@ export function normalizeWeaponLine(raw) {
   return {
     id: shStr(raw.id) || _rid('line'),
     name: shStr(raw.name),
+    kind: raw.kind === LINE_KINDS.MELEE ? LINE_KINDS.MELEE : LINE_KINDS.RANGED,
+    melee: _normalizeLineMelee(raw.melee),
     trajectoryKind: normalizeTrajectoryKind(raw.trajectoryKind),
     simpleLimit: normalizeSimpleLimit(raw.simpleLimit),
     payloadId: shStr(raw.payloadId),
@@ -435,6 +505,8 @@ export function normalizeWeaponLine(raw) {
     energyMult: _toggleable(raw.energyMult, { enabled: false, value: 100 }),
     spread: _toggleable(raw.spread, { enabled: false, value: 0 }),
     recoil: _toggleable(raw.recoil, { enabled: false, value: 0 }),
+    reliability: _toggleable(raw.reliability, { enabled: false, value: 100 }),
+    heat: _normalizeLineHeat(raw.heat),
     enterCost: _toggleable(raw.enterCost, { enabled: false, value: 0 }),
     exitCost: _toggleable(raw.exitCost, { enabled: false, value: 0 }),
     damage: normalizeDamageEntries(raw.damage),
@@ -443,12 +515,57 @@ export function normalizeWeaponLine(raw) {
   };
 }
 
+/**
+ * `line.heat`: toggleable heat generation percent (`value`, 100 = neutral)
+ * plus the line's heat capacity and dissipation per second.
+ * @param {unknown} raw
+ * @returns {{enabled:boolean, value:number, capacity:number, dissipation:number}}
+ */
+function _normalizeLineHeat(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  return {
+    ..._toggleable(raw, { enabled: false, value: 100 }),
+    capacity: Math.max(0, shNum(src.capacity, 100)),
+    dissipation: Math.max(0, shNum(src.dissipation, 5)),
+  };
+}
+
+/**
+ * `line.melee`: reach in grid cells, swing arc in degrees, strike type.
+ * @param {unknown} raw
+ * @returns {{reach:number, arc:number, strike:string}}
+ */
+function _normalizeLineMelee(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  return {
+    reach: Math.max(0, shNum(src.reach, 1)),
+    arc: Math.min(360, Math.max(1, shNum(src.arc, 90))),
+    strike: MELEE_STRIKE_TYPE_LIST.includes(src.strike) ? src.strike : MELEE_STRIKE_TYPES.CUT,
+  };
+}
+
+/**
+ * @param {object|null} line
+ * @returns {boolean}
+ */
+export function isMeleeLine(line) {
+  return line?.kind === LINE_KINDS.MELEE;
+}
+
 function _normalizeWeaponState(raw) {
   const src = raw && typeof raw === 'object' ? raw : {};
+  const heatRaw = src.heat && typeof src.heat === 'object' && !Array.isArray(src.heat) ? src.heat : {};
+  const heat = {};
+  for (const [lineId, state] of Object.entries(heatRaw)) {
+    const id = shStr(lineId);
+    if (id) heat[id] = normalizeHeatState(state);
+  }
   return {
     activeLineId: shStr(src.activeLineId),
     activeModeId: shStr(src.activeModeId),
     ready: _bool(src.ready, false),
+    /** Per-line heat runtime: `{[lineId]: {value, cooldown, at}}` (see heat.mjs). */
+    heat,
   };
 }
 
@@ -483,7 +600,45 @@ export function normalizeAmmoConfig(raw) {
     },
     /** Magazine container round capacity (when connector.enabled). */
     capacity: Math.max(0, shInt(src.capacity, 0, 0)),
+    /** Round quality, %: scales the line's malfunction chance by `100 / quality`. */
+    quality: Math.max(1, shInt(src.quality, 100, 1)),
     consume: _bool(src.consume, true),
+    /** Grenade fuse (see throwing.mjs): `{enabled, seconds, payloadId}`. */
+    fuse: normalizeFuse(src.fuse),
+  };
+}
+
+/**
+ * Attachment slot of a weapon host (`weapon.slots[]`). `type` is a compat
+ * string like a caliber: an attachment fits when its `slotType` shares a token.
+ * @param {unknown} raw
+ * @returns {object}
+ */
+export function normalizeWeaponSlot(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const runtime = src.runtime && typeof src.runtime === 'object' ? src.runtime : {};
+  return {
+    id: shStr(src.id) || _rid('slot'),
+    name: shStr(src.name),
+    type: shStr(src.type),
+    mountCost: _toggleable(src.mountCost, { enabled: true, value: 20 }),
+    unmountCost: _toggleable(src.unmountCost, { enabled: true, value: 20 }),
+    /** Live attachment Item id, parented to the weapon (see item-weapon-host.mjs). */
+    runtime: { attachedItemId: shStr(runtime.attachedItemId) },
+  };
+}
+
+/**
+ * Attachment item config (`weapon.attachment`, relevant when itemTags.isAttachment).
+ * @param {unknown} raw
+ * @returns {{slotType:string, modifiers:Array<object>}}
+ */
+export function normalizeAttachmentConfig(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  return {
+    slotType: shStr(src.slotType),
+    /** Same shape as fire-mode modifiers; applied to every attack of the host. */
+    modifiers: Array.isArray(src.modifiers) ? src.modifiers.map(normalizeModeModifier) : [],
   };
 }
 
@@ -507,7 +662,11 @@ export function normalizeWeaponV3(raw, itemTags = {}) {
     ergonomics: normalizeErgonomics(base.ergonomics),
     lines,
     state: _normalizeWeaponState(base.state),
+    slots: Array.isArray(base.slots) ? base.slots.map(normalizeWeaponSlot) : [],
+    /** Weapon-wide condition (see wear.mjs): `{enabled, max, current}`. */
+    condition: normalizeWeaponCondition(base.condition),
     ammo: normalizeAmmoConfig(base.ammo),
+    attachment: normalizeAttachmentConfig(base.attachment),
   };
 }
 
@@ -575,25 +734,36 @@ function _applyModToToggleable(target, mod) {
  * Resolve the effective attack parameters for `line × mode`: line params and
  * ergonomics with the mode's modifiers applied. Damage modifiers are returned
  * separately (they apply to whichever damage sub-block ends up active).
+ * Modifiers of mounted attachments (attachments.mjs) follow the mode's own;
+ * weapon condition penalties (wear.mjs) go on top of both.
  *
  * @param {object} weapon normalized v3 weapon
  * @param {string} lineId
  * @param {string} modeId
+ * @param {object} [opts]
+ * @param {object|null} [opts.wearConfig] defaults to `CONFIG.SPACEHOLDER.weaponWear`
+ * @param {Array<object>} [opts.attachmentMods] normalized modifiers of the mounted attachments
  * @returns {{
  *   line: object, mode: object, ergonomics: object,
- *   damageMods: Array<object>,
+ *   damageMods: Array<object>, condition: object,
  * }|null}
  */
-export function resolveEffectiveAttackParams(weapon, lineId, modeId) {
+export function resolveEffectiveAttackParams(weapon, lineId, modeId, {
+  wearConfig = globalThis.CONFIG?.SPACEHOLDER?.weaponWear ?? null,
+  attachmentMods = [],
+} = {}) {
   const { line, mode } = getWeaponLineMode(weapon, lineId, modeId);
   if (!line || !mode) return null;
 
   // Deep-ish copies of the parts that modifiers may touch.
   const effLine = {
     ...line,
+    melee: { ...line.melee },
     energyMult: { ...line.energyMult },
     spread: { ...line.spread },
     recoil: { ...line.recoil },
+    reliability: { ...line.reliability },
+    heat: { ...line.heat },
     enterCost: { ...line.enterCost },
     exitCost: { ...line.exitCost },
   };
@@ -609,7 +779,7 @@ export function resolveEffectiveAttackParams(weapon, lineId, modeId) {
   };
   const damageMods = [];
 
-  for (const mod of mode.modifiers ?? []) {
+  for (const mod of [...(mode.modifiers ?? []), ...(attachmentMods ?? [])]) {
     if (!mod.enabled) continue;
     switch (mod.param) {
       case 'line.aiming': effLine.aiming = Math.max(0, _applyModToValue(effLine.aiming, mod)); break;
@@ -617,6 +787,8 @@ export function resolveEffectiveAttackParams(weapon, lineId, modeId) {
       case 'line.energyMult': _applyModToToggleable(effLine.energyMult, mod); break;
       case 'line.spread': _applyModToToggleable(effLine.spread, mod); break;
       case 'line.recoil': _applyModToToggleable(effLine.recoil, mod); break;
+      case 'line.reliability': _applyModToToggleable(effLine.reliability, mod); break;
+      case 'line.heat': _applyModToToggleable(effLine.heat, mod); break;
       case 'ergo.overall': effErgo.overall = Math.max(0, _applyModToValue(effErgo.overall, mod)); break;
       case 'ergo.deadZone': _applyModToToggleable(effErgo.deadZone, mod); break;
       case 'ergo.aimPenalty': _applyModToToggleable(effErgo.aimPenalty, mod); break;
@@ -633,7 +805,9 @@ export function resolveEffectiveAttackParams(weapon, lineId, modeId) {
     }
   }
 
-  return { line: effLine, mode, ergonomics: effErgo, damageMods };
+  const condition = applyConditionToLine(effLine, weapon.condition, wearConfig);
+
+  return { line: effLine, mode, ergonomics: effErgo, damageMods, condition };
 }
 
 /**
@@ -723,6 +897,43 @@ export function applyErgonomicsToArcs(base, ergo) {
   return out;
 }
 
+function _aimingZoneIndex(deltaDeg, zones) {
+  const safeDelta = Math.max(0, Number(deltaDeg) || 0);
+  const safeZones = Array.isArray(zones)
+    ? zones.map((zone) => Math.max(0, Number(zone) || 0))
+    : [];
+  const hasAnyZone = safeZones.some((zone) => zone > 0);
+  if (!hasAnyZone) return 0;
+  let cursor = 0;
+  for (let i = 0; i < safeZones.length; i += 1) {
+    cursor += safeZones[i];
+    if (safeDelta <= cursor) return i;
+  }
+  return safeZones.length - 1;
+}
+
+/**
+ * Standard-aim deviation roll. The aim's offset from the token pointer picks
+ * a zone (purple first); the zone multiplier scales the base deviation into a
+ * uniform random offset.
+ *
+ * @param {object} args
+ * @param {number} args.deltaDeg angle between the aim and the token pointer
+ * @param {number[]} args.zones zone sizes in degrees, purple first
+ * @param {number} args.deviationBaseDeg
+ * @param {number[]} args.multipliers deviation multiplier per zone
+ * @param {() => number} [args.random]
+ * @returns {{zoneIndex: number, deviationDeg: number}}
+ */
+export function rollStandardDeviation({ deltaDeg, zones, deviationBaseDeg, multipliers, random = Math.random }) {
+  const zoneIndex = _aimingZoneIndex(deltaDeg, zones);
+  const multiplier = Math.max(0, Number(multipliers?.[zoneIndex] ?? 0));
+  const deviationDeg = (!deviationBaseDeg || !multiplier)
+    ? 0
+    : (random() * 2 - 1) * deviationBaseDeg * multiplier;
+  return { zoneIndex, deviationDeg };
+}
+
 /* ================================================================== *
  *  Display helpers                                                    *
  * ================================================================== */
@@ -780,6 +991,24 @@ export function formatAmmoCounter(block, actor = null) {
   return `${reserve}/${n}`;
 }
 
+/**
+ * Heat counter of a line: «45%», «!» appended while overheated. Empty when
+ * the line has no heat mechanic.
+ * @param {object} weapon normalized v3 weapon
+ * @param {object} line
+ * @param {number} [now] holder's personal-time total (settles dissipation)
+ * @returns {string}
+ */
+export function formatHeatCounter(weapon, line, now = null) {
+  if (!line?.heat?.enabled) return '';
+  const cfg = CONFIG?.SPACEHOLDER?.weaponHeat ?? null;
+  let state = normalizeHeatState(weapon?.state?.heat?.[line.id]);
+  if (now != null) state = settleHeat(state, now, line.heat, cfg);
+  const pen = heatPenalties(state, line.heat, cfg);
+  const pct = `${Math.round(pen.ratio * 100)}%`;
+  return pen.locked ? `${pct}!` : pct;
+}
+
 /**
  * Fill preview for UI gauges / counters.
  * @param {object} block
@@ -0,0 +1,191 @@
+/**
+ * Weapon wear — condition lost per shot and restored by maintenance.
+ *
+ * `weapon.condition = {enabled, max, current}`. With it enabled every shot
+ * wears the weapon by
+ *
+ *   Σ energy(entry) × wearPerEnergy × reductionFactor(entry.armorDamageReduction)
+ *
+ * where `energy = damage × (armorPen/100)² × hardness` (see
+ * `computeProjectileEnergy`), so hard, penetrating rounds wear the barrel
+ * faster. `reductionFactor` goes from `reductionFloor` (0 %) to 1 (100 %):
+ * a round that sheds its damage into armor sheds it into the bore too.
+ *
+ * Below `degradeBelow` of `max` the condition feeds the effective line
+ * params (applied after mode modifiers in `resolveEffectiveAttackParams`):
+ * with `deficit` growing from 0 at the threshold to 1 at zero condition,
+ *   - reliability × (1 − deficit × reliabilityLoss) — a worn weapon jams
+ *     even with reliability disabled (it is enabled at 100 %);
+ *   - spread + deficit × spreadDeg;
+ *   - energy multiplier × (1 − deficit × energyLoss).
+ * At zero condition the weapon is broken and cannot fire.
+ *
+ * The module is pure — it does not import Foundry.
+ */
+
+import { activeDamageEntries, computeProjectileEnergy } from './damage-profile.mjs';
+
+export const WEAR_DEFAULTS = Object.freeze({
+  enabled: true,
+  wearPerEnergy: 0.002,
+  reductionFloor: 0.5,
+  degradeBelow: 0.75,
+  reliabilityLoss: 0.75,
+  spreadDeg: 6,
+  energyLoss: 0.3,
+  maintenance: Object.freeze({
+    restore: 25,
+    apCost: 50,
+    seconds: 300,
+  }),
+});
+
+function _num(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function _share(v, fallback) {
+  return Math.min(1, Math.max(0, _num(v, fallback)));
+}
+
+/**
+ * @param {object|null} [config] `CONFIG.SPACEHOLDER.weaponWear`
+ * @returns {object}
+ */
+export function normalizeWearConfig(config = null) {
+  const raw = config && typeof config === 'object' ? config : {};
+  const m = raw.maintenance && typeof raw.maintenance === 'object' ? raw.maintenance : {};
+  const d = WEAR_DEFAULTS;
+  return {
+    enabled: raw.enabled !== false,
+    wearPerEnergy: Math.max(0, _num(raw.wearPerEnergy, d.wearPerEnergy)),
+    reductionFloor: _share(raw.reductionFloor, d.reductionFloor),
+    degradeBelow: _share(raw.degradeBelow, d.degradeBelow),
+    reliabilityLoss: _share(raw.reliabilityLoss, d.reliabilityLoss),
+    spreadDeg: Math.max(0, _num(raw.spreadDeg, d.spreadDeg)),
+    energyLoss: _share(raw.energyLoss, d.energyLoss),
+    maintenance: {
+      restore: Math.max(0, _num(m.restore, d.maintenance.restore)),
+      apCost: Math.max(0, _num(m.apCost, d.maintenance.apCost)),
+      seconds: Math.max(0, _num(m.seconds, d.maintenance.seconds)),
+    },
+  };
+}
+
+/**
+ * `weapon.condition`.
+ * @param {unknown} raw
+ * @returns {{enabled:boolean, max:number, current:number}}
+ */
+export function normalizeWeaponCondition(raw) {
+  const src = raw && typeof raw === 'object' ? raw : {};
+  const max = Math.max(0, _num(src.max, 100));
+  const current = Math.min(max, Math.max(0, _num(src.current, max)));
+  return {
+    enabled: src.enabled === true,
+    max,
+    current,
+  };
+}
+
+/**
+ * Condition lost by one shot.
+ *
+ * @param {Array<object>} entries damage entries of the shot (after modifiers)
+ * @param {object|null} [config]
+ * @returns {number}
+ */
+export function shotWear(entries, config = null) {
+  const cfg = normalizeWearConfig(config);
+  if (!cfg.enabled) return 0;
+  let wear = 0;
+  for (const entry of activeDamageEntries(entries)) {
+    const reduction = _share(entry.armorDamageReduction / 100, 1);
+    const factor = cfg.reductionFloor + (1 - cfg.reductionFloor) * reduction;
+    wear += computeProjectileEnergy(entry) * factor;
+  }
+  return wear * cfg.wearPerEnergy;
+}
+
+/**
+ * @param {object} condition
+ * @param {number} amount {@link shotWear}
+ * @returns {{enabled:boolean, max:number, current:number}}
+ */
+export function applyShotWear(condition, amount) {
+  const c = normalizeWeaponCondition(condition);
+  const wear = Math.max(0, _num(amount, 0));
+  if (!c.enabled || !wear) return c;
+  return { ...c, current: Math.max(0, c.current - wear) };
+}
+
+/**
+ * What the condition does to the weapon.
+ *
+ * @param {object} condition
+ * @param {object|null} [config]
+ * @returns {{ratio:number, deficit:number, broken:boolean, reliabilityMult:number, spreadDeg:number, energyMult:number}}
+ */
+export function conditionPenalties(condition, config = null) {
+  const cfg = normalizeWearConfig(config);
+  const c = normalizeWeaponCondition(condition);
+  const none = { ratio: 1, deficit: 0, broken: false, reliabilityMult: 1, spreadDeg: 0, energyMult: 1 };
+  if (!cfg.enabled || !c.enabled || c.max <= 0) return none;
+  const ratio = c.current / c.max;
+  const deficit = cfg.degradeBelow > 0 && ratio < cfg.degradeBelow
+    ? (cfg.degradeBelow - ratio) / cfg.degradeBelow
+    : 0;
+  return {
+    ratio,
+    deficit,
+    broken: c.current <= 0,
+    reliabilityMult: 1 - deficit * cfg.reliabilityLoss,
+    spreadDeg: deficit * cfg.spreadDeg,
+    energyMult: 1 - deficit * cfg.energyLoss,
+  };
+}
+
+/**
+ * Apply condition penalties to an effective line (mutates `effLine`).
+ *
+ * @param {object} effLine line with mode modifiers already applied
+ * @param {object} condition
+ * @param {object|null} [config]
+ * @returns {object} {@link conditionPenalties}
+ */
+export function applyConditionToLine(effLine, condition, config = null) {
+  const pen = conditionPenalties(condition, config);
+  if (!effLine || pen.deficit <= 0) return pen;
+  const rel = effLine.reliability?.enabled ? _num(effLine.reliability.value, 100) : 100;
+  effLine.reliability = { enabled: true, value: Math.max(0, rel * pen.reliabilityMult) };
+  const spread = effLine.spread?.enabled ? _num(effLine.spread.value, 0) : 0;
+  effLine.spread = { enabled: true, value: Math.max(0, spread + pen.spreadDeg) };
+  const energy = effLine.energyMult?.enabled ? _num(effLine.energyMult.value, 100) : 100;
+  effLine.energyMult = { enabled: true, value: Math.max(0, energy * pen.energyMult) };
+  return pen;
+}
+
+/**
+ * One maintenance action: restores `maintenance.restore × toolEfficiency`
+ * condition (never above `max`).
+ *
+ * @param {object} args
+ * @param {object} args.condition
+ * @param {number} args.toolEfficiency best toolkit efficiency (`0` — no toolkit)
+ * @param {object|null} [args.config]
+ * @returns {{condition:object, restored:number, apCost:number, seconds:number}}
+ */
+export function planWeaponMaintenance({ condition, toolEfficiency, config = null } = {}) {
+  const cfg = normalizeWearConfig(config);
+  const c = normalizeWeaponCondition(condition);
+  const missing = c.enabled ? c.max - c.current : 0;
+  const restored = Math.min(missing, cfg.maintenance.restore * Math.max(0, _num(toolEfficiency, 0)));
+  if (restored <= 0) return { condition: c, restored: 0, apCost: 0, seconds: 0 };
+  return {
+    condition: { ...c, current: c.current + restored },
+    restored,
+    apCost: Math.round(cfg.maintenance.apCost),
+    seconds: cfg.maintenance.seconds,
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Smoke tests for weapon wear. Runs in plain Node (no Foundry globals
+ * required). Execute with:
+ *   node module/helpers/weapon/wear.test.mjs
+ */
+
+import {
+  applyConditionToLine,
+  applyShotWear,
+  conditionPenalties,
+  planWeaponMaintenance,
+  shotWear
+} from './wear.mjs';
+
+let failed = 0;
+
+function assert(label, cond, detail) {
+  if (cond) {
+    console.log(`PASS  ${label}`);
+  } else {
+    failed += 1;
+    console.error(`FAIL  ${label}${detail ? `\n      ${detail}` : ''}`);
+  }
+}
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+const round = (over = {}) => ({
+  damageType: 'ballistic', damage: 100, armorPen: 100, hardness: 1, armorDamageReduction: 100, ...over
+});
+const condition = (current) => ({ enabled: true, max: 100, current });
+
+/* ---- Shot wear ------------------------------------------------------ */
+{
+  assert('energy × wearPerEnergy', close(shotWear([round()]), 0.2), String(shotWear([round()])));
+  assert('harder rounds wear more', close(shotWear([round({ hardness: 2 })]), 0.4));
+  assert('penetration wears quadratically', close(shotWear([round({ armorPen: 50 })]), 0.05));
+  assert('reduction 0 % wears at reductionFloor', close(shotWear([round({ armorDamageReduction: 0 })]), 0.1));
+  assert('entries add up', close(shotWear([round(), round()]), 0.4));
+  assert('empty entries — no wear', shotWear([round({ damage: 0 })]) === 0);
+  assert('mechanic off — no wear', shotWear([round()], { enabled: false }) === 0);
+
+  assert('wear lowers the condition', close(applyShotWear(condition(50), 0.2).current, 49.8));
+  assert('condition never drops below zero', applyShotWear(condition(0.1), 5).current === 0);
+  assert('disabled condition does not wear', applyShotWear({ enabled: false, max: 100, current: 100 }, 5).current === 100);
+}
+
+/* ---- Penalties ------------------------------------------------------ */
+{
+  const fresh = conditionPenalties(condition(80));
+  assert('above degradeBelow — no penalties', fresh.deficit === 0 && fresh.reliabilityMult === 1 && !fresh.broken);
+  const worn = conditionPenalties(condition(37.5));
+  assert('deficit grows below degradeBelow', close(worn.deficit, 0.5), JSON.stringify(worn));
+  assert('worn weapon: reliability, spread, energy', close(worn.reliabilityMult, 0.625)
+    && close(worn.spreadDeg, 3) && close(worn.energyMult, 0.85));
+  const broken = conditionPenalties(condition(0));
+  assert('zero condition is broken', broken.broken && broken.deficit === 1);
+  assert('disabled condition has no penalties', conditionPenalties({ enabled: false, max: 100, current: 0 }).broken === false);
+}
+
+/* ---- Applied to a line ---------------------------------------------- */
+{
+  const line = {
+    reliability: { enabled: false, value: 100 },
+    spread: { enabled: true, value: 2 },
+    energyMult: { enabled: true, value: 120 }
+  };
+  applyConditionToLine(line, condition(37.5));
+  assert('worn weapon jams even with reliability off', line.reliability.enabled && close(line.reliability.value, 62.5));
+  assert('spread is added', line.spread.value === 5);
+  assert('energy multiplier is scaled', close(line.energyMult.value, 102));
+
+  const untouched = { spread: { enabled: false, value: 0 } };
+  applyConditionToLine(untouched, condition(90));
+  assert('good condition leaves the line alone', untouched.spread.enabled === false && !untouched.reliability);
+}
+
+/* ---- Maintenance ---------------------------------------------------- */
+{
+  const plan = planWeaponMaintenance({ condition: condition(40), toolEfficiency: 1 });
+  assert('restores maintenance.restore', plan.restored === 25 && plan.condition.current === 65
+    && plan.apCost === 50 && plan.seconds === 300, JSON.stringify(plan));
+  assert('tool efficiency scales the repair', planWeaponMaintenance({ condition: condition(40), toolEfficiency: 2 }).restored === 50);
+  assert('never above max', planWeaponMaintenance({ condition: condition(90), toolEfficiency: 2 }).condition.current === 100);
+  const none = planWeaponMaintenance({ condition: condition(40), toolEfficiency: 0 });
+  assert('no toolkit — nothing to do', none.restored === 0 && none.apCost === 0 && none.seconds === 0);
+  assert('full condition — nothing to do', planWeaponMaintenance({ condition: condition(100), toolEfficiency: 1 }).apCost === 0);
+}
+
+if (failed > 0) {
+  console.error(`\n${failed} assertion(s) failed.`);
+  process.exit(1);
+} else {
+  console.log('\nAll wear smoke tests passed.');
+}
@@ -3,7 +3,7 @@ import {
   prepareActiveEffectCategories,
 } from '../helpers/effects.mjs';
 import { anatomyManager } from '../anatomy-manager.mjs';
-import { AnatomyEditor } from '../helpers/anatomy-editor.mjs';
+import { AnatomyEditor, formatBodyLayerWear } from '../helpers/anatomy-editor.mjs';
 import { getHealthAnatomy3dEnabled } from '../helpers/health-anatomy-viewer-settings.mjs';
 import { promptPickAndApplyIconToActorOrToken } from '../helpers/icon-picker/icon-apply.mjs';
 import {
@@ -18,6 +18,7 @@ import { ensureCharacterApSynced } from '../helpers/actions/transaction-ledger.m
 import { findNearestPileDropPointWithinCells } from '../helpers/item-piles-sh/held-drop-resolve.mjs';
 import { resolveCoverageEntryToActorSlots } from '../helpers/body-part-coverage.mjs';
 import { materialsManager } from '../helpers/damage/materials-manager.mjs';
+import { sanitizeBodyLayers } from '../helpers/damage/body-layers-defaults.mjs';
 import {
   calculateActorContainerUsage,
   getOrderedDirectChildItemIds,
@@ -874,7 +875,8 @@ export class SpaceHolderBaseActorSheet extends foundry.applications.api.Handleba
             Array.isArray(p.relations) &&
             p.relations.some((r) => r && r.kind === "parent" && r.target === partId)
         ),
-        isInjured: currentHp < part.maxHp
+        isInjured: currentHp < part.maxHp,
+        layerWear: this._summarizeBodyLayerWear(part)
       });
     }
     list.sort((a, b) => {
@@ -886,6 +888,25 @@ export class SpaceHolderBaseActorSheet extends foundry.applications.api.Handleba
     return list;
   }
 
+  /**
+   * Worst worn body layer of a part for the Health tab list (persistent
+   * body layer wear); `null` while every layer is pristine.
+   * @param {object} part
+   * @returns {{label: string, title: string, broken: boolean}|null}
+   */
+  _summarizeBodyLayerWear(part) {
+    const worn = (sanitizeBodyLayers(part?.bodyLayers) ?? [])
+      .map((layer) => formatBodyLayerWear(layer))
+      .filter(Boolean);
+    if (!worn.length) return null;
+    const worst = worn.reduce((a, b) => (b.pct < a.pct ? b : a));
+    return {
+      label: worst.label,
+      title: `${game.i18n.format('SPACEHOLDER.Health.BodyLayerWear.Part', { count: worn.length })}\n${worst.title}`,
+      broken: worst.broken,
+    };
+  }
+
   /**
    * Live items parented under a weapon (`containerHostId`) for inventory tree.
    * Prefer runtime id order when present; otherwise all hosted children.
@@ -1627,6 +1648,7 @@ export class SpaceHolderBaseActorSheet extends foundry.applications.api.Handleba
 
       const description = this.actor.formatInjuryForDisplay?.(inj) ?? { segments: [], tooltipSegments: [] };
       const hasDescription = Array.isArray(description.segments) && description.segments.length > 0;
+      const organEffect = inj.organ?.effect ? CONFIG.SPACEHOLDER?.organEffects?.[inj.organ.effect] : null;
 
       return {
         id: inj.id,
@@ -1641,6 +1663,8 @@ export class SpaceHolderBaseActorSheet extends foundry.applications.api.Handleba
         tooltipSegments: description.tooltipSegments ?? [],
         wound: description.wound ?? null,
         material: description.material ?? 'biological',
+        organName: inj.organ ? (inj.organ.name || inj.organ.slotKey || '') : '',
+        organEffectLabel: organEffect?.label ? game.i18n.localize(organEffect.label) : '',
       };
     });
   }
@@ -2135,12 +2159,18 @@ export class SpaceHolderBaseActorSheet extends foundry.applications.api.Handleba
       });
     });
 
-    const heldPlaceholderHint = game.i18n?.localize?.('SPACEHOLDER.Inventory.HeldActions.NotImplemented') ?? 'Not implemented yet';
     el.querySelectorAll('[data-action="sh-held-item-throw"]').forEach((node) => {
-      node.addEventListener('click', (ev) => {
+      node.addEventListener('click', async (ev) => {
         ev.preventDefault();
         ev.stopPropagation();
-        ui.notifications?.info?.(heldPlaceholderHint);
+        if (!this.isEditable) return;
+        const item = getHeldItemFromControl(ev.currentTarget);
+        if (!item) return;
+        const { actions } = collectActorActions(this.actor, { editable: this.isEditable });
+        const action = actions.find((a) => a.id === `item.${item.uuid}.throw`);
+        if (!action) return;
+        await executeActorAction(this.actor, action, { editable: this.isEditable });
+        this.render(false);
       });
     });
 
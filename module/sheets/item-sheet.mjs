@@ -19,6 +19,9 @@ import {
   AMMO_BLOCK_TYPE_LIST,
   AMMO_SEARCH_MODES,
   FIRE_MODES,
+  LINE_KINDS,
+  MELEE_STRIKE_DAMAGE_TYPES,
+  MELEE_STRIKE_TYPE_LIST,
   MOD_OPS,
   MODE_MODIFIER_PARAMS,
   WEAPON_DAMAGE_BLOCK_TYPES,
@@ -26,13 +29,22 @@ import {
   createModeModifier,
   createWeaponLine,
   createWeaponMode,
+  createWeaponSlot,
   defaultDamageEntry,
   compatMatches,
   computeProjectileEnergy,
   fireDelayToRpm,
   formatAmmoCounter,
+  formatHeatCounter,
+  isMeleeLine,
   normalizeAmmoConfig,
+  normalizeAttachmentConfig,
+  normalizeWeaponSlot,
 } from '../helpers/weapon/weapon-model.mjs';
+import { getSlotAttachment } from '../helpers/weapon/attachment-runtime.mjs';
+import { AMMO_COMPONENT_ROLE_LIST, normalizeAmmoComponent } from '../helpers/weapon/ammo-crafting.mjs';
+import { SUPPRESSION_SHAPES, SUPPRESSION_SHAPE_LIST } from '../helpers/weapon/suppression.mjs';
+import { getPersonalTimeTotal } from '../helpers/actions/personal-time.mjs';
 import {
   TRAJECTORY_KINDS,
   TRAJECTORY_LENGTH_UNITS,
@@ -69,13 +81,21 @@ function formatCoverageLayersSummary(layers) {
     const thickness = Number(layer?.thickness);
     const slug = String(layer?.material ?? '').trim();
     if (!slug || !Number.isFinite(thickness) || thickness <= 0) return '';
-    const md = materialsManager?.getMaterial?.(slug);
-    const localized = md?.nameLocalized ? game.i18n?.localize?.(md.nameLocalized) : '';
-    const name = (localized && localized !== md?.nameLocalized) ? localized : (md?.name || slug);
     const t = Math.round(thickness * 100) / 100;
-    return `${t}mm ${name}`;
+    return `${t}mm ${materialDisplayName(slug)}`;
   }).filter(Boolean).join(', ');
 }
+
+/**
+ * Localized material name for a slug (falls back to the raw name / slug).
+ * @param {string} slug
+ * @returns {string}
+ */
+function materialDisplayName(slug) {
+  const md = materialsManager?.getMaterial?.(slug);
+  const localized = md?.nameLocalized ? game.i18n?.localize?.(md.nameLocalized) : '';
+  return (localized && localized !== md?.nameLocalized) ? localized : (md?.name || slug);
+}
 /**
  * Вкладки оружия на листе предмета правят только `system.weapon` (авторинг данных).
  * Подсистемы стрельбы / боя / `action-service` на этом этапе эти поля не используют.
@@ -90,6 +110,7 @@ const ITEM_SHEET_TAB_META = Object.freeze({
   modifiers: { icon: 'fas fa-dumbbell', labelKey: 'SPACEHOLDER.Tabs.Modifiers' },
   weapon: { icon: 'fas fa-crosshairs', labelKey: 'SPACEHOLDER.WeaponV3.Tab' },
   ammo: { icon: 'fas fa-bullseye', labelKey: 'SPACEHOLDER.Tabs.Ammo' },
+  attachment: { icon: 'fas fa-puzzle-piece', labelKey: 'SPACEHOLDER.WeaponV3.Attachment.Tab' },
   container: { icon: 'fas fa-box-open', labelKey: 'SPACEHOLDER.ItemContainer.Tab' },
 });
 
@@ -111,6 +132,8 @@ const WEAPON_V3_DIALOG_EDIT_TEMPLATES = Object.freeze({
   line: 'systems/spaceholder/templates/item/parts/item-weapon-v3-edit-line.hbs',
   blocks: 'systems/spaceholder/templates/item/parts/item-weapon-v3-edit-blocks.hbs',
   modes: 'systems/spaceholder/templates/item/parts/item-weapon-v3-edit-modes.hbs',
+  slots: 'systems/spaceholder/templates/item/parts/item-weapon-v3-edit-slots.hbs',
+  attachment: 'systems/spaceholder/templates/item/parts/item-weapon-v3-edit-attachment.hbs',
 });
 
 const WEAPON_V3_DIALOG_TITLE_KEYS = Object.freeze({
@@ -118,8 +141,13 @@ const WEAPON_V3_DIALOG_TITLE_KEYS = Object.freeze({
   line: 'SPACEHOLDER.WeaponV3.Dialog.LineTitle',
   blocks: 'SPACEHOLDER.WeaponV3.Dialog.BlocksTitle',
   modes: 'SPACEHOLDER.WeaponV3.Dialog.ModesTitle',
+  slots: 'SPACEHOLDER.WeaponV3.Dialog.SlotsTitle',
+  attachment: 'SPACEHOLDER.WeaponV3.Dialog.AttachmentTitle',
 });
 
+/** Диалоги, редактирующие одну линию (нужен `lineIndex`). */
+const WEAPON_V3_LINE_DIALOGS = Object.freeze(['line', 'blocks', 'modes']);
+
 /** @param {boolean} v @returns {string} */
 function _wv3FmtBool(v) {
   return v
@@ -159,6 +187,16 @@ function _wv3FmtToggleable(tog, suffix = '') {
   return suffix ? `${n}${suffix}` : n;
 }
 
+/**
+ * Нагрев линии: «генерация% · ёмкость · −рассеивание/с».
+ * @param {{ enabled?: boolean, value?: number, capacity?: number, dissipation?: number }} [heat]
+ * @returns {string}
+ */
+function _wv3FmtHeat(heat) {
+  if (!heat?.enabled) return _wv3FmtBool(false);
+  return `${_wv3FmtPct(heat.value)} · ${_wv3FmtNumber(heat.capacity)} · −${_wv3FmtNumber(heat.dissipation)}/s`;
+}
+
 /**
  * @param {object} [z]
  * @returns {string}
@@ -446,6 +484,7 @@ export class SpaceHolderBaseItemSheet extends foundry.applications.api.Handlebar
       context.system.defaultActions.hold = context.system.defaultActions.hold || { showInCombat: false, showInQuickbar: true };
       context.system.defaultActions.stow = context.system.defaultActions.stow || { showInCombat: false, showInQuickbar: true };
       context.system.defaultActions.drop = context.system.defaultActions.drop || { showInCombat: false, showInQuickbar: false };
+      context.system.defaultActions.throw = context.system.defaultActions.throw || { showInCombat: true, showInQuickbar: false };
       context.system.defaultActions.wear = context.system.defaultActions.wear || { showInCombat: false, showInQuickbar: false };
       context.system.defaultActions.show = context.system.defaultActions.show || { showInCombat: false, showInQuickbar: false };
     }
@@ -1085,13 +1124,69 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
       isWeapon: !!(rawTags.isWeapon || rawTags.isMelee || rawTags.isRanged || rawTags.isThrown),
       isAmmo: !!rawTags.isAmmo,
       isContainer: !!rawTags.isContainer,
+      isRepairKit: !!rawTags.isRepairKit,
+      isShield: !!rawTags.isShield,
+      isMeleeShield: !!rawTags.isMeleeShield,
+      isAttachment: !!rawTags.isAttachment,
+      isAmmoComponent: !!rawTags.isAmmoComponent,
     };
     context.hasArmorTag = system.itemTags.isArmor;
     context.hasActionsTag = system.itemTags.isActions;
     context.hasModifiersTag = system.itemTags.isModifiers;
     context.hasWeaponTag = system.itemTags.isWeapon;
     context.hasAmmoTag = system.itemTags.isAmmo;
+    context.hasAttachmentTag = system.itemTags.isAttachment;
     context.hasContainerTag = system.itemTags.isContainer;
+    context.hasRepairKitTag = system.itemTags.isRepairKit;
+    if (context.hasRepairKitTag) {
+      // Пустой materialId — инструмент (даёт эффективность); со slug — запас материала для ремонта.
+      const kitMaterialId = String(system.repairKit?.materialId ?? '').trim();
+      const materialIds = materialsManager?.listMaterialIds?.() ?? [];
+      if (kitMaterialId && !materialIds.includes(kitMaterialId)) materialIds.push(kitMaterialId);
+      context.repairKitMaterialOptions = materialIds.map((id) => ({
+        value: id,
+        label: materialDisplayName(id),
+        selected: id === kitMaterialId,
+      }));
+    }
+    context.hasAmmoComponentTag = system.itemTags.isAmmoComponent;
+    if (context.hasAmmoComponentTag) {
+      // Поля панели зависят от роли: гильза — калибр и навеска, порох — мощность, пуля — материал, масса и тип урона.
+      const comp = normalizeAmmoComponent(system.ammoComponent);
+      context.ammoComponent = comp;
+      context.ammoComponentIsCase = comp.role === 'case';
+      context.ammoComponentIsPropellant = comp.role === 'propellant';
+      context.ammoComponentIsProjectile = comp.role === 'projectile';
+      context.ammoComponentRoleOptions = AMMO_COMPONENT_ROLE_LIST.map((role) => ({
+        value: role,
+        labelKey: `SPACEHOLDER.AmmoCrafting.Roles.${role}`,
+        selected: role === comp.role,
+      }));
+      const materialIds = materialsManager?.listMaterialIds?.() ?? [];
+      if (comp.materialId && !materialIds.includes(comp.materialId)) materialIds.push(comp.materialId);
+      context.ammoComponentMaterialOptions = materialIds.map((id) => ({
+        value: id,
+        label: materialDisplayName(id),
+        selected: id === comp.materialId,
+      }));
+      context.ammoComponentDamageTypeOptions = Object.values(CONFIG?.SPACEHOLDER?.damageTypes ?? {}).map((dt) => ({
+        value: dt.id,
+        label: dt.custom ? dt.label : game.i18n.localize(dt.label),
+        selected: dt.id === comp.damageType,
+      }));
+    }
+    context.hasShieldTag = system.itemTags.isShield;
+    if (context.hasShieldTag) {
+      // Пустая ячейка — поглощение по умолчанию из CONFIG.SPACEHOLDER.shields.defaultAbsorption.
+      const own = system.shield?.absorption && typeof system.shield.absorption === 'object' ? system.shield.absorption : {};
+      const defaults = CONFIG.SPACEHOLDER?.shields?.defaultAbsorption ?? {};
+      context.shieldAbsorptionRows = Object.values(CONFIG?.SPACEHOLDER?.damageTypes ?? {}).map((dt) => ({
+        id: dt.id,
+        labelKey: dt.label,
+        value: own[dt.id] ?? '',
+        placeholder: defaults[dt.id] ?? 100,
+      }));
+    }
 
     const allowedTabs = new Set(['description', 'tags']);
     if (system.itemTags.isArmor) allowedTabs.add('attributes');
@@ -1099,6 +1194,7 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
     if (system.itemTags.isModifiers) allowedTabs.add('modifiers');
     if (context.hasWeaponTag) allowedTabs.add('weapon');
     if (system.itemTags.isAmmo) allowedTabs.add('ammo');
+    if (system.itemTags.isAttachment) allowedTabs.add('attachment');
     if (system.itemTags.isContainer) allowedTabs.add('container');
     const currentTab = this._activeTabPrimary ?? this.tabGroups?.primary ?? 'description';
     if (!allowedTabs.has(currentTab)) {
@@ -1258,6 +1354,7 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
       context.weaponV3.payloadOptions = await this._getActionPayloadOptions();
     }
     if (context.hasAmmoTag) context.ammoV3 = this._buildAmmoV3Context(system.weapon.ammo);
+    if (context.hasAttachmentTag) context.attachmentV3 = this._buildAttachmentV3Context(system.weapon.attachment);
 
     const icFields = normalizeItemContainerFields(system);
     system.containerHostId = icFields.containerHostId;
@@ -1331,6 +1428,7 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
     const wearableTabIds = ['description'];
     if (context.hasWeaponTag) wearableTabIds.push('weapon');
     if (context.hasAmmoTag) wearableTabIds.push('ammo');
+    if (context.hasAttachmentTag) wearableTabIds.push('attachment');
     if (context.hasArmorTag) wearableTabIds.push('attributes');
     if (context.hasActionsTag) wearableTabIds.push('actions');
     if (context.hasModifiersTag) wearableTabIds.push('modifiers');
@@ -1557,13 +1655,21 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
    */
   _damageEntriesV3Context(entries, basePath) {
     const list = Array.isArray(entries) ? entries : [];
+    const damageTypes = CONFIG?.SPACEHOLDER?.damageTypes ?? {};
     return {
       basePath,
+      // Подсказки для поля типа (встроенные + мировые типы); ввод остаётся свободным.
+      listId: `sh-wv3-dmg-types-${this.id}-${basePath.replace(/\W+/g, '-')}`,
+      typeOptions: Object.values(damageTypes).map((dt) => ({
+        id: dt.id,
+        label: dt.custom ? dt.label : game.i18n.localize(dt.label),
+      })),
       rows: list.map((entry, i) => ({
         ...entry,
         index: i,
         path: `${basePath}.${i}`,
         energy: Math.round(computeProjectileEnergy(entry) * 100) / 100,
+        unknownType: !!entry?.damageType && !damageTypes[entry.damageType],
       })),
     };
   }
@@ -1587,39 +1693,65 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
   /**
    * @param {object} line
    * @param {(key: string) => string} L
+   * @param {object} [weapon] normalized v3 weapon (runtime state: heat)
    */
-  _buildWeaponV3LineParamRows(line, L) {
+  _buildWeaponV3LineParamRows(line, L, weapon = null) {
     const kind = normalizeTrajectoryKind(line.trajectoryKind);
     const rows = [
       { label: L('SPACEHOLDER.WeaponV3.Line.Aiming'), display: _wv3FmtNumber(line.aiming) },
       { label: L('SPACEHOLDER.WeaponV3.Line.Trigger'), display: _wv3FmtNumber(line.trigger) },
-      {
+    ];
+    if (isMeleeLine(line)) {
+      // Ближний бой: вместо траектории — досягаемость, дуга и тип удара.
+      const strike = line.melee.strike;
+      const damageTypeLabel = CONFIG.SPACEHOLDER?.damageTypes?.[MELEE_STRIKE_DAMAGE_TYPES[strike]]?.label;
+      rows.push(
+        { label: L('SPACEHOLDER.WeaponV3.Line.Kind'), display: L('SPACEHOLDER.WeaponV3.Line.Kinds.melee'), text: true },
+        { label: L('SPACEHOLDER.WeaponV3.Melee.Reach'), display: _wv3FmtNumber(line.melee.reach) },
+        { label: L('SPACEHOLDER.WeaponV3.Melee.Arc'), display: `${_wv3FmtNumber(line.melee.arc)}°` },
+        {
+          label: L('SPACEHOLDER.WeaponV3.Melee.Strike'),
+          display: `${L(`SPACEHOLDER.WeaponV3.Melee.Strikes.${strike}`)}${damageTypeLabel ? ` (${L(damageTypeLabel)})` : ''}`,
+          text: true,
+        },
+      );
+    } else {
+      rows.push({
         label: L('SPACEHOLDER.WeaponV3.Trajectory.Kind'),
         display: kind === TRAJECTORY_KINDS.COMPLEX
           ? L('SPACEHOLDER.WeaponV3.Trajectory.KindComplex')
           : L('SPACEHOLDER.WeaponV3.Trajectory.KindSimple'),
-      },
-    ];
-    if (kind === TRAJECTORY_KINDS.COMPLEX) {
-      rows.push({
-        label: L('SPACEHOLDER.WeaponV3.Line.PayloadId'),
-        display: _wv3FmtText(line.payloadId),
-        text: true,
-      });
-    } else {
-      rows.push({
-        label: L('SPACEHOLDER.WeaponV3.Trajectory.Length'),
-        display: formatTrajectorySummary(line, L),
-        text: true,
       });
+      if (kind === TRAJECTORY_KINDS.COMPLEX) {
+        rows.push({
+          label: L('SPACEHOLDER.WeaponV3.Line.PayloadId'),
+          display: _wv3FmtText(line.payloadId),
+          text: true,
+        });
+      } else {
+        rows.push({
+          label: L('SPACEHOLDER.WeaponV3.Trajectory.Length'),
+          display: formatTrajectorySummary(line, L),
+          text: true,
+        });
+      }
     }
     rows.push(
       { label: L('SPACEHOLDER.WeaponV3.Line.EnergyMult'), display: _wv3FmtToggleable(line.energyMult, '%') },
       { label: L('SPACEHOLDER.WeaponV3.Line.Spread'), display: _wv3FmtToggleable(line.spread) },
       { label: L('SPACEHOLDER.WeaponV3.Line.Recoil'), display: _wv3FmtToggleable(line.recoil) },
+      { label: L('SPACEHOLDER.WeaponV3.Line.Reliability'), display: _wv3FmtToggleable(line.reliability, '%') },
+      { label: L('SPACEHOLDER.WeaponV3.Line.Heat'), display: _wv3FmtHeat(line.heat), text: !!line.heat?.enabled },
       { label: L('SPACEHOLDER.WeaponV3.Line.EnterCost'), display: _wv3FmtToggleable(line.enterCost) },
       { label: L('SPACEHOLDER.WeaponV3.Line.ExitCost'), display: _wv3FmtToggleable(line.exitCost) },
     );
+    if (line.heat?.enabled) {
+      const actor = this.item?.parent?.documentName === 'Actor' ? this.item.parent : null;
+      rows.push({
+        label: L('SPACEHOLDER.WeaponV3.Heat.Current'),
+        display: formatHeatCounter(weapon, line, actor ? getPersonalTimeTotal(actor) : null),
+      });
+    }
     return rows;
   }
 
@@ -1666,6 +1798,13 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
     if (block.isInternalCharge) {
       rows.push({ label: L('SPACEHOLDER.WeaponV3.Block.Charge'), display: _wv3FmtNumber(block.runtime?.charge) });
     }
+    if (block.runtime?.malfunction) {
+      rows.push({
+        label: L('SPACEHOLDER.WeaponV3.Malfunction.Label'),
+        display: L(`SPACEHOLDER.WeaponV3.Malfunction.Kinds.${block.runtime.malfunction}`),
+        text: true,
+      });
+    }
     for (const ap of block.apRows ?? []) {
       if (ap.enabled) rows.push({ label: ap.label, display: _wv3FmtNumber(ap.value) });
     }
@@ -1686,7 +1825,22 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
     if (mode.isBurst) {
       rows.push({ label: L('SPACEHOLDER.WeaponV3.Mode.BurstCount'), display: _wv3FmtNumber(mode.burstCount) });
     }
-    if (!mode.isSingle) {
+    if (mode.isSuppress) {
+      const sup = mode.suppression;
+      rows.push(
+        {
+          label: L('SPACEHOLDER.WeaponV3.Mode.Suppression.Shape'),
+          display: L(`SPACEHOLDER.WeaponV3.Mode.Suppression.Shapes.${sup.shape}`),
+          text: true,
+        },
+        mode.suppressionIsCone
+          ? { label: L('SPACEHOLDER.WeaponV3.Mode.Suppression.Cone'), display: `${_wv3FmtNumber(sup.arcDeg)}° × ${_wv3FmtNumber(sup.rangeCells)}` }
+          : { label: L('SPACEHOLDER.WeaponV3.Mode.Suppression.RadiusCells'), display: _wv3FmtNumber(sup.radiusCells) },
+        { label: L('SPACEHOLDER.WeaponV3.Mode.Suppression.Rounds'), display: _wv3FmtNumber(sup.rounds) },
+        { label: L('SPACEHOLDER.WeaponV3.Mode.Suppression.SpreadDeg'), display: _wv3FmtNumber(sup.spreadDeg) },
+      );
+    }
+    if (mode.hasFireRate) {
       rows.push({
         label: L('SPACEHOLDER.WeaponV3.Mode.Rpm'),
         display: String(mode.rpmDisplay ?? '—'),
@@ -1719,6 +1873,10 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
       value: m,
       label: L(`SPACEHOLDER.WeaponV3.Mode.FireModes.${m}`),
     }));
+    const suppressionShapeOptions = SUPPRESSION_SHAPE_LIST.map((shape) => ({
+      value: shape,
+      label: L(`SPACEHOLDER.WeaponV3.Mode.Suppression.Shapes.${shape}`),
+    }));
     const searchModeOptions = Object.values(AMMO_SEARCH_MODES).map((m) => ({
       value: m,
       label: L(`SPACEHOLDER.WeaponV3.Block.SearchModes.${m}`),
@@ -1772,6 +1930,9 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
           isSingle: mode.fireMode === FIRE_MODES.SINGLE,
           isBurst: mode.fireMode === FIRE_MODES.BURST,
           isAuto: mode.fireMode === FIRE_MODES.AUTO,
+          isSuppress: mode.fireMode === FIRE_MODES.SUPPRESS,
+          hasFireRate: mode.fireMode === FIRE_MODES.BURST || mode.fireMode === FIRE_MODES.AUTO,
+          suppressionIsCone: mode.suppression?.shape === SUPPRESSION_SHAPES.CONE,
           rpmDisplay: Number.isFinite(rpm) ? rpm : '∞',
           modifiers: (mode.modifiers ?? []).map((mod, xi) => ({
             ...mod,
@@ -1791,13 +1952,14 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
         trajectoryKind,
         isSimpleTrajectory: trajectoryKind === TRAJECTORY_KINDS.SIMPLE,
         isComplexTrajectory: trajectoryKind === TRAJECTORY_KINDS.COMPLEX,
+        isMelee: isMeleeLine(line),
         simpleLimitEnabled: !!line.simpleLimit?.enabled,
         ammoBlocks,
         modes,
         showLineDamage,
         damageCtx,
         displayName,
-        paramRows: this._buildWeaponV3LineParamRows(line, L),
+        paramRows: this._buildWeaponV3LineParamRows(line, L, weapon),
         damageSummary: showLineDamage ? _wv3FmtDamageSummary(damageCtx) : '',
         blockSummaries: ammoBlocks.map((block) => ({
           title: `${block.typeLabel} [${block.counter}]`,
@@ -1811,16 +1973,54 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
       };
     });
 
+    const actor = this.item?.parent?.documentName === 'Actor' ? this.item.parent : null;
+    const slots = (weapon.slots ?? []).map((raw, si) => {
+      const slot = normalizeWeaponSlot(raw);
+      const mounted = actor ? getSlotAttachment(actor, this.item, slot) : null;
+      return {
+        ...slot,
+        index: si,
+        path: `slots.${si}`,
+        displayName: slot.name || slot.type || L('SPACEHOLDER.WeaponV3.Slots.Default'),
+        mountedName: mounted?.name ?? '',
+      };
+    });
+
     return {
       ergonomics: weapon.ergonomics,
-      ergoRows: this._buildWeaponV3ErgoRows(weapon.ergonomics, L),
+      ergoRows: [
+        ...this._buildWeaponV3ErgoRows(weapon.ergonomics, L),
+        {
+          label: L('SPACEHOLDER.WeaponV3.Condition.Label'),
+          display: weapon.condition?.enabled
+            ? `${_wv3FmtNumber(Math.round(weapon.condition.current * 10) / 10)}/${_wv3FmtNumber(weapon.condition.max)}`
+            : _wv3FmtBool(false),
+        },
+      ],
+      condition: weapon.condition,
       lines,
+      slots,
+      slotRows: slots.map((slot) => ({
+        label: slot.displayName,
+        display: slot.mountedName || L('SPACEHOLDER.WeaponV3.Slots.Vacant'),
+        text: true,
+      })),
+      attachment: this._buildAttachmentV3Context(weapon.attachment),
       state: weapon.state,
       blockTypeOptions,
       fireModeOptions,
+      suppressionShapeOptions,
       searchModeOptions,
       modOpOptions,
       modParamOptions,
+      lineKindOptions: Object.values(LINE_KINDS).map((value) => ({
+        value,
+        label: L(`SPACEHOLDER.WeaponV3.Line.Kinds.${value}`),
+      })),
+      strikeTypeOptions: MELEE_STRIKE_TYPE_LIST.map((value) => ({
+        value,
+        label: L(`SPACEHOLDER.WeaponV3.Melee.Strikes.${value}`),
+      })),
       trajectoryKindOptions: [
         { value: TRAJECTORY_KINDS.SIMPLE, label: L('SPACEHOLDER.WeaponV3.Trajectory.KindSimple') },
         { value: TRAJECTORY_KINDS.COMPLEX, label: L('SPACEHOLDER.WeaponV3.Trajectory.KindComplex') },
@@ -1844,6 +2044,35 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
     };
   }
 
+  /**
+   * Контекст вкладки «Обвес»: weapon.attachment предмета-обвеса.
+   * @param {object} attachment raw или normalized attachment config
+   */
+  _buildAttachmentV3Context(attachment) {
+    const L = (k) => game.i18n?.localize?.(k) ?? k;
+    const cfg = normalizeAttachmentConfig(attachment);
+    const modifiers = cfg.modifiers.map((mod, xi) => ({
+      ...mod,
+      index: xi,
+      path: `attachment.modifiers.${xi}`,
+    }));
+    const paramLabel = (id) => L(MODE_MODIFIER_PARAMS.find((p) => p.id === id)?.labelKey ?? id);
+    return {
+      ...cfg,
+      modifiers,
+      rows: [
+        { label: L('SPACEHOLDER.WeaponV3.Attachment.SlotType'), display: _wv3FmtText(cfg.slotType), text: true },
+        ...modifiers.filter((mod) => mod.enabled).map((mod) => ({
+          label: paramLabel(mod.param),
+          display: mod.disableParam
+            ? L('SPACEHOLDER.WeaponV3.Mode.ModDisable')
+            : `${L(`SPACEHOLDER.WeaponV3.Mode.ModOps.${mod.op}`)}: ${_wv3FmtNumber(mod.value)}`,
+          text: true,
+        })),
+      ],
+    };
+  }
+
   /* ------------------------------------------------------------------ *
    *  Weapon v3: обработчики вкладок «Оружие» / «Боеприпас»               *
    * ------------------------------------------------------------------ */
@@ -1958,6 +2187,32 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
         mode.modifiers.splice(Number(ds.mod), 1);
         return true;
       }
+      case 'slot-add':
+        w.slots = Array.isArray(w.slots) ? w.slots : [];
+        w.slots.push(createWeaponSlot());
+        return true;
+      case 'slot-remove': {
+        const slot = Array.isArray(w.slots) ? w.slots[Number(ds.slot)] : null;
+        if (!slot) return false;
+        if (String(slot.runtime?.attachedItemId ?? '').trim()) {
+          ui.notifications?.warn?.(game.i18n?.localize?.('SPACEHOLDER.WeaponV3.Slots.Occupied') ?? 'Take the attachment off first');
+          return false;
+        }
+        w.slots.splice(Number(ds.slot), 1);
+        return true;
+      }
+      case 'attmod-add': {
+        w.attachment = w.attachment && typeof w.attachment === 'object' ? w.attachment : {};
+        w.attachment.modifiers = Array.isArray(w.attachment.modifiers) ? w.attachment.modifiers : [];
+        w.attachment.modifiers.push(createModeModifier());
+        return true;
+      }
+      case 'attmod-remove': {
+        const mods = w.attachment?.modifiers;
+        if (!Array.isArray(mods)) return false;
+        mods.splice(Number(ds.mod), 1);
+        return true;
+      }
       case 'dmg-add': {
         const basePath = String(ds.dmgPath ?? '');
         if (!basePath) return false;
@@ -1993,7 +2248,7 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
   }
 
   /**
-   * @param {'ergonomics'|'line'|'blocks'|'modes'} kind
+   * @param {'ergonomics'|'line'|'blocks'|'modes'|'slots'|'attachment'} kind
    * @param {object} draft
    * @param {number|null} lineIndex
    */
@@ -2007,7 +2262,7 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
         : await this._getActionPayloadOptions();
     }
     const ctx = { w, editable: true };
-    if (kind !== 'ergonomics') {
+    if (WEAPON_V3_LINE_DIALOGS.includes(kind)) {
       const li = Number(lineIndex);
       ctx.line = w.lines?.[li];
       if (!ctx.line) return '';
@@ -2035,7 +2290,10 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
       const path = String(el.dataset.wpath ?? '');
       if (
         path.endsWith('.trajectoryKind')
+        || path.endsWith('.kind')
         || path.endsWith('.simpleLimit.enabled')
+        || path.endsWith('.fireMode')
+        || path.endsWith('.suppression.shape')
       ) {
         this._applyWeaponV3FormFromRoot(dialogRoot, opts.draft);
         await rerender();
@@ -2054,7 +2312,7 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
   }
 
   /**
-   * @param {'ergonomics'|'line'|'blocks'|'modes'} kind
+   * @param {'ergonomics'|'line'|'blocks'|'modes'|'slots'|'attachment'} kind
    * @param {number|null} [lineIndex]
    */
   async _openWeaponV3Dialog(kind, lineIndex = null) {
@@ -2069,7 +2327,7 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
     }
 
     const draft = this._getWeaponData();
-    if (kind !== 'ergonomics') {
+    if (WEAPON_V3_LINE_DIALOGS.includes(kind)) {
       const li = Number(lineIndex);
       if (!Number.isInteger(li) || !draft.lines?.[li]) return;
     }
@@ -2928,6 +3186,11 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
       isWeapon: !!(src && src.isWeapon),
       isAmmo: !!(src && src.isAmmo),
       isContainer: !!(src && src.isContainer),
+      isRepairKit: !!(src && src.isRepairKit),
+      isShield: !!(src && src.isShield),
+      isMeleeShield: !!(src && src.isMeleeShield),
+      isAttachment: !!(src && src.isAttachment),
+      isAmmoComponent: !!(src && src.isAmmoComponent),
     };
 
     const icPreserve = normalizeItemContainerFields(itemSys);
@@ -3037,6 +3300,11 @@ export class SpaceHolderItemSheet_Item extends SpaceHolderBaseItemSheet {
           isWeapon: readTag('isWeapon'),
           isAmmo: readTag('isAmmo'),
           isContainer: readTag('isContainer'),
+          isRepairKit: readTag('isRepairKit'),
+          isShield: readTag('isShield'),
+          isMeleeShield: readTag('isMeleeShield'),
+          isAttachment: readTag('isAttachment'),
+          isAmmoComponent: readTag('isAmmoComponent'),
         };
         const patch = { 'system.itemTags': itemTags };
         const pending = this._getPendingNameFromForm();
@@ -3083,7 +3351,12 @@ function fixSpuriousWearableItemTagsWipe(item, change) {
     cur.isModifiers ||
     cur.isWeapon ||
     cur.isAmmo ||
-    cur.isContainer
+    cur.isContainer ||
+    cur.isRepairKit ||
+    cur.isShield ||
+    cur.isMeleeShield ||
+    cur.isAttachment ||
+    cur.isAmmoComponent
   );
   if (!curAny) return false;
 
@@ -3096,7 +3369,12 @@ function fixSpuriousWearableItemTagsWipe(item, change) {
       !inc.isModifiers &&
       !inc.isWeapon &&
       !inc.isAmmo &&
-      !inc.isContainer;
+      !inc.isContainer &&
+      !inc.isRepairKit &&
+      !inc.isShield &&
+      !inc.isMeleeShield &&
+      !inc.isAttachment &&
+      !inc.isAmmoComponent;
     if (!incAllFalse) return false;
     const sysKeys = Object.keys(change.system);
     const onlyItemTags = sysKeys.length === 1 && sysKeys[0] === 'itemTags';
@@ -3113,7 +3391,12 @@ function fixSpuriousWearableItemTagsWipe(item, change) {
       !flatIt.isModifiers &&
       !flatIt.isWeapon &&
       !flatIt.isAmmo &&
-      !flatIt.isContainer;
+      !flatIt.isContainer &&
+      !flatIt.isRepairKit &&
+      !flatIt.isShield &&
+      !flatIt.isMeleeShield &&
+      !flatIt.isAttachment &&
+      !flatIt.isAmmoComponent;
     if (!incAllFalse) return false;
     const flatSys = Object.keys(change).filter(
       (k) => typeof k === 'string' && k.startsWith('system.') && k !== 'system.itemTags'
@@ -87,8 +87,22 @@ import {
   REFERENCE_TURN_SECONDS,
 } from './helpers/actions/personal-time.mjs';
 import { registerChargePersonalTimeHooks } from './helpers/weapon/charge-personal-time.mjs';
+import { registerInjuryPersonalTimeHooks } from './helpers/damage/injury-personal-time.mjs';
+import { registerShieldPersonalTimeHooks } from './helpers/damage/shield-personal-time.mjs';
+import { registerHeatPersonalTimeHooks } from './helpers/weapon/heat-personal-time.mjs';
+import { installMeleeReactionSocketHandlers } from './helpers/weapon/melee-reactions.mjs';
+import { registerThrowFusePersonalTimeHooks } from './helpers/weapon/fuse-personal-time.mjs';
+import { installSuppressionSocketHandlers, registerSuppressionHooks } from './helpers/weapon/suppression-runtime.mjs';
+import { installOverwatchSocketHandlers, registerOverwatchHooks } from './helpers/weapon/overwatch-runtime.mjs';
+import { installCoverConfigHooks, installCoverSocketHandlers } from './helpers/damage/cover-runtime.mjs';
+import {
+  installAreaEffectSocketHandlers,
+  registerAreaEffectHooks,
+  registerAreaEffectSettings,
+} from './helpers/damage/area-effects-runtime.mjs';
 import { installActionChatJournalHooks } from './helpers/actions/action-chat-journal.mjs';
 import { installHackChatHooks } from './helpers/minigames/hack/hack-chat.mjs';
+import { installDamageTraceChatHooks, openDamageTraceReplay } from './helpers/damage/damage-trace-replay-app.mjs';
 import { MovementManager } from './helpers/actions/movement-manager.mjs';
 import { CombatSessionManager } from './helpers/combat/combat-session-manager.mjs';
 import { installTurnPickOverlay } from './helpers/combat/turn-pick-overlay.mjs';
@@ -102,6 +116,9 @@ import {
   normalizeNestedStorage,
 } from './helpers/item-nested-storage.mjs';
 import { registerHealthAnatomyViewerSettings } from './helpers/health-anatomy-viewer-settings.mjs';
+import { registerCustomDamageTypeSettings } from './helpers/damage/custom-damage-types.mjs';
+import { registerBodyLayerSettings } from './helpers/damage/body-layer-settings.mjs';
+import { registerPayloadLibrarySettings } from './helpers/weapon/payload-designer-runtime.mjs';
 
 /* -------------------------------------------- */
 /*  Init Hook                                   */
@@ -122,6 +139,10 @@ Hooks.once('init', function () {
   registerTimelineV2Settings();
   registerItemPilesShSettings();
   registerHealthAnatomyViewerSettings();
+  registerCustomDamageTypeSettings();
+  registerBodyLayerSettings();
+  registerPayloadLibrarySettings();
+  registerAreaEffectSettings();
   installTokenPointerTabs();
   // Legacy world anatomy keys: used only for one-time migration into world folder files
   // World anatomies live in: worlds/<worldId>/spaceholder/anatomy/*.json (FilePicker upload/browse)
@@ -144,6 +165,7 @@ Hooks.once('init', function () {
     anatomyManager,
     materialsManager,
     openArmorPenetrationTester: openArmorPenetrationTesterApp,
+    openDamageTraceReplay,
     openJournalUpdateLogApp,
     openProgressionPointsApp,
     openTimelineV2App,
@@ -250,6 +272,8 @@ Hooks.once('init', function () {
   });
   // Scene config hooks for global map flag
   installGlobalMapSceneConfigHooks();
+  // Wall / Tile config: cover settings
+  installCoverConfigHooks();
   // Edge UI (fixed panel) for global map scenes
   installGlobalMapEdgeUiHooks();
   // Global Map: vision sources by faction instead of OBSERVER
@@ -275,6 +299,16 @@ Hooks.once('init', function () {
   // Events: socket + hooks
   installEventsSocketHandlers();
   installEventsHooks();
+  // Melee reactions: parry / block prompts on the defender's client
+  installMeleeReactionSocketHandlers();
+  // Suppression: hit rolls on the shooter's client
+  installSuppressionSocketHandlers();
+  // Overwatch: reaction prompts on the shooter's client
+  installOverwatchSocketHandlers();
+  // Cover: wear of destructible cover is stored by the GM
+  installCoverSocketHandlers();
+  // Area effects: drawings and smoke walls are created by the GM
+  installAreaEffectSocketHandlers();
   // Install Aiming System hooks - OLD SYSTEM DISABLED
   // installAimingSystemHooks();
   // Install Token Controls hooks
@@ -898,6 +932,41 @@ Hooks.once('ready', async function () {
   } catch (e) {
     console.error('SpaceHolder | charge personal-time hooks failed', e);
   }
+  try {
+    registerInjuryPersonalTimeHooks();
+  } catch (e) {
+    console.error('SpaceHolder | injury personal-time hooks failed', e);
+  }
+  try {
+    registerShieldPersonalTimeHooks();
+  } catch (e) {
+    console.error('SpaceHolder | shield personal-time hooks failed', e);
+  }
+  try {
+    registerHeatPersonalTimeHooks();
+  } catch (e) {
+    console.error('SpaceHolder | weapon heat personal-time hooks failed', e);
+  }
+  try {
+    registerThrowFusePersonalTimeHooks();
+  } catch (e) {
+    console.error('SpaceHolder | grenade fuse personal-time hooks failed', e);
+  }
+  try {
+    registerSuppressionHooks();
+  } catch (e) {
+    console.error('SpaceHolder | suppression hooks failed', e);
+  }
+  try {
+    registerOverwatchHooks();
+  } catch (e) {
+    console.error('SpaceHolder | overwatch hooks failed', e);
+  }
+  try {
+    registerAreaEffectHooks();
+  } catch (e) {
+    console.error('SpaceHolder | area effect hooks failed', e);
+  }
 
   // Migrate existing baked icons to match current SVG bake behavior.
   // (GM-only; best-effort; runs once per world)
@@ -1000,6 +1069,7 @@ Hooks.once('ready', async function () {
   installTransactionLedgerHooks();
   installActionChatJournalHooks();
   installHackChatHooks();
+  installDamageTraceChatHooks();
   (async () => {
     for (const a of game.actors ?? []) {
       if (a?.type !== "character") continue;
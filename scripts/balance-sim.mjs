@@ -0,0 +1,367 @@
+/**
+ * Headless balancing CLI over the pure damage resolvers — no Foundry needed.
+ *
+ * Loads materials, weapons, ammo and armor straight from
+ * `pack-src/sh-test-items/*.json`, the target anatomy from
+ * `module/data/anatomy/<id>.json`, and runs time-to-kill series
+ * (`module/helpers/damage/balance-simulator.mjs`) for every
+ * attack × ammo × armor loadout.
+ *
+ * Attack profiles mirror the shot pipeline: one per weapon line × mode
+ * (× compatible ammo for magazine blocks). Damage comes from the round, then
+ * the block, then the line; mode damage modifiers and the line energy
+ * multiplier apply. The first shot costs aim + trigger AP, follow-ups cost
+ * the mode's fire delay. Charge-scaled damage (LASS-style) uses the stored
+ * entry as-is.
+ *
+ * Attacks whose damage types the resolvers do not model (melee, explosive,
+ * energy) or that deal no damage are not simulated; they are listed after the
+ * table, under `skipped` in JSON, and on stderr for CSV.
+ *
+ * Usage:
+ *   npm run balance -- [options]
+ *   node scripts/balance-sim.mjs [options]
+ *
+ * Options:
+ *   --weapon <text>     weapon name/id filter (comma list; default: all)
+ *   --ammo <text>       ammo name/id filter (comma list; default: all compatible)
+ *   --armor <loadout>   target loadout: item filters joined with "+",
+ *                       "none" for unarmored; repeatable
+ *                       (default: none + every armor item on its own)
+ *   --anatomy <id>      anatomy file in module/data/anatomy (default: humanoid)
+ *   --slots <list>      hit slots, `slot` or `slot:weight` (default: chest)
+ *   --direction <dir>   hit direction (default: front)
+ *   --runs <n>          series per row (default: 100)
+ *   --max-shots <n>     shot budget per series (default: 60)
+ *   --seed <n>          reproducible RNG seed
+ *   --format <fmt>      table | csv | json (default: table)
+ *   --items <dir>       extra item JSON directory (e.g. an unpacked world pack)
+ *   --list              print the loaded catalog and exit
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+
+import { simulateTimeToKill } from '../module/helpers/damage/balance-simulator.mjs';
+import { createSeededRandom } from '../module/helpers/damage/armor-penetration-tester.mjs';
+import { isDamageType } from '../module/helpers/damage/damage-types.mjs';
+import { normalizeMaterial } from '../module/helpers/damage/materials-manager.mjs';
+import {
+  AMMO_BLOCK_TYPES,
+  AP_PER_SECOND,
+  activeDamageEntries,
+  applyDamageModifiers,
+  compatMatches,
+  damageEntriesToApplications,
+  listWeaponAttacks,
+  normalizeWeaponV3,
+  resolveEffectiveAttackParams,
+} from '../module/helpers/weapon/weapon-model.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.join(__dirname, '..');
+const itemSrcDir = path.join(root, 'pack-src', 'sh-test-items');
+const anatomyDir = path.join(root, 'module', 'data', 'anatomy');
+
+const MAGAZINE_BLOCKS = new Set([AMMO_BLOCK_TYPES.INTERNAL_MAGAZINE, AMMO_BLOCK_TYPES.EXTERNAL_MAGAZINE]);
+
+// ---------- Args --------------------------------------------------------------
+
+const { values: args } = parseArgs({
+  options: {
+    weapon: { type: 'string' },
+    ammo: { type: 'string' },
+    armor: { type: 'string', multiple: true },
+    anatomy: { type: 'string', default: 'humanoid' },
+    slots: { type: 'string', default: 'chest' },
+    direction: { type: 'string', default: 'front' },
+    runs: { type: 'string', default: '100' },
+    'max-shots': { type: 'string', default: '60' },
+    seed: { type: 'string' },
+    format: { type: 'string', default: 'table' },
+    items: { type: 'string' },
+    list: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+  },
+});
+
+if (args.help) {
+  const src = fs.readFileSync(fileURLToPath(import.meta.url), 'utf8');
+  console.log(src.slice(src.indexOf('Usage:'), src.indexOf('*/')).replace(/^ \* ?/gm, ''));
+  process.exit(0);
+}
+
+function fail(message) {
+  console.error(`balance-sim: ${message}`);
+  process.exit(1);
+}
+
+function filters(raw) {
+  return String(raw ?? '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function matches(doc, needles) {
+  if (!needles.length) return true;
+  const hay = `${doc.name} ${doc.id}`.toLowerCase();
+  return needles.some((n) => hay.includes(n));
+}
+
+// ---------- Catalog -----------------------------------------------------------
+
+function readJsonDir(dir) {
+  if (!fs.existsSync(dir)) fail(`no such directory: ${dir}`);
+  return fs.readdirSync(dir)
+    .filter((name) => name.endsWith('.json') && !name.startsWith('_Folder'))
+    .map((name) => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+}
+
+function loadCatalog() {
+  const docs = readJsonDir(itemSrcDir);
+  if (args.items) docs.push(...readJsonDir(path.resolve(args.items)));
+
+  const materials = new Map();
+  const weapons = [];
+  const ammo = [];
+  const armors = [];
+  for (const doc of docs) {
+    const sys = doc.system ?? {};
+    if (doc.type === 'material') {
+      const slug = String(sys.materialId ?? '').trim();
+      if (slug) materials.set(slug, normalizeMaterial({ ...sys, materialId: slug, name: doc.name }));
+      continue;
+    }
+    if (doc.type !== 'item') continue;
+    const tags = sys.itemTags ?? {};
+    if (tags.isArmor && Array.isArray(sys.coveredParts) && sys.coveredParts.some((p) => p?.layers?.length)) {
+      armors.push({ id: doc._id, itemId: doc._id, name: doc.name, coveredParts: sys.coveredParts });
+    }
+    const weapon = normalizeWeaponV3(sys.weapon, tags);
+    if (tags.isWeapon) weapons.push({ id: doc._id, name: doc.name, weapon });
+    if (tags.isAmmo && activeDamageEntries(weapon.ammo.damage).length) {
+      ammo.push({ id: doc._id, name: doc.name, caliber: weapon.ammo.caliber, damage: weapon.ammo.damage });
+    }
+  }
+  return { materials, weapons, ammo, armors };
+}
+
+function loadAnatomy(id) {
+  const file = path.join(anatomyDir, `${id}.json`);
+  if (!fs.existsSync(file)) fail(`unknown anatomy "${id}" (looked for ${file})`);
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { id, name: data.name ?? id, bodyParts: data.bodyParts ?? {} };
+}
+
+// ---------- Attack profiles ---------------------------------------------------
+
+/**
+ * Line × mode (× round) attack profiles of one weapon, in the same damage
+ * source order as `consumeShotFromLine`.
+ */
+function attackProfiles(weaponDoc, ammoCatalog, ammoNeedles, skipped) {
+  const out = [];
+  for (const { lineId, modeId, line, mode } of listWeaponAttacks(weaponDoc.weapon)) {
+    const eff = resolveEffectiveAttackParams(weaponDoc.weapon, lineId, modeId);
+    if (!eff) continue;
+    const base = {
+      weapon: weaponDoc.name,
+      attack: `${line.name || lineId} / ${mode.name || modeId}`,
+      firstShotAp: Math.ceil(Math.max(0, eff.line.aiming) + Math.max(0, eff.line.trigger)),
+      followUpAp: Math.ceil(Math.max(0, eff.mode.fireDelayAp)),
+    };
+    const push = (ammoName, entries) => {
+      const skip = (reason) => skipped.push({ weapon: base.weapon, attack: base.attack, ammo: ammoName, reason });
+      const unknown = [...new Set(entries.map((e) => e.damageType).filter((t) => !isDamageType(t)))];
+      if (unknown.length) return skip(`unmodeled damage type ${unknown.map((t) => `"${t}"`).join(', ')}`);
+      const applications = damageEntriesToApplications(applyDamageModifiers(entries, eff.damageMods, eff.line.energyMult));
+      if (!applications.length) return skip('no damage');
+      out.push({ ...base, ammo: ammoName, applications });
+    };
+
+    let resolved = false;
+    for (const block of line.ammoBlocks) {
+      if (MAGAZINE_BLOCKS.has(block.type)) {
+        const rounds = ammoCatalog.filter((a) => compatMatches(block.caliber, a.caliber) && matches(a, ammoNeedles));
+        for (const round of rounds) push(round.name, activeDamageEntries(round.damage));
+        if (rounds.length) {
+          resolved = true;
+          break;
+        }
+      }
+      const fromBlock = activeDamageEntries(block.damage);
+      if (fromBlock.length) {
+        push('', fromBlock);
+        resolved = true;
+        break;
+      }
+    }
+    if (!resolved) push('', activeDamageEntries(line.damage));
+  }
+  return out;
+}
+
+// ---------- Loadouts ----------------------------------------------------------
+
+function resolveLoadouts(specs, armorCatalog) {
+  if (!specs?.length) {
+    return [{ name: 'none', armors: [] }, ...armorCatalog.map((a) => ({ name: a.name, armors: [a] }))];
+  }
+  return specs.map((spec) => {
+    if (spec.trim().toLowerCase() === 'none') return { name: 'none', armors: [] };
+    const armors = spec.split('+').map((part) => {
+      const needle = part.trim().toLowerCase();
+      const hit = armorCatalog.find((a) => matches(a, [needle]));
+      if (!hit) fail(`no armor item matches "${part.trim()}"`);
+      return hit;
+    });
+    return { name: armors.map((a) => a.name).join(' + '), armors };
+  });
+}
+
+function parseSlots(raw, anatomy) {
+  const slots = String(raw).split(',').map((s) => s.trim()).filter(Boolean).map((s) => {
+    const [slotRef, weight] = s.split(':');
+    if (!anatomy.bodyParts[slotRef]) fail(`anatomy "${anatomy.id}" has no slot "${slotRef}"`);
+    return { slotRef, weight: weight === undefined ? 1 : Number(weight) };
+  });
+  if (!slots.length) fail('no hit slots');
+  return slots;
+}
+
+// ---------- Output ------------------------------------------------------------
+
+const COLUMNS = [
+  ['weapon', 'Weapon'],
+  ['attack', 'Attack'],
+  ['ammo', 'Ammo'],
+  ['armor', 'Armor'],
+  ['killChance', 'Kill %'],
+  ['meanShotsToKill', 'Shots'],
+  ['meanApToKill', 'TTK AP'],
+  ['medianApToKill', 'Median AP'],
+  ['meanSecondsToKill', 'TTK s'],
+  ['penetrationChance', 'Pen %'],
+  ['meanBodyDamagePerShot', 'Dmg/shot'],
+];
+
+function fmt(key, value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value !== 'number') return String(value);
+  if (key === 'killChance' || key === 'penetrationChance') return `${Math.round(value * 100)}`;
+  return String(Math.round(value * 10) / 10);
+}
+
+function printTable(rows) {
+  const cells = [COLUMNS.map(([, label]) => label), ...rows.map((r) => COLUMNS.map(([key]) => fmt(key, r[key])))];
+  const widths = COLUMNS.map((_, i) => Math.max(...cells.map((c) => c[i].length)));
+  for (const [idx, line] of cells.entries()) {
+    console.log(line.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd());
+    if (idx === 0) console.log(widths.map((w) => '-'.repeat(w)).join('  '));
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' ? String(Math.round(value * 10000) / 10000) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function skippedLine(s) {
+  return `${s.weapon} · ${s.attack}${s.ammo ? ` · ${s.ammo}` : ''}: ${s.reason}`;
+}
+
+function printSkipped(skipped) {
+  if (!skipped.length) return;
+  console.log(`\nNot simulated (${skipped.length}):`);
+  for (const s of skipped) console.log(`  ${skippedLine(s)}`);
+}
+
+function printCsv(rows) {
+  console.log(COLUMNS.map(([key]) => key).join(','));
+  for (const row of rows) console.log(COLUMNS.map(([key]) => csvCell(row[key])).join(','));
+}
+
+// ---------- Main --------------------------------------------------------------
+
+function main() {
+  const catalog = loadCatalog();
+  const anatomy = loadAnatomy(args.anatomy);
+
+  if (args.list) {
+    console.log(`Materials: ${[...catalog.materials.keys()].join(', ')}`);
+    console.log(`Weapons:   ${catalog.weapons.map((w) => w.name).join(', ')}`);
+    console.log(`Ammo:      ${catalog.ammo.map((a) => `${a.name} [${a.caliber}]`).join(', ')}`);
+    console.log(`Armor:     ${catalog.armors.map((a) => a.name).join(', ')}`);
+    console.log(`Slots (${anatomy.id}): ${Object.keys(anatomy.bodyParts).join(', ')}`);
+    return;
+  }
+
+  const weaponNeedles = filters(args.weapon);
+  const ammoNeedles = filters(args.ammo);
+  const skipped = [];
+  const profiles = catalog.weapons
+    .filter((w) => matches(w, weaponNeedles))
+    .flatMap((w) => attackProfiles(w, catalog.ammo, ammoNeedles, skipped));
+  if (!profiles.length) {
+    for (const s of skipped) console.error(`balance-sim: skipped ${skippedLine(s)}`);
+    fail('no attack profiles match the filters');
+  }
+
+  const loadouts = resolveLoadouts(args.armor, catalog.armors);
+  const slots = parseSlots(args.slots, anatomy);
+  const seed = args.seed === undefined ? null : Number(args.seed);
+  if (seed !== null && !Number.isFinite(seed)) fail(`bad --seed "${args.seed}"`);
+  const random = seed === null ? Math.random : createSeededRandom(seed);
+  const resolveMaterial = (id) => catalog.materials.get(String(id ?? '').trim()) ?? normalizeMaterial({ materialId: id });
+
+  const rows = [];
+  for (const profile of profiles) {
+    for (const loadout of loadouts) {
+      const res = simulateTimeToKill({
+        anatomy,
+        armors: loadout.armors,
+        applications: profile.applications,
+        slots,
+        hitDirection: args.direction,
+        firstShotAp: profile.firstShotAp,
+        followUpAp: profile.followUpAp,
+        maxShots: Number(args['max-shots']),
+        runs: Number(args.runs),
+        resolveMaterial,
+        random,
+      });
+      rows.push({
+        weapon: profile.weapon,
+        attack: profile.attack,
+        ammo: profile.ammo,
+        armor: loadout.name,
+        firstShotAp: profile.firstShotAp,
+        followUpAp: profile.followUpAp,
+        ...res,
+        meanSecondsToKill: res.meanApToKill === null ? null : res.meanApToKill / AP_PER_SECOND,
+      });
+    }
+  }
+
+  if (args.format === 'json') {
+    console.log(JSON.stringify({
+      anatomy: anatomy.id,
+      slots,
+      hitDirection: args.direction,
+      runs: Number(args.runs),
+      maxShots: Number(args['max-shots']),
+      seed,
+      rows,
+      skipped,
+    }, null, 2));
+  } else if (args.format === 'csv') {
+    printCsv(rows);
+    for (const s of skipped) console.warn(`balance-sim: skipped ${skippedLine(s)}`);
+  } else {
+    console.log(`${anatomy.name} · slots ${slots.map((s) => `${s.slotRef}:${s.weight}`).join(',')} · ${args.direction} · ${args.runs} runs × ≤${args['max-shots']} shots${seed === null ? '' : ` · seed ${seed}`}\n`);
+    printTable(rows);
+    printSkipped(skipped);
+  }
+}
+
+main();